@@ -4,13 +4,23 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
+const fs = require('fs');
 const crypto = require('crypto');
 const cookieParser = require('cookie-parser');
 const RankingStatsCache = require('./server/cache/RankingStatsCache');
 const MetadataCache = require('./server/cache/MetadataCache');
 const PurchaseHistoryService = require('./server/services/PurchaseHistoryService');
+const RankingNoteRepository = require('./server/repositories/RankingNoteRepository');
 const { getStorageService, DEFAULT_COIN_ICON_PATH } = require('./server/objectStorageService');
 const { debounce } = require('./server/utils/debounce');
+const { injectOpenGraphTags } = require('./server/utils/openGraph');
+const { getRequestTimeZone } = require('./server/utils/timeZone');
+const { PRIMARY_RANKING_LIST_ID, TOP_N_WINDOWS } = require('./shared/constants');
+const {
+  DEFAULT_MIN_VOTES,
+  AGGREGATION_METHODOLOGY,
+  resolveAggregationMethod,
+} = require('./server/utils/rankAggregation');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -45,31 +55,13 @@ const io = new Server(httpServer, {
 const ENVIRONMENT = process.env.NODE_ENV || 'development';
 
 // Get app domain - prioritize custom domain in production
-function getAppDomain() {
-  // In production deployments, use REPLIT_DOMAINS (includes custom domains)
-  if (process.env.REPLIT_DEPLOYMENT === '1' && process.env.REPLIT_DOMAINS) {
-    const domains = process.env.REPLIT_DOMAINS.split(',');
-    console.log(`🌐  Production deployment detected. Available domains: ${domains.join(', ')}`);
-    // First domain is typically the custom domain
-    const selectedDomain = domains[0];
-    console.log(`✅ Selected domain: ${selectedDomain}`);
-    return selectedDomain;
-  }
-  
-  // In development, use REPLIT_DEV_DOMAIN
-  if (process.env.REPLIT_DEV_DOMAIN) {
-    return process.env.REPLIT_DEV_DOMAIN;
-  }
-  
-  // Fallback to constructed domain
-  if (process.env.REPL_SLUG && process.env.REPL_OWNER) {
-    return `${process.env.REPL_SLUG}-${process.env.REPL_OWNER}.replit.app`;
-  }
-  
-  return 'localhost:5000';
-}
+const { getAppDomain } = require('./server/utils/appDomain');
 
 const APP_URL = getAppDomain();
+if (process.env.REPLIT_DEPLOYMENT === '1' && process.env.REPLIT_DOMAINS) {
+  console.log(`🌐  Production deployment detected. Available domains: ${process.env.REPLIT_DOMAINS.split(',').join(', ')}`);
+  console.log(`✅ Selected domain: ${APP_URL}`);
+}
 
 // DEBUG: Log environment detection (remove after deployment issue is resolved)
 console.log('🔍 Environment Detection Debug:');
@@ -314,13 +306,41 @@ app.use(express.static('dist', {
 
 // Serve React SPA index.html for all non-API routes (EARLY REGISTRATION)
 // This ensures the app is available even during slow initialization
-app.get('*', (req, res, next) => {
+app.get('*', async (req, res, next) => {
   // Skip API routes - let them go through to their handlers
-  if (req.path.startsWith('/api') || req.path.startsWith('/socket.io') || req.path.startsWith('/objects')) {
+  if (req.path.startsWith('/api') || req.path.startsWith('/socket.io') || req.path.startsWith('/objects') ||
+      req.path.startsWith('/share/') || req.path.startsWith('/embed/')) {
     return next();
   }
+
+  // Profile and flavor pages get their link preview tags server-side, since crawlers don't run the SPA
+  const shareCardService = gamificationServices?.shareCardService;
+  const profileMatch = req.path.match(/^\/community\/(\d+)\/?$/);
+  const productMatch = req.path.match(/^\/flavors\/(\d+)\/?$/);
+  if (shareCardService && (profileMatch || productMatch)) {
+    try {
+      const meta = profileMatch
+        ? await shareCardService.getProfilePageMeta(parseInt(profileMatch[1], 10))
+        : await shareCardService.getProductPageMeta(productMatch[1]);
+
+      if (meta) {
+        const origin = `${req.protocol}://${req.get('host')}`;
+        const html = await fs.promises.readFile(path.join(__dirname, 'dist', 'index.html'), 'utf8');
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.setHeader('Pragma', 'no-cache');
+        res.setHeader('Expires', '0');
+        return res.type('html').send(injectOpenGraphTags(html, {
+          ...meta,
+          url: `${origin}${req.path}`,
+          image: meta.image && meta.image.startsWith('/') ? `${origin}${meta.image}` : meta.image,
+        }));
+      }
+    } catch (error) {
+      console.error('Error rendering Open Graph tags:', error);
+    }
+  }
+
   // Serve React app for all other routes
-  const path = require('path');
   res.sendFile(path.join(__dirname, 'dist', 'index.html'));
 });
 
@@ -1061,6 +1081,23 @@ app.get('/api/customer/status', async (req, res) => {
         return res.json({ authenticated: false });
       }
       
+      // First visit since timezones were added: save the browser's timezone for day boundaries
+      let timezone = user.timezone;
+      if (!timezone) {
+        const detectedTimeZone = getRequestTimeZone(req);
+        if (detectedTimeZone) {
+          const updatedUser = await storage.setUserTimeZoneIfMissing(user.id, detectedTimeZone);
+          timezone = detectedTimeZone;
+
+          // Streaks so far were counted in server days; rebuild them in the user's local days
+          if (updatedUser && gamificationServices?.streakManager) {
+            gamificationServices.streakManager.recomputeStreak(user.id, detectedTimeZone)
+              .then(() => require('./server/cache/StreakCache').getInstance().invalidateUser(user.id))
+              .catch(error => console.error(`⚠️ Error recomputing streak for user ${user.id}:`, error));
+          }
+        }
+      }
+      
       // Merge stale session data with fresh profile fields from database
       // Fresh DB values come LAST to ensure they override any stale session data
       const customerData = {
@@ -1070,7 +1107,9 @@ app.get('/api/customer/status', async (req, res) => {
         lastName: user.lastName,
         handle: user.handle,
         hide_name_privacy: user.hideNamePrivacy,
+        handle_locked: Boolean(user.handleLockedAt),
         profile_image_url: user.profileImageUrl,
+        timezone,
       };
       
       console.log(`✅ 90-day session validated for: ${session.customerData.displayName}`);
@@ -1549,8 +1588,9 @@ app.get('/api/products/all', async (req, res) => {
     }
     
     const { query = '' } = req.query;
+    const aggregationMethod = resolveAggregationMethod(req.query.method);
     
-    console.log(`🛍️ Fetching all products with ranking counts, query: "${query}"`);
+    console.log(`🛍️ Fetching all products with ranking counts, query: "${query}", method: ${aggregationMethod}`);
     
     // Use unified ProductsService for consistent data retrieval
     if (!storage) {
@@ -1581,7 +1621,7 @@ app.get('/api/products/all', async (req, res) => {
     });
     
     // Calculate community ranks (#1, #2, #3, etc.) for Flavor Index leaderboard
-    const rankedProducts = productsService._calculateCommunityRanks(enrichedProducts);
+    const rankedProducts = productsService._calculateCommunityRanks(enrichedProducts, { method: aggregationMethod });
     
     // Get top products by category for Flavor Index category summaries
     const topByCategory = productsService._getTopByCategory(rankedProducts);
@@ -1614,7 +1654,12 @@ app.get('/api/products/all', async (req, res) => {
     res.json({ 
       products: rankedProducts,
       total: rankedProducts.length,
-      topByCategory
+      topByCategory,
+      aggregation: {
+        method: aggregationMethod,
+        minVotes: DEFAULT_MIN_VOTES,
+        ...AGGREGATION_METHODOLOGY[aggregationMethod]
+      }
     });
     
   } catch (error) {
@@ -1816,7 +1861,7 @@ app.get('/api/products/search', async (req, res) => {
 // Get rankable products for authenticated user (excludes already-ranked products)
 app.get('/api/products/rankable', async (req, res) => {
   try {
-    const { query = '', limit = 20, page = 1, sort = 'name-asc' } = req.query;
+    const { query = '', limit = 20, page = 1, sort = 'name-asc', rankingListId = PRIMARY_RANKING_LIST_ID } = req.query;
     
     // Get session for user authentication
     const sessionId = req.cookies.session_id || req.query.sessionId;
@@ -1858,7 +1903,7 @@ app.get('/api/products/rankable', async (req, res) => {
     // Get products excluding user's already-ranked products AND non-purchased products
     const enrichedProducts = await productsService.getRankableProductsForUser(userId, {
       query,
-      rankingListId: 'default',  // Must match the rankingListId used when saving rankings
+      rankingListId,  // Must match the rankingListId used when saving rankings
       includeMetadata: true,
       includeRankingStats: true,
       user  // Pass user object for employee bypass and purchase filtering
@@ -2007,8 +2052,9 @@ app.get('/api/products/rankable', async (req, res) => {
 app.get('/api/products', async (req, res) => {
   try {
     const { search = '', sort = 'name', animal = '', flavor = '', page = 1, limit = 50 } = req.query;
+    const aggregationMethod = resolveAggregationMethod(req.query.method);
     
-    console.log(`📦 GET /api/products - search: "${search}", sort: ${sort}, animal: ${animal}, flavor: ${flavor}, page: ${page}, limit: ${limit}`);
+    console.log(`📦 GET /api/products - search: "${search}", sort: ${sort}, animal: ${animal}, flavor: ${flavor}, method: ${aggregationMethod}, page: ${page}, limit: ${limit}`);
     
     if (!shopifyAvailable) {
       return res.status(503).json({ 
@@ -2051,19 +2097,19 @@ app.get('/api/products', async (req, res) => {
       products = products.filter(p => p.primaryFlavor?.toLowerCase() === flavorLower);
     }
     
+    // Calculate community ranks (returns products array with communityRank field set)
+    products = productsService._calculateCommunityRanks(products, { method: aggregationMethod });
+    
     // Apply sorting
     if (sort === 'popularity') {
       products.sort((a, b) => (b.rankingCount || 0) - (a.rankingCount || 0));
-    } else if (sort === 'rating') {
-      products.sort((a, b) => (a.avgRank || 999) - (b.avgRank || 999));
+    } else if (sort === 'rating' || sort === 'rank') {
+      // Already in community rank order (unranked products last)
     } else {
       // Default: sort by name
       products.sort((a, b) => a.title.localeCompare(b.title));
     }
     
-    // Calculate community ranks (returns products array with communityRank field set)
-    products = await productsService._calculateCommunityRanks(products);
-    
     // Calculate top products by category (uses products with communityRank already set)
     const topByCategory = await productsService._getTopByCategory(products);
     
@@ -2157,6 +2203,11 @@ app.get('/api/products', async (req, res) => {
     res.json({
       products: paginatedProducts,
       topByCategory,
+      aggregation: {
+        method: aggregationMethod,
+        minVotes: DEFAULT_MIN_VOTES,
+        ...AGGREGATION_METHODOLOGY[aggregationMethod]
+      },
       total,
       page: pageNum,
       limit: limitNum
@@ -2397,6 +2448,16 @@ app.get('/api/products/rankable/count', async (req, res) => {
   }
 });
 
+// Check that a non-primary ranking list exists for the user before reading/writing its rankings
+// The primary list is implicit for every user, so it always passes
+async function rankingListExists(userId, rankingListId) {
+  if (rankingListId === PRIMARY_RANKING_LIST_ID || !gamificationServices?.rankingListRepo) {
+    return true;
+  }
+  const list = await gamificationServices.rankingListRepo.getList(userId, rankingListId);
+  return !!list;
+}
+
 // Save product ranking
 app.post('/api/rankings/product', async (req, res) => {
   try {
@@ -2416,7 +2477,11 @@ app.post('/api/rankings/product', async (req, res) => {
       return res.status(401).json({ error: 'Invalid session' });
     }
     
-    const finalRankingListId = rankingListId || 'default';
+    const finalRankingListId = rankingListId || PRIMARY_RANKING_LIST_ID;
+    
+    if (!(await rankingListExists(session.userId, finalRankingListId))) {
+      return res.status(404).json({ error: 'Ranking list not found' });
+    }
     
     // Check if operation already exists (idempotency)
     if (operationId) {
@@ -2433,7 +2498,8 @@ app.post('/api/rankings/product', async (req, res) => {
       shopifyProductId: productId,
       productData,
       ranking,
-      rankingListId: finalRankingListId
+      rankingListId: finalRankingListId,
+      operationId
     });
     
     // Record operation for idempotency
@@ -2460,6 +2526,12 @@ app.post('/api/rankings/product', async (req, res) => {
     if (gamificationServices?.leaderboardManager) {
       gamificationServices.leaderboardManager.leaderboardCache.invalidate();
     }
+    if (finalRankingListId === PRIMARY_RANKING_LIST_ID && gamificationServices?.recommendationService) {
+      gamificationServices.recommendationService.invalidateUser(session.userId);
+    }
+    if (finalRankingListId === PRIMARY_RANKING_LIST_ID && gamificationServices?.leaderboardManager) {
+      gamificationServices.leaderboardManager.invalidateUserComparisons(session.userId);
+    }
     
     console.log(`✅ Ranking saved: user ${session.userId}, product ${productId}, rank ${ranking}`);
     
@@ -2483,7 +2555,7 @@ app.post('/api/rankings/product', async (req, res) => {
 // Save multiple product rankings (bulk save for auto-save)
 app.post('/api/rankings/products', async (req, res) => {
   try {
-    const { rankingListId = 'default', rankings } = req.body;
+    const { rankingListId = PRIMARY_RANKING_LIST_ID, rankings } = req.body;
     
     // Get session from cookie or body (backwards compatibility)
     const sessionId = req.cookies.session_id || req.body.sessionId;
@@ -2504,6 +2576,13 @@ app.post('/api/rankings/products', async (req, res) => {
 
     const userId = session.userId;
     
+    if (!(await rankingListExists(userId, rankingListId))) {
+      return res.status(404).json({ error: 'Ranking list not found' });
+    }
+    
+    // Only the primary list feeds streaks, classification and achievements
+    const isPrimaryList = rankingListId === PRIMARY_RANKING_LIST_ID;
+    
     // Validate rankings for duplicates
     const productIds = rankings.map(r => r.productData.id);
     const uniqueProductIds = new Set(productIds);
@@ -2543,8 +2622,19 @@ app.post('/api/rankings/products', async (req, res) => {
       gamificationServices.homeStatsService.invalidateCache();
     }
     
-    // Track ranking activity in user_activities table
-    if (gamificationServices?.activityTrackingService && rankings.length > 0) {
+    // Taste twins and predicted fit are computed from the primary list
+    if (isPrimaryList && gamificationServices?.recommendationService) {
+      gamificationServices.recommendationService.invalidateUser(userId);
+    }
+    
+    // Head-to-head comparisons involving this user are stale
+    if (isPrimaryList && gamificationServices?.leaderboardManager) {
+      gamificationServices.leaderboardManager.invalidateUserComparisons(userId);
+    }
+    
+    // Track ranking activity in user_activities table (it feeds engagement scores and streaks,
+    // which count the primary list only)
+    if (isPrimaryList && gamificationServices?.activityTrackingService && rankings.length > 0) {
       setImmediate(async () => {
         try {
           await gamificationServices.activityTrackingService.track(
@@ -2565,7 +2655,7 @@ app.post('/api/rankings/products', async (req, res) => {
     }
     
     // Trigger classification update via queue (event-driven architecture)
-    if (gamificationServices?.classificationQueue) {
+    if (isPrimaryList && gamificationServices?.classificationQueue) {
       setImmediate(async () => {
         try {
           await gamificationServices.classificationQueue.enqueue(userId, 'ranking');
@@ -2581,10 +2671,10 @@ app.post('/api/rankings/products', async (req, res) => {
       gamificationServices.leaderboardManager.leaderboardCache.invalidate();
     }
 
-    console.log(`✅ Bulk saved ${rankings.length} product rankings for user ${userId}`);
+    console.log(`✅ Bulk saved ${rankings.length} product rankings for user ${userId} (list: ${rankingListId})`);
     
     // Process gamification asynchronously to avoid slowing down the response
-    if (gamificationServices && rankings.length > 0) {
+    if (isPrimaryList && gamificationServices && rankings.length > 0) {
       // Don't await this - let it run in the background
       (async () => {
         try {
@@ -2593,7 +2683,7 @@ app.post('/api/rankings/products', async (req, res) => {
           
           // Update daily ranking streak
           console.log(`🔥 Updating streak for user ${userId}...`);
-          const streakResult = await streakManager.updateStreak(userId, 'daily_rank');
+          const streakResult = await streakManager.updateStreak(userId, 'daily_rank', { timeZone: getRequestTimeZone(req) });
           console.log(`🔥 Streak update result:`, streakResult);
           
           // Invalidate streak cache when streak changes
@@ -2726,6 +2816,31 @@ app.post('/api/rankings/products', async (req, res) => {
                 }
               }
             }
+            
+            // Update progress on running event coins (ended events are no longer earnable)
+            const eventCollectionUpdates = await collectionManager.checkAndUpdateEventCollections(userId);
+            
+            if (eventCollectionUpdates.length > 0) {
+              console.log(`📚 User ${userId} updated ${eventCollectionUpdates.length} event coin(s)`);
+              
+              for (const update of eventCollectionUpdates) {
+                const updates = Array.isArray(update) ? update : [update];
+                
+                for (const singleUpdate of updates) {
+                  if (singleUpdate.type === 'new') {
+                    newCollectionAchievements.push(singleUpdate.achievement);
+                  } else if (singleUpdate.type === 'tier_upgrade') {
+                    newCollectionAchievements.push({
+                      ...singleUpdate.achievement,
+                      tier: singleUpdate.newTier,
+                      previousTier: singleUpdate.previousTier,
+                      pointsGained: singleUpdate.pointsGained,
+                      isTierUpgrade: true
+                    });
+                  }
+                }
+              }
+            }
           }
           
           // Check for engagement-based achievements (searches, page views, streaks, etc.)
@@ -2821,7 +2936,16 @@ app.post('/api/rankings/products', async (req, res) => {
             console.log(`🏆 User ${userId} earned ${achievementsToEmit.length} new achievement(s):`, 
               achievementsToEmit.map(a => a.name).join(', '));
           }
-          
+
+          // New points and engagement can push the user past a level threshold
+          if (gamificationServices?.levelService && gamificationServices?.wsGateway) {
+            const levelUp = await gamificationServices.levelService.checkLevelUp(userId);
+            if (levelUp) {
+              gamificationServices.wsGateway.broadcastLevelUp(userId, levelUp);
+              console.log(`⬆️ User ${userId} reached level ${levelUp.level} (was ${levelUp.previousLevel})`);
+            }
+          }
+
           // Invalidate progress cache to ensure fresh data on next API call
           // This prevents stale cached data while maintaining the race condition fix
           const ProgressCache = require('./server/cache/ProgressCache');
@@ -2861,7 +2985,7 @@ app.post('/api/rankings/products', async (req, res) => {
 // Reconciliation endpoint: Check which products are missing from backend
 app.post('/api/rankings/reconcile', async (req, res) => {
   try {
-    const { productIds } = req.body;
+    const { productIds, rankingListId = PRIMARY_RANKING_LIST_ID } = req.body;
     
     // Get session from cookie
     const sessionId = req.cookies.session_id;
@@ -2882,8 +3006,12 @@ app.post('/api/rankings/reconcile', async (req, res) => {
 
     const userId = session.userId;
     
-    // Get all ranked product IDs for this user
-    const rankedProducts = await storage.getProductRankingsByUser(userId, 'default');
+    if (!(await rankingListExists(userId, rankingListId))) {
+      return res.status(404).json({ error: 'Ranking list not found' });
+    }
+    
+    // Get all ranked product IDs for this user's list
+    const rankedProducts = await storage.getUserProductRankings(userId, rankingListId);
     const rankedProductIds = new Set(rankedProducts.map(r => r.shopifyProductId));
     
     // Find products in frontend but not in backend
@@ -2895,7 +3023,7 @@ app.post('/api/rankings/reconcile', async (req, res) => {
       .map(r => r.shopifyProductId)
       .filter(id => !frontendSet.has(id));
     
-    console.log(`🔍 Reconciliation for user ${userId}:`);
+    console.log(`🔍 Reconciliation for user ${userId} (list: ${rankingListId}):`);
     console.log(`   Frontend has: ${productIds.length} products`);
     console.log(`   Backend has: ${rankedProductIds.size} products`);
     console.log(`   Missing from backend: ${missingFromBackend.length}`);
@@ -2918,7 +3046,7 @@ app.post('/api/rankings/reconcile', async (req, res) => {
 // Get user's product rankings
 app.get('/api/rankings/products', async (req, res) => {
   try {
-    const { rankingListId = 'default' } = req.query;
+    const { rankingListId = PRIMARY_RANKING_LIST_ID } = req.query;
     
     // Get session from cookie or query param (backwards compatibility)
     const sessionId = req.cookies.session_id || req.query.sessionId;
@@ -2937,6 +3065,10 @@ app.get('/api/rankings/products', async (req, res) => {
       return res.status(401).json({ error: 'Invalid session' });
     }
     
+    if (!(await rankingListExists(session.userId, rankingListId))) {
+      return res.status(404).json({ error: 'Ranking list not found' });
+    }
+    
     // Get user's rankings
     const rankings = await storage.getUserProductRankings(session.userId, rankingListId);
     
@@ -2955,7 +3087,7 @@ app.get('/api/rankings/products', async (req, res) => {
 // Clear user's product rankings for a specific ranking list
 app.delete('/api/rankings/products/clear', async (req, res) => {
   try {
-    const { rankingListId = 'default' } = req.query;
+    const { rankingListId = PRIMARY_RANKING_LIST_ID } = req.query;
     
     // Get session from cookie or query param (backwards compatibility)
     const sessionId = req.cookies.session_id || req.query.sessionId;
@@ -2979,6 +3111,12 @@ app.delete('/api/rankings/products/clear', async (req, res) => {
     
     // Invalidate ranking stats cache since data changed
     await rankingStatsCache.invalidate();
+    if (rankingListId === PRIMARY_RANKING_LIST_ID && gamificationServices?.recommendationService) {
+      gamificationServices.recommendationService.invalidateUser(session.userId);
+    }
+    if (rankingListId === PRIMARY_RANKING_LIST_ID && gamificationServices?.leaderboardManager) {
+      gamificationServices.leaderboardManager.invalidateUserComparisons(session.userId);
+    }
     
     console.log(`🗑️ Cleared rankings for user ${session.userId}, list: ${rankingListId}`);
     res.json({ success: true });
@@ -3764,13 +3902,17 @@ app.get('/api/products/:productId/insights', async (req, res) => {
       LEFT JOIN week_ago_stats was ON true
     `);
     
+    // Community tasting sub-scores ("very tender, medium heat")
+    const tasting = await new RankingNoteRepository(db).getProductTastingSummary(productId);
+    
     if (insights.rows.length === 0) {
       return res.json({
         consensus: 'No data',
         rankRange: { min: null, max: null, span: null },
         trend: { direction: 'stable', change: 0 },
         stdDeviation: null,
-        medianRank: null
+        medianRank: null,
+        tasting
       });
     }
     
@@ -3821,7 +3963,8 @@ app.get('/api/products/:productId/insights', async (req, res) => {
         ? `Improving ${trend.change} ranks over the past 7 days. Growing popularity.`
         : `Declining ${trend.change} ranks over the past 7 days. Losing favor.`,
       stdDeviation: stdDev.toFixed(1),
-      medianRank: parseFloat(data.median_rank).toFixed(1)
+      medianRank: parseFloat(data.median_rank).toFixed(1),
+      tasting
     });
   } catch (error) {
     console.error('Insights fetch error:', error);
@@ -4099,17 +4242,64 @@ app.get('/api/jerky/products', async (req, res) => {
   }
 });
 
-// API endpoint to get top N jerky items
-app.get('/api/jerky/top/:n', (req, res) => {
-  const n = parseInt(req.params.n) || 5;
-  const topJerky = jerkyData
-    .sort((a, b) => b.rating - a.rating)
-    .slice(0, Math.min(n, jerkyData.length));
-  
-  res.json({
-    count: topJerky.length,
-    items: topJerky
-  });
+/**
+ * GET /api/jerky/top/:n - Public community Top-N (e.g. "Top 10 spicy beef jerky")
+ * Query: animal, flavor, vendor, window (all|30d|7d), method (bayesian|borda|average), page, limit
+ * Built from products_metadata + cached ranking stats, so it never waits on Shopify
+ */
+app.get('/api/jerky/top/:n', async (req, res) => {
+  try {
+    const n = Math.min(Math.max(parseInt(req.params.n) || 10, 1), 100);
+    const { animal = '', flavor = '', vendor = '' } = req.query;
+    const window = req.query.window || 'all';
+    const aggregationMethod = resolveAggregationMethod(req.query.method);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || n, 1), n);
+    
+    if (!Object.prototype.hasOwnProperty.call(TOP_N_WINDOWS, window)) {
+      return res.status(400).json({
+        error: `Invalid window. Must be one of: ${Object.keys(TOP_N_WINDOWS).join(', ')}`
+      });
+    }
+    
+    const productsService = gamificationServices?.productsService;
+    if (!productsService) {
+      return res.status(503).json({ error: 'Products service unavailable' });
+    }
+    
+    const top = await productsService.getTopProducts(n, {
+      animal,
+      flavor,
+      vendor,
+      window,
+      method: aggregationMethod,
+      page,
+      limit
+    });
+    
+    res.json({
+      n,
+      count: top.items.length,
+      total: top.total,
+      page: top.page,
+      limit: top.limit,
+      hasMore: top.hasMore,
+      filters: { animal: animal || null, flavor: flavor || null, vendor: vendor || null, window },
+      items: top.items,
+      aggregation: {
+        method: aggregationMethod,
+        minVotes: DEFAULT_MIN_VOTES,
+        ...AGGREGATION_METHODOLOGY[aggregationMethod]
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching top jerky:', error);
+    Sentry.captureException(error, {
+      tags: { endpoint: 'GET /api/jerky/top/:n' },
+      extra: { params: req.params, query: req.query }
+    });
+    res.status(500).json({ error: 'Failed to fetch top jerky' });
+  }
 });
 
 // GET /api/search/global - Unified search for products and users
@@ -4505,6 +4695,16 @@ if (databaseAvailable && storage) {
       const engagementBackfillRouter = createEngagementBackfillRoutes(storage, db);
       adminRouter.use(engagementBackfillRouter);
       
+      // Add Product Comment moderation routes
+      const createProductCommentsAdminRoutes = require('./server/routes/admin/productComments');
+      const productCommentsAdminRouter = createProductCommentsAdminRoutes(services);
+      adminRouter.use(productCommentsAdminRouter);
+      
+      // Add Content Report review routes
+      const createContentReportsAdminRoutes = require('./server/routes/admin/contentReports');
+      const contentReportsAdminRouter = createContentReportsAdminRoutes(services);
+      adminRouter.use(contentReportsAdminRouter);
+      
       app.use('/api/admin', limiters.adminLimiter, adminRouter);
       console.log('✅ Admin routes registered at /api/admin');
       
@@ -1,9 +1,12 @@
+const { DEFAULT_TIMEZONE } = require('../../shared/constants');
+
 /**
  * HomeStatsCache - Singleton Pattern
  * 
  * Caches home page statistics to avoid expensive repeated database queries.
  * Home stats include top rankers, trending products, community stats, etc.
  * Uses a 5-minute TTL since these stats don't need real-time accuracy.
+ * "Today" counters depend on the viewer's timezone, so stats are cached per timezone.
  */
 class HomeStatsCache {
   constructor() {
@@ -11,8 +14,7 @@ class HomeStatsCache {
       return HomeStatsCache.instance;
     }
 
-    this.stats = null;
-    this.timestamp = null;
+    this.entries = new Map(); // timeZone -> { stats, timestamp }
     this.TTL = 5 * 60 * 1000; // 5 minute TTL (balance between freshness and performance)
     
     HomeStatsCache.instance = this;
@@ -20,25 +22,29 @@ class HomeStatsCache {
 
   /**
    * Check if cached data is still valid
+   * @param {string} timeZone - Timezone the stats were computed for
    */
-  isValid() {
-    if (!this.stats || !this.timestamp) {
+  isValid(timeZone = DEFAULT_TIMEZONE) {
+    const entry = this.entries.get(timeZone);
+    if (!entry) {
       return false;
     }
     
-    const age = Date.now() - this.timestamp;
+    const age = Date.now() - entry.timestamp;
     return age < this.TTL;
   }
 
   /**
    * Get cached home stats
+   * @param {string} timeZone - Timezone the stats were computed for
    * @returns {Object|null} Cached stats or null if invalid
    */
-  get() {
-    if (this.isValid()) {
-      const ageSeconds = Math.floor((Date.now() - this.timestamp) / 1000);
-      console.log(`💾 HomeStatsCache HIT: Returning stats (age: ${ageSeconds}s)`);
-      return this.stats;
+  get(timeZone = DEFAULT_TIMEZONE) {
+    if (this.isValid(timeZone)) {
+      const entry = this.entries.get(timeZone);
+      const ageSeconds = Math.floor((Date.now() - entry.timestamp) / 1000);
+      console.log(`💾 HomeStatsCache HIT: Returning stats for ${timeZone} (age: ${ageSeconds}s)`);
+      return entry.stats;
     }
     
     console.log('🚫 HomeStatsCache MISS: Data expired or not found');
@@ -48,11 +54,11 @@ class HomeStatsCache {
   /**
    * Set home stats in cache
    * @param {Object} stats - Home stats object
+   * @param {string} timeZone - Timezone the stats were computed for
    */
-  set(stats) {
-    this.stats = stats;
-    this.timestamp = Date.now();
-    console.log(`✅ HomeStatsCache SET: Cached home stats, valid for ${this.TTL / 1000}s`);
+  set(stats, timeZone = DEFAULT_TIMEZONE) {
+    this.entries.set(timeZone, { stats, timestamp: Date.now() });
+    console.log(`✅ HomeStatsCache SET: Cached home stats for ${timeZone}, valid for ${this.TTL / 1000}s`);
   }
 
   /**
@@ -60,8 +66,7 @@ class HomeStatsCache {
    */
   invalidate() {
     console.log('🗑️ HomeStatsCache INVALIDATE: Clearing cache');
-    this.stats = null;
-    this.timestamp = null;
+    this.entries.clear();
   }
 
   /**
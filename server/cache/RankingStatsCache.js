@@ -1,4 +1,5 @@
 const DistributedCache = require('../services/DistributedCache');
+const { TOP_N_WINDOWS } = require('../../shared/constants');
 
 /**
  * RankingStatsCache - Redis-backed distributed cache for product ranking statistics
@@ -8,14 +9,17 @@ const DistributedCache = require('../services/DistributedCache');
  * Cache Keys:
  * - all_stats → Entire map of shopifyProductId -> ranking stats
  * - timestamp → Last update timestamp for age tracking
+ * - window:<window> → Stats limited to recent rankings (e.g. window:30d) for the Top-N API
  * 
- * TTL: No expiration (webhook-invalidated only)
+ * TTL: No expiration for all_stats (webhook-invalidated only)
+ *      Windowed stats expire after 10 minutes since rankings age out of the window on their own
  */
 class RankingStatsCache {
   constructor() {
     this.cache = new DistributedCache('ranking_stats');
     this.initialized = false;
     this.isLoading = false;
+    this.windowTTL = 10 * 60; // 10 minutes (seconds)
   }
 
   /**
@@ -97,6 +101,47 @@ class RankingStatsCache {
     }
   }
 
+  /**
+   * Get cached ranking statistics for a time window
+   * @param {string} window - Window key from TOP_N_WINDOWS (e.g. '30d')
+   * @returns {Object|null} Cached data or null if expired/missing
+   */
+  async getWindow(window) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const data = await this.cache.get(`window:${window}`);
+      console.log(data
+        ? `💾 RankingStats Cache HIT: Window ${window}`
+        : `🚫 RankingStats Cache MISS: Window ${window}`);
+      return data;
+    } catch (error) {
+      console.error('❌ RankingStatsCache getWindow error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store ranking statistics for a time window
+   * @param {string} window - Window key from TOP_N_WINDOWS (e.g. '30d')
+   * @param {Object} stats - Ranking statistics data to cache
+   */
+  async setWindow(window, stats) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      await this.cache.set(`window:${window}`, stats, this.windowTTL);
+      
+      console.log(`✅ RankingStats Cache UPDATED: Window ${window} with ${Object.keys(stats).length} product stats (TTL: ${this.windowTTL}s)`);
+    } catch (error) {
+      console.error('❌ RankingStatsCache setWindow error:', error.message);
+    }
+  }
+
   /**
    * Update specific products in the cache (called by webhooks)
    * @param {Object} productsStats - Map of shopifyProductId -> stats to update
@@ -141,6 +186,9 @@ class RankingStatsCache {
 
       await this.cache.del('all_stats');
       await this.cache.del('timestamp');
+      for (const window of Object.keys(TOP_N_WINDOWS)) {
+        await this.cache.del(`window:${window}`);
+      }
       
       console.log('🗑️ RankingStats cache invalidated');
     } catch (error) {
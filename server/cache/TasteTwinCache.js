@@ -0,0 +1,78 @@
+/**
+ * TasteTwinCache - Singleton Pattern
+ *
+ * Caches each user's taste twins and predicted product fit so recommendations
+ * don't recompute rank correlations against every co-ranker on each request.
+ * Uses a 15-minute TTL; a user's entry is invalidated when they save rankings.
+ */
+class TasteTwinCache {
+  constructor() {
+    if (TasteTwinCache.instance) {
+      return TasteTwinCache.instance;
+    }
+
+    this.entries = new Map(); // userId -> { data, timestamp }
+    this.TTL = 15 * 60 * 1000; // 15 minute TTL
+
+    TasteTwinCache.instance = this;
+  }
+
+  /**
+   * Get cached twins/predictions for a user
+   * @param {number} userId - User ID
+   * @returns {Object|null} Cached data or null if missing/expired
+   */
+  get(userId) {
+    const cached = this.entries.get(userId);
+    if (cached && Date.now() - cached.timestamp < this.TTL) {
+      const ageSeconds = Math.floor((Date.now() - cached.timestamp) / 1000);
+      console.log(`💾 TasteTwinCache HIT: User ${userId} (age: ${ageSeconds}s)`);
+      return cached.data;
+    }
+
+    console.log(`🚫 TasteTwinCache MISS: User ${userId}`);
+    return null;
+  }
+
+  /**
+   * Set twins/predictions for a user
+   * @param {number} userId - User ID
+   * @param {Object} data - { twins, predictions }
+   */
+  set(userId, data) {
+    this.entries.set(userId, {
+      data,
+      timestamp: Date.now()
+    });
+    console.log(`✅ TasteTwinCache SET: User ${userId} (${data.twins.length} twins)`);
+  }
+
+  /**
+   * Invalidate a single user's entry, or everything when no user is given
+   * @param {number} [userId] - User ID
+   */
+  invalidate(userId) {
+    if (userId) {
+      this.entries.delete(userId);
+      console.log(`🗑️ TasteTwinCache INVALIDATE: User ${userId}`);
+    } else {
+      console.log('🗑️ TasteTwinCache INVALIDATE: All users');
+      this.entries.clear();
+    }
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!TasteTwinCache.instance) {
+      TasteTwinCache.instance = new TasteTwinCache();
+    }
+    return TasteTwinCache.instance;
+  }
+}
+
+// Ensure singleton instance
+TasteTwinCache.instance = null;
+
+module.exports = TasteTwinCache;
@@ -0,0 +1,94 @@
+/**
+ * UserComparisonCache - Singleton Pattern
+ *
+ * Caches head-to-head comparison payloads per (viewer, target) pair.
+ * Uses a 30-minute TTL; every pair involving a user is invalidated when
+ * that user's primary list changes.
+ */
+class UserComparisonCache {
+  constructor() {
+    if (UserComparisonCache.instance) {
+      return UserComparisonCache.instance;
+    }
+
+    this.entries = new Map(); // "userId1:userId2" -> { data, timestamp }
+    this.TTL = 30 * 60 * 1000; // 30 minute TTL
+
+    UserComparisonCache.instance = this;
+  }
+
+  _key(userId1, userId2) {
+    return `${userId1}:${userId2}`;
+  }
+
+  /**
+   * Get a cached comparison
+   * @param {number} userId1 - Viewing user
+   * @param {number} userId2 - Compared user
+   * @returns {Object|null} Cached data or null if missing/expired
+   */
+  get(userId1, userId2) {
+    const key = this._key(userId1, userId2);
+    const cached = this.entries.get(key);
+    if (cached && Date.now() - cached.timestamp < this.TTL) {
+      const ageSeconds = Math.floor((Date.now() - cached.timestamp) / 1000);
+      console.log(`💾 UserComparisonCache HIT: ${key} (age: ${ageSeconds}s)`);
+      return cached.data;
+    }
+
+    console.log(`🚫 UserComparisonCache MISS: ${key}`);
+    return null;
+  }
+
+  /**
+   * Set a comparison
+   * @param {number} userId1 - Viewing user
+   * @param {number} userId2 - Compared user
+   * @param {Object} data - Comparison payload
+   */
+  set(userId1, userId2, data) {
+    const key = this._key(userId1, userId2);
+    this.entries.set(key, {
+      data,
+      timestamp: Date.now()
+    });
+    console.log(`✅ UserComparisonCache SET: ${key}`);
+  }
+
+  /**
+   * Invalidate every pair involving a user, or everything when no user is given
+   * @param {number} [userId] - User ID
+   */
+  invalidate(userId) {
+    if (!userId) {
+      console.log('🗑️ UserComparisonCache INVALIDATE: All pairs');
+      this.entries.clear();
+      return;
+    }
+
+    let removed = 0;
+    for (const key of this.entries.keys()) {
+      const [a, b] = key.split(':');
+      if (a === String(userId) || b === String(userId)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    console.log(`🗑️ UserComparisonCache INVALIDATE: User ${userId} (${removed} pairs)`);
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!UserComparisonCache.instance) {
+      UserComparisonCache.instance = new UserComparisonCache();
+    }
+    return UserComparisonCache.instance;
+  }
+}
+
+// Ensure singleton instance
+UserComparisonCache.instance = null;
+
+module.exports = UserComparisonCache;
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const UserComparisonCache = require('./UserComparisonCache');
+
+test('invalidating a user drops every pair they are in, either side', () => {
+  const cache = UserComparisonCache.getInstance();
+  cache.invalidate();
+  cache.set(1, 2, { a: 1 });
+  cache.set(3, 1, { a: 2 });
+  cache.set(11, 2, { a: 3 });
+
+  cache.invalidate(1);
+
+  assert.equal(cache.get(1, 2), null);
+  assert.equal(cache.get(3, 1), null);
+  // User 11 isn't user 1
+  assert.deepEqual(cache.get(11, 2), { a: 3 });
+});
+
+test('invalidating without a user clears everything', () => {
+  const cache = UserComparisonCache.getInstance();
+  cache.set(5, 6, { a: 1 });
+  cache.invalidate();
+  assert.equal(cache.get(5, 6), null);
+});
+
+test('entries expire after the TTL', (t) => {
+  const cache = UserComparisonCache.getInstance();
+  cache.invalidate();
+  cache.set(7, 8, { a: 1 });
+
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + cache.TTL + 1);
+  assert.equal(cache.get(7, 8), null);
+});
@@ -0,0 +1,54 @@
+/**
+ * Content moderation lists used by server/utils/contentModeration.js
+ *
+ * All entries are lowercase and compared after normalization (look-alike characters, accents,
+ * leetspeak, stretched letters and separators are folded away), so "F.u.c.k", "fμck", "sh1t"
+ * and "fuuuck" don't need their own entries. Extra words can be added per environment without a deploy:
+ *   CONTENT_MODERATION_BLOCKED_WORDS=word1,word2
+ *   CONTENT_MODERATION_ALLOWED_WORDS=word1,word2
+ */
+const CONTENT_MODERATION = {
+  // Blocked when they appear as a whole word (comments, names, handle segments)
+  blockedWords: [
+    'ass', 'asshole', 'bastard', 'bitch', 'bitches', 'blowjob', 'bollocks', 'boner', 'chink',
+    'cock', 'cocks', 'cum', 'cunt', 'dick', 'dicks', 'dildo', 'douche', 'douchebag', 'dyke',
+    'fag', 'faggot', 'fags', 'fuck', 'fucked', 'fucker', 'fucking', 'fucks', 'handjob', 'hitler',
+    'jizz', 'kike', 'motherfucker', 'nazi', 'nigga', 'nigger', 'penis', 'piss', 'porn', 'pussy',
+    'rape', 'rapist', 'retard', 'retarded', 'shit', 'shits', 'shitty', 'slut', 'spic', 'tits',
+    'tranny', 'twat', 'vagina', 'wank', 'wanker', 'whore',
+  ],
+
+  // Blocked anywhere inside a handle or a word of free text ("xXfuckXx"); names are matched by whole
+  // words only, since real names contain these ("Hiroshi", "Kshitij")
+  blockedSubstrings: [
+    'asshole', 'bitch', 'cunt', 'dildo', 'faggot', 'fuck', 'jizz', 'motherf', 'nigga', 'nigger',
+    'shit', 'whore',
+  ],
+
+  // Words containing a blocked word or substring that are fine on their own, including food terms
+  // people hyphenate or split ("cum-in" for cumin)
+  allowedWords: [
+    'badminton', 'shiitake', 'shitake', 'scunthorpe', 'hiroshi', 'kshitij', 'ashit', 'mitsushita',
+    'sadminder', 'cumin', 'cumquat',
+  ],
+
+  // Handles and names that could pass for staff or the store; blocked anywhere inside a handle,
+  // and as a whole word in names ("Sadminder" is fine, "Admin Team" isn't)
+  reservedSubstrings: [
+    'admin', 'jerkycom', 'jerkydotcom', 'moderator', 'jerkystaff', 'jerkysupport', 'jerkyteam',
+    'jerkyofficial', 'officialjerky',
+  ],
+
+  // Given names that are also blocked words; allowed as a word in display names only
+  allowedNames: [
+    'dick',
+  ],
+
+  // Handles reserved outright (exact match after normalization)
+  reservedHandles: [
+    'anonymous', 'deleted', 'help', 'jerky', 'mod', 'mods', 'null', 'official', 'owner', 'root',
+    'security', 'staff', 'support', 'system', 'team', 'undefined', 'user',
+  ],
+};
+
+module.exports = CONTENT_MODERATION;
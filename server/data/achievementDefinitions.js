@@ -200,6 +200,52 @@ const achievementDefinitions = [
     collectionType: 'legacy',
     requirement: { type: 'trendsetter', value: 10 },
     points: 500
+  },
+
+  // Season Achievements (awarded by SeasonService when a season closes)
+  {
+    code: 'weekly_top_10',
+    name: 'Weekly Contender',
+    description: 'Finish a weekly season in the top 10',
+    icon: '📅',
+    tier: 'silver',
+    category: 'season',
+    collectionType: 'legacy',
+    requirement: { type: 'season_placement', seasonType: 'week', value: 10 },
+    points: 100
+  },
+  {
+    code: 'weekly_champion',
+    name: 'Weekly Champion',
+    description: 'Finish first in a weekly season',
+    icon: '🏆',
+    tier: 'gold',
+    category: 'season',
+    collectionType: 'legacy',
+    requirement: { type: 'season_placement', seasonType: 'week', value: 1 },
+    points: 250
+  },
+  {
+    code: 'monthly_top_10',
+    name: 'Monthly Contender',
+    description: 'Finish a monthly season in the top 10',
+    icon: '🗓️',
+    tier: 'gold',
+    category: 'season',
+    collectionType: 'legacy',
+    requirement: { type: 'season_placement', seasonType: 'month', value: 10 },
+    points: 250
+  },
+  {
+    code: 'monthly_champion',
+    name: 'Monthly Champion',
+    description: 'Finish first in a monthly season',
+    icon: '👑',
+    tier: 'platinum',
+    category: 'season',
+    collectionType: 'legacy',
+    requirement: { type: 'season_placement', seasonType: 'month', value: 1 },
+    points: 1000
   }
 ];
 
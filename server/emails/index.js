@@ -0,0 +1,27 @@
+/**
+ * Email Templates
+ *
+ * Registry of templates rendered by EmailService.sendTemplate. Each template exports
+ * render(data) -> { subject, html, text } built on the shared layout in ./layout.
+ */
+
+const TEMPLATES = {
+  magicLink: require('./templates/magicLink'),
+  weeklyDigest: require('./templates/weeklyDigest'),
+};
+
+/**
+ * Render a template by name
+ * @param {string} name - Template name (key of TEMPLATES)
+ * @param {Object} data - Template data
+ * @returns {Object} { subject, html, text }
+ */
+function renderEmail(name, data) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template.render(data);
+}
+
+module.exports = { renderEmail };
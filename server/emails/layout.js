@@ -0,0 +1,232 @@
+/**
+ * Email Layout
+ *
+ * Shared HTML shell (header logo, content card, footer) and small building blocks for the
+ * templates in ./templates. Templates build their body from these helpers and escape every
+ * user- or catalog-provided string with escapeHtml.
+ */
+
+const LOGO_URL = 'https://www.jerky.com/cdn/shop/files/jerky_logo_aeed54c0-3f7f-462d-93c3-785b3c97af9d_300x.png?v=1678208718';
+
+const STYLES = `
+  body {
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+    line-height: 1.6;
+    color: #333;
+    margin: 0;
+    padding: 0;
+    background-color: #f5f5f5;
+  }
+  .email-wrapper {
+    background-color: #f5f5f5;
+    padding: 40px 20px;
+  }
+  .container {
+    max-width: 600px;
+    margin: 0 auto;
+    background-color: white;
+    border-radius: 8px;
+    box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+    overflow: hidden;
+  }
+  .header {
+    background: #2c2c2c;
+    padding: 30px 40px;
+    text-align: center;
+  }
+  .logo {
+    max-width: 200px;
+    height: auto;
+    margin-bottom: 10px;
+  }
+  .content {
+    padding: 40px;
+  }
+  h2 {
+    color: #1a1a1a;
+    font-size: 24px;
+    margin: 0 0 20px 0;
+    font-weight: 600;
+  }
+  h3 {
+    color: #1a1a1a;
+    font-size: 18px;
+    margin: 0 0 10px 0;
+    font-weight: 600;
+  }
+  p {
+    color: #555;
+    margin: 0 0 15px 0;
+    font-size: 16px;
+  }
+  .section {
+    padding: 20px 0;
+    border-top: 1px solid #e9ecef;
+  }
+  .section:first-of-type {
+    border-top: none;
+    padding-top: 0;
+  }
+  .list {
+    margin: 0;
+    padding: 0 0 0 20px;
+    color: #555;
+  }
+  .list li {
+    margin: 0 0 8px 0;
+  }
+  .muted {
+    color: #6c757d;
+    font-size: 14px;
+  }
+  .button-container {
+    text-align: center;
+    margin: 30px 0;
+  }
+  .button {
+    display: inline-block;
+    padding: 16px 40px;
+    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+    color: white !important;
+    text-decoration: none;
+    border-radius: 50px;
+    font-weight: 600;
+    font-size: 16px;
+    box-shadow: 0 4px 15px rgba(102, 126, 234, 0.4);
+  }
+  .link-container {
+    background-color: #f8f9fa;
+    border-radius: 6px;
+    padding: 15px;
+    margin: 20px 0;
+  }
+  .link-text {
+    word-break: break-all;
+    color: #667eea;
+    font-size: 14px;
+    margin: 0;
+  }
+  .notice {
+    background-color: #fff3cd;
+    border-left: 4px solid #ffc107;
+    padding: 12px 15px;
+    margin: 20px 0;
+    border-radius: 4px;
+  }
+  .notice p {
+    margin: 0;
+    color: #856404;
+    font-weight: 500;
+  }
+  .footer {
+    background-color: #f8f9fa;
+    padding: 30px 40px;
+    text-align: center;
+    border-top: 1px solid #e9ecef;
+  }
+  .footer p {
+    font-size: 13px;
+    color: #6c757d;
+    margin: 5px 0;
+  }
+  .footer a {
+    color: #6c757d;
+  }
+`;
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {*} value - Raw value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function button(href, label) {
+  return `
+    <div class="button-container">
+      <a href="${escapeHtml(href)}" class="button">${escapeHtml(label)}</a>
+    </div>
+  `;
+}
+
+function section(title, bodyHtml) {
+  return `
+    <div class="section">
+      <h3>${escapeHtml(title)}</h3>
+      ${bodyHtml}
+    </div>
+  `;
+}
+
+function list(items) {
+  return `<ul class="list">${items.map(item => `<li>${item}</li>`).join('')}</ul>`;
+}
+
+/**
+ * Wrap a template body in the shared email shell
+ * @param {Object} options
+ * @param {string} options.title - Document title
+ * @param {string} options.bodyHtml - Content (already escaped)
+ * @param {string} [options.footerHtml] - Extra footer lines (already escaped), e.g. an unsubscribe link
+ * @returns {string}
+ */
+function renderLayout({ title, bodyHtml, footerHtml = '' }) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${escapeHtml(title)}</title>
+      <style>${STYLES}</style>
+    </head>
+    <body>
+      <div class="email-wrapper">
+        <div class="container">
+          <div class="header">
+            <img src="${LOGO_URL}" alt="Jerky.com Logo" class="logo">
+          </div>
+          <div class="content">
+            ${bodyHtml}
+          </div>
+          <div class="footer">
+            <p><strong>Jerky.com Rankings</strong></p>
+            ${footerHtml}
+            <p>© ${new Date().getFullYear()} Jerky.com. All rights reserved.</p>
+          </div>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Plain-text counterpart of renderLayout
+ * @param {string} bodyText - Text content
+ * @param {string} [footerText] - Extra footer lines
+ * @returns {string}
+ */
+function renderTextLayout(bodyText, footerText = '') {
+  return [
+    bodyText.trim(),
+    footerText.trim(),
+    `© ${new Date().getFullYear()} Jerky.com. All rights reserved.`
+  ].filter(Boolean).join('\n\n');
+}
+
+module.exports = {
+  escapeHtml,
+  button,
+  section,
+  list,
+  renderLayout,
+  renderTextLayout
+};
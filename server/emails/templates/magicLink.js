@@ -0,0 +1,46 @@
+const { escapeHtml, button, renderLayout, renderTextLayout } = require('../layout');
+
+/**
+ * Magic link login email
+ * @param {Object} data - { magicLink, customerName }
+ * @returns {Object} { subject, html, text }
+ */
+function render({ magicLink, customerName }) {
+  const subject = 'Login to Jerky.com Rankings';
+
+  const html = renderLayout({
+    title: subject,
+    bodyHtml: `
+      <h2>Welcome back, ${escapeHtml(customerName || 'Customer')}!</h2>
+      <p>Click the button below to securely log in to your Jerky.com Rankings account:</p>
+
+      ${button(magicLink, '🥩 Log In to Your Account')}
+
+      <div class="notice">
+        <p>⏱️ This link expires in 30 minutes for your security</p>
+      </div>
+
+      <p style="margin-top: 25px;">Or copy and paste this link into your browser:</p>
+      <div class="link-container">
+        <p class="link-text">${escapeHtml(magicLink)}</p>
+      </div>
+
+      <p class="muted"><em>If you didn't request this login, you can safely ignore this email.</em></p>
+    `
+  });
+
+  const text = renderTextLayout(`
+Welcome back${customerName ? ', ' + customerName : ''}!
+
+Click this link to log in to your Jerky.com Rankings account:
+${magicLink}
+
+This link expires in 30 minutes.
+
+If you didn't request this login, you can safely ignore this email.
+  `);
+
+  return { subject, html, text };
+}
+
+module.exports = { render };
@@ -0,0 +1,106 @@
+const { escapeHtml, button, section, list, renderLayout, renderTextLayout } = require('../layout');
+
+const pluralize = (count, singular, plural = `${singular}s`) => (count === 1 ? singular : plural);
+
+function describeLeaderboardMove(leaderboard) {
+  if (!leaderboard.rank) return null;
+  const position = `#${leaderboard.rank} of ${leaderboard.totalUsers}`;
+  if (leaderboard.change === null || leaderboard.change === 0) {
+    return leaderboard.change === 0 ? `You held steady at ${position}.` : `You're ${position}.`;
+  }
+  const places = Math.abs(leaderboard.change);
+  return leaderboard.change > 0
+    ? `You climbed ${places} ${pluralize(places, 'spot')} to ${position}.`
+    : `You slipped ${places} ${pluralize(places, 'spot')} to ${position}.`;
+}
+
+/**
+ * Weekly ranking and community digest
+ * Sections without anything to say are left out
+ * @param {Object} data - Composed by EmailDigestService.composeDigest:
+ *   { firstName, periodLabel, rankingsThisWeek, streak: { current, longest, freezes },
+ *     nextCoin: { name, actionText, progress } | null, newCoins: [{ name, description, url }],
+ *     recommendations: [{ title, url }], leaderboard: { rank, totalUsers, change },
+ *     links: { rank, coinbook, leaderboard, preferences, unsubscribe } }
+ * @returns {Object} { subject, html, text }
+ */
+function render(data) {
+  const { firstName, periodLabel, rankingsThisWeek, streak, nextCoin, newCoins, recommendations, leaderboard, links } = data;
+  const subject = streak.current > 1
+    ? `Your week in jerky: ${streak.current}-day streak going`
+    : 'Your week in jerky';
+
+  const sections = [];
+  const textSections = [];
+
+  // Streak and activity
+  const streakLine = streak.current > 0
+    ? `You're on a ${streak.current}-day ranking streak (best: ${streak.longest}).`
+    : 'No active streak right now. Rank a flavor today to start one.';
+  const activityLine = `You ranked ${rankingsThisWeek} ${pluralize(rankingsThisWeek, 'flavor')} this week.`;
+  const freezeLine = streak.freezes > 0 ? `${streak.freezes} streak ${pluralize(streak.freezes, 'freeze')} banked.` : null;
+  sections.push(section('🔥 Your streak', `
+    <p>${escapeHtml(streakLine)}</p>
+    <p>${escapeHtml(activityLine)}${freezeLine ? ` ${escapeHtml(freezeLine)}` : ''}</p>
+  `));
+  textSections.push(`YOUR STREAK\n${streakLine}\n${activityLine}${freezeLine ? ` ${freezeLine}` : ''}`);
+
+  // Coins
+  if (newCoins.length > 0 || nextCoin) {
+    const coinHtml = [];
+    const coinText = [];
+    if (newCoins.length > 0) {
+      coinHtml.push(`<p>New ${pluralize(newCoins.length, 'coin')} to chase this week:</p>`);
+      coinHtml.push(list(newCoins.map(coin =>
+        `<a href="${escapeHtml(coin.url)}">${escapeHtml(coin.name)}</a>${coin.description ? ` – ${escapeHtml(coin.description)}` : ''}`
+      )));
+      coinText.push('New coins to chase this week:', ...newCoins.map(coin => `• ${coin.name}${coin.description ? ` – ${coin.description}` : ''}`));
+    }
+    if (nextCoin) {
+      const nextLine = `Closest coin: ${nextCoin.name} (${Math.round(nextCoin.progress)}% there). ${nextCoin.actionText || ''}`.trim();
+      coinHtml.push(`<p>${escapeHtml(nextLine)}</p>`);
+      coinText.push(nextLine);
+    }
+    sections.push(section('🪙 Coins', coinHtml.join('')));
+    textSections.push(`COINS\n${coinText.join('\n')}\n${links.coinbook}`);
+  }
+
+  // Taste twin picks
+  if (recommendations.length > 0) {
+    sections.push(section('👯 Your taste twins loved', `
+      <p>Rankers with taste like yours put these near the top of their lists:</p>
+      ${list(recommendations.map(product => `<a href="${escapeHtml(product.url)}">${escapeHtml(product.title)}</a>`))}
+    `));
+    textSections.push(`YOUR TASTE TWINS LOVED\n${recommendations.map(product => `• ${product.title} – ${product.url}`).join('\n')}`);
+  }
+
+  // Leaderboard movement
+  const leaderboardLine = describeLeaderboardMove(leaderboard);
+  if (leaderboardLine) {
+    sections.push(section('🏆 Leaderboard', `<p>${escapeHtml(leaderboardLine)}</p>`));
+    textSections.push(`LEADERBOARD\n${leaderboardLine}\n${links.leaderboard}`);
+  }
+
+  const html = renderLayout({
+    title: subject,
+    bodyHtml: `
+      <h2>Hey ${escapeHtml(firstName || 'there')}, here's your week</h2>
+      <p class="muted">${escapeHtml(periodLabel)}</p>
+      ${sections.join('')}
+      ${button(links.rank, '🥩 Keep Ranking')}
+    `,
+    footerHtml: `
+      <p>You're getting this because you turned on the weekly digest.</p>
+      <p><a href="${escapeHtml(links.preferences)}">Email preferences</a> · <a href="${escapeHtml(links.unsubscribe)}">Unsubscribe</a></p>
+    `
+  });
+
+  const text = renderTextLayout(
+    `Hey ${firstName || 'there'}, here's your week (${periodLabel})\n\n${textSections.join('\n\n')}\n\nKeep ranking: ${links.rank}`,
+    `You're getting this because you turned on the weekly digest.\nUnsubscribe: ${links.unsubscribe}`
+  );
+
+  return { subject, html, text };
+}
+
+module.exports = { render };
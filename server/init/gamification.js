@@ -8,6 +8,9 @@ const StreakRepository = require('../repositories/StreakRepository');
 const ActivityLogRepository = require('../repositories/ActivityLogRepository');
 const ProductViewRepository = require('../repositories/ProductViewRepository');
 const ProductsMetadataRepository = require('../repositories/ProductsMetadataRepository');
+const RankingListRepository = require('../repositories/RankingListRepository');
+const RankingEventRepository = require('../repositories/RankingEventRepository');
+const RankingNoteRepository = require('../repositories/RankingNoteRepository');
 
 const EngagementManager = require('../services/EngagementManager');
 const StreakManager = require('../services/StreakManager');
@@ -19,6 +22,19 @@ const PageViewService = require('../services/PageViewService');
 const UserStatsAggregator = require('../services/UserStatsAggregator');
 const CacheWarmer = require('../services/CacheWarmer');
 const CollectionManager = require('../services/CollectionManager');
+const RankingHistoryService = require('../services/RankingHistoryService');
+const RecommendationService = require('../services/RecommendationService');
+const ShareCardService = require('../services/ShareCardService');
+const SeasonService = require('../services/SeasonService');
+const AchievementStatsService = require('../services/AchievementStatsService');
+const LevelService = require('../services/LevelService');
+const AchievementAuditService = require('../services/AchievementAuditService');
+const FollowService = require('../services/FollowService');
+const NotificationService = require('../services/NotificationService');
+const EmailDigestService = require('../services/EmailDigestService');
+const EmailService = require('../services/EmailService');
+const ProductCommentService = require('../services/ProductCommentService');
+const ContentReportService = require('../services/ContentReportService');
 const RecentAchievementTracker = require('../services/RecentAchievementTracker');
 const CommentaryService = require('../services/CommentaryService');
 const ActivityTrackingService = require('../services/ActivityTrackingService');
@@ -34,6 +50,8 @@ const EngagementBackfillQueue = require('../services/EngagementBackfillQueue');
 const EngagementBackfillWorker = require('../services/EngagementBackfillWorker');
 const CoinRecalculationQueue = require('../services/CoinRecalculationQueue');
 const CoinRecalculationWorker = require('../services/CoinRecalculationWorker');
+const EmailDigestQueue = require('../services/EmailDigestQueue');
+const EmailDigestWorker = require('../services/EmailDigestWorker');
 const WebhookQueue = require('../services/WebhookQueue');
 const WebhookWorker = require('../services/WebhookWorker');
 
@@ -43,10 +61,20 @@ const createGamificationRoutes = require('../routes/gamification');
 const createCommunityRoutes = require('../routes/community');
 const createFlavorProfileCommunitiesRoutes = require('../routes/flavorProfileCommunities');
 const createProfileRoutes = require('../routes/profile');
+const createRankingListRoutes = require('../routes/rankingLists');
+const createRankingHistoryRoutes = require('../routes/rankingHistory');
+const createRankingNotesRoutes = require('../routes/rankingNotes');
+const createRecommendationRoutes = require('../routes/recommendations');
+const createShareRoutes = require('../routes/share');
+const createNotificationRoutes = require('../routes/notifications');
+const createEmailDigestRoutes = require('../routes/emailDigest');
+const createProductCommentRoutes = require('../routes/productComments');
+const createContentReportRoutes = require('../routes/contentReports');
 const healthRouter = require('../routes/health');
 const WebSocketGateway = require('../websocket/gateway');
 
 const { primaryDb, ensureDatabaseReady } = require('../db-primary');
+const unsubscribeTokens = require('../utils/unsubscribeTokens');
 const Sentry = require('@sentry/node');
 
 async function initializeGamification(app, io, db, storage, fetchAllShopifyProducts, getRankableProductCount, productsService = null, rateLimiters = null, purchaseHistoryService = null) {
@@ -100,6 +128,9 @@ async function initializeGamification(app, io, db, storage, fetchAllShopifyProdu
   const activityLogRepo = new ActivityLogRepository(db);
   const productViewRepo = new ProductViewRepository(db);
   const productsMetadataRepo = new ProductsMetadataRepository(db);
+  const rankingListRepo = new RankingListRepository(db);
+  const rankingEventRepo = new RankingEventRepository(db);
+  const rankingNoteRepo = new RankingNoteRepository(db);
 
   // Initialize cache instances
   const homeStatsCache = HomeStatsCache.getInstance();
@@ -111,6 +142,19 @@ async function initializeGamification(app, io, db, storage, fetchAllShopifyProdu
   const collectionManager = new CollectionManager(achievementRepo, productsMetadataRepo, primaryDb, productsService);
   const progressTracker = new ProgressTracker(achievementRepo, streakRepo, db, collectionManager, engagementManager);
   const pageViewService = new PageViewService(db, productViewRepo);
+  const rankingHistoryService = new RankingHistoryService(rankingEventRepo);
+  const recommendationService = new RecommendationService(db, productsService, purchaseHistoryService, communityService);
+  const shareCardService = new ShareCardService(db, productsService, communityService);
+  const seasonService = new SeasonService(primaryDb, engagementManager, productsService, communityService);
+  const achievementStatsService = new AchievementStatsService(db, communityService);
+  const levelService = new LevelService(primaryDb);
+  const achievementAuditService = new AchievementAuditService(primaryDb);
+  const followService = new FollowService(primaryDb, communityService);
+  const notificationService = new NotificationService(primaryDb);
+  const emailService = EmailService; // Singleton instance
+  const emailDigestService = new EmailDigestService({ db: primaryDb, emailService, progressTracker, leaderboardManager, recommendationService });
+  const productCommentService = new ProductCommentService(primaryDb, communityService);
+  const contentReportService = new ContentReportService({ db: primaryDb, communityService, productCommentService });
   const homeStatsService = new HomeStatsService(db, leaderboardManager, activityLogRepo, productViewRepo, communityService, homeStatsCache);
   const userStatsAggregator = new UserStatsAggregator(leaderboardManager, streakManager, productsService);
   const recentAchievementTracker = RecentAchievementTracker;
@@ -140,12 +184,28 @@ async function initializeGamification(app, io, db, storage, fetchAllShopifyProdu
     activityLogRepo,
     productViewRepo,
     productsMetadataRepo,
+    rankingListRepo,
+    rankingEventRepo,
+    rankingNoteRepo,
     communityService,
     engagementManager,
     streakManager,
     leaderboardManager,
     progressTracker,
     pageViewService,
+    rankingHistoryService,
+    recommendationService,
+    shareCardService,
+    seasonService,
+    achievementStatsService,
+    levelService,
+    achievementAuditService,
+    followService,
+    notificationService,
+    emailService,
+    emailDigestService,
+    productCommentService,
+    contentReportService,
     homeStatsService,
     userStatsAggregator,
     collectionManager,
@@ -167,6 +227,15 @@ async function initializeGamification(app, io, db, storage, fetchAllShopifyProdu
   const communityRouter = createCommunityRoutes(services);
   const flavorProfileCommunitiesRouter = createFlavorProfileCommunitiesRoutes(services);
   const profileRouter = createProfileRoutes(services);
+  const rankingListsRouter = createRankingListRoutes(services);
+  const rankingHistoryRouter = createRankingHistoryRoutes(services);
+  const rankingNotesRouter = createRankingNotesRoutes(services);
+  const recommendationRouter = createRecommendationRoutes(services);
+  const shareRouter = createShareRoutes(services);
+  const notificationsRouter = createNotificationRoutes(services);
+  const emailDigestRouter = createEmailDigestRoutes(services);
+  const productCommentsRouter = createProductCommentRoutes(services);
+  const contentReportsRouter = createContentReportRoutes(services);
   
   // Apply rate limiting middleware if provided
   if (rateLimiters) {
@@ -174,11 +243,34 @@ async function initializeGamification(app, io, db, storage, fetchAllShopifyProdu
     app.use('/api/community', rateLimiters.apiLimiter, communityRouter);
     app.use('/api/flavor-profile-communities', rateLimiters.apiLimiter, flavorProfileCommunitiesRouter);
     app.use('/api/profile', rateLimiters.apiLimiter, profileRouter);
+    app.use('/api/rankings/lists', rateLimiters.apiLimiter, rankingListsRouter);
+    app.use('/api/rankings/history', rateLimiters.apiLimiter, rankingHistoryRouter);
+    app.use('/api/rankings/notes', rateLimiters.apiLimiter, rankingNotesRouter);
+    app.use('/api/recommendations', rateLimiters.apiLimiter, recommendationRouter);
+    app.use('/api/notifications', rateLimiters.apiLimiter, notificationsRouter);
+    app.use('/api/email', rateLimiters.apiLimiter, emailDigestRouter);
+    // Posting and editing comments get the stricter comment limiter on top of the API limiter
+    app.post('/api/comments/products/:productId', rateLimiters.commentLimiter);
+    app.patch('/api/comments/:commentId', rateLimiters.commentLimiter);
+    app.use('/api/comments', rateLimiters.apiLimiter, productCommentsRouter);
+    app.use('/api/reports', rateLimiters.apiLimiter, contentReportsRouter);
+    // Share routes live outside /api (they're linked from other sites), so limit them by prefix
+    app.use(['/share', '/embed'], rateLimiters.apiLimiter);
+    app.use(shareRouter);
   } else {
     app.use('/api/gamification', gamificationRouter);
     app.use('/api/community', communityRouter);
     app.use('/api/flavor-profile-communities', flavorProfileCommunitiesRouter);
     app.use('/api/profile', profileRouter);
+    app.use('/api/rankings/lists', rankingListsRouter);
+    app.use('/api/rankings/history', rankingHistoryRouter);
+    app.use('/api/rankings/notes', rankingNotesRouter);
+    app.use('/api/recommendations', recommendationRouter);
+    app.use('/api/notifications', notificationsRouter);
+    app.use('/api/email', emailDigestRouter);
+    app.use('/api/comments', productCommentsRouter);
+    app.use('/api/reports', contentReportsRouter);
+    app.use(shareRouter);
   }
   
   // Health check endpoints (no rate limiting)
@@ -188,6 +280,15 @@ async function initializeGamification(app, io, db, storage, fetchAllShopifyProdu
   console.log('✅ Community routes registered at /api/community');
   console.log('✅ Flavor profile communities routes registered at /api/flavor-profile-communities');
   console.log('✅ Profile routes registered at /api/profile');
+  console.log('✅ Ranking list routes registered at /api/rankings/lists');
+  console.log('✅ Ranking history routes registered at /api/rankings/history');
+  console.log('✅ Ranking notes routes registered at /api/rankings/notes');
+  console.log('✅ Recommendation routes registered at /api/recommendations');
+  console.log('✅ Notification routes registered at /api/notifications');
+  console.log('✅ Email digest routes registered at /api/email');
+  console.log('✅ Product comment routes registered at /api/comments');
+  console.log('✅ Content report routes registered at /api/reports');
+  console.log('✅ Share card routes registered at /share and /embed');
   console.log('✅ Health check routes registered at /api/health');
 
   const wsGateway = new WebSocketGateway(io, services);
@@ -195,6 +296,9 @@ async function initializeGamification(app, io, db, storage, fetchAllShopifyProdu
 
   services.wsGateway = wsGateway;
   
+  // Logged social activity (coins, streak milestones) goes live to followers' feeds
+  activityLogRepo.setGateway(wsGateway);
+  
   // Initialize ClassificationWorker (BullMQ background processor)
   const classificationWorker = new ClassificationWorker({
     userClassificationService,
@@ -247,6 +351,7 @@ async function initializeGamification(app, io, db, storage, fetchAllShopifyProdu
       engagementManager,
       collectionManager,
       leaderboardManager,
+      achievementAuditService,
       wsGateway
     });
     console.log('✅ CoinRecalculationWorker initialized');
@@ -265,6 +370,39 @@ async function initializeGamification(app, io, db, storage, fetchAllShopifyProdu
     });
   }
   
+  // Initialize EmailDigestQueue + Worker (weekly digest email, BullMQ job scheduler)
+  // Digests carry a signed unsubscribe link, so they're only scheduled when SMTP and the signing secret are configured
+  if (!emailService.isInitialized() || !unsubscribeTokens.isConfigured()) {
+    console.warn('⚠️  Weekly email digest disabled - requires SMTP configuration and EMAIL_UNSUBSCRIBE_SECRET');
+  } else {
+    try {
+      console.log('🔧 Initializing EmailDigestQueue...');
+      const emailDigestQueue = EmailDigestQueue; // Singleton instance
+      await emailDigestQueue.initialize();
+      console.log('✅ EmailDigestQueue initialized');
+
+      console.log('🔧 Initializing EmailDigestWorker...');
+      const emailDigestWorker = new EmailDigestWorker();
+      await emailDigestWorker.initialize({
+        emailDigestService,
+        emailDigestQueue
+      });
+      console.log('✅ EmailDigestWorker initialized');
+
+      services.emailDigestQueue = emailDigestQueue;
+      services.emailDigestWorker = emailDigestWorker;
+    } catch (err) {
+      console.error('❌ Failed to initialize EmailDigest system:', err.message);
+      Sentry.captureException(err, {
+        level: 'error',
+        tags: {
+          service: 'gamification',
+          operation: 'email_digest_init'
+        }
+      });
+    }
+  }
+  
   // Initialize WebhookQueue (BullMQ with Redis for Shopify webhooks)
   const webhookQueue = WebhookQueue; // Singleton instance
   await webhookQueue.initialize();
@@ -306,6 +444,64 @@ async function initializeGamification(app, io, db, storage, fetchAllShopifyProdu
     });
   });
 
+  // Close finished weekly/monthly seasons: archives standings and Top N, awards placement coins,
+  // then resets the period's engagement scores. Each season is claimed once across instances.
+  const runSeasonCheck = () => {
+    seasonService.closeDueSeasons().catch(err => {
+      console.error('❌ Failed to close seasons:', err.message);
+      Sentry.captureException(err, {
+        level: 'error',
+        tags: {
+          service: 'gamification',
+          operation: 'season_close'
+        }
+      });
+    });
+  };
+  setTimeout(runSeasonCheck, 60 * 1000); // Shortly after startup, once caches are warm
+  setInterval(runSeasonCheck, 60 * 60 * 1000); // Every hour
+  console.log('✅ Season scheduler started');
+
+  // Rebuild coin rarity and earn-rate stats (achievement_stats) used by the coin detail pages
+  const runAchievementStats = () => {
+    achievementStatsService.recomputeAll().then(count => {
+      console.log(`📊 Achievement stats recomputed for ${count} coin(s)`);
+    }).catch(err => {
+      console.error('❌ Failed to recompute achievement stats:', err.message);
+      Sentry.captureException(err, {
+        level: 'error',
+        tags: {
+          service: 'gamification',
+          operation: 'achievement_stats'
+        }
+      });
+    });
+  };
+  setTimeout(runAchievementStats, 2 * 60 * 1000); // After startup work settles
+  setInterval(runAchievementStats, 6 * 60 * 60 * 1000); // Every 6 hours
+  console.log('✅ Achievement stats scheduler started');
+
+  // Drop inbox notifications past the retention window
+  const runNotificationPrune = () => {
+    notificationService.pruneOld().then(count => {
+      if (count > 0) {
+        console.log(`🧹 Pruned ${count} old notification(s)`);
+      }
+    }).catch(err => {
+      console.error('❌ Failed to prune notifications:', err.message);
+      Sentry.captureException(err, {
+        level: 'error',
+        tags: {
+          service: 'gamification',
+          operation: 'notification_prune'
+        }
+      });
+    });
+  };
+  setTimeout(runNotificationPrune, 3 * 60 * 1000);
+  setInterval(runNotificationPrune, 24 * 60 * 60 * 1000); // Daily
+  console.log('✅ Notification prune scheduler started');
+
   // Initialize cache warmer and register global caches
   const cacheWarmer = new CacheWarmer();
   
@@ -58,6 +58,23 @@ async function createRateLimiters() {
     }),
   });
 
+  // Strict rate limit for posting and editing product comments
+  const commentLimiter = rateLimit({
+    windowMs: 5 * 60 * 1000, // 5 minutes
+    max: 10, // Limit each IP to 10 comment posts/edits per 5 minutes
+    message: { error: 'You\'re commenting too fast. Please wait a few minutes and try again.' }, // JSON so the comment form can show it
+    standardHeaders: true,
+    legacyHeaders: false,
+    validate: { trustProxy: false }, // Disable trust proxy validation (behind Replit proxy)
+    ...(useRedis && {
+      store: new RedisStore({
+        client,
+        prefix: 'rl:comment:',
+        sendCommand: (...args) => client.call(...args),
+      }),
+    }),
+  });
+
   // Rate limit for admin endpoints (higher in dev due to webhooks)
   const isDev = process.env.NODE_ENV !== 'production';
   const adminLimiter = rateLimit({
@@ -83,6 +100,7 @@ async function createRateLimiters() {
     authLimiter,
     apiLimiter,
     rankingLimiter,
+    commentLimiter,
     adminLimiter,
   };
 }
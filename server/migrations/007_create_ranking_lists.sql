@@ -0,0 +1,35 @@
+-- Migration: Create ranking_lists table for multiple named ranking lists
+-- Created: 2026-10-19
+-- Description: Stores named lists per user (e.g., "Spicy Top 10"). product_rankings.ranking_list_id
+--              references ranking_lists.list_id. The 'default' list is the user's primary Top N and
+--              remains the only list counted by gamification, leaderboards and community stats.
+
+CREATE TABLE IF NOT EXISTS ranking_lists (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  list_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  visibility TEXT NOT NULL DEFAULT 'public',
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  CONSTRAINT ranking_lists_user_id_list_id_unique UNIQUE (user_id, list_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ranking_lists_user_id
+  ON ranking_lists(user_id);
+
+-- Backfill a primary list row for every user who already has rankings
+INSERT INTO ranking_lists (user_id, list_id, name, visibility, created_at, updated_at)
+SELECT pr.user_id, pr.ranking_list_id,
+       CASE WHEN pr.ranking_list_id = 'default' THEN 'My Top N' ELSE pr.ranking_list_id END,
+       CASE WHEN pr.ranking_list_id = 'default' THEN 'public' ELSE 'private' END,
+       MIN(pr.created_at), NOW()
+FROM product_rankings pr
+GROUP BY pr.user_id, pr.ranking_list_id
+ON CONFLICT (user_id, list_id) DO NOTHING;
+
+-- Log migration completion
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 007 completed: ranking_lists table created and backfilled';
+END $$;
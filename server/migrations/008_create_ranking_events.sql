@@ -0,0 +1,43 @@
+-- Migration: Create ranking_events append-only log for ranking history
+-- Created: 2026-10-19
+-- Description: Every insert/move/remove of a product in a ranking list is appended to ranking_events
+--              (written alongside ranking_operations). Replaying events up to a timestamp reconstructs
+--              a user's list at that moment (GET /api/rankings/history?at=<date>).
+
+CREATE TABLE IF NOT EXISTS ranking_events (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  shopify_product_id TEXT NOT NULL,
+  ranking_list_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  old_position INTEGER,
+  new_position INTEGER,
+  product_title TEXT,
+  operation_id TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ranking_events_user_list_created
+  ON ranking_events(user_id, ranking_list_id, created_at);
+
+-- Baseline: seed one 'insert' event per existing ranking so history starts from today's lists.
+-- Positions before this migration were overwritten in place and cannot be recovered, so the
+-- current position is recorded at the time the product was first ranked.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM ranking_events LIMIT 1) THEN
+    INSERT INTO ranking_events (user_id, shopify_product_id, ranking_list_id, event_type, old_position, new_position, product_title, created_at)
+    SELECT user_id, shopify_product_id, ranking_list_id, 'insert', NULL, ranking, product_data->>'title', COALESCE(created_at, NOW())
+    FROM product_rankings;
+
+    RAISE NOTICE 'Seeded baseline ranking_events from product_rankings';
+  ELSE
+    RAISE NOTICE 'ranking_events already populated, skipping baseline seed';
+  END IF;
+END $$;
+
+-- Log migration completion
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 008 completed: ranking_events table created';
+END $$;
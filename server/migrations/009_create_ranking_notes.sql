@@ -0,0 +1,30 @@
+-- Migration: Create ranking_notes for per-product tasting notes and sub-scores
+-- Created: 2026-10-19
+-- Description: Users can attach optional notes plus 1-5 sub-scores (tenderness, heat, sweetness,
+--              smoke, saltiness) to each ranked product. Rows are keyed to product_rankings.id and
+--              cascade-deleted when the product is unranked. Aggregated into product insights.
+
+CREATE TABLE IF NOT EXISTS ranking_notes (
+  id SERIAL PRIMARY KEY,
+  product_ranking_id INTEGER NOT NULL REFERENCES product_rankings(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  shopify_product_id TEXT NOT NULL,
+  notes TEXT,
+  tenderness INTEGER CHECK (tenderness BETWEEN 1 AND 5),
+  heat INTEGER CHECK (heat BETWEEN 1 AND 5),
+  sweetness INTEGER CHECK (sweetness BETWEEN 1 AND 5),
+  smoke INTEGER CHECK (smoke BETWEEN 1 AND 5),
+  saltiness INTEGER CHECK (saltiness BETWEEN 1 AND 5),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  CONSTRAINT ranking_notes_product_ranking_id_unique UNIQUE (product_ranking_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ranking_notes_shopify_product_id
+  ON ranking_notes(shopify_product_id);
+
+-- Log migration completion
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 009 completed: ranking_notes table created';
+END $$;
@@ -0,0 +1,48 @@
+-- Migration: Create seasons archive tables
+-- Created: 2026-10-19
+-- Description: Weekly and monthly leaderboard "seasons". When a week or month ends, the final
+--              leaderboard for that period and the community Top N are archived here before
+--              user_engagement_scores week/month columns are reset. One row per season_type and
+--              end boundary, so concurrent closers can't archive the same season twice.
+
+CREATE TABLE IF NOT EXISTS seasons (
+  id SERIAL PRIMARY KEY,
+  season_type TEXT NOT NULL CHECK (season_type IN ('week', 'month')),
+  starts_at TIMESTAMP NOT NULL,
+  ends_at TIMESTAMP NOT NULL,
+  participant_count INTEGER DEFAULT 0,
+  created_at TIMESTAMP DEFAULT NOW(),
+  CONSTRAINT seasons_type_ends_at_unique UNIQUE (season_type, ends_at)
+);
+
+CREATE TABLE IF NOT EXISTS season_leaderboard_entries (
+  id SERIAL PRIMARY KEY,
+  season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  position INTEGER NOT NULL,
+  engagement_score INTEGER NOT NULL,
+  unique_products INTEGER DEFAULT 0,
+  CONSTRAINT season_leaderboard_entries_season_user_unique UNIQUE (season_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_season_leaderboard_entries_user
+  ON season_leaderboard_entries(user_id);
+
+CREATE TABLE IF NOT EXISTS season_top_products (
+  id SERIAL PRIMARY KEY,
+  season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  shopify_product_id TEXT NOT NULL,
+  title TEXT,
+  vendor TEXT,
+  rank_count INTEGER DEFAULT 0,
+  avg_rank REAL,
+  consensus_score REAL,
+  CONSTRAINT season_top_products_season_position_unique UNIQUE (season_id, position)
+);
+
+-- Log migration completion
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 010 completed: seasons, season_leaderboard_entries and season_top_products tables created';
+END $$;
@@ -0,0 +1,24 @@
+-- Migration: Add streak freezes and streak day history
+-- Created: 2026-10-19
+-- Description: Streak protection. Users earn freeze tokens (one per 7 days of a streak, up to a cap)
+--              that are spent automatically to cover missed days instead of resetting the streak.
+--              streak_days records each calendar day (in the user's timezone) a streak was kept,
+--              and whether the user was active or the day was frozen.
+
+ALTER TABLE streaks ADD COLUMN IF NOT EXISTS freezes_available INTEGER DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS streak_days (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  streak_type TEXT NOT NULL,
+  day DATE NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('active', 'frozen')),
+  created_at TIMESTAMP DEFAULT NOW(),
+  CONSTRAINT streak_days_user_type_day_unique UNIQUE (user_id, streak_type, day)
+);
+
+-- Log migration completion
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 011 completed: streaks.freezes_available and streak_days created';
+END $$;
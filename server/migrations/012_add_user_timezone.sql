@@ -0,0 +1,16 @@
+-- Migration: Add per-user timezone
+-- Created: 2026-10-19
+-- Description: users.timezone holds the IANA timezone used for a user's day boundaries
+--              (streaks, "today" stats, engagement week/month windows). NULL means not yet
+--              detected; the server falls back to the browser's timezone, then America/Chicago.
+--              Existing streaks can't be rebuilt here since no user has a timezone yet:
+--              StreakManager.recomputeStreak replays each user's daily_rank streak from
+--              their ranking_saved activity once their timezone is first saved or changed.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone TEXT;
+
+-- Log migration completion
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 012 completed: users.timezone added';
+END $$;
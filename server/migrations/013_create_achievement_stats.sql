@@ -0,0 +1,27 @@
+-- Migration: Create achievement stats table
+-- Created: 2026-10-19
+-- Description: Per-coin rarity and earn-rate statistics for the coin trading-card pages.
+--              AchievementStatsService rebuilds every row on a schedule: the share of active
+--              users who earned each coin (and each tier), the resulting rarity band, median
+--              days from signup to earning, the first earner and the most recent earners.
+
+CREATE TABLE IF NOT EXISTS achievement_stats (
+  id SERIAL PRIMARY KEY,
+  achievement_id INTEGER NOT NULL UNIQUE REFERENCES achievements(id) ON DELETE CASCADE,
+  active_users INTEGER NOT NULL DEFAULT 0,
+  earner_count INTEGER NOT NULL DEFAULT 0,
+  earned_percentage REAL NOT NULL DEFAULT 0,
+  rarity TEXT NOT NULL,
+  tier_stats JSONB,
+  median_days_to_earn REAL,
+  first_earner_user_id INTEGER REFERENCES users(id),
+  first_earned_at TIMESTAMP,
+  recent_earners JSONB,
+  computed_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Log migration completion
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 013 completed: achievement_stats created';
+END $$;
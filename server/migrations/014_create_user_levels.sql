@@ -0,0 +1,23 @@
+-- Migration: Create user levels table
+-- Created: 2026-10-19
+-- Description: Prestige state for the XP level system. Levels are derived from coin points plus
+--              engagement score; this table only stores what can't be derived: the prestige count,
+--              the XP banked at the last prestige (subtracted to restart levels) and the highest
+--              level already announced, so level-up events fire once per level.
+
+CREATE TABLE IF NOT EXISTS user_levels (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  prestige INTEGER NOT NULL DEFAULT 0,
+  xp_offset INTEGER NOT NULL DEFAULT 0,
+  last_level INTEGER NOT NULL DEFAULT 1,
+  prestiged_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Log migration completion
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 014 completed: user_levels created';
+END $$;
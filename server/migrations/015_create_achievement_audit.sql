@@ -0,0 +1,46 @@
+-- Migration: Create achievement audit history
+-- Created: 2026-10-19
+-- Description: Append-only record of every coin grant, tier change and revocation, written by
+--              EngagementManager, CollectionManager and CoinRecalculationWorker. provenance holds
+--              the rankings, orders and products (or activity metric) behind each change, so users
+--              can be told why a coin was downgraded and admins can inspect any user's coin history.
+--              achievement_id has no foreign key: history must outlive deleted coins.
+
+CREATE TABLE IF NOT EXISTS achievement_audit (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  achievement_id INTEGER NOT NULL,
+  achievement_code TEXT NOT NULL,
+  achievement_name TEXT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('granted', 'tier_upgraded', 'tier_downgraded', 'revoked')),
+  from_tier TEXT,
+  to_tier TEXT,
+  points_before INTEGER NOT NULL DEFAULT 0,
+  points_after INTEGER NOT NULL DEFAULT 0,
+  source TEXT NOT NULL,
+  reason TEXT,
+  provenance JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_achievement_audit_user_created ON achievement_audit (user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_achievement_audit_achievement ON achievement_audit (achievement_id);
+
+-- History is immutable: reject any UPDATE or DELETE
+CREATE OR REPLACE FUNCTION achievement_audit_append_only()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'achievement_audit is append-only (% rejected)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS achievement_audit_no_mutation ON achievement_audit;
+CREATE TRIGGER achievement_audit_no_mutation
+  BEFORE UPDATE OR DELETE ON achievement_audit
+  FOR EACH ROW EXECUTE FUNCTION achievement_audit_append_only();
+
+-- Log migration completion
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 015 completed: achievement_audit created (append-only)';
+END $$;
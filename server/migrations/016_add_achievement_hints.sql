@@ -0,0 +1,13 @@
+-- Migration: Add discovery hints to achievements
+-- Created: 2026-10-19
+-- Description: achievements.hints holds the ordered clues for a hidden coin (JSON array of
+--              strings). The Coin Book's Secrets tab reveals them one at a time as the user's
+--              progress toward the coin passes 25/50/75%. NULL or [] means no hints.
+
+ALTER TABLE achievements ADD COLUMN IF NOT EXISTS hints JSONB;
+
+-- Log migration completion
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 016 completed: achievements.hints added';
+END $$;
@@ -0,0 +1,20 @@
+-- Migration: Add multi-prerequisite quest lines to achievements
+-- Created: 2026-10-19
+-- Description: achievements.prerequisite_achievement_ids holds every coin that must be earned
+--              before this one (JSON array of achievement ids, all required). Coins linked by
+--              prerequisites form quest lines; several coins may share a parent to branch.
+--              prerequisite_achievement_id stays as the LEGACY single parent (first element).
+
+ALTER TABLE achievements ADD COLUMN IF NOT EXISTS prerequisite_achievement_ids JSONB;
+
+-- Backfill from the legacy single prerequisite
+UPDATE achievements
+SET prerequisite_achievement_ids = jsonb_build_array(prerequisite_achievement_id)
+WHERE prerequisite_achievement_id IS NOT NULL
+  AND prerequisite_achievement_ids IS NULL;
+
+-- Log migration completion
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 017 completed: achievements.prerequisite_achievement_ids added and backfilled';
+END $$;
@@ -0,0 +1,25 @@
+-- Migration: Create user follows table
+-- Created: 2026-10-19
+-- Description: Who follows whom in the community. Drives follower/following counts and lists,
+--              and the following feed (activity_logs filtered to followed users).
+
+CREATE TABLE IF NOT EXISTS user_follows (
+  id SERIAL PRIMARY KEY,
+  follower_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  followee_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  CONSTRAINT user_follows_unique UNIQUE (follower_id, followee_id),
+  CONSTRAINT user_follows_no_self CHECK (follower_id <> followee_id)
+);
+
+-- Followers of a user (counts, follower lists)
+CREATE INDEX IF NOT EXISTS idx_user_follows_followee ON user_follows(followee_id, created_at DESC);
+
+-- Following feed reads activity_logs for a set of users, newest first
+CREATE INDEX IF NOT EXISTS idx_activity_logs_user_created ON activity_logs(user_id, created_at DESC);
+
+-- Log migration completion
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 018 completed: user_follows created';
+END $$;
@@ -0,0 +1,33 @@
+-- Migration: Create notifications inbox
+-- Created: 2026-10-19
+-- Description: Persistent in-app notifications (coins, level ups, streaks, followers, tips) so
+--              users who were offline when an event happened still see it in the bell menu,
+--              plus per-category notification preferences on users.
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  category TEXT NOT NULL,
+  type TEXT NOT NULL,
+  title TEXT NOT NULL,
+  body TEXT,
+  link TEXT,
+  data JSONB,
+  read_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Inbox listing, newest first
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON notifications(user_id, created_at DESC);
+
+-- Unread badge count
+CREATE INDEX IF NOT EXISTS idx_notifications_user_unread ON notifications(user_id) WHERE read_at IS NULL;
+
+-- Categories the user switched off, e.g. {"guidance": false}; missing categories are on
+ALTER TABLE users ADD COLUMN IF NOT EXISTS notification_preferences JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Log migration completion
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 019 completed: notifications created, users.notification_preferences added';
+END $$;
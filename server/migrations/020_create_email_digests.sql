@@ -0,0 +1,28 @@
+-- Migration: Create weekly email digest tracking
+-- Created: 2026-10-19
+-- Description: Opt-in flag for the weekly digest email on users, and a per-user send log that
+--              keeps retried jobs from sending twice and remembers last week's leaderboard rank
+--              for the "leaderboard movement" section.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_digest_opt_in BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS email_digests (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  digest_date DATE NOT NULL,
+  leaderboard_rank INTEGER,
+  sent_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(user_id, digest_date)
+);
+
+-- Latest digest per user (previous rank, last sent)
+CREATE INDEX IF NOT EXISTS idx_email_digests_user_date ON email_digests(user_id, digest_date DESC);
+
+-- Recipient scan
+CREATE INDEX IF NOT EXISTS idx_users_email_digest_opt_in ON users(id) WHERE email_digest_opt_in = true;
+
+-- Log migration completion
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 020 completed: users.email_digest_opt_in added, email_digests created';
+END $$;
@@ -0,0 +1,50 @@
+-- Migration: Create product comments
+-- Created: 2026-10-19
+-- Description: Threaded comments on product detail pages with upvotes, plus the employee
+--              moderation state (hidden comments, locked threads, comment bans).
+
+CREATE TABLE IF NOT EXISTS product_comments (
+  id SERIAL PRIMARY KEY,
+  shopify_product_id TEXT NOT NULL,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  parent_id INTEGER REFERENCES product_comments(id) ON DELETE CASCADE,
+  root_id INTEGER REFERENCES product_comments(id) ON DELETE CASCADE,
+  depth INTEGER NOT NULL DEFAULT 0,
+  body TEXT NOT NULL,
+  upvote_count INTEGER NOT NULL DEFAULT 0,
+  edited_at TIMESTAMP,
+  deleted_at TIMESTAMP,
+  hidden_at TIMESTAMP,
+  hidden_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  hidden_reason TEXT,
+  locked_at TIMESTAMP,
+  locked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Top-level threads per product (newest / top sort)
+CREATE INDEX IF NOT EXISTS idx_product_comments_product_roots ON product_comments(shopify_product_id, created_at DESC) WHERE parent_id IS NULL;
+
+-- Replies for a page of threads
+CREATE INDEX IF NOT EXISTS idx_product_comments_root ON product_comments(root_id);
+
+-- Moderation queue, newest first
+CREATE INDEX IF NOT EXISTS idx_product_comments_created ON product_comments(created_at DESC);
+
+CREATE TABLE IF NOT EXISTS product_comment_votes (
+  comment_id INTEGER NOT NULL REFERENCES product_comments(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (comment_id, user_id)
+);
+
+-- Comment bans (set by employees); banned users can read but not post, edit or vote
+ALTER TABLE users ADD COLUMN IF NOT EXISTS comment_banned_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS comment_ban_reason TEXT;
+
+-- Log migration completion
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 021 completed: product_comments and product_comment_votes created, users comment ban columns added';
+END $$;
@@ -0,0 +1,34 @@
+-- Migration: Create content reports
+-- Created: 2026-10-19
+-- Description: User reports of comments and profiles (offensive names, impersonation, spam),
+--              reviewed by employees in the admin reports queue. Also adds the employee-owned
+--              locks set by report actions, which the user can't undo from profile settings.
+
+CREATE TABLE IF NOT EXISTS content_reports (
+  id SERIAL PRIMARY KEY,
+  reporter_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  target_type TEXT NOT NULL, -- 'comment' | 'user'
+  target_id INTEGER NOT NULL,
+  reason TEXT NOT NULL,
+  details TEXT,
+  status TEXT NOT NULL DEFAULT 'open', -- 'open' | 'actioned' | 'dismissed'
+  resolution TEXT, -- Action taken when actioned (e.g. 'hide_comment', 'reset_handle')
+  resolution_note TEXT,
+  reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (reporter_id, target_type, target_id)
+);
+
+-- Review queue: open reports grouped by target
+CREATE INDEX IF NOT EXISTS idx_content_reports_status_target ON content_reports(status, target_type, target_id);
+
+-- Set by the 'hide_name' and 'reset_handle' report actions
+ALTER TABLE users ADD COLUMN IF NOT EXISTS name_hidden_by_moderator_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS handle_locked_at TIMESTAMP;
+
+-- Log migration completion
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 022 completed: content_reports created, users.name_hidden_by_moderator_at and users.handle_locked_at added';
+END $$;
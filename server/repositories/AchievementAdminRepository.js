@@ -2,6 +2,7 @@ const { eq, and, desc, sql, isNull, or, inArray } = require('drizzle-orm');
 const { achievements, userAchievements } = require('../../shared/schema');
 const { COLLECTION_TYPES } = require('../../shared/constants/collectionTypes');
 const animalCategoryService = require('../services/AnimalCategoryService');
+const { getPrerequisiteIds, normalizePrerequisiteIds, findPrerequisiteCycle } = require('../utils/questLines');
 
 /**
  * AchievementAdminRepository - Data access layer for admin achievement management
@@ -50,6 +51,15 @@ class AchievementAdminRepository {
     };
   }
 
+  /**
+   * Trim hint text and drop blank hints (null when none are left)
+   */
+  normalizeHints(hints) {
+    if (!Array.isArray(hints)) return null;
+    const normalized = hints.map(hint => String(hint).trim()).filter(Boolean);
+    return normalized.length > 0 ? normalized : null;
+  }
+
   /**
    * Get all achievements with metadata
    */
@@ -68,7 +78,9 @@ class AchievementAdminRepository {
         proteinCategory: achievements.proteinCategory,
         proteinCategories: achievements.proteinCategories,
         isHidden: achievements.isHidden,
+        hints: achievements.hints,
         prerequisiteAchievementId: achievements.prerequisiteAchievementId,
+        prerequisiteAchievementIds: achievements.prerequisiteAchievementIds,
         requirement: achievements.requirement,
         tierThresholds: achievements.tierThresholds,
         hasTiers: achievements.hasTiers,
@@ -85,79 +97,50 @@ class AchievementAdminRepository {
    * Check for circular dependencies in achievement prerequisites
    * Returns an error message if circular dependency detected, null otherwise
    */
-  async checkCircularDependency(achievementId, prerequisiteId) {
-    if (!prerequisiteId) {
+  async checkCircularDependency(achievementId, prerequisiteIds) {
+    if (!prerequisiteIds || prerequisiteIds.length === 0) {
       return null; // No prerequisite, no circular dependency possible
     }
 
-    if (achievementId === prerequisiteId) {
+    if (prerequisiteIds.includes(achievementId)) {
       return 'An achievement cannot be its own prerequisite';
     }
 
-    // Traverse the prerequisite chain to detect cycles
-    const visited = new Set();
-    const chain = [];
-    let currentId = prerequisiteId;
+    // Prerequisites can branch, so walk the whole graph rather than a single chain
+    const rows = await this.db
+      .select({
+        id: achievements.id,
+        name: achievements.name,
+        prerequisiteAchievementId: achievements.prerequisiteAchievementId,
+        prerequisiteAchievementIds: achievements.prerequisiteAchievementIds,
+      })
+      .from(achievements);
 
-    while (currentId) {
-      if (visited.has(currentId)) {
-        // Circular dependency detected
-        const cycleStart = chain.indexOf(currentId);
-        const cycle = chain.slice(cycleStart);
-        
-        // Get achievement names for error message
-        const cycleNames = await Promise.all(
-          cycle.map(async id => {
-            const ach = await this.db
-              .select({ name: achievements.name })
-              .from(achievements)
-              .where(eq(achievements.id, id))
-              .limit(1);
-            return ach[0]?.name || `ID ${id}`;
-          })
-        );
-        
-        return `Circular dependency detected: ${cycleNames.join(' → ')} → ${cycleNames[0]}. Remove the prerequisite from one of these achievements to fix.`;
-      }
+    const prerequisiteMap = new Map(rows.map(row => [row.id, getPrerequisiteIds(row)]));
+    const cycle = findPrerequisiteCycle(achievementId, prerequisiteIds, prerequisiteMap);
+    if (!cycle) {
+      return null; // No circular dependency
+    }
 
-      if (currentId === achievementId) {
-        // This would create a cycle back to the achievement being updated
-        const chainNames = await Promise.all(
-          chain.map(async id => {
-            const ach = await this.db
-              .select({ name: achievements.name })
-              .from(achievements)
-              .where(eq(achievements.id, id))
-              .limit(1);
-            return ach[0]?.name || `ID ${id}`;
-          })
-        );
-        
-        const currentAch = await this.db
-          .select({ name: achievements.name })
-          .from(achievements)
-          .where(eq(achievements.id, achievementId))
-          .limit(1);
-        
-        const currentName = currentAch[0]?.name || `ID ${achievementId}`;
-        
-        return `Circular dependency detected: ${currentName} → ${chainNames.join(' → ')} → ${currentName}. Remove the prerequisite to fix.`;
-      }
+    const names = new Map(rows.map(row => [row.id, row.name]));
+    const cycleNames = cycle.map(id => names.get(id) || `ID ${id}`);
+    return `Circular dependency detected: ${cycleNames.join(' → ')}. Remove the prerequisite from one of these achievements to fix.`;
+  }
 
-      visited.add(currentId);
-      chain.push(currentId);
+  /**
+   * Verify every prerequisite id refers to an existing achievement
+   */
+  async assertPrerequisitesExist(prerequisiteIds) {
+    if (!prerequisiteIds) return;
 
-      // Get the prerequisite of the current achievement
-      const nextPrereq = await this.db
-        .select({ prerequisiteAchievementId: achievements.prerequisiteAchievementId })
-        .from(achievements)
-        .where(eq(achievements.id, currentId))
-        .limit(1);
+    const found = await this.db
+      .select({ id: achievements.id })
+      .from(achievements)
+      .where(inArray(achievements.id, prerequisiteIds));
 
-      currentId = nextPrereq[0]?.prerequisiteAchievementId || null;
+    if (found.length !== prerequisiteIds.length) {
+      throw new Error('Prerequisite achievement not found');
     }
-
-    return null; // No circular dependency
   }
 
   /**
@@ -169,24 +152,14 @@ class AchievementAdminRepository {
       achievementData.proteinCategories
     );
     
-    const prerequisiteId = achievementData.prerequisiteAchievementId || null;
+    const { prerequisiteAchievementIds, prerequisiteAchievementId } = normalizePrerequisiteIds(
+      achievementData.prerequisiteAchievementIds,
+      achievementData.prerequisiteAchievementId
+    );
     
-    // Check for circular dependencies if prerequisite is set
-    // For new achievements, we create a temporary ID to check
-    if (prerequisiteId) {
-      // We can't check circular dependency for new achievements yet since they don't have an ID
-      // We'll rely on update validation to catch any issues
-      // Just verify the prerequisite exists
-      const prereqExists = await this.db
-        .select({ id: achievements.id })
-        .from(achievements)
-        .where(eq(achievements.id, prerequisiteId))
-        .limit(1);
-      
-      if (!prereqExists[0]) {
-        throw new Error('Prerequisite achievement not found');
-      }
-    }
+    // A new achievement has no dependents yet, so it can't close a cycle
+    // Just verify the prerequisites exist
+    await this.assertPrerequisitesExist(prerequisiteAchievementIds);
     
     const result = await this.db
       .insert(achievements)
@@ -202,7 +175,9 @@ class AchievementAdminRepository {
         proteinCategory: proteinCategory,
         proteinCategories: proteinCategories,
         isHidden: achievementData.isHidden || 0,
-        prerequisiteAchievementId: prerequisiteId,
+        hints: this.normalizeHints(achievementData.hints),
+        prerequisiteAchievementId: prerequisiteAchievementId,
+        prerequisiteAchievementIds: prerequisiteAchievementIds,
         requirement: achievementData.requirement,
         tierThresholds: achievementData.tierThresholds || null,
         hasTiers: achievementData.hasTiers !== undefined ? achievementData.hasTiers : 0,
@@ -223,11 +198,15 @@ class AchievementAdminRepository {
       achievementData.proteinCategories
     );
     
-    const prerequisiteId = achievementData.prerequisiteAchievementId || null;
+    const { prerequisiteAchievementIds, prerequisiteAchievementId } = normalizePrerequisiteIds(
+      achievementData.prerequisiteAchievementIds,
+      achievementData.prerequisiteAchievementId
+    );
     
-    // Check for circular dependencies if prerequisite is set
-    if (prerequisiteId) {
-      const circularError = await this.checkCircularDependency(id, prerequisiteId);
+    // Check for circular dependencies if prerequisites are set
+    if (prerequisiteAchievementIds) {
+      await this.assertPrerequisitesExist(prerequisiteAchievementIds);
+      const circularError = await this.checkCircularDependency(id, prerequisiteAchievementIds);
       if (circularError) {
         throw new Error(circularError);
       }
@@ -246,7 +225,9 @@ class AchievementAdminRepository {
         proteinCategory: proteinCategory,
         proteinCategories: proteinCategories,
         isHidden: achievementData.isHidden || 0,
-        prerequisiteAchievementId: prerequisiteId,
+        hints: this.normalizeHints(achievementData.hints),
+        prerequisiteAchievementId: prerequisiteAchievementId,
+        prerequisiteAchievementIds: prerequisiteAchievementIds,
         requirement: achievementData.requirement,
         tierThresholds: achievementData.tierThresholds || null,
         hasTiers: achievementData.hasTiers !== undefined ? achievementData.hasTiers : 0,
@@ -406,6 +387,18 @@ class AchievementAdminRepository {
       .orderBy(achievements.name);
   }
   
+  /**
+   * Get all event collection achievements
+   * (Time-limited challenges with a start/end date and a goal)
+   */
+  async getEventCollections() {
+    return await this.db
+      .select()
+      .from(achievements)
+      .where(eq(achievements.collectionType, COLLECTION_TYPES.EVENT))
+      .orderBy(achievements.name);
+  }
+  
   /**
    * @deprecated Use getStaticCollections() instead
    * Kept for backward compatibility
@@ -0,0 +1,68 @@
+const { eq, desc, and, gte, inArray, sql } = require('drizzle-orm');
+const { achievementAudit } = require('../../shared/schema');
+
+/**
+ * AchievementAuditRepository - Data access layer for the achievement_audit history
+ * Rows are only ever inserted; the table rejects UPDATE and DELETE
+ */
+class AchievementAuditRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async insert(entry) {
+    const result = await this.db.insert(achievementAudit)
+      .values(entry)
+      .returning();
+    return result[0];
+  }
+
+  /**
+   * Record a revocation for every coin held by one user (or by everyone), ahead of a bulk delete
+   * @param {Object} options - { userId (null = all users), source, reason }
+   * @returns {Promise<number>} Rows written
+   */
+  async insertRevocationsForHoldings({ userId = null, source, reason }) {
+    const result = await this.db.execute(sql`
+      INSERT INTO achievement_audit (
+        user_id, achievement_id, achievement_code, achievement_name, action,
+        from_tier, to_tier, points_before, points_after, source, reason
+      )
+      SELECT
+        ua.user_id, a.id, a.code, a.name, 'revoked',
+        ua.current_tier, NULL,
+        CASE WHEN ua.points_awarded > 0 THEN ua.points_awarded ELSE COALESCE(a.points, 0) END,
+        0, ${source}, ${reason}
+      FROM user_achievements ua
+      INNER JOIN achievements a ON a.id = ua.achievement_id
+      ${userId ? sql`WHERE ua.user_id = ${userId}` : sql``}
+    `);
+    return result.rowCount || 0;
+  }
+
+  async getUserHistory(userId, { limit = 100, achievementId = null } = {}) {
+    const conditions = [eq(achievementAudit.userId, userId)];
+    if (achievementId) {
+      conditions.push(eq(achievementAudit.achievementId, achievementId));
+    }
+
+    return await this.db.select()
+      .from(achievementAudit)
+      .where(and(...conditions))
+      .orderBy(desc(achievementAudit.createdAt), desc(achievementAudit.id))
+      .limit(limit);
+  }
+
+  async getUserLosses(userId, since) {
+    return await this.db.select()
+      .from(achievementAudit)
+      .where(and(
+        eq(achievementAudit.userId, userId),
+        inArray(achievementAudit.action, ['tier_downgraded', 'revoked']),
+        gte(achievementAudit.createdAt, since)
+      ))
+      .orderBy(desc(achievementAudit.createdAt), desc(achievementAudit.id));
+  }
+}
+
+module.exports = AchievementAuditRepository;
@@ -1,12 +1,24 @@
 const { eq, desc, and, sql } = require('drizzle-orm');
 const { activityLogs, users } = require('../../shared/schema');
 
+// Activity other rankers care about: shown in the following feed and pushed live to followers
+const SOCIAL_ACTIVITY_TYPES = ['earn_badge', 'tier_upgrade', 'streak_started', 'streak_milestone'];
+
 /**
  * ActivityLogRepository - Data access layer for activity logs
  */
 class ActivityLogRepository {
   constructor(db) {
     this.db = db;
+    this.wsGateway = null;
+  }
+
+  /**
+   * Inject the WebSocket gateway so public social activity reaches followers live
+   * (set after the gateway is created in init/gamification.js)
+   */
+  setGateway(wsGateway) {
+    this.wsGateway = wsGateway;
   }
 
   async logActivity(userId, activityType, activityData, isPublic = true) {
@@ -18,6 +30,11 @@ class ActivityLogRepository {
         isPublic: isPublic ? 1 : 0,
       })
       .returning();
+
+    if (this.wsGateway && isPublic && SOCIAL_ACTIVITY_TYPES.includes(activityType)) {
+      this.wsGateway.broadcastActivityToFollowers(result[0]);
+    }
+
     return result[0];
   }
 
@@ -68,3 +85,4 @@ class ActivityLogRepository {
 }
 
 module.exports = ActivityLogRepository;
+module.exports.SOCIAL_ACTIVITY_TYPES = SOCIAL_ACTIVITY_TYPES;
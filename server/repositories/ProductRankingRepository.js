@@ -2,6 +2,9 @@ const { productRankings } = require('../../shared/schema.js');
 const { db } = require('../db.js');
 const { eq, and, inArray } = require('drizzle-orm');
 const Sentry = require('@sentry/node');
+const RankingEventRepository = require('./RankingEventRepository');
+
+const rankingEventRepo = new RankingEventRepository(db);
 
 /**
  * ProductRankingRepository
@@ -50,16 +53,27 @@ class ProductRankingRepository {
     }
 
     try {
-      const deleted = await db
-        .delete(productRankings)
-        .where(
-          and(
-            eq(productRankings.userId, userId),
-            eq(productRankings.rankingListId, rankingListId),
-            inArray(productRankings.shopifyProductId, productIds)
+      const deleted = await db.transaction(async (tx) => {
+        const removed = await tx
+          .delete(productRankings)
+          .where(
+            and(
+              eq(productRankings.userId, userId),
+              eq(productRankings.rankingListId, rankingListId),
+              inArray(productRankings.shopifyProductId, productIds)
+            )
           )
-        )
-        .returning();
+          .returning();
+
+        // Log a 'remove' event for every deleted ranking in the same transaction
+        const events = RankingEventRepository.diffRankings(
+          removed.map(r => ({ shopifyProductId: r.shopifyProductId, ranking: r.ranking, title: r.productData?.title })),
+          []
+        );
+        await rankingEventRepo.recordEvents(userId, rankingListId, events, { executor: tx });
+
+        return removed;
+      });
 
       const deletedProductIds = deleted.map(r => r.shopifyProductId);
       
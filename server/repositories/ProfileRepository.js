@@ -3,6 +3,8 @@ const { users, productRankings, customerOrderItems, productsMetadata, achievemen
 const { eq, and, desc, asc, sql, inArray, sum } = require('drizzle-orm');
 const Sentry = require('@sentry/node');
 const JourneyCache = require('../cache/JourneyCache');
+const { screenDisplayName } = require('../utils/contentModeration');
+const { PRIMARY_RANKING_LIST_ID } = require('../../shared/constants');
 
 /**
  * ProfileRepository
@@ -12,6 +14,22 @@ class ProfileRepository {
   constructor(productsService = null) {
     this.productsService = productsService;
   }
+
+  /**
+   * Condition that holds unless the user has marked their primary list private
+   * Added to every public ranking query so a private list shows no rankings on the profile
+   * @param {number} userId - The profile owner's ID
+   * @returns {SQL} Drizzle SQL condition
+   */
+  static primaryListIsPublic(userId) {
+    return sql`NOT EXISTS (
+      SELECT 1 FROM ranking_lists
+      WHERE user_id = ${userId}
+        AND list_id = ${PRIMARY_RANKING_LIST_ID}
+        AND visibility = 'private'
+    )`;
+  }
+
   /**
    * Get user profile data with basic stats (privacy-aware, sanitized DTO)
    * @param {number} userId - The user's ID
@@ -52,11 +70,11 @@ class ProfileRepository {
         // Privacy enabled: show initials only
         displayName = initials;
       } else {
-        // Privacy disabled: show "FirstName L."
+        // Privacy disabled: show "FirstName L." (initials if the name fails moderation)
         if (firstName && lastName) {
-          displayName = `${firstName} ${lastName.charAt(0)}.`;
+          displayName = screenDisplayName(`${firstName} ${lastName.charAt(0)}.`, initials);
         } else if (firstName) {
-          displayName = firstName;
+          displayName = screenDisplayName(firstName, initials);
         } else {
           displayName = 'User';
         }
@@ -107,7 +125,8 @@ class ProfileRepository {
         .from(productRankings)
         .where(and(
           eq(productRankings.userId, userId),
-          eq(productRankings.rankingListId, 'default')
+          eq(productRankings.rankingListId, 'default'),
+          ProfileRepository.primaryListIsPublic(userId)
         ))
         .orderBy(asc(productRankings.ranking))
         .limit(5);
@@ -193,7 +212,8 @@ class ProfileRepository {
         .from(productRankings)
         .where(and(
           eq(productRankings.userId, userId),
-          eq(productRankings.rankingListId, 'default')
+          eq(productRankings.rankingListId, 'default'),
+          ProfileRepository.primaryListIsPublic(userId)
         ))
         .orderBy(desc(productRankings.createdAt));
 
@@ -300,7 +320,8 @@ class ProfileRepository {
         .from(productRankings)
         .where(and(
           eq(productRankings.userId, userId),
-          eq(productRankings.rankingListId, 'default')
+          eq(productRankings.rankingListId, 'default'),
+          ProfileRepository.primaryListIsPublic(userId)
         ))
         .orderBy(asc(productRankings.ranking));
 
@@ -0,0 +1,121 @@
+const { eq, and, lte, asc } = require('drizzle-orm');
+const { rankingEvents } = require('../../shared/schema');
+
+/**
+ * RankingEventRepository - Data access layer for the append-only ranking event log
+ * Events are only ever inserted; history is reconstructed by replaying them in order
+ */
+class RankingEventRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Compute insert/move/remove events between two states of a list
+   * @param {Array} previous - Rows before the save: { shopifyProductId, ranking, title? }
+   * @param {Array} next - Rows after the save: { shopifyProductId, ranking, title? }
+   * @returns {Array} Events (without userId/rankingListId) in position order
+   */
+  static diffRankings(previous, next) {
+    const previousById = new Map(previous.map(r => [r.shopifyProductId, r]));
+    const nextById = new Map(next.map(r => [r.shopifyProductId, r]));
+    const events = [];
+
+    for (const row of next) {
+      const before = previousById.get(row.shopifyProductId);
+      if (!before) {
+        events.push({
+          shopifyProductId: row.shopifyProductId,
+          eventType: 'insert',
+          oldPosition: null,
+          newPosition: row.ranking,
+          productTitle: row.title || null,
+        });
+      } else if (before.ranking !== row.ranking) {
+        events.push({
+          shopifyProductId: row.shopifyProductId,
+          eventType: 'move',
+          oldPosition: before.ranking,
+          newPosition: row.ranking,
+          productTitle: row.title || before.title || null,
+        });
+      }
+    }
+
+    for (const row of previous) {
+      if (!nextById.has(row.shopifyProductId)) {
+        events.push({
+          shopifyProductId: row.shopifyProductId,
+          eventType: 'remove',
+          oldPosition: row.ranking,
+          newPosition: null,
+          productTitle: row.title || null,
+        });
+      }
+    }
+
+    return events.sort((a, b) => (a.newPosition ?? a.oldPosition) - (b.newPosition ?? b.oldPosition));
+  }
+
+  /**
+   * Append events to the log
+   * @param {number} userId - User ID
+   * @param {string} rankingListId - List the events belong to
+   * @param {Array} events - Events from diffRankings()
+   * @param {Object} options - { operationId, executor } - executor lets callers write inside their transaction
+   * @returns {Promise<number>} Number of events written
+   */
+  async recordEvents(userId, rankingListId, events, { operationId = null, executor = this.db } = {}) {
+    if (events.length === 0) return 0;
+
+    await executor.insert(rankingEvents).values(
+      events.map(event => ({
+        ...event,
+        userId,
+        rankingListId,
+        operationId,
+      }))
+    );
+
+    return events.length;
+  }
+
+  /**
+   * Get all events for a list up to (and including) a point in time, oldest first
+   * @param {number} userId - User ID
+   * @param {string} rankingListId - List ID
+   * @param {Date} at - Upper bound
+   * @returns {Promise<Array>}
+   */
+  async getEventsUntil(userId, rankingListId, at) {
+    return await this.db.select()
+      .from(rankingEvents)
+      .where(and(
+        eq(rankingEvents.userId, userId),
+        eq(rankingEvents.rankingListId, rankingListId),
+        lte(rankingEvents.createdAt, at)
+      ))
+      .orderBy(asc(rankingEvents.createdAt), asc(rankingEvents.id));
+  }
+
+  /**
+   * Get the first event date for a list (the earliest point history can be reconstructed)
+   * @param {number} userId - User ID
+   * @param {string} rankingListId - List ID
+   * @returns {Promise<Date|null>}
+   */
+  async getFirstEventDate(userId, rankingListId) {
+    const [first] = await this.db.select({ createdAt: rankingEvents.createdAt })
+      .from(rankingEvents)
+      .where(and(
+        eq(rankingEvents.userId, userId),
+        eq(rankingEvents.rankingListId, rankingListId)
+      ))
+      .orderBy(asc(rankingEvents.createdAt))
+      .limit(1);
+
+    return first?.createdAt || null;
+  }
+}
+
+module.exports = RankingEventRepository;
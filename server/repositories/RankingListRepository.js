@@ -0,0 +1,232 @@
+const { eq, and, asc, sql } = require('drizzle-orm');
+const { rankingLists, productRankings, productsMetadata } = require('../../shared/schema');
+const { PRIMARY_RANKING_LIST_ID } = require('../../shared/constants');
+const RankingEventRepository = require('./RankingEventRepository');
+
+const PRIMARY_LIST_NAME = 'My Top N';
+
+/**
+ * RankingListRepository - Data access layer for named ranking lists
+ * Lists are keyed by (user_id, list_id); product_rankings rows reference list_id via ranking_list_id
+ */
+class RankingListRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Get all lists for a user with the number of ranked products in each
+   * Ensures the primary list row exists so every user always has at least one list
+   * @param {number} userId - User ID
+   * @param {Object} options - { publicOnly: boolean }
+   * @returns {Promise<Array>} Lists ordered with the primary list first, then by creation date
+   */
+  async getUserLists(userId, { publicOnly = false } = {}) {
+    await this.ensurePrimaryList(userId);
+
+    const visibilityFilter = publicOnly ? sql`AND rl.visibility = 'public'` : sql``;
+
+    const result = await this.db.execute(sql`
+      SELECT
+        rl.list_id AS "listId",
+        rl.name,
+        rl.visibility,
+        rl.created_at AS "createdAt",
+        rl.updated_at AS "updatedAt",
+        COUNT(pr.id)::int AS "productCount"
+      FROM ranking_lists rl
+      LEFT JOIN product_rankings pr
+        ON pr.user_id = rl.user_id
+        AND pr.ranking_list_id = rl.list_id
+      WHERE rl.user_id = ${userId}
+        ${visibilityFilter}
+      GROUP BY rl.id
+      ORDER BY (rl.list_id = ${PRIMARY_RANKING_LIST_ID}) DESC, rl.created_at ASC
+    `);
+
+    return result.rows.map(row => ({
+      ...row,
+      isPrimary: row.listId === PRIMARY_RANKING_LIST_ID,
+    }));
+  }
+
+  /**
+   * Get a single list for a user
+   * @param {number} userId - User ID
+   * @param {string} listId - List ID
+   * @returns {Promise<Object|null>} List row or null
+   */
+  async getList(userId, listId) {
+    if (listId === PRIMARY_RANKING_LIST_ID) {
+      await this.ensurePrimaryList(userId);
+    }
+
+    const [list] = await this.db.select()
+      .from(rankingLists)
+      .where(and(
+        eq(rankingLists.userId, userId),
+        eq(rankingLists.listId, listId)
+      ))
+      .limit(1);
+
+    return list ? { ...list, isPrimary: list.listId === PRIMARY_RANKING_LIST_ID } : null;
+  }
+
+  /**
+   * Count a user's lists (including the primary list)
+   * @param {number} userId - User ID
+   * @returns {Promise<number>}
+   */
+  async countUserLists(userId) {
+    const [row] = await this.db.select({ count: sql`COUNT(*)::int` })
+      .from(rankingLists)
+      .where(eq(rankingLists.userId, userId));
+    return row?.count || 0;
+  }
+
+  /**
+   * Create the primary list row for a user if it doesn't exist yet
+   * Existing users have 'default' rankings without a list row (pre-lists data)
+   * @param {number} userId - User ID
+   */
+  async ensurePrimaryList(userId) {
+    await this.db.insert(rankingLists)
+      .values({
+        userId,
+        listId: PRIMARY_RANKING_LIST_ID,
+        name: PRIMARY_LIST_NAME,
+        visibility: 'public',
+      })
+      .onConflictDoNothing({ target: [rankingLists.userId, rankingLists.listId] });
+  }
+
+  /**
+   * Create a new list
+   * @param {number} userId - User ID
+   * @param {Object} data - { listId, name, visibility }
+   * @returns {Promise<Object>} Created list
+   */
+  async createList(userId, { listId, name, visibility = 'private' }) {
+    const [list] = await this.db.insert(rankingLists)
+      .values({ userId, listId, name, visibility })
+      .returning();
+    return { ...list, isPrimary: false, productCount: 0 };
+  }
+
+  /**
+   * Update list name and/or visibility
+   * @param {number} userId - User ID
+   * @param {string} listId - List ID
+   * @param {Object} updates - { name, visibility }
+   * @returns {Promise<Object|null>} Updated list or null if not found
+   */
+  async updateList(userId, listId, updates) {
+    const [list] = await this.db.update(rankingLists)
+      .set({ ...updates, updatedAt: new Date() })
+      .where(and(
+        eq(rankingLists.userId, userId),
+        eq(rankingLists.listId, listId)
+      ))
+      .returning();
+    return list ? { ...list, isPrimary: list.listId === PRIMARY_RANKING_LIST_ID } : null;
+  }
+
+  /**
+   * Duplicate a list and all of its product rankings into a new list
+   * @param {number} userId - User ID
+   * @param {string} sourceListId - List to copy from
+   * @param {Object} data - { listId, name, visibility } for the new list
+   * @returns {Promise<Object>} Created list with productCount
+   */
+  async duplicateList(userId, sourceListId, { listId, name, visibility = 'private' }) {
+    return await this.db.transaction(async (tx) => {
+      const [list] = await tx.insert(rankingLists)
+        .values({ userId, listId, name, visibility })
+        .returning();
+
+      const copied = await tx.execute(sql`
+        INSERT INTO product_rankings (user_id, shopify_product_id, product_data, ranking, ranking_list_id, created_at, updated_at)
+        SELECT user_id, shopify_product_id, product_data, ranking, ${listId}, NOW(), NOW()
+        FROM product_rankings
+        WHERE user_id = ${userId}
+          AND ranking_list_id = ${sourceListId}
+        RETURNING shopify_product_id AS "shopifyProductId", ranking, product_data->>'title' AS title
+      `);
+
+      // Seed the new list's history so time travel starts from the copy
+      const events = RankingEventRepository.diffRankings([], copied.rows);
+      await new RankingEventRepository(tx).recordEvents(userId, listId, events);
+
+      return { ...list, isPrimary: false, productCount: copied.rows.length };
+    });
+  }
+
+  /**
+   * Delete a list and every product ranking in it
+   * @param {number} userId - User ID
+   * @param {string} listId - List ID (must not be the primary list - enforced by caller)
+   * @returns {Promise<number>} Number of product rankings removed
+   */
+  async deleteList(userId, listId) {
+    return await this.db.transaction(async (tx) => {
+      const removed = await tx.delete(productRankings)
+        .where(and(
+          eq(productRankings.userId, userId),
+          eq(productRankings.rankingListId, listId)
+        ))
+        .returning({
+          shopifyProductId: productRankings.shopifyProductId,
+          ranking: productRankings.ranking,
+          productData: productRankings.productData,
+        });
+
+      // Close out the list's history with a 'remove' event per product
+      const events = RankingEventRepository.diffRankings(
+        removed.map(r => ({ shopifyProductId: r.shopifyProductId, ranking: r.ranking, title: r.productData?.title })),
+        []
+      );
+      await new RankingEventRepository(tx).recordEvents(userId, listId, events);
+
+      await tx.delete(rankingLists)
+        .where(and(
+          eq(rankingLists.userId, userId),
+          eq(rankingLists.listId, listId)
+        ));
+
+      return removed.length;
+    });
+  }
+
+  /**
+   * Get the ranked products of a list joined with product metadata
+   * @param {number} userId - User ID
+   * @param {string} listId - List ID
+   * @returns {Promise<Array>} Rankings ordered by position
+   */
+  async getListRankings(userId, listId) {
+    return await this.db.select({
+      productId: productRankings.shopifyProductId,
+      rank: productRankings.ranking,
+      rankedAt: productRankings.createdAt,
+      updatedAt: productRankings.updatedAt,
+      productData: productRankings.productData,
+      productTitle: productsMetadata.title,
+      animalType: productsMetadata.animalType,
+      animalDisplay: productsMetadata.animalDisplay,
+      animalIcon: productsMetadata.animalIcon,
+      vendor: productsMetadata.vendor,
+      primaryFlavor: productsMetadata.primaryFlavor,
+      flavorDisplay: productsMetadata.flavorDisplay,
+      flavorIcon: productsMetadata.flavorIcon,
+    })
+    .from(productRankings)
+    .leftJoin(productsMetadata, eq(productRankings.shopifyProductId, productsMetadata.shopifyProductId))
+    .where(and(
+      eq(productRankings.userId, userId),
+      eq(productRankings.rankingListId, listId)
+    ))
+    .orderBy(asc(productRankings.ranking));
+  }
+}
+
+module.exports = RankingListRepository;
@@ -0,0 +1,172 @@
+const { sql } = require('drizzle-orm');
+const { PRIMARY_RANKING_LIST_ID } = require('../../shared/constants');
+const { TASTING_SCORES } = require('../../shared/constants/tastingScores');
+
+const SUB_SCORE_KEYS = TASTING_SCORES.dimensions.map(d => d.key);
+
+// A dimension needs this many ratings before it is described as the community's opinion
+const MIN_RATINGS_FOR_SUMMARY = 3;
+// Number of dimensions included in the "community says" sentence
+const SUMMARY_DIMENSIONS = 2;
+
+/**
+ * RankingNoteRepository - Data access layer for tasting notes and sub-scores
+ * Notes are keyed to product_rankings.id; the API addresses them by (user, product, list)
+ */
+class RankingNoteRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Shape a ranking_notes row for API responses
+   * @param {Object} row - Raw row with snake_case sub-score columns
+   * @returns {Object} { productId, notes, subScores, updatedAt }
+   */
+  static toNote(row) {
+    const subScores = {};
+    for (const key of SUB_SCORE_KEYS) {
+      subScores[key] = row[key] ?? null;
+    }
+    return {
+      productId: row.shopify_product_id,
+      notes: row.notes,
+      subScores,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  /**
+   * Turn per-dimension averages into a short phrase like "very tender, medium heat"
+   * Dimensions furthest from the middle of the scale are the most telling, so they go first
+   * @param {Array} dimensions - [{ key, average, count }]
+   * @returns {string|null} Summary or null when too few ratings
+   */
+  static describeAverages(dimensions) {
+    const middle = (TASTING_SCORES.min + TASTING_SCORES.max) / 2;
+
+    const phrases = dimensions
+      .filter(d => d.count >= MIN_RATINGS_FOR_SUMMARY && d.average !== null)
+      .sort((a, b) => Math.abs(b.average - middle) - Math.abs(a.average - middle))
+      .slice(0, SUMMARY_DIMENSIONS)
+      .map(d => d.descriptor);
+
+    return phrases.length > 0 ? phrases.join(', ') : null;
+  }
+
+  /**
+   * Get all notes for a user's ranking list
+   * @param {number} userId - User ID
+   * @param {string} rankingListId - List ID
+   * @returns {Promise<Array>} Notes for ranked products that have one
+   */
+  async getListNotes(userId, rankingListId) {
+    const result = await this.db.execute(sql`
+      SELECT rn.*
+      FROM ranking_notes rn
+      INNER JOIN product_rankings pr ON pr.id = rn.product_ranking_id
+      WHERE pr.user_id = ${userId}
+        AND pr.ranking_list_id = ${rankingListId}
+      ORDER BY pr.ranking
+    `);
+    return result.rows.map(RankingNoteRepository.toNote);
+  }
+
+  /**
+   * Create or replace the note on one of the user's ranked products
+   * @param {number} userId - User ID
+   * @param {string} shopifyProductId - Product ID
+   * @param {string} rankingListId - List ID
+   * @param {Object} data - { notes, subScores } (already validated)
+   * @returns {Promise<Object|null>} Saved note, or null if the product isn't ranked in that list
+   */
+  async upsertNote(userId, shopifyProductId, rankingListId, { notes = null, subScores = {} }) {
+    const { tenderness = null, heat = null, sweetness = null, smoke = null, saltiness = null } = subScores;
+
+    const result = await this.db.execute(sql`
+      INSERT INTO ranking_notes (
+        product_ranking_id, user_id, shopify_product_id, notes,
+        tenderness, heat, sweetness, smoke, saltiness, created_at, updated_at
+      )
+      SELECT pr.id, pr.user_id, pr.shopify_product_id, ${notes},
+        ${tenderness}, ${heat}, ${sweetness}, ${smoke}, ${saltiness}, NOW(), NOW()
+      FROM product_rankings pr
+      WHERE pr.user_id = ${userId}
+        AND pr.shopify_product_id = ${shopifyProductId}
+        AND pr.ranking_list_id = ${rankingListId}
+      ON CONFLICT (product_ranking_id) DO UPDATE SET
+        notes = EXCLUDED.notes,
+        tenderness = EXCLUDED.tenderness,
+        heat = EXCLUDED.heat,
+        sweetness = EXCLUDED.sweetness,
+        smoke = EXCLUDED.smoke,
+        saltiness = EXCLUDED.saltiness,
+        updated_at = NOW()
+      RETURNING *
+    `);
+
+    return result.rows[0] ? RankingNoteRepository.toNote(result.rows[0]) : null;
+  }
+
+  /**
+   * Remove the note from one of the user's ranked products
+   * @param {number} userId - User ID
+   * @param {string} shopifyProductId - Product ID
+   * @param {string} rankingListId - List ID
+   * @returns {Promise<boolean>} True if a note was deleted
+   */
+  async deleteNote(userId, shopifyProductId, rankingListId) {
+    const result = await this.db.execute(sql`
+      DELETE FROM ranking_notes rn
+      USING product_rankings pr
+      WHERE pr.id = rn.product_ranking_id
+        AND pr.user_id = ${userId}
+        AND pr.shopify_product_id = ${shopifyProductId}
+        AND pr.ranking_list_id = ${rankingListId}
+      RETURNING rn.id
+    `);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Aggregate sub-scores for a product across all rankers
+   * Only primary-list notes count so a user with several lists is counted once
+   * @param {string} shopifyProductId - Product ID
+   * @returns {Promise<Object>} { raterCount, dimensions: [{ key, label, average, count, descriptor }], summary }
+   */
+  async getProductTastingSummary(shopifyProductId) {
+    const result = await this.db.execute(sql`
+      SELECT
+        COUNT(*)::int AS rater_count,
+        AVG(rn.tenderness)::float AS tenderness_avg, COUNT(rn.tenderness)::int AS tenderness_count,
+        AVG(rn.heat)::float AS heat_avg, COUNT(rn.heat)::int AS heat_count,
+        AVG(rn.sweetness)::float AS sweetness_avg, COUNT(rn.sweetness)::int AS sweetness_count,
+        AVG(rn.smoke)::float AS smoke_avg, COUNT(rn.smoke)::int AS smoke_count,
+        AVG(rn.saltiness)::float AS saltiness_avg, COUNT(rn.saltiness)::int AS saltiness_count
+      FROM ranking_notes rn
+      INNER JOIN product_rankings pr ON pr.id = rn.product_ranking_id
+      WHERE rn.shopify_product_id = ${shopifyProductId}
+        AND pr.ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+    `);
+
+    const row = result.rows[0] || {};
+    const dimensions = TASTING_SCORES.dimensions.map(({ key, label, descriptors }) => {
+      const average = row[`${key}_avg`] ?? null;
+      return {
+        key,
+        label,
+        average: average === null ? null : Math.round(average * 10) / 10,
+        count: row[`${key}_count`] || 0,
+        descriptor: average === null ? null : descriptors[Math.round(average) - TASTING_SCORES.min],
+      };
+    });
+
+    return {
+      raterCount: row.rater_count || 0,
+      dimensions,
+      summary: RankingNoteRepository.describeAverages(dimensions),
+    };
+  }
+}
+
+module.exports = RankingNoteRepository;
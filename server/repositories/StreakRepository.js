@@ -1,5 +1,5 @@
 const { eq, and, sql, desc } = require('drizzle-orm');
-const { streaks } = require('../../shared/schema');
+const { streaks, streakDays, users } = require('../../shared/schema');
 
 /**
  * StreakRepository - Data access layer for user streaks
@@ -20,6 +20,17 @@ class StreakRepository {
     return result[0] || null;
   }
 
+  /**
+   * The user's saved timezone (users.timezone), or null if none has been detected yet
+   */
+  async getUserTimeZone(userId) {
+    const result = await this.db.select({ timezone: users.timezone })
+      .from(users)
+      .where(eq(users.id, userId))
+      .limit(1);
+    return result[0]?.timezone || null;
+  }
+
   async createStreak(userId, streakType, currentStreak = 0) {
     const result = await this.db.insert(streaks)
       .values({
@@ -33,7 +44,7 @@ class StreakRepository {
     return result[0];
   }
 
-  async updateStreak(userId, streakType, currentStreak, lastActivityDate) {
+  async updateStreak(userId, streakType, currentStreak, lastActivityDate, freezesAvailable = undefined) {
     const existing = await this.getUserStreak(userId, streakType);
     const longestStreak = Math.max(existing?.longestStreak || 0, currentStreak);
 
@@ -42,6 +53,7 @@ class StreakRepository {
         currentStreak,
         longestStreak,
         lastActivityDate,
+        ...(freezesAvailable !== undefined && { freezesAvailable }),
         updatedAt: new Date(),
       })
       .where(and(
@@ -66,6 +78,7 @@ class StreakRepository {
           current_streak AS "currentStreak",
           longest_streak AS "longestStreak",
           last_activity_date AS "lastActivityDate",
+          COALESCE(freezes_available, 0) AS "freezesAvailable",
           created_at AS "createdAt",
           updated_at AS "updatedAt"
         FROM streaks
@@ -85,7 +98,92 @@ class StreakRepository {
     }
   }
 
+  /**
+   * Record days a streak was kept (already-recorded days are left as they are)
+   * @param {number} userId - User ID
+   * @param {string} streakType - Streak type
+   * @param {Array<Object>} days - [{ day: 'YYYY-MM-DD', status: 'active' | 'frozen' }]
+   */
+  async recordStreakDays(userId, streakType, days) {
+    if (days.length === 0) return;
+
+    await this.db.insert(streakDays)
+      .values(days.map(({ day, status }) => ({ userId, streakType, day, status })))
+      .onConflictDoNothing({ target: [streakDays.userId, streakDays.streakType, streakDays.day] });
+  }
+
+  /**
+   * Streak history from a date onwards, oldest first
+   * @param {number} userId - User ID
+   * @param {string} streakType - Streak type
+   * @param {string} sinceDay - 'YYYY-MM-DD' (inclusive)
+   * @returns {Promise<Array<Object>>} [{ day, status }]
+   */
+  async getStreakDays(userId, streakType, sinceDay) {
+    return await this.db.select({
+      day: streakDays.day,
+      status: streakDays.status,
+    })
+      .from(streakDays)
+      .where(and(
+        eq(streakDays.userId, userId),
+        eq(streakDays.streakType, streakType),
+        sql`${streakDays.day} >= ${sinceDay}`
+      ))
+      .orderBy(streakDays.day);
+  }
+
+  /**
+   * Calendar days (in a timezone) on which the user logged an activity, oldest first
+   * @param {number} userId - User ID
+   * @param {string} activityType - user_activities.activity_type, e.g. 'ranking_saved'
+   * @param {string} timeZone - IANA timezone
+   * @returns {Promise<Array<Object>>} [{ day: 'YYYY-MM-DD', lastActivityAt: Date }]
+   */
+  async getActivityDays(userId, activityType, timeZone) {
+    const result = await this.db.execute(sql`
+      SELECT (created_at AT TIME ZONE 'UTC' AT TIME ZONE ${timeZone})::date::text AS day,
+             MAX(created_at) AS last_activity_at
+      FROM user_activities
+      WHERE user_id = ${userId}
+        AND activity_type = ${activityType}
+      GROUP BY 1
+      ORDER BY 1
+    `);
+    return result.rows.map(row => ({ day: row.day, lastActivityAt: new Date(row.last_activity_at) }));
+  }
+
+  /**
+   * Overwrite a streak and its day-by-day history with recomputed values
+   * @param {number} userId - User ID
+   * @param {string} streakType - Streak type
+   * @param {Object} streak - { currentStreak, longestStreak, lastActivityDate, freezesAvailable }
+   * @param {Array<Object>} days - [{ day: 'YYYY-MM-DD', status: 'active' | 'frozen' }]
+   */
+  async replaceStreak(userId, streakType, streak, days) {
+    await this.db.transaction(async (tx) => {
+      await tx.update(streaks)
+        .set({ ...streak, updatedAt: new Date() })
+        .where(and(
+          eq(streaks.userId, userId),
+          eq(streaks.streakType, streakType)
+        ));
+
+      await tx.delete(streakDays)
+        .where(and(
+          eq(streakDays.userId, userId),
+          eq(streakDays.streakType, streakType)
+        ));
+
+      if (days.length > 0) {
+        await tx.insert(streakDays)
+          .values(days.map(({ day, status }) => ({ userId, streakType, day, status })));
+      }
+    });
+  }
+
   async deleteAllStreaks() {
+    await this.db.delete(streakDays);
     const result = await this.db.delete(streaks)
       .returning();
     return result.length;
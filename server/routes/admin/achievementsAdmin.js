@@ -3,7 +3,13 @@ const Sentry = require('@sentry/node');
 const multer = require('multer');
 const AchievementAdminRepository = require('../../repositories/AchievementAdminRepository');
 const AchievementCache = require('../../cache/AchievementCache');
+const AchievementRuleEngine = require('../../services/AchievementRuleEngine');
+const AchievementSimulator = require('../../services/AchievementSimulator');
+const AchievementAuditService = require('../../services/AchievementAuditService');
 const { getStorageService } = require('../../objectStorageService');
+const { EVENT_STATUS, getEventStatus, validateEventRequirement } = require('../../utils/eventWindow');
+const { validateHints } = require('../../utils/secretHints');
+const { getMissingPrerequisites } = require('../../utils/questLines');
 
 // Configure multer for memory storage
 const upload = multer({
@@ -50,7 +56,7 @@ async function triggerAchievementRecalculation(achievementId, database, products
   let allUsers;
   
   // Collection types that query productRankings (only need users who have rankings)
-  const rankingBasedTypes = ['dynamic_collection', 'static_collection', 'custom_product_list', 'flavor_coin'];
+  const rankingBasedTypes = ['dynamic_collection', 'static_collection', 'custom_product_list', 'flavor_coin', 'event_collection'];
   const isRankingBased = rankingBasedTypes.includes(ach.collectionType) || 
                          (ach.collectionType === 'engagement_collection' && ach.requirement?.type === 'rank_count');
   
@@ -151,7 +157,21 @@ async function triggerAchievementRecalculation(achievementId, database, products
       try {
         let result = null;
         
-        if (ach.collectionType === 'static_collection' || 
+        if (ach.requirement?.type === 'rule') {
+          // Rule coins are evaluated by AchievementRuleEngine whichever collection type holds them
+          if (ach.collectionType === 'engagement_collection') {
+            result = await engagementManager.checkAndAwardEngagementAchievement(user.id, ach, {});
+          } else {
+            const progress = await collectionManager.calculateCollectionProgress(user.id, ach);
+            if (progress.tier) {
+              result = await collectionManager.updateCollectionProgress(user.id, ach, progress);
+            }
+          }
+          // Multi-tier awards come back as a list; count the final tier
+          if (Array.isArray(result)) {
+            result = { ...result[result.length - 1], type: 'new' };
+          }
+        } else if (ach.collectionType === 'static_collection' || 
             ach.collectionType === 'custom_product_list' || 
             ach.collectionType === 'flavor_coin' ||
             ach.collectionType === 'dynamic_collection') {
@@ -159,6 +179,17 @@ async function triggerAchievementRecalculation(achievementId, database, products
           if (progress.tier) {
             result = await collectionManager.updateCollectionProgress(user.id, ach, progress);
           }
+        } else if (ach.collectionType === 'event_collection') {
+          // Only running events award; ended events stay with the users who earned them
+          if (getEventStatus(ach.requirement) === EVENT_STATUS.ACTIVE) {
+            const progress = await collectionManager.calculateEventProgress(user.id, ach);
+            if (progress.tier) {
+              result = await collectionManager.updateCollectionProgress(user.id, ach, progress);
+            }
+          }
+          if (Array.isArray(result)) {
+            result = { ...result[result.length - 1], type: 'new' };
+          }
         } else if (ach.collectionType === 'user_club') {
           const progress = await collectionManager.calculateUserClubProgress(user.id, ach);
           if (progress.tier) {
@@ -210,20 +241,24 @@ async function triggerAchievementRecalculation(achievementId, database, products
           const alreadyEarned = userAchievements.some(ua => ua.achievementId === ach.id);
           
           if (!alreadyEarned) {
-            // Check prerequisite: user must have earned the prerequisite achievement first
-            if (ach.prerequisiteAchievementId) {
-              const hasPrerequisite = userAchievements.some(ua => ua.achievementId === ach.prerequisiteAchievementId);
-              if (!hasPrerequisite) {
-                // Skip this achievement - user hasn't earned the prerequisite yet
-                return;
-              }
+            // Check prerequisites: user must have earned every prerequisite achievement first
+            const earnedIds = new Set(userAchievements.map(ua => ua.achievementId));
+            if (getMissingPrerequisites(ach, earnedIds).length > 0) {
+              // Skip this achievement - user hasn't finished the earlier quest steps yet
+              return;
             }
             
             // Use evaluator to check if user qualifies
             const evaluator = engagementManager.evaluators[ach.requirement.type];
             if (evaluator && evaluator(stats, ach.requirement)) {
               // Award the achievement
-              await achievementRepo.awardAchievement(user.id, ach.id);
+              const awarded = await achievementRepo.awardAchievement(user.id, ach.id);
+              await engagementManager.auditService.recordGrant(user.id, ach, {
+                tier: awarded.currentTier,
+                points: awarded.pointsAwarded,
+                source: 'admin',
+                provenance: await engagementManager.buildProvenance(user.id, ach.requirement),
+              });
               await activityLogRepo.logActivity(user.id, 'earn_badge', {
                 achievementCode: ach.code,
                 achievementName: ach.name,
@@ -289,6 +324,15 @@ async function triggerAchievementRecalculation(achievementId, database, products
   };
 }
 
+/**
+ * Validate a composable rule requirement ({ type: 'rule', rule })
+ * @returns {Array<string>} Error messages (empty for valid rules and non-rule requirements)
+ */
+function validateRuleRequirement(requirement, database) {
+  if (requirement?.type !== 'rule') return [];
+  return new AchievementRuleEngine(database).validate(requirement.rule);
+}
+
 /**
  * Admin endpoints for achievement CRUD operations
  * All endpoints require employee authentication
@@ -369,6 +413,31 @@ router.get('/users', requireEmployeeAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/users/:userId/coin-history
+ * A user's coin audit history: every grant, tier change and revocation with its provenance
+ * Optional ?achievementId= narrows it to one coin
+ */
+router.get('/users/:userId/coin-history', requireEmployeeAuth, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    if (isNaN(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const achievementId = req.query.achievementId ? parseInt(req.query.achievementId) : null;
+    const limit = Math.min(parseInt(req.query.limit) || 200, 500);
+
+    const auditService = new AchievementAuditService(req.db);
+    const history = await auditService.getHistory(userId, { limit, achievementId });
+
+    res.json({ success: true, history });
+  } catch (error) {
+    console.error('❌ Error fetching coin history for admin:', error);
+    res.status(500).json({ error: 'Failed to fetch coin history' });
+  }
+});
+
 /**
  * GET /api/admin/achievements
  * Get all achievements with statistics
@@ -402,6 +471,21 @@ router.post('/achievements', requireEmployeeAuth, async (req, res) => {
       });
     }
     
+    const ruleErrors = validateRuleRequirement(requirement, req.db);
+    if (ruleErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid rule', details: ruleErrors });
+    }
+    
+    const eventErrors = validateEventRequirement(requirement);
+    if (eventErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid event', details: eventErrors });
+    }
+    
+    const hintErrors = validateHints(req.body.hints);
+    if (hintErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid hints', details: hintErrors });
+    }
+    
     // Check if code already exists
     const existing = await adminRepo.getAchievementByCode(code);
     if (existing) {
@@ -422,7 +506,9 @@ router.post('/achievements', requireEmployeeAuth, async (req, res) => {
         achievement.collectionType === 'custom_product_list' ||
         achievement.collectionType === 'dynamic_collection' ||
         achievement.collectionType === 'user_club' ||
-        achievement.collectionType === 'user_coin') {
+        achievement.collectionType === 'user_coin' ||
+        achievement.collectionType === 'event_collection' ||
+        achievement.requirement?.type === 'rule') {
       console.log(`🔄 Triggering background recalculation for ${achievement.collectionType}: ${achievement.code}`);
       
       // Run recalculation asynchronously (don't await - runs in background)
@@ -460,6 +546,21 @@ router.put('/achievements/:id', requireEmployeeAuth, async (req, res) => {
       });
     }
     
+    const ruleErrors = validateRuleRequirement(requirement, req.db);
+    if (ruleErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid rule', details: ruleErrors });
+    }
+    
+    const eventErrors = validateEventRequirement(requirement);
+    if (eventErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid event', details: eventErrors });
+    }
+    
+    const hintErrors = validateHints(req.body.hints);
+    if (hintErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid hints', details: hintErrors });
+    }
+    
     // Update achievement
     const achievement = await adminRepo.updateAchievement(achievementId, req.body);
     
@@ -479,6 +580,74 @@ router.put('/achievements/:id', requireEmployeeAuth, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/admin/achievements/rules/preview
+ * Validate a draft rule and report who would qualify right now (read-only)
+ * Body: { rule, sampleSize? }
+ */
+router.post('/achievements/rules/preview', requireEmployeeAuth, async (req, res) => {
+  try {
+    const { rule } = req.body;
+    const sampleSize = Math.min(Math.max(parseInt(req.body.sampleSize) || 10, 1), 50);
+    
+    const ruleEngine = new AchievementRuleEngine(req.db);
+    const errors = ruleEngine.validate(rule);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid rule', details: errors });
+    }
+    
+    const preview = await ruleEngine.previewQualifying(rule, { sampleSize });
+    
+    res.json({ success: true, ...preview });
+  } catch (error) {
+    console.error('Error previewing achievement rule:', error);
+    res.status(500).json({ error: 'Failed to preview rule', details: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/achievements/simulate
+ * Dry-run a draft achievement against every user without saving or awarding anything
+ * Body: { achievement: { collectionType, requirement, points, hasTiers, tierThresholds, ... },
+ *         achievementId? (compare against current holders when editing), sampleSize? }
+ */
+router.post('/achievements/simulate', requireEmployeeAuth, async (req, res) => {
+  try {
+    const { achievement } = req.body;
+    const achievementId = req.body.achievementId ? parseInt(req.body.achievementId) : null;
+    const sampleSize = Math.min(Math.max(parseInt(req.body.sampleSize) || 10, 1), 50);
+    
+    if (!achievement?.collectionType || !achievement?.requirement) {
+      return res.status(400).json({ error: 'Missing required fields: achievement.collectionType, achievement.requirement' });
+    }
+    if (req.body.achievementId && isNaN(achievementId)) {
+      return res.status(400).json({ error: 'Invalid achievement ID' });
+    }
+    
+    const ruleErrors = validateRuleRequirement(achievement.requirement, req.db);
+    if (ruleErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid rule', details: ruleErrors });
+    }
+    
+    const eventErrors = validateEventRequirement(achievement.requirement);
+    if (eventErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid event', details: eventErrors });
+    }
+    
+    const simulator = new AchievementSimulator(req.db, productsService);
+    const simulation = await simulator.simulate(achievement, { achievementId, sampleSize });
+    
+    res.json({ success: true, ...simulation });
+  } catch (error) {
+    console.error('Error simulating achievement:', error);
+    Sentry.captureException(error, {
+      tags: { endpoint: 'admin_simulate_achievement' },
+      extra: { achievementId: req.body?.achievementId, collectionType: req.body?.achievement?.collectionType }
+    });
+    res.status(500).json({ error: 'Failed to simulate achievement', details: error.message });
+  }
+});
+
 // NOTE: Recalculate endpoint moved to server/routes/admin/recalculate.js
 // to avoid route collision and handle engagement achievements properly
 
@@ -594,8 +763,11 @@ router.get('/achievements/by-type/:type', requireEmployeeAuth, async (req, res)
       case 'hidden':
         achievements = await adminRepo.getHiddenAchievements();
         break;
+      case 'event':
+        achievements = await adminRepo.getEventCollections();
+        break;
       default:
-        return res.status(400).json({ error: 'Invalid type. Use: dynamic, engagement, static, or hidden' });
+        return res.status(400).json({ error: 'Invalid type. Use: dynamic, engagement, static, hidden, or event' });
     }
     
     res.json({ success: true, achievements });
@@ -0,0 +1,120 @@
+const express = require('express');
+const { CONTENT_REPORTS } = require('../../../shared/constants/contentReports');
+const ContentReportService = require('../../services/ContentReportService');
+
+const STATUSES = ['open', 'actioned', 'dismissed'];
+const MAX_NOTE_LENGTH = 500;
+
+/**
+ * Content Report Review Routes
+ * Queue of user-reported comments and profiles, and resolving them (dismiss or act)
+ * Accessible to employees (employee_admin role or @jerky.com email)
+ */
+module.exports = function createContentReportsAdminRoutes(services) {
+  const { storage, contentReportService } = services;
+  const router = express.Router();
+
+  /**
+   * Middleware: Require employee authentication
+   */
+  async function requireEmployeeAuth(req, res, next) {
+    try {
+      const sessionId = req.cookies.session_id;
+
+      if (!sessionId) {
+        return res.status(403).json({ error: 'Access denied. Employee authentication required.' });
+      }
+
+      const session = await storage.getSession(sessionId);
+      if (!session) {
+        return res.status(403).json({ error: 'Access denied. Invalid session.' });
+      }
+
+      const user = await storage.getUserById(session.userId);
+      if (!user) {
+        return res.status(403).json({ error: 'Access denied. User not found.' });
+      }
+
+      const hasAccess = user.role === 'employee_admin' || (user.email && user.email.endsWith('@jerky.com'));
+      if (!hasAccess) {
+        return res.status(403).json({ error: 'Access denied. Employee authentication required.' });
+      }
+
+      req.userId = session.userId;
+      req.user = user;
+      next();
+    } catch (error) {
+      console.error('Error in requireEmployeeAuth:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * GET /api/admin/content-reports
+   * Reports grouped by target, most-reported first
+   * Query params: status ('open' | 'actioned' | 'dismissed'), targetType, limit (max 100), offset
+   * Returns: { items, total, openCount }
+   */
+  router.get('/content-reports', requireEmployeeAuth, async (req, res) => {
+    try {
+      const status = STATUSES.includes(req.query.status) ? req.query.status : 'open';
+      const targetType = CONTENT_REPORTS.targetTypes.includes(req.query.targetType) ? req.query.targetType : null;
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), 100);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+      const [queue, openCount] = await Promise.all([
+        contentReportService.listQueue({ status, targetType, limit, offset }),
+        contentReportService.getOpenCount(),
+      ]);
+
+      res.json({ ...queue, openCount });
+    } catch (error) {
+      console.error('Error fetching content reports:', error);
+      res.status(500).json({ error: 'Failed to fetch reports' });
+    }
+  });
+
+  /**
+   * POST /api/admin/content-reports/:targetType/:targetId/resolve
+   * Close all open reports on a target
+   * Body: { action ('dismiss' or an action from CONTENT_REPORTS.actions[targetType]), note? }
+   */
+  router.post('/content-reports/:targetType/:targetId/resolve', requireEmployeeAuth, async (req, res) => {
+    try {
+      const { targetType } = req.params;
+      const targetId = parseInt(req.params.targetId);
+      const { action } = req.body || {};
+      const note = typeof req.body?.note === 'string' && req.body.note.trim()
+        ? req.body.note.trim().slice(0, MAX_NOTE_LENGTH)
+        : null;
+
+      if (!CONTENT_REPORTS.targetTypes.includes(targetType)) {
+        return res.status(400).json({ error: 'Invalid target type' });
+      }
+      if (!targetId || isNaN(targetId)) {
+        return res.status(400).json({ error: 'Invalid target ID' });
+      }
+      if (!ContentReportService.isValidAction(targetType, action)) {
+        return res.status(400).json({ error: `Invalid action for a ${targetType} report` });
+      }
+
+      const result = await contentReportService.resolve(targetType, targetId, {
+        action,
+        reviewerId: req.userId,
+        note,
+      });
+
+      if (result.hiddenComment) {
+        services.wsGateway?.broadcastCommentUpdated(result.hiddenComment.productId, result.hiddenComment.id);
+      }
+
+      console.log(`🚩 Employee ${req.userId} resolved ${result.resolved} report(s) on ${targetType} ${targetId}: ${action}`);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('Error resolving content reports:', error);
+      res.status(500).json({ error: 'Failed to resolve reports' });
+    }
+  });
+
+  return router;
+};
@@ -54,8 +54,8 @@ module.exports = function createDataManagementRoutes(storage, db) {
     try {
       console.log(`🗑️ Super admin ${req.user.email} clearing game caches...`);
 
-      // Clear game-related caches (10 total)
-      // User-specific game progress: StreakCache, ProgressCache, UserClassificationCache, GuidanceCache, JourneyCache
+      // Clear game-related caches (12 total)
+      // User-specific game progress: StreakCache, ProgressCache, UserClassificationCache, GuidanceCache, JourneyCache, TasteTwinCache, UserComparisonCache
       // Global game data: AchievementCache, HomeStatsCache, LeaderboardCache, LeaderboardPositionCache, RankingStatsCache
       const AchievementCache = require('../../cache/AchievementCache');
       const HomeStatsCache = require('../../cache/HomeStatsCache');
@@ -67,6 +67,8 @@ module.exports = function createDataManagementRoutes(storage, db) {
       const ProgressCache = require('../../cache/ProgressCache');
       const StreakCache = require('../../cache/StreakCache');
       const UserClassificationCache = require('../../cache/UserClassificationCache');
+      const TasteTwinCache = require('../../cache/TasteTwinCache');
+      const UserComparisonCache = require('../../cache/UserComparisonCache');
 
       AchievementCache.getInstance().invalidate();
       console.log('🗑️ Cleared AchievementCache');
@@ -98,6 +100,12 @@ module.exports = function createDataManagementRoutes(storage, db) {
       new UserClassificationCache().invalidate();
       console.log('🗑️ Cleared UserClassificationCache');
 
+      TasteTwinCache.getInstance().invalidate();
+      console.log('🗑️ Cleared TasteTwinCache');
+
+      UserComparisonCache.getInstance().invalidate();
+      console.log('🗑️ Cleared UserComparisonCache');
+
       res.json({ 
         success: true, 
         message: 'Game caches cleared successfully',
@@ -111,7 +119,9 @@ module.exports = function createDataManagementRoutes(storage, db) {
           'GuidanceCache',
           'ProgressCache',
           'StreakCache',
-          'UserClassificationCache'
+          'UserClassificationCache',
+          'TasteTwinCache',
+          'UserComparisonCache'
         ]
       });
     } catch (error) {
@@ -0,0 +1,208 @@
+const express = require('express');
+
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Product Comment Moderation Routes
+ * Hide/unhide comments, lock/unlock threads and ban/unban commenters
+ * Accessible to employees (employee_admin role or @jerky.com email)
+ */
+module.exports = function createProductCommentsAdminRoutes(services) {
+  const { storage, productCommentService } = services;
+  const router = express.Router();
+
+  /**
+   * Middleware: Require employee authentication
+   */
+  async function requireEmployeeAuth(req, res, next) {
+    try {
+      const sessionId = req.cookies.session_id;
+
+      if (!sessionId) {
+        return res.status(403).json({ error: 'Access denied. Employee authentication required.' });
+      }
+
+      const session = await storage.getSession(sessionId);
+      if (!session) {
+        return res.status(403).json({ error: 'Access denied. Invalid session.' });
+      }
+
+      const user = await storage.getUserById(session.userId);
+      if (!user) {
+        return res.status(403).json({ error: 'Access denied. User not found.' });
+      }
+
+      const hasAccess = user.role === 'employee_admin' || (user.email && user.email.endsWith('@jerky.com'));
+      if (!hasAccess) {
+        return res.status(403).json({ error: 'Access denied. Employee authentication required.' });
+      }
+
+      req.userId = session.userId;
+      req.user = user;
+      next();
+    } catch (error) {
+      console.error('Error in requireEmployeeAuth:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  const parseReason = (reason) => {
+    if (typeof reason !== 'string' || !reason.trim()) return null;
+    return reason.trim().slice(0, MAX_REASON_LENGTH);
+  };
+
+  // Load :commentId into req.comment (moderators see hidden and deleted comments too)
+  async function loadComment(req, res, next) {
+    try {
+      const commentId = parseInt(req.params.commentId);
+      if (!commentId || isNaN(commentId)) {
+        return res.status(400).json({ error: 'Invalid comment ID' });
+      }
+
+      const comment = await productCommentService.getComment(commentId);
+      if (!comment) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+
+      req.comment = comment;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/admin/product-comments
+   * Moderation queue, newest first
+   * Query params: status ('all' | 'visible' | 'hidden'), productId, search, limit (max 100), offset
+   */
+  router.get('/product-comments', requireEmployeeAuth, async (req, res) => {
+    try {
+      const status = ['all', 'visible', 'hidden'].includes(req.query.status) ? req.query.status : 'all';
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+      const result = await productCommentService.listForModeration({
+        status,
+        productId: req.query.productId || null,
+        search: (req.query.search || '').trim(),
+        limit,
+        offset,
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error fetching product comments for moderation:', error);
+      res.status(500).json({ error: 'Failed to fetch comments' });
+    }
+  });
+
+  /**
+   * POST /api/admin/product-comments/:commentId/hide
+   * Body: { reason? }
+   * POST /api/admin/product-comments/:commentId/unhide
+   */
+  const handleHide = (hidden) => async (req, res) => {
+    try {
+      const { comment } = req;
+      await productCommentService.setHidden(comment.id, req.userId, hidden, hidden ? parseReason(req.body?.reason) : null);
+      services.wsGateway?.broadcastCommentUpdated(comment.productId, comment.id);
+
+      console.log(`🛡️ Employee ${req.userId} ${hidden ? 'hid' : 'unhid'} product comment ${comment.id}`);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Error updating comment visibility:', error);
+      res.status(500).json({ error: 'Failed to update comment' });
+    }
+  };
+
+  router.post('/product-comments/:commentId/hide', requireEmployeeAuth, loadComment, handleHide(true));
+  router.post('/product-comments/:commentId/unhide', requireEmployeeAuth, loadComment, handleHide(false));
+
+  /**
+   * POST /api/admin/product-comments/:commentId/lock
+   * POST /api/admin/product-comments/:commentId/unlock
+   * Top-level comments only; a locked thread takes no new replies
+   */
+  const handleLock = (locked) => async (req, res) => {
+    try {
+      const { comment } = req;
+      if (comment.parentId !== null) {
+        return res.status(400).json({ error: 'Only top-level comments (threads) can be locked' });
+      }
+
+      await productCommentService.setLocked(comment.id, req.userId, locked);
+      services.wsGateway?.broadcastCommentUpdated(comment.productId, comment.id);
+
+      console.log(`🛡️ Employee ${req.userId} ${locked ? 'locked' : 'unlocked'} comment thread ${comment.id}`);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Error updating thread lock:', error);
+      res.status(500).json({ error: 'Failed to update thread' });
+    }
+  };
+
+  router.post('/product-comments/:commentId/lock', requireEmployeeAuth, loadComment, handleLock(true));
+  router.post('/product-comments/:commentId/unlock', requireEmployeeAuth, loadComment, handleLock(false));
+
+  /**
+   * GET /api/admin/comment-bans
+   * Users currently banned from commenting
+   */
+  router.get('/comment-bans', requireEmployeeAuth, async (req, res) => {
+    try {
+      const bans = await productCommentService.listBans();
+      res.json({ bans });
+    } catch (error) {
+      console.error('Error fetching comment bans:', error);
+      res.status(500).json({ error: 'Failed to fetch comment bans' });
+    }
+  });
+
+  /**
+   * POST /api/admin/comment-bans/:userId
+   * Body: { reason? }
+   * DELETE /api/admin/comment-bans/:userId
+   */
+  router.post('/comment-bans/:userId', requireEmployeeAuth, async (req, res) => {
+    try {
+      const userId = parseInt(req.params.userId);
+      if (!userId || isNaN(userId)) {
+        return res.status(400).json({ error: 'Invalid user ID' });
+      }
+      if (userId === req.userId) {
+        return res.status(400).json({ error: 'You can\'t ban yourself' });
+      }
+
+      const user = await storage.getUserById(userId);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      await productCommentService.banUser(userId, parseReason(req.body?.reason));
+      console.log(`🛡️ Employee ${req.userId} banned user ${userId} from commenting`);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Error banning user from comments:', error);
+      res.status(500).json({ error: 'Failed to ban user' });
+    }
+  });
+
+  router.delete('/comment-bans/:userId', requireEmployeeAuth, async (req, res) => {
+    try {
+      const userId = parseInt(req.params.userId);
+      if (!userId || isNaN(userId)) {
+        return res.status(400).json({ error: 'Invalid user ID' });
+      }
+
+      await productCommentService.unbanUser(userId);
+      console.log(`🛡️ Employee ${req.userId} lifted comment ban for user ${userId}`);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Error lifting comment ban:', error);
+      res.status(500).json({ error: 'Failed to lift ban' });
+    }
+  });
+
+  return router;
+};
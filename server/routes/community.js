@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { userClassifications } = require('../../shared/schema');
 const { eq } = require('drizzle-orm');
+const { screenDisplayName } = require('../utils/contentModeration');
+const ProfileRepository = require('../repositories/ProfileRepository');
 
 /**
  * Community API Routes
@@ -14,9 +16,20 @@ function createCommunityRoutes(services) {
     storage, 
     leaderboardManager,
     achievementRepo,
+    rankingListRepo,
+    levelService,
+    followService,
     db
   } = services;
 
+  // Resolve the viewer's user ID from the session cookie (null for anonymous viewers)
+  const getViewerId = async (req) => {
+    const sessionId = req.cookies.session_id;
+    if (!sessionId) return null;
+    const session = await storage.getSession(sessionId);
+    return session?.userId || null;
+  };
+
   /**
    * GET /api/community/users
    * List all users or search by name/flavor
@@ -45,6 +58,15 @@ function createCommunityRoutes(services) {
       const streakCache = StreakCache.getInstance();
       const progressCache = ProgressCache.getInstance();
 
+      // Levels and follow state for the whole page in one query each
+      const userIds = users.map(user => user.id);
+      const viewerId = await getViewerId(req);
+      const [levels, followCounts, followedIds] = await Promise.all([
+        levelService.getLevelsForUsers(userIds),
+        followService.getFollowCountsForUsers(userIds),
+        followService.getFollowedAmong(viewerId, userIds)
+      ]);
+
       // Enrich user data with engagement, classification, streaks, and milestones
       const enrichedUsers = await Promise.all(
         users.map(async (user) => {
@@ -112,8 +134,13 @@ function createCommunityRoutes(services) {
             initials: user.initials,
             unique_products: user.rankedCount || 0,
             engagement_score: position?.engagementScore || 0,
+            level: levels.get(user.id) || null,
             handle: user.handle,
             badges,
+            follower_count: followCounts.get(user.id)?.followerCount || 0,
+            following_count: followCounts.get(user.id)?.followingCount || 0,
+            is_following: followedIds.has(user.id),
+            is_self: viewerId === user.id,
             
             // Journey & classification data (for narrative cards)
             journey_stage: classification?.journeyStage || 'new_user',
@@ -190,24 +217,36 @@ function createCommunityRoutes(services) {
         
         return '';
       };
-      const realName = getNameWithInitial(user);
+      const realName = screenDisplayName(getNameWithInitial(user), '');
 
       // Get user stats
       const position = await leaderboardManager.getUserPosition(userId, 'all_time');
       
-      // Get products ranked count
+      // A private primary list is only shown to its owner
       const { sql } = require('drizzle-orm');
+      const viewerId = await getViewerId(req);
+      const rankingsVisible = viewerId === userId ? sql`true` : ProfileRepository.primaryListIsPublic(userId);
+
+      // Get products ranked count
       const productsRankedResult = await db.execute(sql`
         SELECT COUNT(DISTINCT shopify_product_id) as count
         FROM product_rankings
         WHERE user_id = ${userId}
           AND ranking_list_id = 'default'
+          AND ${rankingsVisible}
       `);
       const productsRanked = parseInt(productsRankedResult.rows[0]?.count) || 0;
 
       // Get earned achievements
       const achievements = await achievementRepo.getUserAchievements(userId);
 
+      const levels = await levelService.getLevelsForUsers([userId]);
+
+      const [followCounts, followedIds] = await Promise.all([
+        followService.getFollowCounts(userId),
+        followService.getFollowedAmong(viewerId, [userId])
+      ]);
+
       // Get user's ALL ranked products with metadata for filtering
       const allRankingsResult = await db.execute(sql`
         SELECT 
@@ -222,6 +261,7 @@ function createCommunityRoutes(services) {
         LEFT JOIN products_metadata pm ON pr.shopify_product_id = pm.shopify_product_id
         WHERE pr.user_id = ${userId}
           AND pr.ranking_list_id = 'default'
+          AND ${rankingsVisible}
         ORDER BY pr.ranking ASC
       `);
 
@@ -264,8 +304,12 @@ function createCommunityRoutes(services) {
           engagementScore: position?.engagementScore || 0,
           leaderboardPosition: position?.rank || null,
           currentStreak,
-          achievementsEarned: achievements.length
+          achievementsEarned: achievements.length,
+          level: levels.get(userId) || null,
+          followerCount: followCounts.followerCount,
+          followingCount: followCounts.followingCount
         },
+        isFollowing: followedIds.has(userId),
         achievements: achievements.map(ach => ({
           id: ach.id,
           name: ach.name,
@@ -284,6 +328,264 @@ function createCommunityRoutes(services) {
     }
   });
 
+  // Parse ?limit=&offset= for follower lists and the feed
+  const getPaging = (req, defaultLimit = 20) => ({
+    limit: Math.min(Math.max(parseInt(req.query.limit) || defaultLimit, 1), 50),
+    offset: Math.max(parseInt(req.query.offset) || 0, 0)
+  });
+
+  /**
+   * GET /api/community/feed
+   * Personalized following feed: public coin and streak activity from users the viewer follows
+   * Query params: limit (max 50), before (ISO timestamp of the oldest item already shown)
+   */
+  router.get('/feed', async (req, res) => {
+    try {
+      const sessionId = req.cookies.session_id;
+      if (!sessionId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+
+      const session = await storage.getSession(sessionId);
+      if (!session) {
+        return res.status(401).json({ error: 'Invalid session' });
+      }
+
+      const { limit } = getPaging(req);
+      const before = req.query.before ? new Date(req.query.before) : null;
+      if (before && isNaN(before.getTime())) {
+        return res.status(400).json({ error: 'Invalid before timestamp' });
+      }
+
+      const [activities, counts] = await Promise.all([
+        followService.getFollowingFeed(session.userId, { limit, before: before?.toISOString() || null }),
+        followService.getFollowCounts(session.userId)
+      ]);
+
+      res.json({
+        activities,
+        followingCount: counts.followingCount,
+        hasMore: activities.length === limit
+      });
+    } catch (error) {
+      console.error('Error fetching following feed:', error);
+      res.status(500).json({ error: 'Failed to fetch following feed' });
+    }
+  });
+
+  /**
+   * GET /api/community/users/:userId/follow
+   * Follower/following counts and whether the viewer follows this user
+   */
+  router.get('/users/:userId/follow', async (req, res) => {
+    try {
+      const userId = parseInt(req.params.userId);
+      
+      if (!userId || isNaN(userId)) {
+        return res.status(400).json({ error: 'Invalid user ID' });
+      }
+
+      const viewerId = await getViewerId(req);
+      const [counts, followedIds] = await Promise.all([
+        followService.getFollowCounts(userId),
+        followService.getFollowedAmong(viewerId, [userId])
+      ]);
+
+      res.json({ isFollowing: followedIds.has(userId), ...counts });
+    } catch (error) {
+      console.error('Error fetching follow status:', error);
+      res.status(500).json({ error: 'Failed to fetch follow status' });
+    }
+  });
+
+  /**
+   * POST /api/community/users/:userId/follow
+   * DELETE /api/community/users/:userId/follow
+   * Follow or unfollow a user; responds with the updated follow status
+   */
+  const handleFollowChange = (isFollowing) => async (req, res) => {
+    try {
+      const sessionId = req.cookies.session_id;
+      if (!sessionId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+
+      const session = await storage.getSession(sessionId);
+      if (!session) {
+        return res.status(401).json({ error: 'Invalid session' });
+      }
+
+      const userId = parseInt(req.params.userId);
+      if (!userId || isNaN(userId)) {
+        return res.status(400).json({ error: 'Invalid user ID' });
+      }
+
+      if (userId === session.userId) {
+        return res.status(400).json({ error: 'You cannot follow yourself' });
+      }
+
+      const user = await storage.getUserById(userId);
+      if (!user || !user.active) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const { created, ...status } = isFollowing
+        ? await followService.follow(session.userId, userId)
+        : await followService.unfollow(session.userId, userId);
+
+      // Live feed sockets start (or stop) receiving this user's activity
+      // (the gateway is attached to services after the routers are built, so read it per request)
+      const { wsGateway } = services;
+      if (wsGateway) {
+        wsGateway.syncFollow(session.userId, userId, isFollowing).catch(err => {
+          console.error('⚠️ Failed to sync follow rooms:', err);
+        });
+
+        if (created) {
+          const follower = await storage.getUserById(session.userId);
+          wsGateway.broadcastNewFollower(userId, {
+            id: session.userId,
+            displayName: communityService.formatDisplayName(follower)
+          });
+        }
+      }
+
+      res.json(status);
+    } catch (error) {
+      console.error(`Error ${isFollowing ? 'following' : 'unfollowing'} user:`, error);
+      res.status(500).json({ error: `Failed to ${isFollowing ? 'follow' : 'unfollow'} user` });
+    }
+  };
+
+  router.post('/users/:userId/follow', handleFollowChange(true));
+  router.delete('/users/:userId/follow', handleFollowChange(false));
+
+  /**
+   * GET /api/community/users/:userId/followers
+   * GET /api/community/users/:userId/following
+   * Paginated follower / following lists (query params: limit, offset)
+   */
+  router.get('/users/:userId/:relation(followers|following)', async (req, res) => {
+    try {
+      const userId = parseInt(req.params.userId);
+      
+      if (!userId || isNaN(userId)) {
+        return res.status(400).json({ error: 'Invalid user ID' });
+      }
+
+      const viewerId = await getViewerId(req);
+      const options = { ...getPaging(req), viewerId };
+      const result = req.params.relation === 'followers'
+        ? await followService.getFollowers(userId, options)
+        : await followService.getFollowing(userId, options);
+
+      res.json(result);
+    } catch (error) {
+      console.error(`Error fetching ${req.params.relation}:`, error);
+      res.status(500).json({ error: `Failed to fetch ${req.params.relation}` });
+    }
+  });
+
+  /**
+   * GET /api/community/users/:userId/lists
+   * Get a user's ranking lists (public lists only, unless the viewer owns them)
+   */
+  router.get('/users/:userId/lists', async (req, res) => {
+    try {
+      const userId = parseInt(req.params.userId);
+      
+      if (!userId || isNaN(userId)) {
+        return res.status(400).json({ error: 'Invalid user ID' });
+      }
+
+      const user = await storage.getUserById(userId);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const viewerId = await getViewerId(req);
+      const isOwner = viewerId === userId;
+      const lists = await rankingListRepo.getUserLists(userId, { publicOnly: !isOwner });
+
+      res.json({
+        user: {
+          id: userId,
+          displayName: communityService.formatDisplayName(user),
+        },
+        isOwner,
+        lists
+      });
+    } catch (error) {
+      console.error('Error fetching user ranking lists:', error);
+      res.status(500).json({ error: 'Failed to fetch ranking lists' });
+    }
+  });
+
+  /**
+   * GET /api/community/users/:userId/lists/:listId
+   * Get a single ranking list with its ranked products
+   * Private lists are only visible to their owner (404 for everyone else)
+   */
+  router.get('/users/:userId/lists/:listId', async (req, res) => {
+    try {
+      const userId = parseInt(req.params.userId);
+      const { listId } = req.params;
+      
+      if (!userId || isNaN(userId)) {
+        return res.status(400).json({ error: 'Invalid user ID' });
+      }
+
+      const user = await storage.getUserById(userId);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const list = await rankingListRepo.getList(userId, listId);
+      const viewerId = await getViewerId(req);
+      const isOwner = viewerId === userId;
+
+      if (!list || (list.visibility !== 'public' && !isOwner)) {
+        return res.status(404).json({ error: 'Ranking list not found' });
+      }
+
+      const rankings = await rankingListRepo.getListRankings(userId, listId);
+
+      res.json({
+        user: {
+          id: userId,
+          displayName: communityService.formatDisplayName(user),
+          avatarUrl: communityService.getAvatarUrl(user),
+          initials: communityService.getUserInitials(user),
+        },
+        isOwner,
+        list: {
+          listId: list.listId,
+          name: list.name,
+          visibility: list.visibility,
+          isPrimary: list.isPrimary,
+          updatedAt: list.updatedAt,
+        },
+        rankings: rankings.map(r => ({
+          productId: r.productId,
+          rank: r.rank,
+          rankedAt: r.rankedAt,
+          title: r.productTitle || r.productData?.title || 'Unknown Product',
+          image: r.productData?.image,
+          vendor: r.vendor || r.productData?.vendor,
+          animalType: r.animalType,
+          animalDisplay: r.animalDisplay,
+          animalIcon: r.animalIcon,
+          primaryFlavor: r.primaryFlavor,
+          flavorDisplay: r.flavorDisplay,
+          flavorIcon: r.flavorIcon,
+        }))
+      });
+    } catch (error) {
+      console.error('Error fetching ranking list:', error);
+      res.status(500).json({ error: 'Failed to fetch ranking list' });
+    }
+  });
+
   return router;
 }
 
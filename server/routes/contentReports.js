@@ -0,0 +1,86 @@
+const express = require('express');
+const { CONTENT_REPORTS } = require('../../shared/constants/contentReports');
+
+const REASON_IDS = CONTENT_REPORTS.reasons.map(({ id }) => id);
+
+/**
+ * Content Report API Routes
+ * Signed-in users report product comments and user profiles for employee review
+ * (queue and actions live in routes/admin/contentReports.js)
+ */
+function createContentReportRoutes(services) {
+  const { storage, contentReportService } = services;
+  const router = express.Router();
+
+  const requireSession = async (req, res, next) => {
+    try {
+      const sessionId = req.cookies.session_id;
+      if (!sessionId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+
+      const session = await storage.getSession(sessionId);
+      if (!session) {
+        return res.status(401).json({ error: 'Invalid session' });
+      }
+
+      req.userId = session.userId;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * POST /api/reports
+   * Body: { targetType ('comment' | 'user'), targetId, reason, details? }
+   * Returns: { success, alreadyReported }
+   */
+  router.post('/', requireSession, async (req, res) => {
+    try {
+      const { targetType, reason } = req.body || {};
+      const targetId = parseInt(req.body?.targetId);
+      const details = typeof req.body?.details === 'string' ? req.body.details.trim() : '';
+
+      if (!CONTENT_REPORTS.targetTypes.includes(targetType)) {
+        return res.status(400).json({ error: `targetType must be one of: ${CONTENT_REPORTS.targetTypes.join(', ')}` });
+      }
+      if (!targetId || isNaN(targetId)) {
+        return res.status(400).json({ error: 'Invalid target ID' });
+      }
+      if (!REASON_IDS.includes(reason)) {
+        return res.status(400).json({ error: 'Please choose a reason for the report' });
+      }
+      if (details.length > CONTENT_REPORTS.maxDetailsLength) {
+        return res.status(400).json({ error: `Details must be ${CONTENT_REPORTS.maxDetailsLength} characters or fewer` });
+      }
+
+      const ownerId = await contentReportService.getTargetOwnerId(targetType, targetId);
+      if (!ownerId) {
+        return res.status(404).json({ error: targetType === 'comment' ? 'Comment not found' : 'User not found' });
+      }
+      if (ownerId === req.userId) {
+        return res.status(400).json({ error: 'You can\'t report yourself' });
+      }
+
+      const created = await contentReportService.createReport(req.userId, {
+        targetType,
+        targetId,
+        reason,
+        details: details || null,
+      });
+
+      if (created) {
+        console.log(`🚩 User ${req.userId} reported ${targetType} ${targetId} (${reason})`);
+      }
+      res.status(created ? 201 : 200).json({ success: true, alreadyReported: !created });
+    } catch (error) {
+      console.error('Error creating content report:', error);
+      res.status(500).json({ error: 'Failed to submit report' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createContentReportRoutes;
@@ -0,0 +1,133 @@
+const express = require('express');
+const { verifyUnsubscribeToken } = require('../utils/unsubscribeTokens');
+const { getAppUrl } = require('../utils/appDomain');
+const { button, renderLayout } = require('../emails/layout');
+const EmailDigestService = require('../services/EmailDigestService');
+
+/**
+ * Email API Routes
+ * Weekly digest subscription for the signed-in user, and the signed unsubscribe link
+ * embedded in every digest (works without a session)
+ */
+function createEmailDigestRoutes(services) {
+  const { storage, emailDigestService } = services;
+  const router = express.Router();
+
+  const requireSession = async (req, res, next) => {
+    try {
+      const sessionId = req.cookies.session_id;
+      if (!sessionId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+
+      const session = await storage.getSession(sessionId);
+      if (!session) {
+        return res.status(401).json({ error: 'Invalid session' });
+      }
+
+      req.userId = session.userId;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Opt out the user named in an unsubscribe link, if the link's signature checks out
+   * @returns {Promise<boolean>} False for a missing or forged token
+   */
+  const unsubscribeFromLink = async (query) => {
+    const userId = parseInt(query.user);
+    if (!userId || !verifyUnsubscribeToken(userId, EmailDigestService.DIGEST_LIST, query.token)) {
+      return false;
+    }
+    await emailDigestService.setSubscription(userId, false);
+    return true;
+  };
+
+  /**
+   * GET /api/email/digest
+   * Returns: { enabled, lastSentAt }
+   */
+  router.get('/digest', requireSession, async (req, res) => {
+    try {
+      res.json(await emailDigestService.getSubscription(req.userId));
+    } catch (error) {
+      console.error('Error fetching email digest subscription:', error);
+      res.status(500).json({ error: 'Failed to fetch email digest subscription' });
+    }
+  });
+
+  /**
+   * PUT /api/email/digest
+   * Body: { enabled: boolean }
+   */
+  router.put('/digest', requireSession, async (req, res) => {
+    try {
+      const { enabled } = req.body || {};
+      if (typeof enabled !== 'boolean') {
+        return res.status(400).json({ error: 'enabled must be a boolean' });
+      }
+
+      res.json(await emailDigestService.setSubscription(req.userId, enabled));
+    } catch (error) {
+      console.error('Error updating email digest subscription:', error);
+      res.status(500).json({ error: 'Failed to update email digest subscription' });
+    }
+  });
+
+  /**
+   * GET /api/email/unsubscribe?user=&token=
+   * Footer link in the digest: opts out and shows a confirmation page
+   */
+  router.get('/unsubscribe', async (req, res) => {
+    try {
+      const unsubscribed = await unsubscribeFromLink(req.query);
+
+      const html = renderLayout({
+        title: unsubscribed ? 'Unsubscribed' : 'Invalid unsubscribe link',
+        bodyHtml: unsubscribed
+          ? `
+            <h2>You're unsubscribed</h2>
+            <p>You won't get the weekly digest email anymore.</p>
+            <p class="muted">Changed your mind? You can turn it back on from your profile.</p>
+            ${button(getAppUrl('/profile'), 'Email Preferences')}
+          `
+          : `
+            <h2>This unsubscribe link isn't valid</h2>
+            <p>You can turn off the weekly digest from your profile instead.</p>
+            ${button(getAppUrl('/profile'), 'Email Preferences')}
+          `
+      });
+
+      res.status(unsubscribed ? 200 : 400).type('html').send(html);
+    } catch (error) {
+      console.error('Error unsubscribing from email digest:', error);
+      res.status(500).type('html').send(renderLayout({
+        title: 'Something went wrong',
+        bodyHtml: `<h2>Something went wrong</h2><p>Please try again in a few minutes.</p>`
+      }));
+    }
+  });
+
+  /**
+   * POST /api/email/unsubscribe?user=&token=
+   * RFC 8058 one-click unsubscribe, sent by mail clients from the List-Unsubscribe header
+   */
+  router.post('/unsubscribe', async (req, res) => {
+    try {
+      const unsubscribed = await unsubscribeFromLink(req.query);
+      if (!unsubscribed) {
+        return res.status(400).json({ error: 'Invalid unsubscribe link' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Error unsubscribing from email digest:', error);
+      res.status(500).json({ error: 'Failed to unsubscribe' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createEmailDigestRoutes;
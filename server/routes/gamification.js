@@ -3,6 +3,11 @@ const router = express.Router();
 const ProductRankingRepository = require('../repositories/ProductRankingRepository');
 const { formatAchievementPayload } = require('../utils/achievementIconFormatter');
 const ProgressCache = require('../cache/ProgressCache');
+const { SEASON_TYPES } = require('../../shared/constants');
+const { EVENT_STATUS, getEventStatus } = require('../utils/eventWindow');
+const { getRequestTimeZone, isValidTimeZone } = require('../utils/timeZone');
+const { LEVELS } = require('../../shared/constants/levels');
+const { isHiddenCoin, getRevealedHints } = require('../utils/secretHints');
 
 /**
  * Gamification API Routes
@@ -20,12 +25,32 @@ function createGamificationRoutes(services) {
     homeStatsService,
     communityService,
     userStatsAggregator,
-    commentaryService
+    commentaryService,
+    seasonService,
+    collectionManager,
+    achievementStatsService,
+    levelService,
+    achievementAuditService
   } = services;
   
   // Initialize short-lived progress cache for race condition prevention
   const progressCache = ProgressCache.getInstance();
 
+  // Viewer's timezone for "today" counters: their saved timezone when logged in, else the browser's
+  async function getViewerTimeZone(req) {
+    const sessionId = req.cookies.session_id;
+    if (sessionId) {
+      const session = await services.storage.getSession(sessionId);
+      if (session) {
+        const user = await services.storage.getUserById(session.userId);
+        if (isValidTimeZone(user?.timezone)) {
+          return user.timezone;
+        }
+      }
+    }
+    return getRequestTimeZone(req);
+  }
+
   router.get('/achievements', async (req, res) => {
     let userId = null;
     try {
@@ -106,10 +131,52 @@ function createGamificationRoutes(services) {
       const achievements = await engagementManager.getAchievementsWithProgress(userId, completeStats);
       console.log(`✅ Achievements fetched successfully for user ${userId}: ${achievements.length} achievement(s)`);
 
+      // Event coins: add the window (for countdowns) and live progress while the event runs
+      const achievementsWithEvents = await Promise.all(achievements.map(async (achievement) => {
+        if (achievement.collectionType !== 'event_collection') {
+          return achievement;
+        }
+
+        const { startsAt, endsAt, goal } = achievement.requirement || {};
+        const event = { startsAt, endsAt, goal, status: getEventStatus(achievement.requirement) };
+        if (event.status !== EVENT_STATUS.ACTIVE) {
+          return { ...achievement, event };
+        }
+
+        const eventProgress = await collectionManager.calculateEventProgress(userId, achievement).catch(err => {
+          console.error(`⚠️ Error calculating event progress for ${achievement.code}:`, err);
+          return null;
+        });
+        return {
+          ...achievement,
+          event,
+          progress: eventProgress
+            ? { current: eventProgress.totalRanked, required: goal, percentage: eventProgress.percentage }
+            : null
+        };
+      }));
+
+      // Rarity from the scheduled stats job (coins it hasn't covered yet have none)
+      const rarityMap = await achievementStatsService.getRarityMap().catch(err => {
+        console.error('⚠️ Error fetching coin rarity:', err);
+        return new Map();
+      });
+      const achievementsWithRarity = achievementsWithEvents.map(achievement => {
+        const rarity = rarityMap.get(achievement.id);
+        return rarity ? { ...achievement, ...rarity } : achievement;
+      });
+
       // Format achievement icons for proper rendering
-      const formattedAchievements = achievements.map(a => formatAchievementPayload(a));
+      const formattedAchievements = achievementsWithRarity.map(a => formatAchievementPayload(a));
 
-      res.json({ achievements: formattedAchievements, stats: completeStats });
+      // Quest lines: prerequisite chains drawn as the Coin Book's quest map
+      const questGraph = await engagementManager.getQuestGraph(userId).catch(err => {
+        console.error('⚠️ Error building quest graph:', err);
+        return { nodes: [], edges: [], lines: [] };
+      });
+      questGraph.nodes = questGraph.nodes.map(node => node.hidden ? node : formatAchievementPayload(node));
+
+      res.json({ achievements: formattedAchievements, stats: completeStats, questGraph });
     } catch (error) {
       console.error('❌ Error fetching achievements:', error);
       console.error('Error message:', error.message);
@@ -122,6 +189,112 @@ function createGamificationRoutes(services) {
     }
   });
 
+  /**
+   * GET /api/gamification/secrets
+   * Hidden coins the user hasn't found yet, as silhouettes for the Coin Book's Secrets tab:
+   * no name, description, icon or requirement, only category, rarity and the hints their
+   * progress has unlocked (earned secrets come with /achievements as usual)
+   */
+  router.get('/secrets', async (req, res) => {
+    try {
+      const sessionId = req.cookies.session_id;
+      if (!sessionId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+
+      const session = await services.storage.getSession(sessionId);
+      if (!session) {
+        return res.status(401).json({ error: 'Invalid session' });
+      }
+
+      const userId = session.userId;
+      const [allAchievements, userAchievements, rarityMap] = await Promise.all([
+        services.achievementRepo.getAllAchievements(),
+        services.achievementRepo.getUserAchievements(userId),
+        achievementStatsService.getRarityMap().catch(err => {
+          console.error('⚠️ Error fetching coin rarity:', err);
+          return new Map();
+        })
+      ]);
+      const earnedIds = new Set(userAchievements.map(a => a.achievementId));
+
+      const lockedSecrets = allAchievements.filter(achievement =>
+        achievement.isActive !== 0 && isHiddenCoin(achievement) && !earnedIds.has(achievement.id)
+      );
+
+      const secrets = [];
+      for (const coin of lockedSecrets) {
+        const hasHints = Array.isArray(coin.hints) && coin.hints.length > 0;
+        // Progress only matters for revealing hints
+        const percentage = hasHints
+          ? await collectionManager.calculateHiddenCoinProgress(userId, coin, engagementManager).catch(err => {
+              console.error(`⚠️ Error calculating hidden coin progress for ${coin.code}:`, err);
+              return 0;
+            })
+          : 0;
+        const hints = getRevealedHints(coin.hints, percentage);
+        const rarity = rarityMap.get(coin.id);
+
+        secrets.push({
+          id: coin.id,
+          category: coin.category,
+          rarity: rarity?.rarity || null,
+          earnedPercentage: rarity?.earnedPercentage ?? null,
+          hints: hints.revealed,
+          hintCount: hints.total,
+          nextHintAt: hints.nextRevealAt
+        });
+      }
+
+      res.json({ secrets });
+    } catch (error) {
+      console.error('Error fetching secret coins:', error);
+      res.status(500).json({ error: 'Failed to fetch secret coins' });
+    }
+  });
+
+  // Rarity and earn-rate statistics for a coin's trading-card page
+  // Accepts achievement code (slug) or ID, like /achievement/:code/products
+  router.get('/achievements/:code/stats', async (req, res) => {
+    try {
+      const sessionId = req.cookies.session_id;
+      if (!sessionId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+
+      const session = await services.storage.getSession(sessionId);
+      if (!session) {
+        return res.status(401).json({ error: 'Invalid session' });
+      }
+
+      const codeOrId = req.params.code;
+      const allAchievements = await services.achievementRepo.getAllAchievements();
+      let achievement = allAchievements.find(a => a.code === codeOrId);
+      if (!achievement && !isNaN(codeOrId)) {
+        achievement = allAchievements.find(a => a.id === parseInt(codeOrId));
+      }
+
+      if (!achievement || achievement.isActive === 0) {
+        return res.status(404).json({ error: 'Achievement not found' });
+      }
+
+      // Hidden coins stay secret until the viewer earns them
+      if (achievement.isHidden === 1 && !(await services.achievementRepo.hasAchievement(session.userId, achievement.id))) {
+        return res.status(404).json({ error: 'Achievement not found' });
+      }
+
+      const stats = await achievementStatsService.getStats(achievement.id);
+
+      res.json({
+        achievement: { id: achievement.id, code: achievement.code, name: achievement.name },
+        stats,
+      });
+    } catch (error) {
+      console.error('Error fetching achievement stats:', error);
+      res.status(500).json({ error: 'Failed to fetch achievement stats' });
+    }
+  });
+
   router.get('/progress', async (req, res) => {
     try {
       const sessionId = req.cookies.session_id;
@@ -209,6 +382,43 @@ function createGamificationRoutes(services) {
     }
   });
 
+  // Archived weekly/monthly seasons, newest first (optional ?type=week|month)
+  router.get('/seasons', async (req, res) => {
+    try {
+      const { type = null } = req.query;
+      if (type && !SEASON_TYPES.includes(type)) {
+        return res.status(400).json({ error: `Invalid season type. Must be one of: ${SEASON_TYPES.join(', ')}` });
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const seasons = await seasonService.listSeasons({ type, limit });
+
+      res.json({ seasons });
+    } catch (error) {
+      console.error('Error fetching seasons:', error);
+      res.status(500).json({ error: 'Failed to fetch seasons' });
+    }
+  });
+
+  router.get('/seasons/:id', async (req, res) => {
+    try {
+      const seasonId = parseInt(req.params.id);
+      if (!seasonId) {
+        return res.status(400).json({ error: 'Invalid season ID' });
+      }
+
+      const season = await seasonService.getSeason(seasonId);
+      if (!season) {
+        return res.status(404).json({ error: 'Season not found' });
+      }
+
+      res.json(season);
+    } catch (error) {
+      console.error('Error fetching season:', error);
+      res.status(500).json({ error: 'Failed to fetch season' });
+    }
+  });
+
   router.get('/leaderboard/position', async (req, res) => {
     try {
       const sessionId = req.cookies.session_id;
@@ -375,6 +585,38 @@ function createGamificationRoutes(services) {
     }
   });
 
+  // Day-by-day streak history, including days covered by a freeze
+  router.get('/streaks/history', async (req, res) => {
+    try {
+      const sessionId = req.cookies.session_id;
+      if (!sessionId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+
+      const session = await services.storage.getSession(sessionId);
+      if (!session) {
+        return res.status(401).json({ error: 'Invalid session' });
+      }
+
+      const { streakType = 'daily_rank' } = req.query;
+      const { VALID_STREAK_TYPES } = require('../../shared/constants');
+      if (!VALID_STREAK_TYPES.includes(streakType)) {
+        return res.status(400).json({ error: 'Invalid streak type' });
+      }
+
+      const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+      const history = await streakManager.getStreakHistory(session.userId, streakType, {
+        days,
+        timeZone: getRequestTimeZone(req)
+      });
+
+      res.json({ streakType, days: history });
+    } catch (error) {
+      console.error('Error fetching streak history:', error);
+      res.status(500).json({ error: 'Failed to fetch streak history' });
+    }
+  });
+
   router.post('/streaks/update', async (req, res) => {
     try {
       const sessionId = req.cookies.session_id;
@@ -397,11 +639,11 @@ function createGamificationRoutes(services) {
         return res.status(400).json({ error: 'Invalid streak type' });
       }
       
-      const streakUpdate = await streakManager.updateStreak(userId, streakType);
+      const streakUpdate = await streakManager.updateStreak(userId, streakType, { timeZone: getRequestTimeZone(req) });
 
-      if (services.io) {
-        const { getRoomName } = require('../websocket/gateway');
-        services.io.to(getRoomName(`user:${userId}`)).emit('streak:updated', streakUpdate);
+      // Live update plus inbox notifications for milestones and lost streaks
+      if (services.wsGateway) {
+        services.wsGateway.broadcastStreakUpdate(userId, streakUpdate);
       }
 
       res.json({ streak: streakUpdate });
@@ -411,6 +653,106 @@ function createGamificationRoutes(services) {
     }
   });
 
+  /**
+   * GET /api/gamification/level
+   * Current user's level, prestige and progress toward the next level.
+   * Also announces any level-up not yet reported (e.g. reached through page views or searches).
+   */
+  router.get('/level', async (req, res) => {
+    try {
+      const sessionId = req.cookies.session_id;
+      if (!sessionId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+
+      const session = await services.storage.getSession(sessionId);
+      if (!session) {
+        return res.status(401).json({ error: 'Invalid session' });
+      }
+
+      const levelUp = await levelService.checkLevelUp(session.userId);
+      if (levelUp && services.wsGateway) {
+        services.wsGateway.broadcastLevelUp(session.userId, levelUp);
+      }
+
+      const level = await levelService.getUserLevel(session.userId);
+      if (!level) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json({ level, prestigeMinLevel: LEVELS.prestigeMinLevel });
+    } catch (error) {
+      console.error('Error fetching level:', error);
+      res.status(500).json({ error: 'Failed to fetch level' });
+    }
+  });
+
+  /**
+   * POST /api/gamification/level/prestige
+   * Restart levels at 1 and add a prestige star. Coins and points are kept.
+   */
+  router.post('/level/prestige', async (req, res) => {
+    try {
+      const sessionId = req.cookies.session_id;
+      if (!sessionId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+
+      const session = await services.storage.getSession(sessionId);
+      if (!session) {
+        return res.status(401).json({ error: 'Invalid session' });
+      }
+
+      const current = await levelService.getUserLevel(session.userId);
+      if (!current) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      if (!current.canPrestige) {
+        return res.status(400).json({ error: `Prestige unlocks at level ${LEVELS.prestigeMinLevel}` });
+      }
+
+      const level = await levelService.prestige(session.userId);
+      if (!level) {
+        return res.status(409).json({ error: 'Prestige already in progress' });
+      }
+
+      console.log(`⭐ User ${session.userId} prestiged to prestige ${level.prestige}`);
+      res.json({ level });
+    } catch (error) {
+      console.error('Error prestiging:', error);
+      res.status(500).json({ error: 'Failed to prestige' });
+    }
+  });
+
+  /**
+   * GET /api/gamification/coin-history
+   * Current user's coin audit history, plus downgrades and revocations from the last
+   * 30 days for the Coin Book notice explaining them
+   */
+  router.get('/coin-history', async (req, res) => {
+    try {
+      const sessionId = req.cookies.session_id;
+      if (!sessionId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+
+      const session = await services.storage.getSession(sessionId);
+      if (!session) {
+        return res.status(401).json({ error: 'Invalid session' });
+      }
+
+      const [history, recentLosses] = await Promise.all([
+        achievementAuditService.getHistory(session.userId),
+        achievementAuditService.getRecentLosses(session.userId),
+      ]);
+
+      res.json({ history, recentLosses });
+    } catch (error) {
+      console.error('Error fetching coin history:', error);
+      res.status(500).json({ error: 'Failed to fetch coin history' });
+    }
+  });
+
   router.post('/product-view', async (req, res) => {
     try {
       const { productId } = req.body;
@@ -460,6 +802,7 @@ function createGamificationRoutes(services) {
     }
   });
 
+  // Head-to-head comparison of the current user's primary list with another user's
   router.get('/user/compare/:userId', async (req, res) => {
     try {
       const sessionId = req.cookies.session_id;
@@ -474,7 +817,17 @@ function createGamificationRoutes(services) {
 
       const userId = session.userId;
       const targetUserId = parseInt(req.params.userId);
+      if (!targetUserId) {
+        return res.status(400).json({ error: 'Invalid user ID' });
+      }
+      if (targetUserId === userId) {
+        return res.status(400).json({ error: 'Cannot compare with yourself' });
+      }
+
       const comparison = await leaderboardManager.compareUsers(userId, targetUserId);
+      if (!comparison) {
+        return res.status(404).json({ error: 'User not found or their rankings are private' });
+      }
 
       res.json(comparison);
     } catch (error) {
@@ -514,7 +867,7 @@ function createGamificationRoutes(services) {
   // Home page statistics
   router.get('/home-stats', async (req, res) => {
     try {
-      const stats = await homeStatsService.getAllHomeStats();
+      const stats = await homeStatsService.getAllHomeStats({ timeZone: await getViewerTimeZone(req) });
       res.json(stats);
     } catch (error) {
       console.error('Error fetching home stats:', error);
@@ -525,7 +878,7 @@ function createGamificationRoutes(services) {
   // Hero dashboard statistics (lightweight version)
   router.get('/hero-stats', async (req, res) => {
     try {
-      const stats = await homeStatsService.getHeroDashboardStats();
+      const stats = await homeStatsService.getHeroDashboardStats({ timeZone: await getViewerTimeZone(req) });
       res.json(stats);
     } catch (error) {
       console.error('Error fetching hero stats:', error);
@@ -838,6 +1191,7 @@ function createGamificationRoutes(services) {
       
       if (achievement.collectionType === COLLECTION_TYPES.STATIC ||
           achievement.collectionType === COLLECTION_TYPES.FLAVOR_COIN ||
+          achievement.collectionType === COLLECTION_TYPES.EVENT ||
           achievement.collectionType === 'custom_product_list') { // Legacy support
         // Static collection or flavor coin - get specific products from requirement
         // ProductsService returns IDs as strings, so ensure achievement IDs are strings too
@@ -937,6 +1291,11 @@ function createGamificationRoutes(services) {
             };
           }
         }
+      } else if (achievement.collectionType === COLLECTION_TYPES.EVENT) {
+        // Event coin: Window and goal for the countdown (only rankings made during the event count)
+        const { startsAt, endsAt, goal } = achievement.requirement || {};
+        metadata.event = { startsAt, endsAt, goal, status: getEventStatus(achievement.requirement) };
+        metadata.currentTier = userAchievement?.currentTier || null;
       } else if (achievement.collectionType === 'hidden_collection') {
         // Hidden collection: Add mystery/locked state
         metadata.isHidden = true;
@@ -0,0 +1,155 @@
+const express = require('express');
+const { NOTIFICATIONS, NOTIFICATION_CATEGORIES } = require('../../shared/constants/notifications');
+
+/**
+ * Notifications API Routes
+ * The signed-in user's in-app inbox (nav bell) and per-category notification preferences
+ */
+function createNotificationRoutes(services) {
+  const { storage, notificationService } = services;
+  const router = express.Router();
+
+  // Session auth for every notifications route
+  router.use(async (req, res, next) => {
+    try {
+      const sessionId = req.cookies.session_id;
+      if (!sessionId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+
+      const session = await storage.getSession(sessionId);
+      if (!session) {
+        return res.status(401).json({ error: 'Invalid session' });
+      }
+
+      req.userId = session.userId;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/notifications
+   * Newest notifications first
+   * Query params: limit (max 50), before (ISO timestamp of the oldest one already shown), unread=true
+   */
+  router.get('/', async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || NOTIFICATIONS.pageSize, 1), 50);
+      const before = req.query.before ? new Date(req.query.before) : null;
+      if (before && isNaN(before.getTime())) {
+        return res.status(400).json({ error: 'Invalid before timestamp' });
+      }
+
+      const result = await notificationService.list(req.userId, {
+        limit,
+        before: before?.toISOString() || null,
+        unreadOnly: req.query.unread === 'true'
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+      res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
+  });
+
+  /**
+   * GET /api/notifications/unread-count
+   */
+  router.get('/unread-count', async (req, res) => {
+    try {
+      const unreadCount = await notificationService.getUnreadCount(req.userId);
+      res.json({ unreadCount });
+    } catch (error) {
+      console.error('Error fetching unread notification count:', error);
+      res.status(500).json({ error: 'Failed to fetch unread count' });
+    }
+  });
+
+  /**
+   * POST /api/notifications/read
+   * Mark notifications read
+   * Body: { ids: number[] }
+   */
+  router.post('/read', async (req, res) => {
+    try {
+      const { ids } = req.body || {};
+      if (!Array.isArray(ids) || ids.length === 0 || ids.length > 100) {
+        return res.status(400).json({ error: 'ids must be a list of 1 to 100 notification IDs' });
+      }
+
+      const notificationIds = ids.map(Number);
+      if (notificationIds.some(id => !Number.isInteger(id) || id <= 0)) {
+        return res.status(400).json({ error: 'Invalid notification ID' });
+      }
+
+      const unreadCount = await notificationService.markRead(req.userId, notificationIds);
+      res.json({ unreadCount });
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+      res.status(500).json({ error: 'Failed to mark notifications read' });
+    }
+  });
+
+  /**
+   * POST /api/notifications/read-all
+   */
+  router.post('/read-all', async (req, res) => {
+    try {
+      const unreadCount = await notificationService.markAllRead(req.userId);
+      res.json({ unreadCount });
+    } catch (error) {
+      console.error('Error marking all notifications read:', error);
+      res.status(500).json({ error: 'Failed to mark notifications read' });
+    }
+  });
+
+  /**
+   * GET /api/notifications/preferences
+   * Returns: { preferences: { [category]: boolean }, categories: { [category]: { label, description } } }
+   */
+  router.get('/preferences', async (req, res) => {
+    try {
+      const preferences = await notificationService.getPreferences(req.userId);
+      res.json({ preferences, categories: NOTIFICATIONS.categories });
+    } catch (error) {
+      console.error('Error fetching notification preferences:', error);
+      res.status(500).json({ error: 'Failed to fetch notification preferences' });
+    }
+  });
+
+  /**
+   * PATCH /api/notifications/preferences
+   * Body: { [category]: boolean } - only the categories being changed
+   */
+  router.patch('/preferences', async (req, res) => {
+    try {
+      const changes = req.body || {};
+      const entries = Object.entries(changes);
+
+      if (entries.length === 0) {
+        return res.status(400).json({ error: 'No preferences to update' });
+      }
+      for (const [category, enabled] of entries) {
+        if (!NOTIFICATION_CATEGORIES.includes(category)) {
+          return res.status(400).json({ error: `Unknown notification category: ${category}` });
+        }
+        if (typeof enabled !== 'boolean') {
+          return res.status(400).json({ error: `${category} must be a boolean` });
+        }
+      }
+
+      const preferences = await notificationService.updatePreferences(req.userId, changes);
+      res.json({ preferences, categories: NOTIFICATIONS.categories });
+    } catch (error) {
+      console.error('Error updating notification preferences:', error);
+      res.status(500).json({ error: 'Failed to update notification preferences' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createNotificationRoutes;
@@ -0,0 +1,265 @@
+const express = require('express');
+const { PRODUCT_COMMENTS } = require('../../shared/constants/productComments');
+const { checkText, getModerationError } = require('../utils/contentModeration');
+
+/**
+ * Validate a comment body from a request
+ * @param {string} body - Raw body text
+ * @returns {{valid: boolean, body?: string, error?: string}}
+ */
+function validateCommentBody(body) {
+  if (typeof body !== 'string' || !body.trim()) {
+    return { valid: false, error: 'Comment cannot be empty' };
+  }
+
+  const trimmed = body.trim();
+  if (trimmed.length > PRODUCT_COMMENTS.maxLength) {
+    return { valid: false, error: `Comments must be ${PRODUCT_COMMENTS.maxLength} characters or fewer` };
+  }
+
+  const moderation = checkText(trimmed);
+  if (!moderation.allowed) {
+    return { valid: false, error: getModerationError(moderation, 'Your comment') };
+  }
+
+  return { valid: true, body: trimmed };
+}
+
+/**
+ * Product Comments API Routes
+ * Threaded comments on product detail pages: reading is public, posting/editing/voting needs a session.
+ * Employee moderation (hide, lock, ban) lives in routes/admin/productComments.js.
+ */
+function createProductCommentRoutes(services) {
+  const { storage, productCommentService, productsService } = services;
+  const router = express.Router();
+
+  // Resolve the viewer's user ID from the session cookie (null for anonymous viewers)
+  const getViewerId = async (req) => {
+    const sessionId = req.cookies.session_id;
+    if (!sessionId) return null;
+    const session = await storage.getSession(sessionId);
+    return session?.userId || null;
+  };
+
+  const requireSession = async (req, res, next) => {
+    try {
+      const sessionId = req.cookies.session_id;
+      if (!sessionId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+
+      const session = await storage.getSession(sessionId);
+      if (!session) {
+        return res.status(401).json({ error: 'Invalid session' });
+      }
+
+      req.userId = session.userId;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Banned users can still read comments but not post, edit or vote
+  const requireNotBanned = async (req, res, next) => {
+    try {
+      const ban = await productCommentService.getBan(req.userId);
+      if (ban) {
+        return res.status(403).json({ error: 'You have been banned from commenting', reason: ban.reason });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Load :commentId into req.comment (404 for missing or hidden comments, including replies in a hidden thread)
+  const loadComment = async (req, res, next) => {
+    try {
+      const commentId = parseInt(req.params.commentId);
+      if (!commentId || isNaN(commentId)) {
+        return res.status(400).json({ error: 'Invalid comment ID' });
+      }
+
+      const comment = await productCommentService.getComment(commentId, req.userId);
+      if (!comment || comment.isHidden || comment.threadHidden) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+
+      req.comment = comment;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * GET /api/comments/products/:productId
+   * Top-level comments with their reply trees
+   * Query params: sort ('top' | 'new'), limit (max 100), offset
+   * Returns: { comments, total, hasMore, viewer: { canComment, isBanned } }
+   */
+  router.get('/products/:productId', async (req, res) => {
+    try {
+      const { productId } = req.params;
+      const sort = PRODUCT_COMMENTS.sorts.includes(req.query.sort) ? req.query.sort : 'top';
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || PRODUCT_COMMENTS.pageSize, 1), 100);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+      const viewerId = await getViewerId(req);
+      const [threads, ban] = await Promise.all([
+        productCommentService.getThreads(productId, { viewerId, sort, limit, offset }),
+        viewerId ? productCommentService.getBan(viewerId) : null,
+      ]);
+
+      res.json({
+        ...threads,
+        viewer: {
+          canComment: !!viewerId && !ban,
+          isBanned: !!ban,
+        },
+      });
+    } catch (error) {
+      console.error('Error fetching product comments:', error);
+      res.status(500).json({ error: 'Failed to fetch comments' });
+    }
+  });
+
+  /**
+   * POST /api/comments/products/:productId
+   * Post a comment, or a reply when parentId is given
+   * Body: { body, parentId? }
+   */
+  router.post('/products/:productId', requireSession, requireNotBanned, async (req, res) => {
+    try {
+      const { productId } = req.params;
+      const { body, parentId } = req.body || {};
+
+      const validation = validateCommentBody(body);
+      if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+      }
+
+      const [product] = await productsService.getProductsByIds([productId], { includeMetadata: false, includeRankingStats: false });
+      if (!product) {
+        return res.status(404).json({ error: 'Product not found' });
+      }
+
+      let parent = null;
+      if (parentId !== undefined && parentId !== null) {
+        const parentCommentId = parseInt(parentId);
+        if (!parentCommentId || isNaN(parentCommentId)) {
+          return res.status(400).json({ error: 'Invalid parent comment ID' });
+        }
+
+        parent = await productCommentService.getComment(parentCommentId);
+        if (!parent || parent.isHidden || parent.threadHidden || parent.productId !== productId) {
+          return res.status(404).json({ error: 'Comment being replied to was not found' });
+        }
+        if (parent.isDeleted) {
+          return res.status(409).json({ error: 'You can\'t reply to a deleted comment' });
+        }
+        if (parent.threadLocked) {
+          return res.status(423).json({ error: 'This thread is locked' });
+        }
+        if (parent.depth >= PRODUCT_COMMENTS.maxDepth) {
+          return res.status(400).json({ error: 'Replies can\'t be nested any deeper' });
+        }
+      }
+
+      const comment = await productCommentService.create(req.userId, productId, { body: validation.body, parent });
+
+      const { wsGateway } = services;
+      if (wsGateway) {
+        wsGateway.broadcastNewComment(comment, { productTitle: product.title, parent });
+      }
+
+      res.status(201).json({ comment });
+    } catch (error) {
+      console.error('Error posting product comment:', error);
+      res.status(500).json({ error: 'Failed to post comment' });
+    }
+  });
+
+  /**
+   * PATCH /api/comments/:commentId
+   * Edit your own comment
+   * Body: { body }
+   */
+  router.patch('/:commentId', requireSession, requireNotBanned, loadComment, async (req, res) => {
+    try {
+      const { comment } = req;
+      if (comment.userId !== req.userId) {
+        return res.status(403).json({ error: 'You can only edit your own comments' });
+      }
+      if (comment.isDeleted) {
+        return res.status(409).json({ error: 'Deleted comments can\'t be edited' });
+      }
+
+      const validation = validateCommentBody(req.body?.body);
+      if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+      }
+
+      await productCommentService.update(comment.id, validation.body);
+      services.wsGateway?.broadcastCommentUpdated(comment.productId, comment.id);
+
+      res.json({ comment: await productCommentService.getComment(comment.id, req.userId) });
+    } catch (error) {
+      console.error('Error editing product comment:', error);
+      res.status(500).json({ error: 'Failed to edit comment' });
+    }
+  });
+
+  /**
+   * DELETE /api/comments/:commentId
+   * Delete your own comment (replies stay, under a "[deleted]" placeholder)
+   */
+  router.delete('/:commentId', requireSession, loadComment, async (req, res) => {
+    try {
+      const { comment } = req;
+      if (comment.userId !== req.userId) {
+        return res.status(403).json({ error: 'You can only delete your own comments' });
+      }
+
+      await productCommentService.softDelete(comment.id);
+      services.wsGateway?.broadcastCommentUpdated(comment.productId, comment.id);
+
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Error deleting product comment:', error);
+      res.status(500).json({ error: 'Failed to delete comment' });
+    }
+  });
+
+  /**
+   * POST /api/comments/:commentId/upvote
+   * DELETE /api/comments/:commentId/upvote
+   * Returns: { upvoteCount, hasUpvoted }
+   */
+  const handleVote = (upvote) => async (req, res) => {
+    try {
+      const { comment } = req;
+      if (comment.isDeleted) {
+        return res.status(409).json({ error: 'Deleted comments can\'t be voted on' });
+      }
+      if (comment.userId === req.userId) {
+        return res.status(400).json({ error: 'You can\'t upvote your own comment' });
+      }
+
+      const upvoteCount = await productCommentService.setVote(req.userId, comment.id, upvote);
+      res.json({ upvoteCount, hasUpvoted: upvote });
+    } catch (error) {
+      console.error('Error voting on product comment:', error);
+      res.status(500).json({ error: 'Failed to update vote' });
+    }
+  };
+
+  router.post('/:commentId/upvote', requireSession, requireNotBanned, loadComment, handleVote(true));
+  router.delete('/:commentId/upvote', requireSession, requireNotBanned, loadComment, handleVote(false));
+
+  return router;
+}
+
+module.exports = createProductCommentRoutes;
@@ -1,8 +1,9 @@
 const express = require('express');
 const multer = require('multer');
 const { imageSize } = require('image-size');
-const { users, streaks, productsMetadata, productRankings } = require('../../shared/schema');
+const { users, streaks, productsMetadata, productRankings, rankingNotes } = require('../../shared/schema');
 const { eq, sql, and } = require('drizzle-orm');
+const { PRIMARY_RANKING_LIST_ID } = require('../../shared/constants');
 const { 
   generateUniqueHandle, 
   isHandleAvailable, 
@@ -10,9 +11,10 @@ const {
 } = require('../utils/handleGenerator');
 const { getStorageService } = require('../objectStorageService');
 const ProfileRepository = require('../repositories/ProfileRepository');
+const { isValidTimeZone } = require('../utils/timeZone');
 
 function createProfileRoutes(services) {
-  const { db, storage, leaderboardManager, achievementRepo, productsService } = services;
+  const { db, storage, leaderboardManager, achievementRepo, productsService, streakManager } = services;
   const router = express.Router();
   const objectStorage = getStorageService();
   
@@ -63,6 +65,9 @@ function createProfileRoutes(services) {
           profile_image_url: users.profileImageUrl,
           handle: users.handle,
           hide_name_privacy: users.hideNamePrivacy,
+          timezone: users.timezone,
+          handle_locked_at: users.handleLockedAt,
+          name_hidden_by_moderator_at: users.nameHiddenByModeratorAt,
           created_at: users.createdAt,
           shopify_created_at: users.shopifyCreatedAt,
         })
@@ -163,7 +168,11 @@ function createProfileRoutes(services) {
         })
         .from(productRankings)
         .innerJoin(productsMetadata, eq(productRankings.shopifyProductId, productsMetadata.shopifyProductId))
-        .where(sql`${productRankings.userId} = ${userId} AND ${productsMetadata.primaryFlavor} IS NOT NULL`)
+        .where(and(
+          sql`${productRankings.userId} = ${userId} AND ${productsMetadata.primaryFlavor} IS NOT NULL`,
+          eq(productRankings.rankingListId, PRIMARY_RANKING_LIST_ID),
+          ProfileRepository.primaryListIsPublic(userId)
+        ))
         .groupBy(productsMetadata.primaryFlavor);
 
       // Combine into flavor profile progress array
@@ -420,7 +429,7 @@ function createProfileRoutes(services) {
   /**
    * PATCH /api/profile
    * Update current user's profile
-   * Accepts: { handle, hideNamePrivacy, profileImageUrl }
+   * Accepts: { handle, hideNamePrivacy, profileImageUrl, timezone }
    */
   router.patch('/', async (req, res) => {
     try {
@@ -434,11 +443,26 @@ function createProfileRoutes(services) {
         return res.status(401).json({ error: 'Invalid session' });
       }
 
-      const { handle, hideNamePrivacy, profileImageUrl } = req.body;
+      const { handle, hideNamePrivacy, profileImageUrl, timezone } = req.body;
       const updates = {};
 
+      // Employees can lock the handle and name visibility after a report (see ContentReportService)
+      const [locks] = await db
+        .select({
+          handleLockedAt: users.handleLockedAt,
+          nameHiddenByModeratorAt: users.nameHiddenByModeratorAt,
+          timezone: users.timezone,
+        })
+        .from(users)
+        .where(eq(users.id, session.userId))
+        .limit(1);
+
       // Validate and update handle
       if (handle !== undefined) {
+        if (locks?.handleLockedAt) {
+          return res.status(403).json({ error: 'Your handle was reset by a moderator and can\'t be changed' });
+        }
+
         if (handle === null || handle === '') {
           // Allow clearing handle
           updates.handle = null;
@@ -471,6 +495,9 @@ function createProfileRoutes(services) {
         if (typeof hideNamePrivacy !== 'boolean') {
           return res.status(400).json({ error: 'hideNamePrivacy must be a boolean' });
         }
+        if (!hideNamePrivacy && locks?.nameHiddenByModeratorAt) {
+          return res.status(403).json({ error: 'Your name was hidden by a moderator and can\'t be shown again' });
+        }
         updates.hideNamePrivacy = hideNamePrivacy;
       }
 
@@ -485,6 +512,14 @@ function createProfileRoutes(services) {
         }
       }
 
+      // Update timezone (day boundaries for streaks and "today" stats)
+      if (timezone !== undefined) {
+        if (!isValidTimeZone(timezone)) {
+          return res.status(400).json({ error: 'timezone must be a valid IANA timezone (e.g. America/Los_Angeles)' });
+        }
+        updates.timezone = timezone;
+      }
+
       // Ensure at least one field is being updated
       if (Object.keys(updates).length === 0) {
         return res.status(400).json({ error: 'No fields to update' });
@@ -507,9 +542,23 @@ function createProfileRoutes(services) {
           profile_image_url: users.profileImageUrl,
           handle: users.handle,
           hide_name_privacy: users.hideNamePrivacy,
+          timezone: users.timezone,
+          handle_locked_at: users.handleLockedAt,
+          name_hidden_by_moderator_at: users.nameHiddenByModeratorAt,
           updated_at: users.updatedAt,
         });
 
+      // Streaks were counted in the old timezone's days; rebuild them in the new one
+      if (updates.timezone !== undefined && updates.timezone !== locks?.timezone && streakManager) {
+        try {
+          await streakManager.recomputeStreak(session.userId, updates.timezone);
+          const StreakCache = require('../cache/StreakCache');
+          await StreakCache.getInstance().invalidateUser(session.userId);
+        } catch (streakError) {
+          console.error(`⚠️ Error recomputing streak for user ${session.userId}:`, streakError);
+        }
+      }
+
       // Invalidate caches if handle, privacy settings, or profile image changed
       // This ensures updated display data appears everywhere
       if (updates.handle !== undefined || updates.hideNamePrivacy !== undefined || updates.profileImageUrl !== undefined) {
@@ -798,10 +847,21 @@ function createProfileRoutes(services) {
           secondaryFlavors: productsMetadata.secondaryFlavors,
           flavorDisplay: productsMetadata.flavorDisplay,
           flavorIcon: productsMetadata.flavorIcon,
+          notes: rankingNotes.notes,
+          tenderness: rankingNotes.tenderness,
+          heat: rankingNotes.heat,
+          sweetness: rankingNotes.sweetness,
+          smoke: rankingNotes.smoke,
+          saltiness: rankingNotes.saltiness,
         })
         .from(productRankings)
         .innerJoin(productsMetadata, eq(productRankings.shopifyProductId, productsMetadata.shopifyProductId))
-        .where(eq(productRankings.userId, userId))
+        .leftJoin(rankingNotes, eq(rankingNotes.productRankingId, productRankings.id))
+        .where(and(
+          eq(productRankings.userId, userId),
+          eq(productRankings.rankingListId, PRIMARY_RANKING_LIST_ID),
+          ProfileRepository.primaryListIsPublic(userId)
+        ))
         .orderBy(productRankings.ranking);
 
       res.json({
@@ -829,7 +889,20 @@ function createProfileRoutes(services) {
               flavorDisplay: r.flavorDisplay,
               flavorIcon: r.flavorIcon,
             }
-          }
+          },
+          // Tasting notes/sub-scores the user attached to this ranking (null if none)
+          tastingNote: r.notes === null && r.tenderness === null && r.heat === null && r.sweetness === null && r.smoke === null && r.saltiness === null
+            ? null
+            : {
+                notes: r.notes,
+                subScores: {
+                  tenderness: r.tenderness,
+                  heat: r.heat,
+                  sweetness: r.sweetness,
+                  smoke: r.smoke,
+                  saltiness: r.saltiness,
+                },
+              },
         }))
       });
     } catch (error) {
@@ -0,0 +1,83 @@
+const express = require('express');
+const { PRIMARY_RANKING_LIST_ID } = require('../../shared/constants');
+
+const MAX_TIMELINE_DAYS = 365;
+const MAX_TIMELINE_PRODUCTS = 25;
+
+/**
+ * Ranking History API Routes
+ * Time-travel snapshots and position timelines built from the ranking event log
+ */
+function createRankingHistoryRoutes(services) {
+  const { storage, rankingListRepo, rankingHistoryService } = services;
+  const router = express.Router();
+
+  // Session auth + list ownership check for every history route
+  router.use(async (req, res, next) => {
+    try {
+      const sessionId = req.cookies.session_id;
+      if (!sessionId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+
+      const session = await storage.getSession(sessionId);
+      if (!session) {
+        return res.status(401).json({ error: 'Invalid session' });
+      }
+
+      const rankingListId = req.query.rankingListId || PRIMARY_RANKING_LIST_ID;
+      if (rankingListId !== PRIMARY_RANKING_LIST_ID) {
+        const list = await rankingListRepo.getList(session.userId, rankingListId);
+        if (!list) {
+          return res.status(404).json({ error: 'Ranking list not found' });
+        }
+      }
+
+      req.userId = session.userId;
+      req.rankingListId = rankingListId;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/rankings/history?at=<date>&rankingListId=<id>
+   * Reconstruct the user's list as it was at a point in time (defaults to now)
+   */
+  router.get('/', async (req, res) => {
+    try {
+      const at = req.query.at ? new Date(req.query.at) : new Date();
+      if (isNaN(at.getTime())) {
+        return res.status(400).json({ error: 'at must be a valid date (e.g. 2025-06-01 or an ISO timestamp)' });
+      }
+
+      const snapshot = await rankingHistoryService.getRankingsAt(req.userId, req.rankingListId, at);
+      res.json(snapshot);
+    } catch (error) {
+      console.error('Error fetching ranking history:', error);
+      res.status(500).json({ error: 'Failed to fetch ranking history' });
+    }
+  });
+
+  /**
+   * GET /api/rankings/history/timeline?days=90&limit=10&rankingListId=<id>
+   * Position-over-time series for the user's top products
+   */
+  router.get('/timeline', async (req, res) => {
+    try {
+      const days = Math.min(Math.max(parseInt(req.query.days) || 90, 1), MAX_TIMELINE_DAYS);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_TIMELINE_PRODUCTS);
+
+      const timeline = await rankingHistoryService.getTimeline(req.userId, req.rankingListId, { days, limit });
+      res.json(timeline);
+    } catch (error) {
+      console.error('Error fetching ranking timeline:', error);
+      res.status(500).json({ error: 'Failed to fetch ranking timeline' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createRankingHistoryRoutes;
@@ -0,0 +1,235 @@
+const express = require('express');
+const crypto = require('crypto');
+const { PRIMARY_RANKING_LIST_ID, VALID_RANKING_LIST_VISIBILITIES } = require('../../shared/constants');
+const { checkText, getModerationError } = require('../utils/contentModeration');
+const UserComparisonCache = require('../cache/UserComparisonCache');
+
+const MAX_LISTS_PER_USER = 20;
+const MAX_LIST_NAME_LENGTH = 60;
+
+/**
+ * Validate and normalize a list name
+ * @param {string} name - Raw name from request body
+ * @returns {{valid: boolean, name?: string, error?: string}}
+ */
+function validateListName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return { valid: false, error: 'List name is required' };
+  }
+
+  const trimmed = name.trim().replace(/\s+/g, ' ');
+  if (trimmed.length > MAX_LIST_NAME_LENGTH) {
+    return { valid: false, error: `List name must be ${MAX_LIST_NAME_LENGTH} characters or less` };
+  }
+
+  const moderation = checkText(trimmed);
+  if (!moderation.allowed) {
+    return { valid: false, error: getModerationError(moderation, 'List name') };
+  }
+
+  return { valid: true, name: trimmed };
+}
+
+function generateListId() {
+  return `list_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * Ranking Lists API Routes
+ * CRUD for a user's named ranking lists (e.g. "Spicy Top 10", "Road Trip Picks")
+ * Product rankings inside a list are saved through the existing /api/rankings/products endpoints
+ */
+function createRankingListRoutes(services) {
+  const { storage, rankingListRepo } = services;
+  const router = express.Router();
+
+  // Session auth for every list route
+  router.use(async (req, res, next) => {
+    try {
+      const sessionId = req.cookies.session_id;
+      if (!sessionId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+
+      const session = await storage.getSession(sessionId);
+      if (!session) {
+        return res.status(401).json({ error: 'Invalid session' });
+      }
+
+      req.userId = session.userId;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/rankings/lists
+   * Get all of the current user's ranking lists with product counts
+   */
+  router.get('/', async (req, res) => {
+    try {
+      const lists = await rankingListRepo.getUserLists(req.userId);
+      res.json({ lists, maxLists: MAX_LISTS_PER_USER });
+    } catch (error) {
+      console.error('Error fetching ranking lists:', error);
+      res.status(500).json({ error: 'Failed to fetch ranking lists' });
+    }
+  });
+
+  /**
+   * POST /api/rankings/lists
+   * Create a new empty list
+   * Body: { name, visibility? }
+   */
+  router.post('/', async (req, res) => {
+    try {
+      const { name, visibility = 'private' } = req.body;
+
+      const validation = validateListName(name);
+      if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+      }
+
+      if (!VALID_RANKING_LIST_VISIBILITIES.includes(visibility)) {
+        return res.status(400).json({ error: `visibility must be one of: ${VALID_RANKING_LIST_VISIBILITIES.join(', ')}` });
+      }
+
+      await rankingListRepo.ensurePrimaryList(req.userId);
+      const listCount = await rankingListRepo.countUserLists(req.userId);
+      if (listCount >= MAX_LISTS_PER_USER) {
+        return res.status(409).json({ error: `You can have at most ${MAX_LISTS_PER_USER} lists` });
+      }
+
+      const list = await rankingListRepo.createList(req.userId, {
+        listId: generateListId(),
+        name: validation.name,
+        visibility,
+      });
+
+      console.log(`📋 User ${req.userId} created ranking list "${list.name}" (${list.listId})`);
+      res.status(201).json({ list });
+    } catch (error) {
+      console.error('Error creating ranking list:', error);
+      res.status(500).json({ error: 'Failed to create ranking list' });
+    }
+  });
+
+  /**
+   * PATCH /api/rankings/lists/:listId
+   * Rename a list and/or change its visibility
+   * Body: { name?, visibility? }
+   */
+  router.patch('/:listId', async (req, res) => {
+    try {
+      const { listId } = req.params;
+      const { name, visibility } = req.body;
+      const updates = {};
+
+      if (name !== undefined) {
+        const validation = validateListName(name);
+        if (!validation.valid) {
+          return res.status(400).json({ error: validation.error });
+        }
+        updates.name = validation.name;
+      }
+
+      if (visibility !== undefined) {
+        if (!VALID_RANKING_LIST_VISIBILITIES.includes(visibility)) {
+          return res.status(400).json({ error: `visibility must be one of: ${VALID_RANKING_LIST_VISIBILITIES.join(', ')}` });
+        }
+        updates.visibility = visibility;
+      }
+
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ error: 'No fields to update' });
+      }
+
+      const existing = await rankingListRepo.getList(req.userId, listId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Ranking list not found' });
+      }
+
+      const list = await rankingListRepo.updateList(req.userId, listId, updates);
+
+      // Head-to-head comparisons hide private primary lists, so cached ones are stale
+      if (listId === PRIMARY_RANKING_LIST_ID && updates.visibility && updates.visibility !== existing.visibility) {
+        UserComparisonCache.getInstance().invalidate(req.userId);
+      }
+
+      res.json({ success: true, list });
+    } catch (error) {
+      console.error('Error updating ranking list:', error);
+      res.status(500).json({ error: 'Failed to update ranking list' });
+    }
+  });
+
+  /**
+   * POST /api/rankings/lists/:listId/duplicate
+   * Copy a list (including all product rankings) into a new private list
+   * Body: { name? } - defaults to "<source name> (copy)"
+   */
+  router.post('/:listId/duplicate', async (req, res) => {
+    try {
+      const { listId } = req.params;
+
+      const source = await rankingListRepo.getList(req.userId, listId);
+      if (!source) {
+        return res.status(404).json({ error: 'Ranking list not found' });
+      }
+
+      const validation = validateListName(req.body.name ?? `${source.name} (copy)`.slice(0, MAX_LIST_NAME_LENGTH));
+      if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+      }
+
+      const listCount = await rankingListRepo.countUserLists(req.userId);
+      if (listCount >= MAX_LISTS_PER_USER) {
+        return res.status(409).json({ error: `You can have at most ${MAX_LISTS_PER_USER} lists` });
+      }
+
+      const list = await rankingListRepo.duplicateList(req.userId, listId, {
+        listId: generateListId(),
+        name: validation.name,
+        visibility: 'private',
+      });
+
+      console.log(`📋 User ${req.userId} duplicated list ${listId} → ${list.listId} (${list.productCount} products)`);
+      res.status(201).json({ list });
+    } catch (error) {
+      console.error('Error duplicating ranking list:', error);
+      res.status(500).json({ error: 'Failed to duplicate ranking list' });
+    }
+  });
+
+  /**
+   * DELETE /api/rankings/lists/:listId
+   * Delete a list and all of its rankings (the primary list cannot be deleted)
+   */
+  router.delete('/:listId', async (req, res) => {
+    try {
+      const { listId } = req.params;
+
+      if (listId === PRIMARY_RANKING_LIST_ID) {
+        return res.status(400).json({ error: 'Your primary list cannot be deleted' });
+      }
+
+      const existing = await rankingListRepo.getList(req.userId, listId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Ranking list not found' });
+      }
+
+      const removedRankings = await rankingListRepo.deleteList(req.userId, listId);
+
+      console.log(`🗑️ User ${req.userId} deleted ranking list ${listId} (${removedRankings} rankings)`);
+      res.json({ success: true, removedRankings });
+    } catch (error) {
+      console.error('Error deleting ranking list:', error);
+      res.status(500).json({ error: 'Failed to delete ranking list' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createRankingListRoutes;
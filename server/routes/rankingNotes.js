@@ -0,0 +1,151 @@
+const express = require('express');
+const { PRIMARY_RANKING_LIST_ID } = require('../../shared/constants');
+const { TASTING_SCORES } = require('../../shared/constants/tastingScores');
+const { checkText, getModerationError } = require('../utils/contentModeration');
+
+const MAX_NOTES_LENGTH = 1000;
+
+/**
+ * Validate a PUT body into { notes, subScores }
+ * @returns {{ error?: string, notes?: string|null, subScores?: Object }}
+ */
+function parseNoteBody(body) {
+  const { notes, subScores = {} } = body || {};
+
+  if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+    return { error: 'notes must be a string' };
+  }
+  const trimmedNotes = typeof notes === 'string' ? notes.trim() : '';
+  if (trimmedNotes.length > MAX_NOTES_LENGTH) {
+    return { error: `notes must be ${MAX_NOTES_LENGTH} characters or fewer` };
+  }
+  const moderation = checkText(trimmedNotes);
+  if (!moderation.allowed) {
+    return { error: getModerationError(moderation, 'Note') };
+  }
+
+  if (typeof subScores !== 'object' || subScores === null || Array.isArray(subScores)) {
+    return { error: 'subScores must be an object' };
+  }
+
+  const parsedScores = {};
+  for (const { key } of TASTING_SCORES.dimensions) {
+    const value = subScores[key];
+    if (value === undefined || value === null || value === '') {
+      parsedScores[key] = null;
+      continue;
+    }
+    const score = Number(value);
+    if (!Number.isInteger(score) || score < TASTING_SCORES.min || score > TASTING_SCORES.max) {
+      return { error: `${key} must be a whole number from ${TASTING_SCORES.min} to ${TASTING_SCORES.max}` };
+    }
+    parsedScores[key] = score;
+  }
+
+  return { notes: trimmedNotes || null, subScores: parsedScores };
+}
+
+/**
+ * Ranking Notes API Routes
+ * Optional tasting notes and sub-scores attached to the user's ranked products
+ */
+function createRankingNotesRoutes(services) {
+  const { storage, rankingListRepo, rankingNoteRepo } = services;
+  const router = express.Router();
+
+  // Session auth + list ownership check for every notes route
+  router.use(async (req, res, next) => {
+    try {
+      const sessionId = req.cookies.session_id;
+      if (!sessionId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+
+      const session = await storage.getSession(sessionId);
+      if (!session) {
+        return res.status(401).json({ error: 'Invalid session' });
+      }
+
+      const rankingListId = req.query.rankingListId || req.body?.rankingListId || PRIMARY_RANKING_LIST_ID;
+      if (rankingListId !== PRIMARY_RANKING_LIST_ID) {
+        const list = await rankingListRepo.getList(session.userId, rankingListId);
+        if (!list) {
+          return res.status(404).json({ error: 'Ranking list not found' });
+        }
+      }
+
+      req.userId = session.userId;
+      req.rankingListId = rankingListId;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/rankings/notes?rankingListId=<id>
+   * All of the user's notes for a list
+   */
+  router.get('/', async (req, res) => {
+    try {
+      const notes = await rankingNoteRepo.getListNotes(req.userId, req.rankingListId);
+      res.json({ rankingListId: req.rankingListId, notes });
+    } catch (error) {
+      console.error('Error fetching ranking notes:', error);
+      res.status(500).json({ error: 'Failed to fetch ranking notes' });
+    }
+  });
+
+  /**
+   * PUT /api/rankings/notes/:productId
+   * Create or replace the note on a ranked product
+   * Body: { rankingListId, notes, subScores: { tenderness, heat, sweetness, smoke, saltiness } }
+   * An empty note (no text, no scores) removes it
+   */
+  router.put('/:productId', async (req, res) => {
+    try {
+      const { productId } = req.params;
+      const parsed = parseNoteBody(req.body);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+
+      const isEmpty = !parsed.notes && Object.values(parsed.subScores).every(score => score === null);
+      if (isEmpty) {
+        await rankingNoteRepo.deleteNote(req.userId, productId, req.rankingListId);
+        return res.json({ note: null });
+      }
+
+      const note = await rankingNoteRepo.upsertNote(req.userId, productId, req.rankingListId, parsed);
+      if (!note) {
+        return res.status(404).json({ error: 'Product is not ranked in this list' });
+      }
+
+      res.json({ note });
+    } catch (error) {
+      console.error('Error saving ranking note:', error);
+      res.status(500).json({ error: 'Failed to save ranking note' });
+    }
+  });
+
+  /**
+   * DELETE /api/rankings/notes/:productId?rankingListId=<id>
+   * Remove the note from a ranked product
+   */
+  router.delete('/:productId', async (req, res) => {
+    try {
+      const deleted = await rankingNoteRepo.deleteNote(req.userId, req.params.productId, req.rankingListId);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Note not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Error deleting ranking note:', error);
+      res.status(500).json({ error: 'Failed to delete ranking note' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createRankingNotesRoutes;
@@ -0,0 +1,65 @@
+const express = require('express');
+
+const MAX_RECOMMENDATIONS = 50;
+
+/**
+ * Recommendation API Routes
+ * Taste-twin product recommendations based on ranking similarity
+ */
+function createRecommendationRoutes(services) {
+  const { storage, recommendationService } = services;
+  const router = express.Router();
+
+  // Session auth for every recommendation route
+  router.use(async (req, res, next) => {
+    try {
+      const sessionId = req.cookies.session_id;
+      if (!sessionId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+
+      const session = await storage.getSession(sessionId);
+      if (!session) {
+        return res.status(401).json({ error: 'Invalid session' });
+      }
+
+      req.userId = session.userId;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/recommendations?limit=12
+   * Unranked, unpurchased products the user's taste twins rank highly, plus the twins themselves
+   */
+  router.get('/', async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), MAX_RECOMMENDATIONS);
+      const result = await recommendationService.getRecommendations(req.userId, { limit });
+      res.json(result);
+    } catch (error) {
+      console.error('Error fetching recommendations:', error);
+      res.status(500).json({ error: 'Failed to fetch recommendations' });
+    }
+  });
+
+  /**
+   * GET /api/recommendations/fit
+   * Predicted fit for every unranked product the user's twins have ranked (productId -> prediction)
+   */
+  router.get('/fit', async (req, res) => {
+    try {
+      const fit = await recommendationService.getPredictedFit(req.userId);
+      res.json({ fit });
+    } catch (error) {
+      console.error('Error fetching predicted fit:', error);
+      res.status(500).json({ error: 'Failed to fetch predicted fit' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createRecommendationRoutes;
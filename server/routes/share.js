@@ -0,0 +1,100 @@
+const express = require('express');
+const {
+  MAX_CARD_ITEMS,
+  MAX_WIDGET_ITEMS,
+  renderUserTopCardSvg,
+  renderProductCardSvg,
+  renderTopWidgetHtml,
+  svgToPng,
+} = require('../utils/shareCards');
+
+// Cards change whenever rankings do, but crawlers and embeds hit them repeatedly
+const SHARE_CACHE_SECONDS = 10 * 60;
+
+/**
+ * Send an SVG card as PNG or SVG depending on the requested extension
+ */
+function sendCard(res, svg, format) {
+  res.set('Cache-Control', `public, max-age=${SHARE_CACHE_SECONDS}`);
+  if (format === 'svg') {
+    return res.type('image/svg+xml').send(svg);
+  }
+  return res.type('image/png').send(svgToPng(svg));
+}
+
+/**
+ * Share Card & Embed Routes (public, no auth)
+ * Server-rendered images for Open Graph previews and an iframe-embeddable Top N widget
+ */
+function createShareRoutes(services) {
+  const { shareCardService } = services;
+  const router = express.Router();
+
+  /**
+   * GET /share/u/:handle/top/:n.png (or .svg)
+   * A user's Top N card (n capped at MAX_CARD_ITEMS)
+   */
+  router.get('/share/u/:handle/top/:n(\\d+).:format(png|svg)', async (req, res) => {
+    try {
+      const n = Math.min(Math.max(parseInt(req.params.n) || 5, 1), MAX_CARD_ITEMS);
+      const topN = await shareCardService.getUserTopN(req.params.handle, n);
+
+      if (!topN) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      sendCard(res, renderUserTopCardSvg(topN), req.params.format);
+    } catch (error) {
+      console.error('Error rendering user share card:', error);
+      res.status(500).json({ error: 'Failed to render share card' });
+    }
+  });
+
+  /**
+   * GET /share/p/:productId.png (or .svg)
+   * A product's community rank card
+   */
+  router.get('/share/p/:productId(\\d+).:format(png|svg)', async (req, res) => {
+    try {
+      const standing = await shareCardService.getProductStanding(req.params.productId);
+
+      if (!standing) {
+        return res.status(404).json({ error: 'Product has no community rank yet' });
+      }
+
+      sendCard(res, renderProductCardSvg(standing), req.params.format);
+    } catch (error) {
+      console.error('Error rendering product share card:', error);
+      res.status(500).json({ error: 'Failed to render share card' });
+    }
+  });
+
+  /**
+   * GET /embed/u/:handle/top/:n
+   * Standalone HTML widget meant for <iframe> embedding (n capped at MAX_WIDGET_ITEMS)
+   */
+  router.get('/embed/u/:handle/top/:n(\\d+)', async (req, res) => {
+    try {
+      const n = Math.min(Math.max(parseInt(req.params.n) || 10, 1), MAX_WIDGET_ITEMS);
+      const topN = await shareCardService.getUserTopN(req.params.handle, n);
+
+      if (!topN) {
+        return res.status(404).type('text/plain').send('User not found');
+      }
+
+      const profileUrl = `${req.protocol}://${req.get('host')}/community/${topN.userId}`;
+
+      res.set('Cache-Control', `public, max-age=${SHARE_CACHE_SECONDS}`);
+      // Explicitly allow any site to frame the widget
+      res.set('Content-Security-Policy', 'frame-ancestors *');
+      res.type('html').send(renderTopWidgetHtml({ ...topN, profileUrl }));
+    } catch (error) {
+      console.error('Error rendering embed widget:', error);
+      res.status(500).type('text/plain').send('Failed to load widget');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createShareRoutes;
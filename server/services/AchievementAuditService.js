@@ -0,0 +1,187 @@
+const Sentry = require('@sentry/node');
+const { sql } = require('drizzle-orm');
+const AchievementAuditRepository = require('../repositories/AchievementAuditRepository');
+const { PRIMARY_RANKING_LIST_ID } = require('../../shared/constants');
+
+// 'complete' is the single tier of non-tiered coins
+const TIER_ORDER = ['bronze', 'silver', 'gold', 'platinum', 'diamond', 'complete'];
+
+/**
+ * AchievementAuditService - Coin provenance and the append-only achievement_audit history
+ *
+ * EngagementManager and CollectionManager record grants and tier changes as they happen;
+ * CoinRecalculationWorker records the downgrades and revocations it makes after order
+ * cancellations and fulfillment downgrades, with the triggering order in provenance.
+ * Writes never throw: a failed audit insert is reported to Sentry and the coin change
+ * that caused it goes ahead.
+ */
+class AchievementAuditService {
+  constructor(db) {
+    this.db = db;
+    this.auditRepo = new AchievementAuditRepository(db);
+  }
+
+  /**
+   * Whether moving between two tiers loses ground
+   * @param {string} fromTier - Previous tier
+   * @param {string} toTier - New tier
+   * @returns {boolean}
+   */
+  isDowngrade(fromTier, toTier) {
+    return TIER_ORDER.indexOf(toTier) < TIER_ORDER.indexOf(fromTier);
+  }
+
+  async recordGrant(userId, achievement, { tier = null, points = 0, source, provenance = null }) {
+    return this.record(userId, achievement, {
+      action: 'granted',
+      fromTier: null,
+      toTier: tier,
+      pointsBefore: 0,
+      pointsAfter: points,
+      source,
+      reason: null,
+      provenance,
+    });
+  }
+
+  async recordTierChange(userId, achievement, { fromTier, toTier, pointsBefore = 0, pointsAfter = 0, source, reason = null, provenance = null }) {
+    return this.record(userId, achievement, {
+      action: this.isDowngrade(fromTier, toTier) ? 'tier_downgraded' : 'tier_upgraded',
+      fromTier,
+      toTier,
+      pointsBefore,
+      pointsAfter,
+      source,
+      reason,
+      provenance,
+    });
+  }
+
+  async recordRevocation(userId, achievement, { tier = null, points = 0, source, reason = null, provenance = null }) {
+    return this.record(userId, achievement, {
+      action: 'revoked',
+      fromTier: tier,
+      toTier: null,
+      pointsBefore: points,
+      pointsAfter: 0,
+      source,
+      reason,
+      provenance,
+    });
+  }
+
+  /**
+   * Record a revocation for every coin a user (or everyone) holds, before a bulk reset
+   * @param {Object} options - { userId (null = all users), source, reason }
+   * @returns {Promise<number>} Rows written
+   */
+  async recordBulkRevocations({ userId = null, source, reason }) {
+    try {
+      return await this.auditRepo.insertRevocationsForHoldings({ userId, source, reason });
+    } catch (error) {
+      console.error('⚠️ Failed to record bulk coin revocations:', error.message);
+      Sentry.captureException(error, {
+        tags: { service: 'achievement-audit', operation: 'bulk_revocation' },
+        extra: { userId, source, reason }
+      });
+      return 0;
+    }
+  }
+
+  async record(userId, achievement, entry) {
+    try {
+      return await this.auditRepo.insert({
+        userId,
+        achievementId: achievement.id,
+        achievementCode: achievement.code,
+        achievementName: achievement.name,
+        ...entry,
+      });
+    } catch (error) {
+      console.error(`⚠️ Failed to record ${entry.action} audit for ${achievement.code} (user ${userId}):`, error.message);
+      Sentry.captureException(error, {
+        tags: { service: 'achievement-audit', operation: entry.action },
+        extra: { userId, achievementId: achievement.id, source: entry.source, reason: entry.reason }
+      });
+      return null;
+    }
+  }
+
+  /**
+   * The rankings and orders behind a set of ranked products
+   * @param {number} userId - User ID
+   * @param {Array<string>|null} productIds - Shopify product IDs (null = every product the user ranked)
+   * @returns {Promise<Object>} { productIds, rankings: [...], orders: [...] }
+   */
+  async getProductProvenance(userId, productIds = null) {
+    if (productIds && productIds.length === 0) {
+      return { productIds: [], rankings: [], orders: [] };
+    }
+
+    try {
+      return await this.queryProductProvenance(userId, productIds);
+    } catch (error) {
+      // Provenance is best-effort; the coin change still gets its audit row
+      console.error(`⚠️ Failed to load coin provenance for user ${userId}:`, error.message);
+      return { productIds: productIds || [], rankings: [], orders: [] };
+    }
+  }
+
+  async queryProductProvenance(userId, productIds) {
+    const productFilter = productIds
+      ? sql`AND shopify_product_id IN (${sql.join(productIds.map(id => sql`${String(id)}`), sql`, `)})`
+      : sql``;
+
+    const rankingsResult = await this.db.execute(sql`
+      SELECT id, shopify_product_id, ranking, product_data->>'title' AS title
+      FROM product_rankings
+      WHERE user_id = ${userId}
+        AND ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+        ${productFilter}
+      ORDER BY ranking ASC
+    `);
+
+    // Most recent order per product: the purchase that made it rankable
+    const ordersResult = await this.db.execute(sql`
+      SELECT DISTINCT ON (shopify_product_id)
+        order_number, shopify_product_id, order_date, fulfillment_status
+      FROM customer_order_items
+      WHERE user_id = ${userId}
+        ${productFilter}
+      ORDER BY shopify_product_id, order_date DESC
+    `);
+
+    return {
+      productIds: rankingsResult.rows.map(row => row.shopify_product_id),
+      rankings: rankingsResult.rows.map(row => ({
+        rankingId: row.id,
+        productId: row.shopify_product_id,
+        title: row.title,
+        position: row.ranking,
+      })),
+      orders: ordersResult.rows.map(row => ({
+        orderNumber: row.order_number,
+        productId: row.shopify_product_id,
+        orderDate: row.order_date,
+        fulfillmentStatus: row.fulfillment_status,
+      })),
+    };
+  }
+
+  async getHistory(userId, options = {}) {
+    return this.auditRepo.getUserHistory(userId, options);
+  }
+
+  /**
+   * Downgrades and revocations in the last few days (for the user-facing notice)
+   * @param {number} userId - User ID
+   * @param {number} days - Look-back window
+   * @returns {Promise<Array>} Audit rows, newest first
+   */
+  async getRecentLosses(userId, days = 30) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    return this.auditRepo.getUserLosses(userId, since);
+  }
+}
+
+module.exports = AchievementAuditService;
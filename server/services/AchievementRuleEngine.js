@@ -0,0 +1,382 @@
+const { sql } = require('drizzle-orm');
+const { PRIMARY_RANKING_LIST_ID, DEFAULT_TIMEZONE } = require('../../shared/constants');
+const { ACHIEVEMENT_RULES } = require('../../shared/constants/achievementRules');
+
+// products_metadata column behind each filter field (productId is resolved per source)
+const PRODUCT_FIELD_COLUMNS = {
+  animalType: sql`pm.animal_type`,
+  animalDisplay: sql`pm.animal_display`,
+  primaryFlavor: sql`pm.primary_flavor`,
+  flavorDisplay: sql`pm.flavor_display`,
+  vendor: sql`pm.vendor`,
+};
+
+// Counting distinct calendar days works for every activity type ("log in on 5 different days")
+const DISTINCT_DAY = 'day';
+
+const SOURCE_KEYS = ACHIEVEMENT_RULES.sources.map(source => source.key);
+const PRODUCT_FIELD_KEYS = ACHIEVEMENT_RULES.productFields.map(field => field.key);
+const ACTIVITY_TYPES = Object.fromEntries(ACHIEVEMENT_RULES.activityTypes.map(type => [type.key, type]));
+
+function isCondition(node) {
+  return node && typeof node === 'object' && 'count' in node;
+}
+
+/**
+ * Conditions of a rule in depth-first order; evaluation relies on this order
+ * to line query columns up with tree leaves
+ */
+function collectConditions(node, conditions = []) {
+  if (isCondition(node)) {
+    conditions.push(node);
+  } else if (Array.isArray(node?.all) || Array.isArray(node?.any)) {
+    (node.all || node.any).forEach(child => collectConditions(child, conditions));
+  } else if (node?.not) {
+    collectConditions(node.not, conditions);
+  }
+  return conditions;
+}
+
+/**
+ * Score a rule tree from per-condition counts
+ * Progress is what drives tiers: a condition is count / atLeast (capped at 1),
+ * `all` averages its children, `any` takes the best child, and `not` is all or nothing.
+ */
+function scoreNode(node, counts, cursor) {
+  if (isCondition(node)) {
+    const count = counts[cursor.index++];
+    return { passed: count >= node.atLeast, progress: Math.min(count / node.atLeast, 1) };
+  }
+
+  if (node.not) {
+    const child = scoreNode(node.not, counts, cursor);
+    return { passed: !child.passed, progress: child.passed ? 0 : 1 };
+  }
+
+  const children = (node.all || node.any).map(child => scoreNode(child, counts, cursor));
+  if (node.all) {
+    return {
+      passed: children.every(child => child.passed),
+      progress: children.reduce((sum, child) => sum + child.progress, 0) / children.length,
+    };
+  }
+  return {
+    passed: children.some(child => child.passed),
+    progress: Math.max(...children.map(child => child.progress)),
+  };
+}
+
+/**
+ * Turn per-condition counts into an evaluation result
+ * @returns {Object} { passed, percentage, conditions: [{ count, atLeast, met }] }
+ */
+function scoreRule(rule, conditions, counts) {
+  const { passed, progress } = scoreNode(rule, counts, { index: 0 });
+  return {
+    passed,
+    // Never report 100% for a rule that didn't pass, so tiers can't reach "complete" early
+    percentage: passed ? 100 : Math.min(99, Math.floor(progress * 100)),
+    conditions: conditions.map((condition, index) => ({
+      count: counts[index],
+      atLeast: condition.atLeast,
+      met: counts[index] >= condition.atLeast,
+    })),
+  };
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function isValidDate(value) {
+  return typeof value === 'string' && !isNaN(Date.parse(value));
+}
+
+/**
+ * AchievementRuleEngine - Evaluates declarative coin requirements
+ *
+ * A rule coin stores { type: 'rule', rule } in achievements.requirement, where rule is a tree of:
+ * - { all: [...] } / { any: [...] } / { not: node }
+ * - { count: 'rankings', where?, within?, atLeast }
+ *     Distinct products on the user's primary list. With `within`, products first ranked
+ *     inside the window (from ranking_events inserts), whether or not they're still ranked.
+ * - { count: 'activities', activityType, distinct?, where?, within?, atLeast }
+ *     user_activities rows, optionally distinct by an activity_data key or by 'day' (calendar
+ *     days in the user's timezone).
+ *
+ * `where` maps product fields to a value or list of values (case-insensitive), e.g.
+ * { primaryFlavor: ['spicy', 'hot'] }. `within` is { days } (rolling, ending now) or
+ * { start, end } (ISO dates, end exclusive).
+ *
+ * Every condition compiles to a correlated COUNT subquery over `users u`, so one query
+ * evaluates a whole rule for one user or for everyone. EngagementManager and
+ * CollectionManager both delegate 'rule' requirements here.
+ */
+class AchievementRuleEngine {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Validate a rule tree
+   * @param {Object} rule - Rule tree
+   * @returns {Array<string>} Error messages (empty when valid)
+   */
+  validate(rule) {
+    const errors = [];
+    this.validateNode(rule, 'rule', 1, errors);
+
+    const conditionCount = collectConditions(rule).length;
+    if (conditionCount === 0 && errors.length === 0) {
+      errors.push('rule: needs at least one condition');
+    }
+    if (conditionCount > ACHIEVEMENT_RULES.maxConditions) {
+      errors.push(`rule: at most ${ACHIEVEMENT_RULES.maxConditions} conditions are allowed (found ${conditionCount})`);
+    }
+    return errors;
+  }
+
+  validateNode(node, path, depth, errors) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      errors.push(`${path}: must be an object`);
+      return;
+    }
+    if (depth > ACHIEVEMENT_RULES.maxDepth) {
+      errors.push(`${path}: rules can nest at most ${ACHIEVEMENT_RULES.maxDepth} levels`);
+      return;
+    }
+
+    const kinds = ['all', 'any', 'not', 'count'].filter(key => key in node);
+    if (kinds.length !== 1) {
+      errors.push(`${path}: must have exactly one of all, any, not or count`);
+      return;
+    }
+
+    const [kind] = kinds;
+    if (kind === 'all' || kind === 'any') {
+      if (!Array.isArray(node[kind]) || node[kind].length === 0) {
+        errors.push(`${path}.${kind}: must be a non-empty list`);
+        return;
+      }
+      node[kind].forEach((child, index) => this.validateNode(child, `${path}.${kind}[${index}]`, depth + 1, errors));
+    } else if (kind === 'not') {
+      this.validateNode(node.not, `${path}.not`, depth + 1, errors);
+    } else {
+      this.validateCondition(node, path, errors);
+    }
+  }
+
+  validateCondition(condition, path, errors) {
+    const { count, where, within, atLeast, activityType, distinct } = condition;
+
+    if (!SOURCE_KEYS.includes(count)) {
+      errors.push(`${path}.count: must be one of ${SOURCE_KEYS.join(', ')}`);
+      return;
+    }
+    if (!Number.isInteger(atLeast) || atLeast < 1) {
+      errors.push(`${path}.atLeast: must be a whole number of at least 1`);
+    }
+
+    const activity = ACTIVITY_TYPES[activityType];
+    if (count === 'activities') {
+      if (!activity) {
+        errors.push(`${path}.activityType: must be one of ${Object.keys(ACTIVITY_TYPES).join(', ')}`);
+      } else if (distinct !== undefined && distinct !== DISTINCT_DAY && !activity.distinctKeys.includes(distinct)) {
+        errors.push(`${path}.distinct: ${activityType} can be counted distinct by ${[...activity.distinctKeys, DISTINCT_DAY].join(', ')}`);
+      }
+    } else if (activityType !== undefined || distinct !== undefined) {
+      errors.push(`${path}: activityType and distinct only apply to activity conditions`);
+    }
+
+    if (where !== undefined) {
+      if (!where || typeof where !== 'object' || Array.isArray(where)) {
+        errors.push(`${path}.where: must be an object of product filters`);
+      } else if (count === 'activities' && activity && !activity.productScoped) {
+        errors.push(`${path}.where: ${activityType} activities aren't tied to a product`);
+      } else {
+        for (const [field, value] of Object.entries(where)) {
+          const values = toList(value);
+          if (!PRODUCT_FIELD_KEYS.includes(field)) {
+            errors.push(`${path}.where.${field}: unknown product field`);
+          } else if (values.length === 0 || values.some(v => typeof v !== 'string' || !v.trim())) {
+            errors.push(`${path}.where.${field}: must be a value or a non-empty list of values`);
+          }
+        }
+      }
+    }
+
+    if (within !== undefined) {
+      if (!within || typeof within !== 'object' || Array.isArray(within)) {
+        errors.push(`${path}.within: must be { days } or { start, end } with ISO dates`);
+      } else if ('days' in within) {
+        if (!Number.isInteger(within.days) || within.days < 1 || within.days > ACHIEVEMENT_RULES.maxWindowDays) {
+          errors.push(`${path}.within.days: must be between 1 and ${ACHIEVEMENT_RULES.maxWindowDays}`);
+        }
+      } else if (!isValidDate(within.start) || !isValidDate(within.end)) {
+        errors.push(`${path}.within: must be { days } or { start, end } with ISO dates`);
+      } else if (Date.parse(within.start) >= Date.parse(within.end)) {
+        errors.push(`${path}.within: start must be before end`);
+      }
+    }
+  }
+
+  /**
+   * SQL predicate for a condition's `within` window on the given timestamp column
+   */
+  compileWindow(within, column) {
+    if (!within) return sql`true`;
+    if (within.days) {
+      return sql`${column} >= NOW() - (${within.days}::int * INTERVAL '1 day')`;
+    }
+    const startIso = new Date(within.start).toISOString();
+    const endIso = new Date(within.end).toISOString();
+    return sql`${column} >= ${startIso}::timestamp AND ${column} < ${endIso}::timestamp`;
+  }
+
+  /**
+   * SQL predicate for a condition's product filters
+   * @param {Object} where - Product filters
+   * @param {Object} productIdColumn - SQL for the shopify product ID in the counted source
+   */
+  compileProductFilters(where, productIdColumn) {
+    const predicates = Object.entries(where || {}).map(([field, value]) => {
+      const values = toList(value);
+      if (field === 'productId') {
+        return sql`${productIdColumn} IN (${sql.join(values.map(v => sql`${String(v)}`), sql`, `)})`;
+      }
+      const lowered = values.map(v => sql`${String(v).trim().toLowerCase()}`);
+      return sql`LOWER(${PRODUCT_FIELD_COLUMNS[field]}) IN (${sql.join(lowered, sql`, `)})`;
+    });
+    return predicates.length > 0 ? sql.join(predicates, sql` AND `) : sql`true`;
+  }
+
+  /**
+   * Correlated COUNT subquery for one condition (expects the outer users table aliased u)
+   */
+  compileCondition(condition) {
+    if (condition.count === 'rankings') {
+      if (condition.within) {
+        return sql`(
+          SELECT COUNT(DISTINCT re.shopify_product_id)
+          FROM ranking_events re
+          LEFT JOIN products_metadata pm ON pm.shopify_product_id = re.shopify_product_id
+          WHERE re.user_id = u.id
+            AND re.ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+            AND re.event_type = 'insert'
+            AND ${this.compileWindow(condition.within, sql`re.created_at`)}
+            AND ${this.compileProductFilters(condition.where, sql`re.shopify_product_id`)}
+        )`;
+      }
+      return sql`(
+        SELECT COUNT(DISTINCT pr.shopify_product_id)
+        FROM product_rankings pr
+        LEFT JOIN products_metadata pm ON pm.shopify_product_id = pr.shopify_product_id
+        WHERE pr.user_id = u.id
+          AND pr.ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+          AND ${this.compileProductFilters(condition.where, sql`pr.shopify_product_id`)}
+      )`;
+    }
+
+    let countExpression = sql`COUNT(*)`;
+    if (condition.distinct === DISTINCT_DAY) {
+      // Calendar days in the user's timezone, like streaks (created_at is stored in UTC)
+      countExpression = sql`COUNT(DISTINCT (ua.created_at AT TIME ZONE 'UTC' AT TIME ZONE COALESCE(u.timezone, ${DEFAULT_TIMEZONE}))::date)`;
+    } else if (condition.distinct) {
+      countExpression = sql`COUNT(DISTINCT ua.activity_data->>${condition.distinct}::text)`;
+    }
+
+    const productId = sql`ua.activity_data->>'shopifyProductId'`;
+    const productJoin = condition.where
+      ? sql`LEFT JOIN products_metadata pm ON pm.shopify_product_id = ${productId}`
+      : sql``;
+
+    return sql`(
+      SELECT ${countExpression}
+      FROM user_activities ua
+      ${productJoin}
+      WHERE ua.user_id = u.id
+        AND ua.activity_type = ${condition.activityType}
+        AND ${this.compileWindow(condition.within, sql`ua.created_at`)}
+        AND ${this.compileProductFilters(condition.where, productId)}
+    )`;
+  }
+
+  /**
+   * SELECT list with one count column per condition (c0, c1, ...)
+   */
+  compileCountColumns(conditions) {
+    return sql.join(
+      conditions.map((condition, index) => sql`${this.compileCondition(condition)} AS ${sql.raw(`c${index}`)}`),
+      sql`, `
+    );
+  }
+
+  readCounts(row, conditions) {
+    return conditions.map((_, index) => parseInt(row[`c${index}`]) || 0);
+  }
+
+  /**
+   * Evaluate a rule for one user
+   * @param {number} userId - User ID
+   * @param {Object} rule - Validated rule tree
+   * @returns {Promise<Object>} { passed, percentage, conditions: [{ count, atLeast, met }] }
+   */
+  async evaluate(userId, rule) {
+    const conditions = collectConditions(rule);
+    const result = await this.db.execute(sql`
+      SELECT ${this.compileCountColumns(conditions)}
+      FROM users u
+      WHERE u.id = ${userId}
+    `);
+
+    const row = result.rows[0];
+    return scoreRule(rule, conditions, row ? this.readCounts(row, conditions) : conditions.map(() => 0));
+  }
+
+  /**
+   * Evaluate a rule for every active user
+   * @param {Object} rule - Validated rule tree
+   * @returns {Promise<Array>} [{ userId, handle, name, passed, percentage, conditions }]
+   */
+  async evaluateAll(rule) {
+    const conditions = collectConditions(rule);
+    const result = await this.db.execute(sql`
+      SELECT u.id, u.handle, u.first_name, u.last_name, u.display_name,
+             ${this.compileCountColumns(conditions)}
+      FROM users u
+      WHERE u.active = true
+      ORDER BY u.id ASC
+    `);
+
+    return result.rows.map(row => ({
+      userId: row.id,
+      handle: row.handle,
+      name: row.display_name || [row.first_name, row.last_name].filter(Boolean).join(' ') || row.handle || `User ${row.id}`,
+      ...scoreRule(rule, conditions, this.readCounts(row, conditions)),
+    }));
+  }
+
+  /**
+   * Who would qualify for a rule right now (admin preview, read-only)
+   * @param {Object} rule - Validated rule tree
+   * @param {Object} options - { sampleSize }
+   * @returns {Promise<Object>} { qualifyingCount, totalUsers, conditionCounts, sample: [{ userId, handle, name }] }
+   */
+  async previewQualifying(rule, { sampleSize = 10 } = {}) {
+    const evaluations = await this.evaluateAll(rule);
+    const qualifying = evaluations.filter(evaluation => evaluation.passed);
+    const conditions = collectConditions(rule);
+
+    return {
+      qualifyingCount: qualifying.length,
+      totalUsers: evaluations.length,
+      // How many users meet each condition on its own, to spot the one that's too strict
+      conditionCounts: conditions.map((_, index) =>
+        evaluations.filter(evaluation => evaluation.conditions[index].met).length
+      ),
+      sample: qualifying.slice(0, sampleSize).map(({ userId, handle, name }) => ({ userId, handle, name })),
+    };
+  }
+}
+
+module.exports = AchievementRuleEngine;
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PgDialect } = require('drizzle-orm/pg-core');
+const { DEFAULT_TIMEZONE } = require('../../shared/constants');
+const AchievementRuleEngine = require('./AchievementRuleEngine');
+
+const dialect = new PgDialect();
+const render = (query) => dialect.sqlToQuery(query);
+
+// Fake db that answers every evaluation query with one row of counts
+const engineWithCounts = (counts) => new AchievementRuleEngine({
+  execute: async () => ({ rows: [Object.fromEntries(counts.map((count, i) => [`c${i}`, count]))] }),
+});
+
+const rankings = (atLeast, extra = {}) => ({ count: 'rankings', atLeast, ...extra });
+
+test('validate accepts a nested rule', () => {
+  const engine = new AchievementRuleEngine(null);
+  const rule = {
+    all: [
+      rankings(5, { where: { primaryFlavor: ['spicy', 'hot'] } }),
+      { any: [
+        { count: 'activities', activityType: 'login', distinct: 'day', within: { days: 30 }, atLeast: 5 },
+        { not: rankings(1, { within: { start: '2026-01-01', end: '2026-02-01' } }) },
+      ] },
+    ],
+  };
+  assert.deepEqual(engine.validate(rule), []);
+});
+
+test('validate rejects unknown sources, fields and bad counts', () => {
+  const engine = new AchievementRuleEngine(null);
+  assert.match(engine.validate({ count: 'orders', atLeast: 1 })[0], /count: must be one of/);
+  assert.match(engine.validate(rankings(0))[0], /atLeast/);
+  assert.match(engine.validate(rankings(1, { where: { color: 'red' } }))[0], /unknown product field/);
+  assert.match(engine.validate({ count: 'activities', activityType: 'search', where: { vendor: 'x' }, atLeast: 1 })[0], /aren't tied to a product/);
+  assert.match(engine.validate({ all: [] })[0], /non-empty list/);
+});
+
+test('validate reports malformed windows instead of throwing', () => {
+  const engine = new AchievementRuleEngine(null);
+  for (const within of [null, 'week', 7, ['days'], {}]) {
+    const errors = engine.validate(rankings(1, { within }));
+    assert.deepEqual(errors, ['rule.within: must be { days } or { start, end } with ISO dates'], JSON.stringify(within));
+  }
+  assert.match(engine.validate(rankings(1, { within: { days: 0 } }))[0], /within.days/);
+  assert.match(engine.validate(rankings(1, { within: { start: '2026-02-01', end: '2026-01-01' } }))[0], /start must be before end/);
+});
+
+test('validate limits nesting depth', () => {
+  const engine = new AchievementRuleEngine(null);
+  const deep = { not: { not: { not: { not: rankings(1) } } } };
+  assert.match(engine.validate(deep)[0], /nest at most/);
+});
+
+test('evaluate scores all/any/not from condition counts', async () => {
+  const rule = { all: [rankings(10), { any: [rankings(4), rankings(2)] }] };
+
+  const partial = await engineWithCounts([5, 1, 1]).evaluate(1, rule);
+  assert.equal(partial.passed, false);
+  assert.equal(partial.percentage, 50); // (0.5 + max(0.25, 0.5)) / 2
+  assert.deepEqual(partial.conditions.map(c => c.met), [false, false, false]);
+
+  const passed = await engineWithCounts([12, 0, 2]).evaluate(1, rule);
+  assert.equal(passed.passed, true);
+  assert.equal(passed.percentage, 100);
+
+  const negated = await engineWithCounts([3]).evaluate(1, { not: rankings(1) });
+  assert.equal(negated.passed, false);
+  assert.equal(negated.percentage, 0);
+});
+
+test('a rule that has not passed never reports 100%', async () => {
+  const notYet = await engineWithCounts([999]).evaluate(1, rankings(1000));
+  assert.equal(notYet.passed, false);
+  assert.equal(notYet.percentage, 99);
+});
+
+test('distinct days are counted in the user\'s timezone', () => {
+  const engine = new AchievementRuleEngine(null);
+  const { sql, params } = render(engine.compileCondition({ count: 'activities', activityType: 'login', distinct: 'day', atLeast: 3 }));
+  assert.match(sql, /COUNT\(DISTINCT \(ua\.created_at AT TIME ZONE 'UTC' AT TIME ZONE COALESCE\(u\.timezone, \$1\)\)::date\)/);
+  assert.equal(params[0], DEFAULT_TIMEZONE);
+});
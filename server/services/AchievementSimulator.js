@@ -0,0 +1,258 @@
+const { sql } = require('drizzle-orm');
+const CollectionManager = require('./CollectionManager');
+const EngagementManager = require('./EngagementManager');
+const AchievementRepository = require('../repositories/AchievementRepository');
+const ProductsMetadataRepository = require('../repositories/ProductsMetadataRepository');
+const ActivityLogRepository = require('../repositories/ActivityLogRepository');
+const { EVENT_STATUS, getEventStatus } = require('../utils/eventWindow');
+const { normalizePrerequisiteIds } = require('../utils/questLines');
+
+const TIER_ORDER = ['bronze', 'silver', 'gold', 'platinum', 'diamond', 'complete'];
+const SIMULATED_COLLECTION_TYPES = [
+  'engagement_collection', 'dynamic_collection', 'static_collection', 'custom_product_list',
+  'flavor_coin', 'user_club', 'user_coin', 'event_collection',
+];
+const SIMULATION_BATCH_SIZE = 10;
+// Matches the default page size of LeaderboardManager.getTopRankers
+const LEADERBOARD_SIZE = 50;
+
+function displayName(user) {
+  return user.display_name || [user.first_name, user.last_name].filter(Boolean).join(' ') || `User ${user.id}`;
+}
+
+/**
+ * AchievementSimulator - Read-only dry run of a draft achievement against every user
+ *
+ * Uses the same progress calculators as live awarding (CollectionManager /
+ * EngagementManager / AchievementRuleEngine) but never writes. The estimate mirrors
+ * how awards behave: coins are never revoked, a new tiered coin awards every tier up to
+ * the reached one (each tier adds 1 to the engagement score), and an existing coin
+ * changing tier adds 1.
+ */
+class AchievementSimulator {
+  constructor(db, productsService = null) {
+    this.db = db;
+    const achievementRepo = new AchievementRepository(db);
+    this.collectionManager = new CollectionManager(achievementRepo, new ProductsMetadataRepository(db), db, productsService);
+    this.engagementManager = new EngagementManager(achievementRepo, new ActivityLogRepository(db), db);
+  }
+
+  /**
+   * Progress for one user (read-only)
+   */
+  async calculateProgress(userId, achievement) {
+    const { collectionType, requirement } = achievement;
+
+    if (requirement?.type === 'rule' && collectionType === 'engagement_collection') {
+      return this.engagementManager.calculateEngagementProgress(userId, achievement, {});
+    }
+    if (collectionType === 'dynamic_collection') {
+      return this.collectionManager.calculateCollectionProgress(userId, achievement);
+    }
+    if (['static_collection', 'custom_product_list', 'flavor_coin'].includes(collectionType)) {
+      return this.collectionManager.calculateCustomProductProgress(userId, achievement);
+    }
+    if (collectionType === 'user_club') {
+      return this.collectionManager.calculateUserClubProgress(userId, achievement);
+    }
+    if (collectionType === 'user_coin') {
+      return this.collectionManager.calculateUserCoinProgress(userId, achievement);
+    }
+    if (collectionType === 'event_collection') {
+      // Events only award while running
+      if (getEventStatus(requirement) !== EVENT_STATUS.ACTIVE) return null;
+      return this.collectionManager.calculateEventProgress(userId, achievement);
+    }
+    const userStats = await this.engagementManager.calculateEngagementStat(userId, requirement?.type);
+    return this.engagementManager.calculateEngagementProgress(userId, achievement, userStats);
+  }
+
+  /**
+   * Points a user would hold after being awarded `tier` (mirrors CollectionManager.updateCollectionProgress)
+   */
+  pointsForNewAward(achievement, tier) {
+    const points = achievement.points || 0;
+    if (!achievement.hasTiers || tier === 'complete') {
+      return points;
+    }
+    const thresholds = achievement.tierThresholds || this.collectionManager.DEFAULT_TIER_THRESHOLDS;
+    return this.collectionManager.calculateProportionalPoints(thresholds[tier], points, achievement.tierThresholds);
+  }
+
+  /**
+   * Simulate a draft achievement
+   * Legacy and hidden coins are awarded by hand-written code paths, so they report supported: false
+   * @param {Object} draft - Achievement fields as sent to POST/PUT /api/admin/achievements
+   * @param {Object} options - { achievementId (when editing an existing coin), sampleSize }
+   * @returns {Promise<Object>} { supported, totalUsers, qualifyingCount, newEarners, tierChanges,
+   *   tierCounts, pointsDelta, sample, leaderboard: { engagementScoreDelta, positionChanges, entering } }
+   */
+  async simulate(draft, { achievementId = null, sampleSize = 10 } = {}) {
+    if (!SIMULATED_COLLECTION_TYPES.includes(draft.collectionType)) {
+      return { supported: false };
+    }
+
+    const achievement = {
+      ...draft,
+      id: achievementId,
+      code: draft.code || 'draft',
+      points: parseInt(draft.points) || 0,
+      hasTiers: draft.hasTiers ? 1 : 0,
+    };
+
+    const usersResult = await this.db.execute(sql`
+      SELECT id, handle, first_name, last_name, display_name
+      FROM users
+      WHERE active = true
+      ORDER BY id ASC
+    `);
+    const allUsers = usersResult.rows;
+
+    const existingResult = achievementId
+      ? await this.db.execute(sql`
+          SELECT user_id, current_tier, points_awarded
+          FROM user_achievements
+          WHERE achievement_id = ${achievementId}
+        `)
+      : { rows: [] };
+    const existingByUser = new Map(existingResult.rows.map(row => [row.user_id, row]));
+
+    // Only users holding every active prerequisite can earn the coin for the first time
+    let prerequisiteHolders = null;
+    const listedPrerequisiteIds = normalizePrerequisiteIds(
+      achievement.prerequisiteAchievementIds,
+      achievement.prerequisiteAchievementId
+    ).prerequisiteAchievementIds;
+    const prerequisiteIds = listedPrerequisiteIds
+      ? (await this.db.execute(sql`
+          SELECT id
+          FROM achievements
+          WHERE id IN (${sql.join(listedPrerequisiteIds.map(id => sql`${id}`), sql`, `)})
+            AND is_active = 1
+        `)).rows.map(row => row.id)
+      : [];
+    if (prerequisiteIds.length > 0) {
+      const prerequisiteResult = await this.db.execute(sql`
+        SELECT user_id
+        FROM user_achievements
+        WHERE achievement_id IN (${sql.join(prerequisiteIds.map(id => sql`${id}`), sql`, `)})
+        GROUP BY user_id
+        HAVING COUNT(DISTINCT achievement_id) = ${prerequisiteIds.length}
+      `);
+      prerequisiteHolders = new Set(prerequisiteResult.rows.map(row => row.user_id));
+    }
+
+    const outcomes = [];
+    for (let i = 0; i < allUsers.length; i += SIMULATION_BATCH_SIZE) {
+      const batch = allUsers.slice(i, i + SIMULATION_BATCH_SIZE);
+      const results = await Promise.all(batch.map(async (user) => {
+        const progress = await this.calculateProgress(user.id, achievement);
+        return { user, progress };
+      }));
+
+      for (const { user, progress } of results) {
+        if (!progress?.tier) continue;
+
+        const existing = existingByUser.get(user.id);
+        if (!existing && prerequisiteHolders && !prerequisiteHolders.has(user.id)) continue;
+
+        let pointsGained;
+        let engagementScoreGained;
+        if (!existing) {
+          pointsGained = this.pointsForNewAward(achievement, progress.tier);
+          engagementScoreGained = achievement.hasTiers
+            ? this.collectionManager.getIntermediateTiers(progress.tier, achievement.tierThresholds).length
+            : 1;
+        } else {
+          const points = this.collectionManager.calculateProportionalPoints(
+            progress.percentage, achievement.points, achievement.tierThresholds
+          );
+          pointsGained = points - (existing.points_awarded || 0);
+          engagementScoreGained = existing.current_tier !== progress.tier ? 1 : 0;
+        }
+
+        outcomes.push({
+          user,
+          tier: progress.tier,
+          percentage: progress.percentage,
+          isNew: !existing,
+          tierChanged: !!existing && existing.current_tier !== progress.tier,
+          pointsGained,
+          engagementScoreGained,
+        });
+      }
+    }
+
+    const tierCounts = Object.fromEntries(TIER_ORDER.map(tier => [tier, 0]));
+    for (const outcome of outcomes) {
+      tierCounts[outcome.tier] = (tierCounts[outcome.tier] || 0) + 1;
+    }
+
+    const sample = [...outcomes]
+      .sort((a, b) => b.percentage - a.percentage || a.user.id - b.user.id)
+      .slice(0, sampleSize)
+      .map(outcome => ({
+        userId: outcome.user.id,
+        handle: outcome.user.handle,
+        name: displayName(outcome.user),
+        tier: outcome.tier,
+        percentage: outcome.percentage,
+        isNew: outcome.isNew,
+        pointsGained: outcome.pointsGained,
+      }));
+
+    return {
+      supported: true,
+      totalUsers: allUsers.length,
+      qualifyingCount: outcomes.length,
+      newEarners: outcomes.filter(outcome => outcome.isNew).length,
+      tierChanges: outcomes.filter(outcome => outcome.tierChanged).length,
+      tierCounts,
+      pointsDelta: outcomes.reduce((sum, outcome) => sum + outcome.pointsGained, 0),
+      sample,
+      leaderboard: await this.simulateLeaderboard(outcomes),
+    };
+  }
+
+  /**
+   * How the all-time top of the leaderboard would move once the simulated awards land
+   * @param {Array} outcomes - Simulated outcomes with engagementScoreGained
+   * @returns {Promise<Object>} { engagementScoreDelta, positionChanges, entering: [{ userId, name, from, to }] }
+   */
+  async simulateLeaderboard(outcomes) {
+    const gains = new Map(outcomes
+      .filter(outcome => outcome.engagementScoreGained > 0)
+      .map(outcome => [outcome.user.id, outcome]));
+    const engagementScoreDelta = outcomes.reduce((sum, outcome) => sum + outcome.engagementScoreGained, 0);
+
+    if (gains.size === 0) {
+      return { engagementScoreDelta, positionChanges: 0, entering: [] };
+    }
+
+    const scoresResult = await this.db.execute(sql`
+      SELECT u.id AS user_id, COALESCE(ues.engagement_score, 0) AS engagement_score
+      FROM users u
+      LEFT JOIN user_engagement_scores ues ON ues.user_id = u.id
+      WHERE u.active = true
+    `);
+
+    const order = (scoreOf) => [...scoresResult.rows]
+      .sort((a, b) => scoreOf(b) - scoreOf(a) || a.user_id - b.user_id)
+      .map(row => row.user_id);
+    const before = order(row => parseInt(row.engagement_score) || 0);
+    const after = order(row => (parseInt(row.engagement_score) || 0) + (gains.get(row.user_id)?.engagementScoreGained || 0));
+
+    const positionBefore = new Map(before.map((userId, index) => [userId, index + 1]));
+    const topAfter = after.slice(0, LEADERBOARD_SIZE);
+
+    const positionChanges = topAfter.filter((userId, index) => positionBefore.get(userId) !== index + 1).length;
+    const entering = topAfter
+      .map((userId, index) => ({ userId, from: positionBefore.get(userId), to: index + 1 }))
+      .filter(move => move.from > LEADERBOARD_SIZE)
+      .map(move => ({ ...move, name: displayName(gains.get(move.userId).user) }));
+
+    return { engagementScoreDelta, positionChanges, entering };
+  }
+}
+
+module.exports = AchievementSimulator;
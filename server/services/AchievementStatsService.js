@@ -0,0 +1,202 @@
+const { sql, eq } = require('drizzle-orm');
+const { achievementStats } = require('../../shared/schema');
+const { COIN_RARITY } = require('../../shared/constants/coinRarity');
+
+const TIER_ORDER = ['bronze', 'silver', 'gold', 'platinum', 'diamond'];
+const RECENT_EARNERS_LIMIT = 5;
+
+/**
+ * Rarity band for an earn rate
+ * @param {number} percentage - Percent of active users who earned it (0-100)
+ * @returns {string} COIN_RARITY key
+ */
+function getRarity(percentage) {
+  const band = COIN_RARITY.find(r => percentage <= r.maxPercent) || COIN_RARITY[COIN_RARITY.length - 1];
+  return band.key;
+}
+
+function toPercentage(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+}
+
+/**
+ * AchievementStatsService - Coin rarity and earn-rate statistics
+ *
+ * recomputeAll rebuilds achievement_stats from user_achievements for every active coin and is
+ * run on a schedule (see server/init/gamification.js), so reads never aggregate on request.
+ * Only active users count, both as earners and as the percentage denominator. Names of first
+ * and recent earners are resolved at read time through CommunityService.formatDisplayName,
+ * so handle and privacy changes apply immediately.
+ */
+class AchievementStatsService {
+  constructor(db, communityService) {
+    this.db = db;
+    this.communityService = communityService;
+  }
+
+  /**
+   * Rebuild stats for every active coin
+   * @returns {Promise<number>} Number of coins updated
+   */
+  async recomputeAll() {
+    const activeResult = await this.db.execute(sql`
+      SELECT COUNT(*)::int AS count FROM users WHERE active = true
+    `);
+    const activeUsers = activeResult.rows[0]?.count || 0;
+
+    const result = await this.db.execute(sql`
+      WITH earners AS (
+        SELECT ua.achievement_id, ua.user_id, ua.current_tier, ua.earned_at, u.created_at AS signed_up_at,
+               ROW_NUMBER() OVER (PARTITION BY ua.achievement_id ORDER BY ua.earned_at ASC, ua.id ASC) AS first_rank,
+               ROW_NUMBER() OVER (PARTITION BY ua.achievement_id ORDER BY ua.earned_at DESC, ua.id DESC) AS recent_rank
+        FROM user_achievements ua
+        INNER JOIN users u ON u.id = ua.user_id AND u.active = true
+      )
+      SELECT
+        a.id AS achievement_id,
+        a.has_tiers,
+        COUNT(e.user_id)::int AS earner_count,
+        COALESCE(
+          jsonb_agg(e.current_tier) FILTER (WHERE e.current_tier IS NOT NULL),
+          '[]'::jsonb
+        ) AS earner_tiers,
+        percentile_cont(0.5) WITHIN GROUP (
+          ORDER BY GREATEST(EXTRACT(EPOCH FROM (e.earned_at - e.signed_up_at)), 0) / 86400
+        ) FILTER (WHERE e.signed_up_at IS NOT NULL) AS median_days_to_earn,
+        MAX(e.user_id) FILTER (WHERE e.first_rank = 1) AS first_earner_user_id,
+        MIN(e.earned_at) AS first_earned_at,
+        COALESCE(
+          jsonb_agg(
+            jsonb_build_object('userId', e.user_id, 'tier', e.current_tier, 'earnedAt', e.earned_at AT TIME ZONE 'UTC')
+            ORDER BY e.recent_rank
+          ) FILTER (WHERE e.recent_rank <= ${RECENT_EARNERS_LIMIT}),
+          '[]'::jsonb
+        ) AS recent_earners
+      FROM achievements a
+      LEFT JOIN earners e ON e.achievement_id = a.id
+      WHERE a.is_active = 1
+      GROUP BY a.id, a.has_tiers
+    `);
+
+    for (const row of result.rows) {
+      const earnerCount = row.earner_count || 0;
+      const earnedPercentage = toPercentage(earnerCount, activeUsers);
+
+      const values = {
+        activeUsers,
+        earnerCount,
+        earnedPercentage,
+        rarity: getRarity(earnedPercentage),
+        tierStats: row.has_tiers === 1 ? this.buildTierStats(row.earner_tiers || [], activeUsers) : null,
+        medianDaysToEarn: row.median_days_to_earn === null ? null : Math.round(parseFloat(row.median_days_to_earn) * 10) / 10,
+        firstEarnerUserId: row.first_earner_user_id || null,
+        firstEarnedAt: row.first_earned_at ? new Date(row.first_earned_at) : null,
+        recentEarners: row.recent_earners || [],
+        computedAt: new Date(),
+      };
+
+      await this.db.insert(achievementStats)
+        .values({ achievementId: row.achievement_id, ...values })
+        .onConflictDoUpdate({
+          target: achievementStats.achievementId,
+          set: values,
+        });
+    }
+
+    return result.rows.length;
+  }
+
+  /**
+   * Per-tier earn rates: a tier counts everyone who reached it or a higher tier
+   * @param {Array<string>} earnerTiers - Current tier of each earner
+   * @param {number} activeUsers - Percentage denominator
+   * @returns {Object} { bronze: { earners, percentage, rarity }, ... }
+   */
+  buildTierStats(earnerTiers, activeUsers) {
+    const tierIndexes = earnerTiers.map(tier => TIER_ORDER.indexOf(tier)).filter(index => index >= 0);
+
+    return TIER_ORDER.reduce((stats, tier, index) => {
+      const earners = tierIndexes.filter(tierIndex => tierIndex >= index).length;
+      const percentage = toPercentage(earners, activeUsers);
+      stats[tier] = { earners, percentage, rarity: getRarity(percentage) };
+      return stats;
+    }, {});
+  }
+
+  /**
+   * Rarity of every coin with computed stats (for Coin Book listings)
+   * @returns {Promise<Map<number, Object>>} achievementId -> { rarity, earnedPercentage }
+   */
+  async getRarityMap() {
+    const rows = await this.db.select({
+      achievementId: achievementStats.achievementId,
+      rarity: achievementStats.rarity,
+      earnedPercentage: achievementStats.earnedPercentage,
+    }).from(achievementStats);
+
+    return new Map(rows.map(row => [row.achievementId, {
+      rarity: row.rarity,
+      earnedPercentage: row.earnedPercentage,
+    }]));
+  }
+
+  /**
+   * Full stats for one coin, with first and recent earners' public display info
+   * @param {number} achievementId - Achievement ID
+   * @returns {Promise<Object|null>} null until the first scheduled run has covered the coin
+   */
+  async getStats(achievementId) {
+    const [stats] = await this.db.select()
+      .from(achievementStats)
+      .where(eq(achievementStats.achievementId, achievementId))
+      .limit(1);
+
+    if (!stats) return null;
+
+    const recentEarners = stats.recentEarners || [];
+    const userIds = [...new Set([stats.firstEarnerUserId, ...recentEarners.map(e => e.userId)].filter(Boolean))];
+    const users = await this.getPublicUsers(userIds);
+
+    return {
+      achievementId,
+      activeUsers: stats.activeUsers,
+      earnerCount: stats.earnerCount,
+      earnedPercentage: stats.earnedPercentage,
+      rarity: stats.rarity,
+      tierStats: stats.tierStats,
+      medianDaysToEarn: stats.medianDaysToEarn,
+      firstEarner: stats.firstEarnerUserId && users.has(stats.firstEarnerUserId)
+        ? { ...users.get(stats.firstEarnerUserId), earnedAt: stats.firstEarnedAt }
+        : null,
+      recentEarners: recentEarners
+        .filter(earner => users.has(earner.userId))
+        .map(earner => ({ ...users.get(earner.userId), tier: earner.tier, earnedAt: earner.earnedAt })),
+      computedAt: stats.computedAt,
+    };
+  }
+
+  /**
+   * Privacy-aware display info for a set of users
+   * @param {Array<number>} userIds - User IDs
+   * @returns {Promise<Map<number, Object>>} userId -> { userId, displayName, avatarUrl, handle }
+   */
+  async getPublicUsers(userIds) {
+    if (userIds.length === 0) return new Map();
+
+    const result = await this.db.execute(sql`
+      SELECT id, first_name, last_name, display_name, handle, hide_name_privacy, profile_image_url
+      FROM users
+      WHERE id IN (${sql.join(userIds.map(id => sql`${id}`), sql`, `)})
+        AND active = true
+    `);
+
+    return new Map(result.rows.map(user => [user.id, {
+      userId: user.id,
+      displayName: this.communityService.formatDisplayName(user),
+      avatarUrl: this.communityService.getAvatarUrl(user),
+      handle: user.hide_name_privacy ? null : user.handle,
+    }]));
+  }
+}
+
+module.exports = AchievementStatsService;
@@ -11,8 +11,10 @@ const { workerDb } = require('../db-worker');
  * 2. Re-evaluate coin eligibility based on current state
  * 3. Revoke coins that are no longer valid
  * 4. Update collection progress and tier levels
- * 5. Invalidate caches (leaderboard, achievements, progress)
- * 6. Broadcast achievement updates via WebSocket
+ * 5. Record each revocation and downgrade in achievement_audit, with the triggering
+ *    reason and order in provenance
+ * 6. Invalidate caches (leaderboard, achievements, progress)
+ * 7. Broadcast achievement updates via WebSocket
  * 
  * Triggered by:
  * - Order cancellations
@@ -27,7 +29,7 @@ class CoinRecalculationWorker {
 
   /**
    * Initialize the worker with Redis connection and services
-   * @param {Object} services - Services object containing engagementManager, collectionManager, wsGateway
+   * @param {Object} services - Services object containing engagementManager, collectionManager, achievementAuditService, wsGateway
    */
   async initialize(services = {}) {
     this.services = services;
@@ -192,12 +194,15 @@ class CoinRecalculationWorker {
     try {
       console.log(`🪙 Processing coin recalculation for user ${userId} (coinType: ${coinType}, reason: ${reason})...`);
 
+      // Managers log the reason with each revocation, so it travels with the context
+      const jobContext = { ...context, reason };
+
       if (coinType === 'all') {
         // Full recalculation - re-evaluate all coin types
-        await this.recalculateAllCoins(userId, context);
+        await this.recalculateAllCoins(userId, jobContext);
       } else {
         // Targeted recalculation for specific coin type
-        await this.recalculateSpecificCoinType(userId, coinType, context);
+        await this.recalculateSpecificCoinType(userId, coinType, jobContext);
       }
 
       const duration = Date.now() - startTime;
@@ -225,18 +230,24 @@ class CoinRecalculationWorker {
     // Invalidate all relevant caches before recalculation
     await this.invalidateCaches(userId);
 
+    const changes = [];
+
     // Recalculate engagement coins (if EngagementManager available)
     if (this.services?.engagementManager) {
-      await this.services.engagementManager.recalculateUserCoins(userId, context);
+      const result = await this.services.engagementManager.recalculateUserCoins(userId, context);
+      changes.push(...this.fromEngagementRevocations(result.revokedCoins));
       console.log(`  ✓ Engagement coins recalculated`);
     }
 
     // Recalculate collection coins (if CollectionManager available)
     if (this.services?.collectionManager) {
-      await this.services.collectionManager.recalculateUserCollections(userId, context);
+      const result = await this.services.collectionManager.recalculateUserCollections(userId, context);
+      changes.push(...result.changes);
       console.log(`  ✓ Collection coins recalculated`);
     }
 
+    await this.recordChanges(userId, changes, context);
+
     // Invalidate leaderboard cache
     if (this.services?.leaderboardManager) {
       await this.services.leaderboardManager.leaderboardCache.invalidate();
@@ -245,7 +256,7 @@ class CoinRecalculationWorker {
 
     // Broadcast achievement updates via WebSocket
     if (this.services?.wsGateway) {
-      this.services.wsGateway.broadcastAchievementUpdate(userId);
+      this.services.wsGateway.broadcastAchievementUpdate(userId, changes);
       console.log(`  ✓ Broadcast achievement update to user ${userId}`);
     }
   }
@@ -261,19 +272,25 @@ class CoinRecalculationWorker {
 
     await this.invalidateCaches(userId);
 
+    const changes = [];
+
     // Route to appropriate manager based on coin type
     if (coinType === 'engagement_collection') {
       if (this.services?.engagementManager) {
-        await this.services.engagementManager.recalculateUserCoins(userId, context);
+        const result = await this.services.engagementManager.recalculateUserCoins(userId, context);
+        changes.push(...this.fromEngagementRevocations(result.revokedCoins));
         console.log(`  ✓ Engagement coins recalculated`);
       }
     } else if (['flavor_coin', 'dynamic_collection', 'static_collection'].includes(coinType)) {
       if (this.services?.collectionManager) {
-        await this.services.collectionManager.recalculateUserCollections(userId, context);
+        const result = await this.services.collectionManager.recalculateUserCollections(userId, context);
+        changes.push(...result.changes);
         console.log(`  ✓ Collection coins recalculated`);
       }
     }
 
+    await this.recordChanges(userId, changes, context);
+
     // Invalidate leaderboard cache
     if (this.services?.leaderboardManager) {
       await this.services.leaderboardManager.leaderboardCache.invalidate();
@@ -281,8 +298,68 @@ class CoinRecalculationWorker {
 
     // Broadcast updates
     if (this.services?.wsGateway) {
-      this.services.wsGateway.broadcastAchievementUpdate(userId);
+      this.services.wsGateway.broadcastAchievementUpdate(userId, changes);
+    }
+  }
+
+  /**
+   * Shape EngagementManager's revoked coins like CollectionManager's changes
+   * @param {Array} revokedCoins - From EngagementManager.recalculateUserCoins
+   * @returns {Array} Changes
+   */
+  fromEngagementRevocations(revokedCoins = []) {
+    return revokedCoins.map(coin => ({
+      action: 'revoked',
+      achievementId: coin.achievementId,
+      achievementCode: coin.achievementCode,
+      achievementName: coin.achievementName,
+      fromTier: coin.tier,
+      toTier: null,
+      pointsBefore: coin.pointsAwarded || 0,
+      pointsAfter: 0,
+      provenance: coin.provenance,
+    }));
+  }
+
+  /**
+   * Write an audit row per revocation and downgrade, with the job's trigger
+   * (reason, order number, affected products) added to each change's provenance
+   * @param {number} userId - User ID
+   * @param {Array} changes - Revocations and downgrades
+   * @param {object} context - Job context including reason
+   */
+  async recordChanges(userId, changes, context = {}) {
+    const auditService = this.services?.achievementAuditService;
+    if (!auditService || changes.length === 0) return;
+
+    const { reason = null, ...trigger } = context;
+
+    for (const change of changes) {
+      const achievement = { id: change.achievementId, code: change.achievementCode, name: change.achievementName };
+      const provenance = { ...change.provenance, trigger };
+
+      if (change.action === 'revoked') {
+        await auditService.recordRevocation(userId, achievement, {
+          tier: change.fromTier,
+          points: change.pointsBefore,
+          source: 'recalculation',
+          reason,
+          provenance,
+        });
+      } else {
+        await auditService.recordTierChange(userId, achievement, {
+          fromTier: change.fromTier,
+          toTier: change.toTier,
+          pointsBefore: change.pointsBefore,
+          pointsAfter: change.pointsAfter,
+          source: 'recalculation',
+          reason,
+          provenance,
+        });
+      }
     }
+
+    console.log(`  ✓ Recorded ${changes.length} coin change(s) in achievement audit`);
   }
 
   /**
@@ -1,6 +1,11 @@
-const { eq, and } = require('drizzle-orm');
+const { eq, and, sql } = require('drizzle-orm');
 const { achievements, userAchievements } = require('../../shared/schema');
 const EngagementScoreService = require('./EngagementScoreService');
+const AchievementRuleEngine = require('./AchievementRuleEngine');
+const AchievementAuditService = require('./AchievementAuditService');
+const { PRIMARY_RANKING_LIST_ID } = require('../../shared/constants');
+const { EVENT_STATUS, getEventStatus } = require('../utils/eventWindow');
+const { getPrerequisiteIds, getMissingPrerequisites, getInactiveIds } = require('../utils/questLines');
 
 class CollectionManager {
   constructor(achievementRepo, productsMetadataRepo, db, productsService = null) {
@@ -9,6 +14,8 @@ class CollectionManager {
     this.db = db;
     this.productsService = productsService; // Injected to get rankable products
     this.engagementScoreService = new EngagementScoreService(db);
+    this.ruleEngine = new AchievementRuleEngine(db);
+    this.auditService = new AchievementAuditService(db);
     
     this.DEFAULT_TIER_THRESHOLDS = {
       bronze: 40,
@@ -92,6 +99,36 @@ class CollectionManager {
     return updates;
   }
 
+  /**
+   * Award progress on event coins that are currently running
+   * Upcoming and ended events are skipped, so an event stops being earnable once it ends
+   * while earners keep their coin and tier
+   */
+  async checkAndUpdateEventCollections(userId) {
+    const eventCollections = await this.db.select()
+      .from(achievements)
+      .where(and(
+        eq(achievements.collectionType, 'event_collection'),
+        eq(achievements.isActive, 1)
+      ));
+
+    const updates = [];
+
+    for (const event of eventCollections) {
+      if (getEventStatus(event.requirement) !== EVENT_STATUS.ACTIVE) {
+        continue;
+      }
+
+      const progress = await this.calculateEventProgress(userId, event);
+      const update = await this.updateCollectionProgress(userId, event, progress);
+      if (update) {
+        updates.push(update);
+      }
+    }
+
+    return updates;
+  }
+
   async calculateUserClubProgress(userId, club) {
     const { requirement } = club;
     
@@ -211,6 +248,7 @@ class CollectionManager {
       .from(productRankings)
       .where(and(
         eq(productRankings.userId, userId),
+        eq(productRankings.rankingListId, PRIMARY_RANKING_LIST_ID),
         inArray(productRankings.shopifyProductId, productIds)
       ))
       .groupBy(productRankings.shopifyProductId);
@@ -230,13 +268,18 @@ class CollectionManager {
       totalAvailable,
       totalRanked,
       tier,
-      productIds // Include for debugging
+      productIds, // Include for debugging
+      rankedProductIds
     };
   }
 
   async calculateCollectionProgress(userId, collection) {
     const { requirement } = collection;
     const requirementType = requirement?.type;
+
+    if (requirementType === 'rule') {
+      return this.calculateRuleProgress(userId, collection);
+    }
     
     // Route to different product fetchers based on requirement type
     let allProductIds = [];
@@ -301,10 +344,12 @@ class CollectionManager {
       .from(productRankings)
       .where(and(
         eq(productRankings.userId, userId),
+        eq(productRankings.rankingListId, PRIMARY_RANKING_LIST_ID),
         inArray(productRankings.shopifyProductId, allProductIds)
       ))
       .groupBy(productRankings.shopifyProductId);
 
+    const rankedProductIds = rankedProducts.map(p => p.shopifyProductId);
     const totalRanked = rankedProducts.length;
     const percentage = Math.round((totalRanked / totalAvailable) * 100);
     
@@ -318,10 +363,123 @@ class CollectionManager {
       totalAvailable,
       totalRanked,
       tier,
-      requirementType // Include for debugging
+      requirementType, // Include for debugging
+      rankedProductIds
     };
   }
 
+  /**
+   * Calculate progress for a collection whose requirement is a composable rule
+   * totalAvailable/totalRanked report the rule's conditions (total / met) so
+   * updateCollectionProgress can store them like any other collection
+   * @param {number} userId - User ID
+   * @param {Object} collection - Collection with requirement { type: 'rule', rule }
+   * @returns {Promise<Object>} { percentage, totalAvailable, totalRanked, tier }
+   */
+  async calculateRuleProgress(userId, collection) {
+    const { rule } = collection.requirement;
+    const errors = this.ruleEngine.validate(rule);
+    if (errors.length > 0) {
+      console.warn(`Collection ${collection.code} has an invalid rule: ${errors.join('; ')}`);
+      return { percentage: 0, totalAvailable: 0, totalRanked: 0 };
+    }
+
+    const evaluation = await this.ruleEngine.evaluate(userId, rule);
+    const { percentage } = evaluation;
+    const tier = collection.hasTiers ? this.getTierFromPercentage(percentage, collection.tierThresholds) : (evaluation.passed ? 'complete' : null);
+
+    console.log(`📊 Collection ${collection.code}: User ${userId} rule ${evaluation.passed ? 'passed' : 'not passed'} (${percentage}%) → TIER: ${tier}`);
+
+    return {
+      percentage,
+      totalAvailable: evaluation.conditions.length,
+      totalRanked: evaluation.conditions.filter(condition => condition.met).length,
+      tier,
+      requirementType: 'rule'
+    };
+  }
+
+  /**
+   * Calculate progress toward an event coin's goal
+   * Counts distinct products first ranked on the primary list inside the event window
+   * (from ranking_events inserts), limited to the event's products when it has a list.
+   * Doesn't check whether the event is running; callers decide that.
+   * @param {number} userId - User ID
+   * @param {Object} event - Achievement with requirement { type: 'event_collection', startsAt, endsAt, goal, productIds? }
+   * @returns {Promise<Object>} { percentage, totalAvailable: goal, totalRanked, tier }
+   */
+  async calculateEventProgress(userId, event) {
+    const { startsAt, endsAt, goal, productIds } = event.requirement || {};
+
+    if (!startsAt || !endsAt || !goal) {
+      console.warn(`Event ${event.code} is missing its window or goal`);
+      return { percentage: 0, totalAvailable: 0, totalRanked: 0 };
+    }
+
+    const productFilter = Array.isArray(productIds) && productIds.length > 0
+      ? sql`AND re.shopify_product_id IN (${sql.join(productIds.map(id => sql`${String(id)}`), sql`, `)})`
+      : sql``;
+
+    const result = await this.db.execute(sql`
+      SELECT COUNT(DISTINCT re.shopify_product_id)::int AS ranked
+      FROM ranking_events re
+      WHERE re.user_id = ${userId}
+        AND re.ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+        AND re.event_type = 'insert'
+        AND re.created_at >= ${new Date(startsAt).toISOString()}::timestamp
+        AND re.created_at < ${new Date(endsAt).toISOString()}::timestamp
+        ${productFilter}
+    `);
+
+    // Ranking past the goal doesn't add anything
+    const totalRanked = Math.min(result.rows[0]?.ranked || 0, goal);
+    const percentage = Math.round((totalRanked / goal) * 100);
+    const tier = event.hasTiers ? this.getTierFromPercentage(percentage, event.tierThresholds) : (percentage === 100 ? 'complete' : null);
+
+    console.log(`📊 Event ${event.code}: User ${userId} ranked ${totalRanked}/${goal} during the event (${percentage}%) → TIER: ${tier}`);
+
+    return {
+      percentage,
+      totalAvailable: goal,
+      totalRanked,
+      tier,
+      requirementType: 'event_collection'
+    };
+  }
+
+  /**
+   * Progress toward a hidden coin the user hasn't earned, for revealing its hints
+   * Routes to the calculator the coin's own award flow uses. Engagement metrics live in
+   * EngagementManager, so callers pass it in for engagement coins (without it they count as 0%).
+   * @param {number} userId - User ID
+   * @param {Object} coin - Hidden achievement
+   * @param {Object|null} engagementManager - EngagementManager, for engagement requirements
+   * @returns {Promise<number>} Percentage (0-100)
+   */
+  async calculateHiddenCoinProgress(userId, coin, engagementManager = null) {
+    const requirementType = coin.requirement?.type;
+    let progress = null;
+
+    if (requirementType === 'rule') {
+      progress = await this.calculateRuleProgress(userId, coin);
+    } else if (coin.collectionType === 'dynamic_collection') {
+      progress = await this.calculateCollectionProgress(userId, coin);
+    } else if (['static_collection', 'custom_product_list', 'flavor_coin'].includes(requirementType)) {
+      progress = await this.calculateCustomProductProgress(userId, coin);
+    } else if (coin.collectionType === 'event_collection') {
+      progress = await this.calculateEventProgress(userId, coin);
+    } else if (coin.collectionType === 'user_club') {
+      progress = await this.calculateUserClubProgress(userId, coin);
+    } else if (coin.collectionType === 'user_coin') {
+      progress = await this.calculateUserCoinProgress(userId, coin);
+    } else if (engagementManager) {
+      const userStats = await engagementManager.calculateEngagementStat(userId, requirementType);
+      progress = await engagementManager.calculateEngagementProgress(userId, coin, userStats);
+    }
+
+    return progress?.percentage || 0;
+  }
+
   /**
    * Get ALL rankable products using ProductsService (respects "rankable" tag filtering)
    * Falls back to querying products_metadata if ProductsService not available
@@ -472,18 +630,21 @@ class CollectionManager {
     );
 
     if (existing.length === 0) {
-      // Check prerequisite before awarding new achievement
-      if (collection.prerequisiteAchievementId) {
-        const prerequisiteEarned = await this.db.select()
+      // Check prerequisites before awarding new achievement (every earlier active quest line step)
+      const prerequisiteIds = getPrerequisiteIds(collection);
+      if (prerequisiteIds.length > 0) {
+        const { inArray } = require('drizzle-orm');
+        const prerequisitesEarned = await this.db.select({ achievementId: userAchievements.achievementId })
           .from(userAchievements)
           .where(and(
             eq(userAchievements.userId, userId),
-            eq(userAchievements.achievementId, collection.prerequisiteAchievementId)
-          ))
-          .limit(1);
+            inArray(userAchievements.achievementId, prerequisiteIds)
+          ));
         
-        if (prerequisiteEarned.length === 0) {
-          console.log(`⚠️ [${collection.code}] Prerequisite achievement not earned yet, skipping award`);
+        const earnedIds = new Set(prerequisitesEarned.map(row => row.achievementId));
+        const inactiveIds = getInactiveIds(await this.achievementRepo.getAllAchievements());
+        if (getMissingPrerequisites(collection, earnedIds, inactiveIds).length > 0) {
+          console.log(`⚠️ [${collection.code}] Prerequisite achievements not earned yet, skipping award`);
           return null;
         }
       }
@@ -497,6 +658,7 @@ class CollectionManager {
       
       const notifications = [];
       let currentRecord = null;
+      const provenance = await this.buildProvenance(userId, progress, progressData);
       
       for (let i = 0; i < tiersToAward.length; i++) {
         const currentTier = tiersToAward[i];
@@ -530,6 +692,13 @@ class CollectionManager {
           
           // Update engagement score rollup table
           await this.engagementScoreService.incrementAchievement(userId, 1);
+
+          await this.auditService.recordGrant(userId, collection, {
+            tier: currentTier,
+            points: tierPoints,
+            source: 'collection',
+            provenance,
+          });
           
           notifications.push({
             type: 'new',
@@ -560,6 +729,15 @@ class CollectionManager {
           
           // Update engagement score rollup table
           await this.engagementScoreService.incrementAchievement(userId, 1);
+
+          await this.auditService.recordTierChange(userId, collection, {
+            fromTier: previousTier,
+            toTier: currentTier,
+            pointsBefore: previousPoints,
+            pointsAfter: tierPoints,
+            source: 'collection',
+            provenance,
+          });
           
           notifications.push({
             type: 'tier_upgrade',
@@ -601,6 +779,34 @@ class CollectionManager {
 
         // Only trigger notification if tier actually changed
         if (tierChanged) {
+          // Un-ranking products can drop a coin to a lower tier
+          const isDowngrade = this.auditService.isDowngrade(current.currentTier, tier);
+
+          await this.auditService.recordTierChange(userId, collection, {
+            fromTier: current.currentTier,
+            toTier: tier,
+            pointsBefore: previousPoints,
+            pointsAfter: pointsAwarded,
+            source: 'collection',
+            reason: isDowngrade ? 'ranking_removed' : null,
+            provenance: await this.buildProvenance(userId, progress, progressData),
+          });
+
+          if (isDowngrade) {
+            console.log(`⬇️ Tier downgrade: ${collection.name} (${current.currentTier} → ${tier}) - ${pointsGained} points (total: ${pointsAwarded})`);
+
+            return {
+              type: 'tier_downgrade',
+              achievement: collection,
+              previousTier: current.currentTier,
+              newTier: tier,
+              percentage,
+              pointsAwarded,
+              pointsGained,
+              userAchievement: current
+            };
+          }
+
           console.log(`⬆️ Tier upgrade: ${collection.name} (${current.currentTier} → ${tier}) - +${pointsGained} points (total: ${pointsAwarded})`);
 
           // Update engagement score rollup table (only on tier change, not percentage-only updates)
@@ -626,6 +832,129 @@ class CollectionManager {
     return null;
   }
 
+  /**
+   * Provenance for a collection coin: its progress, plus the rankings and orders behind it
+   * when the progress was counted from ranked products
+   * @param {number} userId - User ID
+   * @param {Object} progress - Result of a calculate*Progress method
+   * @param {Object} progressData - { totalAvailable, totalRanked, percentage }
+   * @returns {Promise<Object>}
+   */
+  async buildProvenance(userId, progress, progressData) {
+    const provenance = { ...progressData, requirementType: progress.requirementType || null };
+
+    if (Array.isArray(progress.rankedProductIds)) {
+      Object.assign(provenance, await this.auditService.getProductProvenance(userId, progress.rankedProductIds));
+    }
+
+    return provenance;
+  }
+
+  /**
+   * Re-validate a user's product collection coins after rankings were removed
+   * Revokes coins that no longer reach a tier and downgrades the rest to the tier they still
+   * reach. Upgrades are left to the normal award flow, and rule and event coins are skipped:
+   * they describe feats that stay earned. Doesn't write audit rows; the caller
+   * (CoinRecalculationWorker) records the returned changes with the job's reason.
+   * Called by CoinRecalculationWorker when rankings are deleted or fulfillment status changes
+   * @param {number} userId - User ID
+   * @param {object} context - Additional context (e.g., deletedProductIds, reason)
+   * @returns {Promise<object>} Result object with the revoked and downgraded coins
+   */
+  async recalculateUserCollections(userId, context = {}) {
+    const { inArray } = require('drizzle-orm');
+
+    console.log(`🔄 Recalculating collection coins for user ${userId} (reason: ${context.reason || 'recalculation'})...`);
+
+    const held = await this.db.select({
+      userAchievement: userAchievements,
+      collection: achievements,
+    })
+      .from(userAchievements)
+      .innerJoin(achievements, eq(achievements.id, userAchievements.achievementId))
+      .where(and(
+        eq(userAchievements.userId, userId),
+        inArray(achievements.collectionType, ['dynamic_collection', 'static_collection', 'custom_product_list', 'flavor_coin'])
+      ));
+
+    const changes = [];
+
+    for (const { userAchievement, collection } of held) {
+      if (collection.requirement?.type === 'rule') continue;
+
+      const progress = collection.collectionType === 'dynamic_collection'
+        ? await this.calculateCollectionProgress(userId, collection)
+        : await this.calculateCustomProductProgress(userId, collection);
+
+      const { percentage, tier, totalAvailable, totalRanked } = progress;
+      const progressData = { totalAvailable, totalRanked, percentage };
+      const pointsBefore = userAchievement.pointsAwarded || 0;
+
+      if (!tier) {
+        await this.db.delete(userAchievements)
+          .where(eq(userAchievements.id, userAchievement.id));
+
+        changes.push({
+          action: 'revoked',
+          achievementId: collection.id,
+          achievementCode: collection.code,
+          achievementName: collection.name,
+          fromTier: userAchievement.currentTier,
+          toTier: null,
+          pointsBefore,
+          pointsAfter: 0,
+          provenance: await this.buildProvenance(userId, progress, progressData),
+        });
+
+        console.log(`  ❌ Revoked: ${collection.code} (${collection.name})`);
+        continue;
+      }
+
+      if (!this.auditService.isDowngrade(userAchievement.currentTier, tier)) {
+        console.log(`  ✓ Retained: ${collection.code} (${userAchievement.currentTier})`);
+        continue;
+      }
+
+      const pointsAfter = collection.hasTiers
+        ? this.calculateProportionalPoints(percentage, collection.points || 0, collection.tierThresholds)
+        : collection.points || 0;
+
+      await this.db.update(userAchievements)
+        .set({
+          currentTier: tier,
+          percentageComplete: percentage,
+          pointsAwarded: pointsAfter,
+          progress: progressData,
+          updatedAt: new Date(),
+        })
+        .where(eq(userAchievements.id, userAchievement.id));
+
+      changes.push({
+        action: 'tier_downgraded',
+        achievementId: collection.id,
+        achievementCode: collection.code,
+        achievementName: collection.name,
+        fromTier: userAchievement.currentTier,
+        toTier: tier,
+        pointsBefore,
+        pointsAfter,
+        provenance: await this.buildProvenance(userId, progress, progressData),
+      });
+
+      console.log(`  ⬇️ Downgraded: ${collection.code} (${userAchievement.currentTier} → ${tier})`);
+    }
+
+    console.log(`✅ Collection coin recalculation complete: ${changes.length} change(s) across ${held.length} coin(s)`);
+
+    return {
+      userId,
+      totalChecked: held.length,
+      revokedCount: changes.filter(change => change.action === 'revoked').length,
+      downgradedCount: changes.filter(change => change.action === 'tier_downgraded').length,
+      changes
+    };
+  }
+
   async getUserCollections(userId) {
     const collections = await this.db.select({
       id: userAchievements.id,
@@ -1,5 +1,6 @@
 const { sql, eq, desc } = require('drizzle-orm');
 const { users, productRankings } = require('../../shared/schema');
+const { checkDisplayName } = require('../utils/contentModeration');
 
 /**
  * CommunityService - Centralized service for user data and community features
@@ -33,15 +34,19 @@ class CommunityService {
     }
     
     // Privacy disabled: show name as "FirstName L."
+    // Names come from Shopify unmoderated, so one that fails moderation falls back to the handle
+    let name = user.displayName || user.display_name || 'User';
     if (user.firstName || user.first_name) {
       const firstName = user.firstName || user.first_name;
       const lastName = user.lastName || user.last_name;
       const lastInitial = lastName ? ` ${lastName.charAt(0)}.` : '';
-      return `${firstName}${lastInitial}`;
+      name = `${firstName}${lastInitial}`;
     }
     
-    // Fallback to displayName or 'User'
-    return user.displayName || user.display_name || 'User';
+    if (!checkDisplayName(name).allowed) {
+      return handle ? `@${handle}` : 'Anonymous User';
+    }
+    return name;
   }
 
   /**
@@ -0,0 +1,272 @@
+const { sql } = require('drizzle-orm');
+const { CONTENT_REPORTS } = require('../../shared/constants/contentReports');
+const { checkHandle, checkDisplayName, checkText } = require('../utils/contentModeration');
+const { generateUniqueHandle } = require('../utils/handleGenerator');
+const UserProfileCache = require('../cache/UserProfileCache');
+
+/**
+ * ContentReportService - User reports of comments and profiles, and the employee review queue
+ *
+ * Each user can report a target (a product comment or a user profile) once. The queue groups open
+ * reports by target, attaches the target as it is now plus what the local moderation checks make
+ * of it, and resolving a target closes all of its open reports together: either dismissed or
+ * actioned with one of CONTENT_REPORTS.actions for that target type.
+ */
+class ContentReportService {
+  constructor({ db, communityService, productCommentService }) {
+    this.db = db;
+    this.communityService = communityService;
+    this.productCommentService = productCommentService;
+  }
+
+  /**
+   * Owner of a report target, which also confirms it exists
+   * @param {string} targetType - 'comment' | 'user'
+   * @param {number} targetId - Comment ID or user ID
+   * @returns {Promise<number|null>} Owning user ID, or null if the target doesn't exist
+   */
+  async getTargetOwnerId(targetType, targetId) {
+    if (targetType === 'user') {
+      const result = await this.db.execute(sql`SELECT id FROM users WHERE id = ${targetId}`);
+      return result.rows[0]?.id ?? null;
+    }
+
+    const result = await this.db.execute(sql`
+      SELECT user_id FROM product_comments
+      WHERE id = ${targetId} AND deleted_at IS NULL AND hidden_at IS NULL
+    `);
+    return result.rows[0]?.user_id ?? null;
+  }
+
+  /**
+   * File a report (no-op if the reporter already reported this target)
+   * @param {number} reporterId - Reporting user ID
+   * @param {Object} report - { targetType, targetId, reason, details }
+   * @returns {Promise<boolean>} True if a new report was recorded
+   */
+  async createReport(reporterId, { targetType, targetId, reason, details = null }) {
+    const result = await this.db.execute(sql`
+      INSERT INTO content_reports (reporter_id, target_type, target_id, reason, details)
+      VALUES (${reporterId}, ${targetType}, ${targetId}, ${reason}, ${details})
+      ON CONFLICT (reporter_id, target_type, target_id) DO NOTHING
+      RETURNING id
+    `);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Number of targets with open reports
+   * @returns {Promise<number>}
+   */
+  async getOpenCount() {
+    const result = await this.db.execute(sql`
+      SELECT COUNT(DISTINCT (target_type, target_id)) AS count
+      FROM content_reports
+      WHERE status = 'open'
+    `);
+    return parseInt(result.rows[0]?.count) || 0;
+  }
+
+  /**
+   * Review queue: reports grouped by target, most-reported first
+   * @param {Object} options - { status ('open'|'actioned'|'dismissed'), targetType, limit, offset }
+   * @returns {Promise<Object>} { items, total }
+   */
+  async listQueue({ status = 'open', targetType = null, limit = 25, offset = 0 } = {}) {
+    const filters = [sql`status = ${status}`];
+    if (targetType) filters.push(sql`target_type = ${targetType}`);
+    const where = sql.join(filters, sql` AND `);
+
+    const [countResult, groupResult] = await Promise.all([
+      this.db.execute(sql`
+        SELECT COUNT(DISTINCT (target_type, target_id)) AS total
+        FROM content_reports
+        WHERE ${where}
+      `),
+      this.db.execute(sql`
+        SELECT target_type, target_id,
+               COUNT(*) AS report_count,
+               MAX(created_at) AS last_reported_at,
+               MAX(resolution) AS resolution,
+               MAX(reviewed_at) AS reviewed_at,
+               json_agg(json_build_object(
+                 'reason', reason,
+                 'details', details,
+                 'createdAt', created_at
+               ) ORDER BY created_at DESC) AS reports
+        FROM content_reports
+        WHERE ${where}
+        GROUP BY target_type, target_id
+        ORDER BY COUNT(*) DESC, MAX(created_at) DESC
+        LIMIT ${limit} OFFSET ${offset}
+      `),
+    ]);
+
+    const groups = groupResult.rows;
+    const idsOf = (type) => groups.filter(row => row.target_type === type).map(row => row.target_id);
+    const [comments, users] = await Promise.all([
+      this.getCommentTargets(idsOf('comment')),
+      this.getUserTargets(idsOf('user')),
+    ]);
+
+    return {
+      items: groups.map(row => ({
+        targetType: row.target_type,
+        targetId: row.target_id,
+        target: (row.target_type === 'comment' ? comments : users).get(row.target_id) || null,
+        reportCount: parseInt(row.report_count) || 0,
+        lastReportedAt: row.last_reported_at,
+        reports: row.reports,
+        resolution: row.resolution,
+        reviewedAt: row.reviewed_at,
+      })),
+      total: parseInt(countResult.rows[0]?.total) || 0,
+    };
+  }
+
+  async getCommentTargets(commentIds) {
+    if (commentIds.length === 0) return new Map();
+
+    const result = await this.db.execute(sql`
+      SELECT c.id, c.body, c.shopify_product_id, c.hidden_at, c.deleted_at,
+             u.id AS user_id, u.email, u.first_name, u.last_name, u.display_name, u.handle,
+             u.hide_name_privacy, u.comment_banned_at,
+             pm.title AS product_title
+      FROM product_comments c
+      JOIN users u ON u.id = c.user_id
+      LEFT JOIN products_metadata pm ON pm.shopify_product_id = c.shopify_product_id
+      WHERE c.id IN (${sql.join(commentIds.map(id => sql`${id}`), sql`, `)})
+    `);
+
+    return new Map(result.rows.map(row => [row.id, {
+      id: row.id,
+      body: row.body,
+      productId: row.shopify_product_id,
+      productTitle: row.product_title,
+      isHidden: row.hidden_at !== null,
+      isDeleted: row.deleted_at !== null,
+      author: {
+        id: row.user_id,
+        displayName: this.communityService.formatDisplayName(row),
+        email: row.email,
+        isCommentBanned: row.comment_banned_at !== null,
+      },
+      moderation: checkText(row.body),
+    }]));
+  }
+
+  async getUserTargets(userIds) {
+    if (userIds.length === 0) return new Map();
+
+    const result = await this.db.execute(sql`
+      SELECT id, email, first_name, last_name, display_name, handle, hide_name_privacy,
+             profile_image_url, comment_banned_at
+      FROM users
+      WHERE id IN (${sql.join(userIds.map(id => sql`${id}`), sql`, `)})
+    `);
+
+    return new Map(result.rows.map(row => {
+      const realName = [row.first_name, row.last_name].filter(Boolean).join(' ') || row.display_name || '';
+      return [row.id, {
+        id: row.id,
+        displayName: this.communityService.formatDisplayName(row),
+        realName,
+        email: row.email,
+        handle: row.handle,
+        avatarUrl: row.profile_image_url,
+        hideNamePrivacy: row.hide_name_privacy === true,
+        isCommentBanned: row.comment_banned_at !== null,
+        moderation: {
+          name: checkDisplayName(realName),
+          handle: row.handle ? checkHandle(row.handle) : { allowed: true },
+        },
+      }];
+    }));
+  }
+
+  /**
+   * Resolve every open report on a target, applying the chosen action first
+   * @param {string} targetType - 'comment' | 'user'
+   * @param {number} targetId - Comment ID or user ID
+   * @param {Object} resolution - { action ('dismiss' or an action ID), reviewerId, note }
+   * @returns {Promise<Object>} { resolved: number of reports closed, ...action result }
+   */
+  async resolve(targetType, targetId, { action, reviewerId, note = null }) {
+    const outcome = action === 'dismiss'
+      ? {}
+      : await this.applyAction(targetType, targetId, action, reviewerId, note);
+
+    const result = await this.db.execute(sql`
+      UPDATE content_reports
+      SET status = ${action === 'dismiss' ? 'dismissed' : 'actioned'},
+          resolution = ${action === 'dismiss' ? null : action},
+          resolution_note = ${note},
+          reviewed_by = ${reviewerId},
+          reviewed_at = NOW()
+      WHERE target_type = ${targetType} AND target_id = ${targetId} AND status = 'open'
+      RETURNING id
+    `);
+
+    return { resolved: result.rows.length, ...outcome };
+  }
+
+  /**
+   * Carry out a moderation action on a reported target
+   * @returns {Promise<Object>} { hiddenComment?: { id, productId }, newHandle? }
+   */
+  async applyAction(targetType, targetId, action, reviewerId, note) {
+    if (targetType === 'comment') {
+      const comment = await this.productCommentService.getComment(targetId);
+      if (!comment) return {};
+
+      await this.productCommentService.setHidden(comment.id, reviewerId, true, note || 'Reported by users');
+      if (action === 'ban_commenter') {
+        await this.productCommentService.banUser(comment.userId, note);
+      }
+      return { hiddenComment: { id: comment.id, productId: comment.productId } };
+    }
+
+    switch (action) {
+      // Both user actions also lock the field, so profile settings can't undo them
+      case 'reset_handle': {
+        const newHandle = await generateUniqueHandle();
+        await this.db.execute(sql`
+          UPDATE users SET handle = ${newHandle}, handle_locked_at = NOW(), updated_at = NOW()
+          WHERE id = ${targetId}
+        `);
+        await this.invalidateProfile(targetId);
+        return { newHandle };
+      }
+      case 'hide_name':
+        await this.db.execute(sql`
+          UPDATE users SET hide_name_privacy = true, name_hidden_by_moderator_at = NOW(), updated_at = NOW()
+          WHERE id = ${targetId}
+        `);
+        await this.invalidateProfile(targetId);
+        return {};
+      case 'ban_commenter':
+        await this.productCommentService.banUser(targetId, note);
+        return {};
+      default:
+        return {};
+    }
+  }
+
+  // Profile changes should show everywhere, but a cache failure shouldn't undo the action
+  async invalidateProfile(userId) {
+    try {
+      await UserProfileCache.getInstance().invalidateUser(userId);
+    } catch (error) {
+      console.error(`⚠️ Error invalidating profile cache for user ${userId}:`, error);
+    }
+  }
+
+  /**
+   * Whether an action ID is valid for a target type ('dismiss' always is)
+   */
+  static isValidAction(targetType, action) {
+    return action === 'dismiss' || (CONTENT_REPORTS.actions[targetType] || []).some(({ id }) => id === action);
+  }
+}
+
+module.exports = ContentReportService;
@@ -0,0 +1,172 @@
+const { Queue } = require('bullmq');
+const redisClient = require('./RedisClient');
+
+const QUEUE_NAME = 'email-digest';
+const SCHEDULER_ID = 'weekly-digest';
+const WEEKLY_PATTERN = '0 14 * * 1';
+
+/**
+ * EmailDigestQueue - Schedules and fans out the weekly digest email
+ *
+ * Job Types:
+ * - send-weekly-digests: repeatable job (BullMQ job scheduler) that finds this week's recipients
+ *   and enqueues one send-digest job each
+ * - send-digest: compose and send one user's digest (jobId per user and digest date, so a
+ *   re-run fan-out doesn't enqueue duplicates)
+ */
+class EmailDigestQueue {
+  constructor() {
+    this.queue = null;
+  }
+
+  /**
+   * Initialize the queue with Redis connection and register the weekly schedule
+   */
+  async initialize() {
+    try {
+      const baseClient = await redisClient.connect();
+      
+      if (!baseClient) {
+        console.warn('⚠️ Redis not available, email digest queue disabled');
+        return false;
+      }
+
+      console.log('🔌 Creating dedicated Redis connection for email digest queue...');
+      
+      // Duplicate the hardened RedisClient connection for BullMQ queue
+      const queueConnection = baseClient.duplicate({
+        lazyConnect: false,
+        keepAlive: 30000,
+        enableReadyCheck: true,
+        maxRetriesPerRequest: null,
+      });
+
+      // Add error listener before connecting
+      queueConnection.on('error', (err) => {
+        console.error('❌ Email digest queue Redis connection error:', err.message);
+      });
+
+      queueConnection.on('ready', () => {
+        console.log('✅ Email digest queue Redis connection READY');
+      });
+
+      // Wait for connection to be ready
+      await new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+          reject(new Error('Email digest queue connection timeout after 10s'));
+        }, 10000);
+
+        queueConnection.once('ready', () => {
+          clearTimeout(timeout);
+          resolve();
+        });
+
+        queueConnection.once('error', (err) => {
+          clearTimeout(timeout);
+          reject(err);
+        });
+      });
+
+      this.queue = new Queue(QUEUE_NAME, {
+        connection: queueConnection,
+        defaultJobOptions: {
+          attempts: 3,
+          backoff: {
+            type: 'exponential',
+            delay: 2000,
+          },
+          removeOnComplete: {
+            age: 3600,
+            count: 100,
+          },
+          removeOnFail: {
+            age: 86400,
+            count: 1000,
+          },
+        },
+      });
+
+      // Weekly fan-out: Mondays 14:00 UTC (morning in US time zones)
+      await this.queue.upsertJobScheduler(
+        SCHEDULER_ID,
+        { pattern: WEEKLY_PATTERN, tz: 'UTC' },
+        { name: 'send-weekly-digests', data: {} }
+      );
+
+      console.log(`✅ Email digest queue initialized (weekly schedule: ${WEEKLY_PATTERN} UTC)`);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to initialize email digest queue:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Enqueue a digest job per recipient
+   * @param {Array<number>} userIds - Recipients
+   * @param {string} digestDate - YYYY-MM-DD (EmailDigestService.getDigestDate)
+   * @returns {Promise<number>} Jobs enqueued
+   */
+  async enqueueUserDigests(userIds, digestDate) {
+    if (!this.queue) {
+      console.warn('⚠️ Email digest queue not initialized');
+      return 0;
+    }
+
+    await this.queue.addBulk(userIds.map(userId => ({
+      name: 'send-digest',
+      data: { userId, digestDate },
+      opts: { jobId: `digest-${userId}-${digestDate}` },
+    })));
+
+    console.log(`📧 Enqueued ${userIds.length} weekly digest(s) for ${digestDate}`);
+    return userIds.length;
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Promise<object>} - Queue stats
+   */
+  async getStats() {
+    if (!this.queue) {
+      return { error: 'Queue not initialized' };
+    }
+
+    try {
+      const [waiting, active, completed, failed, delayed] = await Promise.all([
+        this.queue.getWaitingCount(),
+        this.queue.getActiveCount(),
+        this.queue.getCompletedCount(),
+        this.queue.getFailedCount(),
+        this.queue.getDelayedCount(),
+      ]);
+
+      return {
+        waiting,
+        active,
+        completed,
+        failed,
+        delayed,
+        total: waiting + active + completed + failed + delayed,
+      };
+    } catch (error) {
+      console.error('❌ Failed to get queue stats:', error);
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Close the queue connection
+   */
+  async close() {
+    if (this.queue) {
+      await this.queue.close();
+      console.log('👋 Email digest queue closed');
+    }
+  }
+}
+
+// Singleton instance
+const emailDigestQueue = new EmailDigestQueue();
+
+module.exports = emailDigestQueue;
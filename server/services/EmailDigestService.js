@@ -0,0 +1,257 @@
+const { sql } = require('drizzle-orm');
+const { getAppUrl } = require('../utils/appDomain');
+const { createUnsubscribeToken } = require('../utils/unsubscribeTokens');
+
+const DIGEST_LIST = 'weekly_digest';
+const MAX_NEW_COINS = 3;
+const MAX_RECOMMENDATIONS = 3;
+
+/**
+ * Monday (UTC) of the week containing a date, as YYYY-MM-DD
+ * One digest per user per digest date
+ * @param {Date} now
+ * @returns {string}
+ */
+function getDigestDate(now = new Date()) {
+  const monday = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday.toISOString().slice(0, 10);
+}
+
+/**
+ * EmailDigestService - Weekly opt-in digest email
+ *
+ * Composes each subscriber's week from existing services (streak and next coin from ProgressTracker,
+ * leaderboard position from LeaderboardManager, taste-twin picks from RecommendationService, coins
+ * added in the last 7 days) and sends it through EmailService's weeklyDigest template with a signed
+ * one-click unsubscribe link. email_digests records each send so retried jobs don't send twice and
+ * next week's digest can show leaderboard movement.
+ */
+class EmailDigestService {
+  constructor({ db, emailService, progressTracker, leaderboardManager, recommendationService }) {
+    this.db = db;
+    this.emailService = emailService;
+    this.progressTracker = progressTracker;
+    this.leaderboardManager = leaderboardManager;
+    this.recommendationService = recommendationService;
+  }
+
+  /**
+   * A user's digest subscription
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} { enabled, lastSentAt }
+   */
+  async getSubscription(userId) {
+    const result = await this.db.execute(sql`
+      SELECT u.email_digest_opt_in,
+             (SELECT MAX(sent_at) FROM email_digests WHERE user_id = u.id) AS last_sent_at
+      FROM users u
+      WHERE u.id = ${userId}
+    `);
+    const row = result.rows[0];
+
+    return {
+      enabled: row?.email_digest_opt_in === true,
+      lastSentAt: row?.last_sent_at || null,
+    };
+  }
+
+  /**
+   * Opt a user in or out of the weekly digest
+   * @param {number} userId - User ID
+   * @param {boolean} enabled
+   * @returns {Promise<Object>} { enabled, lastSentAt }
+   */
+  async setSubscription(userId, enabled) {
+    await this.db.execute(sql`
+      UPDATE users SET email_digest_opt_in = ${enabled}, updated_at = NOW()
+      WHERE id = ${userId}
+    `);
+    return this.getSubscription(userId);
+  }
+
+  /**
+   * Active, opted-in users who haven't been sent this week's digest
+   * @param {string} digestDate - YYYY-MM-DD (see getDigestDate)
+   * @returns {Promise<Array<number>>} User IDs
+   */
+  async getRecipientIds(digestDate) {
+    const result = await this.db.execute(sql`
+      SELECT u.id FROM users u
+      WHERE u.email_digest_opt_in = true
+        AND u.active = true
+        AND COALESCE(u.email, '') <> ''
+        AND NOT EXISTS (
+          SELECT 1 FROM email_digests ed
+          WHERE ed.user_id = u.id AND ed.digest_date = ${digestDate}
+        )
+      ORDER BY u.id
+    `);
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * Build the weeklyDigest template data for a user
+   * @param {Object} user - { id, email, first_name }
+   * @param {string} digestDate - YYYY-MM-DD
+   * @returns {Promise<Object>} Template data plus leaderboardRank to record
+   */
+  async composeDigest(user, digestDate) {
+    const [progress, position, previous, rankingsThisWeek, newCoins, recommendations] = await Promise.all([
+      this.progressTracker.getUserProgress(user.id),
+      this.leaderboardManager.getUserPosition(user.id, 'all_time'),
+      this.db.execute(sql`
+        SELECT leaderboard_rank FROM email_digests
+        WHERE user_id = ${user.id} AND digest_date < ${digestDate}
+        ORDER BY digest_date DESC
+        LIMIT 1
+      `),
+      this.db.execute(sql`
+        SELECT COUNT(*) AS count FROM product_rankings
+        WHERE user_id = ${user.id}
+          AND ranking_list_id = 'default'
+          AND created_at >= NOW() - INTERVAL '7 days'
+      `),
+      this.getNewCoins(user.id),
+      this.getRecommendations(user.id),
+    ]);
+
+    const previousRank = previous.rows[0]?.leaderboard_rank ?? null;
+    const nextMilestone = progress.nextMilestones?.[0] || null;
+    const token = createUnsubscribeToken(user.id, DIGEST_LIST);
+    const weekStart = new Date(`${digestDate}T00:00:00Z`);
+    weekStart.setUTCDate(weekStart.getUTCDate() - 7);
+
+    return {
+      leaderboardRank: position.rank,
+      data: {
+        firstName: user.first_name,
+        periodLabel: `Week of ${weekStart.toLocaleDateString('en-US', { month: 'long', day: 'numeric', timeZone: 'UTC' })}`,
+        rankingsThisWeek: parseInt(rankingsThisWeek.rows[0]?.count) || 0,
+        streak: {
+          current: progress.currentStreak || 0,
+          longest: progress.longestStreak || 0,
+          freezes: progress.streakFreezes || 0,
+        },
+        nextCoin: nextMilestone
+          ? { name: nextMilestone.achievementName, actionText: nextMilestone.actionText, progress: nextMilestone.progress || 0 }
+          : null,
+        newCoins,
+        recommendations,
+        leaderboard: {
+          rank: position.rank,
+          totalUsers: position.totalUsers || 0,
+          change: position.rank && previousRank ? previousRank - position.rank : null,
+        },
+        links: {
+          rank: getAppUrl('/rank'),
+          coinbook: getAppUrl('/coinbook'),
+          leaderboard: getAppUrl('/leaderboard'),
+          preferences: getAppUrl('/profile'),
+          unsubscribe: this.getUnsubscribeUrl(user.id, token),
+        },
+      },
+    };
+  }
+
+  /**
+   * Active, visible coins added in the last week that the user hasn't earned
+   */
+  async getNewCoins(userId) {
+    const result = await this.db.execute(sql`
+      SELECT a.id, a.name, a.description
+      FROM achievements a
+      WHERE a.is_active = 1
+        AND COALESCE(a.is_hidden, 0) = 0
+        AND a.created_at >= NOW() - INTERVAL '7 days'
+        AND NOT EXISTS (
+          SELECT 1 FROM user_achievements ua
+          WHERE ua.achievement_id = a.id AND ua.user_id = ${userId}
+        )
+      ORDER BY a.created_at DESC
+      LIMIT ${MAX_NEW_COINS}
+    `);
+
+    return result.rows.map(row => ({
+      name: row.name,
+      description: row.description,
+      url: getAppUrl(`/coinbook/${row.id}`),
+    }));
+  }
+
+  /**
+   * Top taste-twin picks (empty when the user has no twins yet)
+   */
+  async getRecommendations(userId) {
+    if (!this.recommendationService) return [];
+
+    const { recommendations } = await this.recommendationService.getRecommendations(userId, { limit: MAX_RECOMMENDATIONS });
+    return recommendations.map(({ product }) => ({
+      title: product.title,
+      url: getAppUrl(`/flavors/${product.id}`),
+    }));
+  }
+
+  getUnsubscribeUrl(userId, token) {
+    return getAppUrl(`/api/email/unsubscribe?user=${userId}&token=${encodeURIComponent(token)}`);
+  }
+
+  /**
+   * Compose and send one user's digest for a digest date
+   * The email_digests row is claimed before sending and released if sending fails,
+   * so concurrent or retried jobs send at most once.
+   * @param {number} userId - User ID
+   * @param {string} digestDate - YYYY-MM-DD
+   * @returns {Promise<Object>} { sent, reason? }
+   */
+  async sendDigest(userId, digestDate) {
+    const userResult = await this.db.execute(sql`
+      SELECT id, email, first_name, active, email_digest_opt_in FROM users WHERE id = ${userId}
+    `);
+    const user = userResult.rows[0];
+    if (!user || !user.active || !user.email) {
+      return { sent: false, reason: 'user_unavailable' };
+    }
+    if (!user.email_digest_opt_in) {
+      return { sent: false, reason: 'opted_out' };
+    }
+
+    const claim = await this.db.execute(sql`
+      INSERT INTO email_digests (user_id, digest_date)
+      VALUES (${userId}, ${digestDate})
+      ON CONFLICT (user_id, digest_date) DO NOTHING
+      RETURNING id
+    `);
+    if (claim.rows.length === 0) {
+      return { sent: false, reason: 'already_sent' };
+    }
+    const digestId = claim.rows[0].id;
+
+    try {
+      const { data, leaderboardRank } = await this.composeDigest(user, digestDate);
+
+      await this.emailService.sendTemplate('weeklyDigest', {
+        to: user.email,
+        data,
+        headers: {
+          'List-Unsubscribe': `<${data.links.unsubscribe}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+        },
+      });
+
+      await this.db.execute(sql`
+        UPDATE email_digests SET leaderboard_rank = ${leaderboardRank}, sent_at = NOW()
+        WHERE id = ${digestId}
+      `);
+      return { sent: true };
+    } catch (error) {
+      await this.db.execute(sql`DELETE FROM email_digests WHERE id = ${digestId}`);
+      throw error;
+    }
+  }
+}
+
+EmailDigestService.DIGEST_LIST = DIGEST_LIST;
+EmailDigestService.getDigestDate = getDigestDate;
+
+module.exports = EmailDigestService;
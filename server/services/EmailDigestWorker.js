@@ -0,0 +1,222 @@
+const { Worker } = require('bullmq');
+const Sentry = require('@sentry/node');
+const redisClient = require('./RedisClient');
+const EmailDigestService = require('./EmailDigestService');
+
+/**
+ * EmailDigestWorker - Background worker for the weekly digest email
+ *
+ * - send-weekly-digests (scheduled by EmailDigestQueue): collect this week's opted-in recipients
+ *   and enqueue a send-digest job for each
+ * - send-digest: EmailDigestService.sendDigest for one user; failures retry with backoff and
+ *   never double-send (the service claims the email_digests row first)
+ */
+class EmailDigestWorker {
+  constructor() {
+    this.worker = null;
+    this.services = null;
+  }
+
+  /**
+   * Initialize the worker with Redis connection and services
+   * @param {Object} services - Services object containing emailDigestService, emailDigestQueue
+   */
+  async initialize(services = {}) {
+    this.services = services;
+    try {
+      // Ensure Redis client is connected
+      const baseClient = await redisClient.connect();
+      
+      if (!baseClient) {
+        console.warn('⚠️ Redis not available, email digest worker disabled');
+        return false;
+      }
+
+      console.log('🔌 Creating dedicated Redis connection for email digest worker...');
+      
+      // Duplicate the hardened RedisClient connection for BullMQ worker
+      const workerConnection = baseClient.duplicate({
+        lazyConnect: false,
+        keepAlive: 30000,
+        enableReadyCheck: true,
+        maxRetriesPerRequest: null,
+      });
+
+      // Register as dependent for auto-reinit when base reconnects
+      redisClient.registerDependent(workerConnection);
+
+      // Add comprehensive error handlers to prevent crashes
+      workerConnection.on('error', async (err) => {
+        const isExpectedError = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EPIPE'].includes(err.code);
+        
+        if (isExpectedError) {
+          console.warn('⚠️ Email digest worker Redis connection issue (will auto-retry):', err.code || err.message);
+          if (this.worker) {
+            try {
+              const isPaused = await this.worker.isPaused();
+              if (!isPaused) {
+                await this.worker.pause();
+                console.log('⏸️  Email digest worker PAUSED due to Redis connection issue');
+              }
+            } catch (pauseErr) {
+              console.error('❌ Failed to pause email digest worker:', pauseErr.message);
+            }
+          }
+        } else {
+          console.error('❌ Email digest worker Redis connection error:', err.message);
+          Sentry.captureException(err, {
+            tags: { component: 'email-digest-worker', context: 'redis-connection' },
+            extra: { errorMessage: err.message }
+          });
+        }
+      });
+
+      workerConnection.on('ready', async () => {
+        console.log('✅ Email digest worker Redis connection READY');
+        if (this.worker) {
+          try {
+            const isPaused = await this.worker.isPaused();
+            if (isPaused) {
+              await this.worker.resume();
+              console.log('▶️  Email digest worker RESUMED after Redis reconnection');
+            }
+          } catch (resumeErr) {
+            console.error('❌ Failed to resume email digest worker:', resumeErr.message);
+          }
+        }
+      });
+
+      workerConnection.on('close', async () => {
+        console.warn('⚠️ Email digest worker Redis connection CLOSED - pausing worker');
+        if (this.worker) {
+          try {
+            const isPaused = await this.worker.isPaused();
+            if (!isPaused) {
+              await this.worker.pause();
+              console.log('⏸️  Email digest worker PAUSED due to Redis disconnect');
+            }
+          } catch (pauseErr) {
+            console.error('❌ Failed to pause email digest worker on close:', pauseErr.message);
+          }
+        }
+      });
+
+      // Wait for connection to be ready
+      await new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+          reject(new Error('Email digest worker connection timeout after 10s'));
+        }, 10000);
+
+        workerConnection.once('ready', () => {
+          clearTimeout(timeout);
+          resolve();
+        });
+
+        workerConnection.once('error', (err) => {
+          clearTimeout(timeout);
+          reject(err);
+        });
+      });
+
+      // BullMQ Worker
+      this.worker = new Worker(
+        'email-digest',
+        async (job) => this.processJob(job),
+        {
+          connection: workerConnection,
+          concurrency: 2,
+          limiter: {
+            max: 5, // Stay well under the SMTP provider's send rate
+            duration: 1000,
+          },
+        }
+      );
+
+      this.worker.on('completed', (job, result) => {
+        if (job.name === 'send-digest') {
+          console.log(`✅ Weekly digest job completed for user ${job.data.userId} (${result?.sent ? 'sent' : result?.reason})`);
+        }
+      });
+
+      this.worker.on('failed', (job, err) => {
+        console.error(`❌ Email digest job ${job?.name} failed for user ${job?.data?.userId}:`, err.message);
+        Sentry.captureException(err, {
+          tags: { component: 'email-digest-worker', userId: job?.data?.userId },
+          extra: { jobData: job?.data }
+        });
+      });
+
+      this.worker.on('error', (err) => {
+        const isConnectionError = err.message && (
+          err.message.includes('ECONNRESET') ||
+          err.message.includes('ETIMEDOUT') ||
+          err.message.includes('ECONNREFUSED') ||
+          err.message.includes('Connection is closed')
+        );
+        
+        if (isConnectionError) {
+          console.warn('⚠️ Email digest worker error (connection issue, will auto-recover):', err.message);
+        } else {
+          console.error('❌ Email digest worker error:', err);
+          Sentry.captureException(err, {
+            tags: { component: 'email-digest-worker', context: 'worker-error' }
+          });
+        }
+      });
+
+      console.log('✅ Email digest worker initialized with resilient error handling (concurrency: 2)');
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to initialize email digest worker:', error);
+      Sentry.captureException(error, {
+        tags: { component: 'email-digest-worker', context: 'initialization' }
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Process an email digest job
+   * @param {object} job - BullMQ job object
+   */
+  async processJob(job) {
+    const { emailDigestService, emailDigestQueue } = this.services;
+
+    try {
+      if (job.name === 'send-weekly-digests') {
+        const digestDate = EmailDigestService.getDigestDate();
+        const userIds = await emailDigestService.getRecipientIds(digestDate);
+        console.log(`📧 Weekly digest ${digestDate}: ${userIds.length} recipient(s)`);
+
+        const enqueued = await emailDigestQueue.enqueueUserDigests(userIds, digestDate);
+        return { digestDate, enqueued };
+      }
+
+      if (job.name === 'send-digest') {
+        const { userId, digestDate } = job.data;
+        return await emailDigestService.sendDigest(userId, digestDate);
+      }
+
+      throw new Error(`Unknown email digest job: ${job.name}`);
+    } catch (error) {
+      console.error(`❌ Error processing email digest job ${job.name}:`, error);
+      Sentry.captureException(error, {
+        tags: { component: 'email-digest-worker', userId: job.data?.userId },
+        extra: { jobName: job.name, jobData: job.data }
+      });
+      throw error; // Re-throw to trigger retry logic
+    }
+  }
+
+  /**
+   * Close the worker
+   */
+  async close() {
+    if (this.worker) {
+      await this.worker.close();
+      console.log('👋 Email digest worker closed');
+    }
+  }
+}
+
+module.exports = EmailDigestWorker;
@@ -1,4 +1,8 @@
 const achievementDefinitions = require('../data/achievementDefinitions');
+const AchievementRuleEngine = require('./AchievementRuleEngine');
+const AchievementAuditService = require('./AchievementAuditService');
+const { EVENT_STATUS, getEventStatus } = require('../utils/eventWindow');
+const { getPrerequisiteIds, getMissingPrerequisites, getInactiveIds, buildQuestGraph } = require('../utils/questLines');
 
 /**
  * EngagementManager - Domain service for engagement-based achievement evaluation and awarding
@@ -11,6 +15,8 @@ class EngagementManager {
     this.achievementRepo = achievementRepo;
     this.activityLogRepo = activityLogRepo;
     this.db = db;
+    this.ruleEngine = new AchievementRuleEngine(db);
+    this.auditService = new AchievementAuditService(db);
     
     this.DEFAULT_TIER_THRESHOLDS = {
       bronze: 40,
@@ -113,6 +119,16 @@ class EngagementManager {
         // Check if user has maintained a daily ranking streak
         return userStats.currentStreak >= requirement.value;
       },
+      season_placement: (userStats, requirement) => {
+        // Season placement coins are awarded by SeasonService when a season closes, not here
+        // This evaluator should never award the achievement
+        return false;
+      },
+      rule: (userStats, requirement) => {
+        // Rule coins need database queries, so they're evaluated asynchronously by
+        // AchievementRuleEngine in checkAndAwardEngagementAchievement / CollectionManager
+        return false;
+      },
     };
   }
 
@@ -126,18 +142,17 @@ class EngagementManager {
     const allAchievements = await this.achievementRepo.getAllAchievements();
     const userAchievements = await this.achievementRepo.getUserAchievements(userId);
     const earnedIds = new Set(userAchievements.map(a => a.achievementId));
+    const inactiveIds = getInactiveIds(allAchievements);
     
     const newlyAwarded = [];
 
     for (const achievement of allAchievements) {
       if (earnedIds.has(achievement.id)) continue;
 
-      // Check prerequisite: user must have earned the prerequisite achievement first
-      if (achievement.prerequisiteAchievementId) {
-        if (!earnedIds.has(achievement.prerequisiteAchievementId)) {
-          // User hasn't earned the prerequisite yet, skip this achievement
-          continue;
-        }
+      // Check prerequisites: user must have earned every earlier step of the quest line first
+      if (getMissingPrerequisites(achievement, earnedIds, inactiveIds).length > 0) {
+        // User hasn't earned all prerequisites yet, skip this achievement
+        continue;
       }
 
       const evaluator = this.evaluators[achievement.requirement.type];
@@ -148,6 +163,13 @@ class EngagementManager {
 
       if (evaluator(userStats, achievement.requirement)) {
         const awarded = await this.achievementRepo.awardAchievement(userId, achievement.id);
+
+        await this.auditService.recordGrant(userId, achievement, {
+          tier: awarded.currentTier,
+          points: awarded.pointsAwarded,
+          source: 'engagement',
+          provenance: await this.buildProvenance(userId, achievement.requirement),
+        });
         
         await this.activityLogRepo.logActivity(
           userId,
@@ -170,6 +192,123 @@ class EngagementManager {
     return newlyAwarded;
   }
 
+  /**
+   * Award season placement coins from a closed season's final standings
+   * Each coin is earned once; later placements are recorded in the season archive only
+   * @param {Object} season - { id, seasonType }
+   * @param {Array} standings - [{ userId, position }]
+   * @returns {Array} Newly awarded achievements with userId
+   */
+  async awardSeasonPlacementCoins(season, standings) {
+    const allAchievements = await this.achievementRepo.getAllAchievements();
+    const placementCoins = allAchievements.filter(achievement =>
+      achievement.isActive !== 0 &&
+      achievement.requirement?.type === 'season_placement' &&
+      achievement.requirement.seasonType === season.seasonType
+    );
+
+    const newlyAwarded = [];
+    if (placementCoins.length === 0) return newlyAwarded;
+
+    for (const { userId, position } of standings) {
+      const eligible = placementCoins.filter(coin => position <= coin.requirement.value);
+      if (eligible.length === 0) continue;
+
+      const userAchievements = await this.achievementRepo.getUserAchievements(userId);
+      const earnedIds = new Set(userAchievements.map(a => a.achievementId));
+
+      for (const coin of eligible) {
+        if (earnedIds.has(coin.id)) continue;
+
+        const awarded = await this.achievementRepo.awardAchievement(userId, coin.id, {
+          seasonId: season.id,
+          seasonType: season.seasonType,
+          position,
+        });
+
+        await this.auditService.recordGrant(userId, coin, {
+          tier: awarded.currentTier,
+          points: awarded.pointsAwarded,
+          source: 'season',
+          provenance: { seasonId: season.id, seasonType: season.seasonType, position },
+        });
+
+        await this.activityLogRepo.logActivity(
+          userId,
+          'earn_badge',
+          {
+            achievementCode: coin.code,
+            achievementName: coin.name,
+            achievementIcon: coin.icon,
+            achievementTier: coin.tier,
+            seasonId: season.id,
+          }
+        );
+
+        newlyAwarded.push({
+          ...coin,
+          userId,
+          earnedAt: awarded.earnedAt,
+        });
+      }
+    }
+
+    return newlyAwarded;
+  }
+
+  /**
+   * Provenance for an engagement coin: the metric it was judged on, plus the rankings
+   * and orders behind it when the metric is a ranking count
+   * @param {number} userId - User ID
+   * @param {Object} requirement - Achievement requirement
+   * @param {number|null} value - Metric value at award time, when known
+   * @returns {Promise<Object>}
+   */
+  async buildProvenance(userId, requirement, value = null) {
+    const provenance = { metric: requirement.type, value, required: requirement.value ?? null };
+
+    if (requirement.type === 'rank_count') {
+      Object.assign(provenance, await this.auditService.getProductProvenance(userId));
+    }
+
+    return provenance;
+  }
+
+  /**
+   * Whether the user has earned every active prerequisite of an achievement (quest line steps before it)
+   * @param {number} userId - User ID
+   * @param {Object} achievement - Achievement definition
+   * @returns {Promise<boolean>}
+   */
+  async hasEarnedPrerequisites(userId, achievement) {
+    const prerequisiteIds = getPrerequisiteIds(achievement);
+    if (prerequisiteIds.length === 0) {
+      return true;
+    }
+
+    const [allAchievements, userAchievements] = await Promise.all([
+      this.achievementRepo.getAllAchievements(),
+      this.achievementRepo.getUserAchievements(userId),
+    ]);
+    const earnedIds = new Set(userAchievements.map(a => a.achievementId));
+    return getMissingPrerequisites(achievement, earnedIds, getInactiveIds(allAchievements)).length === 0;
+  }
+
+  /**
+   * Quest lines for the Coin Book's quest map
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} { nodes, edges, lines } (see utils/questLines buildQuestGraph)
+   */
+  async getQuestGraph(userId) {
+    const allAchievements = await this.achievementRepo.getAllAchievements();
+    const userAchievements = await this.achievementRepo.getUserAchievements(userId);
+    const earnedIds = new Set(userAchievements.map(a => a.achievementId));
+
+    // Inactive coins drop out of the map unless the user already earned them
+    const questAchievements = allAchievements.filter(a => a.isActive === 1 || earnedIds.has(a.id));
+    return buildQuestGraph(questAchievements, earnedIds);
+  }
+
   /**
    * Get all achievements with user's progress
    * @param {number} userId - User ID
@@ -201,9 +340,12 @@ class EngagementManager {
       .filter(achievement => {
         // An achievement is hidden if isHidden === 1 OR collectionType === 'hidden_collection'
         const isHidden = achievement.isHidden === 1 || achievement.collectionType === 'hidden_collection';
+        // Ended events can't be earned anymore, so only their earners still see them
+        const isEndedEvent = achievement.collectionType === 'event_collection' &&
+                             getEventStatus(achievement.requirement) === EVENT_STATUS.ENDED;
         
-        // Show if: NOT hidden, OR earned
-        return !isHidden || achievement.earned;
+        // Show if: NOT hidden (and not an ended event), OR earned
+        return (!isHidden && !isEndedEvent) || achievement.earned;
       });
   }
 
@@ -232,6 +374,10 @@ class EngagementManager {
       unique_product_view_count: () => ({ current: userStats.uniqueProductViews || 0, required: value }),
       profile_view_count: () => ({ current: userStats.totalProfileViews || 0, required: value }),
       unique_profile_view_count: () => ({ current: userStats.uniqueProfileViews || 0, required: value }),
+      // Rule progress can't be derived from userStats; it's stored on the user achievement when evaluated
+      rule: () => null,
+      // Event progress counts rankings inside the event window; the achievements route fills it in
+      event_collection: () => null,
     };
 
     const calculator = progressMap[type];
@@ -338,6 +484,8 @@ class EngagementManager {
    * @returns {number} Count of deleted achievements
    */
   async clearUserAchievements(userId) {
+    await this.auditService.recordBulkRevocations({ userId, source: 'admin', reason: 'achievements_cleared' });
+
     const deletedCount = await this.achievementRepo.deleteUserAchievements(userId);
     
     if (deletedCount > 0) {
@@ -360,6 +508,8 @@ class EngagementManager {
     const { sql } = require('drizzle-orm');
     const db = this.achievementRepo.db;
     
+    await this.auditService.recordBulkRevocations({ source: 'admin', reason: 'achievements_cleared' });
+
     const deletedAchievements = await this.achievementRepo.deleteAllAchievements();
     
     // Also clear all streaks
@@ -379,6 +529,9 @@ class EngagementManager {
     const rankingsResult = await db.execute(sql`DELETE FROM product_rankings`);
     const deletedRankings = rankingsResult.rowCount || 0;
     
+    // Clear ranking history (otherwise time travel would resurrect the wiped rankings)
+    await db.execute(sql`DELETE FROM ranking_events`);
+    
     // Log activity with admin user ID (required for activity_logs table)
     if (deletedAchievements > 0 || deletedStreaks > 0 || deletedPageViews > 0 || deletedSearches > 0 || deletedRankings > 0) {
       if (adminUserId) {
@@ -787,21 +940,41 @@ class EngagementManager {
   }
 
   /**
-   * Check and award a single engagement achievement with tier support
-   * Returns update notification(s) in same format as CollectionManager
+   * Evaluate a rule coin's requirement for a user
    * @param {number} userId - User ID
-   * @param {Object} achievement - Achievement definition
-   * @param {Object} userStats - Pre-calculated user stats
-   * @returns {Promise<Object|Array|null>} Update notification(s) or null
+   * @param {Object} achievement - Achievement with requirement { type: 'rule', rule }
+   * @returns {Promise<Object|null>} AchievementRuleEngine evaluation, or null if the rule is invalid
    */
-  async checkAndAwardEngagementAchievement(userId, achievement, userStats) {
-    const { eq, and } = require('drizzle-orm');
-    const { userAchievements } = require('../../shared/schema');
+  async evaluateRule(userId, achievement) {
+    const errors = this.ruleEngine.validate(achievement.requirement.rule);
+    if (errors.length > 0) {
+      console.warn(`Achievement ${achievement.code} has an invalid rule: ${errors.join('; ')}`);
+      return null;
+    }
+    return this.ruleEngine.evaluate(userId, achievement.requirement.rule);
+  }
 
-    // Calculate current value and percentage
-    const currentValue = userStats[this.getStatKey(achievement.requirement.type)] || 0;
-    const requiredValue = achievement.requirement.value || achievement.requirement.days || 1;
-    const percentage = Math.min(Math.round((currentValue / requiredValue) * 100), 100);
+  /**
+   * Calculate progress toward an engagement achievement without awarding anything
+   * @param {number} userId - User ID
+   * @param {Object} achievement - Achievement definition
+   * @param {Object} userStats - Pre-calculated user stats (unused for rule coins)
+   * @returns {Promise<Object|null>} { currentValue, requiredValue, percentage, tier }, or null for an invalid rule
+   */
+  async calculateEngagementProgress(userId, achievement, userStats) {
+    let currentValue, requiredValue, percentage;
+    if (achievement.requirement.type === 'rule') {
+      // Rule coins: value/required count the rule's conditions that are met
+      const evaluation = await this.evaluateRule(userId, achievement);
+      if (!evaluation) return null;
+      currentValue = evaluation.conditions.filter(condition => condition.met).length;
+      requiredValue = evaluation.conditions.length;
+      percentage = evaluation.percentage;
+    } else {
+      currentValue = userStats[this.getStatKey(achievement.requirement.type)] || 0;
+      requiredValue = achievement.requirement.value || achievement.requirement.days || 1;
+      percentage = Math.min(Math.round((currentValue / requiredValue) * 100), 100);
+    }
 
     // Determine tier from percentage
     let tier;
@@ -812,6 +985,63 @@ class EngagementManager {
       tier = percentage === 100 ? 'complete' : null;
     }
 
+    return { currentValue, requiredValue, percentage, tier };
+  }
+
+  /**
+   * Calculate the single stat an engagement requirement type is measured by
+   * @param {number} userId - User ID
+   * @param {string} requirementType - e.g. 'search_count', 'daily_login_streak'
+   * @returns {Promise<Object>} userStats-shaped object keyed by getStatKey(requirementType)
+   */
+  async calculateEngagementStat(userId, requirementType) {
+    const calculators = {
+      search_count: () => this.calculateSearchEngagement(userId),
+      page_view_count: () => this.calculatePageViewEngagement(userId),
+      streak_days: () => this.calculateStreakEngagement(userId),
+      daily_rank_streak: () => this.calculateStreakEngagement(userId),
+      daily_login_streak: () => this.calculateLoginEngagement(userId),
+      product_view_count: () => this.calculateProductViewEngagement(userId, false),
+      unique_product_view_count: () => this.calculateProductViewEngagement(userId, true),
+      profile_view_count: () => this.calculateProfileViewEngagement(userId, false),
+      unique_profile_view_count: () => this.calculateProfileViewEngagement(userId, true),
+      rank_count: async () => {
+        const { sql } = require('drizzle-orm');
+        const { PRIMARY_RANKING_LIST_ID } = require('../../shared/constants');
+        const result = await this.db.execute(sql`
+          SELECT COUNT(*)::int AS count FROM product_rankings
+          WHERE user_id = ${userId} AND ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+        `);
+        return { value: result.rows[0]?.count || 0 };
+      },
+    };
+
+    const calculator = calculators[requirementType];
+    if (!calculator) {
+      return {};
+    }
+    const data = await calculator();
+    return { [this.getStatKey(requirementType)]: data.value };
+  }
+
+  /**
+   * Check and award a single engagement achievement with tier support
+   * Returns update notification(s) in same format as CollectionManager
+   * @param {number} userId - User ID
+   * @param {Object} achievement - Achievement definition
+   * @param {Object} userStats - Pre-calculated user stats
+   * @returns {Promise<Object|Array|null>} Update notification(s) or null
+   */
+  async checkAndAwardEngagementAchievement(userId, achievement, userStats) {
+    const { eq, and } = require('drizzle-orm');
+    const { userAchievements } = require('../../shared/schema');
+
+    const progress = await this.calculateEngagementProgress(userId, achievement, userStats);
+    if (!progress) {
+      return null;
+    }
+    const { currentValue, requiredValue, percentage, tier } = progress;
+
     console.log(`🔄 [${achievement.code}] User ${userId}: ${currentValue}/${requiredValue} (${percentage}%) → TIER: ${tier} (hasTiers: ${achievement.hasTiers})`);
 
     if (!tier) {
@@ -840,20 +1070,10 @@ class EngagementManager {
     );
 
     if (existing.length === 0) {
-      // Check prerequisite before awarding
-      if (achievement.prerequisiteAchievementId) {
-        const prerequisiteEarned = await this.db.select()
-          .from(userAchievements)
-          .where(and(
-            eq(userAchievements.userId, userId),
-            eq(userAchievements.achievementId, achievement.prerequisiteAchievementId)
-          ))
-          .limit(1);
-        
-        if (prerequisiteEarned.length === 0) {
-          console.log(`⚠️ [${achievement.code}] Prerequisite not earned yet, skipping`);
-          return null;
-        }
+      // Check prerequisites before awarding
+      if (!(await this.hasEarnedPrerequisites(userId, achievement))) {
+        console.log(`⚠️ [${achievement.code}] Prerequisites not earned yet, skipping`);
+        return null;
       }
 
       // For tiered achievements, award all intermediate tiers
@@ -865,6 +1085,8 @@ class EngagementManager {
       
       const notifications = [];
       let currentRecord = null;
+      let previousPoints = 0;
+      const provenance = await this.buildProvenance(userId, achievement.requirement, currentValue);
       
       for (let i = 0; i < tiersToAward.length; i++) {
         const currentTier = tiersToAward[i];
@@ -907,6 +1129,25 @@ class EngagementManager {
           
           currentRecord = result[0];
         }
+
+        if (i === 0) {
+          await this.auditService.recordGrant(userId, achievement, {
+            tier: currentTier,
+            points: tierPoints,
+            source: 'engagement',
+            provenance,
+          });
+        } else {
+          await this.auditService.recordTierChange(userId, achievement, {
+            fromTier: tiersToAward[i - 1],
+            toTier: currentTier,
+            pointsBefore: previousPoints,
+            pointsAfter: tierPoints,
+            source: 'engagement',
+            provenance,
+          });
+        }
+        previousPoints = tierPoints;
         
         // Log activity for each tier
         await this.activityLogRepo.logActivity(
@@ -935,11 +1176,12 @@ class EngagementManager {
       return tiersToAward.length > 1 ? notifications : notifications[0];
     }
 
-    // Achievement exists - check for tier upgrade
+    // Achievement exists - check for tier change
     const existingRecord = existing[0];
     
     if (existingRecord.currentTier !== tier) {
-      // Tier upgrade
+      // Streak-style metrics can fall, so the new tier may be lower
+      const isDowngrade = this.auditService.isDowngrade(existingRecord.currentTier, tier);
       const result = await this.db.update(userAchievements)
         .set({
           currentTier: tier,
@@ -951,22 +1193,33 @@ class EngagementManager {
         .returning();
       
       const updatedRecord = result[0];
+
+      await this.auditService.recordTierChange(userId, achievement, {
+        fromTier: existingRecord.currentTier,
+        toTier: tier,
+        pointsBefore: existingRecord.pointsAwarded,
+        pointsAfter: pointsAwarded,
+        source: 'engagement',
+        provenance: await this.buildProvenance(userId, achievement.requirement, currentValue),
+      });
       
-      await this.activityLogRepo.logActivity(
-        userId,
-        'tier_upgrade',
-        {
-          achievementCode: achievement.code,
-          achievementName: achievement.name,
-          achievementIcon: achievement.icon,
-          achievementTier: tier
-        }
-      );
+      if (!isDowngrade) {
+        await this.activityLogRepo.logActivity(
+          userId,
+          'tier_upgrade',
+          {
+            achievementCode: achievement.code,
+            achievementName: achievement.name,
+            achievementIcon: achievement.icon,
+            achievementTier: tier
+          }
+        );
+      }
       
-      console.log(`⬆️ [${achievement.code}] Tier upgrade: ${existingRecord.currentTier} → ${tier} - ${pointsAwarded} points`);
+      console.log(`${isDowngrade ? '⬇️' : '⬆️'} [${achievement.code}] Tier ${isDowngrade ? 'downgrade' : 'upgrade'}: ${existingRecord.currentTier} → ${tier} - ${pointsAwarded} points`);
       
       return {
-        type: 'tier_upgrade',
+        type: isDowngrade ? 'tier_downgrade' : 'tier_upgrade',
         achievement,
         tier,
         percentage,
@@ -1056,6 +1309,10 @@ class EngagementManager {
         const evaluator = this.evaluators[achievement.requirement.type];
         if (!evaluator) continue;
         
+        // Rules can describe one-off feats ("5 spicy flavors in a week") that stop
+        // matching later, so rule coins are never revoked
+        if (achievement.requirement.type === 'rule') continue;
+        
         const stillEligible = evaluator(userStats, achievement.requirement);
         
         if (!stillEligible) {
@@ -1079,7 +1336,13 @@ class EngagementManager {
             achievementId: achievement.id,
             achievementCode: achievement.code,
             achievementName: achievement.name,
-            tier: userAchievement.currentTier
+            tier: userAchievement.currentTier,
+            pointsAwarded: userAchievement.pointsAwarded,
+            provenance: {
+              metric: achievement.requirement.type,
+              value: userStats[this.getStatKey(achievement.requirement.type)] ?? null,
+              required: achievement.requirement.value ?? null
+            }
           });
           
           console.log(`  ❌ Revoked: ${achievement.code} (${achievement.name})`);
@@ -1,6 +1,7 @@
 const { sql, eq } = require('drizzle-orm');
 const { userEngagementScores } = require('../../shared/schema');
 const LeaderboardCache = require('../cache/LeaderboardCache');
+const { PRIMARY_RANKING_LIST_ID, DEFAULT_TIMEZONE } = require('../../shared/constants');
 
 class EngagementScoreService {
   constructor(db) {
@@ -93,8 +94,10 @@ class EngagementScoreService {
     });
   }
 
+  // Week/month counts cover the last 7/30 calendar days in the user's timezone (today included),
+  // so the windows turn over at the user's local midnight rather than a rolling 24h boundary
   async recalculateUserScore(userId) {
-    const query = `
+    await this.db.execute(sql`
       INSERT INTO user_engagement_scores (
         user_id,
         achievements_count,
@@ -126,30 +129,36 @@ class EngagementScoreService {
          COALESCE(COUNT(DISTINCT act_pv.id), 0) + 
          COALESCE(COUNT(DISTINCT pr.id), 0) + 
          COALESCE(COUNT(DISTINCT act_s.id), 0))::int,
-        COALESCE(COUNT(DISTINCT ua.id) FILTER (WHERE ua.earned_at >= NOW() - INTERVAL '7 days'), 0)::int,
-        COALESCE(COUNT(DISTINCT act_pv.id) FILTER (WHERE act_pv.created_at >= NOW() - INTERVAL '7 days'), 0)::int,
-        COALESCE(COUNT(DISTINCT pr.id) FILTER (WHERE pr.created_at >= NOW() - INTERVAL '7 days'), 0)::int,
-        COALESCE(COUNT(DISTINCT act_s.id) FILTER (WHERE act_s.created_at >= NOW() - INTERVAL '7 days'), 0)::int,
-        (COALESCE(COUNT(DISTINCT ua.id) FILTER (WHERE ua.earned_at >= NOW() - INTERVAL '7 days'), 0) + 
-         COALESCE(COUNT(DISTINCT act_pv.id) FILTER (WHERE act_pv.created_at >= NOW() - INTERVAL '7 days'), 0) + 
-         COALESCE(COUNT(DISTINCT pr.id) FILTER (WHERE pr.created_at >= NOW() - INTERVAL '7 days'), 0) + 
-         COALESCE(COUNT(DISTINCT act_s.id) FILTER (WHERE act_s.created_at >= NOW() - INTERVAL '7 days'), 0))::int,
-        COALESCE(COUNT(DISTINCT ua.id) FILTER (WHERE ua.earned_at >= NOW() - INTERVAL '30 days'), 0)::int,
-        COALESCE(COUNT(DISTINCT act_pv.id) FILTER (WHERE act_pv.created_at >= NOW() - INTERVAL '30 days'), 0)::int,
-        COALESCE(COUNT(DISTINCT pr.id) FILTER (WHERE pr.created_at >= NOW() - INTERVAL '30 days'), 0)::int,
-        COALESCE(COUNT(DISTINCT act_s.id) FILTER (WHERE act_s.created_at >= NOW() - INTERVAL '30 days'), 0)::int,
-        (COALESCE(COUNT(DISTINCT ua.id) FILTER (WHERE ua.earned_at >= NOW() - INTERVAL '30 days'), 0) + 
-         COALESCE(COUNT(DISTINCT act_pv.id) FILTER (WHERE act_pv.created_at >= NOW() - INTERVAL '30 days'), 0) + 
-         COALESCE(COUNT(DISTINCT pr.id) FILTER (WHERE pr.created_at >= NOW() - INTERVAL '30 days'), 0) + 
-         COALESCE(COUNT(DISTINCT act_s.id) FILTER (WHERE act_s.created_at >= NOW() - INTERVAL '30 days'), 0))::int,
+        COALESCE(COUNT(DISTINCT ua.id) FILTER (WHERE ua.earned_at >= w.week_start), 0)::int,
+        COALESCE(COUNT(DISTINCT act_pv.id) FILTER (WHERE act_pv.created_at >= w.week_start), 0)::int,
+        COALESCE(COUNT(DISTINCT pr.id) FILTER (WHERE pr.created_at >= w.week_start), 0)::int,
+        COALESCE(COUNT(DISTINCT act_s.id) FILTER (WHERE act_s.created_at >= w.week_start), 0)::int,
+        (COALESCE(COUNT(DISTINCT ua.id) FILTER (WHERE ua.earned_at >= w.week_start), 0) + 
+         COALESCE(COUNT(DISTINCT act_pv.id) FILTER (WHERE act_pv.created_at >= w.week_start), 0) + 
+         COALESCE(COUNT(DISTINCT pr.id) FILTER (WHERE pr.created_at >= w.week_start), 0) + 
+         COALESCE(COUNT(DISTINCT act_s.id) FILTER (WHERE act_s.created_at >= w.week_start), 0))::int,
+        COALESCE(COUNT(DISTINCT ua.id) FILTER (WHERE ua.earned_at >= w.month_start), 0)::int,
+        COALESCE(COUNT(DISTINCT act_pv.id) FILTER (WHERE act_pv.created_at >= w.month_start), 0)::int,
+        COALESCE(COUNT(DISTINCT pr.id) FILTER (WHERE pr.created_at >= w.month_start), 0)::int,
+        COALESCE(COUNT(DISTINCT act_s.id) FILTER (WHERE act_s.created_at >= w.month_start), 0)::int,
+        (COALESCE(COUNT(DISTINCT ua.id) FILTER (WHERE ua.earned_at >= w.month_start), 0) + 
+         COALESCE(COUNT(DISTINCT act_pv.id) FILTER (WHERE act_pv.created_at >= w.month_start), 0) + 
+         COALESCE(COUNT(DISTINCT pr.id) FILTER (WHERE pr.created_at >= w.month_start), 0) + 
+         COALESCE(COUNT(DISTINCT act_s.id) FILTER (WHERE act_s.created_at >= w.month_start), 0))::int,
         NOW()
       FROM users u
-      LEFT JOIN product_rankings pr ON pr.user_id = u.id
+      CROSS JOIN LATERAL (
+        SELECT
+          (date_trunc('day', NOW() AT TIME ZONE tz.name) - INTERVAL '6 days') AT TIME ZONE tz.name AT TIME ZONE 'UTC' AS week_start,
+          (date_trunc('day', NOW() AT TIME ZONE tz.name) - INTERVAL '29 days') AT TIME ZONE tz.name AT TIME ZONE 'UTC' AS month_start
+        FROM (SELECT COALESCE(u.timezone, ${DEFAULT_TIMEZONE}) AS name) tz
+      ) w
+      LEFT JOIN product_rankings pr ON pr.user_id = u.id AND pr.ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
       LEFT JOIN user_activities act_pv ON act_pv.user_id = u.id AND act_pv.activity_type = 'page_view'
       LEFT JOIN user_achievements ua ON ua.user_id = u.id
       LEFT JOIN user_activities act_s ON act_s.user_id = u.id AND act_s.activity_type = 'search'
       WHERE u.id = ${userId} AND u.active = true
-      GROUP BY u.id
+      GROUP BY u.id, w.week_start, w.month_start
       ON CONFLICT (user_id) DO UPDATE SET
         achievements_count = EXCLUDED.achievements_count,
         page_views_count = EXCLUDED.page_views_count,
@@ -168,9 +177,7 @@ class EngagementScoreService {
         searches_count_month = EXCLUDED.searches_count_month,
         engagement_score_month = EXCLUDED.engagement_score_month,
         last_updated_at = NOW()
-    `;
-
-    await this.db.execute(sql.raw(query));
+    `);
   }
 
   async resetWeeklyScores() {
@@ -183,6 +190,8 @@ class EngagementScoreService {
           engagement_score_week = 0,
           last_updated_at = NOW()
     `);
+    // Cached week leaderboards and user positions now describe the previous season
+    await this.leaderboardCache.invalidate();
     console.log('✅ Weekly engagement scores reset successfully');
   }
 
@@ -196,6 +205,8 @@ class EngagementScoreService {
           engagement_score_month = 0,
           last_updated_at = NOW()
     `);
+    // Cached month leaderboards and user positions now describe the previous season
+    await this.leaderboardCache.invalidate();
     console.log('✅ Monthly engagement scores reset successfully');
   }
 
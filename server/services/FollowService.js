@@ -0,0 +1,209 @@
+const { sql } = require('drizzle-orm');
+const { SOCIAL_ACTIVITY_TYPES } = require('../repositories/ActivityLogRepository');
+
+const FEED_ACTIVITY_TYPES = sql.join(SOCIAL_ACTIVITY_TYPES.map(type => sql`${type}`), sql`, `);
+
+/**
+ * FollowService - Community follower graph and the personalized following feed
+ *
+ * Follows live in user_follows (one row per follower → followee). Listing endpoints return users
+ * formatted by CommunityService so privacy settings (hidden names/handles) are respected.
+ * Live delivery of followed users' activity goes through the gateway's followers:<userId> rooms.
+ */
+class FollowService {
+  constructor(db, communityService) {
+    this.db = db;
+    this.communityService = communityService;
+  }
+
+  /**
+   * Follow a user (no-op if already following)
+   * @param {number} followerId - User who follows
+   * @param {number} followeeId - User to follow
+   * @returns {Promise<Object>} { isFollowing: true, created (false if already following), followerCount, followingCount }
+   */
+  async follow(followerId, followeeId) {
+    const result = await this.db.execute(sql`
+      INSERT INTO user_follows (follower_id, followee_id)
+      VALUES (${followerId}, ${followeeId})
+      ON CONFLICT (follower_id, followee_id) DO NOTHING
+      RETURNING id
+    `);
+    return { isFollowing: true, created: result.rows.length > 0, ...(await this.getFollowCounts(followeeId)) };
+  }
+
+  /**
+   * Unfollow a user (no-op if not following)
+   * @param {number} followerId - User who follows
+   * @param {number} followeeId - User to unfollow
+   * @returns {Promise<Object>} { isFollowing: false, followerCount, followingCount }
+   */
+  async unfollow(followerId, followeeId) {
+    await this.db.execute(sql`
+      DELETE FROM user_follows
+      WHERE follower_id = ${followerId} AND followee_id = ${followeeId}
+    `);
+    return { isFollowing: false, ...(await this.getFollowCounts(followeeId)) };
+  }
+
+  /**
+   * Follower and following counts for one user
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} { followerCount, followingCount }
+   */
+  async getFollowCounts(userId) {
+    const counts = await this.getFollowCountsForUsers([userId]);
+    return counts.get(userId);
+  }
+
+  /**
+   * Follower and following counts for a page of users in one query
+   * @param {Array<number>} userIds - User IDs
+   * @returns {Promise<Map>} userId -> { followerCount, followingCount }
+   */
+  async getFollowCountsForUsers(userIds) {
+    const counts = new Map(userIds.map(id => [id, { followerCount: 0, followingCount: 0 }]));
+    if (userIds.length === 0) return counts;
+
+    const ids = sql.join(userIds.map(id => sql`${id}`), sql`, `);
+    const result = await this.db.execute(sql`
+      SELECT
+        u.id,
+        (SELECT COUNT(*) FROM user_follows uf JOIN users f ON f.id = uf.follower_id AND f.active = true
+         WHERE uf.followee_id = u.id) AS follower_count,
+        (SELECT COUNT(*) FROM user_follows uf JOIN users f ON f.id = uf.followee_id AND f.active = true
+         WHERE uf.follower_id = u.id) AS following_count
+      FROM users u
+      WHERE u.id IN (${ids})
+    `);
+
+    for (const row of result.rows) {
+      counts.set(row.id, {
+        followerCount: parseInt(row.follower_count) || 0,
+        followingCount: parseInt(row.following_count) || 0,
+      });
+    }
+    return counts;
+  }
+
+  /**
+   * Which of the given users the viewer follows
+   * @param {number|null} viewerId - Viewer's user ID (null for anonymous viewers)
+   * @param {Array<number>} userIds - User IDs
+   * @returns {Promise<Set<number>>}
+   */
+  async getFollowedAmong(viewerId, userIds) {
+    if (!viewerId || userIds.length === 0) return new Set();
+
+    const ids = sql.join(userIds.map(id => sql`${id}`), sql`, `);
+    const result = await this.db.execute(sql`
+      SELECT followee_id FROM user_follows
+      WHERE follower_id = ${viewerId} AND followee_id IN (${ids})
+    `);
+    return new Set(result.rows.map(row => row.followee_id));
+  }
+
+  /**
+   * IDs of everyone a user follows (used to join their followers:<id> socket rooms)
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<number>>}
+   */
+  async getFollowingIds(userId) {
+    const result = await this.db.execute(sql`
+      SELECT followee_id FROM user_follows WHERE follower_id = ${userId}
+    `);
+    return result.rows.map(row => row.followee_id);
+  }
+
+  /**
+   * Users who follow a user, most recent first
+   * @param {number} userId - User ID
+   * @param {Object} options - { limit, offset, viewerId }
+   * @returns {Promise<Object>} { users, total }
+   */
+  async getFollowers(userId, { limit = 20, offset = 0, viewerId = null } = {}) {
+    return this.listFollowUsers(sql`uf.followee_id = ${userId}`, sql`uf.follower_id`, { limit, offset, viewerId });
+  }
+
+  /**
+   * Users a user follows, most recent first
+   * @param {number} userId - User ID
+   * @param {Object} options - { limit, offset, viewerId }
+   * @returns {Promise<Object>} { users, total }
+   */
+  async getFollowing(userId, { limit = 20, offset = 0, viewerId = null } = {}) {
+    return this.listFollowUsers(sql`uf.follower_id = ${userId}`, sql`uf.followee_id`, { limit, offset, viewerId });
+  }
+
+  async listFollowUsers(condition, userColumn, { limit, offset, viewerId }) {
+    const [countResult, result] = await Promise.all([
+      this.db.execute(sql`
+        SELECT COUNT(*) AS total
+        FROM user_follows uf
+        JOIN users u ON u.id = ${userColumn} AND u.active = true
+        WHERE ${condition}
+      `),
+      this.db.execute(sql`
+        SELECT u.id, u.first_name, u.last_name, u.display_name, u.profile_image_url, u.handle,
+               u.hide_name_privacy, uf.created_at AS followed_at
+        FROM user_follows uf
+        JOIN users u ON u.id = ${userColumn} AND u.active = true
+        WHERE ${condition}
+        ORDER BY uf.created_at DESC, u.id ASC
+        LIMIT ${limit} OFFSET ${offset}
+      `),
+    ]);
+
+    const followed = await this.getFollowedAmong(viewerId, result.rows.map(row => row.id));
+
+    return {
+      users: result.rows.map(row => ({
+        id: row.id,
+        displayName: this.communityService.formatDisplayName(row),
+        avatarUrl: row.profile_image_url,
+        initials: this.communityService.getUserInitials(row),
+        handle: row.hide_name_privacy ? null : row.handle,
+        followedAt: row.followed_at,
+        isFollowing: followed.has(row.id),
+      })),
+      total: parseInt(countResult.rows[0]?.total) || 0,
+    };
+  }
+
+  /**
+   * Public social activity from the users someone follows, newest first
+   * @param {number} userId - Viewer's user ID
+   * @param {Object} options - { limit, before (ISO timestamp cursor for older pages) }
+   * @returns {Promise<Array>} [{ id, type, data, createdAt, user: { id, displayName, avatarUrl, initials, handle } }]
+   */
+  async getFollowingFeed(userId, { limit = 20, before = null } = {}) {
+    const result = await this.db.execute(sql`
+      SELECT al.id, al.user_id, al.activity_type, al.activity_data, al.created_at,
+             u.first_name, u.last_name, u.display_name, u.profile_image_url, u.handle, u.hide_name_privacy
+      FROM activity_logs al
+      JOIN user_follows uf ON uf.followee_id = al.user_id AND uf.follower_id = ${userId}
+      JOIN users u ON u.id = al.user_id AND u.active = true
+      WHERE al.is_public = 1
+        AND al.activity_type IN (${FEED_ACTIVITY_TYPES})
+        ${before ? sql`AND al.created_at < ${before}` : sql``}
+      ORDER BY al.created_at DESC, al.id DESC
+      LIMIT ${limit}
+    `);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      type: row.activity_type,
+      data: row.activity_data,
+      createdAt: row.created_at,
+      user: {
+        id: row.user_id,
+        displayName: this.communityService.formatDisplayName(row),
+        avatarUrl: row.profile_image_url,
+        initials: this.communityService.getUserInitials(row),
+        handle: row.hide_name_privacy ? null : row.handle,
+      },
+    }));
+  }
+}
+
+module.exports = FollowService;
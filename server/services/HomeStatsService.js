@@ -1,5 +1,14 @@
 const { sql } = require('drizzle-orm');
 const { formatAchievementPayload } = require('../utils/achievementIconFormatter');
+const { PRIMARY_RANKING_LIST_ID } = require('../../shared/constants');
+const { getStartOfToday, resolveTimeZone } = require('../utils/timeZone');
+const { screenDisplayName } = require('../utils/contentModeration');
+const {
+  DEFAULT_AGGREGATION_METHOD,
+  LIST_LENGTHS_SQL,
+  BORDA_POINTS_SQL,
+  aggregateRankings,
+} = require('../utils/rankAggregation');
 
 /**
  * HomeStatsService - Aggregates statistics for home page dashboard
@@ -22,33 +31,50 @@ class HomeStatsService {
   }
 
   /**
-   * Get top 5 products by average rank (lower is better)
+   * Get top 5 products by community consensus (see server/utils/rankAggregation.js)
+   * avgRank is still returned for display
    */
-  async getTopProductsByAvgRank(limit = 5) {
+  async getTopProductsByAvgRank(limit = 5, { method = DEFAULT_AGGREGATION_METHOD } = {}) {
+    // Every ranked product is scored, since the global mean feeds the Bayesian prior
     const results = await this.db.execute(sql`
+      WITH list_lengths AS (${LIST_LENGTHS_SQL})
       SELECT 
-        shopify_product_id,
-        MAX(product_data::text)::jsonb as product_data,
+        pr.shopify_product_id,
+        MAX(pr.product_data::text)::jsonb as product_data,
         COUNT(*) as rank_count,
-        AVG(ranking) as avg_rank,
-        MIN(ranking) as best_rank,
-        MAX(ranking) as worst_rank
-      FROM product_rankings
-      WHERE product_data IS NOT NULL
-      GROUP BY shopify_product_id
-      HAVING COUNT(*) >= 1
-      ORDER BY avg_rank ASC
-      LIMIT ${limit}
+        AVG(pr.ranking) as avg_rank,
+        MIN(pr.ranking) as best_rank,
+        MAX(pr.ranking) as worst_rank,
+        SUM(${BORDA_POINTS_SQL}) as borda_points
+      FROM product_rankings pr
+      INNER JOIN list_lengths ll ON ll.user_id = pr.user_id
+      WHERE pr.ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+      GROUP BY pr.shopify_product_id
     `);
 
-    return results.rows.map(row => ({
-      productId: row.shopify_product_id,
-      productData: row.product_data,
-      rankCount: parseInt(row.rank_count),
-      avgRank: parseFloat(row.avg_rank).toFixed(1),
-      bestRank: parseInt(row.best_rank),
-      worstRank: parseInt(row.worst_rank),
-    }));
+    const products = results.rows
+      .filter(row => row.product_data)
+      .map(row => ({
+        productId: row.shopify_product_id,
+        productData: row.product_data,
+        rankingCount: parseInt(row.rank_count),
+        avgRank: parseFloat(row.avg_rank),
+        bestRank: parseInt(row.best_rank),
+        worstRank: parseInt(row.worst_rank),
+        bordaPoints: parseFloat(row.borda_points) || 0,
+      }));
+
+    return aggregateRankings(products, { method })
+      .slice(0, limit)
+      .map(product => ({
+        productId: product.productId,
+        productData: product.productData,
+        rankCount: product.rankingCount,
+        avgRank: product.avgRank.toFixed(1),
+        bestRank: product.bestRank,
+        worstRank: product.worstRank,
+        consensusScore: Math.round(product.consensusScore * 1000) / 1000,
+      }));
   }
 
   /**
@@ -66,7 +92,8 @@ class HomeStatsService {
         u.last_name
       FROM product_rankings pr
       JOIN users u ON pr.user_id = u.id
-      WHERE pr.product_data IS NOT NULL
+      WHERE pr.ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+        AND pr.product_data IS NOT NULL
       ORDER BY pr.created_at DESC
       LIMIT ${limit * 3}
     `);
@@ -84,7 +111,7 @@ class HomeStatsService {
           productData: row.product_data,
           ranking: parseInt(row.ranking),
           rankedAt: new Date(row.created_at).toISOString(),
-          rankedBy: `${row.first_name} ${row.last_name.charAt(0)}.`,
+          rankedBy: screenDisplayName(`${row.first_name} ${row.last_name.charAt(0)}.`),
         });
       }
     }
@@ -104,7 +131,8 @@ class HomeStatsService {
         AVG(ranking) as avg_rank
       FROM product_rankings
       WHERE 
-        product_data IS NOT NULL
+        ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+        AND product_data IS NOT NULL
         AND created_at >= NOW() - INTERVAL '${sql.raw(days.toString())} days'
       GROUP BY shopify_product_id
       ORDER BY recent_rank_count DESC, avg_rank ASC
@@ -133,7 +161,8 @@ class HomeStatsService {
         MIN(ranking) as best_rank,
         MAX(ranking) as worst_rank
       FROM product_rankings
-      WHERE product_data IS NOT NULL
+      WHERE ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+        AND product_data IS NOT NULL
       GROUP BY shopify_product_id
       HAVING COUNT(*) >= 2 AND STDDEV(ranking) > 0
       ORDER BY STDDEV(ranking) DESC
@@ -192,82 +221,30 @@ class HomeStatsService {
     });
   }
 
-  /**
-   * Get start of today in US Central time
-   * @returns {Date} Start of today in Central time (as UTC Date object)
-   */
-  getStartOfTodayCentral() {
-    const now = new Date();
-    
-    // Get today's date in Central timezone
-    const formatter = new Intl.DateTimeFormat('en-US', {
-      timeZone: 'America/Chicago',
-      year: 'numeric',
-      month: '2-digit',
-      day: '2-digit',
-    });
-    
-    const parts = formatter.formatToParts(now);
-    const year = parseInt(parts.find(p => p.type === 'year').value);
-    const month = parseInt(parts.find(p => p.type === 'month').value);
-    const day = parseInt(parts.find(p => p.type === 'day').value);
-    
-    // Find the UTC timestamp for midnight Central on this date
-    // We test different UTC hours to find when Central time shows 00:00
-    const timeFormatter = new Intl.DateTimeFormat('en-US', {
-      timeZone: 'America/Chicago',
-      year: 'numeric',
-      month: '2-digit',
-      day: '2-digit',
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: false,
-    });
-    
-    // Start testing from a reasonable range (CST is UTC-6, CDT is UTC-5)
-    // So midnight Central should be between 5-7 UTC
-    for (let utcHour = 4; utcHour <= 7; utcHour++) {
-      const testDate = new Date(Date.UTC(year, month - 1, day, utcHour, 0, 0, 0));
-      const testParts = timeFormatter.formatToParts(testDate);
-      
-      const testDay = parseInt(testParts.find(p => p.type === 'day').value);
-      const testHour = parseInt(testParts.find(p => p.type === 'hour').value);
-      const testMinute = parseInt(testParts.find(p => p.type === 'minute').value);
-      
-      // Found midnight Central (00:00) on the correct day
-      if (testDay === day && testHour === 0 && testMinute === 0) {
-        return testDate;
-      }
-    }
-    
-    // Fallback if not found in expected range (should not happen)
-    // Default to CST offset (UTC-6)
-    return new Date(Date.UTC(year, month - 1, day, 6, 0, 0, 0));
-  }
-
   /**
    * Get community stats overview
+   * @param {string} timeZone - Viewer's timezone for the "today" counter
    */
-  async getCommunityStats() {
-    const startOfTodayCentral = this.getStartOfTodayCentral();
+  async getCommunityStats(timeZone = null) {
+    const startOfToday = getStartOfToday(timeZone);
     
     const [totalRankings, totalRankers, totalProducts, activeToday] = await Promise.all([
       // Total rankings
-      this.db.execute(sql`SELECT COUNT(*) as count FROM product_rankings`),
+      this.db.execute(sql`SELECT COUNT(*) as count FROM product_rankings WHERE ranking_list_id = ${PRIMARY_RANKING_LIST_ID}`),
       
       // Total unique rankers
-      this.db.execute(sql`SELECT COUNT(DISTINCT user_id) as count FROM product_rankings`),
+      this.db.execute(sql`SELECT COUNT(DISTINCT user_id) as count FROM product_rankings WHERE ranking_list_id = ${PRIMARY_RANKING_LIST_ID}`),
       
       // Total unique products ranked
-      this.db.execute(sql`SELECT COUNT(DISTINCT shopify_product_id) as count FROM product_rankings`),
+      this.db.execute(sql`SELECT COUNT(DISTINCT shopify_product_id) as count FROM product_rankings WHERE ranking_list_id = ${PRIMARY_RANKING_LIST_ID}`),
       
-      // Active users today (based on page views OR rankings in US Central time)
+      // Active users today (based on page views OR rankings since the viewer's local midnight)
       this.db.execute(sql`
         SELECT COUNT(DISTINCT user_id) as count 
         FROM user_activities 
         WHERE user_id IS NOT NULL 
         AND activity_type IN ('page_view', 'ranking_saved')
-        AND created_at >= ${startOfTodayCentral}
+        AND created_at >= ${startOfToday}
       `),
     ]);
 
@@ -276,6 +253,7 @@ class HomeStatsService {
       FROM (
         SELECT user_id, COUNT(*) as ranking_count
         FROM product_rankings
+        WHERE ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
         GROUP BY user_id
       ) user_rankings
     `);
@@ -292,11 +270,11 @@ class HomeStatsService {
   /**
    * Get community activity stats (8 metrics showing live community pulse)
    * Each metric includes count + specific recent example
+   * @param {string} timeZone - Viewer's timezone for "today" and "this week"
    */
-  async getCommunityActivityStats() {
-    const startOfTodayCentral = this.getStartOfTodayCentral();
-    const startOfWeek = new Date(startOfTodayCentral);
-    startOfWeek.setDate(startOfWeek.getDate() - 7);
+  async getCommunityActivityStats(timeZone = null) {
+    const startOfToday = getStartOfToday(timeZone);
+    const startOfWeek = getStartOfToday(timeZone, -7);
 
     const [
       achievementsToday,
@@ -326,7 +304,7 @@ class HomeStatsService {
         FROM user_achievements ua
         JOIN achievements a ON ua.achievement_id = a.id
         JOIN users u ON ua.user_id = u.id
-        WHERE ua.earned_at >= ${startOfTodayCentral}
+        WHERE ua.earned_at >= ${startOfToday}
         ORDER BY ua.earned_at DESC
       `),
 
@@ -334,7 +312,8 @@ class HomeStatsService {
       this.db.execute(sql`
         SELECT COUNT(*) as count
         FROM product_rankings
-        WHERE created_at >= ${startOfWeek}
+        WHERE ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+          AND created_at >= ${startOfWeek}
       `),
 
       // 2b. Latest product ranked this week
@@ -348,7 +327,8 @@ class HomeStatsService {
           u.last_name
         FROM product_rankings pr
         JOIN users u ON pr.user_id = u.id
-        WHERE pr.created_at >= ${startOfWeek}
+        WHERE pr.ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+          AND pr.created_at >= ${startOfWeek}
           AND pr.product_data IS NOT NULL
         ORDER BY pr.created_at DESC
         LIMIT 1
@@ -358,7 +338,8 @@ class HomeStatsService {
       this.db.execute(sql`
         SELECT COUNT(DISTINCT (product_data->>'primaryFlavor')) as count
         FROM product_rankings
-        WHERE created_at >= ${startOfWeek}
+        WHERE ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+          AND created_at >= ${startOfWeek}
           AND product_data IS NOT NULL
           AND (product_data->>'primaryFlavor') IS NOT NULL
       `),
@@ -374,7 +355,8 @@ class HomeStatsService {
           u.last_name
         FROM product_rankings pr
         JOIN users u ON pr.user_id = u.id
-        WHERE pr.created_at >= ${startOfWeek}
+        WHERE pr.ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+          AND pr.created_at >= ${startOfWeek}
           AND pr.product_data IS NOT NULL
           AND (pr.product_data->>'primaryFlavor') IS NOT NULL
         ORDER BY pr.created_at DESC
@@ -395,7 +377,7 @@ class HomeStatsService {
         FROM user_achievements ua
         JOIN achievements a ON ua.achievement_id = a.id
         JOIN users u ON ua.user_id = u.id
-        WHERE ua.earned_at >= ${startOfTodayCentral}
+        WHERE ua.earned_at >= ${startOfToday}
           AND a.collection_type IN ('static_collection', 'dynamic_collection', 'flavor_coin')
         ORDER BY ua.earned_at DESC
       `),
@@ -407,7 +389,7 @@ class HomeStatsService {
           COUNT(DISTINCT ufpc.user_id) as active_users,
           COUNT(*) as rankings_today
         FROM user_flavor_profile_communities ufpc
-        WHERE ufpc.updated_at >= ${startOfTodayCentral}
+        WHERE ufpc.updated_at >= ${startOfToday}
         GROUP BY ufpc.flavor_profile
         ORDER BY COUNT(*) DESC
       `),
@@ -419,6 +401,7 @@ class HomeStatsService {
             user_id,
             MIN(created_at) as first_ranking_at
           FROM product_rankings
+          WHERE ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
           GROUP BY user_id
         )
         SELECT 
@@ -432,8 +415,10 @@ class HomeStatsService {
           pr.ranking
         FROM first_rankings fr
         JOIN users u ON fr.user_id = u.id
-        JOIN product_rankings pr ON pr.user_id = fr.user_id AND pr.created_at = fr.first_ranking_at
-        WHERE fr.first_ranking_at >= ${startOfTodayCentral}
+        JOIN product_rankings pr ON pr.user_id = fr.user_id
+          AND pr.ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+          AND pr.created_at = fr.first_ranking_at
+        WHERE fr.first_ranking_at >= ${startOfToday}
         ORDER BY fr.first_ranking_at DESC
       `),
 
@@ -441,7 +426,7 @@ class HomeStatsService {
       this.db.execute(sql`
         SELECT COUNT(DISTINCT user_id) as count
         FROM user_activities
-        WHERE created_at >= ${startOfTodayCentral}
+        WHERE created_at >= ${startOfToday}
           AND user_id IS NOT NULL
       `),
 
@@ -456,7 +441,7 @@ class HomeStatsService {
           ua.activity_type
         FROM user_activities ua
         JOIN users u ON ua.user_id = u.id
-        WHERE ua.created_at >= ${startOfTodayCentral}
+        WHERE ua.created_at >= ${startOfToday}
           AND ua.user_id IS NOT NULL
         ORDER BY ua.created_at DESC
         LIMIT 1
@@ -468,7 +453,8 @@ class HomeStatsService {
         FROM (
           SELECT shopify_product_id
           FROM product_rankings
-          WHERE created_at >= ${startOfTodayCentral}
+          WHERE ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+            AND created_at >= ${startOfToday}
             AND product_data IS NOT NULL
           GROUP BY shopify_product_id
           HAVING COUNT(*) >= 3
@@ -483,7 +469,8 @@ class HomeStatsService {
             COUNT(*) as ranking_count,
             MAX(created_at) as latest_ranking_at
           FROM product_rankings
-          WHERE created_at >= ${startOfTodayCentral}
+          WHERE ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+            AND created_at >= ${startOfToday}
             AND product_data IS NOT NULL
           GROUP BY shopify_product_id
           HAVING COUNT(*) >= 3
@@ -509,7 +496,8 @@ class HomeStatsService {
           FROM product_rankings pr
           JOIN hottest_product hp ON pr.shopify_product_id = hp.shopify_product_id
           JOIN users u ON pr.user_id = u.id
-          WHERE pr.created_at >= ${startOfTodayCentral}
+          WHERE pr.ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+            AND pr.created_at >= ${startOfToday}
           ORDER BY pr.created_at DESC
           LIMIT 1
         )
@@ -561,7 +549,7 @@ class HomeStatsService {
         latest: productsRankedLatest.rows[0] ? {
           productData: productsRankedLatest.rows[0].product_data,
           ranking: parseInt(productsRankedLatest.rows[0].ranking),
-          rankedBy: `${productsRankedLatest.rows[0].first_name} ${productsRankedLatest.rows[0].last_name?.charAt(0)}.`,
+          rankedBy: screenDisplayName(`${productsRankedLatest.rows[0].first_name} ${productsRankedLatest.rows[0].last_name?.charAt(0)}.`),
           rankedAt: new Date(productsRankedLatest.rows[0].created_at).toISOString(),
         } : null,
       },
@@ -571,7 +559,7 @@ class HomeStatsService {
           flavor: flavorsRankedWeekLatest.rows[0].flavor,
           productData: flavorsRankedWeekLatest.rows[0].product_data,
           ranking: parseInt(flavorsRankedWeekLatest.rows[0].ranking),
-          rankedBy: `${flavorsRankedWeekLatest.rows[0].first_name} ${flavorsRankedWeekLatest.rows[0].last_name?.charAt(0)}.`,
+          rankedBy: screenDisplayName(`${flavorsRankedWeekLatest.rows[0].first_name} ${flavorsRankedWeekLatest.rows[0].last_name?.charAt(0)}.`),
           rankedAt: new Date(flavorsRankedWeekLatest.rows[0].latest_at).toISOString(),
         } : null,
       },
@@ -611,7 +599,7 @@ class HomeStatsService {
         latest: hotProductsLatest.rows[0] ? {
           productData: hotProductsLatest.rows[0].product_data,
           rankingCount: parseInt(hotProductsLatest.rows[0].ranking_count),
-          rankedBy: `${hotProductsLatest.rows[0].first_name} ${hotProductsLatest.rows[0].last_name?.charAt(0)}.`,
+          rankedBy: screenDisplayName(`${hotProductsLatest.rows[0].first_name} ${hotProductsLatest.rows[0].last_name?.charAt(0)}.`),
           rankedAt: new Date(hotProductsLatest.rows[0].latest_at).toISOString(),
         } : null,
       },
@@ -620,11 +608,14 @@ class HomeStatsService {
 
   /**
    * Get all home page stats in one call
-   * Uses cache to avoid expensive repeated queries
+   * Uses cache to avoid expensive repeated queries (one entry per viewer timezone)
+   * @param {Object} options - { timeZone } Viewer's timezone for "today" counters
    */
-  async getAllHomeStats() {
+  async getAllHomeStats({ timeZone = null } = {}) {
+    const cacheKey = resolveTimeZone(timeZone);
+
     // Check cache first
-    const cached = this.homeStatsCache ? this.homeStatsCache.get() : null;
+    const cached = this.homeStatsCache ? this.homeStatsCache.get(cacheKey) : null;
     if (cached) {
       return cached;
     }
@@ -648,8 +639,8 @@ class HomeStatsService {
       this.getTrendingProducts(5, 7),
       this.getMostDebatedProducts(5),
       this.getRecentAchievements(5),
-      this.getCommunityStats(),
-      this.getCommunityActivityStats(),
+      this.getCommunityStats(cacheKey),
+      this.getCommunityActivityStats(cacheKey),
     ]);
 
     // LeaderboardManager now handles privacy-aware formatting (displayName, avatarUrl, initials)
@@ -667,7 +658,7 @@ class HomeStatsService {
 
     // Store in cache
     if (this.homeStatsCache) {
-      this.homeStatsCache.set(stats);
+      this.homeStatsCache.set(stats, cacheKey);
     }
 
     const duration = Date.now() - startTime;
@@ -689,13 +680,13 @@ class HomeStatsService {
   /**
    * Get hero dashboard statistics (lightweight version for hero section)
    * Returns: active rankers today, achievements this week, total rankings, recent achievements
+   * @param {Object} options - { timeZone } Viewer's timezone for "today" and "this week"
    */
-  async getHeroDashboardStats() {
-    const startOfTodayCentral = this.getStartOfTodayCentral();
+  async getHeroDashboardStats({ timeZone = null } = {}) {
+    const startOfToday = getStartOfToday(timeZone);
     
     // Calculate start of this week (7 days ago)
-    const startOfWeek = new Date(startOfTodayCentral);
-    startOfWeek.setDate(startOfWeek.getDate() - 7);
+    const startOfWeek = getStartOfToday(timeZone, -7);
 
     const [activeToday, achievementsThisWeek, totalRankings, recentAchievements] = await Promise.all([
       // Active users today (users who have page views or rankings)
@@ -704,7 +695,7 @@ class HomeStatsService {
         FROM user_activities 
         WHERE user_id IS NOT NULL 
         AND activity_type IN ('page_view', 'ranking_saved')
-        AND created_at >= ${startOfTodayCentral}
+        AND created_at >= ${startOfToday}
       `),
       
       // Achievements earned this week
@@ -715,7 +706,7 @@ class HomeStatsService {
       `),
       
       // Total rankings all-time
-      this.db.execute(sql`SELECT COUNT(*) as count FROM product_rankings`),
+      this.db.execute(sql`SELECT COUNT(*) as count FROM product_rankings WHERE ranking_list_id = ${PRIMARY_RANKING_LIST_ID}`),
       
       // Recent achievements (last 10)
       this.getRecentAchievements(10),
@@ -1,7 +1,15 @@
-const { desc, sql, eq } = require('drizzle-orm');
+const { desc, sql, eq, and } = require('drizzle-orm');
 const { users, productRankings, userAchievements, achievements } = require('../../shared/schema');
+const { PRIMARY_RANKING_LIST_ID } = require('../../shared/constants');
 const LeaderboardPositionCache = require('../cache/LeaderboardPositionCache');
 const LeaderboardCache = require('../cache/LeaderboardCache');
+const UserComparisonCache = require('../cache/UserComparisonCache');
+const { spearmanCorrelation, percentileScore } = require('../utils/rankCorrelation');
+
+// Comparison payload limits
+const MAX_COMPARISON_LIST_ITEMS = 50;
+const MAX_COMPARISON_HIGHLIGHTS = 5;
+const BOTH_LOVE_PERCENTILE = 0.75;
 
 /**
  * LeaderboardManager - Domain service for leaderboard calculations
@@ -12,6 +20,7 @@ class LeaderboardManager {
     this.communityService = communityService;
     this.positionCache = LeaderboardPositionCache.getInstance();
     this.leaderboardCache = LeaderboardCache.getInstance();
+    this.comparisonCache = UserComparisonCache.getInstance();
   }
 
   /**
@@ -226,24 +235,162 @@ class LeaderboardManager {
   }
 
   /**
-   * Get user comparison data
-   * @param {number} userId1 - First user ID
-   * @param {number} userId2 - Second user ID
-   * @returns {Object} Comparison data
+   * Head-to-head comparison of two users' primary lists (cached per pair)
+   * Positions are compared as percentiles of each list (1 = top, 0 = bottom) so
+   * a 20-item list and an 80-item list can be compared fairly.
+   * @param {number} userId1 - Viewing user ID
+   * @param {number} userId2 - Compared user ID
+   * @returns {Promise<Object|null>} Comparison data, or null if user2 doesn't exist or keeps their rankings private
    */
   async compareUsers(userId1, userId2) {
-    const [user1Stats, user2Stats] = await Promise.all([
-      this.getUserStats(userId1),
-      this.getUserStats(userId2),
-    ]);
+    const cached = this.comparisonCache.get(userId1, userId2);
+    if (cached) return cached;
 
-    const similarity = this.calculateTasteSimilarity(user1Stats, user2Stats);
+    const usersResult = await this.db.execute(sql`
+      SELECT u.id, u.first_name, u.last_name, u.display_name, u.handle, u.hide_name_privacy,
+             u.profile_image_url, rl.visibility
+      FROM users u
+      LEFT JOIN ranking_lists rl ON rl.user_id = u.id AND rl.list_id = ${PRIMARY_RANKING_LIST_ID}
+      WHERE u.id IN (${userId1}, ${userId2})
+        AND u.active = true
+    `);
+    const usersById = new Map(usersResult.rows.map(row => [row.id, row]));
+    const target = usersById.get(userId2);
+    if (!usersById.has(userId1) || !target || target.visibility === 'private') {
+      return null;
+    }
 
-    return {
-      user1: user1Stats,
-      user2: user2Stats,
-      similarity,
+    const rankingsResult = await this.db.execute(sql`
+      SELECT pr.user_id, pr.shopify_product_id, pr.ranking,
+             COALESCE(pm.title, pr.product_data->>'title') as title,
+             pr.product_data->>'vendor' as vendor,
+             pm.animal_type, pm.animal_display, pm.primary_flavor, pm.flavor_display
+      FROM product_rankings pr
+      LEFT JOIN products_metadata pm ON pm.shopify_product_id = pr.shopify_product_id
+      WHERE pr.user_id IN (${userId1}, ${userId2})
+        AND pr.ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+      ORDER BY pr.ranking ASC
+    `);
+
+    const listFor = (userId) => rankingsResult.rows
+      .filter(row => row.user_id === userId)
+      .map(row => ({
+        productId: row.shopify_product_id,
+        position: parseInt(row.ranking),
+        title: row.title || 'Unknown flavor',
+        vendor: row.vendor,
+        animalType: row.animal_type,
+        animalDisplay: row.animal_display,
+        primaryFlavor: row.primary_flavor,
+        flavorDisplay: row.flavor_display,
+      }));
+    const list1 = listFor(userId1);
+    const list2 = listFor(userId2);
+    const positions2 = new Map(list2.map(item => [item.productId, item.position]));
+
+    // Products both users ranked, with how closely they agree (1 = same relative spot)
+    const shared = list1
+      .filter(item => positions2.has(item.productId))
+      .map(item => {
+        const otherPosition = positions2.get(item.productId);
+        const percentile1 = percentileScore(item.position, list1.length);
+        const percentile2 = percentileScore(otherPosition, list2.length);
+        return {
+          ...item,
+          otherPosition,
+          percentile1,
+          percentile2,
+          agreement: 1 - Math.abs(percentile1 - percentile2),
+        };
+      });
+
+    const toPercent = (value) => Math.round(value * 100);
+    const meanAgreement = (items) => items.length > 0
+      ? toPercent(items.reduce((sum, item) => sum + item.agreement, 0) / items.length)
+      : null;
+    const describeShared = ({ percentile1, percentile2, agreement, ...item }) => ({
+      ...item,
+      agreement: toPercent(agreement),
+    });
+
+    const groupAgreement = (keyField, labelField) => {
+      const groups = new Map();
+      for (const item of shared) {
+        const key = item[keyField];
+        if (!key) continue;
+        if (!groups.has(key)) {
+          groups.set(key, { key, label: item[labelField] || key, items: [] });
+        }
+        groups.get(key).items.push(item);
+      }
+      return Array.from(groups.values())
+        .map(({ key, label, items }) => ({
+          key,
+          label,
+          sharedCount: items.length,
+          agreement: meanAgreement(items),
+        }))
+        .sort((a, b) => b.sharedCount - a.sharedCount || b.agreement - a.agreement);
+    };
+
+    const toProfile = (user, list) => ({
+      userId: user.id,
+      displayName: this.communityService ? this.communityService.formatDisplayName(user) : 'User',
+      avatarUrl: this.communityService ? this.communityService.getAvatarUrl(user) : null,
+      initials: this.communityService ? this.communityService.getUserInitials(user) : '?',
+      totalRankings: list.length,
+      uniqueProducts: list.length,
+      uniqueBrands: new Set(list.map(item => item.vendor).filter(Boolean)).size,
+      topRanked: list.filter(item => item.position <= 5),
+    });
+
+    const user1 = toProfile(usersById.get(userId1), list1);
+    const user2 = toProfile(target, list2);
+
+    const comparison = {
+      user1,
+      user2,
+      // Legacy top-5 overlap score (0-100)
+      similarity: this.calculateTasteSimilarity(user1, user2),
+      sharedCount: shared.length,
+      agreement: meanAgreement(shared),
+      correlation: shared.length >= 2
+        ? Math.round(spearmanCorrelation(
+          shared.map(item => item.position),
+          shared.map(item => item.otherPosition)
+        ) * 100) / 100
+        : null,
+      lists: {
+        user1: list1.slice(0, MAX_COMPARISON_LIST_ITEMS).map(item => ({ ...item, otherPosition: positions2.get(item.productId) || null })),
+        user2: list2.slice(0, MAX_COMPARISON_LIST_ITEMS),
+      },
+      agreements: [...shared]
+        .sort((a, b) => b.agreement - a.agreement || a.position - b.position)
+        .slice(0, MAX_COMPARISON_HIGHLIGHTS)
+        .map(describeShared),
+      disagreements: [...shared]
+        .sort((a, b) => a.agreement - b.agreement || a.position - b.position)
+        .slice(0, MAX_COMPARISON_HIGHLIGHTS)
+        .map(describeShared),
+      // Top quarter of both lists
+      bothLove: shared
+        .filter(item => item.percentile1 >= BOTH_LOVE_PERCENTILE && item.percentile2 >= BOTH_LOVE_PERCENTILE)
+        .sort((a, b) => (b.percentile1 + b.percentile2) - (a.percentile1 + a.percentile2))
+        .map(describeShared),
+      byFlavor: groupAgreement('primaryFlavor', 'flavorDisplay'),
+      byAnimal: groupAgreement('animalType', 'animalDisplay'),
     };
+
+    this.comparisonCache.set(userId1, userId2, comparison);
+    return comparison;
+  }
+
+  /**
+   * Drop cached comparisons involving a user (call after their primary list changes)
+   * @param {number} userId - User ID
+   */
+  invalidateUserComparisons(userId) {
+    this.comparisonCache.invalidate(userId);
   }
 
   /**
@@ -256,7 +403,10 @@ class LeaderboardManager {
       productData: productRankings.productData,
     })
     .from(productRankings)
-    .where(eq(productRankings.userId, userId));
+    .where(and(
+      eq(productRankings.userId, userId),
+      eq(productRankings.rankingListId, PRIMARY_RANKING_LIST_ID)
+    ));
 
     const uniqueBrands = new Set(rankings.map(r => r.productData?.vendor).filter(Boolean));
 
@@ -319,7 +469,10 @@ class LeaderboardManager {
       // Get user's ranked product IDs
       const userRankings = await this.db.select()
         .from(productRankings)
-        .where(eq(productRankings.userId, userId));
+        .where(and(
+          eq(productRankings.userId, userId),
+          eq(productRankings.rankingListId, PRIMARY_RANKING_LIST_ID)
+        ));
       const rankedIds = new Set(userRankings.map(r => r.shopifyProductId));
       
       // Check each animal group
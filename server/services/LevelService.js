@@ -0,0 +1,180 @@
+const { sql } = require('drizzle-orm');
+const { LEVELS } = require('../../shared/constants/levels');
+
+/**
+ * XP needed to reach a level (level 1 starts at 0 XP)
+ * @param {number} level - Level (1+)
+ * @returns {number} XP threshold
+ */
+function getXpForLevel(level) {
+  return Math.round(LEVELS.baseXp * Math.pow(Math.max(level - 1, 0), LEVELS.exponent));
+}
+
+/**
+ * Level reached with a given amount of XP
+ * @param {number} xp - XP earned since the last prestige
+ * @returns {number} Level (1+)
+ */
+function getLevelForXp(xp) {
+  let level = Math.floor(Math.pow(Math.max(xp, 0) / LEVELS.baseXp, 1 / LEVELS.exponent)) + 1;
+  // The inverse is approximate once thresholds are rounded; settle on the exact boundary
+  while (getXpForLevel(level + 1) <= xp) level++;
+  while (level > 1 && getXpForLevel(level) > xp) level--;
+  return level;
+}
+
+function buildLevelInfo(row) {
+  const totalXp = row.total_xp || 0;
+  const xp = Math.max(totalXp - (row.xp_offset || 0), 0);
+  const level = getLevelForXp(xp);
+  const currentLevelXp = getXpForLevel(level);
+  const nextLevelXp = getXpForLevel(level + 1);
+
+  return {
+    level,
+    prestige: row.prestige || 0,
+    xp,
+    totalXp,
+    currentLevelXp,
+    nextLevelXp,
+    progressPercentage: Math.floor(((xp - currentLevelXp) / (nextLevelXp - currentLevelXp)) * 100),
+    canPrestige: level >= LEVELS.prestigeMinLevel,
+  };
+}
+
+/**
+ * LevelService - XP levels and prestige on top of coin points
+ *
+ * XP = coin points (same proportional points as AchievementRepository.getUserTotalPoints)
+ * + all-time engagement score. Levels are derived on read; user_levels only stores the prestige
+ * count, the XP banked at the last prestige and the highest level already announced, so a
+ * level-up is reported exactly once. Prestige keeps every coin and restarts the level count.
+ */
+class LevelService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Raw XP and prestige state for a set of active users
+   * @param {Array<number>} userIds - User IDs
+   * @returns {Promise<Array<Object>>} Rows of { user_id, total_xp, xp_offset, prestige, last_level }
+   */
+  async getXpRows(userIds) {
+    if (userIds.length === 0) return [];
+
+    const ids = sql.join(userIds.map(id => sql`${id}`), sql`, `);
+    const result = await this.db.execute(sql`
+      SELECT
+        u.id AS user_id,
+        (COALESCE(p.points, 0) + COALESCE(es.engagement_score, 0))::int AS total_xp,
+        COALESCE(ul.xp_offset, 0) AS xp_offset,
+        COALESCE(ul.prestige, 0) AS prestige,
+        ul.last_level
+      FROM users u
+      LEFT JOIN (
+        SELECT ua.user_id, SUM(
+          CASE WHEN ua.points_awarded > 0 THEN ua.points_awarded ELSE a.points END
+        ) AS points
+        FROM user_achievements ua
+        INNER JOIN achievements a ON a.id = ua.achievement_id
+        WHERE ua.user_id IN (${ids})
+        GROUP BY ua.user_id
+      ) p ON p.user_id = u.id
+      LEFT JOIN user_engagement_scores es ON es.user_id = u.id
+      LEFT JOIN user_levels ul ON ul.user_id = u.id
+      WHERE u.id IN (${ids})
+        AND u.active = true
+    `);
+
+    return result.rows;
+  }
+
+  /**
+   * Level, prestige and progress toward the next level
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} null for unknown or inactive users
+   */
+  async getUserLevel(userId) {
+    const [row] = await this.getXpRows([userId]);
+    return row ? buildLevelInfo(row) : null;
+  }
+
+  /**
+   * Level and prestige for several users (community cards, profiles)
+   * @param {Array<number>} userIds - User IDs
+   * @returns {Promise<Map<number, Object>>} userId -> { level, prestige }
+   */
+  async getLevelsForUsers(userIds) {
+    const rows = await this.getXpRows([...new Set(userIds)]);
+    return new Map(rows.map(row => {
+      const { level, prestige } = buildLevelInfo(row);
+      return [row.user_id, { level, prestige }];
+    }));
+  }
+
+  /**
+   * Record the user's current level and report it if it's above the last announced one.
+   * The first check for a user only records their level, so existing users aren't
+   * announced every level they already passed.
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} Level info plus previousLevel, or null when there's nothing new
+   */
+  async checkLevelUp(userId) {
+    const [row] = await this.getXpRows([userId]);
+    if (!row) return null;
+
+    const info = buildLevelInfo(row);
+
+    if (row.last_level === null) {
+      await this.db.execute(sql`
+        INSERT INTO user_levels (user_id, last_level)
+        VALUES (${userId}, ${info.level})
+        ON CONFLICT (user_id) DO NOTHING
+      `);
+      return null;
+    }
+
+    if (info.level <= row.last_level) return null;
+
+    // Guarded so concurrent checks announce a level only once
+    const result = await this.db.execute(sql`
+      UPDATE user_levels
+      SET last_level = ${info.level}, updated_at = NOW()
+      WHERE user_id = ${userId} AND last_level < ${info.level}
+      RETURNING user_id
+    `);
+    if (result.rows.length === 0) return null;
+
+    return { ...info, previousLevel: row.last_level };
+  }
+
+  /**
+   * Prestige: bank the current XP so levels restart at 1. Coins and points are untouched.
+   * Callers check canPrestige first.
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} New level info, or null if a concurrent prestige won
+   */
+  async prestige(userId) {
+    const [row] = await this.getXpRows([userId]);
+    if (!row) return null;
+
+    const result = await this.db.execute(sql`
+      INSERT INTO user_levels (user_id, prestige, xp_offset, last_level, prestiged_at)
+      VALUES (${userId}, 1, ${row.total_xp}, 1, NOW())
+      ON CONFLICT (user_id) DO UPDATE SET
+        prestige = user_levels.prestige + 1,
+        xp_offset = EXCLUDED.xp_offset,
+        last_level = 1,
+        prestiged_at = NOW(),
+        updated_at = NOW()
+      WHERE user_levels.xp_offset = ${row.xp_offset}
+      RETURNING prestige, xp_offset
+    `);
+    if (result.rows.length === 0) return null;
+
+    return buildLevelInfo({ ...row, ...result.rows[0] });
+  }
+}
+
+module.exports = LevelService;
@@ -0,0 +1,158 @@
+const { sql } = require('drizzle-orm');
+const { NOTIFICATIONS, NOTIFICATION_CATEGORIES } = require('../../shared/constants/notifications');
+
+/**
+ * NotificationService - Persistent in-app notifications (the nav bell inbox)
+ *
+ * Real-time emitters in the WebSocket gateway write through create() so events survive the user
+ * being offline; the gateway then pushes notification:new to the user's sockets. Categories the
+ * user switched off (users.notification_preferences) are skipped entirely.
+ */
+class NotificationService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Store a notification for a user
+   * @param {number} userId - Recipient
+   * @param {Object} notification - { category, type, title, body, link, data }
+   * @returns {Promise<Object|null>} { notification, unreadCount }, or null if the category is switched off
+   */
+  async create(userId, { category, type, title, body = null, link = null, data = null }) {
+    if (!NOTIFICATION_CATEGORIES.includes(category)) {
+      throw new Error(`Unknown notification category: ${category}`);
+    }
+
+    const preferences = await this.getPreferences(userId);
+    if (!preferences[category]) {
+      return null;
+    }
+
+    const result = await this.db.execute(sql`
+      INSERT INTO notifications (user_id, category, type, title, body, link, data)
+      VALUES (${userId}, ${category}, ${type}, ${title}, ${body}, ${link}, ${data ? JSON.stringify(data) : null}::jsonb)
+      RETURNING id, category, type, title, body, link, data, read_at, created_at
+    `);
+
+    return {
+      notification: this.formatNotification(result.rows[0]),
+      unreadCount: await this.getUnreadCount(userId),
+    };
+  }
+
+  /**
+   * A user's notifications, newest first
+   * @param {number} userId - User ID
+   * @param {Object} options - { limit, before (ISO timestamp cursor for older pages), unreadOnly }
+   * @returns {Promise<Object>} { notifications, unreadCount, hasMore }
+   */
+  async list(userId, { limit = NOTIFICATIONS.pageSize, before = null, unreadOnly = false } = {}) {
+    const result = await this.db.execute(sql`
+      SELECT id, category, type, title, body, link, data, read_at, created_at
+      FROM notifications
+      WHERE user_id = ${userId}
+        ${before ? sql`AND created_at < ${before}` : sql``}
+        ${unreadOnly ? sql`AND read_at IS NULL` : sql``}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ${limit + 1}
+    `);
+
+    return {
+      notifications: result.rows.slice(0, limit).map(row => this.formatNotification(row)),
+      unreadCount: await this.getUnreadCount(userId),
+      hasMore: result.rows.length > limit,
+    };
+  }
+
+  async getUnreadCount(userId) {
+    const result = await this.db.execute(sql`
+      SELECT COUNT(*) AS count FROM notifications
+      WHERE user_id = ${userId} AND read_at IS NULL
+    `);
+    return parseInt(result.rows[0]?.count) || 0;
+  }
+
+  /**
+   * Mark some of a user's notifications read (ids belonging to other users are ignored)
+   * @param {number} userId - User ID
+   * @param {Array<number>} ids - Notification IDs
+   * @returns {Promise<number>} Remaining unread count
+   */
+  async markRead(userId, ids) {
+    if (ids.length > 0) {
+      const idList = sql.join(ids.map(id => sql`${id}`), sql`, `);
+      await this.db.execute(sql`
+        UPDATE notifications SET read_at = NOW()
+        WHERE user_id = ${userId} AND id IN (${idList}) AND read_at IS NULL
+      `);
+    }
+    return this.getUnreadCount(userId);
+  }
+
+  async markAllRead(userId) {
+    await this.db.execute(sql`
+      UPDATE notifications SET read_at = NOW()
+      WHERE user_id = ${userId} AND read_at IS NULL
+    `);
+    return 0;
+  }
+
+  /**
+   * Per-category notification switches, every category included (missing ones default to on)
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} e.g. { achievements: true, levels: true, streaks: false, ... }
+   */
+  async getPreferences(userId) {
+    const result = await this.db.execute(sql`
+      SELECT notification_preferences FROM users WHERE id = ${userId}
+    `);
+    const saved = result.rows[0]?.notification_preferences || {};
+
+    return Object.fromEntries(NOTIFICATION_CATEGORIES.map(category => [category, saved[category] !== false]));
+  }
+
+  /**
+   * Update some categories' switches
+   * @param {number} userId - User ID
+   * @param {Object} changes - { [category]: boolean }
+   * @returns {Promise<Object>} Full preferences after the update
+   */
+  async updatePreferences(userId, changes) {
+    const preferences = { ...(await this.getPreferences(userId)), ...changes };
+
+    await this.db.execute(sql`
+      UPDATE users SET notification_preferences = ${JSON.stringify(preferences)}::jsonb, updated_at = NOW()
+      WHERE id = ${userId}
+    `);
+    return preferences;
+  }
+
+  /**
+   * Delete notifications older than the retention window
+   * @returns {Promise<number>} Rows deleted
+   */
+  async pruneOld() {
+    const result = await this.db.execute(sql`
+      DELETE FROM notifications
+      WHERE created_at < NOW() - (${NOTIFICATIONS.retentionDays} * INTERVAL '1 day')
+    `);
+    return result.rowCount || 0;
+  }
+
+  formatNotification(row) {
+    return {
+      id: row.id,
+      category: row.category,
+      type: row.type,
+      title: row.title,
+      body: row.body,
+      link: row.link,
+      data: row.data,
+      isRead: row.read_at !== null,
+      createdAt: row.created_at,
+    };
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,394 @@
+const { sql } = require('drizzle-orm');
+const { PRODUCT_COMMENTS } = require('../../shared/constants/productComments');
+
+const VERIFIED_STATUSES = sql.join(PRODUCT_COMMENTS.verifiedFulfillmentStatuses.map(status => sql`${status}`), sql`, `);
+
+// Columns every comment query selects: the comment, its author, and whether the author bought the product
+const COMMENT_COLUMNS = sql`
+  c.id, c.shopify_product_id, c.user_id, c.parent_id, c.root_id, c.depth, c.body, c.upvote_count,
+  c.edited_at, c.deleted_at, c.hidden_at, c.hidden_reason, c.locked_at, c.created_at,
+  u.first_name, u.last_name, u.display_name, u.profile_image_url, u.handle, u.hide_name_privacy, u.role,
+  EXISTS (
+    SELECT 1 FROM customer_order_items coi
+    WHERE coi.user_id = c.user_id
+      AND coi.shopify_product_id = c.shopify_product_id
+      AND coi.fulfillment_status IN (${VERIFIED_STATUSES})
+  ) AS is_verified_purchaser
+`;
+
+/**
+ * ProductCommentService - Threaded comments on product detail pages
+ *
+ * Top-level comments are paged per product; each page carries its full reply trees (replies nest
+ * up to PRODUCT_COMMENTS.maxDepth, tracked through root_id/depth). Author deletes are soft, so a
+ * deleted comment with replies stays as a "[deleted]" placeholder. Employees can hide comments
+ * (a hidden comment drops out with its replies), lock threads against new replies, and ban users
+ * from commenting.
+ */
+class ProductCommentService {
+  constructor(db, communityService) {
+    this.db = db;
+    this.communityService = communityService;
+  }
+
+  /**
+   * A page of top-level comments for a product with their reply trees
+   * @param {string} productId - Shopify product ID
+   * @param {Object} options - { viewerId, sort ('top'|'new'), limit, offset }
+   * @returns {Promise<Object>} { comments, total, hasMore }
+   */
+  async getThreads(productId, { viewerId = null, sort = 'top', limit = PRODUCT_COMMENTS.pageSize, offset = 0 } = {}) {
+    // Deleted top-level comments only stay listed while they have replies
+    const visibleRoot = sql`
+      c.shopify_product_id = ${productId}
+      AND c.parent_id IS NULL
+      AND c.hidden_at IS NULL
+      AND (c.deleted_at IS NULL OR EXISTS (
+        SELECT 1 FROM product_comments r
+        WHERE r.root_id = c.id AND r.deleted_at IS NULL AND r.hidden_at IS NULL
+      ))
+    `;
+    const order = sort === 'new'
+      ? sql`c.created_at DESC, c.id DESC`
+      : sql`c.upvote_count DESC, c.created_at DESC, c.id DESC`;
+
+    const [countResult, rootResult] = await Promise.all([
+      this.db.execute(sql`SELECT COUNT(*) AS total FROM product_comments c WHERE ${visibleRoot}`),
+      this.db.execute(sql`
+        SELECT ${COMMENT_COLUMNS}
+        FROM product_comments c
+        JOIN users u ON u.id = c.user_id
+        WHERE ${visibleRoot}
+        ORDER BY ${order}
+        LIMIT ${limit} OFFSET ${offset}
+      `),
+    ]);
+
+    const roots = rootResult.rows;
+    const total = parseInt(countResult.rows[0]?.total) || 0;
+    if (roots.length === 0) {
+      return { comments: [], total, hasMore: false };
+    }
+
+    const rootIds = sql.join(roots.map(row => sql`${row.id}`), sql`, `);
+    const replyResult = await this.db.execute(sql`
+      SELECT ${COMMENT_COLUMNS}
+      FROM product_comments c
+      JOIN users u ON u.id = c.user_id
+      WHERE c.root_id IN (${rootIds})
+      ORDER BY c.created_at ASC, c.id ASC
+    `);
+
+    const upvoted = await this.getUpvotedAmong(viewerId, [...roots, ...replyResult.rows].map(row => row.id));
+
+    return {
+      comments: this.buildTrees(roots, replyResult.rows, upvoted),
+      total,
+      hasMore: offset + roots.length < total,
+    };
+  }
+
+  /**
+   * Nest replies under their parents, dropping hidden comments (with everything below them)
+   * and deleted comments that no longer have visible replies
+   */
+  buildTrees(roots, replies, upvoted) {
+    const nodes = new Map();
+    for (const row of [...roots, ...replies]) {
+      if (row.hidden_at) continue;
+      nodes.set(row.id, { ...this.formatComment(row, upvoted), replies: [] });
+    }
+
+    for (const row of replies) {
+      const node = nodes.get(row.id);
+      const parent = nodes.get(row.parent_id);
+      if (node && parent) {
+        parent.replies.push(node);
+      }
+    }
+
+    const prune = (node) => {
+      node.replies = node.replies.filter(prune);
+      return !node.isDeleted || node.replies.length > 0;
+    };
+
+    return roots
+      .map(row => nodes.get(row.id))
+      .filter(node => node && prune(node));
+  }
+
+  /**
+   * A single comment (any state), for permission checks and event payloads
+   * @param {number} commentId - Comment ID
+   * @param {number|null} viewerId - Viewer's user ID, for hasUpvoted
+   * @returns {Promise<Object|null>} Formatted comment plus userId, isHidden, threadHidden (the thread's
+   *   top-level comment is hidden, taking its replies with it) and threadLocked
+   */
+  async getComment(commentId, viewerId = null) {
+    const result = await this.db.execute(sql`
+      SELECT ${COMMENT_COLUMNS},
+             COALESCE(root.locked_at, c.locked_at) IS NOT NULL AS thread_locked,
+             root.hidden_at IS NOT NULL AS thread_hidden
+      FROM product_comments c
+      JOIN users u ON u.id = c.user_id
+      LEFT JOIN product_comments root ON root.id = c.root_id
+      WHERE c.id = ${commentId}
+    `);
+    const row = result.rows[0];
+    if (!row) return null;
+
+    const upvoted = await this.getUpvotedAmong(viewerId, [row.id]);
+    return {
+      ...this.formatComment(row, upvoted),
+      userId: row.user_id,
+      isHidden: row.hidden_at !== null,
+      threadHidden: row.thread_hidden,
+      threadLocked: row.thread_locked,
+    };
+  }
+
+  /**
+   * Post a comment or a reply
+   * @param {number} userId - Author
+   * @param {string} productId - Shopify product ID
+   * @param {Object} options - { body, parent (comment from getComment, for replies) }
+   * @returns {Promise<Object>} The new comment
+   */
+  async create(userId, productId, { body, parent = null }) {
+    const rootId = parent ? (parent.rootId || parent.id) : null;
+    const depth = parent ? parent.depth + 1 : 0;
+
+    const result = await this.db.execute(sql`
+      INSERT INTO product_comments (shopify_product_id, user_id, parent_id, root_id, depth, body)
+      VALUES (${productId}, ${userId}, ${parent?.id ?? null}, ${rootId}, ${depth}, ${body})
+      RETURNING id
+    `);
+    return this.getComment(result.rows[0].id, userId);
+  }
+
+  /**
+   * Replace a comment's text (author edit)
+   */
+  async update(commentId, body) {
+    await this.db.execute(sql`
+      UPDATE product_comments SET body = ${body}, edited_at = NOW(), updated_at = NOW()
+      WHERE id = ${commentId}
+    `);
+  }
+
+  /**
+   * Author delete: the text is dropped from responses, the row stays so replies keep their place
+   */
+  async softDelete(commentId) {
+    await this.db.execute(sql`
+      UPDATE product_comments SET deleted_at = NOW(), updated_at = NOW()
+      WHERE id = ${commentId} AND deleted_at IS NULL
+    `);
+  }
+
+  /**
+   * Add or remove the user's upvote
+   * @param {number} userId - Voter
+   * @param {number} commentId - Comment ID
+   * @param {boolean} upvote - true to upvote, false to take it back
+   * @returns {Promise<number>} Upvote count afterwards
+   */
+  async setVote(userId, commentId, upvote) {
+    const change = upvote
+      ? sql`INSERT INTO product_comment_votes (comment_id, user_id) VALUES (${commentId}, ${userId})
+            ON CONFLICT (comment_id, user_id) DO NOTHING RETURNING comment_id`
+      : sql`DELETE FROM product_comment_votes WHERE comment_id = ${commentId} AND user_id = ${userId}
+            RETURNING comment_id`;
+
+    const result = await this.db.execute(sql`
+      WITH changed AS (${change})
+      UPDATE product_comments
+      SET upvote_count = GREATEST(upvote_count ${upvote ? sql`+` : sql`-`} (SELECT COUNT(*) FROM changed)::int, 0)
+      WHERE id = ${commentId}
+      RETURNING upvote_count
+    `);
+    return result.rows[0]?.upvote_count ?? 0;
+  }
+
+  async getUpvotedAmong(viewerId, commentIds) {
+    if (!viewerId || commentIds.length === 0) return new Set();
+
+    const ids = sql.join(commentIds.map(id => sql`${id}`), sql`, `);
+    const result = await this.db.execute(sql`
+      SELECT comment_id FROM product_comment_votes
+      WHERE user_id = ${viewerId} AND comment_id IN (${ids})
+    `);
+    return new Set(result.rows.map(row => row.comment_id));
+  }
+
+  /**
+   * Whether a user is banned from commenting
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} { bannedAt, reason } or null
+   */
+  async getBan(userId) {
+    const result = await this.db.execute(sql`
+      SELECT comment_banned_at, comment_ban_reason FROM users WHERE id = ${userId}
+    `);
+    const row = result.rows[0];
+    return row?.comment_banned_at
+      ? { bannedAt: row.comment_banned_at, reason: row.comment_ban_reason }
+      : null;
+  }
+
+  // ---- Moderation (employees) ----
+
+  /**
+   * Comments across all products for the moderation page, newest first
+   * @param {Object} options - { status ('all'|'visible'|'hidden'), productId, search, limit, offset }
+   * @returns {Promise<Object>} { comments, total }
+   */
+  async listForModeration({ status = 'all', productId = null, search = '', limit = 50, offset = 0 } = {}) {
+    const filters = [sql`TRUE`];
+    if (status === 'hidden') filters.push(sql`c.hidden_at IS NOT NULL`);
+    if (status === 'visible') filters.push(sql`c.hidden_at IS NULL AND c.deleted_at IS NULL`);
+    if (productId) filters.push(sql`c.shopify_product_id = ${productId}`);
+    if (search) {
+      const pattern = `%${search}%`;
+      filters.push(sql`(c.body ILIKE ${pattern} OR u.email ILIKE ${pattern} OR u.display_name ILIKE ${pattern} OR u.handle ILIKE ${pattern})`);
+    }
+    const where = sql.join(filters, sql` AND `);
+
+    const [countResult, result] = await Promise.all([
+      this.db.execute(sql`
+        SELECT COUNT(*) AS total
+        FROM product_comments c
+        JOIN users u ON u.id = c.user_id
+        WHERE ${where}
+      `),
+      this.db.execute(sql`
+        SELECT ${COMMENT_COLUMNS},
+               u.email, u.comment_banned_at, pm.title AS product_title
+        FROM product_comments c
+        JOIN users u ON u.id = c.user_id
+        LEFT JOIN products_metadata pm ON pm.shopify_product_id = c.shopify_product_id
+        WHERE ${where}
+        ORDER BY c.created_at DESC, c.id DESC
+        LIMIT ${limit} OFFSET ${offset}
+      `),
+    ]);
+
+    return {
+      comments: result.rows.map(row => ({
+        ...this.formatComment(row, new Set()),
+        // Moderators see the original text and author of deleted comments
+        body: row.body,
+        author: { ...this.formatAuthor(row), email: row.email, isBanned: row.comment_banned_at !== null },
+        productTitle: row.product_title,
+        isHidden: row.hidden_at !== null,
+        hiddenReason: row.hidden_reason,
+        hiddenAt: row.hidden_at,
+      })),
+      total: parseInt(countResult.rows[0]?.total) || 0,
+    };
+  }
+
+  /**
+   * Hide or unhide a comment
+   * @param {number} commentId - Comment ID
+   * @param {number} moderatorId - Employee user ID
+   * @param {boolean} hidden
+   * @param {string|null} reason - Shown to moderators only
+   */
+  async setHidden(commentId, moderatorId, hidden, reason = null) {
+    await this.db.execute(hidden
+      ? sql`
+        UPDATE product_comments
+        SET hidden_at = NOW(), hidden_by = ${moderatorId}, hidden_reason = ${reason}, updated_at = NOW()
+        WHERE id = ${commentId}
+      `
+      : sql`
+        UPDATE product_comments
+        SET hidden_at = NULL, hidden_by = NULL, hidden_reason = NULL, updated_at = NOW()
+        WHERE id = ${commentId}
+      `);
+  }
+
+  /**
+   * Lock or unlock a thread (top-level comment) against new replies
+   */
+  async setLocked(commentId, moderatorId, locked) {
+    await this.db.execute(sql`
+      UPDATE product_comments
+      SET locked_at = ${locked ? sql`NOW()` : sql`NULL`}, locked_by = ${locked ? moderatorId : null}, updated_at = NOW()
+      WHERE id = ${commentId} AND parent_id IS NULL
+    `);
+  }
+
+  /**
+   * Ban a user from commenting (existing comments stay unless hidden separately)
+   */
+  async banUser(userId, reason = null) {
+    await this.db.execute(sql`
+      UPDATE users SET comment_banned_at = NOW(), comment_ban_reason = ${reason}, updated_at = NOW()
+      WHERE id = ${userId}
+    `);
+  }
+
+  async unbanUser(userId) {
+    await this.db.execute(sql`
+      UPDATE users SET comment_banned_at = NULL, comment_ban_reason = NULL, updated_at = NOW()
+      WHERE id = ${userId}
+    `);
+  }
+
+  /**
+   * Users currently banned from commenting, most recent first
+   * @returns {Promise<Array>} [{ id, email, displayName, bannedAt, reason }]
+   */
+  async listBans() {
+    const result = await this.db.execute(sql`
+      SELECT id, email, first_name, last_name, display_name, handle, hide_name_privacy,
+             comment_banned_at, comment_ban_reason
+      FROM users
+      WHERE comment_banned_at IS NOT NULL
+      ORDER BY comment_banned_at DESC
+    `);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      email: row.email,
+      displayName: this.communityService.formatDisplayName(row),
+      bannedAt: row.comment_banned_at,
+      reason: row.comment_ban_reason,
+    }));
+  }
+
+  formatAuthor(row) {
+    return {
+      id: row.user_id,
+      displayName: this.communityService.formatDisplayName(row),
+      avatarUrl: row.profile_image_url,
+      initials: this.communityService.getUserInitials(row),
+      handle: row.hide_name_privacy ? null : row.handle,
+      isVerifiedPurchaser: row.is_verified_purchaser === true,
+      isEmployee: row.role === 'employee_admin',
+    };
+  }
+
+  formatComment(row, upvoted) {
+    const isDeleted = row.deleted_at !== null;
+    return {
+      id: row.id,
+      productId: row.shopify_product_id,
+      parentId: row.parent_id,
+      rootId: row.root_id,
+      depth: row.depth,
+      body: isDeleted ? null : row.body,
+      author: isDeleted ? null : this.formatAuthor(row),
+      upvoteCount: row.upvote_count,
+      hasUpvoted: upvoted.has(row.id),
+      isDeleted,
+      isEdited: row.edited_at !== null,
+      isLocked: row.locked_at !== null,
+      createdAt: row.created_at,
+    };
+  }
+}
+
+module.exports = ProductCommentService;
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ProductCommentService = require('./ProductCommentService');
+const CommunityService = require('./CommunityService');
+
+function commentRow(id, { parentId = null, rootId = null, depth = 0, deleted = false, hidden = false } = {}) {
+  return {
+    id,
+    shopify_product_id: '100',
+    user_id: 7,
+    parent_id: parentId,
+    root_id: rootId,
+    depth,
+    body: `comment ${id}`,
+    upvote_count: 0,
+    edited_at: null,
+    deleted_at: deleted ? new Date() : null,
+    hidden_at: hidden ? new Date() : null,
+    hidden_reason: null,
+    locked_at: null,
+    created_at: new Date(),
+    first_name: 'Jane',
+    last_name: 'Smith',
+    display_name: null,
+    profile_image_url: null,
+    handle: 'janes',
+    hide_name_privacy: false,
+    role: 'user',
+    is_verified_purchaser: true,
+  };
+}
+
+function createService(rows = []) {
+  const db = { execute: async () => ({ rows }) };
+  return new ProductCommentService(db, new CommunityService(null));
+}
+
+const ids = nodes => nodes.map(node => node.id);
+
+test('nests replies under their parents', () => {
+  const service = createService();
+  const trees = service.buildTrees(
+    [commentRow(1)],
+    [commentRow(2, { parentId: 1, rootId: 1, depth: 1 }), commentRow(3, { parentId: 2, rootId: 1, depth: 2 })],
+    new Set([3])
+  );
+
+  assert.deepEqual(ids(trees), [1]);
+  assert.deepEqual(ids(trees[0].replies), [2]);
+  assert.deepEqual(ids(trees[0].replies[0].replies), [3]);
+  assert.equal(trees[0].replies[0].replies[0].hasUpvoted, true);
+  assert.equal(trees[0].author.displayName, 'Jane S.');
+});
+
+test('drops a hidden comment together with its replies', () => {
+  const service = createService();
+  const trees = service.buildTrees(
+    [commentRow(1), commentRow(4, { hidden: true })],
+    [
+      commentRow(2, { parentId: 1, rootId: 1, depth: 1, hidden: true }),
+      commentRow(3, { parentId: 2, rootId: 1, depth: 2 }),
+      commentRow(5, { parentId: 4, rootId: 4, depth: 1 }),
+    ],
+    new Set()
+  );
+
+  assert.deepEqual(ids(trees), [1]);
+  assert.deepEqual(trees[0].replies, []);
+});
+
+test('keeps deleted comments only while they have visible replies', () => {
+  const service = createService();
+  const trees = service.buildTrees(
+    [commentRow(1, { deleted: true }), commentRow(4, { deleted: true })],
+    [
+      commentRow(2, { parentId: 1, rootId: 1, depth: 1 }),
+      commentRow(3, { parentId: 1, rootId: 1, depth: 1, deleted: true }),
+      commentRow(5, { parentId: 4, rootId: 4, depth: 1, hidden: true }),
+    ],
+    new Set()
+  );
+
+  assert.deepEqual(ids(trees), [1]);
+  assert.equal(trees[0].body, null);
+  assert.equal(trees[0].author, null);
+  assert.deepEqual(ids(trees[0].replies), [2]);
+});
+
+test('getComment reports when the thread it belongs to is hidden', async () => {
+  const row = { ...commentRow(2, { parentId: 1, rootId: 1, depth: 1 }), thread_hidden: true, thread_locked: false };
+  const comment = await createService([row]).getComment(2);
+
+  assert.equal(comment.isHidden, false);
+  assert.equal(comment.threadHidden, true);
+  assert.equal(comment.threadLocked, false);
+  assert.equal(comment.userId, 7);
+});
+
+test('getComment returns null for a missing comment', async () => {
+  assert.equal(await createService([]).getComment(99), null);
+});
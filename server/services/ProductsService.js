@@ -4,6 +4,14 @@ const ProductsMetadataRepository = require('../repositories/ProductsMetadataRepo
 const ProductRankingRepository = require('../repositories/ProductRankingRepository');
 const PurchaseHistoryService = require('./PurchaseHistoryService');
 const { sql } = require('drizzle-orm');
+const { PRIMARY_RANKING_LIST_ID, TOP_N_WINDOWS } = require('../../shared/constants');
+const {
+  DEFAULT_AGGREGATION_METHOD,
+  LIST_LENGTHS_SQL,
+  BORDA_POINTS_SQL,
+  aggregateRankings,
+  rankingConfidence,
+} = require('../utils/rankAggregation');
 
 /**
  * Unified ProductsService - Central service for all product data
@@ -185,47 +193,7 @@ class ProductsService {
     
     // Fetch fresh stats from database
     try {
-      const results = await this.db.execute(sql`
-        SELECT 
-          shopify_product_id,
-          COUNT(*) as count,
-          COUNT(DISTINCT user_id) as unique_rankers,
-          AVG(ranking) as avg_rank,
-          MIN(ranking) as best_rank,
-          MAX(ranking) as worst_rank,
-          MAX(created_at) as last_ranked_at,
-          COUNT(CASE WHEN ranking = 1 THEN 1 END) as count_1st,
-          COUNT(CASE WHEN ranking = 2 THEN 1 END) as count_2nd,
-          COUNT(CASE WHEN ranking = 3 THEN 1 END) as count_3rd
-        FROM product_rankings
-        GROUP BY shopify_product_id
-      `);
-      
-      const rankingStats = {};
-      results.rows.forEach(row => {
-        const totalCount = parseInt(row.count);
-        const count1st = parseInt(row.count_1st) || 0;
-        const count2nd = parseInt(row.count_2nd) || 0;
-        const count3rd = parseInt(row.count_3rd) || 0;
-        
-        rankingStats[row.shopify_product_id] = {
-          count: totalCount,
-          uniqueRankers: parseInt(row.unique_rankers),
-          avgRank: row.avg_rank ? parseFloat(row.avg_rank) : null,
-          bestRank: row.best_rank ? parseInt(row.best_rank) : null,
-          worstRank: row.worst_rank ? parseInt(row.worst_rank) : null,
-          lastRankedAt: row.last_ranked_at,
-          // Ranking distribution for Flavor Index leaderboard
-          distribution: {
-            count1st,
-            count2nd,
-            count3rd,
-            pct1st: totalCount > 0 ? (count1st / totalCount) * 100 : 0,
-            pct2nd: totalCount > 0 ? (count2nd / totalCount) * 100 : 0,
-            pct3rd: totalCount > 0 ? (count3rd / totalCount) * 100 : 0
-          }
-        };
-      });
+      const rankingStats = await this._queryRankingStats();
       
       console.log(`📊 Found ranking stats for ${Object.keys(rankingStats).length} products WITH distribution data`);
       
@@ -245,6 +213,205 @@ class ProductsService {
     }
   }
   
+  /**
+   * Get ranking statistics limited to rankings made within a time window
+   * Uses the all-time stats for 'all', otherwise a short-lived windowed cache entry
+   * @param {string} window - Key of TOP_N_WINDOWS ('all', '30d', '7d')
+   */
+  async _getWindowedRankingStats(window) {
+    const days = TOP_N_WINDOWS[window];
+    if (!days) {
+      return this._getRankingStats();
+    }
+    
+    const cached = await this.rankingStatsCache.getWindow(window);
+    if (cached) {
+      return cached;
+    }
+    
+    try {
+      const rankingStats = await this._queryRankingStats({ sinceDays: days });
+      await this.rankingStatsCache.setWindow(window, rankingStats);
+      return rankingStats;
+    } catch (error) {
+      console.error(`Error fetching ${window} ranking stats:`, error);
+      return {};
+    }
+  }
+  
+  /**
+   * Aggregate primary-list rankings per product
+   * Borda points always use the ranker's full list length, even when only recent rankings are counted
+   * @param {Object} options - { sinceDays } to only count rankings created in the last N days
+   * @returns {Promise<Object>} Map of shopifyProductId -> ranking stats
+   */
+  async _queryRankingStats({ sinceDays = null } = {}) {
+    const windowFilter = sinceDays
+      ? sql`AND pr.created_at >= NOW() - (${sinceDays}::int * INTERVAL '1 day')`
+      : sql``;
+    
+    // Primary lists only, so each user counts once per product
+    const results = await this.db.execute(sql`
+      WITH list_lengths AS (${LIST_LENGTHS_SQL})
+      SELECT 
+        pr.shopify_product_id,
+        COUNT(*) as count,
+        COUNT(DISTINCT pr.user_id) as unique_rankers,
+        AVG(pr.ranking) as avg_rank,
+        MIN(pr.ranking) as best_rank,
+        MAX(pr.ranking) as worst_rank,
+        MAX(pr.created_at) as last_ranked_at,
+        SUM(${BORDA_POINTS_SQL}) as borda_points,
+        COUNT(CASE WHEN pr.ranking = 1 THEN 1 END) as count_1st,
+        COUNT(CASE WHEN pr.ranking = 2 THEN 1 END) as count_2nd,
+        COUNT(CASE WHEN pr.ranking = 3 THEN 1 END) as count_3rd
+      FROM product_rankings pr
+      INNER JOIN list_lengths ll ON ll.user_id = pr.user_id
+      WHERE pr.ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+        ${windowFilter}
+      GROUP BY pr.shopify_product_id
+    `);
+    
+    const rankingStats = {};
+    results.rows.forEach(row => {
+      const totalCount = parseInt(row.count);
+      const count1st = parseInt(row.count_1st) || 0;
+      const count2nd = parseInt(row.count_2nd) || 0;
+      const count3rd = parseInt(row.count_3rd) || 0;
+      
+      rankingStats[row.shopify_product_id] = {
+        count: totalCount,
+        uniqueRankers: parseInt(row.unique_rankers),
+        avgRank: row.avg_rank ? parseFloat(row.avg_rank) : null,
+        bestRank: row.best_rank ? parseInt(row.best_rank) : null,
+        worstRank: row.worst_rank ? parseInt(row.worst_rank) : null,
+        lastRankedAt: row.last_ranked_at,
+        bordaPoints: row.borda_points ? parseFloat(row.borda_points) : 0,
+        // Ranking distribution for Flavor Index leaderboard
+        distribution: {
+          count1st,
+          count2nd,
+          count3rd,
+          pct1st: totalCount > 0 ? (count1st / totalCount) * 100 : 0,
+          pct2nd: totalCount > 0 ? (count2nd / totalCount) * 100 : 0,
+          pct3rd: totalCount > 0 ? (count3rd / totalCount) * 100 : 0
+        }
+      };
+    });
+    
+    return rankingStats;
+  }
+  
+  /**
+   * Every ranked catalog product in community consensus order, best first
+   * @param {Object} options - { window, method }
+   * @returns {Promise<Array>} Metadata fields plus rankingCount, avgRank, bordaPoints, consensusScore
+   */
+  async _getConsensusOrder({ window = 'all', method = DEFAULT_AGGREGATION_METHOD } = {}) {
+    const [rankingStats, metadataMap] = await Promise.all([
+      this._getWindowedRankingStats(window),
+      this._getMetadata(),
+    ]);
+    
+    // Only products still in the catalog (products_metadata is cleaned of orphans on sync)
+    const candidates = Object.entries(rankingStats)
+      .filter(([productId]) => metadataMap[productId])
+      .map(([productId, stats]) => ({
+        productId,
+        ...metadataMap[productId],
+        rankingCount: stats.count,
+        avgRank: stats.avgRank,
+        bordaPoints: stats.bordaPoints || 0,
+      }));
+    
+    return aggregateRankings(candidates, { method });
+  }
+  
+  /**
+   * A single product's place in the all-time community consensus
+   * @param {string} productId - Shopify product ID
+   * @returns {Promise<Object|null>} { communityRank, totalRanked, rankCount, avgRank, title, ... } or null if not ranked
+   */
+  async getCommunityStanding(productId) {
+    const order = await this._getConsensusOrder();
+    const index = order.findIndex(product => product.productId === String(productId));
+    if (index === -1) {
+      return null;
+    }
+    
+    const product = order[index];
+    return {
+      productId: product.productId,
+      title: product.title || null,
+      vendor: product.vendor || null,
+      animalDisplay: product.animalDisplay,
+      animalIcon: product.animalIcon,
+      flavorDisplay: product.flavorDisplay,
+      flavorIcon: product.flavorIcon,
+      communityRank: index + 1,
+      totalRanked: order.length,
+      rankCount: product.rankingCount,
+      avgRank: Math.round(product.avgRank * 10) / 10,
+    };
+  }
+  
+  /**
+   * Community Top N built from products_metadata and ranking stats (no Shopify fetch)
+   * Consensus is computed across every product in the window, then filters are applied,
+   * so "Top 10 spicy beef" is the spicy beef slice of the overall community order
+   * @param {number} n - Size of the Top-N list
+   * @param {Object} options - { animal, flavor, vendor, window, method, page, limit }
+   * @returns {Promise<Object>} { items, total, page, limit, hasMore }
+   */
+  async getTopProducts(n, options = {}) {
+    const {
+      animal = '',
+      flavor = '',
+      vendor = '',
+      window = 'all',
+      method = DEFAULT_AGGREGATION_METHOD,
+      page = 1,
+      limit = n,
+    } = options;
+    
+    const matches = (value, filter) => !filter || (value || '').toLowerCase() === filter.toLowerCase();
+    const filtered = (await this._getConsensusOrder({ window, method }))
+      .filter(product =>
+        (matches(product.animalType, animal) || matches(product.animalDisplay, animal)) &&
+        matches(product.primaryFlavor, flavor) &&
+        matches(product.vendor, vendor)
+      )
+      .slice(0, n);
+    
+    const startIndex = (page - 1) * limit;
+    const items = filtered
+      .slice(startIndex, startIndex + limit)
+      .map((product, index) => ({
+        rank: startIndex + index + 1,
+        productId: product.productId,
+        title: product.title || null,
+        vendor: product.vendor || null,
+        animalType: product.animalType,
+        animalDisplay: product.animalDisplay,
+        animalIcon: product.animalIcon,
+        primaryFlavor: product.primaryFlavor,
+        flavorDisplay: product.flavorDisplay,
+        flavorIcon: product.flavorIcon,
+        rankCount: product.rankingCount,
+        avgRank: Math.round(product.avgRank * 10) / 10,
+        confidence: Math.round(rankingConfidence(product.rankingCount) * 100) / 100,
+        consensusScore: Math.round(product.consensusScore * 1000) / 1000,
+      }));
+    
+    return {
+      items,
+      total: filtered.length,
+      page,
+      limit,
+      hasMore: startIndex + limit < filtered.length,
+    };
+  }
+  
   /**
    * Get metadata for all products
    * Uses 30-minute cache for performance
@@ -278,6 +445,8 @@ class ProductsService {
         if (!hasDate) missingCount++;
         
         metadataMap[meta.shopifyProductId] = {
+          title: meta.title,
+          vendor: meta.vendor,
           animalType: meta.animalType,
           animalDisplay: meta.animalDisplay,
           animalIcon: meta.animalIcon,
@@ -346,6 +515,7 @@ class ProductsService {
       bestRank: null,
       worstRank: null,
       lastRankedAt: null,
+      bordaPoints: 0,
       distribution: {
         count1st: 0,
         count2nd: 0,
@@ -385,6 +555,7 @@ class ProductsService {
       bestRank: stats.bestRank,
       worstRank: stats.worstRank,
       lastRankedAt: stats.lastRankedAt,
+      bordaPoints: stats.bordaPoints,
       distribution: stats.distribution,
       animalType: metadata.animalType,
       animalDisplay: metadata.animalDisplay,
@@ -454,21 +625,14 @@ class ProductsService {
   
   /**
    * Calculate community rank positions for products (#1, #2, #3, etc.)
-   * Sorted by avgRank (lower is better), with products that have no rankings at the end
+   * Ordered by the chosen rank-aggregation method, with products that have no rankings at the end
    * @param {Array} products - Products to rank
-   * @returns {Array} Products with communityRank field added
+   * @param {Object} options - { method } (see server/utils/rankAggregation.js)
+   * @returns {Array} Products with communityRank and consensusScore fields added
    */
-  _calculateCommunityRanks(products) {
-    // Separate products with rankings from products without rankings
-    const productsWithRankings = products.filter(p => p.avgRank !== null && p.rankingCount > 0);
-    const productsWithoutRankings = products.filter(p => p.avgRank === null || p.rankingCount === 0);
-    
-    // Sort products with rankings by avgRank (lower is better)
-    const sorted = productsWithRankings.sort((a, b) => {
-      if (a.avgRank === null) return 1;
-      if (b.avgRank === null) return -1;
-      return a.avgRank - b.avgRank;
-    });
+  _calculateCommunityRanks(products, { method = DEFAULT_AGGREGATION_METHOD } = {}) {
+    const sorted = aggregateRankings(products, { method });
+    const rankedIds = new Set(sorted.map(p => p.id));
     
     // Assign community rank positions
     const rankedProducts = sorted.map((product, index) => ({
@@ -477,9 +641,12 @@ class ProductsService {
     }));
     
     // Add unranked products at the end without a community rank
-    const allProducts = [...rankedProducts, ...productsWithoutRankings.map(p => ({ ...p, communityRank: null }))];
+    const productsWithoutRankings = products
+      .filter(p => !rankedIds.has(p.id))
+      .map(p => ({ ...p, communityRank: null, consensusScore: null }));
+    const allProducts = [...rankedProducts, ...productsWithoutRankings];
     
-    console.log(`🏆 Assigned community ranks to ${rankedProducts.length} products with rankings`);
+    console.log(`🏆 Assigned community ranks (${method}) to ${rankedProducts.length} products with rankings`);
     return allProducts;
   }
   
@@ -491,13 +658,13 @@ class ProductsService {
   _getTopByCategory(products) {
     const topByCategory = {};
     
-    // Only consider products with rankings
-    const rankedProducts = products.filter(p => p.avgRank !== null && p.rankingCount > 0 && p.animalType);
+    // Only consider products with a community rank
+    const rankedProducts = products.filter(p => p.communityRank !== null && p.communityRank !== undefined && p.animalType);
     
-    // Group by animalType and find the product with lowest avgRank (best)
+    // Group by animalType and find the product with the best community rank
     rankedProducts.forEach(product => {
       const category = product.animalType;
-      if (!topByCategory[category] || product.avgRank < topByCategory[category].avgRank) {
+      if (!topByCategory[category] || product.communityRank < topByCategory[category].communityRank) {
         topByCategory[category] = product;
       }
     });
@@ -1,4 +1,5 @@
 const { TIER_EMOJIS } = require('../../shared/constants/tierEmojis');
+const { PRIMARY_RANKING_LIST_ID } = require('../../shared/constants');
 
 /**
  * ProgressTracker - Domain service for tracking user progress and milestones
@@ -20,7 +21,7 @@ class ProgressTracker {
    */
   async getUserProgress(userId, totalRankableProducts = 89) {
     const { productRankings } = require('../../shared/schema');
-    const { eq, sql } = require('drizzle-orm');
+    const { eq, sql, and } = require('drizzle-orm');
 
     const [achievements, streaks, rankingStats, allAchievements] = await Promise.all([
       this.achievementRepo.getUserAchievements(userId),
@@ -30,7 +31,10 @@ class ProgressTracker {
         uniqueProducts: sql`count(distinct ${productRankings.shopifyProductId})::int`,
       })
       .from(productRankings)
-      .where(eq(productRankings.userId, userId))
+      .where(and(
+        eq(productRankings.userId, userId),
+        eq(productRankings.rankingListId, PRIMARY_RANKING_LIST_ID)
+      ))
       .limit(1),
       this.achievementRepo.getAllAchievements(),
     ]);
@@ -61,6 +65,7 @@ class ProgressTracker {
       totalPoints,
       currentStreak: dailyStreak?.currentStreak || 0,
       longestStreak: dailyStreak?.longestStreak || 0,
+      streakFreezes: dailyStreak?.freezesAvailable || 0,
       nextMilestones,
       recentAchievements: achievements.slice(0, 10),
     };
@@ -378,14 +383,17 @@ class ProgressTracker {
    */
   async getUserInsights(userId) {
     const { productRankings } = require('../../shared/schema');
-    const { eq, sql } = require('drizzle-orm');
+    const { eq, sql, and } = require('drizzle-orm');
 
     const rankings = await this.db.select({
       productData: productRankings.productData,
       ranking: productRankings.ranking,
     })
     .from(productRankings)
-    .where(eq(productRankings.userId, userId));
+    .where(and(
+      eq(productRankings.userId, userId),
+      eq(productRankings.rankingListId, PRIMARY_RANKING_LIST_ID)
+    ));
 
     const vendors = {};
     const topRanked = rankings.filter(r => r.ranking <= 5);
@@ -0,0 +1,150 @@
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * RankingHistoryService - Reconstructs ranking lists from the append-only ranking event log
+ * Supports point-in-time snapshots ("time travel") and per-product position timelines
+ */
+class RankingHistoryService {
+  constructor(rankingEventRepo) {
+    this.rankingEventRepo = rankingEventRepo;
+  }
+
+  /**
+   * Apply a single event to a replay state map
+   * @param {Map} state - productId -> { position, title, rankedSince }
+   * @param {Object} event - ranking_events row
+   */
+  applyEvent(state, event) {
+    if (event.eventType === 'remove') {
+      state.delete(event.shopifyProductId);
+      return;
+    }
+
+    const existing = state.get(event.shopifyProductId);
+    state.set(event.shopifyProductId, {
+      position: event.newPosition,
+      title: event.productTitle || existing?.title || null,
+      rankedSince: existing?.rankedSince || event.createdAt,
+    });
+  }
+
+  /**
+   * Convert a replay state map into a sorted rankings array
+   * @param {Map} state - productId -> { position, title, rankedSince }
+   * @returns {Array} [{ productId, ranking, title, rankedSince }] ordered by position
+   */
+  stateToRankings(state) {
+    return Array.from(state.entries())
+      .map(([productId, entry]) => ({
+        productId,
+        ranking: entry.position,
+        title: entry.title,
+        rankedSince: entry.rankedSince,
+      }))
+      .sort((a, b) => a.ranking - b.ranking);
+  }
+
+  /**
+   * Reconstruct a user's list as it was at a point in time
+   * @param {number} userId - User ID
+   * @param {string} rankingListId - List ID
+   * @param {Date} at - Point in time
+   * @returns {Promise<Object>} { at, rankingListId, rankings, eventCount, historyStartsAt }
+   */
+  async getRankingsAt(userId, rankingListId, at) {
+    const [events, historyStartsAt] = await Promise.all([
+      this.rankingEventRepo.getEventsUntil(userId, rankingListId, at),
+      this.rankingEventRepo.getFirstEventDate(userId, rankingListId),
+    ]);
+
+    const state = new Map();
+    for (const event of events) {
+      this.applyEvent(state, event);
+    }
+
+    return {
+      at: at.toISOString(),
+      rankingListId,
+      rankings: this.stateToRankings(state),
+      eventCount: events.length,
+      historyStartsAt,
+    };
+  }
+
+  /**
+   * Build a day-by-day position timeline for the products that matter most:
+   * the current top N plus anything that was in the top N at the start of the window
+   * @param {number} userId - User ID
+   * @param {string} rankingListId - List ID
+   * @param {Object} options - { days: window length, limit: top N to track }
+   * @returns {Promise<Object>} { since, dates, products: [{ productId, title, series, startPosition, currentPosition, change }] }
+   */
+  async getTimeline(userId, rankingListId, { days = 90, limit = 10 } = {}) {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - days * MS_PER_DAY);
+    const events = await this.rankingEventRepo.getEventsUntil(userId, rankingListId, now);
+
+    const state = new Map();
+    const snapshots = []; // [{ date: 'YYYY-MM-DD', positions: Map }]
+    const takeSnapshot = (date) => {
+      const positions = new Map(Array.from(state.entries()).map(([id, entry]) => [id, entry.position]));
+      const last = snapshots[snapshots.length - 1];
+      if (last && last.date === date) {
+        last.positions = positions;
+      } else {
+        snapshots.push({ date, positions });
+      }
+    };
+
+    let windowStarted = false;
+    for (const event of events) {
+      const eventTime = new Date(event.createdAt);
+      if (!windowStarted && eventTime >= windowStart) {
+        // Baseline: the list as it stood when the window opened
+        if (state.size > 0) takeSnapshot(windowStart.toISOString().slice(0, 10));
+        windowStarted = true;
+      }
+      this.applyEvent(state, event);
+      if (windowStarted) takeSnapshot(eventTime.toISOString().slice(0, 10));
+    }
+    takeSnapshot(now.toISOString().slice(0, 10));
+
+    // Track titles for products that have since been removed
+    const titles = new Map();
+    for (const event of events) {
+      if (event.productTitle) titles.set(event.shopifyProductId, event.productTitle);
+    }
+
+    const first = snapshots[0].positions;
+    const latest = snapshots[snapshots.length - 1].positions;
+    const tracked = new Set();
+    for (const positions of [latest, first]) {
+      Array.from(positions.entries())
+        .filter(([, position]) => position <= limit)
+        .forEach(([productId]) => tracked.add(productId));
+    }
+
+    const products = Array.from(tracked).map(productId => {
+      const startPosition = first.get(productId) ?? null;
+      const currentPosition = latest.get(productId) ?? null;
+      return {
+        productId,
+        title: titles.get(productId) || 'Unknown Product',
+        series: snapshots.map(s => s.positions.get(productId) ?? null),
+        startPosition,
+        currentPosition,
+        // Positive = climbed (lower number is better); null when the product entered or left the list
+        change: startPosition !== null && currentPosition !== null ? startPosition - currentPosition : null,
+      };
+    }).sort((a, b) => (a.currentPosition ?? Infinity) - (b.currentPosition ?? Infinity));
+
+    return {
+      rankingListId,
+      since: snapshots[0].date,
+      dates: snapshots.map(s => s.date),
+      products,
+    };
+  }
+}
+
+module.exports = RankingHistoryService;
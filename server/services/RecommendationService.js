@@ -0,0 +1,261 @@
+const { sql } = require('drizzle-orm');
+const { PRIMARY_RANKING_LIST_ID } = require('../../shared/constants');
+const TasteTwinCache = require('../cache/TasteTwinCache');
+const { spearmanCorrelation, percentileScore } = require('../utils/rankCorrelation');
+
+// Co-ranked products needed before a rank correlation means anything
+const MIN_OVERLAP = 3;
+// Correlations over fewer shared products are shrunk toward zero (significance weighting)
+const FULL_CONFIDENCE_OVERLAP = 10;
+const MAX_TWINS = 20;
+const MIN_SIMILARITY = 0.1;
+// Pseudo-weight pulling thinly supported predictions toward the middle of the list
+const PRIOR_WEIGHT = 1;
+const PRIOR_FIT = 0.5;
+
+/**
+ * RecommendationService - "Taste twin" recommendations from ranking similarity
+ *
+ * 1. Spearman rank correlation between the user and every co-ranker over the products both ranked
+ * 2. The most correlated users are the user's taste twins
+ * 3. A product's predicted fit is the similarity-weighted average of where twins placed it
+ *    (as a 0-1 percentile of each twin's list, 1 = their #1)
+ *
+ * Only primary lists are used, matching leaderboards and community stats.
+ */
+class RecommendationService {
+  constructor(db, productsService, purchaseHistoryService, communityService) {
+    this.db = db;
+    this.productsService = productsService;
+    this.purchaseHistoryService = purchaseHistoryService;
+    this.communityService = communityService;
+    this.cache = TasteTwinCache.getInstance();
+  }
+
+  /**
+   * Load a user's primary-list positions
+   * @param {number} userId - User ID
+   * @returns {Promise<Map<string, number>>} productId -> position
+   */
+  async getUserPositions(userId) {
+    const result = await this.db.execute(sql`
+      SELECT shopify_product_id, ranking
+      FROM product_rankings
+      WHERE user_id = ${userId}
+        AND ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+    `);
+    return new Map(result.rows.map(row => [row.shopify_product_id, parseInt(row.ranking)]));
+  }
+
+  /**
+   * Find the user's taste twins among everyone who co-ranked at least MIN_OVERLAP products
+   * @param {number} userId - User ID
+   * @param {Map<string, number>} myPositions - The user's own positions
+   * @returns {Promise<Array>} [{ userId, similarity, overlap, positions: Map }] most similar first
+   */
+  async findTasteTwins(userId, myPositions) {
+    if (myPositions.size < MIN_OVERLAP) return [];
+
+    const result = await this.db.execute(sql`
+      WITH mine AS (
+        SELECT shopify_product_id
+        FROM product_rankings
+        WHERE user_id = ${userId}
+          AND ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+      ),
+      candidates AS (
+        SELECT pr.user_id
+        FROM product_rankings pr
+        INNER JOIN mine m ON m.shopify_product_id = pr.shopify_product_id
+        INNER JOIN users u ON u.id = pr.user_id AND u.active = true
+        WHERE pr.ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+          AND pr.user_id <> ${userId}
+        GROUP BY pr.user_id
+        HAVING COUNT(*) >= ${MIN_OVERLAP}
+      )
+      SELECT pr.user_id, pr.shopify_product_id, pr.ranking
+      FROM product_rankings pr
+      INNER JOIN candidates c ON c.user_id = pr.user_id
+      WHERE pr.ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+    `);
+
+    const positionsByUser = new Map();
+    for (const row of result.rows) {
+      if (!positionsByUser.has(row.user_id)) {
+        positionsByUser.set(row.user_id, new Map());
+      }
+      positionsByUser.get(row.user_id).set(row.shopify_product_id, parseInt(row.ranking));
+    }
+
+    const twins = [];
+    for (const [otherUserId, positions] of positionsByUser) {
+      const shared = [...myPositions.keys()].filter(productId => positions.has(productId));
+      if (shared.length < MIN_OVERLAP) continue;
+
+      const rho = spearmanCorrelation(
+        shared.map(productId => myPositions.get(productId)),
+        shared.map(productId => positions.get(productId))
+      );
+      const similarity = rho * Math.min(1, shared.length / FULL_CONFIDENCE_OVERLAP);
+
+      if (similarity >= MIN_SIMILARITY) {
+        twins.push({ userId: otherUserId, similarity, overlap: shared.length, positions });
+      }
+    }
+
+    return twins
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, MAX_TWINS);
+  }
+
+  /**
+   * Predict how well every product the user hasn't ranked fits their taste (cached per user)
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} { twins: [{ userId, similarity, overlap }], predictions: [{ productId, fit, predictedPosition, twinCount }] }
+   */
+  async getPredictions(userId) {
+    const cached = this.cache.get(userId);
+    if (cached) return cached;
+
+    const myPositions = await this.getUserPositions(userId);
+    const twins = await this.findTasteTwins(userId, myPositions);
+
+    const totals = new Map(); // productId -> { weightedScore, weight, twinCount }
+    for (const twin of twins) {
+      for (const [productId, position] of twin.positions) {
+        if (myPositions.has(productId)) continue;
+        const entry = totals.get(productId) || { weightedScore: 0, weight: 0, twinCount: 0 };
+        entry.weightedScore += twin.similarity * percentileScore(position, twin.positions.size);
+        entry.weight += twin.similarity;
+        entry.twinCount += 1;
+        totals.set(productId, entry);
+      }
+    }
+
+    const predictions = Array.from(totals.entries())
+      .map(([productId, { weightedScore, weight, twinCount }]) => {
+        const fit = (weightedScore + PRIOR_WEIGHT * PRIOR_FIT) / (weight + PRIOR_WEIGHT);
+        return {
+          productId,
+          fit: Math.round(fit * 1000) / 1000,
+          // Where the product would land if inserted into the user's current list
+          predictedPosition: 1 + Math.round((1 - fit) * myPositions.size),
+          twinCount,
+        };
+      })
+      .sort((a, b) => b.fit - a.fit || b.twinCount - a.twinCount);
+
+    const data = {
+      twins: twins.map(({ userId: twinUserId, similarity, overlap }) => ({
+        userId: twinUserId,
+        similarity: Math.round(similarity * 100) / 100,
+        overlap,
+      })),
+      predictions,
+    };
+
+    this.cache.set(userId, data);
+    return data;
+  }
+
+  /**
+   * Unranked, unpurchased products predicted to land high in the user's list
+   * @param {number} userId - User ID
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} { recommendations, twins }
+   */
+  async getRecommendations(userId, { limit = 12 } = {}) {
+    const { twins, predictions } = await this.getPredictions(userId);
+
+    const purchasedIds = this.purchaseHistoryService
+      ? new Set(await this.purchaseHistoryService.getPurchasedProductIds(userId))
+      : new Set();
+    const candidates = predictions.filter(p => !purchasedIds.has(p.productId));
+
+    // Only products still in the catalog can be recommended
+    const products = this.productsService
+      ? await this.productsService.getProductsByIds(
+        candidates.map(p => p.productId),
+        { includeMetadata: true, includeRankingStats: false }
+      )
+      : [];
+    const productsById = new Map(products.map(product => [product.id, product]));
+
+    const recommendations = candidates
+      .filter(p => productsById.has(p.productId))
+      .slice(0, limit)
+      .map(p => {
+        const product = productsById.get(p.productId);
+        return {
+          ...p,
+          product: {
+            id: product.id,
+            title: product.title,
+            image: product.image,
+            price: product.price,
+            vendor: product.vendor,
+            animalDisplay: product.animalDisplay,
+            animalIcon: product.animalIcon,
+            flavorDisplay: product.flavorDisplay,
+            flavorIcon: product.flavorIcon,
+          },
+        };
+      });
+
+    return {
+      recommendations,
+      twins: await this.describeTwins(twins),
+    };
+  }
+
+  /**
+   * Predicted fit for every unranked product the user's twins have ranked
+   * Used to order the Rank page's unranked column
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} productId -> { fit, predictedPosition, twinCount }
+   */
+  async getPredictedFit(userId) {
+    const { predictions } = await this.getPredictions(userId);
+    return Object.fromEntries(
+      predictions.map(({ productId, ...prediction }) => [productId, prediction])
+    );
+  }
+
+  /**
+   * Attach public display info to twins (respects name privacy)
+   * @param {Array} twins - [{ userId, similarity, overlap }]
+   * @returns {Promise<Array>}
+   */
+  async describeTwins(twins) {
+    if (twins.length === 0) return [];
+
+    const result = await this.db.execute(sql`
+      SELECT id, first_name, last_name, display_name, handle, hide_name_privacy, profile_image_url
+      FROM users
+      WHERE id IN (${sql.join(twins.map(t => sql`${t.userId}`), sql`, `)})
+    `);
+    const usersById = new Map(result.rows.map(row => [row.id, row]));
+
+    return twins
+      .filter(twin => usersById.has(twin.userId))
+      .map(twin => {
+        const user = usersById.get(twin.userId);
+        return {
+          ...twin,
+          displayName: this.communityService.formatDisplayName(user),
+          avatarUrl: this.communityService.getAvatarUrl(user),
+          initials: this.communityService.getUserInitials(user),
+        };
+      });
+  }
+
+  /**
+   * Drop a user's cached twins/predictions (call after their rankings change)
+   * @param {number} userId - User ID
+   */
+  invalidateUser(userId) {
+    this.cache.invalidate(userId);
+  }
+}
+
+module.exports = RecommendationService;
@@ -0,0 +1,322 @@
+const { sql } = require('drizzle-orm');
+const { seasonTopProducts } = require('../../shared/schema');
+const { SEASON_TYPES } = require('../../shared/constants');
+const EngagementScoreService = require('./EngagementScoreService');
+
+// Standings kept per season (placement coins only go as deep as the top 10)
+const SEASON_LEADERBOARD_SIZE = 25;
+const SEASON_TOP_PRODUCTS = 10;
+
+// user_engagement_scores column holding each season type's running score
+const SEASON_SCORE_FIELDS = {
+  week: 'engagement_score_week',
+  month: 'engagement_score_month',
+};
+
+// Top-N window (see TOP_N_WINDOWS) matching each season's length
+const SEASON_TOP_N_WINDOWS = {
+  week: '7d',
+  month: '30d',
+};
+
+/**
+ * Start of the season containing a date (UTC; weeks start Monday)
+ * @param {string} seasonType - 'week' or 'month'
+ * @param {Date} date - Any moment in the season
+ * @returns {Date}
+ */
+function seasonStart(seasonType, date) {
+  if (seasonType === 'month') {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+  const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - daysSinceMonday));
+}
+
+/**
+ * Human-readable season name ("Week of Oct 12, 2026", "October 2026")
+ * @param {string} seasonType - 'week' or 'month'
+ * @param {Date} endsAt - Season end boundary
+ * @returns {string}
+ */
+function seasonLabel(seasonType, endsAt) {
+  const start = seasonStart(seasonType, new Date(new Date(endsAt).getTime() - 1));
+  if (seasonType === 'month') {
+    return start.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  }
+  return `Week of ${start.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })}`;
+}
+
+/**
+ * SeasonService - Weekly and monthly leaderboard seasons
+ *
+ * user_engagement_scores keeps running week/month scores. When a period ends, closeSeason
+ * archives its final standings and the community Top N for rankings made during it, awards
+ * placement coins through EngagementManager, then resets the period's scores. Seasons are
+ * claimed with a unique (season_type, ends_at) row, so only one instance closes each season.
+ */
+class SeasonService {
+  constructor(db, engagementManager, productsService = null, communityService = null) {
+    this.db = db;
+    this.engagementManager = engagementManager;
+    this.productsService = productsService;
+    this.communityService = communityService;
+    this.engagementScoreService = new EngagementScoreService(db);
+  }
+
+  /**
+   * Close every season type whose current period has ended
+   * Safe to call often; does nothing until a week/month boundary has passed
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Seasons closed by this call
+   */
+  async closeDueSeasons(now = new Date()) {
+    const closed = [];
+    for (const seasonType of SEASON_TYPES) {
+      const season = await this.closeSeason(seasonType, seasonStart(seasonType, now));
+      if (season) closed.push(season);
+    }
+    return closed;
+  }
+
+  /**
+   * Archive the season ending at a boundary, award placement coins and reset its scores
+   * @param {string} seasonType - 'week' or 'month'
+   * @param {Date} endsAt - Season end boundary (start of the next season)
+   * @returns {Promise<Object|null>} Closed season, or null if already closed
+   */
+  async closeSeason(seasonType, endsAt) {
+    const scoreField = SEASON_SCORE_FIELDS[seasonType];
+    if (!scoreField) {
+      throw new Error(`Invalid season type: ${seasonType}`);
+    }
+
+    const endsAtIso = endsAt.toISOString();
+    const existing = await this.db.execute(sql`
+      SELECT 1 FROM seasons
+      WHERE season_type = ${seasonType} AND ends_at >= ${endsAtIso}::timestamp
+      LIMIT 1
+    `);
+    if (existing.rows.length > 0) return null;
+
+    // Computed before the transaction; the Top N query reads cached ranking stats
+    const topProducts = this.productsService
+      ? (await this.productsService.getTopProducts(SEASON_TOP_PRODUCTS, { window: SEASON_TOP_N_WINDOWS[seasonType] })).items
+      : [];
+
+    // A season with no predecessor covers the period just before the boundary
+    const fallbackStartIso = seasonStart(seasonType, new Date(endsAt.getTime() - 1)).toISOString();
+
+    const archived = await this.db.transaction(async (tx) => {
+      const claimed = await tx.execute(sql`
+        INSERT INTO seasons (season_type, starts_at, ends_at)
+        SELECT ${seasonType}, COALESCE(MAX(ends_at), ${fallbackStartIso}::timestamp), ${endsAtIso}::timestamp
+        FROM seasons
+        WHERE season_type = ${seasonType}
+        HAVING COALESCE(MAX(ends_at) < ${endsAtIso}::timestamp, true)
+        ON CONFLICT (season_type, ends_at) DO NOTHING
+        RETURNING id, season_type, starts_at, ends_at
+      `);
+      const seasonRow = claimed.rows[0];
+      if (!seasonRow) return null;
+
+      const standings = await tx.execute(sql`
+        INSERT INTO season_leaderboard_entries (season_id, user_id, position, engagement_score, unique_products)
+        SELECT ${seasonRow.id}, ranked.user_id, ranked.position, ranked.score, ranked.unique_products
+        FROM (
+          SELECT ues.user_id,
+                 RANK() OVER (ORDER BY ues.${sql.raw(scoreField)} DESC)::int AS position,
+                 ues.${sql.raw(scoreField)} AS score,
+                 COALESCE(ues.unique_products_count, 0) AS unique_products
+          FROM user_engagement_scores ues
+          INNER JOIN users u ON u.id = ues.user_id
+          WHERE u.active = true
+            AND ues.${sql.raw(scoreField)} > 0
+        ) ranked
+        WHERE ranked.position <= ${SEASON_LEADERBOARD_SIZE}
+        RETURNING user_id, position
+      `);
+
+      const participants = await tx.execute(sql`
+        UPDATE seasons
+        SET participant_count = (
+          SELECT COUNT(*)::int
+          FROM user_engagement_scores ues
+          INNER JOIN users u ON u.id = ues.user_id
+          WHERE u.active = true AND ues.${sql.raw(scoreField)} > 0
+        )
+        WHERE id = ${seasonRow.id}
+        RETURNING participant_count
+      `);
+
+      if (topProducts.length > 0) {
+        await tx.insert(seasonTopProducts).values(topProducts.map(product => ({
+          seasonId: seasonRow.id,
+          position: product.rank,
+          shopifyProductId: product.productId,
+          title: product.title,
+          vendor: product.vendor,
+          rankCount: product.rankCount,
+          avgRank: product.avgRank,
+          consensusScore: product.consensusScore,
+        })));
+      }
+
+      return {
+        season: {
+          id: seasonRow.id,
+          seasonType: seasonRow.season_type,
+          startsAt: seasonRow.starts_at,
+          endsAt: seasonRow.ends_at,
+          participantCount: participants.rows[0]?.participant_count || 0,
+        },
+        standings: standings.rows.map(row => ({
+          userId: row.user_id,
+          position: parseInt(row.position),
+        })),
+      };
+    });
+
+    if (!archived) return null;
+
+    const { season, standings } = archived;
+
+    // Scores are reset even if awarding fails, otherwise the next season would inherit them
+    let awardedCount = 0;
+    try {
+      const awarded = await this.engagementManager.awardSeasonPlacementCoins(season, standings);
+      awardedCount = awarded.length;
+    } catch (error) {
+      console.error(`❌ Failed to award ${seasonType} season ${season.id} placement coins:`, error);
+    }
+
+    if (seasonType === 'week') {
+      await this.engagementScoreService.resetWeeklyScores();
+    } else {
+      await this.engagementScoreService.resetMonthlyScores();
+    }
+
+    console.log(`🏁 Closed ${seasonType} season ${season.id} (${seasonLabel(seasonType, season.endsAt)}): ${standings.length} placements, ${topProducts.length} top products, ${awardedCount} coins awarded`);
+
+    return { ...season, label: seasonLabel(seasonType, season.endsAt) };
+  }
+
+  /**
+   * Archived seasons, newest first, with each season's winner and top product
+   * @param {Object} options - { type: 'week' | 'month' (optional), limit }
+   * @returns {Promise<Array>}
+   */
+  async listSeasons({ type = null, limit = 20 } = {}) {
+    const result = await this.db.execute(sql`
+      SELECT s.id, s.season_type, s.starts_at, s.ends_at, s.participant_count,
+             champion.user_id, champion.engagement_score,
+             champion.first_name, champion.last_name, champion.display_name, champion.handle,
+             champion.hide_name_privacy, champion.profile_image_url,
+             tp.shopify_product_id AS top_product_id, tp.title AS top_product_title
+      FROM seasons s
+      LEFT JOIN LATERAL (
+        SELECT e.user_id, e.engagement_score,
+               u.first_name, u.last_name, u.display_name, u.handle, u.hide_name_privacy, u.profile_image_url
+        FROM season_leaderboard_entries e
+        INNER JOIN users u ON u.id = e.user_id
+        WHERE e.season_id = s.id AND u.active = true
+        ORDER BY e.position ASC, e.engagement_score DESC
+        LIMIT 1
+      ) champion ON true
+      LEFT JOIN season_top_products tp ON tp.season_id = s.id AND tp.position = 1
+      ${type ? sql`WHERE s.season_type = ${type}` : sql``}
+      ORDER BY s.ends_at DESC, s.id DESC
+      LIMIT ${limit}
+    `);
+
+    return result.rows.map(row => ({
+      ...this._formatSeason(row),
+      champion: row.user_id ? {
+        ...this._formatUser(row),
+        engagementScore: parseInt(row.engagement_score),
+      } : null,
+      topProduct: row.top_product_id ? {
+        productId: row.top_product_id,
+        title: row.top_product_title,
+      } : null,
+    }));
+  }
+
+  /**
+   * One archived season with its final standings and Top N
+   * @param {number} seasonId - Season ID
+   * @returns {Promise<Object|null>} { season, leaderboard, topProducts } or null
+   */
+  async getSeason(seasonId) {
+    const seasonResult = await this.db.execute(sql`
+      SELECT id, season_type, starts_at, ends_at, participant_count
+      FROM seasons
+      WHERE id = ${seasonId}
+    `);
+    const seasonRow = seasonResult.rows[0];
+    if (!seasonRow) return null;
+
+    const [entriesResult, productsResult] = await Promise.all([
+      this.db.execute(sql`
+        SELECT e.user_id, e.position, e.engagement_score, e.unique_products,
+               u.first_name, u.last_name, u.display_name, u.handle, u.hide_name_privacy, u.profile_image_url
+        FROM season_leaderboard_entries e
+        INNER JOIN users u ON u.id = e.user_id
+        WHERE e.season_id = ${seasonId} AND u.active = true
+        ORDER BY e.position ASC, e.engagement_score DESC
+      `),
+      this.db.execute(sql`
+        SELECT tp.position, tp.shopify_product_id, tp.title, tp.vendor, tp.rank_count, tp.avg_rank,
+               pm.animal_display, pm.animal_icon, pm.flavor_display, pm.flavor_icon
+        FROM season_top_products tp
+        LEFT JOIN products_metadata pm ON pm.shopify_product_id = tp.shopify_product_id
+        WHERE tp.season_id = ${seasonId}
+        ORDER BY tp.position ASC
+      `),
+    ]);
+
+    return {
+      season: this._formatSeason(seasonRow),
+      leaderboard: entriesResult.rows.map(row => ({
+        ...this._formatUser(row),
+        position: parseInt(row.position),
+        engagementScore: parseInt(row.engagement_score),
+        uniqueProducts: parseInt(row.unique_products) || 0,
+      })),
+      topProducts: productsResult.rows.map(row => ({
+        position: parseInt(row.position),
+        productId: row.shopify_product_id,
+        title: row.title || 'Unknown flavor',
+        vendor: row.vendor,
+        rankCount: parseInt(row.rank_count) || 0,
+        avgRank: row.avg_rank !== null ? parseFloat(row.avg_rank) : null,
+        animalDisplay: row.animal_display,
+        animalIcon: row.animal_icon,
+        flavorDisplay: row.flavor_display,
+        flavorIcon: row.flavor_icon,
+      })),
+    };
+  }
+
+  _formatSeason(row) {
+    return {
+      id: row.id,
+      seasonType: row.season_type,
+      label: seasonLabel(row.season_type, row.ends_at),
+      startsAt: row.starts_at,
+      endsAt: row.ends_at,
+      participantCount: parseInt(row.participant_count) || 0,
+    };
+  }
+
+  _formatUser(row) {
+    return {
+      userId: row.user_id,
+      displayName: this.communityService ? this.communityService.formatDisplayName(row) : row.display_name,
+      avatarUrl: this.communityService ? this.communityService.getAvatarUrl(row) : row.profile_image_url,
+      initials: this.communityService ? this.communityService.getUserInitials(row) : '?',
+    };
+  }
+}
+
+module.exports = SeasonService;
@@ -0,0 +1,141 @@
+const { sql } = require('drizzle-orm');
+const { PRIMARY_RANKING_LIST_ID } = require('../../shared/constants');
+
+/**
+ * ShareCardService - Data behind share cards and embed widgets
+ *
+ * Everything here is public: users are looked up by handle, names go through
+ * CommunityService.formatDisplayName (so hideNamePrivacy is respected), and a
+ * primary list the user made private is treated as not found.
+ */
+class ShareCardService {
+  constructor(db, productsService, communityService) {
+    this.db = db;
+    this.productsService = productsService;
+    this.communityService = communityService;
+  }
+
+  /**
+   * A user's public Top N from their primary list
+   * @param {string} handle - User handle (with or without @, case-insensitive)
+   * @param {number} n - Number of products
+   * @returns {Promise<Object|null>} { userId, displayName, n, items: [{ position, productId, title, animalDisplay, flavorDisplay }] } or null
+   */
+  async getUserTopN(handle, n) {
+    const normalizedHandle = String(handle || '').replace(/^@/, '').toLowerCase();
+    if (!normalizedHandle) return null;
+
+    const userResult = await this.db.execute(sql`
+      SELECT u.id, u.first_name, u.last_name, u.display_name, u.handle, u.hide_name_privacy,
+             rl.visibility
+      FROM users u
+      LEFT JOIN ranking_lists rl ON rl.user_id = u.id AND rl.list_id = ${PRIMARY_RANKING_LIST_ID}
+      WHERE LOWER(u.handle) = ${normalizedHandle}
+        AND u.active = true
+      LIMIT 1
+    `);
+
+    const user = userResult.rows[0];
+    if (!user || user.visibility === 'private') return null;
+
+    const rankingsResult = await this.db.execute(sql`
+      SELECT pr.ranking, pr.shopify_product_id,
+             COALESCE(pm.title, pr.product_data->>'title') as title,
+             pm.animal_display, pm.flavor_display
+      FROM product_rankings pr
+      LEFT JOIN products_metadata pm ON pm.shopify_product_id = pr.shopify_product_id
+      WHERE pr.user_id = ${user.id}
+        AND pr.ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+      ORDER BY pr.ranking ASC
+      LIMIT ${n}
+    `);
+
+    return {
+      userId: user.id,
+      displayName: this.communityService.formatDisplayName(user),
+      n,
+      items: rankingsResult.rows.map(row => ({
+        position: parseInt(row.ranking),
+        productId: row.shopify_product_id,
+        title: row.title || 'Unknown flavor',
+        animalDisplay: row.animal_display,
+        flavorDisplay: row.flavor_display,
+      })),
+    };
+  }
+
+  /**
+   * Title, description and card image for a public profile page's link preview
+   * @param {number} userId - User ID (from /community/:userId)
+   * @returns {Promise<Object|null>} { title, description, image (site-relative path or null) } or null
+   */
+  async getProfilePageMeta(userId) {
+    const result = await this.db.execute(sql`
+      SELECT u.id, u.first_name, u.last_name, u.display_name, u.handle, u.hide_name_privacy,
+             rl.visibility,
+             (SELECT COUNT(*)::int FROM product_rankings pr
+              WHERE pr.user_id = u.id AND pr.ranking_list_id = ${PRIMARY_RANKING_LIST_ID}) AS ranking_count
+      FROM users u
+      LEFT JOIN ranking_lists rl ON rl.user_id = u.id AND rl.list_id = ${PRIMARY_RANKING_LIST_ID}
+      WHERE u.id = ${userId}
+        AND u.active = true
+      LIMIT 1
+    `);
+
+    const user = result.rows[0];
+    if (!user) return null;
+
+    const displayName = this.communityService.formatDisplayName(user);
+    const isPrivate = user.visibility === 'private';
+    const rankingCount = isPrivate ? 0 : user.ranking_count;
+
+    return {
+      title: `${displayName}'s Jerky Rankings`,
+      description: isPrivate
+        ? `${displayName} keeps their jerky rankings private.`
+        : `See the ${rankingCount} jerky flavors ${displayName} has ranked.`,
+      image: user.handle && rankingCount > 0
+        ? `/share/u/${encodeURIComponent(user.handle)}/top/5.png`
+        : null,
+    };
+  }
+
+  /**
+   * Title, description and card image for a product page's link preview
+   * @param {string} productId - Shopify product ID (from /flavors/:productId)
+   * @returns {Promise<Object|null>} { title, description, image (site-relative path or absolute URL) } or null
+   */
+  async getProductPageMeta(productId) {
+    if (!this.productsService) return null;
+
+    const standing = await this.productsService.getCommunityStanding(productId);
+    if (standing?.title) {
+      return {
+        title: standing.title,
+        description: `Ranked by ${standing.rankCount} jerky fans. See where ${standing.title} lands in the community rankings.`,
+        image: `/share/p/${standing.productId}.png`,
+      };
+    }
+
+    const [product] = await this.productsService.getProductsByIds([productId], { includeRankingStats: false });
+    if (!product) return null;
+
+    return {
+      title: product.title,
+      description: `Be the first to rank ${product.title}.`,
+      image: product.image || null,
+    };
+  }
+
+  /**
+   * A product's community rank for its share card
+   * @param {string} productId - Shopify product ID
+   * @returns {Promise<Object|null>} See ProductsService.getCommunityStanding
+   */
+  async getProductStanding(productId) {
+    if (!this.productsService) return null;
+    return this.productsService.getCommunityStanding(productId);
+  }
+}
+
+module.exports = ShareCardService;
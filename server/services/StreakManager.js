@@ -1,5 +1,24 @@
+const {
+  VALID_STREAK_TYPES,
+  STREAK_FREEZE_EARN_INTERVAL,
+  STREAK_FREEZE_MAX,
+} = require('../../shared/constants');
+const { getLocalDateString, daysBetween, addDays, isValidTimeZone, resolveTimeZone } = require('../utils/timeZone');
+
+// Activity logged on every day that counts toward a streak type (tracked alongside updateStreak)
+const STREAK_ACTIVITY_TYPES = {
+  daily_rank: 'ranking_saved',
+};
+
 /**
  * StreakManager - Domain service for managing user streaks
+ *
+ * Days are calendar days in the user's timezone (users.timezone, falling back to the
+ * browser's timezone passed by the caller, then DEFAULT_TIMEZONE). Gaps are measured from
+ * last_activity_date at update time; when a timezone is first saved or changed, recomputeStreak
+ * rebuilds the streak from the activity log in the new local days. Missed days are covered by freeze tokens
+ * when the user holds enough of them (one is earned every STREAK_FREEZE_EARN_INTERVAL days
+ * of a streak, up to STREAK_FREEZE_MAX); otherwise the streak resets.
  */
 class StreakManager {
   constructor(streakRepo, activityLogRepo) {
@@ -11,21 +30,24 @@ class StreakManager {
    * Update user's streak based on activity
    * @param {number} userId - User ID
    * @param {string} streakType - Type of streak (e.g., 'daily_rank')
-   * @returns {Object} Updated streak information
+   * @param {Object} options - { timeZone } Browser timezone, used when the user has no saved timezone
+   * @returns {Object} Updated streak information, including freezesAvailable and any frozenDays
    */
-  async updateStreak(userId, streakType) {
+  async updateStreak(userId, streakType, { timeZone = null } = {}) {
     // Defense in depth: Validate streak type at service layer
-    const { VALID_STREAK_TYPES } = require('../../shared/constants');
     if (!VALID_STREAK_TYPES.includes(streakType)) {
       throw new Error(`Invalid streak type: ${streakType}`);
     }
-    
+
+    timeZone = await this.resolveTimeZone(userId, timeZone);
     const streak = await this.streakRepo.getUserStreak(userId, streakType);
     const now = new Date();
-    
+    const today = getLocalDateString(now, timeZone);
+
     if (!streak) {
       const newStreak = await this.streakRepo.createStreak(userId, streakType, 1);
-      
+      await this.streakRepo.recordStreakDays(userId, streakType, [{ day: today, status: 'active' }]);
+
       await this.activityLogRepo.logActivity(
         userId,
         'streak_started',
@@ -37,27 +59,59 @@ class StreakManager {
 
       return {
         ...newStreak,
+        ...this.getFreezeInfo(newStreak),
         continued: false,
         broken: false,
       };
     }
 
-    const lastActivity = new Date(streak.lastActivityDate);
-    const daysSinceLastActivity = this.getDaysDifference(lastActivity, now);
+    const daysSinceLastActivity = this.getDaysDifference(new Date(streak.lastActivityDate), now, timeZone);
 
-    if (daysSinceLastActivity === 0) {
+    // <= 0 also covers a timezone change that puts "today" before the last active day
+    if (daysSinceLastActivity <= 0) {
       return {
         ...streak,
+        ...this.getFreezeInfo(streak),
         continued: false,
         broken: false,
         message: 'Already counted today',
       };
     }
 
-    if (daysSinceLastActivity === 1) {
+    const missedDays = daysSinceLastActivity - 1;
+    const freezesHeld = streak.freezesAvailable || 0;
+
+    if (missedDays <= freezesHeld) {
       const newStreak = streak.currentStreak + 1;
-      const updated = await this.streakRepo.updateStreak(userId, streakType, newStreak, now);
-      
+      const lastActiveDay = addDays(today, -daysSinceLastActivity);
+      const frozenDays = Array.from({ length: missedDays }, (_, i) => addDays(lastActiveDay, i + 1));
+
+      let freezesAvailable = freezesHeld - missedDays;
+      const earnedFreeze = newStreak % STREAK_FREEZE_EARN_INTERVAL === 0 && freezesAvailable < STREAK_FREEZE_MAX;
+      if (earnedFreeze) {
+        freezesAvailable += 1;
+      }
+
+      const updated = await this.streakRepo.updateStreak(userId, streakType, newStreak, now, freezesAvailable);
+      await this.streakRepo.recordStreakDays(userId, streakType, [
+        ...frozenDays.map(day => ({ day, status: 'frozen' })),
+        { day: today, status: 'active' },
+      ]);
+
+      if (frozenDays.length > 0) {
+        await this.activityLogRepo.logActivity(
+          userId,
+          'streak_frozen',
+          {
+            streakType,
+            currentStreak: newStreak,
+            frozenDays,
+            freezesRemaining: freezesAvailable,
+          },
+          false
+        );
+      }
+
       if (newStreak % 7 === 0) {
         await this.activityLogRepo.logActivity(
           userId,
@@ -72,14 +126,19 @@ class StreakManager {
 
       return {
         ...updated,
+        ...this.getFreezeInfo(updated),
         continued: true,
         broken: false,
+        frozenDays,
+        earnedFreeze,
       };
     }
 
+    // Not enough freezes to cover the gap: start over, keeping the freezes already earned
     const previousStreak = streak.currentStreak;
     const updated = await this.streakRepo.updateStreak(userId, streakType, 1, now);
-    
+    await this.streakRepo.recordStreakDays(userId, streakType, [{ day: today, status: 'active' }]);
+
     if (previousStreak >= 3) {
       await this.activityLogRepo.logActivity(
         userId,
@@ -93,32 +152,137 @@ class StreakManager {
 
     return {
       ...updated,
+      ...this.getFreezeInfo(updated),
       continued: false,
       broken: true,
       previousStreak,
     };
   }
 
+  /**
+   * Rebuild a streak from the user's activity log in a timezone's calendar days
+   * Called when a user's timezone is first saved or changed, since existing streaks were
+   * counted in other day boundaries. Streaks without logged activity are left as they are.
+   * @param {number} userId - User ID
+   * @param {string} timeZone - The user's new IANA timezone
+   * @param {string} streakType - Streak type (only types in STREAK_ACTIVITY_TYPES can be rebuilt)
+   * @returns {Promise<Object|null>} The recomputed streak, or null when nothing was rebuilt
+   */
+  async recomputeStreak(userId, timeZone, streakType = 'daily_rank') {
+    const activityType = STREAK_ACTIVITY_TYPES[streakType];
+    if (!activityType) return null;
+
+    const [streak, activityDays] = await Promise.all([
+      this.streakRepo.getUserStreak(userId, streakType),
+      this.streakRepo.getActivityDays(userId, activityType, resolveTimeZone(timeZone)),
+    ]);
+    if (!streak || activityDays.length === 0) return null;
+
+    const replayed = StreakManager.replayDays(activityDays.map(({ day }) => day));
+    const recomputed = {
+      currentStreak: replayed.currentStreak,
+      longestStreak: Math.max(streak.longestStreak || 0, replayed.longestStreak),
+      lastActivityDate: activityDays[activityDays.length - 1].lastActivityAt,
+      freezesAvailable: replayed.freezesAvailable,
+    };
+
+    await this.streakRepo.replaceStreak(userId, streakType, recomputed, replayed.days);
+    return { ...streak, ...recomputed };
+  }
+
+  /**
+   * Replay active days through the streak rules (freezes cover gaps they can, else the streak resets)
+   * The gap between the last active day and today is left to the next updateStreak call
+   * @param {Array<string>} activeDays - 'YYYY-MM-DD' days with activity, oldest first, no duplicates
+   * @returns {Object} { currentStreak, longestStreak, freezesAvailable, days: [{ day, status }] }
+   */
+  static replayDays(activeDays) {
+    let currentStreak = 0;
+    let longestStreak = 0;
+    let freezesAvailable = 0;
+    const days = [];
+
+    activeDays.forEach((day, i) => {
+      const missedDays = i === 0 ? Infinity : daysBetween(activeDays[i - 1], day) - 1;
+
+      if (missedDays <= freezesAvailable) {
+        const frozenDays = Array.from({ length: missedDays }, (_, j) => addDays(activeDays[i - 1], j + 1));
+        days.push(...frozenDays.map(frozenDay => ({ day: frozenDay, status: 'frozen' })));
+        freezesAvailable -= missedDays;
+        currentStreak += 1;
+        if (currentStreak % STREAK_FREEZE_EARN_INTERVAL === 0 && freezesAvailable < STREAK_FREEZE_MAX) {
+          freezesAvailable += 1;
+        }
+      } else {
+        // A reset keeps the freezes already earned, like updateStreak
+        currentStreak = 1;
+      }
+
+      days.push({ day, status: 'active' });
+      longestStreak = Math.max(longestStreak, currentStreak);
+    });
+
+    return { currentStreak, longestStreak, freezesAvailable, days };
+  }
+
+  /**
+   * Timezone for a user's day boundaries: their saved timezone, else the fallback
+   * @param {number} userId - User ID
+   * @param {string} fallbackTimeZone - Browser timezone for this request (may be null)
+   * @returns {Promise<string|null>} null lets the timezone helpers apply DEFAULT_TIMEZONE
+   */
+  async resolveTimeZone(userId, fallbackTimeZone = null) {
+    const saved = await this.streakRepo.getUserTimeZone(userId);
+    return isValidTimeZone(saved) ? saved : fallbackTimeZone;
+  }
+
+  /**
+   * Freeze fields for a streak row
+   * @returns {Object} { freezesAvailable, maxFreezes, daysUntilNextFreeze (null when at the cap) }
+   */
+  getFreezeInfo(streak) {
+    const freezesAvailable = streak?.freezesAvailable || 0;
+    const currentStreak = streak?.currentStreak || 0;
+    return {
+      freezesAvailable,
+      maxFreezes: STREAK_FREEZE_MAX,
+      daysUntilNextFreeze: freezesAvailable >= STREAK_FREEZE_MAX
+        ? null
+        : STREAK_FREEZE_EARN_INTERVAL - (currentStreak % STREAK_FREEZE_EARN_INTERVAL),
+    };
+  }
+
   /**
    * Get days difference between two dates using calendar days (not 24-hour periods)
-   * This properly handles timezone edge cases and ensures streaks work correctly
+   * Days are taken in the given timezone, so the day boundary is the user's local midnight
+   * @param {Date} date1 - Earlier instant
+   * @param {Date} date2 - Later instant
+   * @param {string} timeZone - IANA timezone (defaults to DEFAULT_TIMEZONE)
+   * @returns {number} Calendar days from date1 to date2
    */
-  getDaysDifference(date1, date2) {
-    // Normalize both dates to midnight UTC to compare calendar days
-    const d1 = new Date(Date.UTC(date1.getFullYear(), date1.getMonth(), date1.getDate()));
-    const d2 = new Date(Date.UTC(date2.getFullYear(), date2.getMonth(), date2.getDate()));
-    
-    // Calculate difference in milliseconds and convert to days
-    const diffTime = Math.abs(d2 - d1);
-    const oneDay = 24 * 60 * 60 * 1000;
-    return Math.floor(diffTime / oneDay);
+  getDaysDifference(date1, date2, timeZone = null) {
+    return daysBetween(getLocalDateString(date1, timeZone), getLocalDateString(date2, timeZone));
   }
 
   /**
-   * Get all streaks for a user
+   * Get all streaks for a user, with freeze info
    */
   async getUserStreaks(userId) {
-    return await this.streakRepo.getAllUserStreaks(userId);
+    const streaks = await this.streakRepo.getAllUserStreaks(userId);
+    return streaks.map(streak => ({ ...streak, ...this.getFreezeInfo(streak) }));
+  }
+
+  /**
+   * Day-by-day history of a streak type, including which days were frozen
+   * @param {number} userId - User ID
+   * @param {string} streakType - Streak type
+   * @param {Object} options - { days (lookback, default 30), timeZone (browser fallback) }
+   * @returns {Promise<Array<Object>>} [{ day: 'YYYY-MM-DD', status: 'active' | 'frozen' }], oldest first
+   */
+  async getStreakHistory(userId, streakType, { days = 30, timeZone = null } = {}) {
+    timeZone = await this.resolveTimeZone(userId, timeZone);
+    const today = getLocalDateString(new Date(), timeZone);
+    return await this.streakRepo.getStreakDays(userId, streakType, addDays(today, -(days - 1)));
   }
 }
 
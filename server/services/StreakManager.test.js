@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STREAK_FREEZE_EARN_INTERVAL, STREAK_FREEZE_MAX } = require('../../shared/constants');
+const { getLocalDateString, addDays } = require('../utils/timeZone');
+const StreakManager = require('./StreakManager');
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// In-memory stand-in for StreakRepository
+function createStreakRepo({ streak = null, timeZone = 'UTC', activityDays = [] } = {}) {
+  const repo = {
+    streak,
+    days: [],
+    replaced: null,
+    getUserTimeZone: async () => timeZone,
+    getUserStreak: async () => repo.streak,
+    createStreak: async (userId, streakType, currentStreak) => {
+      repo.streak = { userId, streakType, currentStreak, longestStreak: currentStreak, freezesAvailable: 0, lastActivityDate: new Date() };
+      return repo.streak;
+    },
+    updateStreak: async (userId, streakType, currentStreak, lastActivityDate, freezesAvailable) => {
+      repo.streak = {
+        ...repo.streak,
+        currentStreak,
+        longestStreak: Math.max(repo.streak.longestStreak, currentStreak),
+        lastActivityDate,
+        ...(freezesAvailable !== undefined && { freezesAvailable }),
+      };
+      return repo.streak;
+    },
+    recordStreakDays: async (userId, streakType, days) => { repo.days.push(...days); },
+    getActivityDays: async () => activityDays,
+    replaceStreak: async (userId, streakType, values, days) => { repo.replaced = { values, days }; },
+  };
+  return repo;
+}
+
+const activityLogRepo = { logActivity: async () => {} };
+const daysAgo = (days) => new Date(Date.now() - days * ONE_DAY_MS);
+
+test('the first activity starts a streak', async () => {
+  const repo = createStreakRepo();
+  const result = await new StreakManager(repo, activityLogRepo).updateStreak(1, 'daily_rank');
+  assert.equal(result.currentStreak, 1);
+  assert.deepEqual(repo.days, [{ day: getLocalDateString(new Date(), 'UTC'), status: 'active' }]);
+});
+
+test('a second activity on the same day does not count twice', async () => {
+  const repo = createStreakRepo({ streak: { currentStreak: 3, longestStreak: 3, lastActivityDate: new Date() } });
+  const result = await new StreakManager(repo, activityLogRepo).updateStreak(1, 'daily_rank');
+  assert.equal(result.currentStreak, 3);
+  assert.equal(result.continued, false);
+});
+
+test('a missed day is covered by a freeze when one is held', async () => {
+  const repo = createStreakRepo({
+    streak: { currentStreak: 4, longestStreak: 4, freezesAvailable: 1, lastActivityDate: daysAgo(2) },
+  });
+  const result = await new StreakManager(repo, activityLogRepo).updateStreak(1, 'daily_rank');
+  assert.equal(result.continued, true);
+  assert.equal(result.currentStreak, 5);
+  assert.equal(result.freezesAvailable, 0);
+  assert.deepEqual(result.frozenDays, [addDays(getLocalDateString(new Date(), 'UTC'), -1)]);
+});
+
+test('a gap larger than the freezes held resets the streak', async () => {
+  const repo = createStreakRepo({
+    streak: { currentStreak: 9, longestStreak: 9, freezesAvailable: 1, lastActivityDate: daysAgo(4) },
+  });
+  const result = await new StreakManager(repo, activityLogRepo).updateStreak(1, 'daily_rank');
+  assert.equal(result.broken, true);
+  assert.equal(result.currentStreak, 1);
+  assert.equal(result.previousStreak, 9);
+});
+
+test('updateStreak rejects unknown streak types', async () => {
+  await assert.rejects(new StreakManager(createStreakRepo(), activityLogRepo).updateStreak(1, 'weekly_nap'), /Invalid streak type/);
+});
+
+test('replayDays earns and spends freezes like updateStreak', () => {
+  const run = Array.from({ length: STREAK_FREEZE_EARN_INTERVAL }, (_, i) => addDays('2026-01-01', i));
+  const afterGap = addDays(run[run.length - 1], 2);
+  const replayed = StreakManager.replayDays([...run, afterGap]);
+
+  assert.equal(replayed.currentStreak, STREAK_FREEZE_EARN_INTERVAL + 1);
+  assert.equal(replayed.freezesAvailable, 0);
+  assert.deepEqual(replayed.days.filter(day => day.status === 'frozen'), [
+    { day: addDays(run[run.length - 1], 1), status: 'frozen' },
+  ]);
+});
+
+test('replayDays resets on an uncovered gap and keeps the longest streak', () => {
+  const replayed = StreakManager.replayDays(['2026-01-01', '2026-01-02', '2026-01-03', '2026-01-10', '2026-01-11']);
+  assert.equal(replayed.currentStreak, 2);
+  assert.equal(replayed.longestStreak, 3);
+  assert.equal(replayed.days.length, 5);
+});
+
+test('replayDays never holds more than the freeze cap', () => {
+  const days = Array.from({ length: STREAK_FREEZE_EARN_INTERVAL * (STREAK_FREEZE_MAX + 2) }, (_, i) => addDays('2026-01-01', i));
+  assert.equal(StreakManager.replayDays(days).freezesAvailable, STREAK_FREEZE_MAX);
+});
+
+test('recomputeStreak rebuilds a streak from activity days in the new timezone', async () => {
+  const lastActivityAt = new Date('2026-01-03T18:00:00Z');
+  const repo = createStreakRepo({
+    streak: { currentStreak: 1, longestStreak: 5, freezesAvailable: 0 },
+    activityDays: [
+      { day: '2026-01-01', lastActivityAt: new Date('2026-01-01T18:00:00Z') },
+      { day: '2026-01-02', lastActivityAt: new Date('2026-01-02T18:00:00Z') },
+      { day: '2026-01-03', lastActivityAt },
+    ],
+  });
+
+  const result = await new StreakManager(repo, activityLogRepo).recomputeStreak(1, 'America/Los_Angeles');
+  assert.equal(result.currentStreak, 3);
+  assert.deepEqual(repo.replaced.values, {
+    currentStreak: 3,
+    longestStreak: 5, // never lowered
+    lastActivityDate: lastActivityAt,
+    freezesAvailable: 0,
+  });
+  assert.equal(repo.replaced.days.length, 3);
+});
+
+test('recomputeStreak leaves streaks without logged activity alone', async () => {
+  const repo = createStreakRepo({ streak: { currentStreak: 4, longestStreak: 4 } });
+  assert.equal(await new StreakManager(repo, activityLogRepo).recomputeStreak(1, 'UTC'), null);
+  assert.equal(repo.replaced, null);
+});
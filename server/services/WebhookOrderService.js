@@ -3,6 +3,9 @@ const { db } = require('../db');
 const { customerOrderItems, users } = require('../../shared/schema');
 const { eq, and } = require('drizzle-orm');
 const OrdersService = require('./OrdersService');
+const { PRIMARY_RANKING_LIST_ID } = require('../../shared/constants');
+const { LIST_LENGTHS_SQL, BORDA_POINTS_SQL } = require('../utils/rankAggregation');
+const UserComparisonCache = require('../cache/UserComparisonCache');
 
 class WebhookOrderService {
   /**
@@ -274,6 +277,7 @@ class WebhookOrderService {
         
         if (rankingDeletionResult.deletedCount > 0) {
           console.log(`🗑️ Cascade: Deleted ${rankingDeletionResult.deletedCount} rankings for cancelled products`);
+          UserComparisonCache.getInstance().invalidate(userId);
         }
       } catch (error) {
         console.error('❌ Failed to delete rankings for cancelled order:', error);
@@ -584,6 +588,7 @@ class WebhookOrderService {
         
         if (rankingDeletionResult.deletedCount > 0) {
           console.log(`🗑️ Cascade: Deleted ${rankingDeletionResult.deletedCount} rankings for downgraded products`);
+          UserComparisonCache.getInstance().invalidate(user.id);
           
           // Enqueue coin recalculation
           const coinRecalculationQueue = require('./CoinRecalculationQueue');
@@ -656,18 +661,23 @@ class WebhookOrderService {
     try {
       const { sql } = require('drizzle-orm');
       
+      // Same shape as ProductsService._queryRankingStats (primary lists, Borda points)
       const results = await this.db.execute(sql`
+        WITH list_lengths AS (${LIST_LENGTHS_SQL})
         SELECT 
-          shopify_product_id,
+          pr.shopify_product_id,
           COUNT(*) as rank_count,
-          COUNT(DISTINCT user_id) as unique_rankers,
-          AVG(ranking) as avg_rank,
-          MIN(ranking) as best_rank,
-          MAX(ranking) as worst_rank,
-          MAX(created_at) as last_ranked_at
-        FROM product_rankings
-        WHERE shopify_product_id IN (${sql.join(productIds.map(id => sql`${id}`), sql`, `)})
-        GROUP BY shopify_product_id
+          COUNT(DISTINCT pr.user_id) as unique_rankers,
+          AVG(pr.ranking) as avg_rank,
+          MIN(pr.ranking) as best_rank,
+          MAX(pr.ranking) as worst_rank,
+          MAX(pr.created_at) as last_ranked_at,
+          SUM(${BORDA_POINTS_SQL}) as borda_points
+        FROM product_rankings pr
+        INNER JOIN list_lengths ll ON ll.user_id = pr.user_id
+        WHERE pr.ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+          AND pr.shopify_product_id IN (${sql.join(productIds.map(id => sql`${id}`), sql`, `)})
+        GROUP BY pr.shopify_product_id
       `);
 
       const statsMap = {};
@@ -678,7 +688,8 @@ class WebhookOrderService {
           avgRank: row.avg_rank ? parseFloat(row.avg_rank) : null,
           bestRank: row.best_rank ? parseInt(row.best_rank) : null,
           worstRank: row.worst_rank ? parseInt(row.worst_rank) : null,
-          lastRankedAt: row.last_ranked_at
+          lastRankedAt: row.last_ranked_at,
+          bordaPoints: row.borda_points ? parseFloat(row.borda_points) : 0
         };
       }
 
@@ -1,8 +1,11 @@
 const { users, sessions, rankings, magicLinks, productRankings, rankingOperations } = require('../shared/schema.js');
 const { db } = require('./db.js');
-const { eq, lt } = require('drizzle-orm');
+const { eq, lt, and, isNull } = require('drizzle-orm');
 const crypto = require('crypto');
 const Sentry = require('@sentry/node');
+const RankingEventRepository = require('./repositories/RankingEventRepository');
+
+const rankingEventRepo = new RankingEventRepository(db);
 
 /**
  * Retry wrapper for database operations that may encounter transient connection errors
@@ -67,6 +70,16 @@ class DatabaseStorage {
     return user || undefined;
   }
 
+  // Fills in a timezone detected from the browser; never overwrites one the user already has
+  async setUserTimeZoneIfMissing(userId, timeZone) {
+    const [user] = await db
+      .update(users)
+      .set({ timezone: timeZone })
+      .where(and(eq(users.id, userId), isNull(users.timezone)))
+      .returning();
+    return user || undefined;
+  }
+
   async createOrUpdateUser(userData) {
     // Ensure shopifyCustomerId is a string for Drizzle/Neon binding
     if (userData.shopifyCustomerId && typeof userData.shopifyCustomerId !== 'string') {
@@ -234,11 +247,20 @@ class DatabaseStorage {
   }
 
   // Product rankings methods
-  async saveProductRanking({ userId, shopifyProductId, productData, ranking, rankingListId }) {
+  async saveProductRanking({ userId, shopifyProductId, productData, ranking, rankingListId, operationId = null }) {
     try {
       const { sql } = require('drizzle-orm');
       const activityTrackingService = require('./services/ActivityTrackingService'); // Singleton instance
       
+      // Capture the previous position for the ranking event log
+      const previousResult = await db.execute(sql`
+        SELECT ranking FROM product_rankings
+        WHERE user_id = ${userId}
+          AND shopify_product_id = ${shopifyProductId}
+          AND ranking_list_id = ${rankingListId}
+      `);
+      const previousRanking = previousResult.rows[0]?.ranking ?? null;
+      
       // Try INSERT first (for new products)
       const insertResult = await db.execute(sql`
         INSERT INTO product_rankings (user_id, shopify_product_id, product_data, ranking, ranking_list_id, created_at, updated_at)
@@ -270,6 +292,18 @@ class DatabaseStorage {
         isNewProduct = false;
       }
       
+      // Append to the ranking event log (history is best-effort and never blocks the save)
+      try {
+        const title = productData?.title || null;
+        const events = RankingEventRepository.diffRankings(
+          previousRanking === null ? [] : [{ shopifyProductId, ranking: previousRanking, title }],
+          [{ shopifyProductId, ranking, title }]
+        );
+        await rankingEventRepo.recordEvents(userId, rankingListId, events, { operationId });
+      } catch (error) {
+        console.error('⚠️ Failed to record ranking event:', error.message);
+      }
+      
       // Track the ranking activity with new product flag
       await activityTrackingService.trackRankingSaved(
         userId,
@@ -322,7 +356,19 @@ class DatabaseStorage {
 
   async deleteProductRanking(id) {
     try {
-      await db.delete(productRankings).where(eq(productRankings.id, id));
+      await db.transaction(async (tx) => {
+        const [removed] = await tx.delete(productRankings)
+          .where(eq(productRankings.id, id))
+          .returning();
+        if (!removed) return;
+
+        // Log the 'remove' event so history replays drop the product too
+        const events = RankingEventRepository.diffRankings(
+          [{ shopifyProductId: removed.shopifyProductId, ranking: removed.ranking, title: removed.productData?.title }],
+          []
+        );
+        await rankingEventRepo.recordEvents(removed.userId, removed.rankingListId, events, { executor: tx });
+      });
     } catch (error) {
       Sentry.captureException(error, {
         tags: { service: 'rankings' },
@@ -335,8 +381,22 @@ class DatabaseStorage {
   async clearUserProductRankings(userId, rankingListId) {
     try {
       const { and } = require('drizzle-orm');
-      await db.delete(productRankings)
-        .where(and(eq(productRankings.userId, userId), eq(productRankings.rankingListId, rankingListId)));
+      await db.transaction(async (tx) => {
+        const removed = await tx.delete(productRankings)
+          .where(and(eq(productRankings.userId, userId), eq(productRankings.rankingListId, rankingListId)))
+          .returning({
+            shopifyProductId: productRankings.shopifyProductId,
+            ranking: productRankings.ranking,
+            productData: productRankings.productData,
+          });
+        
+        // Log a 'remove' event for every cleared product
+        const events = RankingEventRepository.diffRankings(
+          removed.map(r => ({ shopifyProductId: r.shopifyProductId, ranking: r.ranking, title: r.productData?.title })),
+          []
+        );
+        await rankingEventRepo.recordEvents(userId, rankingListId, events, { executor: tx });
+      });
     } catch (error) {
       Sentry.captureException(error, {
         tags: { service: 'rankings' },
@@ -356,6 +416,18 @@ class DatabaseStorage {
         return await db.transaction(async (tx) => {
           const savedRankings = [];
           
+          // Snapshot the list before changes so the event log can record moves/inserts/removes
+          const previousRankings = await tx.select({
+            shopifyProductId: productRankings.shopifyProductId,
+            ranking: productRankings.ranking,
+            productData: productRankings.productData,
+          })
+            .from(productRankings)
+            .where(and(
+              eq(productRankings.userId, userId),
+              eq(productRankings.rankingListId, rankingListId)
+            ));
+          
           // First, upsert all current rankings
           for (const { productId, productData, ranking } of rankings) {
             const [savedRanking] = await tx.insert(productRankings)
@@ -400,6 +472,13 @@ class DatabaseStorage {
               ));
           }
           
+          // Append the diff to the ranking event log inside the same transaction
+          const events = RankingEventRepository.diffRankings(
+            previousRankings.map(r => ({ shopifyProductId: r.shopifyProductId, ranking: r.ranking, title: r.productData?.title })),
+            rankings.map(r => ({ shopifyProductId: r.productId, ranking: r.ranking, title: r.productData?.title }))
+          );
+          await rankingEventRepo.recordEvents(userId, rankingListId, events, { executor: tx });
+          
           return savedRankings;
         });
       });
@@ -0,0 +1,47 @@
+/**
+ * App Domain Utility
+ *
+ * Public host for links built outside a request (emails sent by background jobs).
+ * Request handlers should prefer the request's Host header.
+ */
+
+/**
+ * Get app domain - prioritize custom domain in production
+ * @returns {string} Host without protocol, e.g. 'rank.jerky.com'
+ */
+function getAppDomain() {
+  // In production deployments, use REPLIT_DOMAINS (includes custom domains)
+  if (process.env.REPLIT_DEPLOYMENT === '1' && process.env.REPLIT_DOMAINS) {
+    const domains = process.env.REPLIT_DOMAINS.split(',');
+    // First domain is typically the custom domain
+    return domains[0];
+  }
+  
+  // In development, use REPLIT_DEV_DOMAIN
+  if (process.env.REPLIT_DEV_DOMAIN) {
+    return process.env.REPLIT_DEV_DOMAIN;
+  }
+  
+  // Fallback to constructed domain
+  if (process.env.REPL_SLUG && process.env.REPL_OWNER) {
+    return `${process.env.REPL_SLUG}-${process.env.REPL_OWNER}.replit.app`;
+  }
+  
+  return 'localhost:5000';
+}
+
+/**
+ * Absolute URL for an app path
+ * @param {string} path - Path starting with '/'
+ * @returns {string}
+ */
+function getAppUrl(path = '/') {
+  const domain = getAppDomain();
+  const protocol = domain.startsWith('localhost') ? 'http' : 'https';
+  return `${protocol}://${domain}${path}`;
+}
+
+module.exports = {
+  getAppDomain,
+  getAppUrl
+};
@@ -0,0 +1,274 @@
+const CONTENT_MODERATION = require('../config/contentModeration');
+
+/**
+ * Local content moderation for user-generated text
+ *
+ * Handles, display names and free text (comments) are normalized before matching so common
+ * evasions still hit the lists in server/config/contentModeration.js:
+ * - look-alike letters from other alphabets and fullwidth/styled Unicode fold to Latin
+ * - accents and zero-width characters are stripped
+ * - leetspeak (sh1t, @ss, $lut) maps back to letters
+ * - separators and spaced-out letters (f.u.c.k, f u c k) are joined
+ * - stretched letters (fuuuuck) are squeezed
+ *
+ * Every check returns { allowed: true } or { allowed: false, reason, term } where reason is
+ * 'profanity', 'reserved' or 'confusable'. Everything here is synchronous and in-memory, so it's
+ * cheap enough to run on every display-name render.
+ */
+
+// Cyrillic and Greek letters that render like Latin ones (lowercase; input is lowercased first)
+const CONFUSABLES = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p',
+  'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'ѕ': 's', 'і': 'i', 'ї': 'i', 'ј': 'j', 'ԁ': 'd',
+  'ԛ': 'q', 'ԝ': 'w', 'һ': 'h', 'ɡ': 'g', 'ı': 'i',
+  'α': 'a', 'β': 'b', 'γ': 'y', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'μ': 'u', 'ν': 'v',
+  'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w',
+};
+
+const LEET = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g',
+  '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't', '€': 'e',
+};
+
+const ZERO_WIDTH = /[\u00AD\u180E\u200B-\u200F\u2060-\u2064\uFEFF]/g;
+const MIXED_LATIN = /\p{Script=Latin}/u;
+const MIXED_LOOKALIKE = /[\p{Script=Cyrillic}\p{Script=Greek}]/u;
+
+function parseEnvList(value) {
+  return (value || '')
+    .split(',')
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+const squeeze = (text) => text.replace(/(.)\1+/g, '$1');
+const hasStretchedLetters = (text) => /(.)\1\1/.test(text);
+
+const blockedWords = new Set([
+  ...CONTENT_MODERATION.blockedWords,
+  ...parseEnvList(process.env.CONTENT_MODERATION_BLOCKED_WORDS),
+]);
+const squeezedBlockedWords = new Map([...blockedWords].map(word => [squeeze(word), word]));
+const allowedWords = [
+  ...CONTENT_MODERATION.allowedWords,
+  ...parseEnvList(process.env.CONTENT_MODERATION_ALLOWED_WORDS),
+];
+const allowedWordSet = new Set(allowedWords);
+const allowedNames = new Set(CONTENT_MODERATION.allowedNames);
+const reservedNameWords = new Set(CONTENT_MODERATION.reservedSubstrings);
+const reservedHandles = new Set(CONTENT_MODERATION.reservedHandles);
+
+const ALLOWED = Object.freeze({ allowed: true });
+
+/**
+ * Fold a string to lowercase Latin without accents, zero-width characters or look-alikes
+ * Leetspeak and punctuation are left in place (see compactToken)
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKC') // fullwidth and styled letters (ｆｕｃｋ, 𝐟𝐮𝐜𝐤) to plain ones
+    .toLowerCase()
+    .replace(ZERO_WIDTH, '')
+    .replace(/./gu, char => CONFUSABLES[char] || char)
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '');
+}
+
+/**
+ * Letters-and-digits form of one chunk of normalized text, with leetspeak mapped back to letters
+ * Trailing digits are dropped first (SmokyBison247 shouldn't read as "smokybisonzat")
+ * @param {string} chunk - Normalized text without whitespace
+ * @returns {string}
+ */
+function compactToken(chunk) {
+  const withoutTrailingDigits = chunk.replace(/\d+$/, '');
+  return withoutTrailingDigits
+    .replace(/./gu, char => LEET[char] || char)
+    .replace(/[^a-z0-9]/g, '');
+}
+
+function findBlockedWord(word) {
+  if (allowedWordSet.has(word)) return null;
+  if (blockedWords.has(word)) return word;
+  if (hasStretchedLetters(word)) {
+    return squeezedBlockedWords.get(squeeze(word)) || null;
+  }
+  return null;
+}
+
+function findSubstring(compact, terms) {
+  let text = compact;
+  for (const word of allowedWords) {
+    text = text.split(word).join(' ');
+  }
+  const squeezed = hasStretchedLetters(text) ? squeeze(text) : null;
+
+  for (const term of terms) {
+    if (text.includes(term) || (squeezed && squeezed.includes(squeeze(term)))) {
+      return term;
+    }
+  }
+  return null;
+}
+
+/**
+ * Words to check in free text: each whitespace-separated chunk, its punctuation-separated parts,
+ * and runs of single letters joined back up ("f u c k")
+ * @returns {Array<string>}
+ */
+function tokenize(normalized) {
+  const tokens = [];
+  let letterRun = '';
+
+  const flushRun = () => {
+    if (letterRun.length > 1) tokens.push(letterRun);
+    letterRun = '';
+  };
+
+  for (const chunk of normalized.split(/\s+/).filter(Boolean)) {
+    // Plain numbers ("5", "1337") aren't words
+    if (/^[\d.,:%]+$/.test(chunk)) {
+      flushRun();
+      continue;
+    }
+
+    const compact = compactToken(chunk);
+    if (compact.length === 1) {
+      letterRun += compact;
+      continue;
+    }
+    flushRun();
+    if (!compact) continue;
+
+    tokens.push(compact);
+    // An allowed word stays whole even when written with separators ("cum-in")
+    if (allowedWordSet.has(compact)) continue;
+    const parts = chunk.split(/[^\p{L}\p{N}@$!|+€]+/u).map(compactToken).filter(Boolean);
+    if (parts.length > 1) tokens.push(...parts);
+  }
+  flushRun();
+
+  return tokens;
+}
+
+/**
+ * @param {Array<string>} tokens - Compact words to check
+ * @param {Object} options - { wholeWords } skip substring matching (used for names)
+ */
+function checkProfanity(tokens, { wholeWords = false } = {}) {
+  for (const token of tokens) {
+    const word = findBlockedWord(token);
+    if (word) return { allowed: false, reason: 'profanity', term: word };
+
+    if (wholeWords) continue;
+    const substring = findSubstring(token, CONTENT_MODERATION.blockedSubstrings);
+    if (substring) return { allowed: false, reason: 'profanity', term: substring };
+  }
+  return null;
+}
+
+/**
+ * True when a single word mixes Latin letters with Cyrillic or Greek ones ("Jеrky" with a Cyrillic е)
+ * Names written entirely in another alphabet are fine
+ */
+function hasMixedScripts(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .split(/\s+/)
+    .some(word => MIXED_LATIN.test(word) && MIXED_LOOKALIKE.test(word));
+}
+
+/**
+ * Check a handle (format is validated separately by validateHandleFormat)
+ * Handles are checked as a whole and per underscore-separated segment, and may not use
+ * reserved words like "admin" anywhere
+ * @param {string} handle - Handle without @
+ * @returns {{allowed: boolean, reason?: string, term?: string}}
+ */
+function checkHandle(handle) {
+  const normalized = normalizeText(handle);
+  const compact = compactToken(normalized.replace(/_/g, ''));
+  const segments = normalized.split('_').map(compactToken).filter(Boolean);
+
+  const bareHandle = normalized.replace(/[_\d]/g, '');
+  if (reservedHandles.has(compact) || reservedHandles.has(bareHandle)) {
+    return { allowed: false, reason: 'reserved', term: reservedHandles.has(compact) ? compact : bareHandle };
+  }
+
+  const reserved = findSubstring(compact, CONTENT_MODERATION.reservedSubstrings);
+  if (reserved) return { allowed: false, reason: 'reserved', term: reserved };
+
+  return checkProfanity([compact, ...segments]) || ALLOWED;
+}
+
+/**
+ * Check a display name (Shopify first/last names or anything shown as a person's name)
+ * Reserved words, profanity and look-alike characters mixed into Latin words are all rejected.
+ * Words are matched whole (plus the name joined up, for "F. U. C. K."), never as substrings
+ * @param {string} name
+ * @returns {{allowed: boolean, reason?: string, term?: string}}
+ */
+function checkDisplayName(name) {
+  if (!name) return ALLOWED;
+
+  if (hasMixedScripts(name)) {
+    return { allowed: false, reason: 'confusable', term: null };
+  }
+
+  const normalized = normalizeText(name);
+  const tokens = tokenize(normalized);
+  tokens.push(compactToken(normalized.replace(/[\s._-]+/g, '')));
+
+  const reserved = tokens.find(token => reservedNameWords.has(token));
+  if (reserved) return { allowed: false, reason: 'reserved', term: reserved };
+
+  return checkProfanity(tokens.filter(token => !allowedNames.has(token)), { wholeWords: true }) || ALLOWED;
+}
+
+/**
+ * Check free text (comments and other user-written text); only profanity is rejected
+ * @param {string} text
+ * @returns {{allowed: boolean, reason?: string, term?: string}}
+ */
+function checkText(text) {
+  if (!text) return ALLOWED;
+  return checkProfanity(tokenize(normalizeText(text))) || ALLOWED;
+}
+
+/**
+ * A display name, or the fallback when the name fails moderation
+ * @param {string} name
+ * @param {string} fallback
+ * @returns {string}
+ */
+function screenDisplayName(name, fallback = 'Anonymous User') {
+  return checkDisplayName(name).allowed ? name : fallback;
+}
+
+/**
+ * User-facing error for a failed check
+ * @param {Object} result - Result of a check function
+ * @param {string} subject - What was checked, e.g. 'Handle' or 'Comment'
+ * @returns {string}
+ */
+function getModerationError(result, subject) {
+  switch (result.reason) {
+    case 'reserved':
+      return `${subject} can't include "${result.term}" because it's reserved`;
+    case 'confusable':
+      return `${subject} mixes look-alike characters from different alphabets`;
+    default:
+      return `${subject} contains language that isn't allowed`;
+  }
+}
+
+module.exports = {
+  normalizeText,
+  checkHandle,
+  checkDisplayName,
+  checkText,
+  screenDisplayName,
+  getModerationError,
+};
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeText,
+  checkHandle,
+  checkDisplayName,
+  checkText,
+  screenDisplayName,
+  getModerationError,
+} = require('./contentModeration');
+
+const allowed = (result) => result.allowed;
+
+test('normalizeText folds look-alikes, accents and styled letters', () => {
+  assert.equal(normalizeText('Jérky'), 'jerky');
+  assert.equal(normalizeText('ｆｕｃｋ'), 'fuck');
+  assert.equal(normalizeText('fμck'), 'fuck');
+  assert.equal(normalizeText('sh​it'), 'shit');
+});
+
+test('checkText catches common evasions', () => {
+  for (const text of ['what the fuck', 'F.u.c.k this', 'f u c k', 'sh1t jerky', 'fuuuuck', 'xXfuckXx', '$lut']) {
+    assert.equal(allowed(checkText(text)), false, text);
+  }
+});
+
+test('checkText leaves ordinary jerky talk alone', () => {
+  for (const text of [
+    'Lots of cum-in in this rub',
+    'cumin and garlic',
+    'Shiitake teriyaki is my #1',
+    'Tastes like Scunthorpe on a Sunday',
+    'I ranked 5 of these, 1337/10',
+    'Pass the badminton racket',
+  ]) {
+    assert.equal(allowed(checkText(text)), true, text);
+  }
+});
+
+test('checkHandle blocks reserved names and profanity inside handles', () => {
+  assert.deepEqual(checkHandle('admin_jerky'), { allowed: false, reason: 'reserved', term: 'admin' });
+  assert.equal(checkHandle('support').reason, 'reserved');
+  assert.equal(checkHandle('smoky_fuck_99').reason, 'profanity');
+  assert.equal(allowed(checkHandle('SmokyBison247')), true);
+});
+
+test('checkDisplayName matches real names by whole words', () => {
+  for (const name of ['Hiroshi Tanaka', 'Kshitij S.', 'Dick Smith', 'Sadminder Kaur', 'Mitsushita']) {
+    assert.equal(allowed(checkDisplayName(name)), true, name);
+  }
+  assert.equal(checkDisplayName('Admin Team').reason, 'reserved');
+  assert.equal(checkDisplayName('F. U. C. K.').reason, 'profanity');
+  assert.equal(checkDisplayName('Jеrky Staff').reason, 'confusable'); // Cyrillic е
+});
+
+test('screenDisplayName falls back for names that fail moderation', () => {
+  assert.equal(screenDisplayName('Hiroshi T.'), 'Hiroshi T.');
+  assert.equal(screenDisplayName('Shit Head'), 'Anonymous User');
+  assert.equal(screenDisplayName('Shit Head', ''), '');
+});
+
+test('getModerationError explains the failed check', () => {
+  assert.equal(getModerationError({ reason: 'reserved', term: 'admin' }, 'Handle'), 'Handle can\'t include "admin" because it\'s reserved');
+  assert.match(getModerationError({ reason: 'confusable' }, 'Name'), /look-alike characters/);
+  assert.equal(getModerationError({ reason: 'profanity' }, 'Comment'), 'Comment contains language that isn\'t allowed');
+});
@@ -0,0 +1,75 @@
+/**
+ * Event Window Utility
+ *
+ * Time-limited event coins (collectionType 'event_collection') keep their window and
+ * goal on the requirement:
+ *   { type: 'event_collection', startsAt, endsAt, goal, productIds? }
+ * startsAt/endsAt are ISO timestamps (endsAt exclusive). goal is the number of distinct
+ * products to rank inside the window, from productIds when given, otherwise any product.
+ */
+
+const EVENT_STATUS = {
+  UPCOMING: 'upcoming',
+  ACTIVE: 'active',
+  ENDED: 'ended'
+};
+
+/**
+ * Where "now" falls relative to an event's window
+ * @param {Object} requirement - Event requirement
+ * @param {Date} now - Reference time (defaults to the current time)
+ * @returns {string|null} One of EVENT_STATUS, or null if the window is missing or invalid
+ */
+function getEventStatus(requirement, now = new Date()) {
+  const startsAt = new Date(requirement?.startsAt);
+  const endsAt = new Date(requirement?.endsAt);
+  if (isNaN(startsAt.getTime()) || isNaN(endsAt.getTime())) {
+    return null;
+  }
+
+  if (now < startsAt) return EVENT_STATUS.UPCOMING;
+  if (now >= endsAt) return EVENT_STATUS.ENDED;
+  return EVENT_STATUS.ACTIVE;
+}
+
+/**
+ * Validate an event requirement
+ * @param {Object} requirement - Requirement as sent by the admin coin editor
+ * @returns {Array<string>} Error messages (empty for valid events and non-event requirements)
+ */
+function validateEventRequirement(requirement) {
+  if (requirement?.type !== 'event_collection') return [];
+
+  const errors = [];
+  const startsAt = new Date(requirement.startsAt);
+  const endsAt = new Date(requirement.endsAt);
+
+  if (!requirement.startsAt || isNaN(startsAt.getTime())) {
+    errors.push('Event start date is required');
+  }
+  if (!requirement.endsAt || isNaN(endsAt.getTime())) {
+    errors.push('Event end date is required');
+  }
+  if (errors.length === 0 && endsAt <= startsAt) {
+    errors.push('Event must end after it starts');
+  }
+
+  const goal = requirement.goal;
+  if (!Number.isInteger(goal) || goal < 1) {
+    errors.push('Event goal must be a whole number of at least 1');
+  }
+
+  if (requirement.productIds !== undefined && !Array.isArray(requirement.productIds)) {
+    errors.push('Event product list must be an array');
+  } else if (Array.isArray(requirement.productIds) && requirement.productIds.length > 0 && goal > requirement.productIds.length) {
+    errors.push(`Event goal (${goal}) is larger than its product list (${requirement.productIds.length})`);
+  }
+
+  return errors;
+}
+
+module.exports = {
+  EVENT_STATUS,
+  getEventStatus,
+  validateEventRequirement
+};
@@ -1,6 +1,7 @@
 const { db } = require('../db');
 const { users } = require('../../shared/schema');
 const { eq, sql } = require('drizzle-orm');
+const { checkHandle, getModerationError } = require('./contentModeration');
 
 const ADJECTIVES = [
   'Smoky', 'Tender', 'Spicy', 'Sweet', 'Savory', 'Peppered', 'Maple',
@@ -160,6 +161,12 @@ function validateHandleFormat(handle) {
     return { valid: false, error: 'Handle must start with a letter' };
   }
   
+  // Profanity and reserved words ("admin", "jerkycom")
+  const moderation = checkHandle(cleanHandle);
+  if (!moderation.allowed) {
+    return { valid: false, error: getModerationError(moderation, 'Handle') };
+  }
+  
   return { valid: true, handle: cleanHandle };
 }
 
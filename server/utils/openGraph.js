@@ -0,0 +1,60 @@
+const { escapeXml } = require('./shareCards');
+
+/**
+ * Open Graph tags for the SPA shell
+ *
+ * Crawlers and link unfurlers don't run JavaScript, so pages with share previews get their
+ * title and og:/twitter: tags written into index.html on the server. Mirrors the tags
+ * src/components/share/OpenGraphMeta.jsx renders client-side.
+ */
+
+const SITE_NAME = 'Jerky Top N';
+
+/**
+ * @param {Object} meta - { title, description, image (absolute URL), url }
+ * @returns {string} <title> plus meta tags
+ */
+function renderOpenGraphTags({ title, description, image, url }) {
+  const tags = [
+    `<title>${escapeXml(`${title} | ${SITE_NAME}`)}</title>`,
+    '<meta property="og:type" content="website" />',
+    `<meta property="og:site_name" content="${SITE_NAME}" />`,
+    `<meta property="og:title" content="${escapeXml(title)}" />`,
+    `<meta property="og:url" content="${escapeXml(url)}" />`,
+  ];
+
+  if (description) {
+    tags.push(`<meta property="og:description" content="${escapeXml(description)}" />`);
+    tags.push(`<meta name="description" content="${escapeXml(description)}" />`);
+  }
+  if (image) {
+    tags.push(`<meta property="og:image" content="${escapeXml(image)}" />`);
+    tags.push('<meta property="og:image:width" content="1200" />');
+    tags.push('<meta property="og:image:height" content="630" />');
+  }
+  tags.push(`<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}" />`);
+  tags.push(`<meta name="twitter:title" content="${escapeXml(title)}" />`);
+  if (image) {
+    tags.push(`<meta name="twitter:image" content="${escapeXml(image)}" />`);
+  }
+
+  return tags.join('\n    ');
+}
+
+/**
+ * Swap the shell's default <title> for the page's title and Open Graph tags
+ * @param {string} html - dist/index.html
+ * @param {Object} meta - See renderOpenGraphTags
+ * @returns {string}
+ */
+function injectOpenGraphTags(html, meta) {
+  const tags = renderOpenGraphTags(meta);
+  return /<title>[\s\S]*?<\/title>/.test(html)
+    ? html.replace(/<title>[\s\S]*?<\/title>/, () => tags)
+    : html.replace('</head>', () => `  ${tags}\n  </head>`);
+}
+
+module.exports = {
+  renderOpenGraphTags,
+  injectOpenGraphTags,
+};
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderOpenGraphTags, injectOpenGraphTags } = require('./openGraph');
+
+const SHELL = '<html><head><meta charset="UTF-8" /><title>Jerky Top N - Rank Your Favorite Jerky</title></head><body></body></html>';
+
+test('replaces the shell title with escaped page tags', () => {
+  const html = injectOpenGraphTags(SHELL, {
+    title: 'Sweet & "Hot" <Beef>',
+    description: 'Ranked by 3 jerky fans.',
+    image: 'https://example.com/share/p/1.png',
+    url: 'https://example.com/flavors/1',
+  });
+
+  assert.equal((html.match(/<title>/g) || []).length, 1);
+  assert.match(html, /<title>Sweet &amp; &quot;Hot&quot; &lt;Beef&gt; \| Jerky Top N<\/title>/);
+  assert.match(html, /<meta property="og:title" content="Sweet &amp; &quot;Hot&quot; &lt;Beef&gt;" \/>/);
+  assert.match(html, /<meta property="og:image" content="https:\/\/example.com\/share\/p\/1.png" \/>/);
+  assert.match(html, /<meta name="twitter:card" content="summary_large_image" \/>/);
+  assert.doesNotMatch(html, /Rank Your Favorite Jerky/);
+});
+
+test('leaves out image tags and uses a small card without an image', () => {
+  const tags = renderOpenGraphTags({ title: 'Jane D.', description: null, image: null, url: 'https://example.com/community/1' });
+  assert.doesNotMatch(tags, /og:image|og:description/);
+  assert.match(tags, /<meta name="twitter:card" content="summary" \/>/);
+});
+
+test('falls back to </head> when the shell has no title', () => {
+  const html = injectOpenGraphTags('<html><head></head></html>', { title: '$& $1', url: 'https://example.com/' });
+  // Replacement patterns in the title aren't expanded
+  assert.match(html, /<title>\$&amp; \$1 \| Jerky Top N<\/title>/);
+  assert.match(html, /<meta name="twitter:title" content="\$&amp; \$1" \/>\n  <\/head>/);
+});
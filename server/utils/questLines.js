@@ -0,0 +1,196 @@
+/**
+ * Quest Line Utility
+ *
+ * A coin's prerequisites (achievements.prerequisiteAchievementIds, or the legacy single
+ * prerequisiteAchievementId) must ALL be earned before it can be awarded, except inactive
+ * coins, which can't be earned any more and so stop gating the steps after them. Coins linked by
+ * prerequisites form quest lines: each step unlocks the next, and several coins can share a
+ * parent to branch. The Coin Book draws them from buildQuestGraph's output.
+ */
+
+const { isHiddenCoin } = require('./secretHints');
+
+/**
+ * Prerequisite ids for an achievement, falling back to the legacy single column
+ * @param {Object} achievement - Achievement row
+ * @returns {Array<number>}
+ */
+function getPrerequisiteIds(achievement) {
+  if (Array.isArray(achievement.prerequisiteAchievementIds) && achievement.prerequisiteAchievementIds.length > 0) {
+    return achievement.prerequisiteAchievementIds.map(Number);
+  }
+  return achievement.prerequisiteAchievementId ? [achievement.prerequisiteAchievementId] : [];
+}
+
+/**
+ * Prerequisites the user still needs before an achievement can be awarded
+ * @param {Object} achievement - Achievement row
+ * @param {Set<number>} earnedIds - Achievement ids the user has earned
+ * @param {Set<number>} inactiveIds - Inactive achievement ids, which are skipped (see getInactiveIds)
+ * @returns {Array<number>} Missing prerequisite ids (empty when unlocked)
+ */
+function getMissingPrerequisites(achievement, earnedIds, inactiveIds = null) {
+  return getPrerequisiteIds(achievement).filter(id => !earnedIds.has(id) && !inactiveIds?.has(id));
+}
+
+/**
+ * Ids of inactive achievements
+ * @param {Array} achievements - Achievement rows
+ * @returns {Set<number>}
+ */
+function getInactiveIds(achievements) {
+  return new Set(achievements.filter(a => a.isActive !== 1).map(a => a.id));
+}
+
+/**
+ * Normalize prerequisite ids sent by the admin coin editor: unique positive integers,
+ * with the legacy single column synced to the first one
+ * @param {Array|null} prerequisiteIds
+ * @param {number|null} legacyId - Single prerequisite from older clients
+ * @returns {Object} { prerequisiteAchievementIds, prerequisiteAchievementId }
+ */
+function normalizePrerequisiteIds(prerequisiteIds, legacyId = null) {
+  const source = Array.isArray(prerequisiteIds) ? prerequisiteIds : (legacyId ? [legacyId] : []);
+  const normalized = [...new Set(source.map(Number).filter(id => Number.isInteger(id) && id > 0))];
+
+  return {
+    prerequisiteAchievementIds: normalized.length > 0 ? normalized : null,
+    prerequisiteAchievementId: normalized.length > 0 ? normalized[0] : null
+  };
+}
+
+/**
+ * Find the cycle that giving an achievement these prerequisites would create
+ * @param {number} achievementId - Achievement being saved
+ * @param {Array<number>} prerequisiteIds - Its new prerequisites
+ * @param {Map<number, Array<number>>} prerequisiteMap - Every other achievement's prerequisites
+ * @returns {Array<number>|null} Ids around the cycle, starting and ending at achievementId
+ */
+function findPrerequisiteCycle(achievementId, prerequisiteIds, prerequisiteMap) {
+  const visited = new Set();
+
+  // Depth-first walk up the prerequisite graph looking for a path back to achievementId
+  const walk = (id, path) => {
+    if (id === achievementId) return [...path, id];
+    if (visited.has(id)) return null;
+    visited.add(id);
+
+    for (const parentId of prerequisiteMap.get(id) || []) {
+      const cycle = walk(parentId, [...path, id]);
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+
+  for (const prerequisiteId of prerequisiteIds) {
+    const cycle = walk(prerequisiteId, [achievementId]);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * Build the quest map for a user
+ * Only coins with a prerequisite or a dependent take part; prerequisites outside the given
+ * achievements (e.g. inactive coins) are left out of the graph and don't lock anything
+ * @param {Array} achievements - Active achievement rows
+ * @param {Set<number>} earnedIds - Achievement ids the user has earned
+ * @returns {Object} {
+ *   nodes: [{ id, name, icon, iconType, collectionType, status: 'earned'|'available'|'locked', depth, hidden }],
+ *   edges: [{ from, to }],
+ *   lines: [{ rootIds, nodeIds }]  - connected chains, nodeIds ordered by depth
+ * }
+ */
+function buildQuestGraph(achievements, earnedIds) {
+  const byId = new Map(achievements.map(a => [a.id, a]));
+  const edges = [];
+
+  for (const achievement of achievements) {
+    for (const prerequisiteId of getPrerequisiteIds(achievement)) {
+      if (byId.has(prerequisiteId)) {
+        edges.push({ from: prerequisiteId, to: achievement.id });
+      }
+    }
+  }
+
+  const parents = new Map();
+  const children = new Map();
+  for (const { from, to } of edges) {
+    if (!parents.has(to)) parents.set(to, []);
+    if (!children.has(from)) children.set(from, []);
+    parents.get(to).push(from);
+    children.get(from).push(to);
+  }
+
+  const questIds = [...new Set(edges.flatMap(edge => [edge.from, edge.to]))];
+
+  // Depth = longest path from a root, so every step sits to the right of all its prerequisites
+  const depths = new Map();
+  const getDepth = (id, seen = new Set()) => {
+    if (depths.has(id)) return depths.get(id);
+    if (seen.has(id)) return 0; // Guard against cycles saved before validation existed
+    seen.add(id);
+    const depth = Math.max(-1, ...(parents.get(id) || []).map(parentId => getDepth(parentId, seen))) + 1;
+    depths.set(id, depth);
+    return depth;
+  };
+
+  const nodes = questIds.map(id => {
+    const achievement = byId.get(id);
+    const earned = earnedIds.has(id);
+    const hidden = !earned && isHiddenCoin(achievement);
+    const status = earned
+      ? 'earned'
+      : getMissingPrerequisites(achievement, earnedIds).some(prerequisiteId => byId.has(prerequisiteId)) ? 'locked' : 'available';
+
+    // Unearned hidden coins keep their secret: position and status only
+    return {
+      id,
+      name: hidden ? null : achievement.name,
+      icon: hidden ? null : achievement.icon,
+      iconType: hidden ? null : achievement.iconType,
+      collectionType: hidden ? null : achievement.collectionType,
+      status,
+      depth: getDepth(id),
+      hidden
+    };
+  });
+
+  // Split into lines (connected components)
+  const lineOf = new Map();
+  const lines = [];
+  for (const id of questIds) {
+    if (lineOf.has(id)) continue;
+
+    const nodeIds = [];
+    const stack = [id];
+    lineOf.set(id, lines.length);
+    while (stack.length > 0) {
+      const current = stack.pop();
+      nodeIds.push(current);
+      for (const next of [...(parents.get(current) || []), ...(children.get(current) || [])]) {
+        if (!lineOf.has(next)) {
+          lineOf.set(next, lines.length);
+          stack.push(next);
+        }
+      }
+    }
+
+    nodeIds.sort((a, b) => depths.get(a) - depths.get(b) || a - b);
+    lines.push({
+      rootIds: nodeIds.filter(nodeId => !parents.has(nodeId)),
+      nodeIds
+    });
+  }
+
+  return { nodes, edges, lines };
+}
+
+module.exports = {
+  getPrerequisiteIds,
+  getMissingPrerequisites,
+  getInactiveIds,
+  normalizePrerequisiteIds,
+  findPrerequisiteCycle,
+  buildQuestGraph
+};
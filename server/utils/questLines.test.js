@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getPrerequisiteIds,
+  getMissingPrerequisites,
+  getInactiveIds,
+  normalizePrerequisiteIds,
+  findPrerequisiteCycle,
+  buildQuestGraph,
+} = require('./questLines');
+
+const coin = (id, prerequisiteAchievementIds = null, extra = {}) => ({
+  id,
+  name: `Coin ${id}`,
+  isActive: 1,
+  isHidden: 0,
+  prerequisiteAchievementIds,
+  ...extra,
+});
+
+test('getPrerequisiteIds falls back to the legacy single column', () => {
+  assert.deepEqual(getPrerequisiteIds(coin(2, [1, 3])), [1, 3]);
+  assert.deepEqual(getPrerequisiteIds({ prerequisiteAchievementIds: [], prerequisiteAchievementId: 4 }), [4]);
+  assert.deepEqual(getPrerequisiteIds(coin(1)), []);
+});
+
+test('inactive prerequisites no longer gate a coin', () => {
+  const achievements = [coin(1, null, { isActive: 0 }), coin(2), coin(3, [1, 2])];
+  const inactiveIds = getInactiveIds(achievements);
+
+  assert.deepEqual([...inactiveIds], [1]);
+  assert.deepEqual(getMissingPrerequisites(achievements[2], new Set(), inactiveIds), [2]);
+  assert.deepEqual(getMissingPrerequisites(achievements[2], new Set([2]), inactiveIds), []);
+  // Without the inactive set every prerequisite counts
+  assert.deepEqual(getMissingPrerequisites(achievements[2], new Set([2])), [1]);
+});
+
+test('normalizePrerequisiteIds dedupes and syncs the legacy column', () => {
+  assert.deepEqual(normalizePrerequisiteIds(['3', 3, 0, -1, 'x', 5]), {
+    prerequisiteAchievementIds: [3, 5],
+    prerequisiteAchievementId: 3,
+  });
+  assert.deepEqual(normalizePrerequisiteIds(null, 7), { prerequisiteAchievementIds: [7], prerequisiteAchievementId: 7 });
+  assert.deepEqual(normalizePrerequisiteIds([]), { prerequisiteAchievementIds: null, prerequisiteAchievementId: null });
+});
+
+test('findPrerequisiteCycle finds a path back to the coin being saved', () => {
+  const prerequisiteMap = new Map([[2, [1]], [3, [2]]]);
+  assert.deepEqual(findPrerequisiteCycle(1, [3], prerequisiteMap), [1, 3, 2, 1]);
+  assert.equal(findPrerequisiteCycle(4, [3], prerequisiteMap), null);
+});
+
+test('buildQuestGraph lays out a branching line with statuses', () => {
+  const graph = buildQuestGraph([coin(1), coin(2, [1]), coin(3, [1]), coin(4, [2, 3]), coin(9)], new Set([1, 2]));
+
+  assert.deepEqual(graph.edges, [
+    { from: 1, to: 2 },
+    { from: 1, to: 3 },
+    { from: 2, to: 4 },
+    { from: 3, to: 4 },
+  ]);
+  const byId = Object.fromEntries(graph.nodes.map(node => [node.id, node]));
+  assert.equal(byId[9], undefined); // Not part of any quest line
+  assert.deepEqual([1, 2, 3, 4].map(id => byId[id].status), ['earned', 'earned', 'available', 'locked']);
+  assert.deepEqual([1, 2, 3, 4].map(id => byId[id].depth), [0, 1, 1, 2]);
+  assert.deepEqual(graph.lines, [{ rootIds: [1], nodeIds: [1, 2, 3, 4] }]);
+});
+
+test('buildQuestGraph unlocks steps whose prerequisites were left out of the map', () => {
+  // Coin 1 is inactive and unearned, so the caller drops it; 2 shouldn't stay locked on it
+  const graph = buildQuestGraph([coin(2, [1]), coin(3, [2])], new Set());
+  const byId = Object.fromEntries(graph.nodes.map(node => [node.id, node]));
+  assert.equal(byId[2].status, 'available');
+  assert.equal(byId[3].status, 'locked');
+});
+
+test('buildQuestGraph keeps unearned hidden coins secret', () => {
+  const graph = buildQuestGraph([coin(1), coin(2, [1], { isHidden: 1 })], new Set());
+  const hidden = graph.nodes.find(node => node.id === 2);
+  assert.equal(hidden.hidden, true);
+  assert.equal(hidden.name, null);
+});
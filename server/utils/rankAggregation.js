@@ -0,0 +1,120 @@
+/**
+ * Rank Aggregation
+ *
+ * Combines many users' personal rankings into one community order.
+ *
+ * Averaging raw positions is biased: position #20 is "bottom" for someone with 20 ranked
+ * products but "top quarter" for someone with 80, and a product ranked #1 by two people
+ * beats one ranked #2 by two hundred. Every method below starts from normalized Borda
+ * points instead: a ranking at position p in a list of length L is worth (L - p) / (L - 1)
+ * points, so each user's #1 is worth 1 and their last place 0 regardless of list length.
+ *
+ * Methods:
+ * - bayesian: mean Borda points shrunk toward the community-wide mean with a prior worth
+ *             `minVotes` rankings. Products need real support to reach the top. (default)
+ * - borda:    total Borda points. Rewards products that are both widely and highly ranked.
+ * - average:  legacy mean raw position (lower is better). Kept for comparison.
+ */
+
+const { sql } = require('drizzle-orm');
+const { PRIMARY_RANKING_LIST_ID } = require('../../shared/constants');
+
+const AGGREGATION_METHODS = ['bayesian', 'borda', 'average'];
+const DEFAULT_AGGREGATION_METHOD = 'bayesian';
+const DEFAULT_MIN_VOTES = 5;
+
+const AGGREGATION_METHODOLOGY = {
+  bayesian: {
+    label: 'Bayesian consensus',
+    description: `Each ranking earns points by how high it sits in that ranker's own list (top = 1, bottom = 0), so long and short lists count equally. A product's average is blended with the community average as if it had ${DEFAULT_MIN_VOTES} extra typical rankings, so a couple of enthusiastic votes can't outrank broad agreement.`,
+  },
+  borda: {
+    label: 'Borda count',
+    description: 'Each ranking earns points by how high it sits in that ranker\'s own list (top = 1, bottom = 0). Products are ordered by total points, rewarding flavors that are both widely ranked and ranked highly.',
+  },
+  average: {
+    label: 'Average position',
+    description: 'Products are ordered by their average raw position across all rankers. Simple, but favors products with few rankings and penalizes those ranked by people with long lists.',
+  },
+};
+
+// Primary-list length per ranker, for use as a CTE named list_lengths (columns: user_id, list_length)
+const LIST_LENGTHS_SQL = sql`
+  SELECT user_id, COUNT(*) AS list_length
+  FROM product_rankings
+  WHERE ranking_list_id = ${PRIMARY_RANKING_LIST_ID}
+  GROUP BY user_id
+`;
+
+// Normalized Borda points for one ranking row; expects aliases pr (product_rankings) and ll (list_lengths)
+const BORDA_POINTS_SQL = sql`
+  CASE WHEN ll.list_length > 1
+    THEN GREATEST(ll.list_length - pr.ranking, 0)::float / (ll.list_length - 1)
+    ELSE 1
+  END
+`;
+
+/**
+ * Fall back to the default method for missing or unknown values (e.g. ?method=foo)
+ * @param {string} method - Requested method
+ * @returns {string} A valid aggregation method
+ */
+function resolveAggregationMethod(method) {
+  return AGGREGATION_METHODS.includes(method) ? method : DEFAULT_AGGREGATION_METHOD;
+}
+
+/**
+ * How much a product's consensus score rests on its own rankings rather than the prior
+ * @param {number} rankingCount - Number of rankings the product has
+ * @param {number} minVotes - Prior weight (see DEFAULT_MIN_VOTES)
+ * @returns {number} 0 (no rankings) approaching 1 (many rankings)
+ */
+function rankingConfidence(rankingCount, minVotes = DEFAULT_MIN_VOTES) {
+  return rankingCount > 0 ? rankingCount / (rankingCount + minVotes) : 0;
+}
+
+/**
+ * Order items into a community ranking
+ * Items without rankings are excluded; callers append them after the ranked ones
+ * @param {Array} items - Objects with { rankingCount, avgRank, bordaPoints }
+ * @param {Object} options - { method, minVotes }
+ * @returns {Array} Copies of ranked items, best first, with consensusScore set
+ */
+function aggregateRankings(items, { method = DEFAULT_AGGREGATION_METHOD, minVotes = DEFAULT_MIN_VOTES } = {}) {
+  const resolvedMethod = resolveAggregationMethod(method);
+  const ranked = items.filter(item => item.rankingCount > 0 && item.avgRank !== null);
+
+  let scored;
+  if (resolvedMethod === 'average') {
+    // Lower average position is better; score is the average itself
+    scored = ranked.map(item => ({ ...item, consensusScore: item.avgRank }));
+    return scored.sort((a, b) => a.consensusScore - b.consensusScore || b.rankingCount - a.rankingCount);
+  }
+
+  if (resolvedMethod === 'borda') {
+    scored = ranked.map(item => ({ ...item, consensusScore: item.bordaPoints || 0 }));
+  } else {
+    const totalPoints = ranked.reduce((sum, item) => sum + (item.bordaPoints || 0), 0);
+    const totalVotes = ranked.reduce((sum, item) => sum + item.rankingCount, 0);
+    const globalMean = totalVotes > 0 ? totalPoints / totalVotes : 0.5;
+
+    scored = ranked.map(item => ({
+      ...item,
+      consensusScore: (minVotes * globalMean + (item.bordaPoints || 0)) / (minVotes + item.rankingCount),
+    }));
+  }
+
+  return scored.sort((a, b) => b.consensusScore - a.consensusScore || b.rankingCount - a.rankingCount);
+}
+
+module.exports = {
+  AGGREGATION_METHODS,
+  DEFAULT_AGGREGATION_METHOD,
+  DEFAULT_MIN_VOTES,
+  AGGREGATION_METHODOLOGY,
+  LIST_LENGTHS_SQL,
+  BORDA_POINTS_SQL,
+  resolveAggregationMethod,
+  rankingConfidence,
+  aggregateRankings,
+};
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_AGGREGATION_METHOD,
+  resolveAggregationMethod,
+  rankingConfidence,
+  aggregateRankings,
+} = require('./rankAggregation');
+
+const ids = (items) => items.map(item => item.id);
+
+test('resolveAggregationMethod falls back to the default for unknown methods', () => {
+  assert.equal(resolveAggregationMethod('borda'), 'borda');
+  assert.equal(resolveAggregationMethod('foo'), DEFAULT_AGGREGATION_METHOD);
+  assert.equal(resolveAggregationMethod(undefined), DEFAULT_AGGREGATION_METHOD);
+});
+
+test('rankingConfidence grows toward 1 with more rankings', () => {
+  assert.equal(rankingConfidence(0), 0);
+  assert.equal(rankingConfidence(5, 5), 0.5);
+  assert.ok(rankingConfidence(100, 5) > 0.95);
+});
+
+test('unranked items are left out', () => {
+  const items = [
+    { id: 'a', rankingCount: 0, avgRank: null, bordaPoints: 0 },
+    { id: 'b', rankingCount: 1, avgRank: 1, bordaPoints: 1 },
+  ];
+  assert.deepEqual(ids(aggregateRankings(items)), ['b']);
+});
+
+test('bayesian keeps a couple of #1 votes below broad agreement', () => {
+  const items = [
+    { id: 'fewTop', rankingCount: 2, avgRank: 1, bordaPoints: 2 },
+    { id: 'broad', rankingCount: 200, avgRank: 2, bordaPoints: 180 },
+    { id: 'weak', rankingCount: 50, avgRank: 20, bordaPoints: 10 },
+  ];
+  assert.deepEqual(ids(aggregateRankings(items, { method: 'bayesian' })), ['broad', 'fewTop', 'weak']);
+  assert.deepEqual(ids(aggregateRankings(items, { method: 'average' })), ['fewTop', 'broad', 'weak']);
+});
+
+test('borda orders by total points and breaks ties by ranking count', () => {
+  const items = [
+    { id: 'a', rankingCount: 3, avgRank: 2, bordaPoints: 2 },
+    { id: 'b', rankingCount: 5, avgRank: 4, bordaPoints: 2 },
+    { id: 'c', rankingCount: 5, avgRank: 1, bordaPoints: 4 },
+  ];
+  const result = aggregateRankings(items, { method: 'borda' });
+  assert.deepEqual(ids(result), ['c', 'b', 'a']);
+  assert.equal(result[0].consensusScore, 4);
+});
@@ -0,0 +1,47 @@
+/**
+ * Rank Correlation
+ *
+ * Helpers for comparing two users' personal rankings, shared by taste-twin recommendations
+ * (RecommendationService) and head-to-head comparisons (LeaderboardManager).
+ */
+
+/**
+ * Spearman's rho between two users' positions for the same products
+ * Positions are re-ranked 1..k within the shared set so gaps in either list don't matter
+ * @param {Array<number>} positionsA - User A's positions, aligned with positionsB
+ * @param {Array<number>} positionsB - User B's positions for the same products
+ * @returns {number} Correlation from -1 (opposite taste) to 1 (identical order)
+ */
+function spearmanCorrelation(positionsA, positionsB) {
+  const k = positionsA.length;
+  if (k < 2) return 0;
+
+  const toOrdinal = (positions) => {
+    const order = positions.map((position, i) => [position, i]).sort((a, b) => a[0] - b[0]);
+    const ordinal = new Array(k);
+    order.forEach(([, i], rank) => { ordinal[i] = rank + 1; });
+    return ordinal;
+  };
+
+  const ordinalA = toOrdinal(positionsA);
+  const ordinalB = toOrdinal(positionsB);
+  const sumSquaredDiff = ordinalA.reduce((sum, a, i) => sum + (a - ordinalB[i]) ** 2, 0);
+
+  return 1 - (6 * sumSquaredDiff) / (k * (k * k - 1));
+}
+
+/**
+ * Where a position sits within a list as a 0-1 score (1 = top, 0 = bottom)
+ * @param {number} position - 1-based position
+ * @param {number} listLength - Number of ranked products in the list
+ * @returns {number}
+ */
+function percentileScore(position, listLength) {
+  if (listLength <= 1) return 1;
+  return 1 - (Math.min(position, listLength) - 1) / (listLength - 1);
+}
+
+module.exports = {
+  spearmanCorrelation,
+  percentileScore,
+};
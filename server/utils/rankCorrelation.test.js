@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spearmanCorrelation, percentileScore } = require('./rankCorrelation');
+
+test('spearmanCorrelation is 1 for the same order and -1 for the reverse', () => {
+  assert.equal(spearmanCorrelation([1, 2, 3, 4], [1, 2, 3, 4]), 1);
+  assert.equal(spearmanCorrelation([1, 2, 3, 4], [4, 3, 2, 1]), -1);
+});
+
+test('spearmanCorrelation only looks at relative order, not gaps', () => {
+  assert.equal(spearmanCorrelation([1, 5, 40], [2, 3, 4]), 1);
+  assert.equal(spearmanCorrelation([3, 10, 12], [30, 20, 1]), -1);
+});
+
+test('spearmanCorrelation needs at least two shared products', () => {
+  assert.equal(spearmanCorrelation([], []), 0);
+  assert.equal(spearmanCorrelation([1], [7]), 0);
+});
+
+test('percentileScore maps a list from 1 (top) to 0 (bottom)', () => {
+  assert.equal(percentileScore(1, 5), 1);
+  assert.equal(percentileScore(3, 5), 0.5);
+  assert.equal(percentileScore(5, 5), 0);
+  assert.equal(percentileScore(1, 1), 1);
+  // Positions past the end (gaps after deletions) count as last
+  assert.equal(percentileScore(9, 5), 0);
+});
@@ -0,0 +1,60 @@
+/**
+ * Secret Hint Utility
+ *
+ * Hidden coins (isHidden = 1 or collectionType 'hidden_collection') can carry ordered clues
+ * on achievements.hints. Hint n is revealed once the user's progress toward the coin reaches
+ * SECRET_HINTS.revealAt[n]; progress comes from CollectionManager.calculateHiddenCoinProgress.
+ */
+
+const { SECRET_HINTS } = require('../../shared/constants/secretHints');
+
+function isHiddenCoin(achievement) {
+  return achievement.isHidden === 1 || achievement.collectionType === 'hidden_collection';
+}
+
+/**
+ * Hints unlocked at a progress percentage
+ * @param {Array<string>|null} hints - Coin's hints, in reveal order
+ * @param {number} percentage - Progress toward the coin (0-100)
+ * @returns {Object} { revealed: [...], total, nextRevealAt (null when all are revealed) }
+ */
+function getRevealedHints(hints, percentage) {
+  const list = Array.isArray(hints) ? hints.slice(0, SECRET_HINTS.revealAt.length) : [];
+  const revealed = list.filter((_, index) => percentage >= SECRET_HINTS.revealAt[index]);
+
+  return {
+    revealed,
+    total: list.length,
+    nextRevealAt: revealed.length < list.length ? SECRET_HINTS.revealAt[revealed.length] : null
+  };
+}
+
+/**
+ * Validate hints sent by the admin coin editor
+ * @param {*} hints - Expected: array of non-empty strings, or null/undefined for none
+ * @returns {Array<string>} Error messages
+ */
+function validateHints(hints) {
+  if (hints === undefined || hints === null) return [];
+  if (!Array.isArray(hints)) return ['Hints must be a list'];
+
+  const errors = [];
+  if (hints.length > SECRET_HINTS.revealAt.length) {
+    errors.push(`A coin can have at most ${SECRET_HINTS.revealAt.length} hints`);
+  }
+  hints.forEach((hint, index) => {
+    if (typeof hint !== 'string' || hint.trim().length === 0) {
+      errors.push(`Hint ${index + 1} is empty`);
+    } else if (hint.length > SECRET_HINTS.maxLength) {
+      errors.push(`Hint ${index + 1} is longer than ${SECRET_HINTS.maxLength} characters`);
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  isHiddenCoin,
+  getRevealedHints,
+  validateHints
+};
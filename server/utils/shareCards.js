@@ -0,0 +1,206 @@
+/**
+ * Share Cards
+ *
+ * Server-rendered images and embed HTML for sharing rankings off-site:
+ * - User Top N card (1200x630, Open Graph size)
+ * - Product community-rank card
+ * - Iframe widget listing a user's Top N
+ *
+ * Cards are plain SVG rasterized to PNG with resvg, so no browser or external
+ * image service is involved. Text only (no emoji) since server fonts can't be assumed
+ * to include color emoji glyphs.
+ */
+
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+
+// Hard caps keep cards legible and widgets small
+const MAX_CARD_ITEMS = 10;
+const MAX_WIDGET_ITEMS = 25;
+
+const COLORS = {
+  background: '#0F0F0F',
+  border: '#2A2A2A',
+  amber: '#FF8A2B',
+  gold: '#FFD873',
+  text: '#FFFFFF',
+  muted: '#9A9A9A',
+};
+
+const FONT_FAMILY = 'Inter, Helvetica, Arial, sans-serif';
+// resvg doesn't resolve generic families, so name a font most Linux hosts ship
+const FALLBACK_FONT = 'DejaVu Sans';
+
+/**
+ * Escape text for safe inclusion in SVG/HTML
+ * @param {string} value - Raw text
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Shorten text to fit a line (approximate, fonts aren't measured)
+ * @param {string} value - Text
+ * @param {number} maxChars - Maximum characters including the ellipsis
+ * @returns {string}
+ */
+function truncate(value, maxChars) {
+  const text = String(value ?? '');
+  return text.length > maxChars ? `${text.slice(0, maxChars - 1).trimEnd()}…` : text;
+}
+
+/**
+ * Secondary line for a product ("Beef · Sweet & Spicy")
+ * @param {Object} product - { animalDisplay, flavorDisplay }
+ * @returns {string}
+ */
+function describeProduct(product) {
+  return [product.animalDisplay, product.flavorDisplay].filter(Boolean).join(' · ');
+}
+
+function cardFrame(content) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}" font-family="${FONT_FAMILY}">
+  <rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="${COLORS.background}"/>
+  <rect x="0" y="0" width="${CARD_WIDTH}" height="8" fill="${COLORS.amber}"/>
+  ${content}
+  <text x="${CARD_WIDTH - 60}" y="${CARD_HEIGHT - 40}" text-anchor="end" font-size="28" font-weight="800" fill="${COLORS.amber}">RANK.</text>
+</svg>`;
+}
+
+/**
+ * Render a user's Top N as an SVG card
+ * @param {Object} data - { displayName, n, items: [{ position, title, animalDisplay, flavorDisplay }] }
+ * @returns {string} SVG markup
+ */
+function renderUserTopCardSvg({ displayName, n, items }) {
+  const rows = items.slice(0, MAX_CARD_ITEMS);
+  // Two columns once the list stops fitting in one
+  const columns = rows.length > 5 ? 2 : 1;
+  const perColumn = Math.ceil(rows.length / columns);
+  const columnWidth = (CARD_WIDTH - 120) / columns;
+  const rowHeight = Math.min(86, 400 / Math.max(perColumn, 1));
+  const titleChars = columns === 2 ? 24 : 52;
+
+  const rowMarkup = rows.map((item, index) => {
+    const column = Math.floor(index / perColumn);
+    const x = 60 + column * columnWidth;
+    const y = 190 + (index % perColumn) * rowHeight;
+    const subtitle = describeProduct(item);
+    return `<g>
+    <text x="${x}" y="${y + 34}" font-size="34" font-weight="800" fill="${item.position <= 3 ? COLORS.gold : COLORS.muted}">#${item.position}</text>
+    <text x="${x + 90}" y="${y + 26}" font-size="28" font-weight="700" fill="${COLORS.text}">${escapeXml(truncate(item.title, titleChars))}</text>
+    ${subtitle ? `<text x="${x + 90}" y="${y + 56}" font-size="20" fill="${COLORS.muted}">${escapeXml(truncate(subtitle, titleChars + 8))}</text>` : ''}
+  </g>`;
+  }).join('\n  ');
+
+  const emptyMarkup = rows.length === 0
+    ? `<text x="60" y="260" font-size="32" fill="${COLORS.muted}">No flavors ranked yet</text>`
+    : '';
+
+  return cardFrame(`
+  <text x="60" y="90" font-size="24" font-weight="700" letter-spacing="4" fill="${COLORS.amber}">JERKY TOP ${escapeXml(n)}</text>
+  <text x="60" y="145" font-size="48" font-weight="800" fill="${COLORS.text}">${escapeXml(truncate(`${displayName}'s Top ${n}`, 40))}</text>
+  ${rowMarkup}
+  ${emptyMarkup}`);
+}
+
+/**
+ * Render a product's community rank as an SVG card
+ * @param {Object} standing - From ProductsService.getCommunityStanding
+ * @returns {string} SVG markup
+ */
+function renderProductCardSvg(standing) {
+  const subtitle = describeProduct(standing);
+  return cardFrame(`
+  <text x="60" y="90" font-size="24" font-weight="700" letter-spacing="4" fill="${COLORS.amber}">COMMUNITY RANK</text>
+  <text x="60" y="300" font-size="200" font-weight="800" fill="${COLORS.gold}">#${standing.communityRank}</text>
+  <text x="60" y="360" font-size="28" fill="${COLORS.muted}">of ${standing.totalRanked} ranked flavors</text>
+  <text x="60" y="450" font-size="52" font-weight="800" fill="${COLORS.text}">${escapeXml(truncate(standing.title, 38))}</text>
+  ${subtitle ? `<text x="60" y="500" font-size="28" fill="${COLORS.muted}">${escapeXml(truncate(subtitle, 60))}</text>` : ''}
+  <text x="60" y="${CARD_HEIGHT - 40}" font-size="24" fill="${COLORS.muted}">Ranked by ${standing.rankCount} ${standing.rankCount === 1 ? 'person' : 'people'} · avg position ${standing.avgRank}</text>`);
+}
+
+/**
+ * Rasterize an SVG card to PNG
+ * @param {string} svg - SVG markup
+ * @returns {Buffer} PNG bytes
+ */
+function svgToPng(svg) {
+  const { Resvg } = require('@resvg/resvg-js');
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: 'width', value: CARD_WIDTH },
+    font: { loadSystemFonts: true, defaultFontFamily: FALLBACK_FONT },
+  });
+  return resvg.render().asPng();
+}
+
+/**
+ * Standalone HTML page for <iframe> embedding of a user's Top N
+ * @param {Object} data - { displayName, n, items, profileUrl }
+ * @returns {string} HTML document
+ */
+function renderTopWidgetHtml({ displayName, n, items, profileUrl }) {
+  const rows = items.slice(0, MAX_WIDGET_ITEMS).map(item => {
+    const subtitle = describeProduct(item);
+    return `<li>
+        <span class="pos${item.position <= 3 ? ' podium' : ''}">#${item.position}</span>
+        <span class="info">
+          <span class="title">${escapeXml(item.title)}</span>
+          ${subtitle ? `<span class="meta">${escapeXml(subtitle)}</span>` : ''}
+        </span>
+      </li>`;
+  }).join('\n      ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <meta name="robots" content="noindex" />
+  <title>${escapeXml(`${displayName}'s Top ${n}`)}</title>
+  <style>
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: ${FONT_FAMILY}; background: ${COLORS.background}; color: ${COLORS.text}; }
+    .widget { padding: 16px; border-top: 4px solid ${COLORS.amber}; }
+    h1 { margin: 0 0 12px; font-size: 18px; }
+    ol { list-style: none; margin: 0; padding: 0; }
+    li { display: flex; gap: 12px; align-items: center; padding: 8px 0; border-bottom: 1px solid ${COLORS.border}; }
+    li:last-child { border-bottom: none; }
+    .pos { min-width: 40px; font-weight: 800; color: ${COLORS.muted}; }
+    .pos.podium { color: ${COLORS.gold}; }
+    .info { display: flex; flex-direction: column; min-width: 0; }
+    .title { font-weight: 700; font-size: 14px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    .meta { font-size: 12px; color: ${COLORS.muted}; }
+    .empty { color: ${COLORS.muted}; font-size: 14px; }
+    footer { margin-top: 12px; font-size: 12px; }
+    footer a { color: ${COLORS.amber}; text-decoration: none; font-weight: 700; }
+  </style>
+</head>
+<body>
+  <div class="widget">
+    <h1>${escapeXml(`${displayName}'s Top ${n}`)}</h1>
+    ${rows ? `<ol>
+      ${rows}
+    </ol>` : '<p class="empty">No flavors ranked yet</p>'}
+    <footer><a href="${escapeXml(profileUrl)}" target="_blank" rel="noopener">See the full list on RANK. →</a></footer>
+  </div>
+</body>
+</html>`;
+}
+
+module.exports = {
+  MAX_CARD_ITEMS,
+  MAX_WIDGET_ITEMS,
+  escapeXml,
+  renderUserTopCardSvg,
+  renderProductCardSvg,
+  renderTopWidgetHtml,
+  svgToPng,
+};
@@ -0,0 +1,139 @@
+/**
+ * Time Zone Utility
+ *
+ * Calendar-day helpers for per-user day boundaries (streaks, "today" stats, engagement
+ * windows). Days are handled as 'YYYY-MM-DD' strings in the user's IANA timezone, so a day
+ * ends at the user's local midnight rather than the server's. The timezone saved on
+ * users.timezone wins; the browser's (X-Timezone header) is the fallback.
+ */
+
+const { DEFAULT_TIMEZONE } = require('../../shared/constants');
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a value is an IANA timezone the runtime understands
+ * @param {string} timeZone - e.g. 'America/Los_Angeles'
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The timezone to use for a user, falling back to DEFAULT_TIMEZONE
+ * @param {string} timeZone - Candidate timezone (may be missing or invalid)
+ * @returns {string}
+ */
+function resolveTimeZone(timeZone) {
+  return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Timezone the browser reported on this request (X-Timezone header), if valid
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function getRequestTimeZone(req) {
+  const timeZone = req.get?.('X-Timezone');
+  return isValidTimeZone(timeZone) ? timeZone : null;
+}
+
+/**
+ * Calendar date of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function getLocalDateString(date, timeZone) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: resolveTimeZone(timeZone),
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+}
+
+/**
+ * Offset of a timezone from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Milliseconds to add to UTC to get local wall-clock time
+ */
+function getTimeZoneOffsetMs(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: resolveTimeZone(timeZone),
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const value = (type) => parseInt(parts.find(p => p.type === type).value);
+  const wallClock = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Instant a local calendar day starts (midnight in the timezone)
+ * @param {string} day - 'YYYY-MM-DD'
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+function getStartOfLocalDay(day, timeZone) {
+  const midnightUtc = Date.parse(`${day}T00:00:00Z`);
+  const guess = midnightUtc - getTimeZoneOffsetMs(new Date(midnightUtc), timeZone);
+  // Re-check at the guess in case a DST change falls between UTC and local midnight
+  return new Date(midnightUtc - getTimeZoneOffsetMs(new Date(guess), timeZone));
+}
+
+/**
+ * Instant "today" started for a user, optionally shifted by whole days
+ * @param {string} timeZone - IANA timezone
+ * @param {number} offsetDays - Days to shift (e.g. -6 for the start of a 7-day window ending today)
+ * @param {Date} now - Reference time (defaults to the current time)
+ * @returns {Date}
+ */
+function getStartOfToday(timeZone, offsetDays = 0, now = new Date()) {
+  return getStartOfLocalDay(addDays(getLocalDateString(now, timeZone), offsetDays), timeZone);
+}
+
+/**
+ * Whole calendar days from one 'YYYY-MM-DD' date to another (negative if `to` is earlier)
+ * @param {string} from - 'YYYY-MM-DD'
+ * @param {string} to - 'YYYY-MM-DD'
+ * @returns {number}
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / ONE_DAY_MS);
+}
+
+/**
+ * Shift a 'YYYY-MM-DD' date by a number of days
+ * @param {string} day - 'YYYY-MM-DD'
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function addDays(day, days) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + days * ONE_DAY_MS).toISOString().slice(0, 10);
+}
+
+module.exports = {
+  isValidTimeZone,
+  resolveTimeZone,
+  getRequestTimeZone,
+  getLocalDateString,
+  getStartOfLocalDay,
+  getStartOfToday,
+  daysBetween,
+  addDays,
+};
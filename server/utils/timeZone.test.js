@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_TIMEZONE } = require('../../shared/constants');
+const {
+  isValidTimeZone,
+  resolveTimeZone,
+  getRequestTimeZone,
+  getLocalDateString,
+  getStartOfLocalDay,
+  getStartOfToday,
+  daysBetween,
+  addDays,
+} = require('./timeZone');
+
+test('isValidTimeZone accepts IANA names only', () => {
+  assert.equal(isValidTimeZone('America/Los_Angeles'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+  assert.equal(isValidTimeZone(''), false);
+  assert.equal(isValidTimeZone(null), false);
+  assert.equal(resolveTimeZone('nope'), DEFAULT_TIMEZONE);
+});
+
+test('getRequestTimeZone reads a valid X-Timezone header', () => {
+  const request = (value) => ({ get: (name) => (name === 'X-Timezone' ? value : undefined) });
+  assert.equal(getRequestTimeZone(request('Europe/Berlin')), 'Europe/Berlin');
+  assert.equal(getRequestTimeZone(request('Berlin')), null);
+  assert.equal(getRequestTimeZone({}), null);
+});
+
+test('the same instant falls on different local days', () => {
+  const instant = new Date('2026-03-01T05:30:00Z');
+  assert.equal(getLocalDateString(instant, 'UTC'), '2026-03-01');
+  assert.equal(getLocalDateString(instant, 'America/Los_Angeles'), '2026-02-28');
+  assert.equal(getLocalDateString(instant, 'Asia/Tokyo'), '2026-03-01');
+});
+
+test('getStartOfLocalDay returns local midnight, across DST changes', () => {
+  assert.equal(getStartOfLocalDay('2026-01-15', 'America/New_York').toISOString(), '2026-01-15T05:00:00.000Z');
+  // US clocks spring forward on 2026-03-08 at 02:00, after midnight
+  assert.equal(getStartOfLocalDay('2026-03-08', 'America/New_York').toISOString(), '2026-03-08T05:00:00.000Z');
+  assert.equal(getStartOfLocalDay('2026-03-09', 'America/New_York').toISOString(), '2026-03-09T04:00:00.000Z');
+  assert.equal(getStartOfLocalDay('2026-06-01', 'Asia/Kolkata').toISOString(), '2026-05-31T18:30:00.000Z');
+});
+
+test('getStartOfToday shifts by whole local days', () => {
+  const now = new Date('2026-07-10T02:00:00Z'); // still July 9th in Los Angeles
+  assert.equal(getStartOfToday('America/Los_Angeles', 0, now).toISOString(), '2026-07-09T07:00:00.000Z');
+  assert.equal(getStartOfToday('America/Los_Angeles', -6, now).toISOString(), '2026-07-03T07:00:00.000Z');
+});
+
+test('daysBetween and addDays work on calendar dates', () => {
+  assert.equal(daysBetween('2026-02-27', '2026-03-01'), 2);
+  assert.equal(daysBetween('2026-03-01', '2026-02-27'), -2);
+  assert.equal(addDays('2026-12-31', 1), '2027-01-01');
+  assert.equal(addDays('2026-03-01', -1), '2026-02-28');
+});
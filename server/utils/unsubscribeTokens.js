@@ -0,0 +1,65 @@
+/**
+ * Unsubscribe Tokens
+ *
+ * Signed one-click unsubscribe links for marketing-style emails (the weekly digest).
+ * The token is an HMAC of the user ID and list name, so links never expire and need no
+ * database lookup, but can't be forged for another user. Signed with EMAIL_UNSUBSCRIBE_SECRET;
+ * without it no tokens are issued and every token fails verification (fail-closed).
+ */
+
+const crypto = require('crypto');
+
+function getSecret() {
+  return process.env.EMAIL_UNSUBSCRIBE_SECRET || null;
+}
+
+function sign(secret, userId, list) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`unsubscribe:${list}:${userId}`, 'utf8')
+    .digest('base64url');
+}
+
+/**
+ * Whether unsubscribe links can be issued
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return !!getSecret();
+}
+
+/**
+ * Create the unsubscribe token for a user and list
+ * @param {number} userId - User ID
+ * @param {string} list - Email list, e.g. 'weekly_digest'
+ * @returns {string|null} Token, or null when no secret is configured
+ */
+function createUnsubscribeToken(userId, list) {
+  const secret = getSecret();
+  if (!secret) return null;
+  return sign(secret, userId, list);
+}
+
+/**
+ * Check an unsubscribe token
+ * @param {number} userId - User ID from the link
+ * @param {string} list - Email list
+ * @param {string} token - Token from the link
+ * @returns {boolean}
+ */
+function verifyUnsubscribeToken(userId, list, token) {
+  const secret = getSecret();
+  if (!secret || typeof token !== 'string' || !token) return false;
+
+  const expectedBuffer = Buffer.from(sign(secret, userId, list));
+  const receivedBuffer = Buffer.from(token);
+  if (expectedBuffer.length !== receivedBuffer.length) return false;
+
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+module.exports = {
+  isConfigured,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken
+};
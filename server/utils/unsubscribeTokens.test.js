@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isConfigured, createUnsubscribeToken, verifyUnsubscribeToken } = require('./unsubscribeTokens');
+
+function withSecret(secret, fn) {
+  const previous = process.env.EMAIL_UNSUBSCRIBE_SECRET;
+  if (secret === undefined) delete process.env.EMAIL_UNSUBSCRIBE_SECRET;
+  else process.env.EMAIL_UNSUBSCRIBE_SECRET = secret;
+  try {
+    fn();
+  } finally {
+    if (previous === undefined) delete process.env.EMAIL_UNSUBSCRIBE_SECRET;
+    else process.env.EMAIL_UNSUBSCRIBE_SECRET = previous;
+  }
+}
+
+test('tokens verify for the same user and list only', () => {
+  withSecret('test-secret', () => {
+    assert.equal(isConfigured(), true);
+    const token = createUnsubscribeToken(42, 'weekly_digest');
+
+    assert.equal(verifyUnsubscribeToken(42, 'weekly_digest', token), true);
+    assert.equal(verifyUnsubscribeToken(43, 'weekly_digest', token), false);
+    assert.equal(verifyUnsubscribeToken(42, 'other_list', token), false);
+    assert.equal(verifyUnsubscribeToken(42, 'weekly_digest', `${token}x`), false);
+    assert.equal(verifyUnsubscribeToken(42, 'weekly_digest', ''), false);
+    assert.equal(verifyUnsubscribeToken(42, 'weekly_digest', undefined), false);
+  });
+});
+
+test('tokens signed with another secret fail', () => {
+  let token;
+  withSecret('old-secret', () => { token = createUnsubscribeToken(42, 'weekly_digest'); });
+  withSecret('new-secret', () => {
+    assert.equal(verifyUnsubscribeToken(42, 'weekly_digest', token), false);
+  });
+});
+
+test('without a secret no tokens are issued and none verify', () => {
+  let token;
+  withSecret('test-secret', () => { token = createUnsubscribeToken(42, 'weekly_digest'); });
+  withSecret(undefined, () => {
+    assert.equal(isConfigured(), false);
+    assert.equal(createUnsubscribeToken(42, 'weekly_digest'), null);
+    assert.equal(verifyUnsubscribeToken(42, 'weekly_digest', token), false);
+  });
+});
@@ -263,6 +263,39 @@ class WebSocketGateway {
         console.log(`📰 Socket ${socket.id} subscribed to activity feed (room: ${this.room('activity-feed')})`);
       });
 
+      // Personalized following feed: join followers:<id> for everyone this user follows,
+      // so their following:activity events arrive live (follow/unfollow keeps the rooms in sync)
+      socket.on('subscribe:following-feed', async () => {
+        if (!socket.userId || !this.services.followService) {
+          socket.emit('subscription:failed', { room: 'following-feed', reason: 'Not authenticated' });
+          return;
+        }
+
+        try {
+          const followingIds = await this.services.followService.getFollowingIds(socket.userId);
+          socket.data.followingFeed = true;
+          socket.join(followingIds.map(id => this.room(`followers:${id}`)));
+          console.log(`📰 Socket ${socket.id} subscribed to following feed (${followingIds.length} followed user(s))`);
+          socket.emit('subscription:confirmed', { room: 'following-feed' });
+        } catch (err) {
+          console.error(`❌ Failed to subscribe socket ${socket.id} to following feed:`, err);
+          socket.emit('subscription:failed', { room: 'following-feed', reason: 'Failed to load follows' });
+        }
+      });
+
+      // Product detail page viewers get new comments on that product live
+      socket.on('subscribe:product-comments', (data) => {
+        const productId = data?.productId ? String(data.productId) : null;
+        if (!productId) return;
+        socket.join(this.room(`product-comments:${productId}`));
+      });
+
+      socket.on('unsubscribe:product-comments', (data) => {
+        const productId = data?.productId ? String(data.productId) : null;
+        if (!productId) return;
+        socket.leave(this.room(`product-comments:${productId}`));
+      });
+
       socket.on('subscribe:customer-orders', () => {
         // Only allow admin users to subscribe to customer orders updates
         if (socket.userData && (socket.userData.role === 'employee_admin' || socket.userData.email?.endsWith('@jerky.com'))) {
@@ -373,6 +406,16 @@ class WebSocketGateway {
         socket.leave(this.room('activity-feed'));
       });
 
+      socket.on('unsubscribe:following-feed', () => {
+        socket.data.followingFeed = false;
+        const followersPrefix = this.room('followers:');
+        for (const roomName of socket.rooms) {
+          if (roomName.startsWith(followersPrefix)) {
+            socket.leave(roomName);
+          }
+        }
+      });
+
       socket.on('unsubscribe:live-users', () => {
         socket.leave(this.room('live-users'));
       });
@@ -441,10 +484,52 @@ class WebSocketGateway {
     return this.activeUsers.has(userId) && this.activeUsers.get(userId).socketIds.length > 0;
   }
 
+  /**
+   * Store a notification in the user's inbox (NotificationService) and push it to their open sockets
+   * Fire-and-forget: a failed write never blocks the real-time event it accompanies
+   */
+  notify(userId, notification) {
+    const notificationService = this.services.notificationService;
+    if (!notificationService) return;
+
+    notificationService.create(userId, notification).then(result => {
+      if (result) {
+        this.io.to(this.room(`user:${userId}`)).emit('notification:new', result);
+      }
+    }).catch(err => {
+      console.error(`❌ Failed to store ${notification.type} notification for user ${userId}:`, err.message);
+    });
+  }
+
+  notifyAchievement(userId, achievement) {
+    const tierLabel = achievement.tier ? achievement.tier.charAt(0).toUpperCase() + achievement.tier.slice(1) : null;
+
+    this.notify(userId, {
+      category: 'achievements',
+      type: achievement.isTierUpgrade ? 'tier_upgrade' : 'achievement_earned',
+      title: achievement.isTierUpgrade
+        ? `${achievement.name} upgraded to ${tierLabel}`
+        : `${achievement.name} coin earned`,
+      body: achievement.isTierUpgrade && achievement.pointsGained
+        ? `+${achievement.pointsGained} points`
+        : achievement.description || null,
+      link: achievement.id ? `/coinbook/${achievement.id}` : '/coinbook',
+      data: {
+        achievementId: achievement.id || null,
+        icon: achievement.icon || null,
+        iconType: achievement.iconType || null,
+        tier: achievement.tier || null,
+      },
+    });
+  }
+
   /**
    * Safely emit achievements to user - queues them if socket not authenticated
+   * Every achievement is also written to the user's notification inbox
    */
   emitAchievements(userId, achievements) {
+    achievements.forEach(achievement => this.notifyAchievement(userId, achievement));
+
     const hasSocket = this.hasAuthenticatedSocket(userId);
     
     if (hasSocket) {
@@ -472,9 +557,49 @@ class WebSocketGateway {
     }
   }
 
+  /**
+   * Send an activity:new event to the global activity feed
+   * (followers are reached through broadcastActivityToFollowers when the activity is logged)
+   */
+  emitActivity(userId, activity) {
+    this.io.to(this.room('activity-feed')).emit('activity:new', activity);
+  }
+
+  /**
+   * Push a logged social activity (activity_logs row) to the following feeds of the user's followers
+   * Uses its own event so global activity:new traffic doesn't refresh following feeds
+   */
+  broadcastActivityToFollowers(entry) {
+    this.io.to(this.room(`followers:${entry.userId}`)).emit('following:activity', {
+      id: entry.id,
+      type: entry.activityType,
+      userId: entry.userId,
+      data: entry.activityData,
+      timestamp: entry.createdAt ? new Date(entry.createdAt).toISOString() : new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Keep a follower's following-feed sockets in sync after a follow or unfollow
+   */
+  async syncFollow(followerId, followeeId, isFollowing) {
+    const followersRoom = this.room(`followers:${followeeId}`);
+    const sockets = await this.io.in(this.room(`user:${followerId}`)).fetchSockets();
+
+    for (const followerSocket of sockets) {
+      if (!followerSocket.data.followingFeed) continue;
+      if (isFollowing) {
+        followerSocket.join(followersRoom);
+      } else {
+        followerSocket.leave(followersRoom);
+      }
+    }
+  }
+
   broadcastAchievementEarned(userId, achievement) {
     this.io.to(this.room(`user:${userId}`)).emit('achievement:earned', achievement);
-    this.io.to(this.room('activity-feed')).emit('activity:new', {
+    this.notifyAchievement(userId, achievement);
+    this.emitActivity(userId, {
       type: 'achievement_earned',
       userId,
       data: achievement,
@@ -482,19 +607,132 @@ class WebSocketGateway {
     });
   }
 
+  broadcastLevelUp(userId, levelUp) {
+    this.io.to(this.room(`user:${userId}`)).emit('level:up', levelUp);
+    this.notify(userId, {
+      category: 'levels',
+      type: 'level_up',
+      title: `Level ${levelUp.level} reached`,
+      body: `Up from level ${levelUp.previousLevel}`,
+      link: '/profile',
+      data: { level: levelUp.level, previousLevel: levelUp.previousLevel, prestige: levelUp.prestige },
+    });
+    this.emitActivity(userId, {
+      type: 'level_up',
+      userId,
+      data: { level: levelUp.level, previousLevel: levelUp.previousLevel, prestige: levelUp.prestige },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Tell a user their coins changed outside of their own actions (recalculation after an
+   * order cancellation or fulfillment downgrade), so the Coin Book can refresh and explain
+   */
+  broadcastAchievementUpdate(userId, changes = []) {
+    const summary = changes.map(({ action, achievementId, achievementName, fromTier, toTier }) => ({
+      action, achievementId, achievementName, fromTier, toTier,
+    }));
+
+    this.io.to(this.room(`user:${userId}`)).emit('achievement:updated', {
+      changes: summary,
+      timestamp: new Date().toISOString(),
+    });
+
+    for (const change of summary) {
+      this.notify(userId, {
+        category: 'achievements',
+        type: `achievement_${change.action}`,
+        title: change.action === 'revoked'
+          ? `${change.achievementName} coin removed`
+          : `${change.achievementName} changed from ${change.fromTier} to ${change.toTier}`,
+        body: 'Your coins were rechecked after an order update.',
+        link: change.action === 'revoked' ? '/coinbook' : `/coinbook/${change.achievementId}`,
+        data: change,
+      });
+    }
+  }
+
   broadcastStreakUpdate(userId, streak) {
     this.io.to(this.room(`user:${userId}`)).emit('streak:updated', streak);
     
     if (streak.continued && streak.currentStreak % 7 === 0) {
-      this.io.to(this.room('activity-feed')).emit('activity:new', {
+      this.emitActivity(userId, {
         type: 'streak_milestone',
         userId,
         data: streak,
         timestamp: new Date().toISOString(),
       });
+      this.notify(userId, {
+        category: 'streaks',
+        type: 'streak_milestone',
+        title: `${streak.currentStreak}-day streak!`,
+        body: 'Keep ranking daily to keep it going.',
+        link: '/rank',
+        data: { currentStreak: streak.currentStreak, streakType: streak.streakType },
+      });
+    } else if (streak.broken && streak.previousStreak > 1) {
+      this.notify(userId, {
+        category: 'streaks',
+        type: 'streak_lost',
+        title: `Your ${streak.previousStreak}-day streak ended`,
+        body: 'Rank a flavor today to start a new one.',
+        link: '/rank',
+        data: { previousStreak: streak.previousStreak, streakType: streak.streakType },
+      });
     }
   }
 
+  /**
+   * Tell a user someone new follows them
+   * @param {number} followeeId - User who was followed
+   * @param {Object} follower - { id, displayName }
+   */
+  broadcastNewFollower(followeeId, follower) {
+    this.io.to(this.room(`user:${followeeId}`)).emit('follower:new', { follower });
+    this.notify(followeeId, {
+      category: 'social',
+      type: 'new_follower',
+      title: `${follower.displayName} followed you`,
+      link: `/community/${follower.id}`,
+      data: { followerId: follower.id },
+    });
+  }
+
+  /**
+   * Push a new product comment to that product's viewers, and tell the author of the
+   * comment being replied to (unless they replied to themselves)
+   * @param {Object} comment - Formatted comment from ProductCommentService
+   * @param {Object} context - { productTitle, parent (comment replied to, or null) }
+   */
+  broadcastNewComment(comment, { productTitle, parent = null }) {
+    this.io.to(this.room(`product-comments:${comment.productId}`)).emit('comment:new', {
+      productId: comment.productId,
+      comment,
+    });
+
+    if (parent && parent.userId !== comment.author.id) {
+      this.notify(parent.userId, {
+        category: 'social',
+        type: 'comment_reply',
+        title: `${comment.author.displayName} replied to your comment on ${productTitle}`,
+        body: comment.body.length > 140 ? `${comment.body.slice(0, 137)}...` : comment.body,
+        link: `/flavors/${comment.productId}#comment-${comment.id}`,
+        data: { productId: comment.productId, commentId: comment.id, parentId: parent.id },
+      });
+    }
+  }
+
+  /**
+   * A comment was edited, deleted or moderated: viewers of the product refetch the thread
+   */
+  broadcastCommentUpdated(productId, commentId) {
+    this.io.to(this.room(`product-comments:${productId}`)).emit('comment:updated', {
+      productId,
+      commentId,
+    });
+  }
+
   broadcastLeaderboardUpdate() {
     this.io.to(this.room('leaderboard')).emit('leaderboard:updated', {
       timestamp: new Date().toISOString(),
@@ -502,7 +740,7 @@ class WebSocketGateway {
   }
 
   broadcastProductRanked(userId, productData, ranking) {
-    this.io.to(this.room('activity-feed')).emit('activity:new', {
+    this.emitActivity(userId, {
       type: 'product_ranked',
       userId,
       data: { productData, ranking },
@@ -569,6 +807,17 @@ class WebSocketGateway {
 
   emitGuidanceUpdate(userId, guidance) {
     const hasSocket = this.hasAuthenticatedSocket(userId);
+
+    if (guidance?.title) {
+      this.notify(userId, {
+        category: 'guidance',
+        type: 'guidance',
+        title: guidance.title,
+        body: guidance.message || null,
+        link: '/rank',
+        data: { guidanceType: guidance.type || null },
+      });
+    }
     
     if (hasSocket) {
       const roomName = this.room(`user:${userId}`);
@@ -5,6 +5,37 @@
 // Valid streak types
 const VALID_STREAK_TYPES = ['daily_rank', 'daily_login'];
 
+// Streak freezes - one is earned every STREAK_FREEZE_EARN_INTERVAL days of a streak (held up to
+// STREAK_FREEZE_MAX) and spent automatically to cover a missed day
+const STREAK_FREEZE_EARN_INTERVAL = 7;
+const STREAK_FREEZE_MAX = 2;
+
+// Timezone for streak day boundaries when the user's timezone is unknown
+const DEFAULT_TIMEZONE = 'America/Chicago';
+
+// Primary ranking list - the only list counted by gamification, leaderboards and community stats
+const PRIMARY_RANKING_LIST_ID = 'default';
+
+// Valid ranking list visibility values
+const VALID_RANKING_LIST_VISIBILITIES = ['public', 'private'];
+
+// Time windows for the public Top-N API (days of ranking activity, null = all time)
+const TOP_N_WINDOWS = {
+  all: null,
+  '30d': 30,
+  '7d': 7,
+};
+
+// Leaderboard seasons - each matches a user_engagement_scores period that gets reset when it ends
+const SEASON_TYPES = ['week', 'month'];
+
 module.exports = {
   VALID_STREAK_TYPES,
+  STREAK_FREEZE_EARN_INTERVAL,
+  STREAK_FREEZE_MAX,
+  DEFAULT_TIMEZONE,
+  PRIMARY_RANKING_LIST_ID,
+  VALID_RANKING_LIST_VISIBILITIES,
+  TOP_N_WINDOWS,
+  SEASON_TYPES,
 };
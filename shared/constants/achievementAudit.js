@@ -0,0 +1,11 @@
+/**
+ * Achievement Audit Constants (CommonJS wrapper)
+ * Single source of truth: achievementAudit.json
+ *
+ * Labels for achievement_audit rows: what happened (action), what wrote it (source) and,
+ * for removals and downgrades, why (reason, phrased to follow "because ...").
+ */
+
+const ACHIEVEMENT_AUDIT = require('./achievementAudit.json');
+
+module.exports = { ACHIEVEMENT_AUDIT };
@@ -0,0 +1,8 @@
+/**
+ * Achievement Audit Constants (ESM wrapper)
+ * Single source of truth: achievementAudit.json
+ */
+
+import achievementAudit from './achievementAudit.json' assert { type: 'json' };
+
+export const ACHIEVEMENT_AUDIT = achievementAudit;
@@ -0,0 +1,15 @@
+/**
+ * Achievement Rule Constants (CommonJS wrapper)
+ * Single source of truth: achievementRules.json
+ *
+ * Vocabulary for composable coin requirements ({ type: 'rule', rule }):
+ * - sources: what a condition counts (ranked products or user_activities rows)
+ * - productFields: products_metadata filters usable in a condition's `where`
+ * - activityTypes: user_activities types, with the activity_data keys that can be counted distinctly
+ *   and whether the activity points at a product (so product filters apply)
+ * - maxDepth / maxConditions / maxWindowDays: limits that keep a rule cheap to evaluate
+ */
+
+const ACHIEVEMENT_RULES = require('./achievementRules.json');
+
+module.exports = { ACHIEVEMENT_RULES };
@@ -0,0 +1,8 @@
+/**
+ * Achievement Rule Constants (ESM wrapper)
+ * Single source of truth: achievementRules.json
+ */
+
+import achievementRules from './achievementRules.json' assert { type: 'json' };
+
+export const ACHIEVEMENT_RULES = achievementRules;
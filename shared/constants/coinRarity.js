@@ -0,0 +1,11 @@
+/**
+ * Coin Rarity Constants (CommonJS wrapper)
+ * Single source of truth: coinRarity.json
+ *
+ * Rarity bands, rarest first. A coin (or tier) gets the first band whose maxPercent is at
+ * least the percentage of active users who earned it.
+ */
+
+const COIN_RARITY = require('./coinRarity.json');
+
+module.exports = { COIN_RARITY };
@@ -0,0 +1,8 @@
+/**
+ * Coin Rarity Constants (ESM wrapper)
+ * Single source of truth: coinRarity.json
+ */
+
+import coinRarity from './coinRarity.json' assert { type: 'json' };
+
+export const COIN_RARITY = coinRarity;
@@ -30,6 +30,10 @@ const COLLECTION_TYPES = {
   // (personalized awards for specific individuals - admin controlled)
   USER_COIN: 'user_coin',
   
+  // Event Collections: Time-limited challenges with a start/end date and a goal
+  // (e.g., rank 3 of the new holiday flavors before Dec 31)
+  EVENT: 'event_collection',
+  
   // Hidden Collections: Secret achievements unlocked through discovery
   HIDDEN: 'hidden_collection',
   
@@ -47,6 +51,7 @@ const COLLECTION_TYPE_LABELS = {
   [COLLECTION_TYPES.FLAVOR_COIN]: 'Flavor Coin',
   [COLLECTION_TYPES.USER_CLUB]: 'User Club',
   [COLLECTION_TYPES.USER_COIN]: 'User Coin',
+  [COLLECTION_TYPES.EVENT]: 'Event Coin',
   [COLLECTION_TYPES.HIDDEN]: 'Hidden Collection Coin',
   [COLLECTION_TYPES.LEGACY]: 'Legacy'
 };
@@ -59,6 +64,7 @@ const API_ROUTE_FILTERS = {
   dynamic: COLLECTION_TYPES.DYNAMIC,
   static: COLLECTION_TYPES.STATIC,
   user_club: COLLECTION_TYPES.USER_CLUB,
+  event: COLLECTION_TYPES.EVENT,
   hidden: COLLECTION_TYPES.HIDDEN,
   // Legacy support for old naming
   custom: COLLECTION_TYPES.STATIC  // custom_product_list → static_collection
@@ -0,0 +1,11 @@
+/**
+ * Content Report Constants (CommonJS wrapper)
+ * Single source of truth: contentReports.json
+ *
+ * Users report comments and profiles for one of the reasons; employees resolve all open
+ * reports on a target at once, either dismissing them or taking one of the target type's actions.
+ */
+
+const CONTENT_REPORTS = require('./contentReports.json');
+
+module.exports = { CONTENT_REPORTS };
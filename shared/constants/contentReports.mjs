@@ -0,0 +1,8 @@
+/**
+ * Content Report Constants (ESM wrapper)
+ * Single source of truth: contentReports.json
+ */
+
+import contentReports from './contentReports.json' assert { type: 'json' };
+
+export const CONTENT_REPORTS = contentReports;
@@ -0,0 +1,12 @@
+/**
+ * Level Constants (CommonJS wrapper)
+ * Single source of truth: levels.json
+ *
+ * XP is coin points plus engagement score. Reaching level n takes baseXp * (n - 1)^exponent
+ * XP (level 1 starts at 0). Prestige is offered from prestigeMinLevel and restarts the level
+ * count without touching coins.
+ */
+
+const LEVELS = require('./levels.json');
+
+module.exports = { LEVELS };
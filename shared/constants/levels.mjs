@@ -0,0 +1,8 @@
+/**
+ * Level Constants (ESM wrapper)
+ * Single source of truth: levels.json
+ */
+
+import levels from './levels.json' assert { type: 'json' };
+
+export const LEVELS = levels;
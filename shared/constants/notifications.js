@@ -0,0 +1,13 @@
+/**
+ * Notification Constants (CommonJS wrapper)
+ * Single source of truth: notifications.json
+ *
+ * Every notification belongs to one category; users can switch categories off on their
+ * profile page. Notifications older than retentionDays are pruned.
+ */
+
+const NOTIFICATIONS = require('./notifications.json');
+
+const NOTIFICATION_CATEGORIES = Object.keys(NOTIFICATIONS.categories);
+
+module.exports = { NOTIFICATIONS, NOTIFICATION_CATEGORIES };
@@ -0,0 +1,9 @@
+/**
+ * Notification Constants (ESM wrapper)
+ * Single source of truth: notifications.json
+ */
+
+import notifications from './notifications.json' assert { type: 'json' };
+
+export const NOTIFICATIONS = notifications;
+export const NOTIFICATION_CATEGORIES = Object.keys(notifications.categories);
@@ -0,0 +1,12 @@
+/**
+ * Product Comment Constants (CommonJS wrapper)
+ * Single source of truth: productComments.json
+ *
+ * Replies nest up to maxDepth levels below a top-level comment. A commenter is a verified
+ * purchaser when one of their customer_order_items for the product has a
+ * verifiedFulfillmentStatuses status.
+ */
+
+const PRODUCT_COMMENTS = require('./productComments.json');
+
+module.exports = { PRODUCT_COMMENTS };
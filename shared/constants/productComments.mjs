@@ -0,0 +1,8 @@
+/**
+ * Product Comment Constants (ESM wrapper)
+ * Single source of truth: productComments.json
+ */
+
+import productComments from './productComments.json' assert { type: 'json' };
+
+export const PRODUCT_COMMENTS = productComments;
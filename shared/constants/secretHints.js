@@ -0,0 +1,11 @@
+/**
+ * Secret Coin Hint Constants (CommonJS wrapper)
+ * Single source of truth: secretHints.json
+ *
+ * A hidden coin's hints are revealed in order as the user's progress toward it passes each
+ * revealAt percentage, so a coin has at most revealAt.length hints.
+ */
+
+const SECRET_HINTS = require('./secretHints.json');
+
+module.exports = { SECRET_HINTS };
@@ -0,0 +1,8 @@
+/**
+ * Secret Coin Hint Constants (ESM wrapper)
+ * Single source of truth: secretHints.json
+ */
+
+import secretHints from './secretHints.json' assert { type: 'json' };
+
+export const SECRET_HINTS = secretHints;
@@ -0,0 +1,8 @@
+/**
+ * Tasting Sub-Score Constants (CommonJS wrapper)
+ * Single source of truth: tastingScores.json
+ */
+
+const TASTING_SCORES = require('./tastingScores.json');
+
+module.exports = { TASTING_SCORES };
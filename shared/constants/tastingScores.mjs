@@ -0,0 +1,8 @@
+/**
+ * Tasting Sub-Score Constants (ESM wrapper)
+ * Single source of truth: tastingScores.json
+ */
+
+import tastingScores from './tastingScores.json' assert { type: 'json' };
+
+export const TASTING_SCORES = tastingScores;
@@ -1,4 +1,4 @@
-const { pgTable, serial, text, timestamp, integer, jsonb, unique, index, boolean } = require('drizzle-orm/pg-core');
+const { pgTable, serial, text, timestamp, integer, jsonb, unique, index, boolean, real, date } = require('drizzle-orm/pg-core');
 const { relations } = require('drizzle-orm');
 
 // User profiles from jerky.com customer accounts
@@ -22,6 +22,13 @@ const users = pgTable('users', {
   handle: text('handle'), // Unique username like "@smokybeef247" (stored without @)
   hideNamePrivacy: boolean('hide_name_privacy').default(false).notNull(), // Hide real name and show handle instead
   shopifyCreatedAt: timestamp('shopify_created_at'), // When customer account was created on jerky.com (Shopify)
+  timezone: text('timezone'), // IANA timezone for day boundaries (streaks, "today" stats); auto-detected from the browser, editable on the profile page
+  notificationPreferences: jsonb('notification_preferences').default({}).notNull(), // Notification categories switched off, e.g. { guidance: false }
+  emailDigestOptIn: boolean('email_digest_opt_in').default(false).notNull(), // Weekly digest email subscription
+  commentBannedAt: timestamp('comment_banned_at'), // Set by employees; banned users can't post, edit or vote on product comments
+  commentBanReason: text('comment_ban_reason'),
+  nameHiddenByModeratorAt: timestamp('name_hidden_by_moderator_at'), // Set by employees from a report; the name stays hidden whatever hideNamePrivacy says
+  handleLockedAt: timestamp('handle_locked_at'), // Set by employees when they reset a reported handle; the user can't change it back
   createdAt: timestamp('created_at').defaultNow(),
   updatedAt: timestamp('updated_at').defaultNow(),
 }, (table) => ({
@@ -78,6 +85,22 @@ const productRankings = pgTable('product_rankings', {
   uniqueUserProductList: unique().on(table.userId, table.shopifyProductId, table.rankingListId),
 }));
 
+// Ranking lists - named lists a user ranks products into (product_rankings.ranking_list_id)
+// The 'default' list is the user's primary Top N and the only list counted by gamification
+const rankingLists = pgTable('ranking_lists', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').references(() => users.id).notNull(),
+  listId: text('list_id').notNull(), // Matches product_rankings.ranking_list_id ('default' = primary list)
+  name: text('name').notNull(), // Display name (e.g., 'Spicy Top 10', 'Road Trip Picks')
+  visibility: text('visibility').default('public').notNull(), // 'public' or 'private'
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow(),
+}, (table) => ({
+  // Unique constraint: list IDs are scoped per user
+  uniqueUserList: unique().on(table.userId, table.listId),
+  userIdIdx: index('idx_ranking_lists_user_id').on(table.userId),
+}));
+
 // Achievement definitions - types of badges users can earn
 const achievements = pgTable('achievements', {
   id: serial('id').primaryKey(),
@@ -92,7 +115,9 @@ const achievements = pgTable('achievements', {
   proteinCategory: text('protein_category'), // LEGACY: For backward compatibility (stores first category)
   proteinCategories: jsonb('protein_categories'), // For multi-category collections: ['cattle', 'poultry', ...] (nullable for legacy)
   isHidden: integer('is_hidden').default(0), // 0 = visible, 1 = hidden until unlocked
-  prerequisiteAchievementId: integer('prerequisite_achievement_id').references(() => achievements.id), // Required achievement that must be earned first
+  hints: jsonb('hints'), // Hidden coins: ordered clues revealed at 25/50/75% progress (see shared/constants/secretHints.json)
+  prerequisiteAchievementId: integer('prerequisite_achievement_id').references(() => achievements.id), // LEGACY: single prerequisite (stores first of prerequisiteAchievementIds)
+  prerequisiteAchievementIds: jsonb('prerequisite_achievement_ids'), // Quest lines: achievement ids that must ALL be earned first, e.g. [12, 15] (nullable)
   requirement: jsonb('requirement').notNull(), // Criteria for earning (e.g., {type: 'complete_flavor_set', flavors: ['sweet', 'spicy']})
   tierThresholds: jsonb('tier_thresholds'), // For dynamic collections: {bronze: 40, silver: 60, gold: 75, platinum: 90, diamond: 100}
   hasTiers: integer('has_tiers').default(0), // 0 = no tiers (single achievement), 1 = has tiers (bronze/silver/gold/etc)
@@ -129,6 +154,58 @@ const userAchievements = pgTable('user_achievements', {
   updatedAt: timestamp('updated_at').defaultNow(),
 });
 
+// Achievement stats - rarity and earn-rate statistics per coin, rebuilt on a schedule by AchievementStatsService
+const achievementStats = pgTable('achievement_stats', {
+  id: serial('id').primaryKey(),
+  achievementId: integer('achievement_id').references(() => achievements.id, { onDelete: 'cascade' }).notNull().unique(),
+  activeUsers: integer('active_users').default(0).notNull(), // Active users when computed (the percentage denominator)
+  earnerCount: integer('earner_count').default(0).notNull(), // Active users who earned the coin (any tier)
+  earnedPercentage: real('earned_percentage').default(0).notNull(), // earnerCount / activeUsers * 100
+  rarity: text('rarity').notNull(), // 'common', 'uncommon', 'rare', 'epic', 'legendary' (see shared/constants/coinRarity.json)
+  tierStats: jsonb('tier_stats'), // Tiered coins: { bronze: { earners, percentage, rarity }, ... } (earned that tier or higher)
+  medianDaysToEarn: real('median_days_to_earn'), // Median days from signup to earning; null when nobody has earned it
+  firstEarnerUserId: integer('first_earner_user_id').references(() => users.id),
+  firstEarnedAt: timestamp('first_earned_at'),
+  recentEarners: jsonb('recent_earners'), // [{ userId, tier, earnedAt }], newest first
+  computedAt: timestamp('computed_at').defaultNow().notNull(),
+});
+
+// Achievement audit - append-only history of every coin grant, tier change and revocation, with the
+// rankings, orders and products behind it. achievementId has no foreign key so history outlives deleted
+// coins; code and name are copied for the same reason. UPDATE and DELETE are blocked by a trigger.
+const achievementAudit = pgTable('achievement_audit', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').references(() => users.id).notNull(),
+  achievementId: integer('achievement_id').notNull(),
+  achievementCode: text('achievement_code').notNull(),
+  achievementName: text('achievement_name').notNull(),
+  action: text('action').notNull(), // 'granted', 'tier_upgraded', 'tier_downgraded', 'revoked' (see shared/constants/achievementAudit.json)
+  fromTier: text('from_tier'), // null for grants
+  toTier: text('to_tier'), // null for revocations
+  pointsBefore: integer('points_before').default(0).notNull(),
+  pointsAfter: integer('points_after').default(0).notNull(),
+  source: text('source').notNull(), // 'engagement', 'collection', 'season', 'recalculation', 'admin'
+  reason: text('reason'), // Why a coin was removed or downgraded, e.g. 'order_cancelled'
+  provenance: jsonb('provenance'), // { metric, value, required, rankings: [...], orders: [...], productIds: [...], trigger: {...} }
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+}, (table) => ({
+  userCreatedIdx: index('idx_achievement_audit_user_created').on(table.userId, table.createdAt),
+  achievementIdx: index('idx_achievement_audit_achievement').on(table.achievementId),
+}));
+
+// User levels - prestige state and the last level announced, per user. The level itself is derived
+// from XP (coin points + engagement score) minus xpOffset, the XP banked at the last prestige.
+const userLevels = pgTable('user_levels', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull().unique(),
+  prestige: integer('prestige').default(0).notNull(), // Number of prestige resets
+  xpOffset: integer('xp_offset').default(0).notNull(), // Total XP at the last prestige (0 if never prestiged)
+  lastLevel: integer('last_level').default(1).notNull(), // Highest level already announced (level-up events fire above it)
+  prestigedAt: timestamp('prestiged_at'),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow(),
+});
+
 // User streaks - tracks consecutive activity
 const streaks = pgTable('streaks', {
   id: serial('id').primaryKey(),
@@ -137,10 +214,23 @@ const streaks = pgTable('streaks', {
   currentStreak: integer('current_streak').default(0),
   longestStreak: integer('longest_streak').default(0),
   lastActivityDate: timestamp('last_activity_date'),
+  freezesAvailable: integer('freezes_available').default(0), // Earned every STREAK_FREEZE_EARN_INTERVAL days, spent on missed days
   createdAt: timestamp('created_at').defaultNow(),
   updatedAt: timestamp('updated_at').defaultNow(),
 });
 
+// Streak days - one row per calendar day (in the user's timezone) a streak was kept alive
+const streakDays = pgTable('streak_days', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').references(() => users.id).notNull(),
+  streakType: text('streak_type').notNull(),
+  day: date('day', { mode: 'string' }).notNull(), // YYYY-MM-DD in the user's timezone
+  status: text('status').notNull(), // 'active' (user was active) or 'frozen' (missed, covered by a freeze)
+  createdAt: timestamp('created_at').defaultNow(),
+}, (table) => ({
+  uniqueUserTypeDay: unique('streak_days_user_type_day_unique').on(table.userId, table.streakType, table.day),
+}));
+
 // Activity logs - community activity feed
 const activityLogs = pgTable('activity_logs', {
   id: serial('id').primaryKey(),
@@ -151,6 +241,95 @@ const activityLogs = pgTable('activity_logs', {
   createdAt: timestamp('created_at').defaultNow(),
 });
 
+// User follows - community follower graph (drives the following feed)
+const userFollows = pgTable('user_follows', {
+  id: serial('id').primaryKey(),
+  followerId: integer('follower_id').references(() => users.id, { onDelete: 'cascade' }).notNull(), // User who follows
+  followeeId: integer('followee_id').references(() => users.id, { onDelete: 'cascade' }).notNull(), // User being followed
+  createdAt: timestamp('created_at').defaultNow(),
+}, (table) => ({
+  uniqueFollow: unique('user_follows_unique').on(table.followerId, table.followeeId),
+  followeeIdx: index('idx_user_follows_followee').on(table.followeeId, table.createdAt),
+}));
+
+// Notifications - persistent in-app inbox (nav bell); written by NotificationService
+const notifications = pgTable('notifications', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  category: text('category').notNull(), // achievements, levels, streaks, social, guidance (shared/constants/notifications.json)
+  type: text('type').notNull(), // e.g. 'achievement_earned', 'level_up', 'new_follower'
+  title: text('title').notNull(),
+  body: text('body'),
+  link: text('link'), // In-app path opened when the notification is clicked
+  data: jsonb('data'), // Event payload (achievement, level, streak, ...)
+  readAt: timestamp('read_at'), // NULL while unread
+  createdAt: timestamp('created_at').defaultNow(),
+}, (table) => ({
+  userCreatedIdx: index('idx_notifications_user_created').on(table.userId, table.createdAt),
+}));
+
+// Weekly digest email send log - one row per user per digest, also holds the rank sent for next week's movement
+const emailDigests = pgTable('email_digests', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  digestDate: date('digest_date').notNull(), // Monday (UTC) of the digest week
+  leaderboardRank: integer('leaderboard_rank'), // All-time rank at send time
+  sentAt: timestamp('sent_at').defaultNow(),
+}, (table) => ({
+  uniqueUserDigest: unique().on(table.userId, table.digestDate),
+}));
+
+// Product comments - threaded discussion on product detail pages
+const productComments = pgTable('product_comments', {
+  id: serial('id').primaryKey(),
+  shopifyProductId: text('shopify_product_id').notNull(),
+  userId: integer('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  parentId: integer('parent_id').references(() => productComments.id, { onDelete: 'cascade' }), // NULL for top-level comments
+  rootId: integer('root_id').references(() => productComments.id, { onDelete: 'cascade' }), // Top-level comment of the thread (NULL for top-level comments)
+  depth: integer('depth').default(0).notNull(), // 0 = top-level, capped at shared/constants/productComments.json maxDepth
+  body: text('body').notNull(),
+  upvoteCount: integer('upvote_count').default(0).notNull(), // Denormalized from product_comment_votes
+  editedAt: timestamp('edited_at'),
+  deletedAt: timestamp('deleted_at'), // Deleted by the author; kept as a placeholder so replies stay threaded
+  hiddenAt: timestamp('hidden_at'), // Hidden by an employee
+  hiddenBy: integer('hidden_by').references(() => users.id, { onDelete: 'set null' }),
+  hiddenReason: text('hidden_reason'),
+  lockedAt: timestamp('locked_at'), // Top-level comments only: no new replies in the thread
+  lockedBy: integer('locked_by').references(() => users.id, { onDelete: 'set null' }),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow(),
+}, (table) => ({
+  rootIdx: index('idx_product_comments_root').on(table.rootId),
+}));
+
+// Product comment upvotes - one per user per comment
+const productCommentVotes = pgTable('product_comment_votes', {
+  commentId: integer('comment_id').references(() => productComments.id, { onDelete: 'cascade' }).notNull(),
+  userId: integer('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  createdAt: timestamp('created_at').defaultNow(),
+}, (table) => ({
+  uniqueVote: unique().on(table.commentId, table.userId),
+}));
+
+// Content reports - users flag comments and profiles for employee review
+const contentReports = pgTable('content_reports', {
+  id: serial('id').primaryKey(),
+  reporterId: integer('reporter_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  targetType: text('target_type').notNull(), // 'comment' | 'user'
+  targetId: integer('target_id').notNull(), // product_comments.id or users.id
+  reason: text('reason').notNull(), // See shared/constants/contentReports.json
+  details: text('details'),
+  status: text('status').default('open').notNull(), // 'open' | 'actioned' | 'dismissed'
+  resolution: text('resolution'), // Action taken when actioned
+  resolutionNote: text('resolution_note'),
+  reviewedBy: integer('reviewed_by').references(() => users.id, { onDelete: 'set null' }),
+  reviewedAt: timestamp('reviewed_at'),
+  createdAt: timestamp('created_at').defaultNow(),
+}, (table) => ({
+  uniqueReport: unique().on(table.reporterId, table.targetType, table.targetId),
+  statusTargetIdx: index('idx_content_reports_status_target').on(table.status, table.targetType, table.targetId),
+}));
+
 // Product views - tracks product page views for trending calculation
 const productViews = pgTable('product_views', {
   id: serial('id').primaryKey(),
@@ -190,6 +369,83 @@ const rankingOperations = pgTable('ranking_operations', {
   createdAt: timestamp('created_at').defaultNow(),
 });
 
+// Ranking events - append-only log of every position change (powers ranking history / time travel)
+// Never updated or deleted; replaying events up to a timestamp reconstructs a list at that moment
+const rankingEvents = pgTable('ranking_events', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').references(() => users.id).notNull(),
+  shopifyProductId: text('shopify_product_id').notNull(),
+  rankingListId: text('ranking_list_id').notNull(),
+  eventType: text('event_type').notNull(), // 'insert', 'move', 'remove'
+  oldPosition: integer('old_position'), // null for 'insert'
+  newPosition: integer('new_position'), // null for 'remove'
+  productTitle: text('product_title'), // Title snapshot so removed products can still be displayed
+  operationId: text('operation_id'), // Matches ranking_operations.operation_id when the save carried one
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+}, (table) => ({
+  userListCreatedIdx: index('idx_ranking_events_user_list_created').on(table.userId, table.rankingListId, table.createdAt),
+}));
+
+// Tasting notes - optional notes and 1-5 sub-scores a user attaches to one of their ranked products
+// Keyed to product_rankings.id and deleted with it when the product is unranked
+const rankingNotes = pgTable('ranking_notes', {
+  id: serial('id').primaryKey(),
+  productRankingId: integer('product_ranking_id').references(() => productRankings.id, { onDelete: 'cascade' }).notNull(),
+  userId: integer('user_id').references(() => users.id).notNull(),
+  shopifyProductId: text('shopify_product_id').notNull(), // Denormalized for per-product aggregation
+  notes: text('notes'), // Free-form tasting notes
+  tenderness: integer('tenderness'), // 1 (very tough) - 5 (very tender)
+  heat: integer('heat'), // 1 (no heat) - 5 (very hot)
+  sweetness: integer('sweetness'), // 1 (not sweet) - 5 (very sweet)
+  smoke: integer('smoke'), // 1 (no smoke) - 5 (very smoky)
+  saltiness: integer('saltiness'), // 1 (low salt) - 5 (very salty)
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow(),
+}, (table) => ({
+  uniqueProductRanking: unique().on(table.productRankingId),
+  productIdx: index('idx_ranking_notes_shopify_product_id').on(table.shopifyProductId),
+}));
+
+// Seasons - archived weekly/monthly leaderboard periods (written when the period's scores are reset)
+const seasons = pgTable('seasons', {
+  id: serial('id').primaryKey(),
+  seasonType: text('season_type').notNull(), // VALID VALUES: 'week', 'month' (see SEASON_TYPES in shared/constants.js)
+  startsAt: timestamp('starts_at').notNull(),
+  endsAt: timestamp('ends_at').notNull(), // Period boundary (UTC); unique per type so a season is archived once
+  participantCount: integer('participant_count').default(0), // Users with a non-zero score for the period
+  createdAt: timestamp('created_at').defaultNow(),
+}, (table) => ({
+  uniqueTypeEndsAt: unique('seasons_type_ends_at_unique').on(table.seasonType, table.endsAt),
+}));
+
+// Season leaderboard entries - final standings of a season (top of the leaderboard only)
+const seasonLeaderboardEntries = pgTable('season_leaderboard_entries', {
+  id: serial('id').primaryKey(),
+  seasonId: integer('season_id').references(() => seasons.id, { onDelete: 'cascade' }).notNull(),
+  userId: integer('user_id').references(() => users.id).notNull(),
+  position: integer('position').notNull(), // Ties share a position
+  engagementScore: integer('engagement_score').notNull(),
+  uniqueProducts: integer('unique_products').default(0),
+}, (table) => ({
+  uniqueSeasonUser: unique('season_leaderboard_entries_season_user_unique').on(table.seasonId, table.userId),
+  userIdx: index('idx_season_leaderboard_entries_user').on(table.userId),
+}));
+
+// Season top products - community Top N for rankings made during a season
+const seasonTopProducts = pgTable('season_top_products', {
+  id: serial('id').primaryKey(),
+  seasonId: integer('season_id').references(() => seasons.id, { onDelete: 'cascade' }).notNull(),
+  position: integer('position').notNull(),
+  shopifyProductId: text('shopify_product_id').notNull(),
+  title: text('title'), // Snapshot so retired products still display
+  vendor: text('vendor'),
+  rankCount: integer('rank_count').default(0),
+  avgRank: real('avg_rank'),
+  consensusScore: real('consensus_score'),
+}, (table) => ({
+  uniqueSeasonPosition: unique('season_top_products_season_position_unique').on(table.seasonId, table.position),
+}));
+
 // Customer order items - tracks individual line items purchased by customers from Shopify
 const customerOrderItems = pgTable('customer_order_items', {
   id: serial('id').primaryKey(),
@@ -453,14 +709,30 @@ module.exports = {
   rankings,
   magicLinks,
   productRankings,
+  rankingLists,
   achievements,
   coinTypeConfig,
   userAchievements,
+  achievementStats,
+  achievementAudit,
+  userLevels,
   streaks,
+  streakDays,
   activityLogs,
+  userFollows,
+  notifications,
+  emailDigests,
+  productComments,
+  productCommentVotes,
+  contentReports,
   productViews,
   productsMetadata,
   rankingOperations,
+  rankingEvents,
+  rankingNotes,
+  seasons,
+  seasonLeaderboardEntries,
+  seasonTopProducts,
   customerOrderItems,
   systemConfig,
   userActivities,
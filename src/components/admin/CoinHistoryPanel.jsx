@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { ACHIEVEMENT_AUDIT } from '../../../shared/constants/achievementAudit.mjs';
+import { useAdminUserSearch, useUserCoinHistory } from '../../hooks/useAdminTools';
+import './CoinHistoryPanel.css';
+
+function formatUser(user) {
+  const name = user.displayName || [user.firstName, user.lastName].filter(Boolean).join(' ') || `User ${user.id}`;
+  return user.email ? `${name} (${user.email})` : name;
+}
+
+function formatTierChange(entry) {
+  if (entry.action === 'granted') return entry.toTier || '';
+  if (entry.action === 'revoked') return entry.fromTier || '';
+  return `${entry.fromTier} → ${entry.toTier}`;
+}
+
+/**
+ * Summary of what a coin change was based on: the order that triggered a recalculation,
+ * and the rankings, orders or activity metric behind the coin at the time
+ */
+function ProvenanceSummary({ provenance }) {
+  if (!provenance) return <span className="coin-history-muted">—</span>;
+
+  const { trigger, rankings, orders, metric, value, required, seasonId, position } = provenance;
+  const parts = [];
+
+  if (trigger?.orderNumber) {
+    const products = trigger.deletedProductIds || trigger.downgradedProductIds || [];
+    parts.push(`Order #${trigger.orderNumber}${products.length > 0 ? ` (${products.length} product${products.length === 1 ? '' : 's'})` : ''}`);
+  }
+  if (metric) {
+    parts.push(`${metric}: ${value ?? '?'}${required !== null && required !== undefined ? ` / ${required}` : ''}`);
+  }
+  if (seasonId) {
+    parts.push(`Season ${seasonId}, #${position}`);
+  }
+  if (rankings) {
+    parts.push(`${rankings.length} ranking${rankings.length === 1 ? '' : 's'}`);
+  }
+  if (orders?.length > 0) {
+    const orderNumbers = [...new Set(orders.map(order => order.orderNumber))];
+    parts.push(`from order${orderNumbers.length === 1 ? '' : 's'} ${orderNumbers.map(n => `#${n}`).join(', ')}`);
+  }
+
+  return (
+    <details className="coin-history-provenance">
+      <summary>{parts.length > 0 ? parts.join(' · ') : 'Details'}</summary>
+      <pre>{JSON.stringify(provenance, null, 2)}</pre>
+    </details>
+  );
+}
+
+/**
+ * CoinHistoryPanel - Look up any user's coin audit history (GET /api/admin/users/:userId/coin-history)
+ * Lists every grant, tier change and revocation, newest first, with its source and provenance
+ */
+function CoinHistoryPanel({ onClose }) {
+  const [search, setSearch] = useState('');
+  const [selectedUser, setSelectedUser] = useState(null);
+  const { data: users = [], isFetching: isSearching } = useAdminUserSearch(search);
+  const { data: history = [], isLoading, error } = useUserCoinHistory(selectedUser?.id);
+
+  return (
+    <div className="coin-history-panel">
+      <div className="coin-history-header">
+        <h3>🧾 Coin history{selectedUser ? `: ${formatUser(selectedUser)}` : ''}</h3>
+        {onClose && (
+          <button type="button" className="coin-history-close" onClick={onClose} title="Close coin history">
+            ✕
+          </button>
+        )}
+      </div>
+
+      <input
+        type="text"
+        className="coin-history-search"
+        placeholder="Search users by name or email…"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+      />
+
+      {search.trim().length >= 2 && (
+        <div className="coin-history-users">
+          {isSearching && <span className="coin-history-muted">Searching…</span>}
+          {!isSearching && users.length === 0 && <span className="coin-history-muted">No users found</span>}
+          {users.map(user => (
+            <button
+              key={user.id}
+              type="button"
+              className={`coin-history-user ${selectedUser?.id === user.id ? 'active' : ''}`}
+              onClick={() => {
+                setSelectedUser(user);
+                setSearch('');
+              }}
+            >
+              {formatUser(user)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {selectedUser && isLoading && <p className="coin-history-muted">Loading history…</p>}
+      {selectedUser && error && <p className="coin-history-error">{error.message}</p>}
+      {selectedUser && !isLoading && !error && history.length === 0 && (
+        <p className="coin-history-muted">No coin changes recorded for this user.</p>
+      )}
+
+      {history.length > 0 && (
+        <table className="coin-history-table">
+          <thead>
+            <tr>
+              <th>DATE</th>
+              <th>COIN</th>
+              <th>CHANGE</th>
+              <th>POINTS</th>
+              <th>SOURCE</th>
+              <th>PROVENANCE</th>
+            </tr>
+          </thead>
+          <tbody>
+            {history.map(entry => (
+              <tr key={entry.id} className={`coin-history-${entry.action}`}>
+                <td>{new Date(entry.createdAt).toLocaleString()}</td>
+                <td>{entry.achievementName}</td>
+                <td>
+                  <span className="coin-history-action">{ACHIEVEMENT_AUDIT.actions[entry.action] || entry.action}</span>
+                  {' '}{formatTierChange(entry)}
+                </td>
+                <td>{entry.pointsBefore} → {entry.pointsAfter}</td>
+                <td>
+                  {ACHIEVEMENT_AUDIT.sources[entry.source] || entry.source}
+                  {entry.reason && (
+                    <div className="coin-history-muted">{ACHIEVEMENT_AUDIT.reasons[entry.reason] || entry.reason}</div>
+                  )}
+                </td>
+                <td><ProvenanceSummary provenance={entry.provenance} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default CoinHistoryPanel;
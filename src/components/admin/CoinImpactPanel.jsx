@@ -0,0 +1,128 @@
+import React from 'react';
+import './CoinImpactPanel.css';
+
+const TIER_LABELS = {
+  bronze: 'Bronze',
+  silver: 'Silver',
+  gold: 'Gold',
+  platinum: 'Platinum',
+  diamond: 'Diamond',
+  complete: 'Complete',
+};
+
+function formatDelta(value) {
+  return `${value > 0 ? '+' : ''}${value}`;
+}
+
+/**
+ * CoinImpactPanel - Results of an achievement dry run (POST /api/admin/achievements/simulate)
+ * Shows who would earn the coin at each tier, sample earners, and the points/leaderboard delta
+ */
+function CoinImpactPanel({ title, simulation, isLoading, error, onClose }) {
+  return (
+    <div className="coin-impact-panel">
+      <div className="coin-impact-header">
+        <h3>📊 {title || 'Preview impact'}</h3>
+        {onClose && (
+          <button type="button" className="coin-impact-close" onClick={onClose} title="Close preview">
+            ✕
+          </button>
+        )}
+      </div>
+
+      {isLoading && <p className="coin-impact-note">Simulating against every user… nothing will be saved.</p>}
+
+      {!isLoading && error && (
+        <p className="coin-impact-error">
+          {error.data?.details?.length > 0 ? error.data.details.join('; ') : error.message}
+        </p>
+      )}
+
+      {!isLoading && !error && simulation && !simulation.supported && (
+        <p className="coin-impact-note">Impact preview isn't available for this coin type.</p>
+      )}
+
+      {!isLoading && !error && simulation?.supported && (
+        <>
+          <div className="coin-impact-stats">
+            <div className="coin-impact-stat">
+              <span className="coin-impact-value">{simulation.qualifyingCount}</span>
+              <span className="coin-impact-label">of {simulation.totalUsers} users qualify</span>
+            </div>
+            <div className="coin-impact-stat">
+              <span className="coin-impact-value">{simulation.newEarners}</span>
+              <span className="coin-impact-label">new earners</span>
+            </div>
+            <div className="coin-impact-stat">
+              <span className="coin-impact-value">{simulation.tierChanges}</span>
+              <span className="coin-impact-label">tier changes</span>
+            </div>
+            <div className="coin-impact-stat">
+              <span className="coin-impact-value">{formatDelta(simulation.pointsDelta)}</span>
+              <span className="coin-impact-label">coin points</span>
+            </div>
+            <div className="coin-impact-stat">
+              <span className="coin-impact-value">{formatDelta(simulation.leaderboard.engagementScoreDelta)}</span>
+              <span className="coin-impact-label">leaderboard score</span>
+            </div>
+            <div className="coin-impact-stat">
+              <span className="coin-impact-value">{simulation.leaderboard.positionChanges}</span>
+              <span className="coin-impact-label">top-50 positions move</span>
+            </div>
+          </div>
+
+          <div className="coin-impact-tiers">
+            {Object.entries(simulation.tierCounts)
+              .filter(([, count]) => count > 0)
+              .map(([tier, count]) => (
+                <span key={tier} className={`coin-impact-tier tier-${tier}`}>
+                  {TIER_LABELS[tier] || tier}: {count}
+                </span>
+              ))}
+          </div>
+
+          {simulation.leaderboard.entering.length > 0 && (
+            <p className="coin-impact-note">
+              Entering the top 50: {simulation.leaderboard.entering
+                .map(move => `${move.name} (#${move.from} → #${move.to})`)
+                .join(', ')}
+            </p>
+          )}
+
+          {simulation.sample.length > 0 && (
+            <table className="coin-impact-sample">
+              <thead>
+                <tr>
+                  <th>USER</th>
+                  <th>TIER</th>
+                  <th>PROGRESS</th>
+                  <th>POINTS</th>
+                </tr>
+              </thead>
+              <tbody>
+                {simulation.sample.map(user => (
+                  <tr key={user.userId}>
+                    <td>
+                      {user.name}
+                      {user.handle && <span className="coin-impact-handle"> @{user.handle}</span>}
+                      {user.isNew && <span className="coin-impact-new">NEW</span>}
+                    </td>
+                    <td>{TIER_LABELS[user.tier] || user.tier}</td>
+                    <td>{user.percentage}%</td>
+                    <td>{formatDelta(user.pointsGained)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <p className="coin-impact-note">
+            Estimate only: existing holders keep the coin even if they no longer qualify.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default CoinImpactPanel;
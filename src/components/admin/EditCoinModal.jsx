@@ -2,8 +2,20 @@ import React, { useState, useEffect, useMemo } from 'react';
 import toast from 'react-hot-toast';
 import { renderAchievementIcon } from '../../utils/iconUtils';
 import { DEFAULT_COIN_ICON_PATH } from '../../constants/coinDefaults';
+import RuleBuilder, { createDraftRule, toDraftRule, toRule, findRuleProblem } from './RuleBuilder';
+import CoinImpactPanel from './CoinImpactPanel';
+import { useSimulateCoin } from '../../hooks/useAdminTools';
+import { SECRET_HINTS } from '../../../shared/constants/secretHints.mjs';
 import './EditCoinModal.css';
 
+// ISO timestamp <-> value of a datetime-local input (admin's local time)
+const toDateTimeLocal = (iso) => {
+  const date = new Date(iso);
+  if (!iso || isNaN(date.getTime())) return '';
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+const fromDateTimeLocal = (value) => (value ? new Date(value).toISOString() : null);
+
 function EditCoinModal({ coin, isOpen, onClose, onSave, allCoins = [], allProducts = [], allUsers = [] }) {
   const isEditMode = !!coin;
   
@@ -24,7 +36,8 @@ function EditCoinModal({ coin, isOpen, onClose, onSave, allCoins = [], allProduc
   const [collectionType, setCollectionType] = useState('engagement_collection');
   const [category, setCategory] = useState('');
   const [isHidden, setIsHidden] = useState(0);
-  const [prerequisiteAchievementId, setPrerequisiteAchievementId] = useState(null);
+  const [hints, setHints] = useState(SECRET_HINTS.revealAt.map(() => ''));
+  const [prerequisiteAchievementIds, setPrerequisiteAchievementIds] = useState([]);
   
   // Product selection state (for collection types)
   const [selectedProductIds, setSelectedProductIds] = useState([]);
@@ -52,6 +65,14 @@ function EditCoinModal({ coin, isOpen, onClose, onSave, allCoins = [], allProduc
   const [engagementType, setEngagementType] = useState('');
   const [engagementValue, setEngagementValue] = useState('');
   
+  // Custom rule state (engagement or dynamic coins with requirement type 'rule')
+  const [ruleDraft, setRuleDraft] = useState(createDraftRule());
+  
+  // Event coin state (window + goal; products come from the product selector)
+  const [eventStartsAt, setEventStartsAt] = useState('');
+  const [eventEndsAt, setEventEndsAt] = useState('');
+  const [eventGoal, setEventGoal] = useState('');
+  
   // User club state
   const [selectedUserIds, setSelectedUserIds] = useState([]);
   const [userSearchQuery, setUserSearchQuery] = useState('');
@@ -61,8 +82,13 @@ function EditCoinModal({ coin, isOpen, onClose, onSave, allCoins = [], allProduc
   
   const [isSubmitting, setIsSubmitting] = useState(false);
   
+  // Dry-run preview of the unsaved coin
+  const simulateCoinMutation = useSimulateCoin();
+  const [isImpactOpen, setIsImpactOpen] = useState(false);
+  
   // Initialize form when coin changes
   useEffect(() => {
+    setIsImpactOpen(false);
     if (coin) {
       setCode(coin.code || '');
       setName(coin.name || '');
@@ -79,7 +105,12 @@ function EditCoinModal({ coin, isOpen, onClose, onSave, allCoins = [], allProduc
       setCollectionType(coin.collectionType || 'engagement_collection');
       setCategory(coin.category || '');
       setIsHidden(coin.isHidden || 0);
-      setPrerequisiteAchievementId(coin.prerequisiteAchievementId || null);
+      setHints(SECRET_HINTS.revealAt.map((_, index) => coin.hints?.[index] || ''));
+      setPrerequisiteAchievementIds(
+        coin.prerequisiteAchievementIds?.length > 0
+          ? coin.prerequisiteAchievementIds
+          : (coin.prerequisiteAchievementId ? [coin.prerequisiteAchievementId] : [])
+      );
       
       setHasTiers(coin.hasTiers || 0);
       if (coin.tierThresholds) {
@@ -117,6 +148,9 @@ function EditCoinModal({ coin, isOpen, onClose, onSave, allCoins = [], allProduc
             } else if (req.type === 'animal_collection' && req.animals) {
               setDynamicCollectionType('animal_collection');
               setSelectedAnimals(req.animals);
+            } else if (req.type === 'rule') {
+              setDynamicCollectionType('rule');
+              setRuleDraft(toDraftRule(req.rule));
             }
           }
           
@@ -126,6 +160,16 @@ function EditCoinModal({ coin, isOpen, onClose, onSave, allCoins = [], allProduc
               setEngagementType(req.type);
               setEngagementValue(req.value || '');
             }
+            if (req.type === 'rule') {
+              setRuleDraft(toDraftRule(req.rule));
+            }
+          }
+          
+          // Handle event coins
+          if (coin.collectionType === 'event_collection') {
+            setEventStartsAt(toDateTimeLocal(req.startsAt));
+            setEventEndsAt(toDateTimeLocal(req.endsAt));
+            setEventGoal(req.goal || '');
           }
           
           // Handle user club
@@ -167,7 +211,8 @@ function EditCoinModal({ coin, isOpen, onClose, onSave, allCoins = [], allProduc
     setCollectionType('engagement_collection');
     setCategory('');
     setIsHidden(0);
-    setPrerequisiteAchievementId(null);
+    setHints(SECRET_HINTS.revealAt.map(() => ''));
+    setPrerequisiteAchievementIds([]);
     setSelectedProductIds([]);
     setProductSearchQuery('');
     setDynamicCollectionType('complete_collection');
@@ -175,6 +220,10 @@ function EditCoinModal({ coin, isOpen, onClose, onSave, allCoins = [], allProduc
     setSelectedAnimals([]);
     setEngagementType('');
     setEngagementValue('');
+    setRuleDraft(createDraftRule());
+    setEventStartsAt('');
+    setEventEndsAt('');
+    setEventGoal('');
     setSelectedUserIds([]);
     setUserSearchQuery('');
     setHasTiers(0);
@@ -183,14 +232,14 @@ function EditCoinModal({ coin, isOpen, onClose, onSave, allCoins = [], allProduc
     setRequirement('');
   };
   
-  // Helper to check if product selector should show (static collections only)
+  // Helper to check if product selector should show (static collections, flavor coins and events)
   const shouldShowProductSelector = (type) => {
-    return ['static_collection', 'legacy', 'flavor_coin'].includes(type);
+    return ['static_collection', 'legacy', 'flavor_coin', 'event_collection'].includes(type);
   };
   
   // Helper to check if this is any collection type
   const isCollectionType = (type) => {
-    return ['engagement_collection', 'static_collection', 'dynamic_collection', 'legacy', 'flavor_coin', 'user_club', 'user_coin'].includes(type);
+    return ['engagement_collection', 'static_collection', 'dynamic_collection', 'legacy', 'flavor_coin', 'user_club', 'user_coin', 'event_collection'].includes(type);
   };
   
   // Handle icon file upload
@@ -312,6 +361,14 @@ function EditCoinModal({ coin, isOpen, onClose, onSave, allCoins = [], allProduc
     );
   };
   
+  const handleTogglePrerequisite = (achievementId) => {
+    setPrerequisiteAchievementIds(prev =>
+      prev.includes(achievementId)
+        ? prev.filter(id => id !== achievementId)
+        : [...prev, achievementId]
+    );
+  };
+  
   const handleToggleAnimal = (animalName) => {
     setSelectedAnimals(prev =>
       prev.includes(animalName)
@@ -404,7 +461,7 @@ function EditCoinModal({ coin, isOpen, onClose, onSave, allCoins = [], allProduc
         toast.error('Please select how users earn this engagement coin');
         return false;
       }
-      if (!engagementValue || parseInt(engagementValue) <= 0) {
+      if (engagementType !== 'rule' && (!engagementValue || parseInt(engagementValue) <= 0)) {
         toast.error('Please enter a valid requirement value (greater than 0)');
         return false;
       }
@@ -422,6 +479,38 @@ function EditCoinModal({ coin, isOpen, onClose, onSave, allCoins = [], allProduc
       }
     }
     
+    // Validate event window and goal
+    if (collectionType === 'event_collection') {
+      if (!eventStartsAt || !eventEndsAt) {
+        toast.error('Please set when the event starts and ends');
+        return false;
+      }
+      if (new Date(eventEndsAt) <= new Date(eventStartsAt)) {
+        toast.error('The event must end after it starts');
+        return false;
+      }
+      const goal = parseInt(eventGoal);
+      if (!goal || goal <= 0) {
+        toast.error('Please enter how many flavors must be ranked during the event');
+        return false;
+      }
+      if (selectedProductIds.length > 0 && goal > selectedProductIds.length) {
+        toast.error(`The goal can't be more than the ${selectedProductIds.length} selected product(s)`);
+        return false;
+      }
+    }
+    
+    // Validate custom rules
+    const usesRule = (collectionType === 'engagement_collection' && engagementType === 'rule') ||
+                     (collectionType === 'dynamic_collection' && dynamicCollectionType === 'rule');
+    if (usesRule) {
+      const problem = findRuleProblem(ruleDraft);
+      if (problem) {
+        toast.error(problem);
+        return false;
+      }
+    }
+    
     return true;
   };
   
@@ -429,6 +518,9 @@ function EditCoinModal({ coin, isOpen, onClose, onSave, allCoins = [], allProduc
   const buildRequirement = () => {
     // Engagement collections
     if (collectionType === 'engagement_collection') {
+      if (engagementType === 'rule') {
+        return { type: 'rule', rule: toRule(ruleDraft) };
+      }
       return {
         type: engagementType,
         value: parseInt(engagementValue) || 0
@@ -449,9 +541,22 @@ function EditCoinModal({ coin, isOpen, onClose, onSave, allCoins = [], allProduc
           type: 'animal_collection', 
           animals: selectedAnimals 
         };
+      } else if (dynamicCollectionType === 'rule') {
+        return { type: 'rule', rule: toRule(ruleDraft) };
       }
     }
     
+    // Event coins (product list is optional)
+    if (collectionType === 'event_collection') {
+      return {
+        type: 'event_collection',
+        startsAt: fromDateTimeLocal(eventStartsAt),
+        endsAt: fromDateTimeLocal(eventEndsAt),
+        goal: parseInt(eventGoal) || 0,
+        ...(selectedProductIds.length > 0 && { productIds: selectedProductIds })
+      };
+    }
+    
     // Static collections and flavor coins (with product IDs)
     if (shouldShowProductSelector(collectionType)) {
       return {
@@ -481,6 +586,37 @@ function EditCoinModal({ coin, isOpen, onClose, onSave, allCoins = [], allProduc
     return requirement || { type: 'engagement' };
   };
   
+  // Coin fields as sent to the API (also used for the impact preview)
+  const buildFormData = () => ({
+    code: isEditMode ? undefined : code, // Code only for create
+    name,
+    description,
+    icon: iconType === 'emoji' ? icon : (iconFile ? null : iconPreview),
+    iconType,
+    points: parseInt(points),
+    isActive,
+    collectionType,
+    category: category || null,
+    isHidden,
+    // Blank hint fields are skipped; the rest are revealed in order
+    hints: isHidden ? hints.map(hint => hint.trim()).filter(Boolean) : null,
+    prerequisiteAchievementIds: prerequisiteAchievementIds.length > 0 ? prerequisiteAchievementIds : null,
+    prerequisiteAchievementId: prerequisiteAchievementIds[0] || null,
+    requirement: buildRequirement(),
+    hasTiers: hasTiers ? 1 : 0,
+    tierThresholds: hasTiers ? tierThresholds : null,
+    proteinCategories: proteinCategories.length > 0 ? proteinCategories : null
+  });
+  
+  // Simulate the unsaved coin against every user (read-only)
+  const handlePreviewImpact = () => {
+    if (!validateForm()) {
+      return;
+    }
+    setIsImpactOpen(true);
+    simulateCoinMutation.mutate({ achievement: buildFormData(), achievementId: coin?.id || null });
+  };
+  
   // Handle form submission
   const handleSubmit = async () => {
     if (!validateForm()) {
@@ -490,23 +626,7 @@ function EditCoinModal({ coin, isOpen, onClose, onSave, allCoins = [], allProduc
     setIsSubmitting(true);
     
     try {
-      const formData = {
-        code: isEditMode ? undefined : code, // Code only for create
-        name,
-        description,
-        icon: iconType === 'emoji' ? icon : (iconFile ? null : iconPreview),
-        iconType,
-        points: parseInt(points),
-        isActive,
-        collectionType,
-        category: category || null,
-        isHidden,
-        prerequisiteAchievementId: prerequisiteAchievementId || null,
-        requirement: buildRequirement(),
-        hasTiers: hasTiers ? 1 : 0,
-        tierThresholds: hasTiers ? tierThresholds : null,
-        proteinCategories: proteinCategories.length > 0 ? proteinCategories : null
-      };
+      const formData = buildFormData();
       
       await onSave(formData, iconFile);
       onClose();
@@ -659,6 +779,7 @@ function EditCoinModal({ coin, isOpen, onClose, onSave, allCoins = [], allProduc
                 <option value="flavor_coin">Flavor Coin</option>
                 <option value="user_club">User Club</option>
                 <option value="user_coin">User Coin</option>
+                <option value="event_collection">Event Coin (time-limited)</option>
                 <option value="legacy">Pre-Defined List of Products (Legacy)</option>
               </select>
               <p className="form-hint">
@@ -668,6 +789,7 @@ function EditCoinModal({ coin, isOpen, onClose, onSave, allCoins = [], allProduc
                 {collectionType === 'flavor_coin' && 'Single product achievement for tasting a specific flavor'}
                 {collectionType === 'user_club' && 'Manually assign users to exclusive clubs (e.g., 100 Timer Club, VIP members)'}
                 {collectionType === 'user_coin' && 'Single user achievement awarded to one specific person (e.g., Employee of Month, contest winners)'}
+                {collectionType === 'event_collection' && 'Time-limited challenge: rank a number of flavors between a start and end date. Earners keep it after the event ends'}
                 {collectionType === 'legacy' && 'Legacy coin type with pre-defined product list'}
               </p>
             </div>
@@ -697,10 +819,15 @@ function EditCoinModal({ coin, isOpen, onClose, onSave, allCoins = [], allProduc
                   <option value="unique_profile_view_count">Visit unique user profiles</option>
                   <option value="daily_login_streak">Login daily for consecutive days</option>
                   <option value="daily_rank_streak">Rank products daily for consecutive days</option>
+                  <option value="rule">Custom rule (advanced)</option>
                 </select>
               </div>
               
-              {engagementType && (
+              {engagementType === 'rule' && (
+                <RuleBuilder value={ruleDraft} onChange={setRuleDraft} />
+              )}
+              
+              {engagementType && engagementType !== 'rule' && (
                 <div className="form-group">
                   <label>
                     {engagementType === 'rank_count' && 'How many products must be ranked?'}
@@ -725,13 +852,63 @@ function EditCoinModal({ coin, isOpen, onClose, onSave, allCoins = [], allProduc
             </section>
           )}
           
+          {/* STEP 4: EVENT WINDOW & GOAL (Event Coins Only) */}
+          {collectionType === 'event_collection' && (
+            <section className="form-section">
+              <h3 className="section-title">4. EVENT WINDOW &amp; GOAL</h3>
+              <p className="section-description">
+                Only flavors ranked between the start and end count. Once the event ends the coin can't be earned, but users who earned it keep it.
+              </p>
+              
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Starts*</label>
+                  <input
+                    type="datetime-local"
+                    value={eventStartsAt}
+                    onChange={(e) => setEventStartsAt(e.target.value)}
+                    className="form-input"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Ends*</label>
+                  <input
+                    type="datetime-local"
+                    value={eventEndsAt}
+                    onChange={(e) => setEventEndsAt(e.target.value)}
+                    className="form-input"
+                  />
+                </div>
+              </div>
+              
+              <div className="form-group">
+                <label>How many flavors must be ranked during the event?*</label>
+                <input
+                  type="number"
+                  value={eventGoal}
+                  onChange={(e) => setEventGoal(e.target.value)}
+                  min="1"
+                  placeholder="e.g., 3"
+                  className="form-input"
+                />
+                <p className="form-hint">
+                  {selectedProductIds.length > 0
+                    ? `Counts rankings of the ${selectedProductIds.length} selected product(s) below`
+                    : 'Counts any flavor. Select products below to limit the event to them (e.g., new holiday flavors)'}
+                </p>
+              </div>
+            </section>
+          )}
+          
           {/* PRODUCT SELECTION (for collection types) */}
           {shouldShowProductSelector(collectionType) && (
             <section className="form-section">
-              <h3 className="section-title">4. PRODUCT SELECTION</h3>
+              <h3 className="section-title">{collectionType === 'event_collection' ? '4. EVENT PRODUCTS (OPTIONAL)' : '4. PRODUCT SELECTION'}</h3>
               <p className="section-description">
                 {collectionType === 'flavor_coin' 
                   ? 'Select the single product that represents this flavor achievement.'
+                  : collectionType === 'event_collection'
+                  ? 'Leave empty to count any flavor, or pick the products this event is about.'
                   : 'Search and select products to include in this collection. Users will earn tiers based on how many of these products they rank.'}
               </p>
               
@@ -914,10 +1091,15 @@ function EditCoinModal({ coin, isOpen, onClose, onSave, allCoins = [], allProduc
                   <option value="complete_collection">Complete Collection (all products)</option>
                   <option value="brand_collection">By Brand/Vendor</option>
                   <option value="animal_collection">By Animal Category</option>
+                  <option value="rule">Custom rule (advanced)</option>
                 </select>
                 <p className="form-hint">Choose how products are filtered for this dynamic collection</p>
               </div>
               
+              {dynamicCollectionType === 'rule' && (
+                <RuleBuilder value={ruleDraft} onChange={setRuleDraft} />
+              )}
+              
               {/* Brand selector */}
               {dynamicCollectionType === 'brand_collection' && (
                 <div className="form-group">
@@ -1025,28 +1207,57 @@ function EditCoinModal({ coin, isOpen, onClose, onSave, allCoins = [], allProduc
                 <p className="form-hint">Users won't see the requirements until they earn it</p>
               )}
             </div>
+
+            {isHidden === 1 && (
+              <div className="form-group">
+                <label>Discovery Hints (Optional)</label>
+                <p className="form-hint">
+                  Clues shown on the coin's silhouette in the Secrets tab, unlocked as a user's progress toward it grows
+                </p>
+                {SECRET_HINTS.revealAt.map((revealAt, index) => (
+                  <input
+                    key={revealAt}
+                    type="text"
+                    className="form-input hint-input"
+                    value={hints[index]}
+                    maxLength={SECRET_HINTS.maxLength}
+                    placeholder={`Hint ${index + 1}, revealed at ${revealAt}% progress`}
+                    onChange={(e) => setHints(prev => prev.map((hint, i) => (i === index ? e.target.value : hint)))}
+                  />
+                ))}
+              </div>
+            )}
           </section>
           
           {/* STEP 7: PREREQUISITE */}
           <section className="form-section">
-            <h3 className="section-title">7. PREREQUISITE ACHIEVEMENT</h3>
+            <h3 className="section-title">7. PREREQUISITE ACHIEVEMENTS</h3>
             
             <div className="form-group">
-              <label>Prerequisite Achievement (Optional)</label>
-              <select
-                value={prerequisiteAchievementId || ''}
-                onChange={(e) => setPrerequisiteAchievementId(e.target.value ? parseInt(e.target.value) : null)}
-                className="form-select"
-              >
-                <option value="">None - No prerequisite required</option>
+              <label>Prerequisite Achievements (Optional - select one or more)</label>
+              <div className="checkbox-grid">
                 {allCoins
                   .filter(c => c.id !== coin?.id)
                   .map(c => (
-                    <option key={c.id} value={c.id}>{c.name}</option>
+                    <label key={c.id} className="checkbox-grid-item">
+                      <input
+                        type="checkbox"
+                        checked={prerequisiteAchievementIds.includes(c.id)}
+                        onChange={() => handleTogglePrerequisite(c.id)}
+                      />
+                      <span className="checkbox-item-content">
+                        <span className="checkbox-item-icon">🗺️</span>
+                        <span className="checkbox-item-name">{c.name}</span>
+                      </span>
+                    </label>
                   ))}
-              </select>
-              {prerequisiteAchievementId && (
-                <p className="form-hint">Users must earn the prerequisite achievement before this one unlocks</p>
+              </div>
+              {prerequisiteAchievementIds.length > 0 ? (
+                <p className="form-hint">
+                  Users must earn all {prerequisiteAchievementIds.length} selected achievement{prerequisiteAchievementIds.length !== 1 ? 's' : ''} before this one unlocks. Linked coins appear as a quest line in the Coin Book.
+                </p>
+              ) : (
+                <p className="form-hint">None selected - no prerequisite required</p>
               )}
             </div>
           </section>
@@ -1172,6 +1383,16 @@ function EditCoinModal({ coin, isOpen, onClose, onSave, allCoins = [], allProduc
               <p className="form-hint">Inactive coins won't be visible or earnable by users</p>
             </div>
           </section>
+          
+          {isImpactOpen && (
+            <CoinImpactPanel
+              title="Preview impact (unsaved changes)"
+              simulation={simulateCoinMutation.data}
+              isLoading={simulateCoinMutation.isPending}
+              error={simulateCoinMutation.error}
+              onClose={() => setIsImpactOpen(false)}
+            />
+          )}
         </div>
         
         <div className="modal-footer">
@@ -1182,6 +1403,13 @@ function EditCoinModal({ coin, isOpen, onClose, onSave, allCoins = [], allProduc
           >
             Cancel
           </button>
+          <button
+            className="btn-secondary"
+            onClick={handlePreviewImpact}
+            disabled={isSubmitting || simulateCoinMutation.isPending}
+          >
+            {simulateCoinMutation.isPending ? 'Simulating...' : 'Preview Impact'}
+          </button>
           <button
             className="btn-primary"
             onClick={handleSubmit}
@@ -0,0 +1,453 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { ACHIEVEMENT_RULES } from '../../../shared/constants/achievementRules.mjs';
+import { useRulePreview } from '../../hooks/useAdminTools';
+import './RuleBuilder.css';
+
+const PREVIEW_DEBOUNCE_MS = 600;
+
+const ACTIVITY_TYPES = Object.fromEntries(ACHIEVEMENT_RULES.activityTypes.map(type => [type.key, type]));
+const PRODUCT_FIELD_LABELS = Object.fromEntries(ACHIEVEMENT_RULES.productFields.map(field => [field.key, field.label]));
+
+/*
+ * The builder edits a draft tree that's friendlier to form inputs than the stored rule:
+ * - group:     { op: 'all' | 'any', negate, children }
+ * - condition: { count, activityType, distinct, atLeast, filters: [{ field, values }], window, negate }
+ * Filter values are kept as comma-separated text and numbers as strings until toRule().
+ */
+
+export function createCondition() {
+  return {
+    count: 'rankings',
+    activityType: 'search',
+    distinct: '',
+    atLeast: '1',
+    filters: [],
+    window: { mode: 'none', days: '7', start: '', end: '' },
+    negate: false,
+  };
+}
+
+export function createDraftRule() {
+  return { op: 'all', negate: false, children: [createCondition()] };
+}
+
+function supportsProductFilters(condition) {
+  return condition.count === 'rankings' || !!ACTIVITY_TYPES[condition.activityType]?.productScoped;
+}
+
+/**
+ * Convert a builder draft into the rule stored in requirement.rule
+ */
+export function toRule(node) {
+  let rule;
+  if (node.children) {
+    rule = { [node.op]: node.children.map(toRule) };
+  } else {
+    rule = { count: node.count };
+    if (node.count === 'activities') {
+      rule.activityType = node.activityType;
+      if (node.distinct) rule.distinct = node.distinct;
+    }
+
+    const where = {};
+    for (const filter of node.filters) {
+      const values = filter.values.split(',').map(value => value.trim()).filter(Boolean);
+      if (values.length > 0) where[filter.field] = values;
+    }
+    if (Object.keys(where).length > 0 && supportsProductFilters(node)) {
+      rule.where = where;
+    }
+
+    if (node.window.mode === 'days') {
+      rule.within = { days: parseInt(node.window.days) || 0 };
+    } else if (node.window.mode === 'range') {
+      rule.within = { start: node.window.start, end: node.window.end };
+    }
+
+    rule.atLeast = parseInt(node.atLeast) || 0;
+  }
+  return node.negate ? { not: rule } : rule;
+}
+
+function fromRuleNode(rule) {
+  if (rule.not) {
+    const inner = fromRuleNode(rule.not);
+    return { ...inner, negate: !inner.negate };
+  }
+  if (rule.all || rule.any) {
+    return { op: rule.all ? 'all' : 'any', negate: false, children: (rule.all || rule.any).map(fromRuleNode) };
+  }
+
+  const condition = createCondition();
+  condition.count = rule.count || 'rankings';
+  condition.activityType = rule.activityType || condition.activityType;
+  condition.distinct = rule.distinct || '';
+  condition.atLeast = String(rule.atLeast ?? 1);
+  condition.filters = Object.entries(rule.where || {}).map(([field, values]) => ({
+    field,
+    values: (Array.isArray(values) ? values : [values]).join(', '),
+  }));
+  if (rule.within?.days) {
+    condition.window = { ...condition.window, mode: 'days', days: String(rule.within.days) };
+  } else if (rule.within?.start) {
+    condition.window = { ...condition.window, mode: 'range', start: rule.within.start.slice(0, 10), end: (rule.within.end || '').slice(0, 10) };
+  }
+  return condition;
+}
+
+/**
+ * Convert a stored rule back into a draft; the root is always a group
+ */
+export function toDraftRule(rule) {
+  if (!rule) return createDraftRule();
+  const draft = fromRuleNode(rule);
+  return draft.children ? draft : { op: 'all', negate: false, children: [draft] };
+}
+
+function collectDraftConditions(node, conditions = []) {
+  if (node.children) {
+    node.children.forEach(child => collectDraftConditions(child, conditions));
+  } else {
+    conditions.push(node);
+  }
+  return conditions;
+}
+
+/**
+ * First problem that would stop the rule from saving, or null
+ */
+export function findRuleProblem(draft) {
+  const checkNode = (node) => {
+    if (node.children) {
+      if (node.children.length === 0) return 'Every group needs at least one condition';
+      for (const child of node.children) {
+        const problem = checkNode(child);
+        if (problem) return problem;
+      }
+      return null;
+    }
+    if (!(parseInt(node.atLeast) >= 1)) return 'Every condition needs an "at least" of 1 or more';
+    if (node.window.mode === 'days') {
+      const days = parseInt(node.window.days);
+      if (!(days >= 1 && days <= ACHIEVEMENT_RULES.maxWindowDays)) {
+        return `Time windows must be between 1 and ${ACHIEVEMENT_RULES.maxWindowDays} days`;
+      }
+    }
+    if (node.window.mode === 'range' && (!node.window.start || !node.window.end || node.window.start >= node.window.end)) {
+      return 'Date ranges need a start date before the end date';
+    }
+    return null;
+  };
+
+  if (collectDraftConditions(draft).length > ACHIEVEMENT_RULES.maxConditions) {
+    return `Rules can have at most ${ACHIEVEMENT_RULES.maxConditions} conditions`;
+  }
+  return checkNode(draft);
+}
+
+/**
+ * One-line summary of a condition, e.g. "Rank 5+ products (Primary flavor: spicy) in the last 7 days"
+ */
+function describeCondition(condition) {
+  const atLeast = parseInt(condition.atLeast) || 0;
+  let subject;
+  if (condition.count === 'rankings') {
+    subject = `Rank ${atLeast}+ products`;
+  } else {
+    const activity = ACTIVITY_TYPES[condition.activityType];
+    const distinct = condition.distinct === 'day' ? ' on different days' : (condition.distinct ? ` (unique ${condition.distinct})` : '');
+    subject = `${atLeast}+ ${activity?.label.toLowerCase() || condition.activityType}${distinct}`;
+  }
+
+  const filters = supportsProductFilters(condition)
+    ? condition.filters.filter(filter => filter.values.trim()).map(filter => `${PRODUCT_FIELD_LABELS[filter.field]}: ${filter.values}`)
+    : [];
+  const filterText = filters.length > 0 ? ` (${filters.join('; ')})` : '';
+
+  let windowText = '';
+  if (condition.window.mode === 'days') windowText = ` in the last ${condition.window.days} days`;
+  if (condition.window.mode === 'range') windowText = ` between ${condition.window.start} and ${condition.window.end}`;
+
+  return `${condition.negate ? 'NOT: ' : ''}${subject}${filterText}${windowText}`;
+}
+
+function ConditionEditor({ condition, onChange }) {
+  const update = (changes) => onChange({ ...condition, ...changes });
+  const updateWindow = (changes) => update({ window: { ...condition.window, ...changes } });
+  const updateFilter = (index, changes) => update({
+    filters: condition.filters.map((filter, i) => (i === index ? { ...filter, ...changes } : filter)),
+  });
+  const activity = ACTIVITY_TYPES[condition.activityType];
+
+  return (
+    <div className="rule-condition">
+      <div className="rule-row">
+        <select
+          value={condition.count}
+          onChange={(e) => update({ count: e.target.value })}
+          className="form-select"
+        >
+          {ACHIEVEMENT_RULES.sources.map(source => (
+            <option key={source.key} value={source.key}>{source.label}</option>
+          ))}
+        </select>
+
+        {condition.count === 'activities' && (
+          <>
+            <select
+              value={condition.activityType}
+              onChange={(e) => update({ activityType: e.target.value, distinct: '' })}
+              className="form-select"
+            >
+              {ACHIEVEMENT_RULES.activityTypes.map(type => (
+                <option key={type.key} value={type.key}>{type.label}</option>
+              ))}
+            </select>
+            <select
+              value={condition.distinct}
+              onChange={(e) => update({ distinct: e.target.value })}
+              className="form-select"
+            >
+              <option value="">Count every one</option>
+              {activity?.distinctKeys.map(key => (
+                <option key={key} value={key}>Count unique {key}</option>
+              ))}
+              <option value="day">Count distinct days</option>
+            </select>
+          </>
+        )}
+
+        <label className="rule-inline-label">
+          at least
+          <input
+            type="number"
+            min="1"
+            value={condition.atLeast}
+            onChange={(e) => update({ atLeast: e.target.value })}
+            className="form-input rule-number-input"
+          />
+        </label>
+      </div>
+
+      <div className="rule-row">
+        <select
+          value={condition.window.mode}
+          onChange={(e) => updateWindow({ mode: e.target.value })}
+          className="form-select"
+        >
+          <option value="none">Any time</option>
+          <option value="days">In the last N days</option>
+          <option value="range">Between dates</option>
+        </select>
+        {condition.window.mode === 'days' && (
+          <label className="rule-inline-label">
+            <input
+              type="number"
+              min="1"
+              max={ACHIEVEMENT_RULES.maxWindowDays}
+              value={condition.window.days}
+              onChange={(e) => updateWindow({ days: e.target.value })}
+              className="form-input rule-number-input"
+            />
+            days
+          </label>
+        )}
+        {condition.window.mode === 'range' && (
+          <>
+            <input
+              type="date"
+              value={condition.window.start}
+              onChange={(e) => updateWindow({ start: e.target.value })}
+              className="form-input"
+            />
+            <input
+              type="date"
+              value={condition.window.end}
+              onChange={(e) => updateWindow({ end: e.target.value })}
+              className="form-input"
+            />
+          </>
+        )}
+      </div>
+
+      {supportsProductFilters(condition) && (
+        <div className="rule-filters">
+          {condition.filters.map((filter, index) => (
+            <div key={index} className="rule-row">
+              <select
+                value={filter.field}
+                onChange={(e) => updateFilter(index, { field: e.target.value })}
+                className="form-select"
+              >
+                {ACHIEVEMENT_RULES.productFields.map(field => (
+                  <option key={field.key} value={field.key}>{field.label}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={filter.values}
+                onChange={(e) => updateFilter(index, { values: e.target.value })}
+                placeholder="e.g., spicy, hot"
+                className="form-input"
+              />
+              <button
+                type="button"
+                className="rule-remove-btn"
+                onClick={() => update({ filters: condition.filters.filter((_, i) => i !== index) })}
+                title="Remove filter"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            className="rule-link-btn"
+            onClick={() => update({ filters: [...condition.filters, { field: 'primaryFlavor', values: '' }] })}
+          >
+            + Product filter
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function RuleNodeEditor({ node, depth, onChange, onRemove }) {
+  const isGroup = !!node.children;
+  const updateChild = (index, child) => onChange({
+    ...node,
+    children: node.children.map((existing, i) => (i === index ? child : existing)),
+  });
+  const removeChild = (index) => onChange({ ...node, children: node.children.filter((_, i) => i !== index) });
+
+  return (
+    <div className={`rule-node ${isGroup ? 'rule-group' : ''} ${node.negate ? 'rule-negated' : ''}`}>
+      <div className="rule-node-header">
+        <label className="rule-inline-label">
+          <input
+            type="checkbox"
+            checked={node.negate}
+            onChange={(e) => onChange({ ...node, negate: e.target.checked })}
+          />
+          NOT
+        </label>
+        {isGroup && (
+          <select
+            value={node.op}
+            onChange={(e) => onChange({ ...node, op: e.target.value })}
+            className="form-select rule-op-select"
+          >
+            <option value="all">ALL of these</option>
+            <option value="any">ANY of these</option>
+          </select>
+        )}
+        {onRemove && (
+          <button type="button" className="rule-remove-btn" onClick={onRemove} title="Remove">
+            ✕
+          </button>
+        )}
+      </div>
+
+      {isGroup ? (
+        <div className="rule-children">
+          {node.children.map((child, index) => (
+            <RuleNodeEditor
+              key={index}
+              node={child}
+              depth={depth + 1}
+              onChange={(updated) => updateChild(index, updated)}
+              onRemove={() => removeChild(index)}
+            />
+          ))}
+          <div className="rule-actions">
+            <button
+              type="button"
+              className="rule-link-btn"
+              onClick={() => onChange({ ...node, children: [...node.children, createCondition()] })}
+            >
+              + Condition
+            </button>
+            {depth < ACHIEVEMENT_RULES.maxDepth && (
+              <button
+                type="button"
+                className="rule-link-btn"
+                onClick={() => onChange({ ...node, children: [...node.children, { op: 'any', negate: false, children: [createCondition()] }] })}
+              >
+                + Group
+              </button>
+            )}
+          </div>
+        </div>
+      ) : (
+        <ConditionEditor condition={node} onChange={onChange} />
+      )}
+    </div>
+  );
+}
+
+function RulePreview({ draft }) {
+  const problem = findRuleProblem(draft);
+  const rule = useMemo(() => (problem ? null : toRule(draft)), [draft, problem]);
+  const [debouncedRule, setDebouncedRule] = useState(rule);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedRule(rule), PREVIEW_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [rule]);
+
+  const { data, isFetching, error } = useRulePreview(debouncedRule);
+  const conditions = collectDraftConditions(draft);
+
+  return (
+    <div className="rule-preview">
+      <h4 className="rule-preview-title">Who would qualify right now</h4>
+      {problem && <p className="form-hint form-hint-error">{problem}</p>}
+      {!problem && error && (
+        <div className="form-hint form-hint-error">
+          {error.data?.details?.length > 0 ? error.data.details.join('; ') : error.message}
+        </div>
+      )}
+      {!problem && !error && !data && <p className="form-hint">Checking…</p>}
+      {!problem && !error && data && (
+        <>
+          <p className={`rule-preview-count ${isFetching ? 'rule-preview-stale' : ''}`}>
+            <strong>{data.qualifyingCount}</strong> of {data.totalUsers} users
+          </p>
+          <ul className="rule-preview-conditions">
+            {conditions.map((condition, index) => (
+              <li key={index}>
+                <span>{describeCondition(condition)}</span>
+                <span className="rule-preview-condition-count">{data.conditionCounts[index] ?? 0} users</span>
+              </li>
+            ))}
+          </ul>
+          {data.sample.length > 0 && (
+            <p className="form-hint">
+              e.g. {data.sample.map(user => (user.handle ? `@${user.handle}` : user.name)).join(', ')}
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+/**
+ * RuleBuilder - Tree editor for composable coin requirements ({ type: 'rule', rule })
+ * with a live preview of how many users currently qualify
+ */
+function RuleBuilder({ value, onChange }) {
+  return (
+    <div className="rule-builder">
+      <RuleNodeEditor node={value} depth={1} onChange={onChange} />
+      <p className="form-hint">
+        Conditions with a time window count what happened inside it, and coins earned that way stay earned.
+        For tiers, each condition counts its share of progress; a NOT only counts once it holds.
+      </p>
+      <RulePreview draft={value} />
+    </div>
+  );
+}
+
+export default RuleBuilder;
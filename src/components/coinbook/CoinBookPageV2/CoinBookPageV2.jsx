@@ -1,16 +1,21 @@
 import { useState } from 'react';
-import { useAchievements, useGamificationProgress } from '../../../hooks/useCoinBook';
+import { useAchievements, useGamificationProgress, useSecretCoins } from '../../../hooks/useCoinBook';
 import { useCoinBookWebSocket } from '../../../hooks/useCoinBookWebSocket';
 import FlavorTab from './tabs/FlavorTab';
 import MasteryTab from './tabs/MasteryTab';
 import SecretsTab from './tabs/SecretsTab';
 import AchievementsTab from './tabs/AchievementsTab';
+import EventsTab from './tabs/EventsTab';
+import QuestsTab from './tabs/QuestsTab';
+import CoinChangeNotice from '../CoinChangeNotice';
 import './CoinBookPageV2.css';
 
 const TABS = [
   { id: 'flavors', label: 'Flavors' },
   { id: 'mastery', label: 'Mastery' },
   { id: 'secrets', label: 'Secrets' },
+  { id: 'events', label: 'Events' },
+  { id: 'quests', label: 'Quests' },
   { id: 'achievements', label: 'Achievements' }
 ];
 
@@ -18,10 +23,12 @@ export default function CoinBookPageV2() {
   const [activeTab, setActiveTab] = useState('flavors');
   const { data: achievementsData, isLoading: achievementsLoading } = useAchievements();
   const { data: progressData, isLoading: progressLoading } = useGamificationProgress();
+  const { data: lockedSecrets = [] } = useSecretCoins();
   
   useCoinBookWebSocket();
 
   const achievements = achievementsData?.achievements || [];
+  const questGraph = achievementsData?.questGraph || null;
   const progress = progressData?.progress || null;
   
   const isLoading = achievementsLoading || progressLoading;
@@ -39,11 +46,12 @@ export default function CoinBookPageV2() {
     const engagementCoins = achievements.filter(a => 
       a.collectionType === 'engagement_collection'
     );
+    const eventCoins = achievements.filter(a => a.collectionType === 'event_collection');
     
-    return { flavorCoins, masteryCoins, secretCoins, engagementCoins };
+    return { flavorCoins, masteryCoins, secretCoins, engagementCoins, eventCoins };
   };
 
-  const { flavorCoins, masteryCoins, secretCoins, engagementCoins } = categorizeAchievements();
+  const { flavorCoins, masteryCoins, secretCoins, engagementCoins, eventCoins } = categorizeAchievements();
 
   const renderTabContent = () => {
     if (isLoading) {
@@ -61,7 +69,11 @@ export default function CoinBookPageV2() {
       case 'mastery':
         return <MasteryTab coins={masteryCoins} progress={progress} />;
       case 'secrets':
-        return <SecretsTab coins={secretCoins} progress={progress} />;
+        return <SecretsTab coins={secretCoins} lockedSecrets={lockedSecrets} progress={progress} />;
+      case 'events':
+        return <EventsTab coins={eventCoins} />;
+      case 'quests':
+        return <QuestsTab graph={questGraph} coins={achievements} />;
       case 'achievements':
         return <AchievementsTab coins={engagementCoins} progress={progress} />;
       default:
@@ -84,6 +96,8 @@ export default function CoinBookPageV2() {
           ))}
         </nav>
 
+        <CoinChangeNotice />
+
         <div className="coinbook-tab-content">
           {renderTabContent()}
         </div>
@@ -1,6 +1,7 @@
 import { useState, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { renderAchievementIcon } from '../../../../utils/iconUtils';
+import RarityBadge from '../../RarityBadge';
 
 const ACHIEVEMENT_FILTERS = [
   { id: 'all', label: 'All' },
@@ -261,6 +262,7 @@ export default function AchievementsTab({ coins, progress }) {
                     </div>
                     <div className="achievement-stats">
                       <span className="achievement-xp">+{coin.points || 0} XP</span>
+                      <RarityBadge rarity={coin.rarity} percentage={coin.earnedPercentage} />
                       <span className="achievement-completion">{progressInfo.text}</span>
                     </div>
                   </div>
@@ -0,0 +1,129 @@
+import { useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { renderAchievementIcon } from '../../../../utils/iconUtils';
+import RarityBadge from '../../RarityBadge';
+import EventCountdown from '../../EventCountdown';
+
+const EVENT_GROUPS = [
+  { status: 'active', title: 'Live Now' },
+  { status: 'upcoming', title: 'Coming Soon' },
+  { status: 'ended', title: 'Past Events' }
+];
+
+export default function EventsTab({ coins }) {
+  const navigate = useNavigate();
+
+  // The server only sends ended events to users who earned them
+  const groupedCoins = useMemo(() => {
+    const groups = { active: [], upcoming: [], ended: [] };
+    coins.forEach(coin => {
+      const status = coin.event?.status || 'ended';
+      (groups[status] || groups.ended).push(coin);
+    });
+    groups.active.sort((a, b) => new Date(a.event.endsAt) - new Date(b.event.endsAt));
+    groups.upcoming.sort((a, b) => new Date(a.event.startsAt) - new Date(b.event.startsAt));
+    return groups;
+  }, [coins]);
+
+  const getTier = (coin) => {
+    if (!coin.earned) return 'locked';
+    const tier = coin.currentTier || coin.tier;
+    return tier || 'bronze';
+  };
+
+  const getProgressInfo = (coin) => {
+    const goal = coin.event?.goal || 1;
+    if (coin.progress && coin.progress.current !== undefined) {
+      const { current, percentage } = coin.progress;
+      return {
+        percentage: Math.min(percentage ?? Math.round((current / goal) * 100), 100),
+        text: coin.earned ? `${current}/${goal} Complete` : `${current}/${goal} ranked`
+      };
+    }
+    if (coin.earned) {
+      return { percentage: 100, text: 'Complete' };
+    }
+    if (coin.event?.status === 'upcoming') {
+      return { percentage: 0, text: `Rank ${goal} to earn` };
+    }
+    return { percentage: 0, text: 'Locked' };
+  };
+
+  const handleCoinClick = (coin) => {
+    navigate(`/coinbook/${coin.id}`);
+  };
+
+  if (coins.length === 0) {
+    return (
+      <div className="empty-state">
+        <div className="empty-state-icon">⏳</div>
+        <p className="empty-state-text">No events running right now. Check back soon!</p>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <header className="chapter-header">
+        <h2>Events</h2>
+        <p>Limited-time challenges. Only flavors ranked while an event is live count toward it.</p>
+      </header>
+
+      {EVENT_GROUPS.map(({ status, title }) => {
+        const groupCoins = groupedCoins[status];
+        if (groupCoins.length === 0) return null;
+
+        return (
+          <div key={status}>
+            <div className="section-header">
+              <h3 className="section-title">{title}</h3>
+              <span className="section-progress">
+                {groupCoins.filter(c => c.earned).length}/{groupCoins.length} earned
+              </span>
+            </div>
+            <div className="achievements-grid">
+              {groupCoins.map(coin => {
+                const isLocked = !coin.earned;
+                const tier = getTier(coin);
+                const progressInfo = getProgressInfo(coin);
+
+                return (
+                  <div
+                    key={coin.id}
+                    className={`achievement-card event-card ${isLocked ? 'locked' : 'unlocked'}`}
+                    onClick={() => handleCoinClick(coin)}
+                    role="button"
+                    tabIndex={0}
+                    onKeyDown={(e) => e.key === 'Enter' && handleCoinClick(coin)}
+                  >
+                    <div className="achievement-header">
+                      <div className={`achievement-coin ${isLocked ? 'locked' : `unlocked ${tier}`}`}>
+                        {isLocked && status !== 'active' ? '🔒' : renderAchievementIcon(coin, 28)}
+                      </div>
+                      <div className="achievement-info">
+                        <h4 className="achievement-title">{coin.name}</h4>
+                        <p className="achievement-description">{coin.description}</p>
+                      </div>
+                    </div>
+                    <EventCountdown event={coin.event} />
+                    <div className="achievement-progress-bar">
+                      <div
+                        className="achievement-progress-fill"
+                        style={{ width: `${progressInfo.percentage}%` }}
+                      ></div>
+                    </div>
+                    <div className="achievement-stats">
+                      <span className="achievement-xp">+{coin.points || 0} XP</span>
+                      <RarityBadge rarity={coin.rarity} percentage={coin.earnedPercentage} />
+                      <span className="achievement-completion">{progressInfo.text}</span>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        );
+      })}
+    </>
+  );
+}
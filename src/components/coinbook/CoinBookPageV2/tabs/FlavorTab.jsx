@@ -1,6 +1,7 @@
 import { useState, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { renderAchievementIcon } from '../../../../utils/iconUtils';
+import RarityBadge from '../../RarityBadge';
 
 const TIER_FILTERS = [
   { id: 'all', label: 'All' },
@@ -156,6 +157,7 @@ export default function FlavorTab({ coins, progress }) {
                     {renderAchievementIcon(coin, 32)}
                   </div>
                   <span className="flavor-coin-name">{coin.name}</span>
+                  <RarityBadge rarity={coin.rarity} percentage={coin.earnedPercentage} />
                 </div>
               );
             })}
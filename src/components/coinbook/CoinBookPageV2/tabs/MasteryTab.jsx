@@ -1,6 +1,7 @@
 import { useState, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { renderAchievementIcon } from '../../../../utils/iconUtils';
+import RarityBadge from '../../RarityBadge';
 
 const MASTERY_FILTERS = [
   { id: 'all', label: 'All Mastery' },
@@ -145,6 +146,7 @@ export default function MasteryTab({ coins, progress }) {
                     {renderAchievementIcon(coin, 40)}
                   </div>
                   <h4 className="mastery-title">{coin.name}</h4>
+                  <RarityBadge rarity={coin.rarity} percentage={coin.earnedPercentage} />
                   <p className="mastery-subtitle">{coin.description || 'Complete this collection'}</p>
                   <p className={`mastery-progress ${isLocked ? 'locked' : ''}`}>
                     {getProgressText(coin)}
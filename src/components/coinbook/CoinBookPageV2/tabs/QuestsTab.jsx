@@ -0,0 +1,150 @@
+import { useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { renderAchievementIcon } from '../../../../utils/iconUtils';
+
+// Quest map layout (px): each step is a fixed-size node, placed in a column by its depth
+const NODE_WIDTH = 140;
+const NODE_HEIGHT = 110;
+const COLUMN_GAP = 56;
+const ROW_GAP = 24;
+
+const STATUS_LABELS = {
+  earned: 'Earned',
+  available: 'Unlocked',
+  locked: 'Locked'
+};
+
+/**
+ * Position every node of a quest line: columns by depth, rows in order within a column
+ */
+function layoutLine(line, nodesById) {
+  const rowsByDepth = new Map();
+  const positions = new Map();
+
+  line.nodeIds.forEach(id => {
+    const { depth } = nodesById.get(id);
+    const row = rowsByDepth.get(depth) || 0;
+    rowsByDepth.set(depth, row + 1);
+    positions.set(id, {
+      x: depth * (NODE_WIDTH + COLUMN_GAP),
+      y: row * (NODE_HEIGHT + ROW_GAP)
+    });
+  });
+
+  const columns = Math.max(...rowsByDepth.keys()) + 1;
+  const rows = Math.max(...rowsByDepth.values());
+  return {
+    positions,
+    width: columns * NODE_WIDTH + (columns - 1) * COLUMN_GAP,
+    height: rows * NODE_HEIGHT + (rows - 1) * ROW_GAP
+  };
+}
+
+export default function QuestsTab({ graph, coins }) {
+  const navigate = useNavigate();
+  const coinsById = useMemo(() => new Map(coins.map(coin => [coin.id, coin])), [coins]);
+
+  const lines = useMemo(() => {
+    if (!graph) return [];
+    const nodesById = new Map(graph.nodes.map(node => [node.id, node]));
+
+    return graph.lines.map(line => {
+      const lineIds = new Set(line.nodeIds);
+      const root = nodesById.get(line.rootIds[0]);
+      return {
+        ...line,
+        title: root && !root.hidden ? root.name : 'Hidden quest',
+        nodes: line.nodeIds.map(id => nodesById.get(id)),
+        edges: graph.edges.filter(edge => lineIds.has(edge.to)),
+        layout: layoutLine(line, nodesById)
+      };
+    });
+  }, [graph]);
+
+  const getTier = (node) => {
+    const coin = coinsById.get(node.id);
+    return coin?.currentTier || coin?.tier || 'bronze';
+  };
+
+  const handleNodeClick = (node) => {
+    if (node.hidden) return;
+    navigate(`/coinbook/${node.id}`);
+  };
+
+  if (lines.length === 0) {
+    return (
+      <div className="empty-state">
+        <div className="empty-state-icon">🗺️</div>
+        <p className="empty-state-text">No quest lines yet. Check back soon!</p>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <header className="chapter-header">
+        <h2>Quests</h2>
+        <p>Coins that unlock in order. Earn every coin leading into a step to unlock it.</p>
+      </header>
+
+      {lines.map(line => {
+        const { positions, width, height } = line.layout;
+        const earnedCount = line.nodes.filter(node => node.status === 'earned').length;
+
+        return (
+          <div key={line.nodeIds[0]} className="quest-line">
+            <div className="section-header">
+              <h3 className="section-title">{line.title}</h3>
+              <span className="section-progress">
+                {earnedCount}/{line.nodes.length} earned
+              </span>
+            </div>
+
+            <div className="quest-map-scroll">
+              <div className="quest-map" style={{ width, height }}>
+                <svg className="quest-map-edges" width={width} height={height} aria-hidden="true">
+                  {line.edges.map(edge => {
+                    const from = positions.get(edge.from);
+                    const to = positions.get(edge.to);
+                    const fromNode = line.nodes.find(node => node.id === edge.from);
+                    return (
+                      <line
+                        key={`${edge.from}-${edge.to}`}
+                        className={`quest-edge ${fromNode.status === 'earned' ? 'complete' : ''}`}
+                        x1={from.x + NODE_WIDTH}
+                        y1={from.y + NODE_HEIGHT / 2}
+                        x2={to.x}
+                        y2={to.y + NODE_HEIGHT / 2}
+                      />
+                    );
+                  })}
+                </svg>
+
+                {line.nodes.map(node => {
+                  const { x, y } = positions.get(node.id);
+                  return (
+                    <div
+                      key={node.id}
+                      className={`quest-node ${node.status} ${node.hidden ? 'hidden-coin' : ''}`}
+                      style={{ left: x, top: y, width: NODE_WIDTH, height: NODE_HEIGHT }}
+                      onClick={() => handleNodeClick(node)}
+                      role={node.hidden ? undefined : 'button'}
+                      tabIndex={node.hidden ? undefined : 0}
+                      onKeyDown={(e) => e.key === 'Enter' && handleNodeClick(node)}
+                    >
+                      <div className={`achievement-coin ${node.status === 'earned' ? `unlocked ${getTier(node)}` : 'locked'}`}>
+                        {node.hidden ? '❓' : renderAchievementIcon(node, 28)}
+                      </div>
+                      <span className="quest-node-name">{node.hidden ? '???' : node.name}</span>
+                      <span className="quest-node-status">{STATUS_LABELS[node.status]}</span>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          </div>
+        );
+      })}
+    </>
+  );
+}
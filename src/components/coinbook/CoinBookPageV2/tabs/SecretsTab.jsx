@@ -1,6 +1,7 @@
 import { useState, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { renderAchievementIcon } from '../../../../utils/iconUtils';
+import RarityBadge from '../../RarityBadge';
 
 const SECRET_FILTERS = [
   { id: 'all', label: 'All' },
@@ -8,17 +9,17 @@ const SECRET_FILTERS = [
   { id: 'locked', label: 'Locked' }
 ];
 
-const RARITY_LEVELS = {
-  common: { label: 'Common', class: 'rarity-common' },
-  rare: { label: 'Rare', class: 'rarity-rare' },
-  epic: { label: 'Epic', class: 'rarity-epic' },
-  legendary: { label: 'Legendary', class: 'rarity-legendary' }
-};
-
-export default function SecretsTab({ coins, progress }) {
+export default function SecretsTab({ coins: earnedCoins, lockedSecrets = [], progress }) {
   const navigate = useNavigate();
   const [activeFilter, setActiveFilter] = useState('all');
 
+  // Earned secrets come with the achievements list; undiscovered ones are silhouettes
+  // (category, rarity and unlocked hints only) from /gamification/secrets
+  const coins = useMemo(() => [
+    ...earnedCoins,
+    ...lockedSecrets.map(secret => ({ ...secret, earned: false }))
+  ], [earnedCoins, lockedSecrets]);
+
   const stats = useMemo(() => {
     const discovered = coins.filter(c => c.earned).length;
     const hidden = coins.filter(c => !c.earned).length;
@@ -29,6 +30,7 @@ export default function SecretsTab({ coins, progress }) {
     return { discovered, hidden, total, percentage, xp };
   }, [coins]);
 
+  // Earn-rate rarity from the stats job; point-based guess until it has covered the coin
   const getRarity = (coin) => {
     if (coin.rarity) return coin.rarity;
     const points = coin.points || 0;
@@ -86,6 +88,8 @@ export default function SecretsTab({ coins, progress }) {
   };
 
   const handleCoinClick = (coin) => {
+    // Undiscovered coins have no detail page yet
+    if (!coin.earned) return;
     navigate(`/coinbook/${coin.id}`);
   };
 
@@ -148,7 +152,6 @@ export default function SecretsTab({ coins, progress }) {
               {groupCoins.map(coin => {
                 const isLocked = !coin.earned;
                 const rarity = getRarity(coin);
-                const rarityInfo = RARITY_LEVELS[rarity];
                 
                 return (
                   <div 
@@ -165,10 +168,12 @@ export default function SecretsTab({ coins, progress }) {
                           {isLocked ? '?' : renderAchievementIcon(coin, 28)}
                         </span>
                       </div>
-                      {!isLocked && (
-                        <span className={`secret-rarity ${rarityInfo.class}`}>
-                          {rarityInfo.label}
-                        </span>
+                      {(!isLocked || coin.rarity) && (
+                        <RarityBadge
+                          rarity={rarity}
+                          percentage={coin.earnedPercentage}
+                          className="secret-rarity"
+                        />
                       )}
                     </div>
                     <h4 className="secret-title">
@@ -180,14 +185,32 @@ export default function SecretsTab({ coins, progress }) {
                         : coin.description
                       }
                     </p>
-                    {!isLocked && (
-                      <div className="secret-footer">
-                        <span className="secret-status unlocked">Unlocked</span>
-                        {coin.earnedAt && (
-                          <span className="secret-date">{formatDate(coin.earnedAt)}</span>
+                    {isLocked && coin.hintCount > 0 && (
+                      <div className="secret-hints">
+                        {coin.hints.map((hint, index) => (
+                          <p key={index} className="secret-hint">
+                            <span className="secret-hint-label">Hint {index + 1}</span> {hint}
+                          </p>
+                        ))}
+                        {coin.nextHintAt !== null && (
+                          <p className="secret-hint next">
+                            {coin.hints.length === 0 ? 'A hint' : 'Another hint'} appears as you get closer ({coin.hints.length}/{coin.hintCount} revealed)
+                          </p>
                         )}
                       </div>
                     )}
+                    <div className="secret-footer">
+                      {isLocked ? (
+                        <span className="secret-status locked">Locked</span>
+                      ) : (
+                        <>
+                          <span className="secret-status unlocked">Unlocked</span>
+                          {coin.earnedAt && (
+                            <span className="secret-date">{formatDate(coin.earnedAt)}</span>
+                          )}
+                        </>
+                      )}
+                    </div>
                   </div>
                 );
               })}
@@ -4,6 +4,7 @@ import { useAchievements, useGamificationProgress } from '../../hooks/useCoinBoo
 import { useCoinBookWebSocket } from '../../hooks/useCoinBookWebSocket';
 import { TIER_EMOJIS } from '../../../shared/constants/tierEmojis.mjs';
 import { renderAchievementIcon } from '../../utils/iconUtils';
+import EventCountdown from './EventCountdown';
 import './CoinBookWidget.css';
 
 export default function CoinBookWidget({ defaultCollapsed = false }) {
@@ -81,6 +82,9 @@ export default function CoinBookWidget({ defaultCollapsed = false }) {
       // Tiered achievement - show next tier name
       const tierName = nextTier || 'next tier';
       label = `for ${tierName}`;
+    } else if (achievement.collectionType === 'event_collection') {
+      // Event coin - only rankings made during the event count
+      label = 'flavors ranked this event';
     } else if (achievement.collection_type === 'static_collection' || achievement.collection_type === 'dynamic_collection') {
       // Collection achievement - use "flavors ranked"
       label = 'flavors ranked';
@@ -162,6 +166,15 @@ export default function CoinBookWidget({ defaultCollapsed = false }) {
               <span className="cb-badge-text">{progress.currentStreak} Day Streak</span>
             </span>
           )}
+          {progress.streakFreezes > 0 && (
+            <span
+              className="stat-badge"
+              title={`${progress.streakFreezes} streak freeze${progress.streakFreezes !== 1 ? 's' : ''}: a missed day won't break your streak`}
+            >
+              <span className="stat-icon">🧊</span>
+              <span className="cb-badge-text">{progress.streakFreezes}</span>
+            </span>
+          )}
         </div>
       </button>
 
@@ -266,6 +279,11 @@ export default function CoinBookWidget({ defaultCollapsed = false }) {
                         <span className="tier-badge-overlay">{tierEmoji}</span>
                       )}
                       
+                      {/* Hourglass overlay for events that can still be earned */}
+                      {!achievement.earned && achievement.event?.status === 'active' && (
+                        <span className="event-badge-overlay" aria-hidden="true">⏳</span>
+                      )}
+                      
                       <span className="coin-icon">
                         {renderAchievementIcon(achievement, 48)}
                       </span>
@@ -289,6 +307,9 @@ export default function CoinBookWidget({ defaultCollapsed = false }) {
                             )}
                           </span>
                         )}
+                        {achievement.event && (
+                          <EventCountdown event={achievement.event} className="tooltip-event-countdown" />
+                        )}
                         {!achievement.earned && achievement.requirement_hint && (
                           <span className="requirement-hint">{achievement.requirement_hint}</span>
                         )}
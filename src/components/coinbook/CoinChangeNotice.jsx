@@ -0,0 +1,71 @@
+import { useState } from 'react';
+import { ACHIEVEMENT_AUDIT } from '../../../shared/constants/achievementAudit.mjs';
+import { useCoinHistory } from '../../hooks/useCoinBook';
+import './CoinChangeNotice.css';
+
+const SEEN_KEY = 'coinbook-last-seen-coin-change';
+const ORDER_REASONS = ['order_cancelled', 'fulfillment_downgrade'];
+
+function capitalize(text) {
+  return text ? text.charAt(0).toUpperCase() + text.slice(1) : text;
+}
+
+function describeChange(change) {
+  const what = change.action === 'revoked'
+    ? `${change.achievementName} was removed`
+    : `${change.achievementName} dropped from ${capitalize(change.fromTier)} to ${capitalize(change.toTier)}`;
+
+  const reason = ACHIEVEMENT_AUDIT.reasons[change.reason];
+  const orderNumber = change.provenance?.trigger?.orderNumber;
+
+  if (!reason) return `${what}.`;
+  return orderNumber ? `${what} because ${reason} (order #${orderNumber}).` : `${what} because ${reason}.`;
+}
+
+/**
+ * Coin Book banner explaining coins that were downgraded or removed in the last 30 days
+ * Dismissing remembers the newest change seen in localStorage; audit history itself is immutable
+ */
+export default function CoinChangeNotice() {
+  const { data } = useCoinHistory();
+  const [lastSeenId, setLastSeenId] = useState(() => Number(localStorage.getItem(SEEN_KEY)) || 0);
+
+  const unseen = (data?.recentLosses || []).filter(change => change.id > lastSeenId);
+  if (unseen.length === 0) {
+    return null;
+  }
+
+  const handleDismiss = () => {
+    const newestId = Math.max(...unseen.map(change => change.id));
+    localStorage.setItem(SEEN_KEY, String(newestId));
+    setLastSeenId(newestId);
+  };
+
+  return (
+    <div className="coin-change-notice" role="status">
+      <div className="coin-change-notice-header">
+        <span className="coin-change-notice-title">
+          {unseen.length === 1 ? 'One of your coins changed' : `${unseen.length} of your coins changed`}
+        </span>
+        <button className="coin-change-notice-dismiss" onClick={handleDismiss}>
+          Got it
+        </button>
+      </div>
+      <ul className="coin-change-notice-list">
+        {unseen.map(change => (
+          <li key={change.id}>
+            {describeChange(change)}
+            <span className="coin-change-notice-date">
+              {new Date(change.createdAt).toLocaleDateString()}
+            </span>
+          </li>
+        ))}
+      </ul>
+      {unseen.some(change => ORDER_REASONS.includes(change.reason)) && (
+        <p className="coin-change-notice-footer">
+          Coins only count products from delivered orders. Rank them again once a replacement order arrives to earn them back.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+import { useState, useEffect } from 'react';
+import { formatCountdown } from '../../utils/dateUtils';
+
+/**
+ * Countdown label for an event coin ("Ends in 3d 4h", "Starts in 5h 12m", "Ended")
+ * Re-renders once a minute so the label stays current without a refetch
+ */
+export default function EventCountdown({ event, className = 'event-countdown' }) {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), 60000);
+    return () => clearInterval(interval);
+  }, []);
+
+  if (!event?.startsAt || !event?.endsAt) {
+    return null;
+  }
+
+  const untilStart = formatCountdown(event.startsAt, now);
+  const untilEnd = formatCountdown(event.endsAt, now);
+
+  let status = 'ended';
+  let label = 'Event ended';
+  if (untilStart) {
+    status = 'upcoming';
+    label = `Starts in ${untilStart}`;
+  } else if (untilEnd) {
+    status = 'active';
+    label = `Ends in ${untilEnd}`;
+  }
+
+  return (
+    <span className={`${className} ${status}`}>⏳ {label}</span>
+  );
+}
@@ -0,0 +1,24 @@
+import { COIN_RARITY } from '../../../shared/constants/coinRarity.mjs';
+import './RarityBadge.css';
+
+/**
+ * Rarity pill (Common → Legendary) from the coin stats job
+ * Shows the earn rate as a tooltip, or inline when showPercentage is set
+ */
+export default function RarityBadge({ rarity, percentage, showPercentage = false, className = 'rarity-badge' }) {
+  const band = COIN_RARITY.find(r => r.key === rarity);
+  if (!band) {
+    return null;
+  }
+
+  const earnedText = percentage !== undefined && percentage !== null
+    ? `Earned by ${percentage}% of rankers`
+    : null;
+
+  return (
+    <span className={`${className} rarity-${band.key}`} title={earnedText || undefined}>
+      {band.label}
+      {showPercentage && earnedText && <span className="rarity-badge-percentage"> · {percentage}%</span>}
+    </span>
+  );
+}
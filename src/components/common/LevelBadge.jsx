@@ -0,0 +1,25 @@
+import './LevelBadge.css';
+
+/**
+ * Level pill ("Lv 12") with a star per prestige
+ * Renders nothing until a level is known
+ */
+export default function LevelBadge({ level, prestige = 0, size = 'default', className = '' }) {
+  if (!level) {
+    return null;
+  }
+
+  const title = prestige > 0
+    ? `Level ${level} · Prestige ${prestige}`
+    : `Level ${level}`;
+
+  return (
+    <span
+      className={`level-badge level-badge-${size} ${prestige > 0 ? 'level-badge-prestige' : ''} ${className}`.trim()}
+      title={title}
+    >
+      {prestige > 0 && <span className="level-badge-stars">★{prestige > 1 ? prestige : ''}</span>}
+      <span className="level-badge-level">Lv {level}</span>
+    </span>
+  );
+}
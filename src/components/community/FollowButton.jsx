@@ -0,0 +1,37 @@
+import React from 'react';
+import { useAuthStore } from '../../store/authStore';
+import { useToggleFollow } from '../../hooks/useCommunity';
+import './FollowButton.css';
+
+/**
+ * Follow / Following toggle for another ranker
+ * Hidden for anonymous viewers and on the viewer's own card. Safe to render inside a Link:
+ * clicks don't navigate.
+ */
+function FollowButton({ userId, isFollowing, size = 'normal' }) {
+  const { user: currentUser, isAuthenticated } = useAuthStore();
+  const toggleFollow = useToggleFollow();
+
+  if (!isAuthenticated || !userId || String(currentUser?.id) === String(userId)) {
+    return null;
+  }
+
+  const handleClick = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    toggleFollow.mutate({ userId, follow: !isFollowing });
+  };
+
+  return (
+    <button
+      type="button"
+      className={`follow-button follow-button-${size} ${isFollowing ? 'following' : ''}`}
+      onClick={handleClick}
+      disabled={toggleFollow.isPending}
+    >
+      {isFollowing ? 'Following' : '+ Follow'}
+    </button>
+  );
+}
+
+export default FollowButton;
@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useFollowList } from '../../hooks/useCommunity';
+import FollowButton from './FollowButton';
+import './FollowLists.css';
+
+const RELATIONS = [
+  { key: 'followers', label: 'Followers', countKey: 'followerCount' },
+  { key: 'following', label: 'Following', countKey: 'followingCount' }
+];
+
+/**
+ * FollowLists - Followers / Following tabs for a public profile
+ * @param {Object} counts - { followerCount, followingCount }
+ */
+function FollowLists({ userId, counts = {} }) {
+  const [relation, setRelation] = useState('followers');
+  const { data, isLoading, error } = useFollowList(userId, relation);
+
+  const users = data?.users || [];
+
+  return (
+    <div className="follow-lists">
+      <div className="follow-lists-tabs" role="tablist">
+        {RELATIONS.map(({ key, label, countKey }) => (
+          <button
+            key={key}
+            type="button"
+            role="tab"
+            aria-selected={relation === key}
+            className={`follow-lists-tab ${relation === key ? 'active' : ''}`}
+            onClick={() => setRelation(key)}
+          >
+            {label} <span className="follow-lists-count">{counts[countKey] || 0}</span>
+          </button>
+        ))}
+      </div>
+
+      {isLoading && <div className="follow-lists-empty">Loading...</div>}
+      {error && <div className="follow-lists-empty">Failed to load {relation}</div>}
+
+      {!isLoading && !error && users.length === 0 && (
+        <div className="follow-lists-empty">
+          {relation === 'followers' ? 'No followers yet.' : 'Not following anyone yet.'}
+        </div>
+      )}
+
+      {users.length > 0 && (
+        <ul className="follow-lists-users">
+          {users.map(user => (
+            <li key={user.id} className="follow-lists-user">
+              <Link to={`/community/${user.id}`} className="follow-lists-user-link">
+                <span className="follow-lists-avatar">
+                  {user.avatarUrl ? (
+                    <img src={user.avatarUrl} alt={user.displayName} />
+                  ) : (
+                    user.initials
+                  )}
+                </span>
+                <span className="follow-lists-name">
+                  {user.displayName}
+                  {user.handle && <span className="follow-lists-handle">@{user.handle}</span>}
+                </span>
+              </Link>
+              <FollowButton userId={user.id} isFollowing={user.isFollowing} size="small" />
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {data?.total > users.length && (
+        <div className="follow-lists-more">
+          and {data.total - users.length} more
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FollowLists;
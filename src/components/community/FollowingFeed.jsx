@@ -0,0 +1,88 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useFollowingFeed } from '../../hooks/useCommunity';
+import { useFollowingFeedWebSocket } from '../../hooks/useFollowingFeedWebSocket';
+import { renderAchievementIcon } from '../../utils/iconUtils';
+import './FollowingFeed.css';
+
+function describeActivity(activity) {
+  const { type, data } = activity;
+  switch (type) {
+    case 'earn_badge':
+      return <>earned the <strong>{data.achievementName}</strong> coin</>;
+    case 'tier_upgrade':
+      return <>upgraded <strong>{data.achievementName}</strong> to {data.achievementTier}</>;
+    case 'streak_started':
+      return <>started a ranking streak</>;
+    case 'streak_milestone':
+      return <>hit a <strong>{data.currentStreak}-day</strong> streak</>;
+    default:
+      return null;
+  }
+}
+
+function getActivityIcon(activity) {
+  if (activity.data?.achievementIcon) {
+    return renderAchievementIcon({ icon: activity.data.achievementIcon, name: activity.data.achievementName }, 28);
+  }
+  return activity.type.startsWith('streak') ? '🔥' : '📌';
+}
+
+function formatTimeAgo(dateString) {
+  const seconds = Math.floor((new Date() - new Date(dateString)) / 1000);
+
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  if (seconds < 604800) return `${Math.floor(seconds / 86400)}d ago`;
+  return new Date(dateString).toLocaleDateString();
+}
+
+/**
+ * FollowingFeed - Coins and streak milestones from the rankers the user follows (GET /api/community/feed)
+ * Refreshes live over the WebSocket when a followed ranker does something new
+ */
+function FollowingFeed() {
+  const { data, isLoading, error } = useFollowingFeed();
+  useFollowingFeedWebSocket();
+
+  const activities = (data?.activities || []).filter(activity => describeActivity(activity));
+
+  return (
+    <div className="following-feed">
+      <h2 className="following-feed-title">Following</h2>
+
+      {isLoading && <div className="following-feed-empty">Loading your feed...</div>}
+      {error && <div className="following-feed-empty">Failed to load your feed</div>}
+
+      {!isLoading && !error && activities.length === 0 && (
+        <div className="following-feed-empty">
+          {data?.followingCount > 0
+            ? 'Nothing new from the rankers you follow yet.'
+            : 'Follow rankers below to see their coins and streaks here.'}
+        </div>
+      )}
+
+      {activities.length > 0 && (
+        <ul className="following-feed-list">
+          {activities.map(activity => (
+            <li key={activity.id} className="following-feed-item">
+              <span className="following-feed-icon">{getActivityIcon(activity)}</span>
+              <div className="following-feed-content">
+                <div className="following-feed-text">
+                  <Link to={`/community/${activity.user.id}`} className="following-feed-user">
+                    {activity.user.displayName}
+                  </Link>{' '}
+                  {describeActivity(activity)}
+                </div>
+                <div className="following-feed-time">{formatTimeAgo(activity.createdAt)}</div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default FollowingFeed;
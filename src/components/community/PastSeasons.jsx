@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useSeasons, useSeason } from '../../hooks/useCommunity';
+import './PastSeasons.css';
+
+const SEASON_TYPE_OPTIONS = [
+  { value: 'week', label: 'Weekly' },
+  { value: 'month', label: 'Monthly' },
+];
+
+function SeasonDetail({ seasonId }) {
+  const { data, isLoading } = useSeason(seasonId);
+
+  if (isLoading) {
+    return <div className="season-detail-loading">Loading season...</div>;
+  }
+
+  if (!data) return null;
+
+  const { leaderboard = [], topProducts = [] } = data;
+
+  return (
+    <div className="season-detail">
+      <div className="season-detail-column">
+        <h3 className="season-detail-title">Final Standings</h3>
+        {leaderboard.length === 0 ? (
+          <p className="season-empty">Nobody scored this season.</p>
+        ) : (
+          <div className="leaderboard-list">
+            {leaderboard.map(entry => (
+              <Link
+                key={entry.userId}
+                to={`/community/${entry.userId}`}
+                className={`lb-card ${entry.position <= 3 ? 'top-8' : ''}`}
+              >
+                <div className="lb-rank">#{entry.position}</div>
+                <div className="lb-avatar">
+                  {entry.avatarUrl ? (
+                    <img src={entry.avatarUrl} alt={entry.displayName} />
+                  ) : (
+                    <div className="avatar-initials">{entry.initials}</div>
+                  )}
+                </div>
+                <div className="lb-user-info">
+                  <div className="lb-username">{entry.displayName}</div>
+                  <div className="lb-role">
+                    {entry.uniqueProducts} product{entry.uniqueProducts !== 1 ? 's' : ''} ranked
+                  </div>
+                </div>
+                <div className="xp-text">{entry.engagementScore.toLocaleString()} XP</div>
+              </Link>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="season-detail-column">
+        <h3 className="season-detail-title">Community Top {topProducts.length || ''}</h3>
+        {topProducts.length === 0 ? (
+          <p className="season-empty">No flavors were ranked this season.</p>
+        ) : (
+          <ol className="season-top-products">
+            {topProducts.map(product => (
+              <li key={product.position}>
+                <span className="season-top-position">#{product.position}</span>
+                <span className="season-top-icon">{product.flavorIcon || product.animalIcon || '🥩'}</span>
+                <Link to={`/flavors/${product.productId}`} className="season-top-title">{product.title}</Link>
+                <span className="season-top-meta">{product.rankCount} {product.rankCount === 1 ? 'ranking' : 'rankings'}</span>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * PastSeasons - Archived weekly/monthly leaderboards and community Top N
+ * Seasons are closed server-side when their period ends, so this is read-only history
+ */
+export default function PastSeasons() {
+  const [seasonType, setSeasonType] = useState('week');
+  const [selectedSeasonId, setSelectedSeasonId] = useState(null);
+  const { data: seasons = [], isLoading, error } = useSeasons({ type: seasonType });
+
+  const activeSeasonId = seasons.some(season => season.id === selectedSeasonId)
+    ? selectedSeasonId
+    : seasons[0]?.id;
+
+  return (
+    <div className="past-seasons">
+      <div className="past-seasons-types">
+        {SEASON_TYPE_OPTIONS.map(option => (
+          <button
+            key={option.value}
+            className={`season-type-pill ${seasonType === option.value ? 'active' : ''}`}
+            onClick={() => setSeasonType(option.value)}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {isLoading && <div className="season-detail-loading">Loading seasons...</div>}
+      {error && <p className="season-empty">Failed to load past seasons</p>}
+
+      {!isLoading && !error && seasons.length === 0 && (
+        <p className="season-empty">
+          No {seasonType === 'week' ? 'weekly' : 'monthly'} seasons have finished yet. Check back when this one ends!
+        </p>
+      )}
+
+      {seasons.length > 0 && (
+        <>
+          <div className="season-list">
+            {seasons.map(season => (
+              <button
+                key={season.id}
+                className={`season-card ${season.id === activeSeasonId ? 'active' : ''}`}
+                onClick={() => setSelectedSeasonId(season.id)}
+              >
+                <span className="season-card-label">{season.label}</span>
+                <span className="season-card-champion">
+                  🏆 {season.champion ? season.champion.displayName : 'No champion'}
+                </span>
+                <span className="season-card-meta">
+                  {season.participantCount} {season.participantCount === 1 ? 'ranker' : 'rankers'}
+                  {season.topProduct && ` · #1 ${season.topProduct.title}`}
+                </span>
+              </button>
+            ))}
+          </div>
+
+          {activeSeasonId && <SeasonDetail seasonId={activeSeasonId} />}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { useAuthStore } from '../../store/authStore';
+import { useReportContent } from '../../hooks/useCommunity';
+import { CONTENT_REPORTS } from '../../../shared/constants/contentReports.mjs';
+import './ReportButton.css';
+
+/**
+ * "Report" link that opens a reason picker and sends the report for employee review
+ * Hidden for anonymous viewers and on the viewer's own content (pass ownerId).
+ */
+function ReportButton({ targetType, targetId, ownerId, label = 'Report' }) {
+  const { user: currentUser, isAuthenticated } = useAuthStore();
+  const reportContent = useReportContent();
+  const [isOpen, setIsOpen] = useState(false);
+  const [reason, setReason] = useState('');
+  const [details, setDetails] = useState('');
+
+  if (!isAuthenticated || !targetId || String(currentUser?.id) === String(ownerId)) {
+    return null;
+  }
+
+  const close = () => {
+    if (reportContent.isPending) return;
+    setIsOpen(false);
+    setReason('');
+    setDetails('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!reason) return;
+
+    try {
+      const result = await reportContent.mutateAsync({
+        targetType,
+        targetId,
+        reason,
+        details: details.trim() || undefined,
+      });
+      toast.success(result.alreadyReported
+        ? 'You already reported this. Our team will take a look.'
+        : 'Thanks for the report. Our team will take a look.');
+      setIsOpen(false);
+      setReason('');
+      setDetails('');
+    } catch (error) {
+      toast.error(error.message || 'Failed to submit report');
+    }
+  };
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) close();
+  };
+
+  return (
+    <>
+      <button type="button" className="report-button" onClick={() => setIsOpen(true)}>
+        {label}
+      </button>
+
+      {isOpen && (
+        <div className="report-modal-overlay" onClick={handleBackdropClick}>
+          <form className="report-modal" onSubmit={handleSubmit}>
+            <h2 className="report-modal-title">
+              Report {targetType === 'comment' ? 'comment' : 'profile'}
+            </h2>
+            <p className="report-modal-subtitle">What's wrong with it?</p>
+
+            <div className="report-reasons">
+              {CONTENT_REPORTS.reasons.map(option => (
+                <label key={option.id} className={`report-reason ${reason === option.id ? 'selected' : ''}`}>
+                  <input
+                    type="radio"
+                    name="report-reason"
+                    value={option.id}
+                    checked={reason === option.id}
+                    onChange={() => setReason(option.id)}
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+
+            <textarea
+              className="report-details"
+              value={details}
+              onChange={(e) => setDetails(e.target.value)}
+              placeholder="Anything else we should know? (optional)"
+              maxLength={CONTENT_REPORTS.maxDetailsLength}
+              rows={3}
+            />
+
+            <div className="report-modal-footer">
+              <button type="button" className="report-btn-cancel" onClick={close} disabled={reportContent.isPending}>
+                Cancel
+              </button>
+              <button type="submit" className="report-btn-submit" disabled={!reason || reportContent.isPending}>
+                {reportContent.isPending ? 'Sending...' : 'Send Report'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default ReportButton;
@@ -1,6 +1,8 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
 import { renderAchievementIcon } from '../../utils/iconUtils';
+import LevelBadge from '../common/LevelBadge';
+import FollowButton from './FollowButton';
 import './UserCard.css';
 
 const JOURNEY_STAGE_CONFIG = {
@@ -198,9 +200,16 @@ function UserCard({ user }) {
         </div>
         
         <div className="profile-info">
-          <h3 className="profile-name">{user.display_name}</h3>
+          <h3 className="profile-name">
+            {user.display_name}
+            <LevelBadge level={user.level?.level} prestige={user.level?.prestige} size="small" className="card-level-badge" />
+          </h3>
           <p className="profile-narrative">{narrativeMessage}</p>
         </div>
+
+        {!user.is_self && (
+          <FollowButton userId={user.user_id} isFollowing={user.is_following} size="small" />
+        )}
       </div>
 
       <div className="card-stats">
@@ -220,6 +229,11 @@ function UserCard({ user }) {
           <span className="stat-value">{user.engagement_score}</span>
           <span className="stat-label">points</span>
         </div>
+
+        <div className="stat-item">
+          <span className="stat-value">{user.follower_count || 0}</span>
+          <span className="stat-label">follower{user.follower_count !== 1 ? 's' : ''}</span>
+        </div>
       </div>
 
       {topFocusAreas.length > 0 && (
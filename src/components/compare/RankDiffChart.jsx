@@ -0,0 +1,58 @@
+import React from 'react';
+import './RankDiffChart.css';
+
+const WIDTH = 520;
+const HEIGHT = 360;
+const PAD_X = 70;
+const PAD_Y = 24;
+const MAX_LINES = 30;
+
+/**
+ * RankDiffChart - Slope chart of shared products
+ * Each line runs from where the product sits in the left list to where it sits in the
+ * right list, both as a share of list length (top = #1), so flat lines mean agreement
+ */
+export default function RankDiffChart({ items, leftLabel, rightLabel, leftTotal, rightTotal }) {
+  if (!items || items.length === 0) {
+    return <p className="rank-diff-empty">No flavors in common yet.</p>;
+  }
+
+  const toY = (position, total) => total <= 1
+    ? PAD_Y
+    : PAD_Y + ((position - 1) / (total - 1)) * (HEIGHT - PAD_Y * 2);
+  const lines = [...items]
+    .sort((a, b) => a.position - b.position)
+    .slice(0, MAX_LINES);
+
+  return (
+    <div className="rank-diff-chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={`${leftLabel} vs ${rightLabel} rank differences`}>
+        <line className="rank-diff-axis" x1={PAD_X} y1={PAD_Y} x2={PAD_X} y2={HEIGHT - PAD_Y} />
+        <line className="rank-diff-axis" x1={WIDTH - PAD_X} y1={PAD_Y} x2={WIDTH - PAD_X} y2={HEIGHT - PAD_Y} />
+        <text className="rank-diff-axis-label" x={PAD_X - 10} y={PAD_Y + 4} textAnchor="end">Top</text>
+        <text className="rank-diff-axis-label" x={PAD_X - 10} y={HEIGHT - PAD_Y} textAnchor="end">Bottom</text>
+
+        {lines.map(item => {
+          const y1 = toY(item.position, leftTotal);
+          const y2 = toY(item.otherPosition, rightTotal);
+          const tone = item.agreement >= 80 ? 'agree' : item.agreement >= 50 ? 'mixed' : 'disagree';
+          return (
+            <g key={item.productId} className={`rank-diff-line ${tone}`}>
+              <title>{`${item.title}: #${item.position} vs #${item.otherPosition}`}</title>
+              <line x1={PAD_X} y1={y1} x2={WIDTH - PAD_X} y2={y2} />
+              <circle cx={PAD_X} cy={y1} r="4" />
+              <circle cx={WIDTH - PAD_X} cy={y2} r="4" />
+            </g>
+          );
+        })}
+      </svg>
+      <div className="rank-diff-labels">
+        <span>{leftLabel}</span>
+        <span>{rightLabel}</span>
+      </div>
+      {items.length > MAX_LINES && (
+        <p className="rank-diff-note">Showing {MAX_LINES} of {items.length} shared flavors</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import { Link } from 'react-router-dom';
+import { useRecommendations } from '../../hooks/useRecommendations';
+import './RecommendedRail.css';
+
+/**
+ * RecommendedRail - "Recommended for you" products picked by the user's taste twins
+ * Hidden until the user has ranked enough to have twins
+ */
+export default function RecommendedRail() {
+  const { data, isLoading } = useRecommendations({ limit: 12 });
+
+  const recommendations = data?.recommendations || [];
+  const twins = data?.twins || [];
+
+  if (isLoading || recommendations.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="recommended-rail-section">
+      <div className="section-header-compact recommended-rail-header">
+        <h2 className="section-title-compact">Recommended For You</h2>
+        <p className="recommended-rail-subtitle">
+          Based on {twins.length} taste {twins.length === 1 ? 'twin' : 'twins'} who rank like you
+        </p>
+      </div>
+
+      <div className="recommended-rail">
+        {recommendations.map(({ productId, predictedPosition, twinCount, product }) => (
+          <Link key={productId} to={`/flavors/${productId}`} className="recommended-card">
+            <div className="recommended-card-image">
+              {product.image ? (
+                <img src={product.image} alt={product.title} loading="lazy" />
+              ) : (
+                <span className="recommended-card-icon">{product.flavorIcon || product.animalIcon || '🥩'}</span>
+              )}
+            </div>
+            <h3 className="recommended-card-title">{product.title}</h3>
+            <p className="recommended-card-fit">Likely your #{predictedPosition}</p>
+            <p className="recommended-card-meta">
+              {twinCount} {twinCount === 1 ? 'twin ranks' : 'twins rank'} it
+            </p>
+          </Link>
+        ))}
+      </div>
+    </section>
+  );
+}
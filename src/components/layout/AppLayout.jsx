@@ -23,6 +23,8 @@ const CoinProfilePage = lazy(() => import('../../pages/CoinProfilePage'));
 const CommunityPage = lazy(() => import('../../pages/CommunityPage'));
 const PublicProfilePage = lazy(() => import('../../pages/PublicProfilePage'));
 const FullRankingsPage = lazy(() => import('../../pages/FullRankingsPage'));
+const RankingListPage = lazy(() => import('../../pages/RankingListPage'));
+const UserComparePage = lazy(() => import('../../pages/UserComparePage'));
 const LeaderboardPage = lazy(() => import('../../pages/LeaderboardPage'));
 const ProfilePage = lazy(() => import('../../pages/ProfilePage'));
 const RankPage = lazy(() => import('../../pages/RankPage'));
@@ -43,6 +45,8 @@ const DataPage = lazy(() => import('../../pages/admin/DataPage'));
 const UserGuidanceTab = lazy(() => import('../../components/admin/UserGuidanceTab'));
 const QueueMonitorPage = lazy(() => import('../../pages/admin/QueueMonitorPage'));
 const BulkImportPage = lazy(() => import('../../pages/admin/BulkImportPage'));
+const CommentModerationPage = lazy(() => import('../../pages/admin/CommentModerationPage'));
+const ContentReportsPage = lazy(() => import('../../pages/admin/ContentReportsPage'));
 
 function RedirectToFlavor() {
   const { productId } = useParams();
@@ -129,6 +133,16 @@ function AppLayout() {
                 <FullRankingsPage />
               </ProtectedRoute>
             } />
+            <Route path="/community/:userId/lists/:listId" element={
+              <ProtectedRoute>
+                <RankingListPage />
+              </ProtectedRoute>
+            } />
+            <Route path="/community/:userId/compare" element={
+              <ProtectedRoute>
+                <UserComparePage />
+              </ProtectedRoute>
+            } />
             <Route path="/leaderboard" element={
               <ProtectedRoute>
                 <LeaderboardPage />
@@ -158,6 +172,8 @@ function AppLayout() {
               <Route path="user-guidance" element={<UserGuidanceTab />} />
               <Route path="queue-monitor" element={<QueueMonitorPage />} />
               <Route path="bulk-import" element={<BulkImportPage />} />
+              <Route path="comments" element={<CommentModerationPage />} />
+              <Route path="reports" element={<ContentReportsPage />} />
               <Route path="sentry" element={<SentryPage />} />
               <Route path="sentry/:issueId" element={<SentryIssueDetailsPage />} />
               <Route path="data" element={<DataPage />} />
@@ -2,12 +2,16 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuthStore } from '../../store/authStore';
 import MobileNavDrawer from './MobileNavDrawer';
+import LevelBadge from '../common/LevelBadge';
+import NotificationBell from './NotificationBell';
+import { useLevel } from '../../hooks/useGamification';
 import './Nav.css';
 
 function Nav() {
   const location = useLocation();
   const navigate = useNavigate();
   const { user, isAuthenticated, isEmployee, logout } = useAuthStore();
+  const { data: levelData } = useLevel({ enabled: isAuthenticated });
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState({ products: [], users: [] });
   const [showDropdown, setShowDropdown] = useState(false);
@@ -198,6 +202,10 @@ function Nav() {
           {isAuthenticated ? (
             <div className="user-actions">
               <div className="user-profile">
+                <NotificationBell />
+                <Link to="/profile" className="nav-level-link" aria-label={`Level ${levelData?.level?.level || ''}`}>
+                  <LevelBadge level={levelData?.level?.level} prestige={levelData?.level?.prestige} size="small" />
+                </Link>
                 <Link to="/profile" className="avatar avatar-small avatar-interactive" title={`${user?.firstName || 'User'} ${user?.lastName || ''}`}>
                   {user?.profile_image_url ? (
                     <img 
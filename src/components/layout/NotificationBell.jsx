@@ -0,0 +1,138 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  useNotifications,
+  useUnreadNotificationCount,
+  useMarkNotificationsRead,
+  useMarkAllNotificationsRead
+} from '../../hooks/useNotifications';
+import { renderAchievementIcon } from '../../utils/iconUtils';
+import './NotificationBell.css';
+
+const CATEGORY_ICONS = {
+  achievements: '🪙',
+  levels: '⬆️',
+  streaks: '🔥',
+  social: '👋',
+  guidance: '💡'
+};
+
+function formatTimeAgo(dateString) {
+  const seconds = Math.floor((new Date() - new Date(dateString)) / 1000);
+
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  if (seconds < 604800) return `${Math.floor(seconds / 86400)}d ago`;
+  return new Date(dateString).toLocaleDateString();
+}
+
+function getNotificationIcon(notification) {
+  if (notification.data?.icon) {
+    return renderAchievementIcon({ icon: notification.data.icon, iconType: notification.data.iconType }, 24);
+  }
+  return CATEGORY_ICONS[notification.category] || '🔔';
+}
+
+/**
+ * Nav bell: unread badge plus a dropdown of the latest notifications from the persistent inbox
+ */
+function NotificationBell() {
+  const navigate = useNavigate();
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+  const { data: unreadCount = 0 } = useUnreadNotificationCount();
+  const { data, isLoading } = useNotifications({ enabled: isOpen });
+  const markRead = useMarkNotificationsRead();
+  const markAllRead = useMarkAllNotificationsRead();
+
+  const notifications = data?.notifications || [];
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const handleNotificationClick = (notification) => {
+    if (!notification.isRead) {
+      markRead.mutate([notification.id]);
+    }
+    setIsOpen(false);
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  return (
+    <div className="notification-bell" ref={containerRef}>
+      <button
+        type="button"
+        className="notification-bell-btn"
+        onClick={() => setIsOpen(open => !open)}
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+        aria-expanded={isOpen}
+      >
+        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+          <path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"></path>
+          <path d="M13.73 21a2 2 0 0 1-3.46 0"></path>
+        </svg>
+        {unreadCount > 0 && (
+          <span className="notification-bell-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="notification-dropdown">
+          <div className="notification-dropdown-header">
+            <span className="notification-dropdown-title">Notifications</span>
+            {unreadCount > 0 && (
+              <button
+                type="button"
+                className="notification-mark-all"
+                onClick={() => markAllRead.mutate()}
+                disabled={markAllRead.isPending}
+              >
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {isLoading && <div className="notification-empty">Loading...</div>}
+
+          {!isLoading && notifications.length === 0 && (
+            <div className="notification-empty">You're all caught up.</div>
+          )}
+
+          {notifications.length > 0 && (
+            <ul className="notification-list">
+              {notifications.map(notification => (
+                <li key={notification.id}>
+                  <button
+                    type="button"
+                    className={`notification-item ${notification.isRead ? '' : 'unread'}`}
+                    onClick={() => handleNotificationClick(notification)}
+                  >
+                    <span className="notification-icon">{getNotificationIcon(notification)}</span>
+                    <span className="notification-content">
+                      <span className="notification-title">{notification.title}</span>
+                      {notification.body && <span className="notification-body">{notification.body}</span>}
+                      <span className="notification-time">{formatTimeAgo(notification.createdAt)}</span>
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationBell;
@@ -12,9 +12,12 @@ function InsightCards({ insights }) {
     consensusStats,
     rankRange, 
     trend, 
-    trendDescription 
+    trendDescription,
+    tasting
   } = insights;
 
+  const ratedDimensions = tasting?.dimensions?.filter(d => d.count > 0) || [];
+
   return (
     <div className="insights-row">
       {consensus && (
@@ -52,6 +55,19 @@ function InsightCards({ insights }) {
           )}
         </div>
       )}
+
+      {tasting?.summary && (
+        <div className="insight-card insight-card-wide card">
+          <div className="card-title">Community Says</div>
+          <div className="insight-value">{tasting.summary}</div>
+          <div className="insight-description">
+            {ratedDimensions.map(d => `${d.label} ${d.average}/5`).join(' • ')}
+          </div>
+          <div className="insight-metric">
+            From {tasting.raterCount} tasting {tasting.raterCount === 1 ? 'note' : 'notes'}
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,318 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { formatDistanceToNow } from 'date-fns';
+import toast from 'react-hot-toast';
+import { useAuthStore } from '../../store/authStore';
+import {
+  useProductComments,
+  usePostComment,
+  useEditComment,
+  useDeleteComment,
+  useToggleCommentUpvote,
+  useProductCommentsWebSocket,
+} from '../../hooks/useProductComments';
+import ReportButton from '../community/ReportButton';
+import { PRODUCT_COMMENTS } from '../../../shared/constants/productComments.mjs';
+import './ProductComments.css';
+
+const MAX_LOADED_THREADS = 100;
+
+function CommentForm({ initialBody = '', submitLabel, placeholder, isPending, onSubmit, onCancel, autoFocus = false }) {
+  const [body, setBody] = useState(initialBody);
+  const trimmed = body.trim();
+  const remaining = PRODUCT_COMMENTS.maxLength - body.length;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!trimmed || remaining < 0) return;
+    const saved = await onSubmit(trimmed);
+    if (saved && !initialBody) {
+      setBody('');
+    }
+  };
+
+  return (
+    <form className="comment-form" onSubmit={handleSubmit}>
+      <textarea
+        className="comment-input"
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        placeholder={placeholder}
+        rows={3}
+        autoFocus={autoFocus}
+      />
+      <div className="comment-form-footer">
+        <span className={`comment-char-count ${remaining < 0 ? 'over' : ''}`}>
+          {remaining < 100 ? remaining : ''}
+        </span>
+        {onCancel && (
+          <button type="button" className="comment-btn-secondary" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+        <button type="submit" className="comment-btn-primary" disabled={!trimmed || remaining < 0 || isPending}>
+          {isPending ? 'Posting...' : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function CommentAuthor({ author }) {
+  return (
+    <Link to={`/community/${author.id}`} className="comment-author">
+      <span className="comment-avatar">
+        {author.avatarUrl ? (
+          <img src={author.avatarUrl} alt={author.displayName} />
+        ) : (
+          <span>{author.initials}</span>
+        )}
+      </span>
+      <span className="comment-author-name">{author.displayName}</span>
+      {author.isVerifiedPurchaser && (
+        <span className="comment-badge verified" title="Has purchased this flavor">✓ Verified Purchaser</span>
+      )}
+      {author.isEmployee && (
+        <span className="comment-badge staff">Jerky.com</span>
+      )}
+    </Link>
+  );
+}
+
+function CommentItem({ comment, productId, viewer, threadLocked }) {
+  const { user, isAuthenticated } = useAuthStore();
+  const [isReplying, setIsReplying] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const postComment = usePostComment(productId);
+  const editComment = useEditComment(productId);
+  const deleteComment = useDeleteComment(productId);
+  const toggleUpvote = useToggleCommentUpvote(productId);
+
+  const isOwn = !comment.isDeleted && comment.author?.id === user?.id;
+  const canReply = viewer.canComment && !comment.isDeleted && !threadLocked && comment.depth < PRODUCT_COMMENTS.maxDepth;
+  const canUpvote = isAuthenticated && viewer.canComment && !comment.isDeleted && !isOwn;
+
+  const handleReply = async (body) => {
+    try {
+      await postComment.mutateAsync({ body, parentId: comment.id });
+      setIsReplying(false);
+      return true;
+    } catch (error) {
+      toast.error(error.message || 'Failed to post reply');
+      return false;
+    }
+  };
+
+  const handleEdit = async (body) => {
+    try {
+      await editComment.mutateAsync({ commentId: comment.id, body });
+      setIsEditing(false);
+      return true;
+    } catch (error) {
+      toast.error(error.message || 'Failed to edit comment');
+      return false;
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this comment? Replies to it will stay.')) return;
+    try {
+      await deleteComment.mutateAsync(comment.id);
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete comment');
+    }
+  };
+
+  const handleUpvote = async () => {
+    try {
+      await toggleUpvote.mutateAsync({ commentId: comment.id, upvote: !comment.hasUpvoted });
+    } catch (error) {
+      toast.error(error.message || 'Failed to update vote');
+    }
+  };
+
+  return (
+    <li className="comment" id={`comment-${comment.id}`}>
+      <div className="comment-header">
+        {comment.isDeleted ? (
+          <span className="comment-deleted-label">[deleted]</span>
+        ) : (
+          <CommentAuthor author={comment.author} />
+        )}
+        <span className="comment-time">
+          {formatDistanceToNow(new Date(comment.createdAt), { addSuffix: true })}
+          {comment.isEdited && !comment.isDeleted && ' · edited'}
+        </span>
+      </div>
+
+      {isEditing ? (
+        <CommentForm
+          initialBody={comment.body}
+          submitLabel="Save"
+          isPending={editComment.isPending}
+          onSubmit={handleEdit}
+          onCancel={() => setIsEditing(false)}
+          autoFocus
+        />
+      ) : (
+        <p className={`comment-body ${comment.isDeleted ? 'deleted' : ''}`}>
+          {comment.isDeleted ? 'This comment was deleted.' : comment.body}
+        </p>
+      )}
+
+      {!comment.isDeleted && !isEditing && (
+        <div className="comment-actions">
+          <button
+            type="button"
+            className={`comment-upvote ${comment.hasUpvoted ? 'active' : ''}`}
+            onClick={handleUpvote}
+            disabled={!canUpvote || toggleUpvote.isPending}
+            title={isOwn ? 'You can\'t upvote your own comment' : undefined}
+          >
+            ▲ {comment.upvoteCount}
+          </button>
+          {canReply && (
+            <button type="button" className="comment-action" onClick={() => setIsReplying(!isReplying)}>
+              Reply
+            </button>
+          )}
+          {isOwn && viewer.canComment && (
+            <button type="button" className="comment-action" onClick={() => setIsEditing(true)}>
+              Edit
+            </button>
+          )}
+          {isOwn && (
+            <button type="button" className="comment-action danger" onClick={handleDelete} disabled={deleteComment.isPending}>
+              Delete
+            </button>
+          )}
+          <ReportButton targetType="comment" targetId={comment.id} ownerId={comment.author.id} />
+        </div>
+      )}
+
+      {isReplying && (
+        <CommentForm
+          submitLabel="Reply"
+          placeholder={`Reply to ${comment.author.displayName}...`}
+          isPending={postComment.isPending}
+          onSubmit={handleReply}
+          onCancel={() => setIsReplying(false)}
+          autoFocus
+        />
+      )}
+
+      {comment.replies?.length > 0 && (
+        <ul className="comment-replies">
+          {comment.replies.map(reply => (
+            <CommentItem
+              key={reply.id}
+              comment={reply}
+              productId={productId}
+              viewer={viewer}
+              threadLocked={threadLocked}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+function ProductComments({ productId }) {
+  const { isAuthenticated } = useAuthStore();
+  const [sort, setSort] = useState('top');
+  const [limit, setLimit] = useState(PRODUCT_COMMENTS.pageSize);
+  const { data, isLoading } = useProductComments(productId, { sort, limit });
+  const postComment = usePostComment(productId);
+
+  useProductCommentsWebSocket(productId);
+
+  const viewer = data?.viewer || { canComment: false, isBanned: false };
+  const comments = data?.comments || [];
+
+  const handlePost = async (body) => {
+    try {
+      await postComment.mutateAsync({ body });
+      return true;
+    } catch (error) {
+      toast.error(error.message || 'Failed to post comment');
+      return false;
+    }
+  };
+
+  return (
+    <div className="comments-section card">
+      <div className="comments-header">
+        <div className="card-title">
+          Comments{data?.total > 0 && <span className="comments-count"> ({data.total})</span>}
+        </div>
+        <div className="comments-sort">
+          {PRODUCT_COMMENTS.sorts.map(option => (
+            <button
+              key={option}
+              type="button"
+              className={`comments-sort-btn ${sort === option ? 'active' : ''}`}
+              onClick={() => setSort(option)}
+            >
+              {option === 'top' ? 'Top' : 'New'}
+            </button>
+          ))}
+        </div>
+      </div>
+      <p className="section-subtext">
+        What do you think of this flavor? Verified purchasers have bought it from Jerky.com.
+      </p>
+
+      {!isAuthenticated ? (
+        <div className="comments-notice">
+          <Link to="/login">Log in</Link> to join the conversation.
+        </div>
+      ) : viewer.isBanned ? (
+        <div className="comments-notice">
+          You've been banned from commenting. You can still read the conversation.
+        </div>
+      ) : (
+        <CommentForm
+          submitLabel="Post"
+          placeholder="Share your take on this flavor..."
+          isPending={postComment.isPending}
+          onSubmit={handlePost}
+        />
+      )}
+
+      {isLoading ? (
+        <div className="comments-empty">Loading comments...</div>
+      ) : comments.length === 0 ? (
+        <div className="comments-empty">No comments yet. Be the first!</div>
+      ) : (
+        <ul className="comment-threads">
+          {comments.map(comment => (
+            <React.Fragment key={comment.id}>
+              <CommentItem
+                comment={comment}
+                productId={productId}
+                viewer={viewer}
+                threadLocked={comment.isLocked}
+              />
+              {comment.isLocked && (
+                <li className="comments-locked-notice">🔒 This thread has been locked by a moderator. No new replies.</li>
+              )}
+            </React.Fragment>
+          ))}
+        </ul>
+      )}
+
+      {data?.hasMore && limit < MAX_LOADED_THREADS && (
+        <button
+          type="button"
+          className="comments-load-more"
+          onClick={() => setLimit(Math.min(limit + PRODUCT_COMMENTS.pageSize, MAX_LOADED_THREADS))}
+        >
+          Show more comments
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default ProductComments;
@@ -0,0 +1,73 @@
+import React from 'react';
+import toast from 'react-hot-toast';
+import { useLevel, usePrestige } from '../../hooks/useGamification';
+import LevelBadge from '../common/LevelBadge';
+import './LevelCard.css';
+
+/**
+ * Current level, XP progress and the prestige reset (profile page)
+ * Prestige restarts levels at 1 for a star; coins and points are kept
+ */
+function LevelCard() {
+  const { data, isLoading } = useLevel();
+  const prestigeMutation = usePrestige();
+
+  if (isLoading || !data?.level) {
+    return null;
+  }
+
+  const { level, prestigeMinLevel } = data;
+  const xpIntoLevel = level.xp - level.currentLevelXp;
+  const xpForLevel = level.nextLevelXp - level.currentLevelXp;
+
+  const handlePrestige = async () => {
+    const confirmed = window.confirm(
+      `Prestige resets your level from ${level.level} back to 1 and adds a prestige star. Your coins and points stay. Continue?`
+    );
+    if (!confirmed) return;
+
+    try {
+      const updated = await prestigeMutation.mutateAsync();
+      toast.success(`Prestige ${updated.prestige} unlocked!`);
+    } catch (error) {
+      console.error('Error prestiging:', error);
+      toast.error(error.message || 'Failed to prestige');
+    }
+  };
+
+  return (
+    <div className="level-card">
+      <div className="level-card-header">
+        <h2 className="level-card-title">Level</h2>
+        <LevelBadge level={level.level} prestige={level.prestige} size="large" />
+      </div>
+
+      <div className="level-card-progress" role="progressbar" aria-valuemin={0} aria-valuemax={100} aria-valuenow={level.progressPercentage}>
+        <div className="level-card-progress-fill" style={{ width: `${level.progressPercentage}%` }} />
+      </div>
+      <p className="level-card-caption">
+        {xpIntoLevel} / {xpForLevel} XP to level {level.level + 1}
+        <span className="level-card-total"> · {level.totalXp} XP total from coin points and activity</span>
+      </p>
+
+      <div className="level-card-prestige">
+        {level.canPrestige ? (
+          <button
+            type="button"
+            className="btn level-card-prestige-btn"
+            onClick={handlePrestige}
+            disabled={prestigeMutation.isPending}
+          >
+            {prestigeMutation.isPending ? 'Prestiging...' : `Prestige to ★${level.prestige + 1}`}
+          </button>
+        ) : (
+          <p className="level-card-caption">
+            Prestige unlocks at level {prestigeMinLevel}. It restarts your level for a star and keeps your coins.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default LevelCard;
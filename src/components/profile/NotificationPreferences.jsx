@@ -0,0 +1,97 @@
+import React from 'react';
+import toast from 'react-hot-toast';
+import {
+  useNotificationPreferences,
+  useUpdateNotificationPreferences,
+  useEmailDigest,
+  useUpdateEmailDigest
+} from '../../hooks/useNotifications';
+import './NotificationPreferences.css';
+
+/**
+ * Per-category notification switches (profile page)
+ * A switched-off category is neither stored in the inbox nor shown in the nav bell.
+ * The weekly digest email is opt-in and managed here too.
+ */
+function NotificationPreferences() {
+  const { data, isLoading } = useNotificationPreferences();
+  const updatePreferences = useUpdateNotificationPreferences();
+  const { data: emailDigest } = useEmailDigest();
+  const updateEmailDigest = useUpdateEmailDigest();
+
+  if (isLoading || !data) {
+    return null;
+  }
+
+  const { preferences, categories } = data;
+
+  const handleToggle = async (category) => {
+    try {
+      await updatePreferences.mutateAsync({ [category]: !preferences[category] });
+    } catch (error) {
+      console.error('Error updating notification preferences:', error);
+      toast.error(error.message || 'Failed to update notification preferences');
+    }
+  };
+
+  const handleDigestToggle = async () => {
+    try {
+      await updateEmailDigest.mutateAsync(!emailDigest.enabled);
+    } catch (error) {
+      console.error('Error updating email digest:', error);
+      toast.error(error.message || 'Failed to update email digest');
+    }
+  };
+
+  return (
+    <div className="notification-preferences">
+      <h2 className="notification-preferences-title">Notifications</h2>
+      <p className="notification-preferences-caption">Choose what shows up in your notification bell.</p>
+
+      <ul className="notification-preferences-list">
+        {Object.entries(categories).map(([category, { label, description }]) => (
+          <li key={category} className="notification-preferences-item">
+            <label className="notification-preferences-label" htmlFor={`notify-${category}`}>
+              <span className="notification-preferences-name">{label}</span>
+              <span className="notification-preferences-description">{description}</span>
+            </label>
+            <input
+              id={`notify-${category}`}
+              type="checkbox"
+              className="notification-preferences-toggle"
+              checked={preferences[category]}
+              onChange={() => handleToggle(category)}
+              disabled={updatePreferences.isPending}
+            />
+          </li>
+        ))}
+      </ul>
+
+      {emailDigest && (
+        <>
+          <h3 className="notification-preferences-subtitle">Email</h3>
+          <ul className="notification-preferences-list">
+            <li className="notification-preferences-item">
+              <label className="notification-preferences-label" htmlFor="notify-email-digest">
+                <span className="notification-preferences-name">Weekly digest</span>
+                <span className="notification-preferences-description">
+                  Your streak, new coins, picks from your taste twins and leaderboard movement, every Monday.
+                </span>
+              </label>
+              <input
+                id="notify-email-digest"
+                type="checkbox"
+                className="notification-preferences-toggle"
+                checked={emailDigest.enabled}
+                onChange={handleDigestToggle}
+                disabled={updateEmailDigest.isPending}
+              />
+            </li>
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default NotificationPreferences;
@@ -1,5 +1,6 @@
 import React from 'react';
 import ProductPodium from './ProductPodium';
+import LevelBadge from '../common/LevelBadge';
 import './ProfileHero.css';
 
 /**
@@ -110,6 +111,7 @@ function ProfileHero({ user, topProducts }) {
             <div className="profile-journey-badge">
               <span className="journey-label">{stageConfig.label}</span>
             </div>
+            <LevelBadge level={user.level?.level} prestige={user.level?.prestige} />
             
             <h1 className="profile-display-name">{getDisplayName()}</h1>
             <p className="profile-narrative">{getNarrativeSubline()}</p>
@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useRankingTimeline, useRankingSnapshot } from '../../hooks/useRankingHistory';
+import './RankingTimeline.css';
+
+const RANGES = [
+  { label: '30 days', days: 30 },
+  { label: '90 days', days: 90 },
+  { label: '1 year', days: 365 },
+];
+
+const SPARK_WIDTH = 160;
+const SPARK_HEIGHT = 36;
+
+/**
+ * Sparkline of a product's position over time
+ * Position 1 is drawn at the top; gaps (not ranked) break the line
+ */
+function PositionSparkline({ series, maxPosition }) {
+  if (series.length < 2) return null;
+
+  const stepX = SPARK_WIDTH / (series.length - 1);
+  const toY = (position) => maxPosition <= 1
+    ? SPARK_HEIGHT / 2
+    : 4 + ((position - 1) / (maxPosition - 1)) * (SPARK_HEIGHT - 8);
+
+  const segments = [];
+  let current = [];
+  series.forEach((position, i) => {
+    if (position === null) {
+      if (current.length) segments.push(current);
+      current = [];
+    } else {
+      current.push(`${(i * stepX).toFixed(1)},${toY(position).toFixed(1)}`);
+    }
+  });
+  if (current.length) segments.push(current);
+
+  return (
+    <svg className="ranking-timeline-spark" width={SPARK_WIDTH} height={SPARK_HEIGHT} viewBox={`0 0 ${SPARK_WIDTH} ${SPARK_HEIGHT}`}>
+      {segments.map((points, i) => (
+        points.length === 1
+          ? <circle key={i} cx={points[0].split(',')[0]} cy={points[0].split(',')[1]} r="2.5" />
+          : <polyline key={i} points={points.join(' ')} />
+      ))}
+    </svg>
+  );
+}
+
+function ChangeBadge({ product }) {
+  if (product.currentPosition === null) {
+    return <span className="ranking-change ranking-change-out">Dropped</span>;
+  }
+  if (product.startPosition === null) {
+    return <span className="ranking-change ranking-change-new">New</span>;
+  }
+  if (product.change > 0) {
+    return <span className="ranking-change ranking-change-up">▲ {product.change}</span>;
+  }
+  if (product.change < 0) {
+    return <span className="ranking-change ranking-change-down">▼ {Math.abs(product.change)}</span>;
+  }
+  return <span className="ranking-change">–</span>;
+}
+
+/**
+ * RankingTimeline - "My ranking over time" card for the profile page
+ * Shows how the user's top products climbed and fell, plus a time-travel snapshot picker
+ */
+function RankingTimeline() {
+  const [days, setDays] = useState(90);
+  const [travelDate, setTravelDate] = useState('');
+  const { data: timeline, isLoading } = useRankingTimeline({ days });
+  // Snapshot at the end of the chosen day so that day's changes are included
+  const { data: snapshot, isFetching: isSnapshotLoading } = useRankingSnapshot(
+    travelDate ? `${travelDate}T23:59:59Z` : null
+  );
+
+  const products = timeline?.products || [];
+  const maxPosition = Math.max(1, ...products.flatMap(p => p.series.filter(pos => pos !== null)));
+  const today = new Date().toISOString().slice(0, 10);
+
+  return (
+    <div className="ranking-timeline">
+      <div className="ranking-timeline-header">
+        <h2 className="ranking-timeline-title">My Ranking Over Time</h2>
+        <div className="ranking-timeline-ranges">
+          {RANGES.map(range => (
+            <button
+              key={range.days}
+              type="button"
+              className={`ranking-timeline-range ${days === range.days ? 'active' : ''}`}
+              onClick={() => setDays(range.days)}
+            >
+              {range.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {isLoading && <p className="ranking-timeline-empty">Loading your history...</p>}
+
+      {!isLoading && products.length === 0 && (
+        <p className="ranking-timeline-empty">
+          No ranking history yet. <Link to="/rank">Rank some flavors</Link> and check back to see them climb.
+        </p>
+      )}
+
+      {products.length > 0 && (
+        <>
+          <p className="ranking-timeline-range-label">Since {timeline.since}</p>
+          <ul className="ranking-timeline-list">
+            {products.map(product => (
+              <li key={product.productId} className="ranking-timeline-row">
+                <span className="ranking-timeline-position">
+                  {product.currentPosition !== null ? `#${product.currentPosition}` : '—'}
+                </span>
+                <Link to={`/flavors/${product.productId}`} className="ranking-timeline-product">
+                  {product.title}
+                </Link>
+                <PositionSparkline series={product.series} maxPosition={maxPosition} />
+                <ChangeBadge product={product} />
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <div className="ranking-timeline-travel">
+        <label htmlFor="ranking-travel-date">See my list as it was on</label>
+        <input
+          id="ranking-travel-date"
+          type="date"
+          className="ranking-timeline-date"
+          value={travelDate}
+          max={today}
+          onChange={(e) => setTravelDate(e.target.value)}
+        />
+        {travelDate && (
+          <button type="button" className="ranking-timeline-range" onClick={() => setTravelDate('')}>
+            Clear
+          </button>
+        )}
+      </div>
+
+      {travelDate && (
+        <div className="ranking-timeline-snapshot">
+          {isSnapshotLoading && <p className="ranking-timeline-empty">Rewinding...</p>}
+          {!isSnapshotLoading && snapshot && snapshot.rankings.length === 0 && (
+            <p className="ranking-timeline-empty">You hadn't ranked anything yet on {travelDate}.</p>
+          )}
+          {!isSnapshotLoading && snapshot && snapshot.rankings.length > 0 && (
+            <ol className="ranking-timeline-snapshot-list">
+              {snapshot.rankings.slice(0, 10).map(r => (
+                <li key={r.productId}>
+                  <span className="ranking-timeline-position">#{r.ranking}</span> {r.title || 'Unknown Product'}
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RankingTimeline;
@@ -11,7 +11,8 @@ export function FlavorCard({
   isDragging, 
   variant = 'unranked', // 'unranked' or 'ranked'
   rankNumber = null,
-  onRankClick 
+  onRankClick,
+  predictedPosition = null // Taste-twin prediction of where this product lands in the user's list
 }) {
   const { attributes, listeners, setNodeRef } = useDraggable({
     id: variant === 'ranked' ? `draggable-slot-${rankNumber}` : `product-${product.id}`,
@@ -66,6 +67,11 @@ export function FlavorCard({
       <div className="flavor-info">
         <div className="flavor-name">{product.title}</div>
         <div className="meat-chip">{meatType}</div>
+        {predictedPosition && (
+          <div className="fit-chip" title="Predicted from users who rank like you">
+            Likely #{predictedPosition}
+          </div>
+        )}
       </div>
 
       {/* View Icon - Links to product detail page */}
@@ -1,12 +1,19 @@
+import { useState } from 'react';
 import { useDroppable, useDraggable } from '@dnd-kit/core';
 import { Link } from 'react-router-dom';
+import { TastingNoteEditor } from './TastingNoteEditor';
 import './RankedFlavorItem.css';
 
 /**
  * Ranked flavor item with rank number displayed outside the card
  * Matches mockup design while supporting drag-and-drop
+ * Tasting notes open in an editor below the card (outside the drag handle area)
  */
-export function RankedFlavorItem({ position, product, isDragging }) {
+export function RankedFlavorItem({ position, product, isDragging, note, onSaveNote }) {
+  const [isEditingNote, setIsEditingNote] = useState(false);
+  const [isSavingNote, setIsSavingNote] = useState(false);
+  const [noteError, setNoteError] = useState(null);
+
   const { setNodeRef: setDropRef, isOver } = useDroppable({
     id: `slot-${position}`
   });
@@ -48,6 +55,22 @@ export function RankedFlavorItem({ position, product, isDragging }) {
   const icon = getFlavorIcon();
   const meatType = product.animalDisplay || product.animalType || 'Unknown';
 
+  const handleSaveNote = async (data) => {
+    setIsSavingNote(true);
+    setNoteError(null);
+    try {
+      await onSaveNote(product, data);
+      setIsEditingNote(false);
+    } catch (error) {
+      // 404 means the ranking itself hasn't reached the server yet
+      setNoteError(error.status === 404
+        ? 'Still saving this ranking - try again in a moment.'
+        : error.message || 'Failed to save notes');
+    } finally {
+      setIsSavingNote(false);
+    }
+  };
+
   return (
     <div
       ref={setDropRef}
@@ -88,6 +111,31 @@ export function RankedFlavorItem({ position, product, isDragging }) {
           →
         </Link>
       </div>
+
+      {onSaveNote && (
+        <button
+          type="button"
+          className={`note-toggle ${note ? 'has-note' : ''}`}
+          onClick={() => setIsEditingNote(open => !open)}
+          aria-expanded={isEditingNote}
+          aria-label={note ? `Edit tasting notes for ${product.title}` : `Add tasting notes for ${product.title}`}
+          title={note ? 'Edit tasting notes' : 'Add tasting notes'}
+        >
+          ✎
+        </button>
+      )}
+
+      {isEditingNote && (
+        <div className="ranked-item-notes">
+          <TastingNoteEditor
+            note={note}
+            onSave={handleSaveNote}
+            onCancel={() => setIsEditingNote(false)}
+            isSaving={isSavingNote}
+            error={noteError}
+          />
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,193 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  useRankingLists,
+  useCreateRankingList,
+  useUpdateRankingList,
+  useDuplicateRankingList,
+  useDeleteRankingList
+} from '../../hooks/useRankingLists';
+import ConfirmationModal from '../ConfirmationModal';
+import './RankingListSwitcher.css';
+
+/**
+ * RankingListSwitcher - Select, create, rename, duplicate, share and delete ranking lists
+ * Only the primary list counts toward coins, streaks and the leaderboard
+ */
+export function RankingListSwitcher({ activeListId, onChange, userId }) {
+  const { data: lists = [] } = useRankingLists();
+  const createList = useCreateRankingList();
+  const updateList = useUpdateRankingList();
+  const duplicateList = useDuplicateRankingList();
+  const deleteList = useDeleteRankingList();
+
+  const [formMode, setFormMode] = useState(null); // null, 'create', 'rename'
+  const [nameInput, setNameInput] = useState('');
+  const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
+  const [error, setError] = useState(null);
+
+  const activeList = lists.find(l => l.listId === activeListId) || lists[0];
+  const isBusy = createList.isPending || updateList.isPending || duplicateList.isPending || deleteList.isPending;
+
+  const openForm = (mode) => {
+    setError(null);
+    setFormMode(mode);
+    setNameInput(mode === 'rename' ? activeList?.name || '' : '');
+  };
+
+  const closeForm = () => {
+    setFormMode(null);
+    setNameInput('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    try {
+      if (formMode === 'create') {
+        const list = await createList.mutateAsync({ name: nameInput });
+        onChange(list.listId);
+      } else if (formMode === 'rename' && activeList) {
+        await updateList.mutateAsync({ listId: activeList.listId, name: nameInput });
+      }
+      closeForm();
+    } catch (err) {
+      setError(err.message || 'Failed to save list');
+    }
+  };
+
+  const handleDuplicate = async () => {
+    if (!activeList) return;
+    setError(null);
+
+    try {
+      const list = await duplicateList.mutateAsync({ listId: activeList.listId });
+      onChange(list.listId);
+    } catch (err) {
+      setError(err.message || 'Failed to duplicate list');
+    }
+  };
+
+  const handleToggleVisibility = async () => {
+    if (!activeList) return;
+    setError(null);
+
+    try {
+      await updateList.mutateAsync({
+        listId: activeList.listId,
+        visibility: activeList.visibility === 'public' ? 'private' : 'public'
+      });
+    } catch (err) {
+      setError(err.message || 'Failed to update visibility');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!activeList || activeList.isPrimary) return;
+    setError(null);
+
+    try {
+      await deleteList.mutateAsync({ listId: activeList.listId });
+      onChange('default');
+    } catch (err) {
+      setError(err.message || 'Failed to delete list');
+    }
+  };
+
+  if (lists.length === 0) return null;
+
+  return (
+    <div className="ranking-list-switcher">
+      <div className="ranking-list-switcher-row">
+        <label className="ranking-list-label" htmlFor="ranking-list-select">List</label>
+        <select
+          id="ranking-list-select"
+          className="ranking-list-select"
+          value={activeList?.listId || 'default'}
+          onChange={(e) => onChange(e.target.value)}
+          disabled={isBusy}
+        >
+          {lists.map(list => (
+            <option key={list.listId} value={list.listId}>
+              {list.isPrimary ? '⭐ ' : ''}{list.name} ({list.productCount})
+            </option>
+          ))}
+        </select>
+
+        <div className="ranking-list-actions">
+          <button type="button" className="ranking-list-button" onClick={() => openForm('create')} disabled={isBusy}>
+            + New
+          </button>
+          <button type="button" className="ranking-list-button" onClick={() => openForm('rename')} disabled={isBusy}>
+            Rename
+          </button>
+          <button type="button" className="ranking-list-button" onClick={handleDuplicate} disabled={isBusy}>
+            Duplicate
+          </button>
+          <button
+            type="button"
+            className="ranking-list-button"
+            onClick={handleToggleVisibility}
+            disabled={isBusy}
+            title={activeList?.visibility === 'public' ? 'Visible on your public profile' : 'Only visible to you'}
+          >
+            {activeList?.visibility === 'public' ? '🌐 Public' : '🔒 Private'}
+          </button>
+          {activeList?.visibility === 'public' && userId && (
+            <Link to={`/community/${userId}/lists/${activeList.listId}`} className="ranking-list-button">
+              View
+            </Link>
+          )}
+          {activeList && !activeList.isPrimary && (
+            <button
+              type="button"
+              className="ranking-list-button ranking-list-button-danger"
+              onClick={() => setIsDeleteModalOpen(true)}
+              disabled={isBusy}
+            >
+              Delete
+            </button>
+          )}
+        </div>
+      </div>
+
+      {formMode && (
+        <form className="ranking-list-form" onSubmit={handleSubmit}>
+          <input
+            type="text"
+            className="ranking-list-input"
+            placeholder={formMode === 'create' ? 'e.g. Spicy Top 10' : 'List name'}
+            value={nameInput}
+            onChange={(e) => setNameInput(e.target.value)}
+            maxLength={60}
+            autoFocus
+          />
+          <button type="submit" className="ranking-list-button" disabled={isBusy || !nameInput.trim()}>
+            {formMode === 'create' ? 'Create' : 'Save'}
+          </button>
+          <button type="button" className="ranking-list-button" onClick={closeForm}>
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {activeList && !activeList.isPrimary && (
+        <p className="ranking-list-hint">
+          Only your primary list counts toward coins, streaks and the leaderboard.
+        </p>
+      )}
+
+      {error && <p className="ranking-list-error">{error}</p>}
+
+      <ConfirmationModal
+        isOpen={isDeleteModalOpen}
+        onClose={() => setIsDeleteModalOpen(false)}
+        onConfirm={handleDelete}
+        title="Delete List"
+        message={`Delete "${activeList?.name}" and its ${activeList?.productCount || 0} ranking(s)? This cannot be undone.`}
+        confirmButtonText="Delete List"
+      />
+    </div>
+  );
+}
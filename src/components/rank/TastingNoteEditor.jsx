@@ -0,0 +1,89 @@
+import { useState } from 'react';
+import { TASTING_SCORES } from '../../../shared/constants/tastingScores.mjs';
+import './TastingNote.css';
+
+const SCALE = Array.from(
+  { length: TASTING_SCORES.max - TASTING_SCORES.min + 1 },
+  (_, i) => TASTING_SCORES.min + i
+);
+
+function emptySubScores() {
+  return Object.fromEntries(TASTING_SCORES.dimensions.map(d => [d.key, null]));
+}
+
+/**
+ * TastingNoteEditor - Notes plus 1-5 sub-scores for one ranked product
+ * Clicking the selected score again clears it; saving an empty note removes it
+ */
+export function TastingNoteEditor({ note, onSave, onCancel, isSaving, error }) {
+  const [notes, setNotes] = useState(note?.notes || '');
+  const [subScores, setSubScores] = useState({ ...emptySubScores(), ...note?.subScores });
+
+  const toggleScore = (key, value) => {
+    setSubScores(prev => ({ ...prev, [key]: prev[key] === value ? null : value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({ notes: notes.trim(), subScores });
+  };
+
+  const handleClear = () => {
+    setNotes('');
+    setSubScores(emptySubScores());
+    onSave({ notes: '', subScores: emptySubScores() });
+  };
+
+  return (
+    <form className="tasting-note-editor" onSubmit={handleSubmit}>
+      {TASTING_SCORES.dimensions.map(({ key, label, descriptors }) => (
+        <div key={key} className="tasting-score-row">
+          <span className="tasting-score-label">{label}</span>
+          <div className="tasting-score-scale" role="radiogroup" aria-label={label}>
+            {SCALE.map(value => (
+              <button
+                key={value}
+                type="button"
+                role="radio"
+                aria-checked={subScores[key] === value}
+                title={descriptors[value - TASTING_SCORES.min]}
+                className={`tasting-score-pip ${subScores[key] === value ? 'selected' : ''}`}
+                onClick={() => toggleScore(key, value)}
+              >
+                {value}
+              </button>
+            ))}
+          </div>
+          <span className="tasting-score-descriptor">
+            {subScores[key] ? descriptors[subScores[key] - TASTING_SCORES.min] : ''}
+          </span>
+        </div>
+      ))}
+
+      <textarea
+        className="tasting-note-text"
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        placeholder="What stood out? Texture, finish, what you'd pair it with..."
+        maxLength={1000}
+        rows={3}
+      />
+
+      {error && <p className="tasting-note-error">{error}</p>}
+
+      <div className="tasting-note-actions">
+        <button type="submit" className="tasting-note-button primary" disabled={isSaving}>
+          {isSaving ? 'Saving...' : 'Save Notes'}
+        </button>
+        {note && (
+          <button type="button" className="tasting-note-button" onClick={handleClear} disabled={isSaving}>
+            Clear
+          </button>
+        )}
+        <button type="button" className="tasting-note-button" onClick={onCancel} disabled={isSaving}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
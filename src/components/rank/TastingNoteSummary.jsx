@@ -0,0 +1,29 @@
+import { TASTING_SCORES } from '../../../shared/constants/tastingScores.mjs';
+import './TastingNote.css';
+
+/**
+ * TastingNoteSummary - Read-only chips for a ranking's sub-scores plus its notes
+ */
+export function TastingNoteSummary({ note }) {
+  if (!note) return null;
+
+  const scored = TASTING_SCORES.dimensions.filter(d => note.subScores?.[d.key]);
+
+  return (
+    <div className="tasting-note-summary">
+      {scored.length > 0 && (
+        <div className="tasting-note-chips">
+          {scored.map(({ key, label, descriptors }) => {
+            const value = note.subScores[key];
+            return (
+              <span key={key} className="tasting-note-chip" title={`${label}: ${value}/${TASTING_SCORES.max}`}>
+                {descriptors[value - TASTING_SCORES.min]}
+              </span>
+            );
+          })}
+        </div>
+      )}
+      {note.notes && <p className="tasting-note-quote">“{note.notes}”</p>}
+    </div>
+  );
+}
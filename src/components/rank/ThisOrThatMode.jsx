@@ -0,0 +1,196 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  createInsertionState,
+  isInsertionComplete,
+  getComparisonIndex,
+  applyAnswer,
+  getRemainingQuestions,
+  getInsertionPosition
+} from '../../utils/binaryInsertion';
+import './ThisOrThatMode.css';
+
+function ProductChoice({ product, label, hotkey, onChoose }) {
+  const icon = product.flavorIcon || product.animalIcon || product.title?.charAt(0) || '?';
+
+  return (
+    <button type="button" className="tot-choice" onClick={onChoose}>
+      <span className="tot-choice-label">{label}</span>
+      <span className="tot-choice-coin">{icon}</span>
+      <span className="tot-choice-title">{product.title}</span>
+      <span className="tot-choice-meta">{product.animalDisplay || product.animalType || product.vendor || ''}</span>
+      <span className="tot-choice-hotkey">{hotkey}</span>
+    </button>
+  );
+}
+
+/**
+ * ThisOrThatMode - Pairwise ranking alternative to drag-and-drop
+ * Places one unranked product at a time using binary insertion (≈log2(n) questions),
+ * then commits through the same insertRanking path so saves go through PersistentQueue
+ */
+export function ThisOrThatMode({ candidates, rankedProducts, onInsert }) {
+  const [activeProductId, setActiveProductId] = useState(null);
+  const [sortedSnapshot, setSortedSnapshot] = useState([]);
+  const [search, setSearch] = useState(null);
+  const [history, setHistory] = useState([]); // Previous search states for undo
+  const [skippedIds, setSkippedIds] = useState([]);
+  const [lastPlaced, setLastPlaced] = useState(null);
+
+  const activeProduct = useMemo(
+    () => candidates.find(p => p.id === activeProductId) || null,
+    [candidates, activeProductId]
+  );
+
+  // Start a new search for a product against a frozen copy of the ranked list
+  const startProduct = useCallback((product) => {
+    const sorted = [...rankedProducts].sort((a, b) => a.ranking - b.ranking);
+    setActiveProductId(product?.id || null);
+    setSortedSnapshot(sorted);
+    setSearch(product ? createInsertionState(sorted.length) : null);
+    setHistory([]);
+  }, [rankedProducts]);
+
+  // Pick the next candidate when nothing is active (first load, after placing, or after a list switch)
+  useEffect(() => {
+    if (activeProduct) return;
+    const next = candidates.find(p => !skippedIds.includes(p.id)) || candidates[0] || null;
+    startProduct(next);
+  }, [activeProduct, candidates, skippedIds, startProduct]);
+
+  const commitPlacement = useCallback((finalState) => {
+    const position = getInsertionPosition(sortedSnapshot, finalState.low);
+    onInsert(activeProduct, position);
+    setLastPlaced({ title: activeProduct.title, position });
+    setActiveProductId(null);
+  }, [sortedSnapshot, activeProduct, onInsert]);
+
+  const handleAnswer = useCallback((prefersNewProduct) => {
+    if (!search || isInsertionComplete(search)) return;
+    const nextState = applyAnswer(search, prefersNewProduct);
+    setHistory(prev => [...prev, search]);
+    setSearch(nextState);
+    if (isInsertionComplete(nextState)) {
+      commitPlacement(nextState);
+    }
+  }, [search, commitPlacement]);
+
+  const handleUndo = () => {
+    if (history.length === 0) return;
+    setSearch(history[history.length - 1]);
+    setHistory(prev => prev.slice(0, -1));
+  };
+
+  const handleSkip = () => {
+    if (!activeProduct) return;
+    const remaining = candidates.filter(p => p.id !== activeProduct.id && !skippedIds.includes(p.id));
+    // Once everything has been skipped, start the rotation over
+    setSkippedIds(remaining.length === 0 ? [] : [...skippedIds, activeProduct.id]);
+    setActiveProductId(null);
+  };
+
+  const handleSelectProduct = (e) => {
+    const product = candidates.find(p => p.id === e.target.value);
+    if (product) startProduct(product);
+  };
+
+  // Keyboard shortcuts: ← picks the new product, → picks the ranked one, Backspace undoes
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+      if (e.key === 'ArrowLeft') handleAnswer(true);
+      if (e.key === 'ArrowRight') handleAnswer(false);
+      if (e.key === 'Backspace' && history.length > 0) {
+        e.preventDefault();
+        handleUndo();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [handleAnswer, history]);
+
+  if (candidates.length === 0) {
+    return (
+      <div className="tot-panel">
+        <div className="empty-state">
+          <div className="empty-state-icon">✓</div>
+          <div className="empty-state-text">Nothing left to place. Every matching product is ranked!</div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!activeProduct || !search) {
+    return null;
+  }
+
+  const needsComparison = !isInsertionComplete(search);
+  const opponent = needsComparison ? sortedSnapshot[getComparisonIndex(search)] : null;
+  const questionNumber = history.length + 1;
+  const maxQuestions = history.length + getRemainingQuestions(search);
+
+  return (
+    <div className="tot-panel">
+      <div className="tot-header">
+        <div className="tot-placing">
+          <label htmlFor="tot-product-select">Placing</label>
+          <select
+            id="tot-product-select"
+            className="tot-select"
+            value={activeProduct.id}
+            onChange={handleSelectProduct}
+          >
+            {candidates.map(p => (
+              <option key={p.id} value={p.id}>{p.title}</option>
+            ))}
+          </select>
+        </div>
+        {needsComparison && (
+          <span className="tot-progress">Question {questionNumber} of {maxQuestions} at most</span>
+        )}
+      </div>
+
+      {needsComparison ? (
+        <>
+          <h3 className="tot-question">Which do you like more?</h3>
+          <div className="tot-choices">
+            <ProductChoice
+              product={activeProduct}
+              label="New"
+              hotkey="←"
+              onChoose={() => handleAnswer(true)}
+            />
+            <span className="tot-vs">or</span>
+            <ProductChoice
+              product={opponent.productData}
+              label={`Your #${opponent.ranking}`}
+              hotkey="→"
+              onChoose={() => handleAnswer(false)}
+            />
+          </div>
+        </>
+      ) : (
+        <div className="tot-first">
+          <p>This will be your first ranked flavor.</p>
+          <button type="button" className="search-button" onClick={() => commitPlacement(search)}>
+            Rank "{activeProduct.title}" #1
+          </button>
+        </div>
+      )}
+
+      <div className="tot-actions">
+        <button type="button" className="tot-link" onClick={handleUndo} disabled={history.length === 0}>
+          ↶ Undo
+        </button>
+        <button type="button" className="tot-link" onClick={handleSkip}>
+          Skip for now
+        </button>
+      </div>
+
+      {lastPlaced && (
+        <p className="tot-last-placed">
+          ✓ Placed "{lastPlaced.title}" at #{lastPlaced.position}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+/**
+ * OpenGraphMeta - Page title plus Open Graph / Twitter card tags
+ * React hoists these into <head> while the page is mounted
+ */
+export default function OpenGraphMeta({ title, description, image, url }) {
+  const pageUrl = url || window.location.href;
+
+  return (
+    <>
+      <title>{`${title} | Jerky Top N`}</title>
+      <meta property="og:type" content="website" />
+      <meta property="og:site_name" content="Jerky Top N" />
+      <meta property="og:title" content={title} />
+      <meta property="og:url" content={pageUrl} />
+      {description && <meta property="og:description" content={description} />}
+      {description && <meta name="description" content={description} />}
+      {image && <meta property="og:image" content={image} />}
+      {image && <meta property="og:image:width" content="1200" />}
+      {image && <meta property="og:image:height" content="630" />}
+      <meta name="twitter:card" content={image ? 'summary_large_image' : 'summary'} />
+      <meta name="twitter:title" content={title} />
+      {image && <meta name="twitter:image" content={image} />}
+    </>
+  );
+}
@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { getUserTopCardUrl, getUserTopEmbedCode } from '../../utils/shareLinks';
+import './ShareTopCard.css';
+
+const SIZES = [3, 5, 10];
+
+/**
+ * ShareTopCard - Preview of a user's server-rendered Top N card with copy actions
+ * Needs a handle since share URLs are keyed by it
+ */
+export default function ShareTopCard({ handle }) {
+  const [n, setN] = useState(5);
+
+  if (!handle) return null;
+
+  const cardUrl = getUserTopCardUrl(handle, n);
+
+  const copy = async (text, label) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success(`${label} copied`);
+    } catch (error) {
+      toast.error('Could not copy to clipboard');
+    }
+  };
+
+  return (
+    <div className="share-top-card">
+      <div className="share-top-card-header">
+        <h2 className="share-top-card-title">Share Your Top {n}</h2>
+        <div className="share-top-card-sizes">
+          {SIZES.map(size => (
+            <button
+              key={size}
+              className={`share-top-card-size${size === n ? ' active' : ''}`}
+              onClick={() => setN(size)}
+            >
+              Top {size}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <img className="share-top-card-preview" src={cardUrl} alt={`@${handle}'s Top ${n}`} loading="lazy" />
+
+      <div className="share-top-card-actions">
+        <button className="share-top-card-button" onClick={() => copy(cardUrl, 'Image link')}>
+          Copy Image Link
+        </button>
+        <button className="share-top-card-button" onClick={() => copy(getUserTopEmbedCode(handle, n), 'Embed code')}>
+          Copy Embed Code
+        </button>
+        <a className="share-top-card-button" href={cardUrl} download={`top-${n}-${handle}.png`}>
+          Download
+        </a>
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useEffect } from 'react';
 import { useQuery, useQueryClient } from '@tanstack/react-query';
 import { useAuthStore } from '../store/authStore';
+import { getTimeZoneHeader } from '../utils/api';
 
 const AuthContext = createContext(null);
 
@@ -15,7 +16,8 @@ export function AuthProvider({ children }) {
     queryFn: async () => {
       console.log('🔍 React Query: Fetching auth status...');
       const response = await fetch('/api/customer/status', { 
-        credentials: 'include' 
+        credentials: 'include',
+        headers: getTimeZoneHeader()
       });
       const data = await response.json();
       console.log('📋 React Query: Auth response:', { 
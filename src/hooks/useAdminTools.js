@@ -434,3 +434,155 @@ export function useUpdateCoin() {
     },
   });
 }
+
+/**
+ * Live "who would qualify" preview for a draft achievement rule
+ * Pass a debounced rule; invalid rules come back as an ApiError with data.details
+ */
+export function useRulePreview(rule, { enabled = true } = {}) {
+  return useQuery({
+    queryKey: ['adminRulePreview', rule],
+    queryFn: async () => {
+      const data = await api.post('/admin/achievements/rules/preview', { rule });
+      return {
+        qualifyingCount: data.qualifyingCount,
+        totalUsers: data.totalUsers,
+        conditionCounts: data.conditionCounts || [],
+        sample: data.sample || [],
+      };
+    },
+    enabled: enabled && !!rule,
+    staleTime: 30 * 1000, // 30 seconds - counts move as users rank
+    retry: false,
+  });
+}
+
+/**
+ * Dry-run a draft coin against every user (nothing is saved or awarded)
+ * Pass achievementId when editing so current holders are compared against the draft
+ */
+export function useSimulateCoin() {
+  return useMutation({
+    mutationFn: async ({ achievement, achievementId = null }) => {
+      const data = await api.post('/admin/achievements/simulate', { achievement, achievementId });
+      return data;
+    },
+  });
+}
+
+export function useAdminUserSearch(search) {
+  return useQuery({
+    queryKey: ['adminUsers', 'search', search],
+    queryFn: async () => {
+      const data = await api.get(`/admin/users?limit=10&search=${encodeURIComponent(search)}`);
+      return data.users || [];
+    },
+    enabled: search.trim().length >= 2,
+    staleTime: 2 * 60 * 1000, // 2 minutes - users don't change frequently
+  });
+}
+
+export function useUserCoinHistory(userId) {
+  return useQuery({
+    queryKey: ['adminCoinHistory', userId],
+    queryFn: async () => {
+      const data = await api.get(`/admin/users/${userId}/coin-history`);
+      return data.history || [];
+    },
+    enabled: !!userId,
+    staleTime: 30 * 1000, // 30 seconds - recalculations can land at any time
+  });
+}
+
+export function useModerationComments(filters) {
+  return useQuery({
+    queryKey: ['moderationComments', filters],
+    queryFn: async () => {
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value !== '' && value !== null && value !== undefined) {
+          params.append(key, value);
+        }
+      });
+      const data = await api.get(`/admin/product-comments?${params.toString()}`);
+      return data;
+    },
+    staleTime: 30 * 1000, // 30 seconds - new comments arrive constantly
+  });
+}
+
+export function useModerateComment() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    // action: 'hide' | 'unhide' | 'lock' | 'unlock'
+    mutationFn: async ({ commentId, action, reason }) => {
+      const data = await api.post(`/admin/product-comments/${commentId}/${action}`, { reason });
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['moderationComments'] });
+    },
+  });
+}
+
+export function useCommentBans() {
+  return useQuery({
+    queryKey: ['commentBans'],
+    queryFn: async () => {
+      const data = await api.get('/admin/comment-bans');
+      return data.bans || [];
+    },
+    staleTime: 60 * 1000, // 1 minute
+  });
+}
+
+export function useSetCommentBan() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ userId, banned, reason }) => {
+      const data = banned
+        ? await api.post(`/admin/comment-bans/${userId}`, { reason })
+        : await api.delete(`/admin/comment-bans/${userId}`);
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['commentBans'] });
+      queryClient.invalidateQueries({ queryKey: ['moderationComments'] });
+    },
+  });
+}
+
+export function useContentReports(filters) {
+  return useQuery({
+    queryKey: ['contentReports', filters],
+    queryFn: async () => {
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value !== '' && value !== null && value !== undefined) {
+          params.append(key, value);
+        }
+      });
+      const data = await api.get(`/admin/content-reports?${params.toString()}`);
+      return data;
+    },
+    staleTime: 30 * 1000, // 30 seconds
+  });
+}
+
+export function useResolveContentReport() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ targetType, targetId, action, note }) => {
+      const data = await api.post(`/admin/content-reports/${targetType}/${targetId}/resolve`, { action, note });
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['contentReports'] });
+      queryClient.invalidateQueries({ queryKey: ['moderationComments'] });
+      queryClient.invalidateQueries({ queryKey: ['commentBans'] });
+    },
+  });
+}
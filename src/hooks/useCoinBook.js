@@ -22,3 +22,25 @@ export function useGamificationProgress() {
     staleTime: 2 * 60 * 1000, // 2 minutes
   });
 }
+
+export function useCoinHistory() {
+  return useQuery({
+    queryKey: ['coinHistory'],
+    queryFn: async () => {
+      const data = await api.get('/gamification/coin-history');
+      return data;
+    },
+    staleTime: 5 * 60 * 1000, // 5 minutes - recalculations arrive over the socket
+  });
+}
+
+export function useSecretCoins() {
+  return useQuery({
+    queryKey: ['secretCoins'],
+    queryFn: async () => {
+      const data = await api.get('/gamification/secrets');
+      return data.secrets || [];
+    },
+    staleTime: 2 * 60 * 1000, // 2 minutes
+  });
+}
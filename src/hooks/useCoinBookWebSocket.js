@@ -3,6 +3,7 @@ import { useQueryClient } from '@tanstack/react-query';
 import { useSocket } from './useSocket';
 import { useToast } from '../context/ToastContext';
 import { TIER_EMOJIS } from '../../shared/constants/tierEmojis.mjs';
+import { LEVELS } from '../../shared/constants/levels.mjs';
 
 export function useCoinBookWebSocket() {
   const { socket } = useSocket();
@@ -47,9 +48,10 @@ export function useCoinBookWebSocket() {
         });
       }
       
-      // Invalidate both achievements and progress queries
+      // Invalidate achievements and progress queries (a found secret leaves the silhouettes)
       queryClient.invalidateQueries({ queryKey: ['achievements'] });
       queryClient.invalidateQueries({ queryKey: ['gamificationProgress'] });
+      queryClient.invalidateQueries({ queryKey: ['secretCoins'] });
     };
 
     // Listen for tier upgrades
@@ -78,11 +80,82 @@ export function useCoinBookWebSocket() {
     const handleProgressUpdate = (data) => {
       console.log('📊 Progress update event:', data);
       queryClient.invalidateQueries({ queryKey: ['gamificationProgress'] });
+      // Progress can unlock secret-coin hints
+      queryClient.invalidateQueries({ queryKey: ['secretCoins'] });
+    };
+
+    // Listen for streak updates (toast only when a freeze was used or earned)
+    const handleStreakUpdate = (data) => {
+      console.log('🔥 Streak update event:', data);
+      
+      if (data.frozenDays?.length > 0) {
+        const dayCount = data.frozenDays.length;
+        showToast({
+          type: 'info',
+          icon: '🧊',
+          title: `Streak saved! ${data.currentStreak} days`,
+          message: `${dayCount} streak freeze${dayCount !== 1 ? 's' : ''} covered the day${dayCount !== 1 ? 's' : ''} you missed. ${data.freezesAvailable} left.`,
+          duration: 6000
+        });
+      } else if (data.earnedFreeze) {
+        showToast({
+          type: 'info',
+          icon: '🧊',
+          title: 'Streak freeze earned!',
+          message: `A missed day won't break your streak. You have ${data.freezesAvailable} of ${data.maxFreezes}.`,
+          duration: 6000
+        });
+      }
+      
+      queryClient.invalidateQueries({ queryKey: ['streaks'] });
+      queryClient.invalidateQueries({ queryKey: ['gamificationProgress'] });
+    };
+
+    // Listen for level-ups (XP from coin points and engagement)
+    const handleLevelUp = (data) => {
+      console.log('⬆️ Level up event:', data);
+
+      showToast({
+        type: 'achievement',
+        icon: '⬆️',
+        title: `Level ${data.level} reached!`,
+        message: data.previousLevel < LEVELS.prestigeMinLevel && data.level >= LEVELS.prestigeMinLevel
+          ? 'Prestige is now unlocked on your profile.'
+          : `${data.nextLevelXp - data.xp} XP to level ${data.level + 1}`,
+        duration: 6000
+      });
+
+      queryClient.invalidateQueries({ queryKey: ['level'] });
+    };
+
+    // Listen for coins re-checked after an order was cancelled or un-fulfilled
+    const handleAchievementUpdate = (data) => {
+      console.log('🪙 Achievement update event:', data);
+
+      const losses = (data.changes || []).filter(change =>
+        change.action === 'revoked' || change.action === 'tier_downgraded'
+      );
+      if (losses.length > 0) {
+        showToast({
+          type: 'info',
+          icon: '🪙',
+          title: losses.length === 1 ? 'A coin changed' : `${losses.length} coins changed`,
+          message: 'An order update affected your collection. See the Coin Book for details.',
+          duration: 6000
+        });
+      }
+
+      queryClient.invalidateQueries({ queryKey: ['achievements'] });
+      queryClient.invalidateQueries({ queryKey: ['gamificationProgress'] });
+      queryClient.invalidateQueries({ queryKey: ['coinHistory'] });
     };
 
     socket.on('achievements:earned', handleAchievementsEarned);
     socket.on('tier:upgrade', handleTierUpgrade);
     socket.on('gamification:progress:updated', handleProgressUpdate);
+    socket.on('streak:updated', handleStreakUpdate);
+    socket.on('level:up', handleLevelUp);
+    socket.on('achievement:updated', handleAchievementUpdate);
 
     // Cleanup
     return () => {
@@ -90,6 +163,9 @@ export function useCoinBookWebSocket() {
       socket.off('achievements:earned', handleAchievementsEarned);
       socket.off('tier:upgrade', handleTierUpgrade);
       socket.off('gamification:progress:updated', handleProgressUpdate);
+      socket.off('streak:updated', handleStreakUpdate);
+      socket.off('level:up', handleLevelUp);
+      socket.off('achievement:updated', handleAchievementUpdate);
     };
   }, [socket, queryClient, showToast]);
 
@@ -1,4 +1,4 @@
-import { useQuery, keepPreviousData } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query';
 import { api } from '../utils/api';
 
 export function useCommunityUsers({ search = '', page = 1, limit = 20 } = {}) {
@@ -40,3 +40,107 @@ export function useLeaderboard({ period = 'all_time', limit = 50 } = {}) {
     placeholderData: keepPreviousData,
   });
 }
+
+export function useSeasons({ type = 'week', limit = 12 } = {}) {
+  return useQuery({
+    queryKey: ['seasons', type, limit],
+    queryFn: async () => {
+      const data = await api.get(`/gamification/seasons?type=${type}&limit=${limit}`);
+      return data.seasons || [];
+    },
+    staleTime: 10 * 60 * 1000, // 10 minutes - seasons only change when one closes
+    placeholderData: keepPreviousData,
+  });
+}
+
+export function useSeason(seasonId) {
+  return useQuery({
+    queryKey: ['season', seasonId],
+    queryFn: async () => {
+      const data = await api.get(`/gamification/seasons/${seasonId}`);
+      return data;
+    },
+    enabled: !!seasonId,
+    staleTime: 60 * 60 * 1000, // 1 hour - archived seasons never change
+  });
+}
+
+export function useUserComparison(userId) {
+  return useQuery({
+    queryKey: ['userComparison', userId],
+    queryFn: async () => {
+      const data = await api.get(`/gamification/user/compare/${userId}`);
+      return data;
+    },
+    enabled: !!userId,
+    staleTime: 5 * 60 * 1000, // 5 minutes - server cache is invalidated whenever either list changes
+  });
+}
+
+export function useFollowStatus(userId) {
+  return useQuery({
+    queryKey: ['follow', 'status', String(userId)],
+    queryFn: async () => {
+      const data = await api.get(`/community/users/${userId}/follow`);
+      return data;
+    },
+    enabled: !!userId,
+    staleTime: 60 * 1000, // 1 minute
+  });
+}
+
+/**
+ * Followers or following list for a user
+ * @param {string} relation - 'followers' or 'following'
+ */
+export function useFollowList(userId, relation, { enabled = true } = {}) {
+  return useQuery({
+    queryKey: ['follow', relation, String(userId)],
+    queryFn: async () => {
+      const data = await api.get(`/community/users/${userId}/${relation}?limit=50`);
+      return data;
+    },
+    enabled: !!userId && enabled,
+    staleTime: 60 * 1000, // 1 minute
+  });
+}
+
+export function useToggleFollow() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ userId, follow }) => {
+      const data = follow
+        ? await api.post(`/community/users/${userId}/follow`, {})
+        : await api.delete(`/community/users/${userId}/follow`);
+      return data;
+    },
+    onSuccess: (data, { userId }) => {
+      queryClient.setQueryData(['follow', 'status', String(userId)], data);
+      queryClient.invalidateQueries({ queryKey: ['follow'] });
+      queryClient.invalidateQueries({ queryKey: ['community', 'users'] });
+      queryClient.invalidateQueries({ queryKey: ['followingFeed'] });
+    }
+  });
+}
+
+export function useFollowingFeed({ enabled = true } = {}) {
+  return useQuery({
+    queryKey: ['followingFeed'],
+    queryFn: async () => {
+      const data = await api.get('/community/feed?limit=20');
+      return data;
+    },
+    enabled,
+    staleTime: 60 * 1000, // 1 minute - new activity arrives over the WebSocket
+  });
+}
+
+export function useReportContent() {
+  return useMutation({
+    mutationFn: async ({ targetType, targetId, reason, details }) => {
+      const data = await api.post('/reports', { targetType, targetId, reason, details });
+      return data;
+    }
+  });
+}
@@ -0,0 +1,40 @@
+import { useEffect } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { useSocket } from './useSocket';
+
+/**
+ * Live updates for the following feed: joins the followers rooms of everyone the user follows
+ * and refreshes the feed when one of them earns a coin or hits a streak milestone
+ */
+export function useFollowingFeedWebSocket({ enabled = true } = {}) {
+  const { socket, isSocketAuthenticated } = useSocket();
+  const queryClient = useQueryClient();
+
+  useEffect(() => {
+    // Subscribing needs an authenticated socket (the server looks up who the user follows)
+    if (!socket || !isSocketAuthenticated || !enabled) return;
+
+    socket.emit('subscribe:following-feed');
+    console.log('📰 Subscribed to following feed');
+
+    const handleActivity = (data) => {
+      console.log('📰 Followed user activity:', data);
+      queryClient.invalidateQueries({ queryKey: ['followingFeed'] });
+    };
+
+    const handleSubscriptionFailed = (data) => {
+      if (data.room === 'following-feed') {
+        console.error('❌ Following feed subscription failed:', data.reason);
+      }
+    };
+
+    socket.on('following:activity', handleActivity);
+    socket.on('subscription:failed', handleSubscriptionFailed);
+
+    return () => {
+      socket.emit('unsubscribe:following-feed');
+      socket.off('following:activity', handleActivity);
+      socket.off('subscription:failed', handleSubscriptionFailed);
+    };
+  }, [socket, isSocketAuthenticated, enabled, queryClient]);
+}
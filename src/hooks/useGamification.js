@@ -89,3 +89,31 @@ export function useUserGuidance(pageContext = 'general') {
     staleTime: 5 * 60 * 1000, // 5 minutes - cached on backend
   });
 }
+
+export function useLevel({ enabled = true } = {}) {
+  return useQuery({
+    queryKey: ['level'],
+    queryFn: async () => {
+      const data = await api.get('/gamification/level');
+      return data;
+    },
+    enabled,
+    staleTime: 2 * 60 * 1000, // 2 minutes - level-ups arrive over the socket
+  });
+}
+
+export function usePrestige() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async () => {
+      const data = await api.post('/gamification/level/prestige', {});
+      return data.level;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['level'] });
+      queryClient.invalidateQueries({ queryKey: ['community'] });
+      queryClient.invalidateQueries({ queryKey: ['user'] });
+    }
+  });
+}
@@ -0,0 +1,107 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { api } from '../utils/api';
+
+// New notifications arrive over the socket (notification:new), which invalidates ['notifications']
+export function useNotifications({ enabled = true } = {}) {
+  return useQuery({
+    queryKey: ['notifications', 'list'],
+    queryFn: async () => {
+      const data = await api.get('/notifications?limit=20');
+      return data;
+    },
+    enabled,
+    staleTime: 60 * 1000, // 1 minute
+  });
+}
+
+export function useUnreadNotificationCount({ enabled = true } = {}) {
+  return useQuery({
+    queryKey: ['notifications', 'unreadCount'],
+    queryFn: async () => {
+      const data = await api.get('/notifications/unread-count');
+      return data.unreadCount;
+    },
+    enabled,
+    staleTime: 60 * 1000, // 1 minute
+  });
+}
+
+export function useMarkNotificationsRead() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (ids) => {
+      const data = await api.post('/notifications/read', { ids });
+      return data.unreadCount;
+    },
+    onSuccess: (unreadCount) => {
+      queryClient.setQueryData(['notifications', 'unreadCount'], unreadCount);
+      queryClient.invalidateQueries({ queryKey: ['notifications', 'list'] });
+    }
+  });
+}
+
+export function useMarkAllNotificationsRead() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async () => {
+      const data = await api.post('/notifications/read-all', {});
+      return data.unreadCount;
+    },
+    onSuccess: (unreadCount) => {
+      queryClient.setQueryData(['notifications', 'unreadCount'], unreadCount);
+      queryClient.invalidateQueries({ queryKey: ['notifications', 'list'] });
+    }
+  });
+}
+
+export function useNotificationPreferences() {
+  return useQuery({
+    queryKey: ['notificationPreferences'],
+    queryFn: async () => {
+      const data = await api.get('/notifications/preferences');
+      return data;
+    },
+    staleTime: 5 * 60 * 1000, // 5 minutes
+  });
+}
+
+export function useUpdateNotificationPreferences() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (changes) => {
+      const data = await api.patch('/notifications/preferences', changes);
+      return data;
+    },
+    onSuccess: (data) => {
+      queryClient.setQueryData(['notificationPreferences'], data);
+    }
+  });
+}
+
+export function useEmailDigest() {
+  return useQuery({
+    queryKey: ['emailDigest'],
+    queryFn: async () => {
+      const data = await api.get('/email/digest');
+      return data;
+    },
+    staleTime: 5 * 60 * 1000, // 5 minutes
+  });
+}
+
+export function useUpdateEmailDigest() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (enabled) => {
+      const data = await api.put('/email/digest', { enabled });
+      return data;
+    },
+    onSuccess: (data) => {
+      queryClient.setQueryData(['emailDigest'], data);
+    }
+  });
+}
@@ -0,0 +1,108 @@
+import { useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { api } from '../utils/api';
+import { useSocket } from './useSocket';
+
+// Threads for a product; new and edited comments arrive over the socket (see useProductCommentsWebSocket)
+export function useProductComments(productId, { sort = 'top', limit = 20 } = {}) {
+  return useQuery({
+    queryKey: ['productComments', productId, sort, limit],
+    queryFn: async () => {
+      const params = new URLSearchParams({ sort, limit: String(limit) });
+      const data = await api.get(`/comments/products/${encodeURIComponent(productId)}?${params.toString()}`);
+      return data;
+    },
+    enabled: !!productId,
+    staleTime: 60 * 1000, // 1 minute
+  });
+}
+
+export function usePostComment(productId) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ body, parentId = null }) => {
+      const data = await api.post(`/comments/products/${encodeURIComponent(productId)}`, { body, parentId });
+      return data.comment;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['productComments', productId] });
+    }
+  });
+}
+
+export function useEditComment(productId) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ commentId, body }) => {
+      const data = await api.patch(`/comments/${commentId}`, { body });
+      return data.comment;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['productComments', productId] });
+    }
+  });
+}
+
+export function useDeleteComment(productId) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (commentId) => {
+      await api.delete(`/comments/${commentId}`);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['productComments', productId] });
+    }
+  });
+}
+
+export function useToggleCommentUpvote(productId) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ commentId, upvote }) => {
+      const data = upvote
+        ? await api.post(`/comments/${commentId}/upvote`, {})
+        : await api.delete(`/comments/${commentId}/upvote`);
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['productComments', productId] });
+    }
+  });
+}
+
+/**
+ * Live updates for a product's comments: joins the product's comment room (no login needed)
+ * and refreshes the threads when someone posts, edits, deletes or a moderator acts
+ */
+export function useProductCommentsWebSocket(productId) {
+  const { socket } = useSocket();
+  const queryClient = useQueryClient();
+
+  useEffect(() => {
+    if (!socket || !productId) return;
+
+    const subscribe = () => socket.emit('subscribe:product-comments', { productId });
+    subscribe();
+
+    const handleChange = (data) => {
+      if (String(data.productId) !== String(productId)) return;
+      queryClient.invalidateQueries({ queryKey: ['productComments', productId] });
+    };
+
+    socket.on('comment:new', handleChange);
+    socket.on('comment:updated', handleChange);
+    // Rooms are dropped on disconnect, so rejoin after a reconnect
+    socket.on('connect', subscribe);
+
+    return () => {
+      socket.emit('unsubscribe:product-comments', { productId });
+      socket.off('comment:new', handleChange);
+      socket.off('comment:updated', handleChange);
+      socket.off('connect', subscribe);
+    };
+  }, [socket, productId, queryClient]);
+}
@@ -1,15 +1,16 @@
 import { useQuery } from '@tanstack/react-query';
 import { api } from '../utils/api';
 
-export function useProducts({ search = '', sort = 'name', animal = '', flavor = '', page = 1, limit = 50 } = {}) {
+export function useProducts({ search = '', sort = 'name', animal = '', flavor = '', method = '', page = 1, limit = 50 } = {}) {
   return useQuery({
-    queryKey: ['products', { search, sort, animal, flavor, page, limit }],
+    queryKey: ['products', { search, sort, animal, flavor, method, page, limit }],
     queryFn: async () => {
       const params = new URLSearchParams();
       if (search) params.set('search', search);
       if (sort) params.set('sort', sort);
       if (animal) params.set('animal', animal);
       if (flavor) params.set('flavor', flavor);
+      if (method) params.set('method', method);
       params.set('page', page);
       params.set('limit', limit);
 
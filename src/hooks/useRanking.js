@@ -7,8 +7,18 @@ import { FEATURE_FLAGS } from '../../shared/constants/featureFlags.mjs';
 import { captureError, addBreadcrumb } from '../utils/sentry';
 import { useAuthStore } from '../store/authStore';
 
+const PRIMARY_RANKING_LIST_ID = 'default';
+
+/**
+ * IndexedDB snapshot ID for a ranking list
+ * The primary list keeps the original 'current_state' ID so existing snapshots are still recovered
+ */
+function getSnapshotOperationId(rankingListId) {
+  return rankingListId === PRIMARY_RANKING_LIST_ID ? 'current_state' : `current_state:${rankingListId}`;
+}
+
 export function useRanking(options = {}) {
-  const { onSaveComplete, maxRankableCount } = options;
+  const { onSaveComplete, maxRankableCount, rankingListId = PRIMARY_RANKING_LIST_ID } = options;
   const { user, userRole } = useAuthStore();
   const [rankedProducts, setRankedProducts] = useState([]);
   const [slotCount, setSlotCount] = useState(10);
@@ -16,7 +26,7 @@ export function useRanking(options = {}) {
   const [isLoading, setIsLoading] = useState(true);
   
   const persistentQueue = useRef(null);
-  const currentOperationId = useRef(null);
+  const rankingListIdRef = useRef(rankingListId); // Active list (callbacks are memoized, so read it from a ref)
   const isRecovering = useRef(false); // Track if we're in recovery mode
   const saveSequenceRef = useRef(0); // Monotonically increasing counter to detect stale saves
   
@@ -25,10 +35,11 @@ export function useRanking(options = {}) {
     persistentQueue.current = getPersistentQueue();
   }, []);
   
-  // Load existing rankings on mount
+  // Load existing rankings on mount and whenever the active list changes
   useEffect(() => {
+    rankingListIdRef.current = rankingListId;
     loadRankings();
-  }, []);
+  }, [rankingListId]);
   
   // Clamp slotCount when maxRankableCount becomes available
   useEffect(() => {
@@ -58,13 +69,22 @@ export function useRanking(options = {}) {
    * Load existing rankings from backend
    */
   const loadRankings = async () => {
+    const listId = rankingListIdRef.current;
+    
     try {
       setIsLoading(true);
-      const data = await api.get('/rankings/products?rankingListId=default');
+      const data = await api.get(`/rankings/products?rankingListId=${encodeURIComponent(listId)}`);
       
-      if (data.rankings && data.rankings.length > 0) {
-        // Sort by ranking position
-        const sorted = [...data.rankings].sort((a, b) => a.ranking - b.ranking);
+      // Ignore the response if the user switched lists while it was in flight
+      if (listId !== rankingListIdRef.current) return;
+      
+      // Sort by ranking position
+      const sorted = [...(data.rankings || [])].sort((a, b) => a.ranking - b.ranking);
+      
+      if (sorted.length === 0) {
+        setRankedProducts([]);
+        setSlotCount(10);
+      } else {
         setRankedProducts(sorted);
         console.log(`✅ Loaded ${sorted.length} existing rankings`);
         
@@ -80,8 +100,9 @@ export function useRanking(options = {}) {
         }
       }
       
-      // Check for pending operations in IndexedDB
-      await recoverPendingOperations();
+      // Check for pending operations in IndexedDB (compared against what was just loaded:
+      // rankedProducts in this closure can still hold the previously active list)
+      await recoverPendingOperations(listId, sorted);
       
     } catch (error) {
       console.error('Failed to load rankings:', error);
@@ -95,9 +116,12 @@ export function useRanking(options = {}) {
         message: `Failed to load user rankings from backend: ${error.message}`,
         errorType: error.name || 'RankingLoadError',
         apiEndpoint: '/rankings/products',
+        rankingListId: listId,
       });
     } finally {
-      setIsLoading(false);
+      if (listId === rankingListIdRef.current) {
+        setIsLoading(false);
+      }
     }
   };
   
@@ -105,12 +129,16 @@ export function useRanking(options = {}) {
    * Recover pending operations from IndexedDB (after page refresh)
    * CRITICAL FIX: Now works with single authoritative "current_state" snapshot
    * Includes backfill migration and safety checks to prevent data loss
+   * Only snapshots belonging to the given list are recovered (legacy snapshots count as the primary list)
+   * @param {string} listId - Ranking list being loaded
+   * @param {Array} loadedRankings - That list's rankings as just fetched from the backend
    */
-  const recoverPendingOperations = async () => {
+  const recoverPendingOperations = async (listId, loadedRankings) => {
     if (!persistentQueue.current) return;
     
     try {
-      const pending = await persistentQueue.current.getPending();
+      const pending = (await persistentQueue.current.getPending())
+        .filter(op => (op.rankingListId || PRIMARY_RANKING_LIST_ID) === listId);
       
       if (pending.length > 0) {
         console.log(`🔄 Found ${pending.length} pending operation(s), recovering...`);
@@ -134,7 +162,7 @@ export function useRanking(options = {}) {
         }
         
         const recoveredCount = operationToSave.rankings.length;
-        const inMemoryCount = rankedProducts.length;
+        const inMemoryCount = loadedRankings.length;
         
         // CRITICAL FIX: Prefer whichever source has MORE products to prevent data loss
         // If IndexedDB has more products than in-memory (which was loaded from backend),
@@ -146,9 +174,9 @@ export function useRanking(options = {}) {
           console.warn(`📊 In-memory has MORE products (${inMemoryCount}) than IndexedDB (${recoveredCount}) - using in-memory state!`);
           // Override with in-memory state
           operationToSave = {
-            operationId: 'current_state',
-            rankings: rankedProducts,
-            rankingListId: 'default',
+            operationId: getSnapshotOperationId(listId),
+            rankings: loadedRankings,
+            rankingListId: listId,
             timestamp: Date.now()
           };
         } else if (inMemoryCount > 0 && recoveredCount === inMemoryCount) {
@@ -163,7 +191,7 @@ export function useRanking(options = {}) {
         
         try {
           // Send the authoritative state (throwOnError=true ensures we know if it fails)
-          await saveToBackend(operationToSave.rankings, null, null, true);
+          await saveToBackend(operationToSave.rankings, null, null, true, null, listId);
           
           // CRITICAL FIX: Update local state to reflect recovered rankings
           // This ensures the UI shows the correct count immediately
@@ -377,34 +405,36 @@ export function useRanking(options = {}) {
     saveSequenceRef.current += 1;
     const saveSequence = saveSequenceRef.current;
     
+    // Capture the list now so a list switch during the debounce can't redirect this save
+    const listId = rankingListIdRef.current;
+    
     // Immediately persist to IndexedDB (survives crashes/refreshes)
-    persistToIndexedDB(rankings);
+    persistToIndexedDB(rankings, listId);
     
     // Schedule backend save after debounce with sequence number
     // If a newer save completes first, this older save will be skipped
     setTimeout(() => {
-      saveToBackend(rankings, null, position, false, saveSequence);
+      saveToBackend(rankings, null, position, false, saveSequence, listId);
     }, 800);
   };
   
   /**
    * Immediately persist to IndexedDB (survives refresh)
-   * CRITICAL FIX: Store ONE authoritative snapshot with constant ID
+   * CRITICAL FIX: Store ONE authoritative snapshot per list with constant ID
    * This prevents data loss during recovery
    */
-  const persistToIndexedDB = async (rankings) => {
+  const persistToIndexedDB = async (rankings, listId) => {
     if (!persistentQueue.current) return;
     
     try {
-      // ALWAYS use same operationId so we UPSERT instead of INSERT
-      // This ensures we only ever have ONE current state snapshot
-      const operationId = 'current_state';
-      currentOperationId.current = operationId;
+      // ALWAYS use same operationId per list so we UPSERT instead of INSERT
+      // This ensures we only ever have ONE current state snapshot per list
+      const operationId = getSnapshotOperationId(listId);
       
       await persistentQueue.current.enqueue({
         operationId,
         rankings,
-        rankingListId: 'default',
+        rankingListId: listId,
         timestamp: Date.now()
       });
       
@@ -428,8 +458,9 @@ export function useRanking(options = {}) {
    * Save rankings to backend with retry
    * @param {boolean} throwOnError - If true, throws errors instead of scheduling retries (used during recovery)
    * @param {number} saveSequence - Sequence number to detect stale saves (optional, used in auto-save)
+   * @param {string} listId - Ranking list to save into (captured when the save was scheduled)
    */
-  const saveToBackend = async (rankings, operationId = null, position = null, throwOnError = false, saveSequence = null) => {
+  const saveToBackend = async (rankings, operationId = null, position = null, throwOnError = false, saveSequence = null, listId = rankingListIdRef.current) => {
     // Check if this is a stale save (newer save has been scheduled)
     if (saveSequence !== null && saveSequence < saveSequenceRef.current) {
       console.log(`⏭️ Skipping stale save (sequence ${saveSequence}, current is ${saveSequenceRef.current})`);
@@ -438,14 +469,14 @@ export function useRanking(options = {}) {
     
     setSaveStatus({ state: 'saving', message: 'Saving...', position });
     
-    const idToComplete = operationId || currentOperationId.current;
+    const idToComplete = operationId || getSnapshotOperationId(listId);
     
     try {
       // Retry logic for network failures
       await retryWithBackoff(
         async () => {
           await api.post('/rankings/products', {
-            rankingListId: 'default',
+            rankingListId: listId,
             rankings: rankings.map(r => ({
               productId: r.productData.id,
               ranking: r.ranking,
@@ -467,7 +498,6 @@ export function useRanking(options = {}) {
       if (persistentQueue.current && idToComplete) {
         await persistentQueue.current.complete(idToComplete);
         console.log(`✅ Cleared persisted operation after successful save`);
-        currentOperationId.current = null;
       }
       
       const message = rankings.length === 0 
@@ -517,7 +547,7 @@ export function useRanking(options = {}) {
         // This ensures stale retries are also skipped if a newer save has completed
         setTimeout(() => {
           console.log('🔄 Retrying save in background...');
-          saveToBackend(rankings, idToComplete, position, false, saveSequence);
+          saveToBackend(rankings, idToComplete, position, false, saveSequence, listId);
         }, 5000);
       }
     }
@@ -640,6 +670,7 @@ export function useRanking(options = {}) {
     replaceRanking,
     insertRanking,
     getRankedProductIds,
+    rankingListId,
     refresh: loadRankings
   };
 }
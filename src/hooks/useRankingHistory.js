@@ -0,0 +1,28 @@
+import { useQuery, keepPreviousData } from '@tanstack/react-query';
+import { api } from '../utils/api';
+
+export function useRankingTimeline({ days = 90, limit = 10, rankingListId = 'default' } = {}) {
+  return useQuery({
+    queryKey: ['rankingHistory', 'timeline', { days, limit, rankingListId }],
+    queryFn: async () => {
+      const params = new URLSearchParams({ days, limit, rankingListId });
+      const data = await api.get(`/rankings/history/timeline?${params.toString()}`);
+      return data;
+    },
+    staleTime: 2 * 60 * 1000, // 2 minutes
+    placeholderData: keepPreviousData,
+  });
+}
+
+export function useRankingSnapshot(at, { rankingListId = 'default' } = {}) {
+  return useQuery({
+    queryKey: ['rankingHistory', 'snapshot', { at, rankingListId }],
+    queryFn: async () => {
+      const params = new URLSearchParams({ at, rankingListId });
+      const data = await api.get(`/rankings/history?${params.toString()}`);
+      return data;
+    },
+    enabled: !!at,
+    staleTime: 10 * 60 * 1000, // 10 minutes - past snapshots rarely change
+  });
+}
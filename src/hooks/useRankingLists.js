@@ -0,0 +1,95 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { api } from '../utils/api';
+
+export function useRankingLists() {
+  return useQuery({
+    queryKey: ['rankingLists'],
+    queryFn: async () => {
+      const data = await api.get('/rankings/lists');
+      return data.lists || [];
+    },
+    staleTime: 5 * 60 * 1000, // 5 minutes
+  });
+}
+
+export function useCreateRankingList() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ name, visibility }) => {
+      const data = await api.post('/rankings/lists', { name, visibility });
+      return data.list;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['rankingLists'] });
+    }
+  });
+}
+
+export function useUpdateRankingList() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ listId, ...updates }) => {
+      const data = await api.patch(`/rankings/lists/${encodeURIComponent(listId)}`, updates);
+      return data.list;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['rankingLists'] });
+      queryClient.invalidateQueries({ queryKey: ['publicRankingLists'] });
+    }
+  });
+}
+
+export function useDuplicateRankingList() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ listId, name }) => {
+      const data = await api.post(`/rankings/lists/${encodeURIComponent(listId)}/duplicate`, { name });
+      return data.list;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['rankingLists'] });
+    }
+  });
+}
+
+export function useDeleteRankingList() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ listId }) => {
+      const data = await api.delete(`/rankings/lists/${encodeURIComponent(listId)}`);
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['rankingLists'] });
+      queryClient.invalidateQueries({ queryKey: ['publicRankingLists'] });
+    }
+  });
+}
+
+export function usePublicRankingLists(userId) {
+  return useQuery({
+    queryKey: ['publicRankingLists', userId],
+    queryFn: async () => {
+      const data = await api.get(`/community/users/${userId}/lists`);
+      return data;
+    },
+    enabled: !!userId,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+  });
+}
+
+export function usePublicRankingList(userId, listId) {
+  return useQuery({
+    queryKey: ['publicRankingLists', userId, listId],
+    queryFn: async () => {
+      const data = await api.get(`/community/users/${userId}/lists/${encodeURIComponent(listId)}`);
+      return data;
+    },
+    enabled: !!userId && !!listId,
+    staleTime: 2 * 60 * 1000, // 2 minutes
+  });
+}
@@ -0,0 +1,43 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { api } from '../utils/api';
+
+export function useRankingNotes(rankingListId = 'default', { enabled = true } = {}) {
+  return useQuery({
+    queryKey: ['rankingNotes', rankingListId],
+    queryFn: async () => {
+      const params = new URLSearchParams({ rankingListId });
+      const data = await api.get(`/rankings/notes?${params.toString()}`);
+      // Keyed by product ID for quick lookup from ranked slots
+      return Object.fromEntries((data.notes || []).map(note => [note.productId, note]));
+    },
+    enabled,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+  });
+}
+
+export function useSaveRankingNote() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ productId, rankingListId = 'default', notes, subScores }) => {
+      const data = await api.put(`/rankings/notes/${encodeURIComponent(productId)}`, {
+        rankingListId,
+        notes,
+        subScores,
+      });
+      return data.note;
+    },
+    onSuccess: (note, { productId, rankingListId = 'default' }) => {
+      queryClient.setQueryData(['rankingNotes', rankingListId], (previous = {}) => {
+        const next = { ...previous };
+        if (note) {
+          next[productId] = note;
+        } else {
+          delete next[productId];
+        }
+        return next;
+      });
+      queryClient.invalidateQueries({ queryKey: ['fullRankings'] });
+    }
+  });
+}
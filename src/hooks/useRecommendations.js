@@ -0,0 +1,26 @@
+import { useQuery } from '@tanstack/react-query';
+import { api } from '../utils/api';
+
+export function useRecommendations({ limit = 12, enabled = true } = {}) {
+  return useQuery({
+    queryKey: ['recommendations', limit],
+    queryFn: async () => {
+      const data = await api.get(`/recommendations?limit=${limit}`);
+      return data;
+    },
+    enabled,
+    staleTime: 10 * 60 * 1000, // 10 minutes - twins are recomputed at most every 15 minutes server-side
+  });
+}
+
+export function usePredictedFit({ enabled = true } = {}) {
+  return useQuery({
+    queryKey: ['recommendations', 'fit'],
+    queryFn: async () => {
+      const data = await api.get('/recommendations/fit');
+      return data.fit || {};
+    },
+    enabled,
+    staleTime: 10 * 60 * 1000, // 10 minutes
+  });
+}
@@ -51,6 +51,28 @@ export function useSocket() {
       queryClient.invalidateQueries({ queryKey: ['homeStats'] });
     });
 
+    // Coins re-checked after an order change (revocations and downgrades)
+    socket.on('achievement:updated', (data) => {
+      console.log('🪙 Achievements updated:', data);
+      queryClient.invalidateQueries({ queryKey: ['achievements'] });
+      queryClient.invalidateQueries({ queryKey: ['progress'] });
+      queryClient.invalidateQueries({ queryKey: ['coinbook'] });
+      queryClient.invalidateQueries({ queryKey: ['coinHistory'] });
+      queryClient.invalidateQueries({ queryKey: ['level'] });
+    });
+
+    // Level-up handler
+    socket.on('level:up', (data) => {
+      console.log('⬆️ Level up:', data);
+      queryClient.invalidateQueries({ queryKey: ['level'] });
+    });
+
+    // Inbox notification stored for this user (bell badge and dropdown)
+    socket.on('notification:new', (data) => {
+      console.log('🔔 Notification:', data);
+      queryClient.invalidateQueries({ queryKey: ['notifications'] });
+    });
+
     // Home stats update handler
     socket.on('stats:updated', () => {
       queryClient.invalidateQueries({ queryKey: ['homeStats'] });
@@ -5,6 +5,8 @@ import { api } from '../utils/api';
 import Container from '../components/common/Container';
 import { TIER_EMOJIS } from '../../shared/constants/tierEmojis.mjs';
 import { renderAchievementIcon } from '../utils/iconUtils';
+import { formatTimeAgo } from '../utils/dateUtils';
+import RarityBadge from '../components/coinbook/RarityBadge';
 import './CoinProfilePage.css';
 
 function CoinProfilePage() {
@@ -32,6 +34,17 @@ function CoinProfilePage() {
     enabled: !!achievement
   });
 
+  // Rarity and earn-rate stats (rebuilt on a schedule, so may be missing for brand-new coins)
+  const { data: coinStats } = useQuery({
+    queryKey: ['achievement-stats', achievement?.code],
+    queryFn: async () => {
+      const response = await api.get(`/gamification/achievements/${encodeURIComponent(achievement.code)}/stats`);
+      return response.stats;
+    },
+    enabled: !!achievement?.code,
+    staleTime: 10 * 60 * 1000
+  });
+
   const isLoading = achievementLoading || coinTypeLoading;
 
   if (isLoading) {
@@ -53,6 +66,12 @@ function CoinProfilePage() {
     );
   }
 
+  const formatDays = (days) => {
+    if (days < 1) return 'Under a day';
+    const rounded = Math.round(days);
+    return `${rounded} ${rounded === 1 ? 'day' : 'days'}`;
+  };
+
   const isEarned = achievement.earned;
   const tierEmoji = achievement.currentTier ? TIER_EMOJIS[achievement.currentTier] : '';
   
@@ -85,6 +104,11 @@ function CoinProfilePage() {
           </div>
 
           <h1 className="coin-name">{achievement.name}</h1>
+          {coinStats && (
+            <div className="coin-rarity">
+              <RarityBadge rarity={coinStats.rarity} percentage={coinStats.earnedPercentage} showPercentage />
+            </div>
+          )}
           <p className="coin-tagline">{coinType.tagline}</p>
           
           {isEarned && achievement.earnedAt && (
@@ -124,6 +148,76 @@ function CoinProfilePage() {
           </div>
         )}
 
+        {/* Rarity & earn-rate stats */}
+        {coinStats && (
+          <div className="coin-section coin-stats">
+            <h2>Rarity</h2>
+            <div className="coin-stats-grid">
+              <div className="coin-stat">
+                <span className="coin-stat-value">{coinStats.earnedPercentage}%</span>
+                <span className="coin-stat-label">
+                  of rankers earned it ({coinStats.earnerCount.toLocaleString()} of {coinStats.activeUsers.toLocaleString()})
+                </span>
+              </div>
+              {coinStats.medianDaysToEarn !== null && (
+                <div className="coin-stat">
+                  <span className="coin-stat-value">{formatDays(coinStats.medianDaysToEarn)}</span>
+                  <span className="coin-stat-label">median time to earn after joining</span>
+                </div>
+              )}
+              {coinStats.firstEarner && (
+                <div className="coin-stat">
+                  <button
+                    className="coin-stat-value coin-stat-link"
+                    onClick={() => navigate(`/community/${coinStats.firstEarner.userId}`)}
+                  >
+                    {coinStats.firstEarner.displayName}
+                  </button>
+                  <span className="coin-stat-label">
+                    first to earn it, {new Date(coinStats.firstEarner.earnedAt).toLocaleDateString()}
+                  </span>
+                </div>
+              )}
+            </div>
+
+            {coinStats.tierStats && (
+              <div className="coin-tier-stats">
+                {Object.entries(coinStats.tierStats).map(([tier, tierStat]) => (
+                  <div key={tier} className="coin-tier-stat">
+                    <span className="coin-tier-name">
+                      {TIER_EMOJIS[tier]} {tier.charAt(0).toUpperCase() + tier.slice(1)}
+                    </span>
+                    <span className="coin-tier-percentage">{tierStat.percentage}%</span>
+                    <RarityBadge rarity={tierStat.rarity} percentage={tierStat.percentage} />
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {coinStats.recentEarners.length > 0 && (
+              <>
+                <h3 className="coin-stats-subheading">Recently Earned By</h3>
+                <ul className="coin-recent-earners">
+                  {coinStats.recentEarners.map(earner => (
+                    <li key={earner.userId}>
+                      <button
+                        className="coin-recent-earner"
+                        onClick={() => navigate(`/community/${earner.userId}`)}
+                      >
+                        <span className="coin-recent-earner-name">
+                          {earner.displayName}
+                          {earner.tier && TIER_EMOJIS[earner.tier] && ` ${TIER_EMOJIS[earner.tier]}`}
+                        </span>
+                        <span className="coin-recent-earner-date">{formatTimeAgo(earner.earnedAt)}</span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </div>
+        )}
+
         {/* How to Earn */}
         <div className="coin-section how-to-earn" style={{ borderLeftColor: color }}>
           <h2>How to Earn</h2>
@@ -1,12 +1,14 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useCommunityUsers, useLeaderboard } from '../hooks/useCommunity';
 import { useHomeStats } from '../hooks/useGamification';
+import { useAuthStore } from '../store/authStore';
 import Container from '../components/common/Container';
 import PodiumWidget from '../components/community/PodiumWidget';
 import CommunityStatsBar from '../components/community/CommunityStatsBar';
 import JourneySection from '../components/community/JourneySection';
 import CommunityPulse from '../components/community/CommunityPulse';
 import UserCard from '../components/community/UserCard';
+import FollowingFeed from '../components/community/FollowingFeed';
 import './CommunityPage.css';
 
 function CommunityPage() {
@@ -14,6 +16,7 @@ function CommunityPage() {
   const { data, isLoading, error } = useCommunityUsers({ search });
   const { data: topRankers, isLoading: loadingTop } = useLeaderboard({ limit: 5 });
   const { data: homeStats, isLoading: statsLoading } = useHomeStats();
+  const { isAuthenticated } = useAuthStore();
 
   const users = data?.users || [];
   const top5 = topRankers || [];
@@ -145,6 +148,8 @@ function CommunityPage() {
                   className="page-search-input"
                 />
               </div>
+
+              {isAuthenticated && <FollowingFeed />}
             </div>
             
             <div className="discover-right">
@@ -13,8 +13,9 @@ function FlavorIndexPage() {
   const [search, setSearch] = useState('');
   const [sort, setSort] = useState('rank');
   const [animal, setAnimal] = useState('');
+  const [method, setMethod] = useState('bayesian');
 
-  const { data, isLoading, error } = useProducts({ search, sort, animal });
+  const { data, isLoading, error } = useProducts({ search, sort, animal, method });
   
   // Track page view for user guidance and classification
   usePageView('products');
@@ -22,6 +23,7 @@ function FlavorIndexPage() {
   const products = data?.products || [];
   const topByCategory = data?.topByCategory || {};
   const total = data?.total || 0;
+  const aggregation = data?.aggregation;
   const animals = ['Beef', 'Turkey', 'Pork', 'Chicken', 'Elk', 'Bison', 'Venison', 'Alligator', 'Kangaroo', 'Ostrich', 'Salmon'];
 
   const sortedProducts = useMemo(() => {
@@ -76,6 +78,17 @@ function FlavorIndexPage() {
             </select>
           </div>
 
+          <div className="filter-divider"></div>
+
+          <div className="filter-group">
+            <div className="filter-label">Ranking Method</div>
+            <select value={method} onChange={(e) => setMethod(e.target.value)} className="filter-dropdown">
+              <option value="bayesian">Consensus</option>
+              <option value="borda">Borda Count</option>
+              <option value="average">Average Position</option>
+            </select>
+          </div>
+
           <input
             type="text"
             className="search-field"
@@ -85,6 +98,14 @@ function FlavorIndexPage() {
           />
         </div>
 
+        {/* Methodology */}
+        {aggregation && (
+          <div className="flavor-index-methodology">
+            <div className="methodology-label">How Community Rank Works · {aggregation.label}</div>
+            <p className="methodology-description">{aggregation.description}</p>
+          </div>
+        )}
+
         {isLoading && <div className="loading-message">Loading Flavor Index...</div>}
         {error && <div className="error-message">Failed to load Flavor Index</div>}
 
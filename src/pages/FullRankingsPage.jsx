@@ -4,6 +4,7 @@ import { useQuery } from '@tanstack/react-query';
 import { useAuthStore } from '../store/authStore';
 import { usePageView } from '../hooks/usePageView';
 import Container from '../components/common/Container';
+import { TastingNoteSummary } from '../components/rank/TastingNoteSummary';
 import './FullRankingsPage.css';
 
 function FullRankingsPage() {
@@ -150,6 +151,7 @@ function FullRankingsPage() {
                     <span className="category-pill">
                       {getCategoryLabel(ranking.product)}
                     </span>
+                    <TastingNoteSummary note={ranking.tastingNote} />
                   </div>
                 </div>
 
@@ -6,6 +6,7 @@ import { usePageView } from '../hooks/usePageView';
 import { useRanking } from '../hooks/useRanking';
 import { useProfile } from '../hooks/useProfile';
 import Container from '../components/common/Container';
+import RecommendedRail from '../components/home/RecommendedRail';
 import './HomePage.css';
 
 function HomePage() {
@@ -193,6 +194,9 @@ function HomePage() {
         </section>
       )}
 
+      {/* Recommended For You (taste twins) */}
+      {isAuthenticated && <RecommendedRail />}
+
       {/* Action Cards */}
       {isAuthenticated && (
         <section className="action-cards-section">
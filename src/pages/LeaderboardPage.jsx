@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
 import { useLeaderboard } from '../hooks/useCommunity';
 import Container from '../components/common/Container';
+import PastSeasons from '../components/community/PastSeasons';
 import '../styles/layout.css';
 import '../styles/hero-headers.css';
 import './LeaderboardPage.css';
@@ -114,9 +115,18 @@ function LeaderboardPage() {
         >
           Collectors
         </button>
+        <button 
+          className={`tab ${activeTab === 'seasons' ? 'active' : ''}`}
+          onClick={() => setActiveTab('seasons')}
+        >
+          Past Seasons
+        </button>
       </div>
 
-      {/* Leaderboard List */}
+      {activeTab === 'seasons' ? (
+        <PastSeasons />
+      ) : (
+      /* Leaderboard List */
       <div className="leaderboard-list">
         {remaining.map((ranker, index) => {
           const rank = index + 6;
@@ -168,6 +178,7 @@ function LeaderboardPage() {
           );
         })}
       </div>
+      )}
       </Container>
     </div>
   );
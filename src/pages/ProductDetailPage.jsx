@@ -12,6 +12,9 @@ import Container from '../components/common/Container';
 import TierDistribution from '../components/product/TierDistribution';
 import TopFlavorFans from '../components/product/TopFlavorFans';
 import OppositeTasteProfiles from '../components/product/OppositeTasteProfiles';
+import ProductComments from '../components/product/ProductComments';
+import OpenGraphMeta from '../components/share/OpenGraphMeta';
+import { getProductCardUrl } from '../utils/shareLinks';
 import './ProductDetailPage.css';
 
 const flavorIcons = {
@@ -130,6 +133,13 @@ function ProductDetailPage() {
 
   return (
     <div className="product-detail-page page-shell">
+      <OpenGraphMeta
+        title={product.title}
+        description={totalRankers > 0
+          ? `Ranked by ${totalRankers} jerky fans. See where ${product.title} lands in the community rankings.`
+          : `Be the first to rank ${product.title}.`}
+        image={totalRankers > 0 ? getProductCardUrl(productId) : product.image}
+      />
       <Container size="standard">
         
         <div className="hero-row">
@@ -194,6 +204,8 @@ function ProductDetailPage() {
 
         <OppositeTasteProfiles profiles={oppositeData?.profiles} />
 
+        <ProductComments productId={productId} />
+
       </Container>
     </div>
   );
@@ -5,13 +5,28 @@ import { usePageView } from '../hooks/usePageView';
 import Container from '../components/common/Container';
 import toast from 'react-hot-toast';
 import ImageCropModal from '../components/ImageCropModal';
+import RankingTimeline from '../components/profile/RankingTimeline';
+import LevelCard from '../components/profile/LevelCard';
+import NotificationPreferences from '../components/profile/NotificationPreferences';
+import ShareTopCard from '../components/share/ShareTopCard';
+import { getBrowserTimeZone } from '../utils/api';
 import './ProfilePage.css';
 
+// Every IANA timezone the browser knows, with a US fallback for browsers without Intl.supportedValuesOf
+const TIME_ZONES = (() => {
+  try {
+    return Intl.supportedValuesOf('timeZone');
+  } catch {
+    return ['America/New_York', 'America/Chicago', 'America/Denver', 'America/Phoenix', 'America/Los_Angeles', 'America/Anchorage', 'Pacific/Honolulu'];
+  }
+})();
+
 function ProfilePage() {
   const { user, setUser } = useAuthStore();
   const queryClient = useQueryClient();
   
   const [isSaving, setIsSaving] = useState(false);
+  const [isSavingTimeZone, setIsSavingTimeZone] = useState(false);
   
   // Edit state
   const [profileImageUrl, setProfileImageUrl] = useState(user?.profile_image_url || null);
@@ -310,6 +325,52 @@ function ProfilePage() {
     }
   };
 
+  // Time zone (saved as soon as it changes, like the profile image)
+  const browserTimeZone = getBrowserTimeZone();
+  const currentTimeZone = user?.timezone || browserTimeZone || 'America/Chicago';
+  const timeZoneOptions = TIME_ZONES.includes(currentTimeZone) ? TIME_ZONES : [currentTimeZone, ...TIME_ZONES];
+
+  const saveTimeZone = async (timezone) => {
+    if (!timezone || timezone === user?.timezone) return;
+    setIsSavingTimeZone(true);
+
+    try {
+      const response = await fetch('/api/profile', {
+        method: 'PATCH',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ timezone }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || 'Failed to update time zone');
+      }
+
+      const data = await response.json();
+      setUser({
+        ...user,
+        timezone: data.user.timezone,
+      });
+
+      // Streaks and "today" stats are counted in this time zone
+      queryClient.invalidateQueries({ queryKey: ['auth-status'] });
+      queryClient.invalidateQueries({ queryKey: ['streaks'] });
+      queryClient.invalidateQueries({ queryKey: ['gamificationProgress'] });
+      queryClient.invalidateQueries({ queryKey: ['homeStats'] });
+      queryClient.invalidateQueries({ queryKey: ['heroStats'] });
+
+      toast.success('Time zone updated');
+    } catch (error) {
+      console.error('Error saving time zone:', error);
+      toast.error(error.message || 'Failed to update time zone');
+    } finally {
+      setIsSavingTimeZone(false);
+    }
+  };
+
   // Handle save (for handle only - profile image saves automatically)
   const handleSave = async () => {
     setIsSaving(true);
@@ -438,11 +499,13 @@ function ProfilePage() {
                   onChange={handleHandleChange}
                   placeholder="smokybeef247"
                   maxLength={20}
+                  disabled={user?.handle_locked}
                 />
                 <button 
                   type="button"
                   className="generate-handle-btn"
                   onClick={handleGenerateHandle}
+                  disabled={user?.handle_locked}
                   title="Generate a fun jerky.com-inspired handle"
                 >
                   🎲 Pick one for me
@@ -460,6 +523,9 @@ function ProfilePage() {
               {handleValidation.error && (
                 <p className="handle-feedback error">{handleValidation.error}</p>
               )}
+              {user?.handle_locked && (
+                <p className="handle-feedback">Your handle was reset by a moderator and can't be changed.</p>
+              )}
             </div>
 
             {handle !== user?.handle && (
@@ -473,6 +539,37 @@ function ProfilePage() {
               </div>
             )}
 
+            <div className="form-group">
+              <label htmlFor="timezone">Time Zone</label>
+              <select
+                id="timezone"
+                className="profile-input"
+                value={currentTimeZone}
+                onChange={(e) => saveTimeZone(e.target.value)}
+                disabled={isSavingTimeZone}
+              >
+                {timeZoneOptions.map(timeZone => (
+                  <option key={timeZone} value={timeZone}>{timeZone.replace(/_/g, ' ')}</option>
+                ))}
+              </select>
+              <p className="timezone-hint">
+                Your day resets at midnight here for streaks and "today" stats.
+                {browserTimeZone && user?.timezone && browserTimeZone !== user.timezone && (
+                  <>
+                    {' '}This device is set to {browserTimeZone.replace(/_/g, ' ')}.{' '}
+                    <button
+                      type="button"
+                      className="timezone-use-device"
+                      onClick={() => saveTimeZone(browserTimeZone)}
+                      disabled={isSavingTimeZone}
+                    >
+                      Use it
+                    </button>
+                  </>
+                )}
+              </p>
+            </div>
+
             <div className="profile-edit-jerky-link">
               <a 
                 href="https://www.jerky.com/account" 
@@ -485,6 +582,14 @@ function ProfilePage() {
             </div>
           </div>
         </div>
+
+        <LevelCard />
+
+        <NotificationPreferences />
+
+        <RankingTimeline />
+
+        <ShareTopCard handle={user?.handle} />
       </Container>
 
       {/* Image Crop Modal */}
@@ -3,11 +3,18 @@ import { useParams, Navigate, Link } from 'react-router-dom';
 import { useQuery } from '@tanstack/react-query';
 import { useAuthStore } from '../store/authStore';
 import { usePageView } from '../hooks/usePageView';
+import { usePublicRankingLists } from '../hooks/useRankingLists';
+import { useFollowStatus } from '../hooks/useCommunity';
 import Container from '../components/common/Container';
 import TopFlavorsPodium from '../components/profile/TopFlavorsPodium';
 import FlavorProfileProgress from '../components/profile/FlavorProfileProgress';
 import ActivityFeed from '../components/profile/ActivityFeed';
 import CoinBookWidget from '../components/coinbook/CoinBookWidget';
+import FollowButton from '../components/community/FollowButton';
+import ReportButton from '../components/community/ReportButton';
+import FollowLists from '../components/community/FollowLists';
+import OpenGraphMeta from '../components/share/OpenGraphMeta';
+import { getUserTopCardUrl } from '../utils/shareLinks';
 import './PublicProfilePage.css';
 
 function PublicProfilePage() {
@@ -39,6 +46,10 @@ function PublicProfilePage() {
     refetchOnMount: 'always',
   });
 
+  const { data: listsData } = usePublicRankingLists(userId);
+  const otherLists = (listsData?.lists || []).filter(list => !list.isPrimary);
+  const { data: followStatus } = useFollowStatus(userId);
+
   if (isLoading) {
     return (
       <div className="public-profile-loading">
@@ -98,9 +109,15 @@ function PublicProfilePage() {
 
   const specialtyBadges = getSpecialtyBadges();
   const favoriteFlavor = user.focusAreas?.[0] || 'Exploring';
+  const profileName = user.displayName || user.firstName;
 
   return (
     <div className="public-profile-page-new">
+      <OpenGraphMeta
+        title={`${profileName}'s Jerky Rankings`}
+        description={`See the ${stats.productsRanked || user.rankingCount || 0} jerky flavors ${profileName} has ranked.`}
+        image={user.handle && topProducts.length > 0 ? getUserTopCardUrl(user.handle, 5) : null}
+      />
       <Container size="standard">
         <div className="hero-row">
           <div className="profile-card">
@@ -116,7 +133,11 @@ function PublicProfilePage() {
               </div>
               
               <div className="profile-info">
-                <h1 className="profile-name">{user.displayName || user.firstName}</h1>
+                <div className="profile-name-row">
+                  <h1 className="profile-name">{profileName}</h1>
+                  <FollowButton userId={userId} isFollowing={followStatus?.isFollowing} />
+                  <ReportButton targetType="user" targetId={userId} ownerId={userId} />
+                </div>
                 <div className="profile-status">{user.journeyStage || 'Taste Explorer'}</div>
                 <div className="tester-badge">
                   ⭐ Taste Tester Since {formatMemberSince(user.createdAt || user.memberSince)}
@@ -145,6 +166,10 @@ function PublicProfilePage() {
                     <span className="stat-value">{favoriteFlavor}</span>
                     <span className="stat-label">Favorite</span>
                   </div>
+                  <div className="stat-item">
+                    <span className="stat-value">{followStatus?.followerCount ?? 0}</span>
+                    <span className="stat-label">Followers</span>
+                  </div>
                 </div>
               </div>
             </div>
@@ -177,6 +202,32 @@ function PublicProfilePage() {
           </div>
         )}
 
+        <div className="profile-card">
+          <div className="card-title">Connections</div>
+          <FollowLists userId={userId} counts={followStatus} />
+        </div>
+
+        {otherLists.length > 0 && (
+          <div className="profile-card">
+            <div className="card-title">Ranking Lists</div>
+            <ul className="ranking-lists-links">
+              {otherLists.map(list => (
+                <li key={list.listId}>
+                  <Link to={`/community/${userId}/lists/${list.listId}`} className="cta-text">
+                    {list.name} ({list.productCount}) →
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="cta-card">
+          <Link to={`/community/${userId}/compare`} className="cta-text">
+            Compare Your Rankings →
+          </Link>
+        </div>
+
         <div className="cta-card">
           <Link to={`/community/${userId}/rankings`} className="cta-text">
             View {user.firstName || user.displayName}'s Full Rankings →
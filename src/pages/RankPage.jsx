@@ -4,6 +4,8 @@ import { useQueryClient } from '@tanstack/react-query';
 import { DndContext, PointerSensor, useSensor, useSensors } from '@dnd-kit/core';
 import { useRanking } from '../hooks/useRanking';
 import { useRankingCommentary } from '../hooks/useRankingCommentary';
+import { useRankingNotes, useSaveRankingNote } from '../hooks/useRankingNotes';
+import { usePredictedFit } from '../hooks/useRecommendations';
 import { useCollectionProgress } from '../hooks/useCollectionProgress';
 import { useSocket } from '../hooks/useSocket';
 import { useAuthStore } from '../store/authStore';
@@ -16,6 +18,8 @@ import { DraggableProduct } from '../components/rank/DraggableProduct';
 import { FlavorCard } from '../components/rank/FlavorCard';
 import { RankedFlavorItem } from '../components/rank/RankedFlavorItem';
 import { RankingModal } from '../components/rank/RankingModal';
+import { RankingListSwitcher } from '../components/rank/RankingListSwitcher';
+import { ThisOrThatMode } from '../components/rank/ThisOrThatMode';
 import '../styles/layout.css';
 import '../styles/hero-headers.css';
 import './RankPage.css';
@@ -68,7 +72,7 @@ function pointerClosestCenter(args) {
 export default function RankPage() {
   const queryClient = useQueryClient();
   const { socket } = useSocket();
-  const { role } = useAuthStore();
+  const { role, user } = useAuthStore();
   const [searchParams, setSearchParams] = useSearchParams();
   const [searchTerm, setSearchTerm] = useState(searchParams.get('search') || '');
   const [lastSearchedTerm, setLastSearchedTerm] = useState(searchParams.get('search') || '');
@@ -81,6 +85,8 @@ export default function RankPage() {
   const [isSyncing, setIsSyncing] = useState(false);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [selectedProduct, setSelectedProduct] = useState(null);
+  const [activeListId, setActiveListId] = useState('default');
+  const [rankMode, setRankMode] = useState('drag'); // 'drag' or 'pairwise' (This or That)
   
   // Mobile-specific: collapsible rankings state
   // Initialize based on current screen size to avoid flash
@@ -147,7 +153,8 @@ export default function RankPage() {
         const params = new URLSearchParams({
           excludeRanked: 'true',
           limit: '50',
-          sort: 'name-asc'
+          sort: 'name-asc',
+          rankingListId: activeListId
         });
         
         if (trimmedTerm) {
@@ -168,7 +175,7 @@ export default function RankPage() {
       
       return () => clearTimeout(timer);
     }
-  }, [searchTerm, lastSearchedTerm, setSearchParams]);
+  }, [searchTerm, lastSearchedTerm, setSearchParams, activeListId]);
   
   // Ranking state management - uses pure optimistic UI (no refetch needed)
   const {
@@ -183,12 +190,28 @@ export default function RankPage() {
     getRankedProductIds
   } = useRanking({
     maxRankableCount,
+    rankingListId: activeListId,
     onSaveComplete: (rankings, position) => {
       // Pure optimistic UI - no refetch needed, just invalidate progress queries
       queryClient.invalidateQueries({ queryKey: ['rankingCommentary'] });
       queryClient.invalidateQueries({ queryKey: ['collectionProgress'] });
+      queryClient.invalidateQueries({ queryKey: ['rankingLists'] });
+      // Unranking a product deletes its tasting note server-side
+      queryClient.invalidateQueries({ queryKey: ['rankingNotes', activeListId] });
+      queryClient.invalidateQueries({ queryKey: ['recommendations'] });
+      queryClient.invalidateQueries({ queryKey: ['userComparison'] });
     }
   });
+
+  const { data: notesByProduct = {} } = useRankingNotes(activeListId);
+  const saveNoteMutation = useSaveRankingNote();
+
+  const handleSaveNote = (product, { notes, subScores }) => saveNoteMutation.mutateAsync({
+    productId: product.id,
+    rankingListId: activeListId,
+    notes,
+    subScores
+  });
   
   // Fetch ranking progress commentary from backend
   const { data: commentary } = useRankingCommentary();
@@ -263,6 +286,9 @@ export default function RankPage() {
     })
   );
 
+  // Predicted fit from taste twins - orders the unranked column best-fit first
+  const { data: predictedFit = {} } = usePredictedFit();
+
   // Filter out already-ranked products (optimistic UI)
   // BUT keep product visible during drag (don't filter out activeId)
   const availableProducts = useMemo(() => {
@@ -270,14 +296,17 @@ export default function RankPage() {
     const rankedIds = new Set(getRankedProductIds());
     const activeDragProductId = activeId?.startsWith('product-') ? activeId.replace('product-', '') : null;
     
-    return products.filter(p => {
+    const unranked = products.filter(p => {
       if (!p) return false;
       // Keep product visible if it's being dragged (even if ranked)
       if (activeDragProductId && p.id === activeDragProductId) return true;
       // Otherwise filter out ranked products
       return !rankedIds.has(p.id);
     });
-  }, [products, getRankedProductIds, activeId]);
+
+    // Stable sort: products without a prediction keep their name order after predicted ones
+    return [...unranked].sort((a, b) => (predictedFit[b.id]?.fit ?? -1) - (predictedFit[a.id]?.fit ?? -1));
+  }, [products, getRankedProductIds, activeId, predictedFit]);
   
   const handleSearch = async () => {
     setLoading(true);
@@ -304,7 +333,8 @@ export default function RankPage() {
       const params = new URLSearchParams({
         excludeRanked: 'true',
         limit: '50',
-        sort: 'name-asc'  // Alphabetical sorting for predictable order
+        sort: 'name-asc',  // Alphabetical sorting for predictable order
+        rankingListId: activeListId
       });
       
       if (termToSearch) {
@@ -362,7 +392,8 @@ export default function RankPage() {
       // IndexedDB has the authoritative local state
       const { getPersistentQueue } = await import('../utils/PersistentQueue');
       const queue = getPersistentQueue();
-      const pending = await queue.getPending();
+      const pending = (await queue.getPending())
+        .filter(op => (op.rankingListId || 'default') === activeListId);
       
       if (!pending || pending.length === 0) {
         alert('No pending rankings in IndexedDB to sync. Try ranking some products first!');
@@ -392,7 +423,7 @@ export default function RankPage() {
       
       // Check reconciliation status
       const productIds = rankingsToSync.map(r => r.productData.id);
-      const reconcileResult = await api.post('/rankings/reconcile', { productIds });
+      const reconcileResult = await api.post('/rankings/reconcile', { productIds, rankingListId: activeListId });
       
       console.log('🔍 Reconciliation result:', reconcileResult);
       
@@ -427,7 +458,7 @@ Continue?`;
       
       // Force save all rankings from IndexedDB to backend
       await api.post('/rankings/products', {
-        rankingListId: 'default',
+        rankingListId: activeListId,
         rankings: rankingsToSync.map(r => ({
           productId: r.productData.id,
           ranking: r.ranking,
@@ -435,8 +466,10 @@ Continue?`;
         }))
       });
       
-      // Clear the IndexedDB queue after successful sync
-      await queue.clear();
+      // Clear this list's IndexedDB snapshot(s) after successful sync
+      for (const operation of pending) {
+        await queue.complete(operation.operationId);
+      }
       
       // Invalidate all caches to force refresh
       queryClient.invalidateQueries({ queryKey: ['rankingCommentary'] });
@@ -476,9 +509,9 @@ Continue?`;
   };
   
   useEffect(() => {
-    // Load products on mount (using search term from URL if present)
+    // Load products on mount and when switching lists (using search term from URL if present)
     handleSearch();
-  }, []);
+  }, [activeListId]);
   
   // Generate empty slots
   const slots = useMemo(() => {
@@ -623,6 +656,33 @@ Continue?`;
             {/* Utility Panel - Search, Commentary, Progress */}
             <div className="utility-panel">
               <div className="utility-content">
+                <RankingListSwitcher
+                  activeListId={activeListId}
+                  onChange={setActiveListId}
+                  userId={user?.id}
+                />
+
+                <div className="rank-mode-toggle" role="tablist" aria-label="Ranking mode">
+                  <button
+                    type="button"
+                    role="tab"
+                    aria-selected={rankMode === 'drag'}
+                    className={`rank-mode-option ${rankMode === 'drag' ? 'active' : ''}`}
+                    onClick={() => setRankMode('drag')}
+                  >
+                    Drag &amp; Drop
+                  </button>
+                  <button
+                    type="button"
+                    role="tab"
+                    aria-selected={rankMode === 'pairwise'}
+                    className={`rank-mode-option ${rankMode === 'pairwise' ? 'active' : ''}`}
+                    onClick={() => setRankMode('pairwise')}
+                  >
+                    This or That
+                  </button>
+                </div>
+
                 {/* Search Box */}
                 <div className="search-box">
                   <input
@@ -671,91 +731,104 @@ Continue?`;
               </div>
             </div>
 
+            {rankMode === 'pairwise' && !rankingsLoading && !loading && (
+              <ThisOrThatMode
+                candidates={availableProducts}
+                rankedProducts={rankedProducts}
+                onInsert={handleInsert}
+              />
+            )}
+
             {/* Two Column Grid - Mockup Design */}
-            <div className="rank-grid">
+            {rankMode === 'drag' && (
+              <div className="rank-grid">
               
-              {/* LEFT COLUMN: Unranked Flavors */}
-              <div className="rank-column">
-                <h2 className="column-header">Unranked Flavors</h2>
-                <div className="scrollable">
-                  <div className="flavor-list">
-                    {loading && (
-                      <div className="loading-state">Loading products...</div>
-                    )}
-
-                    {error && (
-                      <div className="error-state">
-                        <p>{error}</p>
-                        <button onClick={handleSearch} className="retry-button">
-                          Try Again
-                        </button>
-                      </div>
-                    )}
+                {/* LEFT COLUMN: Unranked Flavors */}
+                <div className="rank-column">
+                  <h2 className="column-header">Unranked Flavors</h2>
+                  <div className="scrollable">
+                    <div className="flavor-list">
+                      {loading && (
+                        <div className="loading-state">Loading products...</div>
+                      )}
 
-                    {!loading && !error && hasSearched && products.length === 0 && (
-                      <div className="empty-state">
-                        <div className="empty-state-icon">🔍</div>
-                        <div className="empty-state-text">
-                          No products found. Try a different search.
+                      {error && (
+                        <div className="error-state">
+                          <p>{error}</p>
+                          <button onClick={handleSearch} className="retry-button">
+                            Try Again
+                          </button>
                         </div>
-                      </div>
-                    )}
-
-                    {!loading && !error && availableProducts.length > 0 && availableProducts.map(product => (
-                      <FlavorCard 
-                        key={product.id} 
-                        product={product}
-                        isDragging={activeId === `product-${product.id}`}
-                        variant="unranked"
-                        onRankClick={handleOpenModal}
-                      />
-                    ))}
+                      )}
+
+                      {!loading && !error && hasSearched && products.length === 0 && (
+                        <div className="empty-state">
+                          <div className="empty-state-icon">🔍</div>
+                          <div className="empty-state-text">
+                            No products found. Try a different search.
+                          </div>
+                        </div>
+                      )}
+
+                      {!loading && !error && availableProducts.length > 0 && availableProducts.map(product => (
+                        <FlavorCard 
+                          key={product.id} 
+                          product={product}
+                          isDragging={activeId === `product-${product.id}`}
+                          variant="unranked"
+                          onRankClick={handleOpenModal}
+                          predictedPosition={activeListId === 'default' ? predictedFit[product.id]?.predictedPosition : null}
+                        />
+                      ))}
                     
-                    {!loading && !error && hasSearched && availableProducts.length === 0 && products.length > 0 && (
-                      <div className="empty-state">
-                        <div className="empty-state-icon">✓</div>
-                        <div className="empty-state-text">
-                          All matching products have been ranked!
+                      {!loading && !error && hasSearched && availableProducts.length === 0 && products.length > 0 && (
+                        <div className="empty-state">
+                          <div className="empty-state-icon">✓</div>
+                          <div className="empty-state-text">
+                            All matching products have been ranked!
+                          </div>
                         </div>
-                      </div>
-                    )}
+                      )}
 
-                    {!hasSearched && (
-                      <div className="empty-state">
-                        <div className="empty-state-icon">👆</div>
-                        <div className="empty-state-text">
-                          Search for products to start ranking
+                      {!hasSearched && (
+                        <div className="empty-state">
+                          <div className="empty-state-icon">👆</div>
+                          <div className="empty-state-text">
+                            Search for products to start ranking
+                          </div>
                         </div>
-                      </div>
-                    )}
+                      )}
+                    </div>
                   </div>
                 </div>
-              </div>
 
-              {/* RIGHT COLUMN: Your Rankings */}
-              <div className="rank-column">
-                <h2 className="column-header">Your Rankings</h2>
-                <div className="scrollable">
-                  <div className="flavor-list">
-                    {rankingsLoading ? (
-                      <div className="loading-state">Loading rankings...</div>
-                    ) : (
-                      <>
-                        {slots.map(slot => (
-                          <RankedFlavorItem
-                            key={slot.position}
-                            position={slot.position}
-                            product={slot.product}
-                            isDragging={activeId === `draggable-slot-${slot.position}`}
-                          />
-                        ))}
-                      </>
-                    )}
+                {/* RIGHT COLUMN: Your Rankings */}
+                <div className="rank-column">
+                  <h2 className="column-header">Your Rankings</h2>
+                  <div className="scrollable">
+                    <div className="flavor-list">
+                      {rankingsLoading ? (
+                        <div className="loading-state">Loading rankings...</div>
+                      ) : (
+                        <>
+                          {slots.map(slot => (
+                            <RankedFlavorItem
+                              key={slot.position}
+                              position={slot.position}
+                              product={slot.product}
+                              isDragging={activeId === `draggable-slot-${slot.position}`}
+                              note={slot.product ? notesByProduct[slot.product.id] : null}
+                              onSaveNote={handleSaveNote}
+                            />
+                          ))}
+                        </>
+                      )}
+                    </div>
                   </div>
                 </div>
-              </div>
 
-            </div>
+              </div>
+            )}
           </Container>
         </div>
 
@@ -0,0 +1,114 @@
+import React from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { usePublicRankingList, usePublicRankingLists } from '../hooks/useRankingLists';
+import { usePageView } from '../hooks/usePageView';
+import Container from '../components/common/Container';
+import './FullRankingsPage.css';
+
+function RankingListPage() {
+  const { userId, listId } = useParams();
+
+  usePageView('ranking_list', { profileId: userId, listId });
+
+  const { data, isLoading, error } = usePublicRankingList(userId, listId);
+  const { data: listsData } = usePublicRankingLists(userId);
+
+  if (isLoading) {
+    return (
+      <div className="full-rankings-page">
+        <div className="full-rankings-loading">
+          <div className="loading-spinner"></div>
+          <p>Loading list...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="full-rankings-page">
+        <div className="full-rankings-error">
+          <h2>List Not Found</h2>
+          <p>This list doesn't exist or is private.</p>
+        </div>
+      </div>
+    );
+  }
+
+  const { user, list, rankings = [], isOwner } = data;
+  const otherLists = (listsData?.lists || []).filter(l => l.listId !== list.listId);
+
+  return (
+    <div className="full-rankings-page">
+      <Container size="standard">
+        <div className="page-header">
+          <h1 className="page-title">{list.name}</h1>
+          <p className="page-subtitle">
+            <Link to={`/community/${user.id}`}>{user.displayName}</Link>
+            {' · '}{rankings.length} Flavors Ranked
+            {isOwner && list.visibility === 'private' && ' · 🔒 Private'}
+          </p>
+        </div>
+
+        {otherLists.length > 0 && (
+          <div className="filter-bar">
+            <div className="filters">
+              {otherLists.map(other => (
+                <Link
+                  key={other.listId}
+                  to={`/community/${user.id}/lists/${other.listId}`}
+                  className="filter-pill"
+                >
+                  {other.name}
+                </Link>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="ranking-list">
+          {rankings.map(ranking => (
+            <div
+              key={ranking.productId}
+              className={`rank-row ${ranking.rank <= 10 ? 'top-10' : ''}`}
+            >
+              <div className="rank-number">#{ranking.rank}</div>
+
+              <div className="flavor-identity">
+                <div className="flavor-coin-small">
+                  {ranking.flavorIcon || ranking.animalIcon || '🥩'}
+                </div>
+                <div className="flavor-info">
+                  <Link to={`/flavors/${ranking.productId}`} className="flavor-name">
+                    {ranking.title}
+                  </Link>
+                  {(ranking.flavorDisplay || ranking.animalDisplay) && (
+                    <span className="category-pill">
+                      {[ranking.animalDisplay, ranking.flavorDisplay].filter(Boolean).join(' · ')}
+                    </span>
+                  )}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {rankings.length === 0 ? (
+          <div className="end-card">
+            <div className="end-title">No Rankings Yet</div>
+            <div className="end-text">This list is empty.</div>
+          </div>
+        ) : (
+          <div className="end-card">
+            <div className="end-title">End of List</div>
+            <div className="end-text">
+              You've reached all {rankings.length} rankings.
+            </div>
+          </div>
+        )}
+      </Container>
+    </div>
+  );
+}
+
+export default RankingListPage;
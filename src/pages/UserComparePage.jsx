@@ -0,0 +1,199 @@
+import React from 'react';
+import { useParams, Navigate, Link } from 'react-router-dom';
+import { useAuthStore } from '../store/authStore';
+import { usePageView } from '../hooks/usePageView';
+import { useUserComparison } from '../hooks/useCommunity';
+import Container from '../components/common/Container';
+import RankDiffChart from '../components/compare/RankDiffChart';
+import './UserComparePage.css';
+
+function Avatar({ profile }) {
+  return (
+    <div className="compare-avatar">
+      {profile.avatarUrl ? (
+        <img src={profile.avatarUrl} alt={profile.displayName} />
+      ) : (
+        <span>{profile.initials}</span>
+      )}
+    </div>
+  );
+}
+
+function SharedProductRow({ item }) {
+  return (
+    <li className="compare-shared-row">
+      <Link to={`/flavors/${item.productId}`} className="compare-shared-title">{item.title}</Link>
+      <span className="compare-shared-positions">#{item.position} vs #{item.otherPosition}</span>
+    </li>
+  );
+}
+
+function AgreementBars({ groups }) {
+  if (!groups || groups.length === 0) {
+    return <p className="compare-empty">Not enough shared flavors yet.</p>;
+  }
+
+  return (
+    <ul className="compare-agreement-bars">
+      {groups.map(group => (
+        <li key={group.key}>
+          <div className="compare-agreement-label">
+            <span>{group.label}</span>
+            <span>{group.agreement}% · {group.sharedCount} shared</span>
+          </div>
+          <div className="compare-agreement-track">
+            <div className="compare-agreement-fill" style={{ width: `${group.agreement}%` }} />
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function RankingColumn({ profile, items, linkToProfile }) {
+  return (
+    <div className="profile-card compare-list">
+      <div className="card-title">
+        {linkToProfile ? <Link to={`/community/${profile.userId}`}>{profile.displayName}</Link> : profile.displayName}
+        {' · '}{profile.totalRankings} ranked
+      </div>
+      {items.length === 0 ? (
+        <p className="compare-empty">No flavors ranked yet.</p>
+      ) : (
+        <ol className="compare-list-items">
+          {items.map(item => (
+            <li key={item.productId}>
+              <span className="compare-list-position">#{item.position}</span>
+              <Link to={`/flavors/${item.productId}`} className="compare-list-title">{item.title}</Link>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+function UserComparePage() {
+  const { userId } = useParams();
+  const { user: currentUser } = useAuthStore();
+
+  usePageView('user_compare', { profileId: userId });
+
+  const isSelf = currentUser && String(currentUser.id) === String(userId);
+  const { data, isLoading, error } = useUserComparison(isSelf ? null : userId);
+
+  if (isSelf) {
+    return <Navigate to="/profile" replace />;
+  }
+
+  if (isLoading) {
+    return (
+      <div className="user-compare-loading">
+        <div className="loading-spinner"></div>
+        <p>Comparing rankings...</p>
+      </div>
+    );
+  }
+
+  if (error || !data) {
+    return (
+      <div className="user-compare-error">
+        <h2>Comparison Unavailable</h2>
+        <p>{error?.message || "This user doesn't exist or their rankings are private."}</p>
+      </div>
+    );
+  }
+
+  const { user1, user2, sharedCount, agreement, correlation, lists, agreements, disagreements, bothLove, byFlavor, byAnimal } = data;
+  const sharedItems = lists.user1.filter(item => item.otherPosition !== null);
+
+  return (
+    <div className="user-compare-page">
+      <Container size="standard">
+        <div className="compare-header profile-card">
+          <div className="compare-header-user">
+            <Avatar profile={user1} />
+            <span>You</span>
+          </div>
+
+          <div className="compare-header-score">
+            <span className="compare-score-value">{agreement !== null ? `${agreement}%` : '—'}</span>
+            <span className="compare-score-label">Agreement</span>
+            <span className="compare-score-meta">
+              {sharedCount} shared {sharedCount === 1 ? 'flavor' : 'flavors'}
+              {correlation !== null && ` · correlation ${correlation.toFixed(2)}`}
+            </span>
+          </div>
+
+          <Link to={`/community/${user2.userId}`} className="compare-header-user">
+            <Avatar profile={user2} />
+            <span>{user2.displayName}</span>
+          </Link>
+        </div>
+
+        <div className="profile-card">
+          <div className="card-title">Rank Differences</div>
+          <RankDiffChart
+            items={sharedItems}
+            leftLabel="You"
+            rightLabel={user2.displayName}
+            leftTotal={user1.totalRankings}
+            rightTotal={user2.totalRankings}
+          />
+        </div>
+
+        <div className="compare-grid">
+          <div className="profile-card">
+            <div className="card-title">Agree Most</div>
+            {agreements.length > 0 ? (
+              <ul className="compare-shared-list">
+                {agreements.map(item => <SharedProductRow key={item.productId} item={item} />)}
+              </ul>
+            ) : (
+              <p className="compare-empty">No flavors in common yet.</p>
+            )}
+          </div>
+
+          <div className="profile-card">
+            <div className="card-title">Disagree Most</div>
+            {disagreements.length > 0 ? (
+              <ul className="compare-shared-list">
+                {disagreements.map(item => <SharedProductRow key={item.productId} item={item} />)}
+              </ul>
+            ) : (
+              <p className="compare-empty">No flavors in common yet.</p>
+            )}
+          </div>
+        </div>
+
+        {bothLove.length > 0 && (
+          <div className="profile-card">
+            <div className="card-title">We Both Love</div>
+            <ul className="compare-shared-list">
+              {bothLove.map(item => <SharedProductRow key={item.productId} item={item} />)}
+            </ul>
+          </div>
+        )}
+
+        <div className="compare-grid">
+          <div className="profile-card">
+            <div className="card-title">Agreement by Flavor</div>
+            <AgreementBars groups={byFlavor} />
+          </div>
+
+          <div className="profile-card">
+            <div className="card-title">Agreement by Animal</div>
+            <AgreementBars groups={byAnimal} />
+          </div>
+        </div>
+
+        <div className="compare-grid">
+          <RankingColumn profile={{ ...user1, displayName: 'You' }} items={lists.user1} />
+          <RankingColumn profile={user2} items={lists.user2} linkToProfile />
+        </div>
+      </Container>
+    </div>
+  );
+}
+
+export default UserComparePage;
@@ -4,6 +4,7 @@ import { useUserProfile } from '../hooks/useCommunity';
 import { usePageView } from '../hooks/usePageView';
 import Container from '../components/common/Container';
 import { renderAchievementIcon } from '../utils/iconUtils';
+import LevelBadge from '../components/common/LevelBadge';
 import './UserProfilePage.css';
 
 function UserProfilePage() {
@@ -88,6 +89,7 @@ function UserProfilePage() {
             )}
           </div>
           <h1 className="user-profile-name">{user.displayName}</h1>
+          <LevelBadge level={stats.level?.level} prestige={stats.level?.prestige} size="large" />
           {user.realName && (
             <p className="user-profile-real-name">{user.realName}</p>
           )}
@@ -0,0 +1,288 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import {
+  useModerationComments,
+  useModerateComment,
+  useCommentBans,
+  useSetCommentBan,
+} from '../../hooks/useAdminTools';
+import './AdminPages.css';
+
+const PAGE_SIZE = 50;
+
+function CommentModerationPage() {
+  const [view, setView] = useState('comments');
+  const [status, setStatus] = useState('all');
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(0);
+
+  const { data, isLoading, isError } = useModerationComments({
+    status,
+    search,
+    limit: PAGE_SIZE,
+    offset: page * PAGE_SIZE,
+  });
+  const { data: bans = [], isLoading: bansLoading } = useCommentBans();
+  const moderateComment = useModerateComment();
+  const setCommentBan = useSetCommentBan();
+
+  const comments = data?.comments || [];
+  const total = data?.total || 0;
+  const totalPages = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setSearch(searchInput.trim());
+    setPage(0);
+  };
+
+  const handleModerate = async (comment, action) => {
+    let reason;
+    if (action === 'hide') {
+      reason = window.prompt('Reason for hiding (only visible to employees):', '');
+      if (reason === null) return;
+    }
+
+    try {
+      await moderateComment.mutateAsync({ commentId: comment.id, action, reason });
+      toast.success(`Comment ${action === 'hide' ? 'hidden' : action === 'unhide' ? 'restored' : `thread ${action}ed`}`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to update comment');
+    }
+  };
+
+  const handleBan = async (userId, displayName, banned) => {
+    let reason;
+    if (banned) {
+      reason = window.prompt(`Ban ${displayName} from commenting? Reason (optional):`, '');
+      if (reason === null) return;
+    } else if (!window.confirm(`Lift the comment ban for ${displayName}?`)) {
+      return;
+    }
+
+    try {
+      await setCommentBan.mutateAsync({ userId, banned, reason });
+      toast.success(banned ? `${displayName} can no longer comment` : `${displayName} can comment again`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to update ban');
+    }
+  };
+
+  const getStatusLabel = (comment) => {
+    if (comment.isHidden) return { label: 'Hidden', className: 'hidden' };
+    if (comment.isDeleted) return { label: 'Deleted', className: 'deleted' };
+    return { label: 'Visible', className: 'visible' };
+  };
+
+  return (
+    <div className="admin-page">
+      <div className="admin-page-header">
+        <h2>💬 Comment Moderation</h2>
+        <div className="live-stats">
+          <span className="count-badge">{total} comments</span>
+          <span className="count-badge">{bans.length} banned</span>
+        </div>
+      </div>
+
+      <div className="filter-nav">
+        <button className={`filter-btn ${view === 'comments' ? 'active' : ''}`} onClick={() => setView('comments')}>
+          Comments
+        </button>
+        <button className={`filter-btn ${view === 'bans' ? 'active' : ''}`} onClick={() => setView('bans')}>
+          Banned Users
+        </button>
+      </div>
+
+      {view === 'comments' ? (
+        <>
+          <form className="filters-card" onSubmit={handleSearch}>
+            <div className="filters-grid">
+              <div className="filter-group">
+                <label htmlFor="comment-status">Status</label>
+                <select
+                  id="comment-status"
+                  className="filter-select"
+                  value={status}
+                  onChange={(e) => { setStatus(e.target.value); setPage(0); }}
+                >
+                  <option value="all">All</option>
+                  <option value="visible">Visible</option>
+                  <option value="hidden">Hidden</option>
+                </select>
+              </div>
+              <div className="filter-group">
+                <label htmlFor="comment-search">Search</label>
+                <input
+                  id="comment-search"
+                  className="filter-input"
+                  value={searchInput}
+                  onChange={(e) => setSearchInput(e.target.value)}
+                  placeholder="Comment text, name, handle or email"
+                />
+              </div>
+              <div className="filter-actions">
+                <button type="submit" className="btn-secondary">Search</button>
+              </div>
+            </div>
+          </form>
+
+          <div className="admin-table-container">
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>Comment</th>
+                  <th>Author</th>
+                  <th>Flavor</th>
+                  <th>Status</th>
+                  <th>Posted</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {isLoading ? (
+                  <tr>
+                    <td colSpan="6" className="empty-state">Loading comments...</td>
+                  </tr>
+                ) : isError ? (
+                  <tr>
+                    <td colSpan="6" className="empty-state" style={{ color: '#e74c3c' }}>
+                      Failed to load comments
+                    </td>
+                  </tr>
+                ) : comments.length === 0 ? (
+                  <tr>
+                    <td colSpan="6" className="empty-state">No comments found</td>
+                  </tr>
+                ) : (
+                  comments.map((comment) => {
+                    const commentStatus = getStatusLabel(comment);
+                    return (
+                      <tr key={comment.id}>
+                        <td className="moderation-comment-body">
+                          {comment.parentId && <span className="moderation-reply-tag">↳ reply</span>}
+                          {comment.body}
+                          {comment.isHidden && comment.hiddenReason && (
+                            <div className="moderation-hidden-reason">Hidden: {comment.hiddenReason}</div>
+                          )}
+                        </td>
+                        <td>
+                          <div>{comment.author.displayName}</div>
+                          <div className="moderation-author-email">{comment.author.email}</div>
+                          {comment.author.isBanned && <span className="moderation-status hidden">Banned</span>}
+                        </td>
+                        <td>
+                          <Link to={`/flavors/${comment.productId}#comment-${comment.id}`} target="_blank" rel="noopener noreferrer">
+                            {comment.productTitle || comment.productId}
+                          </Link>
+                        </td>
+                        <td>
+                          <span className={`moderation-status ${commentStatus.className}`}>{commentStatus.label}</span>
+                          {comment.isLocked && <span className="moderation-status locked">Locked</span>}
+                        </td>
+                        <td>{new Date(comment.createdAt).toLocaleString()}</td>
+                        <td>
+                          <div className="moderation-actions">
+                            <button
+                              className="action-btn"
+                              title={comment.isHidden ? 'Unhide comment' : 'Hide comment'}
+                              onClick={() => handleModerate(comment, comment.isHidden ? 'unhide' : 'hide')}
+                              disabled={moderateComment.isPending}
+                            >
+                              {comment.isHidden ? '👁️' : '🙈'}
+                            </button>
+                            {!comment.parentId && (
+                              <button
+                                className="action-btn"
+                                title={comment.isLocked ? 'Unlock thread' : 'Lock thread'}
+                                onClick={() => handleModerate(comment, comment.isLocked ? 'unlock' : 'lock')}
+                                disabled={moderateComment.isPending}
+                              >
+                                {comment.isLocked ? '🔓' : '🔒'}
+                              </button>
+                            )}
+                            <button
+                              className="action-btn delete-btn"
+                              title={comment.author.isBanned ? 'Lift comment ban' : 'Ban from commenting'}
+                              onClick={() => handleBan(comment.author.id, comment.author.displayName, !comment.author.isBanned)}
+                              disabled={setCommentBan.isPending}
+                            >
+                              {comment.author.isBanned ? '✅' : '🚫'}
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {total > PAGE_SIZE && (
+            <div className="pagination-container">
+              <div className="pagination-info">
+                Showing {page * PAGE_SIZE + 1}-{Math.min((page + 1) * PAGE_SIZE, total)} of {total}
+              </div>
+              <div className="pagination-controls">
+                <button className="btn-secondary" onClick={() => setPage(page - 1)} disabled={page === 0}>
+                  ← Previous
+                </button>
+                <span className="page-indicator">Page {page + 1} of {totalPages}</span>
+                <button className="btn-secondary" onClick={() => setPage(page + 1)} disabled={page + 1 >= totalPages}>
+                  Next →
+                </button>
+              </div>
+            </div>
+          )}
+        </>
+      ) : (
+        <div className="admin-table-container">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>User</th>
+                <th>Email</th>
+                <th>Reason</th>
+                <th>Banned</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {bansLoading ? (
+                <tr>
+                  <td colSpan="5" className="empty-state">Loading bans...</td>
+                </tr>
+              ) : bans.length === 0 ? (
+                <tr>
+                  <td colSpan="5" className="empty-state">No one is banned from commenting</td>
+                </tr>
+              ) : (
+                bans.map((ban) => (
+                  <tr key={ban.id}>
+                    <td>{ban.displayName}</td>
+                    <td>{ban.email}</td>
+                    <td>{ban.reason || '—'}</td>
+                    <td>{new Date(ban.bannedAt).toLocaleString()}</td>
+                    <td>
+                      <button
+                        className="btn-secondary"
+                        onClick={() => handleBan(ban.id, ban.displayName, false)}
+                        disabled={setCommentBan.isPending}
+                      >
+                        Lift Ban
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CommentModerationPage;
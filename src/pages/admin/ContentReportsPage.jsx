@@ -0,0 +1,234 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { useContentReports, useResolveContentReport } from '../../hooks/useAdminTools';
+import { CONTENT_REPORTS } from '../../../shared/constants/contentReports.mjs';
+import './AdminPages.css';
+
+const PAGE_SIZE = 25;
+const REASON_LABELS = Object.fromEntries(CONTENT_REPORTS.reasons.map(({ id, label }) => [id, label]));
+const ACTION_LABELS = Object.fromEntries(
+  Object.values(CONTENT_REPORTS.actions).flat().map(({ id, label }) => [id, label])
+);
+
+// What the local moderation checks flagged, e.g. "profanity: fuck" or "reserved: admin"
+function ModerationFlag({ label, result }) {
+  if (!result || result.allowed) return null;
+  return (
+    <span className="moderation-status hidden" title="Flagged by the automatic content checks">
+      {label ? `${label} ` : ''}{result.reason}{result.term ? `: ${result.term}` : ''}
+    </span>
+  );
+}
+
+function ReportTarget({ item }) {
+  const { target } = item;
+  if (!target) {
+    return <span className="moderation-author-email">No longer exists</span>;
+  }
+
+  if (item.targetType === 'comment') {
+    return (
+      <div className="moderation-comment-body">
+        <div>{target.body}</div>
+        <div className="moderation-author-email">
+          by {target.author.displayName} ({target.author.email}) on{' '}
+          <Link to={`/flavors/${target.productId}#comment-${target.id}`} target="_blank" rel="noopener noreferrer">
+            {target.productTitle || target.productId}
+          </Link>
+        </div>
+        {target.isHidden && <span className="moderation-status hidden">Hidden</span>}
+        {target.isDeleted && <span className="moderation-status">Deleted</span>}
+        {target.author.isCommentBanned && <span className="moderation-status hidden">Author banned</span>}
+        <ModerationFlag result={target.moderation} />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <Link to={`/community/${target.id}`} target="_blank" rel="noopener noreferrer">
+        {target.displayName}
+      </Link>
+      <div className="moderation-author-email">
+        {target.realName || 'No name'}{target.handle ? ` · @${target.handle}` : ''} · {target.email}
+      </div>
+      {target.hideNamePrivacy && <span className="moderation-status">Name hidden</span>}
+      {target.isCommentBanned && <span className="moderation-status hidden">Comment banned</span>}
+      <ModerationFlag label="Name" result={target.moderation.name} />
+      <ModerationFlag label="Handle" result={target.moderation.handle} />
+    </div>
+  );
+}
+
+function ContentReportsPage() {
+  const [status, setStatus] = useState('open');
+  const [targetType, setTargetType] = useState('');
+  const [page, setPage] = useState(0);
+
+  const { data, isLoading, isError } = useContentReports({
+    status,
+    targetType,
+    limit: PAGE_SIZE,
+    offset: page * PAGE_SIZE,
+  });
+  const resolveReport = useResolveContentReport();
+
+  const items = data?.items || [];
+  const total = data?.total || 0;
+  const totalPages = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+
+  const handleResolve = async (item, action) => {
+    const actionLabel = action === 'dismiss' ? 'Dismiss' : ACTION_LABELS[action];
+    const note = window.prompt(`${actionLabel}: note for the record (optional)`, '');
+    if (note === null) return;
+
+    try {
+      const result = await resolveReport.mutateAsync({
+        targetType: item.targetType,
+        targetId: item.targetId,
+        action,
+        note,
+      });
+      toast.success(result.newHandle
+        ? `Handle reset to @${result.newHandle}`
+        : `${result.resolved} report${result.resolved === 1 ? '' : 's'} ${action === 'dismiss' ? 'dismissed' : 'resolved'}`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to resolve reports');
+    }
+  };
+
+  return (
+    <div className="admin-page">
+      <div className="admin-page-header">
+        <h2>🚩 Reports</h2>
+        <div className="live-stats">
+          <span className="count-badge">{data?.openCount ?? 0} open</span>
+        </div>
+      </div>
+
+      <div className="filter-nav">
+        {['open', 'actioned', 'dismissed'].map(option => (
+          <button
+            key={option}
+            className={`filter-btn ${status === option ? 'active' : ''}`}
+            onClick={() => { setStatus(option); setPage(0); }}
+          >
+            {option.charAt(0).toUpperCase() + option.slice(1)}
+          </button>
+        ))}
+        <select
+          className="filter-select"
+          value={targetType}
+          onChange={(e) => { setTargetType(e.target.value); setPage(0); }}
+        >
+          <option value="">Comments & profiles</option>
+          <option value="comment">Comments</option>
+          <option value="user">Profiles</option>
+        </select>
+      </div>
+
+      <div className="admin-table-container">
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Reported</th>
+              <th>Reports</th>
+              <th>Last Report</th>
+              <th>{status === 'open' ? 'Actions' : 'Outcome'}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {isLoading ? (
+              <tr>
+                <td colSpan="4" className="empty-state">Loading reports...</td>
+              </tr>
+            ) : isError ? (
+              <tr>
+                <td colSpan="4" className="empty-state" style={{ color: '#e74c3c' }}>
+                  Failed to load reports
+                </td>
+              </tr>
+            ) : items.length === 0 ? (
+              <tr>
+                <td colSpan="4" className="empty-state">
+                  {status === 'open' ? 'Nothing to review 🎉' : 'No reports found'}
+                </td>
+              </tr>
+            ) : (
+              items.map((item) => (
+                <tr key={`${item.targetType}-${item.targetId}`}>
+                  <td>
+                    <div className="moderation-reply-tag">{item.targetType === 'comment' ? '💬 Comment' : '👤 Profile'}</div>
+                    <ReportTarget item={item} />
+                  </td>
+                  <td>
+                    <div className="count-badge">{item.reportCount}</div>
+                    <ul className="report-reasons-list">
+                      {item.reports.map((report, index) => (
+                        <li key={index}>
+                          <strong>{REASON_LABELS[report.reason] || report.reason}</strong>
+                          {report.details && <div className="moderation-author-email">“{report.details}”</div>}
+                        </li>
+                      ))}
+                    </ul>
+                  </td>
+                  <td>{new Date(item.lastReportedAt).toLocaleString()}</td>
+                  <td>
+                    {status === 'open' ? (
+                      <div className="report-actions">
+                        {item.target && CONTENT_REPORTS.actions[item.targetType].map(({ id, label }) => (
+                          <button
+                            key={id}
+                            className="btn-secondary"
+                            onClick={() => handleResolve(item, id)}
+                            disabled={resolveReport.isPending}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                        <button
+                          className="btn-secondary"
+                          onClick={() => handleResolve(item, 'dismiss')}
+                          disabled={resolveReport.isPending}
+                        >
+                          Dismiss
+                        </button>
+                      </div>
+                    ) : (
+                      <div>
+                        <div>{item.resolution ? ACTION_LABELS[item.resolution] || item.resolution : 'Dismissed'}</div>
+                        {item.reviewedAt && (
+                          <div className="moderation-author-email">{new Date(item.reviewedAt).toLocaleString()}</div>
+                        )}
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {total > PAGE_SIZE && (
+        <div className="pagination-container">
+          <div className="pagination-info">
+            Showing {page * PAGE_SIZE + 1}-{Math.min((page + 1) * PAGE_SIZE, total)} of {total}
+          </div>
+          <div className="pagination-controls">
+            <button className="btn-secondary" onClick={() => setPage(page - 1)} disabled={page === 0}>
+              ← Previous
+            </button>
+            <span className="page-indicator">Page {page + 1} of {totalPages}</span>
+            <button className="btn-secondary" onClick={() => setPage(page + 1)} disabled={page + 1 >= totalPages}>
+              Next →
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ContentReportsPage;
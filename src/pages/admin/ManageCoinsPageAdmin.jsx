@@ -1,7 +1,9 @@
 import React, { useState, useMemo } from 'react';
 import toast from 'react-hot-toast';
-import { useFetchCoins, useToggleCoin, useDeleteCoin, useCreateCoin, useUpdateCoin, useRecalculateCoin, useAdminProducts, useAdminUsers } from '../../hooks/useAdminTools';
+import { useFetchCoins, useToggleCoin, useDeleteCoin, useCreateCoin, useUpdateCoin, useRecalculateCoin, useSimulateCoin, useAdminProducts, useAdminUsers } from '../../hooks/useAdminTools';
 import EditCoinModal from '../../components/admin/EditCoinModal';
+import CoinImpactPanel from '../../components/admin/CoinImpactPanel';
+import CoinHistoryPanel from '../../components/admin/CoinHistoryPanel';
 import ConfirmationModal from '../../components/admin/ConfirmationModal';
 import { renderAchievementIcon } from '../../utils/iconUtils';
 import './AdminPages.css';
@@ -15,6 +17,7 @@ function ManageCoinsPageAdmin() {
   const createCoinMutation = useCreateCoin();
   const updateCoinMutation = useUpdateCoin();
   const recalculateCoinMutation = useRecalculateCoin();
+  const simulateCoinMutation = useSimulateCoin();
 
   // Filter states
   const [coinTypeFilter, setCoinTypeFilter] = useState('all');
@@ -28,6 +31,12 @@ function ManageCoinsPageAdmin() {
   // Confirmation modal state
   const [isConfirmModalOpen, setIsConfirmModalOpen] = useState(false);
   const [confirmModalData, setConfirmModalData] = useState(null);
+  
+  // Impact preview state (coin being dry-run)
+  const [impactCoin, setImpactCoin] = useState(null);
+
+  // Per-user coin audit history
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
 
   const coins = coinsData?.achievements || [];
   const products = productsData?.products || [];
@@ -45,6 +54,7 @@ function ManageCoinsPageAdmin() {
         if (coinTypeFilter === 'static' && coin.collectionType !== 'static_collection') return false;
         if (coinTypeFilter === 'dynamic' && coin.collectionType !== 'dynamic_collection') return false;
         if (coinTypeFilter === 'flavor' && coin.collectionType !== 'flavor_coin') return false;
+        if (coinTypeFilter === 'event' && coin.collectionType !== 'event_collection') return false;
         if (coinTypeFilter === 'legacy' && coin.collectionType !== 'legacy') return false;
       }
 
@@ -139,6 +149,11 @@ function ManageCoinsPageAdmin() {
     }
   };
 
+  const handlePreviewImpact = (coin) => {
+    setImpactCoin(coin);
+    simulateCoinMutation.mutate({ achievement: coin, achievementId: coin.id });
+  };
+
   const handleEditCoin = (coin) => {
     setEditingCoin(coin);
     setIsModalOpen(true);
@@ -183,6 +198,7 @@ function ManageCoinsPageAdmin() {
       'static_collection': 'Static Collection',
       'dynamic_collection': 'Dynamic Collection',
       'flavor_coin': 'Flavor',
+      'event_collection': 'Event',
       'legacy': 'Legacy'
     };
     return typeMap[collectionType] || collectionType || '-';
@@ -205,11 +221,18 @@ function ManageCoinsPageAdmin() {
           <span className="admin-icon">🪙</span>
           <h2>Coin Book Admin Dashboard</h2>
         </div>
-        <button className="btn-create" onClick={handleCreateCoin}>
-          + Create Coin
-        </button>
+        <div className="admin-header-actions">
+          <button className="btn-secondary" onClick={() => setIsHistoryOpen(open => !open)}>
+            🧾 Coin History
+          </button>
+          <button className="btn-create" onClick={handleCreateCoin}>
+            + Create Coin
+          </button>
+        </div>
       </div>
 
+      {isHistoryOpen && <CoinHistoryPanel onClose={() => setIsHistoryOpen(false)} />}
+
       {/* Filter Row 1: Coin Type */}
       <div className="filter-row">
         <button
@@ -242,6 +265,12 @@ function ManageCoinsPageAdmin() {
         >
           🍊 Flavor
         </button>
+        <button
+          className={`filter-btn ${coinTypeFilter === 'event' ? 'active' : ''}`}
+          onClick={() => setCoinTypeFilter('event')}
+        >
+          ⏳ Event
+        </button>
         <button
           className={`filter-btn ${coinTypeFilter === 'legacy' ? 'active' : ''}`}
           onClick={() => setCoinTypeFilter('legacy')}
@@ -294,6 +323,17 @@ function ManageCoinsPageAdmin() {
         </button>
       </div>
 
+      {/* Impact Preview */}
+      {impactCoin && (
+        <CoinImpactPanel
+          title={`Preview impact: ${impactCoin.name}${impactCoin.isActive ? '' : ' (if activated)'}`}
+          simulation={simulateCoinMutation.data}
+          isLoading={simulateCoinMutation.isPending}
+          error={simulateCoinMutation.error}
+          onClose={() => setImpactCoin(null)}
+        />
+      )}
+
       {/* Coins Table */}
       <div className="table-container">
         {isLoading ? (
@@ -350,6 +390,14 @@ function ManageCoinsPageAdmin() {
                       >
                         ✏️
                       </button>
+                      <button
+                        className="action-btn"
+                        onClick={() => handlePreviewImpact(coin)}
+                        disabled={simulateCoinMutation.isPending}
+                        title="Preview impact"
+                      >
+                        📊
+                      </button>
                       <button
                         className="action-btn refresh-btn"
                         onClick={() => handleRefreshCoin(coin)}
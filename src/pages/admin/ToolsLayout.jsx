@@ -22,6 +22,8 @@ function ToolsLayout() {
     { path: '/admin/tools/user-guidance', label: 'User Guidance', icon: '🎯' },
     { path: '/admin/tools/queue-monitor', label: 'Classification Queue Monitor', icon: '🔄' },
     { path: '/admin/tools/bulk-import', label: 'Customer Import', icon: '📦' },
+    { path: '/admin/tools/comments', label: 'Comment Moderation', icon: '💬' },
+    { path: '/admin/tools/reports', label: 'Reports', icon: '🚩' },
     { path: '/admin/tools/sentry', label: 'Sentry Issues', icon: '🔍' },
   ];
   
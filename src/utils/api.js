@@ -9,6 +9,22 @@ class ApiError extends Error {
   }
 }
 
+// Browser's IANA timezone (e.g. 'America/Los_Angeles'), or null if unavailable
+export function getBrowserTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  } catch {
+    return null;
+  }
+}
+
+// Sent so the server can use local day boundaries (streaks, "today" stats) and
+// auto-detect the timezone of users who haven't saved one
+export function getTimeZoneHeader() {
+  const timeZone = getBrowserTimeZone();
+  return timeZone ? { 'X-Timezone': timeZone } : {};
+}
+
 async function fetchApi(endpoint, options = {}) {
   const url = endpoint.startsWith('http') ? endpoint : `${BASE_URL}${endpoint}`;
   
@@ -16,6 +32,7 @@ async function fetchApi(endpoint, options = {}) {
     credentials: 'include',
     headers: {
       'Content-Type': 'application/json',
+      ...getTimeZoneHeader(),
       ...options.headers,
     },
     ...options,
@@ -49,6 +66,7 @@ export async function apiClient(endpoint, options = {}) {
     credentials: 'include',
     headers: {
       'Content-Type': 'application/json',
+      ...getTimeZoneHeader(),
       ...options.headers,
     },
     ...options
@@ -0,0 +1,75 @@
+/**
+ * Binary insertion helpers for "This or That" pairwise ranking
+ *
+ * A new product is placed into an already-sorted ranked list by repeatedly asking
+ * "do you prefer the new product or the one at the midpoint?" and halving the
+ * search window, so n ranked products need at most ceil(log2(n + 1)) questions.
+ *
+ * State is a plain object so it can live in React state and be snapshotted for undo:
+ *   { low, high } - the new product belongs somewhere in sorted[low..high]
+ */
+
+/**
+ * Start a new insertion search over a sorted ranked list
+ * @param {number} rankedCount - Number of products already ranked
+ * @returns {{ low: number, high: number }}
+ */
+export function createInsertionState(rankedCount) {
+  return { low: 0, high: rankedCount };
+}
+
+/**
+ * Whether the search has narrowed to a single slot
+ * @param {{ low: number, high: number }} state
+ * @returns {boolean}
+ */
+export function isInsertionComplete(state) {
+  return state.low >= state.high;
+}
+
+/**
+ * Index (into the sorted ranked list) of the product to compare against next
+ * @param {{ low: number, high: number }} state
+ * @returns {number}
+ */
+export function getComparisonIndex(state) {
+  return Math.floor((state.low + state.high) / 2);
+}
+
+/**
+ * Narrow the search window with the user's answer
+ * @param {{ low: number, high: number }} state
+ * @param {boolean} prefersNewProduct - True if the new product beat the comparison product
+ * @returns {{ low: number, high: number }} New state
+ */
+export function applyAnswer(state, prefersNewProduct) {
+  const mid = getComparisonIndex(state);
+  return prefersNewProduct
+    ? { low: state.low, high: mid }
+    : { low: mid + 1, high: state.high };
+}
+
+/**
+ * Upper bound on remaining questions for the current window
+ * @param {{ low: number, high: number }} state
+ * @returns {number}
+ */
+export function getRemainingQuestions(state) {
+  const size = state.high - state.low;
+  return size <= 0 ? 0 : Math.ceil(Math.log2(size + 1));
+}
+
+/**
+ * Convert the final insertion index into a ranking position for insertRanking()
+ * Inserting at an occupied position pushes the products below it down by one
+ * @param {Array} sortedRankings - Ranked items sorted by ranking ({ ranking, productData })
+ * @param {number} index - Final insertion index (state.low once complete)
+ * @returns {number} 1-based ranking position
+ */
+export function getInsertionPosition(sortedRankings, index) {
+  if (index < sortedRankings.length) {
+    return sortedRankings[index].ranking;
+  }
+  const last = sortedRankings[sortedRankings.length - 1];
+  return last ? last.ranking + 1 : 1;
+}
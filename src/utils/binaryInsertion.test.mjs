@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createInsertionState,
+  isInsertionComplete,
+  getComparisonIndex,
+  applyAnswer,
+  getRemainingQuestions,
+  getInsertionPosition,
+} from './binaryInsertion.js';
+
+// Run a full search where the new product's true slot is `target`
+function insertAt(rankedCount, target) {
+  let state = createInsertionState(rankedCount);
+  let questions = 0;
+  while (!isInsertionComplete(state)) {
+    state = applyAnswer(state, target <= getComparisonIndex(state));
+    questions += 1;
+  }
+  return { index: state.low, questions };
+}
+
+test('finds every slot within ceil(log2(n + 1)) questions', () => {
+  for (const rankedCount of [0, 1, 2, 7, 8, 50]) {
+    const limit = getRemainingQuestions(createInsertionState(rankedCount));
+    assert.equal(limit, Math.ceil(Math.log2(rankedCount + 1)));
+
+    for (let target = 0; target <= rankedCount; target++) {
+      const { index, questions } = insertAt(rankedCount, target);
+      assert.equal(index, target);
+      assert.ok(questions <= limit, `${questions} questions for slot ${target} of ${rankedCount}`);
+    }
+  }
+});
+
+test('an empty list needs no questions', () => {
+  const state = createInsertionState(0);
+  assert.equal(isInsertionComplete(state), true);
+  assert.equal(getRemainingQuestions(state), 0);
+});
+
+test('getInsertionPosition maps the final index to a ranking position', () => {
+  const sorted = [{ ranking: 1 }, { ranking: 2 }, { ranking: 4 }];
+  assert.equal(getInsertionPosition(sorted, 0), 1);
+  assert.equal(getInsertionPosition(sorted, 2), 4);
+  assert.equal(getInsertionPosition(sorted, 3), 5);
+  assert.equal(getInsertionPosition([], 0), 1);
+});
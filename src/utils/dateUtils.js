@@ -25,3 +25,28 @@ export function formatTimeAgo(dateString) {
   if (seconds < 604800) return `${Math.floor(seconds / 86400)}d ago`;
   return `${Math.floor(seconds / 604800)}w ago`;
 }
+
+/**
+ * Format the time remaining until a date as a short countdown
+ * @param {string|Date} dateString - ISO 8601 UTC timestamp or Date object
+ * @param {Date} now - Reference time (defaults to the current time)
+ * @returns {string|null} Countdown string (e.g., "3d 4h", "5h 12m", "8m"), or null once the date has passed
+ */
+export function formatCountdown(dateString, now = new Date()) {
+  const date = new Date(dateString);
+
+  if (isNaN(date.getTime())) {
+    console.warn('Invalid timestamp:', dateString);
+    return null;
+  }
+
+  const minutes = Math.floor((date - now) / 60000);
+  if (minutes < 0) return null;
+
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  return `${Math.max(minutes, 1)}m`;
+}
@@ -0,0 +1,33 @@
+/**
+ * Absolute URLs for server-rendered share cards and embed widgets (see server/routes/share.js)
+ * Absolute because they end up in Open Graph tags and on other sites
+ */
+
+const origin = () => window.location.origin;
+
+/**
+ * @param {string} handle - User handle (without @)
+ * @param {number} n - Top N size
+ * @returns {string} PNG card URL
+ */
+export function getUserTopCardUrl(handle, n = 5) {
+  return `${origin()}/share/u/${encodeURIComponent(handle)}/top/${n}.png`;
+}
+
+/**
+ * @param {string} productId - Shopify product ID
+ * @returns {string} PNG card URL
+ */
+export function getProductCardUrl(productId) {
+  return `${origin()}/share/p/${productId}.png`;
+}
+
+/**
+ * @param {string} handle - User handle (without @)
+ * @param {number} n - Top N size
+ * @returns {string} Ready-to-paste <iframe> snippet
+ */
+export function getUserTopEmbedCode(handle, n = 10) {
+  const src = `${origin()}/embed/u/${encodeURIComponent(handle)}/top/${n}`;
+  return `<iframe src="${src}" width="360" height="${120 + n * 52}" style="border:0;border-radius:12px" loading="lazy" title="Jerky Top ${n}"></iframe>`;
+}